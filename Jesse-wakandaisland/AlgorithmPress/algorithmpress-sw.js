@@ -0,0 +1,20 @@
+/**
+ * AlgorithmPress Service Worker
+ * A page has a single service worker, so this one brings together the
+ * handlers of the modules that need it: the PHP-WASM runtime cache
+ * (php-wasm-sw.js) and the flow webhook endpoint (flow-webhook-sw.js).
+ * PHPWasmRuntime registers it, and FlowBuilder.Webhooks does so through
+ * PHPWasmRuntime when it's loaded.
+ *
+ * Served from the app root so its scope covers /webhook/.
+ */
+
+importScripts('php-wasm-sw.js', 'flow-webhook-sw.js');
+
+self.addEventListener('install', () => {
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(self.clients.claim());
+});
@@ -0,0 +1,66 @@
+/**
+ * AlgorithmPress Flow Webhook Service Worker
+ * Local endpoint for `webhook` trigger nodes: requests to <scope>webhook/<path>
+ * are handed to an open AlgorithmPress window, which runs the matching flow.
+ *
+ * Only handles fetches; algorithmpress-sw.js imports it into the page's
+ * service worker, which is served from the app root so its scope covers /webhook/.
+ */
+
+// How long to wait for the flow to answer before giving up
+const RESPONSE_TIMEOUT = 30000;
+
+self.addEventListener('fetch', (event) => {
+    const url = new URL(event.request.url);
+    const base = new URL('webhook', self.registration.scope);
+
+    if (url.origin !== base.origin) return;
+    if (url.pathname !== base.pathname && !url.pathname.startsWith(base.pathname + '/')) return;
+
+    event.respondWith(forwardToClient(event, url, url.pathname.slice(base.pathname.length) || '/'));
+});
+
+// Send the request to a window and turn its answer into a response
+async function forwardToClient(event, url, path) {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+
+    // Prefer the window that sent the request (e.g. the request composer)
+    const client = windows.find(candidate => candidate.id === event.clientId) || windows[0];
+    if (!client) {
+        return jsonResponse(503, { error: 'No AlgorithmPress window is open to handle this webhook' });
+    }
+
+    const request = event.request;
+    const message = {
+        type: 'flow-webhook:request',
+        request: {
+            method: request.method,
+            path: path,
+            query: Object.fromEntries(url.searchParams),
+            headers: Object.fromEntries(request.headers),
+            body: ['GET', 'HEAD'].includes(request.method) ? '' : await request.text()
+        }
+    };
+
+    const answer = await new Promise(resolve => {
+        const channel = new MessageChannel();
+        const timer = setTimeout(() => {
+            resolve({ status: 504, body: { error: 'The flow did not respond in time' } });
+        }, RESPONSE_TIMEOUT);
+
+        channel.port1.onmessage = (e) => {
+            clearTimeout(timer);
+            resolve(e.data);
+        };
+        client.postMessage(message, [channel.port2]);
+    });
+
+    return jsonResponse(answer.status, answer.body, answer.headers);
+}
+
+function jsonResponse(status, body, headers = {}) {
+    return new Response(JSON.stringify(body), {
+        status: status,
+        headers: { 'Content-Type': 'application/json', ...headers }
+    });
+}
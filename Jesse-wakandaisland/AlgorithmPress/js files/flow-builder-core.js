@@ -27,12 +27,19 @@
                 isPanning: false,
                 dragStart: { x: 0, y: 0 },
                 connectionStart: null,
-                selectedNodes: new Set()
+                connectionPreview: null,
+                selectedNodes: new Set(),
+                selectedConnections: new Set(),
+                dragNodes: null,
+                selectionBox: null,
+                panStart: null
             },
             history: {
                 states: [],
                 currentIndex: -1,
-                maxStates: 50
+                maxStates: 50,
+                group: null,
+                snapshot: null
             },
             clipboard: null
         },
@@ -305,11 +312,11 @@
             const canvas = this.elements.canvas;
             if (!canvas) return;
 
-            // Mouse events
+            // Mouse events; move/up are tracked on the document so drags can leave the canvas
             canvas.addEventListener('mousedown', (e) => this.handleCanvasMouseDown(e));
-            canvas.addEventListener('mousemove', (e) => this.handleCanvasMouseMove(e));
-            canvas.addEventListener('mouseup', (e) => this.handleCanvasMouseUp(e));
-            canvas.addEventListener('wheel', (e) => this.handleCanvasWheel(e));
+            document.addEventListener('mousemove', (e) => this.handleCanvasMouseMove(e));
+            document.addEventListener('mouseup', (e) => this.handleCanvasMouseUp(e));
+            canvas.addEventListener('wheel', (e) => this.handleCanvasWheel(e), { passive: false });
             
             // Touch events for mobile
             canvas.addEventListener('touchstart', (e) => this.handleCanvasTouchStart(e));
@@ -379,9 +386,16 @@
                 // Only handle shortcuts when flow builder is active
                 if (!this.isActive()) return;
 
+                // Leave typing in property fields and the title alone
+                const target = e.target;
+                if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) {
+                    return;
+                }
+
                 const isCtrl = e.ctrlKey || e.metaKey;
+                const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
                 
-                switch (e.key) {
+                switch (key) {
                     case 'z':
                         if (isCtrl && !e.shiftKey) {
                             e.preventDefault();
@@ -391,6 +405,13 @@
                             this.redo();
                         }
                         break;
+
+                    case 'y':
+                        if (isCtrl) {
+                            e.preventDefault();
+                            this.redo();
+                        }
+                        break;
                         
                     case 'c':
                         if (isCtrl) {
@@ -424,6 +445,7 @@
                         break;
                         
                     case '+':
+                    case '=':
                         if (isCtrl) {
                             e.preventDefault();
                             this.zoomIn();
@@ -436,6 +458,13 @@
                             this.zoomOut();
                         }
                         break;
+
+                    case '0':
+                        if (isCtrl) {
+                            e.preventDefault();
+                            this.fitToScreen();
+                        }
+                        break;
                 }
             });
         },
@@ -484,7 +513,8 @@
             // Add start node by default
             this.addNode('start', { x: 100, y: 100 });
             
-            this.saveState();
+            // A new flow starts with an empty history
+            this.resetHistory();
             return flow;
         },
 
@@ -497,7 +527,9 @@
             }
 
             this.state.activeFlow = flowId;
+            this.state.interaction.selectedNodes.clear();
             this.renderFlow(flow);
+            this.resetHistory();
             this.updateUI();
             return true;
         },
@@ -549,15 +581,288 @@
                 });
             });
 
-            flow.nodes.set(nodeId, node);
-            flow.metadata.modified = new Date();
-            
-            this.renderNode(node);
-            this.saveState();
+            let added = node;
+            this.executeCommand({
+                type: 'node-add',
+                label: `Add ${nodeTypeDefinition.name}`,
+                execute: () => this.insertNode(flow, added),
+                undo: () => { added = this.removeNode(flow, nodeId) || added; }
+            });
             
             return node;
         },
 
+        // Delete a node together with its connections as one history step
+        deleteNode: function(nodeId) {
+            const flow = this.getActiveFlow();
+            const node = flow?.nodes.get(nodeId);
+            if (!node) return false;
+
+            this.beginHistoryGroup(`Delete ${node.properties.title || node.type}`);
+            try {
+                this.getNodeConnections(flow, nodeId).forEach(connection => {
+                    this.deleteConnection(connection.id);
+                });
+
+                let removed = node;
+                this.executeCommand({
+                    type: 'node-delete',
+                    label: 'Delete node',
+                    execute: () => { removed = this.removeNode(flow, nodeId) || removed; },
+                    undo: () => this.insertNode(flow, removed)
+                });
+            } finally {
+                this.endHistoryGroup();
+            }
+
+            this.state.interaction.selectedNodes.delete(nodeId);
+            return true;
+        },
+
+        // Move a node; from defaults to the current position
+        moveNode: function(nodeId, position, from) {
+            const flow = this.getActiveFlow();
+            const node = flow?.nodes.get(nodeId);
+            if (!node) return false;
+
+            const command = {
+                type: 'node-move',
+                label: 'Move node',
+                nodeId: nodeId,
+                from: { ...(from || node.position) },
+                to: { ...position }
+            };
+            command.execute = () => this.applyNodePosition(flow, nodeId, command.to);
+            command.undo = () => this.applyNodePosition(flow, nodeId, command.from);
+
+            this.executeCommand(command);
+            return true;
+        },
+
+        // Change node properties; only the changed keys are kept for undo
+        updateNodeProperties: function(nodeId, changes) {
+            const flow = this.getActiveFlow();
+            const node = flow?.nodes.get(nodeId);
+            if (!node) return false;
+
+            const previous = {};
+            const next = {};
+            Object.keys(changes).forEach(key => {
+                if (JSON.stringify(node.properties[key]) !== JSON.stringify(changes[key])) {
+                    previous[key] = this.cloneValue(node.properties[key]);
+                    next[key] = this.cloneValue(changes[key]);
+                }
+            });
+            if (Object.keys(next).length === 0) return false;
+
+            this.executeCommand({
+                type: 'node-properties',
+                label: 'Edit properties',
+                execute: () => this.applyNodeProperties(flow, nodeId, next),
+                undo: () => this.applyNodeProperties(flow, nodeId, previous)
+            });
+            return true;
+        },
+
+        // Connect an output port to an input port
+        addConnection: function(sourceNodeId, sourcePortId, targetNodeId, targetPortId, options = {}) {
+            const flow = this.getActiveFlow();
+            if (!flow) return null;
+
+            const sourcePort = flow.nodes.get(sourceNodeId)?.outputs.get(sourcePortId);
+            const targetPort = flow.nodes.get(targetNodeId)?.inputs.get(targetPortId);
+            if (!sourcePort || !targetPort) {
+                console.error('Invalid connection ports:', sourceNodeId, sourcePortId, targetNodeId, targetPortId);
+                return null;
+            }
+
+            const duplicate = Array.from(flow.connections.values()).some(conn =>
+                conn.sourceNodeId === sourceNodeId && conn.sourcePortId === sourcePortId &&
+                conn.targetNodeId === targetNodeId && conn.targetPortId === targetPortId
+            );
+            if (duplicate) return null;
+
+            let connection = {
+                id: this.generateId('conn'),
+                sourceNodeId: sourceNodeId,
+                sourcePortId: sourcePortId,
+                targetNodeId: targetNodeId,
+                targetPortId: targetPortId,
+                type: sourcePort.type || 'flow',
+                properties: { ...options.properties },
+                metadata: {
+                    created: new Date(),
+                    modified: new Date()
+                }
+            };
+            const connectionId = connection.id;
+
+            this.executeCommand({
+                type: 'connection-add',
+                label: 'Add connection',
+                execute: () => this.insertConnection(flow, connection),
+                undo: () => { connection = this.removeConnection(flow, connectionId) || connection; }
+            });
+
+            return connection;
+        },
+
+        deleteConnection: function(connectionId) {
+            const flow = this.getActiveFlow();
+            let connection = flow?.connections.get(connectionId);
+            if (!connection) return false;
+
+            this.executeCommand({
+                type: 'connection-delete',
+                label: 'Delete connection',
+                execute: () => { connection = this.removeConnection(flow, connectionId) || connection; },
+                undo: () => this.insertConnection(flow, connection)
+            });
+            return true;
+        },
+
+        // Set a flow variable; accepts a raw value or a full variable definition
+        setVariable: function(name, value, options = {}) {
+            const flow = this.getActiveFlow();
+            if (!flow || !name) return false;
+
+            const previous = flow.variables.has(name) ? this.cloneValue(flow.variables.get(name)) : undefined;
+            const variable = {
+                value: this.cloneValue(value),
+                type: options.type || previous?.type || 'any',
+                scope: options.scope || previous?.scope || 'flow',
+                metadata: options.metadata || previous?.metadata || {}
+            };
+
+            this.executeCommand({
+                type: 'variable-set',
+                label: `Set variable ${name}`,
+                execute: () => this.applyVariable(flow, name, variable),
+                undo: () => this.applyVariable(flow, name, previous)
+            });
+            return true;
+        },
+
+        deleteVariable: function(name) {
+            const flow = this.getActiveFlow();
+            if (!flow || !flow.variables.has(name)) return false;
+
+            const previous = this.cloneValue(flow.variables.get(name));
+            this.executeCommand({
+                type: 'variable-delete',
+                label: `Delete variable ${name}`,
+                execute: () => this.applyVariable(flow, name, undefined),
+                undo: () => this.applyVariable(flow, name, previous)
+            });
+            return true;
+        },
+
+        // Low-level model mutations used by history commands
+        insertNode: function(flow, node) {
+            flow.nodes.set(node.id, node);
+            this.markModified(flow);
+
+            if (this.isActiveFlow(flow)) {
+                this.renderNode(node);
+                this.updateStatusBar();
+            }
+        },
+
+        removeNode: function(flow, nodeId) {
+            const node = flow.nodes.get(nodeId);
+            if (!node) return null;
+
+            flow.nodes.delete(nodeId);
+            this.state.interaction.selectedNodes.delete(nodeId);
+            this.markModified(flow);
+
+            if (this.isActiveFlow(flow)) {
+                this.getNodeElement(nodeId)?.remove();
+                this.updateStatusBar();
+            }
+            return node;
+        },
+
+        insertConnection: function(flow, connection) {
+            flow.connections.set(connection.id, connection);
+
+            const sourcePort = flow.nodes.get(connection.sourceNodeId)?.outputs.get(connection.sourcePortId);
+            const targetPort = flow.nodes.get(connection.targetNodeId)?.inputs.get(connection.targetPortId);
+            if (sourcePort && !sourcePort.connections.includes(connection.id)) sourcePort.connections.push(connection.id);
+            if (targetPort && !targetPort.connections.includes(connection.id)) targetPort.connections.push(connection.id);
+
+            this.markModified(flow);
+
+            if (this.isActiveFlow(flow)) {
+                this.renderConnection(connection);
+                this.updateStatusBar();
+            }
+        },
+
+        removeConnection: function(flow, connectionId) {
+            const connection = flow.connections.get(connectionId);
+            if (!connection) return null;
+
+            flow.connections.delete(connectionId);
+            this.state.interaction.selectedConnections.delete(connectionId);
+
+            [
+                flow.nodes.get(connection.sourceNodeId)?.outputs.get(connection.sourcePortId),
+                flow.nodes.get(connection.targetNodeId)?.inputs.get(connection.targetPortId)
+            ].forEach(port => {
+                if (port) port.connections = port.connections.filter(id => id !== connectionId);
+            });
+
+            this.markModified(flow);
+
+            if (this.isActiveFlow(flow)) {
+                this.getConnectionElement(connectionId)?.remove();
+                this.updateStatusBar();
+            }
+            return connection;
+        },
+
+        applyNodePosition: function(flow, nodeId, position) {
+            const node = flow.nodes.get(nodeId);
+            if (!node) return;
+
+            node.position = { ...position };
+            this.markModified(flow);
+
+            if (this.isActiveFlow(flow)) {
+                this.updateNodePosition(node);
+                this.updateNodeConnections(nodeId);
+            }
+        },
+
+        applyNodeProperties: function(flow, nodeId, properties) {
+            const node = flow.nodes.get(nodeId);
+            if (!node) return;
+
+            node.properties = { ...node.properties, ...this.cloneValue(properties) };
+            node.metadata.modified = new Date();
+            this.markModified(flow);
+
+            if (this.isActiveFlow(flow)) {
+                this.refreshNode(node);
+            }
+        },
+
+        applyVariable: function(flow, name, variable) {
+            if (variable === undefined) {
+                flow.variables.delete(name);
+            } else {
+                flow.variables.set(name, this.cloneValue(variable));
+            }
+            this.markModified(flow);
+        },
+
+        getNodeConnections: function(flow, nodeId) {
+            return Array.from(flow.connections.values()).filter(conn =>
+                conn.sourceNodeId === nodeId || conn.targetNodeId === nodeId
+            );
+        },
+
         // Render the entire flow
         renderFlow: function(flow) {
             this.clearCanvas();
@@ -586,6 +891,129 @@
             return nodeElement;
         },
 
+        // Re-render a node in place after its properties changed
+        refreshNode: function(node) {
+            const existing = this.getNodeElement(node.id);
+            const element = this.createNodeElement(node);
+            if (!element) return;
+
+            if (existing) {
+                existing.replaceWith(element);
+            } else {
+                this.elements.nodesLayer.appendChild(element);
+            }
+
+            this.updateNodePosition(node);
+            this.updateSelectionUI();
+            this.updateNodeConnections(node.id);
+        },
+
+        updateNodePosition: function(node) {
+            const element = this.getNodeElement(node.id);
+            if (!element) return;
+
+            element.style.left = `${node.position.x}px`;
+            element.style.top = `${node.position.y}px`;
+        },
+
+        // Redraw every connection attached to a node
+        updateNodeConnections: function(nodeId) {
+            const flow = this.getActiveFlow();
+            if (!flow) return;
+
+            this.getNodeConnections(flow, nodeId).forEach(connection => {
+                this.renderConnection(connection);
+            });
+        },
+
+        // Draw (or redraw) a connection as an SVG bezier curve
+        renderConnection: function(connection) {
+            const svg = this.elements.connectionsLayer;
+            if (!svg) return null;
+
+            let path = this.getConnectionElement(connection.id);
+            if (!path) {
+                const style = this.getConnectionStyle(connection);
+                path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+                path.setAttribute('class', `flow-connection flow-connection-${connection.type || 'flow'}`);
+                path.setAttribute('data-connection-id', connection.id);
+                path.setAttribute('fill', 'none');
+                path.setAttribute('stroke', style.color);
+                path.setAttribute('stroke-width', '2');
+                path.setAttribute('marker-end', 'url(#arrowhead)');
+                path.setAttribute('pointer-events', 'visibleStroke');
+                if (style.style === 'dashed') path.setAttribute('stroke-dasharray', '6 4');
+                if (style.style === 'dotted') path.setAttribute('stroke-dasharray', '2 4');
+                svg.appendChild(path);
+            }
+
+            const start = this.getPortPosition(connection.sourceNodeId, connection.sourcePortId, 'output');
+            const end = this.getPortPosition(connection.targetNodeId, connection.targetPortId, 'input');
+            if (start && end) {
+                path.setAttribute('d', this.getConnectionPath(start, end));
+            }
+
+            return path;
+        },
+
+        // Pick a style from connectionTypes for a connection
+        getConnectionStyle: function(connection) {
+            if (connection.type === 'data') return this.connectionTypes.data;
+            if (connection.sourcePortId === 'error') return this.connectionTypes.error;
+            if (['true', 'false'].includes(connection.sourcePortId)) return this.connectionTypes.condition;
+            return this.connectionTypes.success;
+        },
+
+        getConnectionPath: function(start, end) {
+            const offset = Math.max(50, Math.abs(end.x - start.x) / 2);
+            return `M ${start.x} ${start.y} C ${start.x + offset} ${start.y}, ${end.x - offset} ${end.y}, ${end.x} ${end.y}`;
+        },
+
+        // Port connector centre in canvas coordinates
+        getPortPosition: function(nodeId, portId, direction) {
+            const node = this.getActiveFlow()?.nodes.get(nodeId);
+            const nodeElement = this.getNodeElement(nodeId);
+            if (!node || !nodeElement) return null;
+
+            const connector = nodeElement.querySelector(`.node-${direction}[data-port-id="${portId}"] .port-connector`);
+            if (!connector) return { ...node.position };
+
+            const nodeRect = nodeElement.getBoundingClientRect();
+            const rect = connector.getBoundingClientRect();
+            const scale = this.state.viewport.scale;
+
+            return {
+                x: node.position.x + (rect.left + rect.width / 2 - nodeRect.left) / scale,
+                y: node.position.y + (rect.top + rect.height / 2 - nodeRect.top) / scale
+            };
+        },
+
+        getNodeElement: function(nodeId) {
+            return this.elements.nodesLayer?.querySelector(`[data-node-id="${nodeId}"]`) || null;
+        },
+
+        getConnectionElement: function(connectionId) {
+            return this.elements.connectionsLayer?.querySelector(`[data-connection-id="${connectionId}"]`) || null;
+        },
+
+        // Wire the per-node action buttons
+        setupNodeEvents: function(element, node) {
+            element.querySelector('[data-action="delete"]')?.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.deleteNode(node.id);
+            });
+
+            element.querySelector('[data-action="edit"]')?.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.selectNode(node.id);
+            });
+
+            element.querySelector('[data-action="breakpoint"]')?.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.Debugger.toggleBreakpoint(node.id);
+            });
+        },
+
         // Create DOM element for a node
         createNodeElement: function(node) {
             const nodeType = this.nodeTypes.get(node.type);
@@ -594,9 +1022,13 @@
             const element = document.createElement('div');
             element.className = `flow-node flow-node-${node.type}`;
             element.dataset.nodeId = node.id;
+            if (this.Debugger?.hasBreakpoint(node.id)) {
+                element.classList.add('has-breakpoint');
+            }
             
             element.innerHTML = `
                 <div class="node-header" style="background-color: ${nodeType.color}">
+                    ${this.Debugger ? '<div class="node-breakpoint" data-action="breakpoint" title="Toggle breakpoint"></div>' : ''}
                     <div class="node-icon">
                         <i class="${nodeType.icon}"></i>
                     </div>
@@ -664,48 +1096,406 @@
             return `<div class="node-description">${nodeType?.description || ''}</div>`;
         },
 
+        // Selection
+        selectNode: function(nodeId, additive = false) {
+            const selected = this.state.interaction.selectedNodes;
+            if (!additive) {
+                selected.clear();
+                this.state.interaction.selectedConnections.clear();
+            }
+            selected.add(nodeId);
+            this.state.activeNode = nodeId;
+            this.updateSelectionUI();
+        },
+
+        selectConnection: function(connectionId, additive = false) {
+            const selected = this.state.interaction.selectedConnections;
+            if (!additive) {
+                selected.clear();
+                this.state.interaction.selectedNodes.clear();
+                this.state.activeNode = null;
+            }
+            selected.add(connectionId);
+            this.updateSelectionUI();
+        },
+
+        selectAllNodes: function() {
+            const flow = this.getActiveFlow();
+            if (!flow) return;
+
+            flow.nodes.forEach((node, nodeId) => this.state.interaction.selectedNodes.add(nodeId));
+            this.updateSelectionUI();
+        },
+
+        clearSelection: function() {
+            this.state.interaction.selectedNodes.clear();
+            this.state.interaction.selectedConnections.clear();
+            this.state.activeNode = null;
+            this.updateSelectionUI();
+        },
+
+        updateSelectionUI: function() {
+            const selected = this.state.interaction.selectedNodes;
+            this.elements.nodesLayer?.querySelectorAll('.flow-node').forEach(element => {
+                element.classList.toggle('selected', selected.has(element.dataset.nodeId));
+            });
+
+            const selectedConnections = this.state.interaction.selectedConnections;
+            this.elements.connectionsLayer?.querySelectorAll('.flow-connection').forEach(path => {
+                path.classList.toggle('selected', selectedConnections.has(path.getAttribute('data-connection-id')));
+            });
+        },
+
+        // Delete selected nodes and connections as one history step
+        deleteSelectedNodes: function() {
+            const nodeIds = Array.from(this.state.interaction.selectedNodes);
+            const connectionIds = Array.from(this.state.interaction.selectedConnections);
+            if (nodeIds.length === 0 && connectionIds.length === 0) return;
+
+            this.beginHistoryGroup(`Delete ${nodeIds.length + connectionIds.length} element(s)`);
+            try {
+                connectionIds.forEach(connectionId => this.deleteConnection(connectionId));
+                nodeIds.forEach(nodeId => this.deleteNode(nodeId));
+            } finally {
+                this.endHistoryGroup();
+            }
+            this.clearSelection();
+        },
+
+        // Copy selected nodes and the connections between them
+        copySelectedNodes: function() {
+            const flow = this.getActiveFlow();
+            const selected = this.state.interaction.selectedNodes;
+            if (!flow || selected.size === 0) return;
+
+            this.state.clipboard = {
+                nodes: Array.from(selected).map(nodeId => flow.nodes.get(nodeId)).filter(Boolean).map(node => ({
+                    id: node.id,
+                    type: node.type,
+                    position: { ...node.position },
+                    properties: this.cloneValue(node.properties)
+                })),
+                connections: Array.from(flow.connections.values())
+                    .filter(conn => selected.has(conn.sourceNodeId) && selected.has(conn.targetNodeId))
+                    .map(conn => ({ ...conn }))
+            };
+        },
+
+        pasteNodes: function(offset = { x: 40, y: 40 }) {
+            const clipboard = this.state.clipboard;
+            if (!clipboard || !this.getActiveFlow()) return;
+
+            const idMap = new Map();
+            this.beginHistoryGroup(`Paste ${clipboard.nodes.length} node(s)`);
+            try {
+                clipboard.nodes.forEach(data => {
+                    const node = this.addNode(data.type, {
+                        x: data.position.x + offset.x,
+                        y: data.position.y + offset.y
+                    }, this.cloneValue(data.properties));
+                    if (node) idMap.set(data.id, node.id);
+                });
+
+                clipboard.connections.forEach(conn => {
+                    if (idMap.has(conn.sourceNodeId) && idMap.has(conn.targetNodeId)) {
+                        this.addConnection(idMap.get(conn.sourceNodeId), conn.sourcePortId,
+                            idMap.get(conn.targetNodeId), conn.targetPortId, { properties: conn.properties });
+                    }
+                });
+            } finally {
+                this.endHistoryGroup();
+            }
+
+            this.state.interaction.selectedNodes = new Set(idMap.values());
+            this.updateSelectionUI();
+        },
+
         // Utility methods
-        generateId: function() {
-            return 'node_' + Math.random().toString(36).substr(2, 9);
+        generateId: function(prefix = 'node') {
+            return prefix + '_' + Math.random().toString(36).substr(2, 9);
         },
 
         getActiveFlow: function() {
             return this.state.flows.get(this.state.activeFlow);
         },
 
+        isActiveFlow: function(flow) {
+            return !!flow && flow.id === this.state.activeFlow;
+        },
+
+        markModified: function(flow) {
+            flow.metadata.modified = new Date();
+        },
+
+        cloneValue: function(value) {
+            return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+        },
+
         isActive: function() {
             return document.querySelector('.flow-builder-container') && 
                    this.flowBuilderContainer?.style.display !== 'none';
         },
 
-        // Save current state for undo/redo
-        saveState: function() {
+        // Record changes made directly on the flow model (outside the command API)
+        // as a snapshot step, so they can still be undone
+        saveState: function(label = 'Edit flow') {
             const flow = this.getActiveFlow();
             if (!flow) return;
 
-            // Clone the current state
-            const state = JSON.parse(JSON.stringify({
-                nodes: Array.from(flow.nodes.entries()),
-                connections: Array.from(flow.connections.entries()),
-                variables: Array.from(flow.variables.entries())
-            }));
+            const history = this.state.history;
+            const before = history.snapshot;
+            const after = this.captureSnapshot(flow);
+
+            if (before === null || before === after) {
+                history.snapshot = after;
+                return;
+            }
+
+            this.recordCommand({
+                type: 'snapshot',
+                label: label,
+                execute: () => this.restoreSnapshot(flow, after),
+                undo: () => this.restoreSnapshot(flow, before)
+            });
+        },
+
+        // History: every change is a command object with execute() and undo()
+        executeCommand: function(command) {
+            command.execute();
+            this.recordCommand(command);
+            return command;
+        },
+
+        recordCommand: function(command) {
+            const history = this.state.history;
+
+            // Inside a group the command is collected and recorded when the group ends
+            if (history.group) {
+                history.group.commands.push(command);
+                return;
+            }
+
+            // Remove future steps if we're in the middle of history
+            history.states = history.states.slice(0, history.currentIndex + 1);
+            history.states.push(command);
+            history.currentIndex++;
 
-            // Remove future states if we're in the middle of history
-            this.state.history.states = this.state.history.states.slice(0, this.state.history.currentIndex + 1);
-            
-            // Add new state
-            this.state.history.states.push(state);
-            this.state.history.currentIndex++;
-            
             // Limit history size
-            if (this.state.history.states.length > this.state.history.maxStates) {
-                this.state.history.states.shift();
-                this.state.history.currentIndex--;
+            if (history.states.length > history.maxStates) {
+                history.states.splice(0, history.states.length - history.maxStates);
+                history.currentIndex = history.states.length - 1;
             }
-            
+
+            this.afterHistoryChange();
+        },
+
+        // Group several commands (a drag, a paste, a cascade delete) into one undo step
+        beginHistoryGroup: function(label) {
+            const history = this.state.history;
+            if (history.group) {
+                history.group.depth++;
+                return;
+            }
+            history.group = { label: label, commands: [], depth: 1 };
+        },
+
+        endHistoryGroup: function() {
+            const history = this.state.history;
+            const group = history.group;
+            if (!group || --group.depth > 0) return;
+
+            history.group = null;
+
+            const commands = this.coalesceCommands(group.commands);
+            if (commands.length === 0) return;
+            if (commands.length === 1) {
+                this.recordCommand(commands[0]);
+                return;
+            }
+
+            this.recordCommand({
+                type: 'group',
+                label: group.label,
+                commands: commands,
+                execute: () => commands.forEach(command => command.execute()),
+                undo: () => commands.slice().reverse().forEach(command => command.undo())
+            });
+        },
+
+        // Merge repeated moves of the same node into a single first-to-last move
+        coalesceCommands: function(commands) {
+            const moves = new Map();
+            return commands.filter(command => {
+                if (command.type !== 'node-move') return true;
+
+                const first = moves.get(command.nodeId);
+                if (!first) {
+                    moves.set(command.nodeId, command);
+                    return true;
+                }
+                first.to = command.to;
+                return false;
+            }).filter(command =>
+                command.type !== 'node-move' || command.from.x !== command.to.x || command.from.y !== command.to.y
+            );
+        },
+
+        undo: function() {
+            const history = this.state.history;
+            if (history.group || history.currentIndex < 0) return false;
+
+            history.states[history.currentIndex].undo();
+            history.currentIndex--;
+
+            this.afterHistoryChange();
+            return true;
+        },
+
+        redo: function() {
+            const history = this.state.history;
+            if (history.group || history.currentIndex >= history.states.length - 1) return false;
+
+            history.currentIndex++;
+            history.states[history.currentIndex].execute();
+
+            this.afterHistoryChange();
+            return true;
+        },
+
+        resetHistory: function() {
+            const flow = this.getActiveFlow();
+            this.state.history.states = [];
+            this.state.history.currentIndex = -1;
+            this.state.history.group = null;
+            this.state.history.snapshot = flow ? this.captureSnapshot(flow) : null;
             this.updateHistoryButtons();
         },
 
+        afterHistoryChange: function() {
+            const flow = this.getActiveFlow();
+            if (flow) {
+                this.state.history.snapshot = this.captureSnapshot(flow);
+
+                // Drop selections pointing at nodes that no longer exist
+                this.state.interaction.selectedNodes.forEach(nodeId => {
+                    if (!flow.nodes.has(nodeId)) this.state.interaction.selectedNodes.delete(nodeId);
+                });
+            }
+
+            this.updateStatusBar();
+            this.updateHistoryButtons();
+        },
+
+        // Serialize the flow model (Maps included) to a string
+        captureSnapshot: function(flow) {
+            return JSON.stringify({
+                nodes: Array.from(flow.nodes.values()).map(node => ({
+                    ...node,
+                    inputs: Array.from(node.inputs.values()),
+                    outputs: Array.from(node.outputs.values())
+                })),
+                connections: Array.from(flow.connections.values()),
+                variables: Array.from(flow.variables.entries())
+            });
+        },
+
+        restoreSnapshot: function(flow, snapshot) {
+            const data = JSON.parse(snapshot);
+
+            flow.nodes = new Map(data.nodes.map(node => [node.id, {
+                ...node,
+                inputs: new Map(node.inputs.map(port => [port.id, port])),
+                outputs: new Map(node.outputs.map(port => [port.id, port]))
+            }]));
+            flow.connections = new Map(data.connections.map(conn => [conn.id, conn]));
+            flow.variables = new Map(data.variables);
+            this.markModified(flow);
+
+            if (this.isActiveFlow(flow)) {
+                this.renderFlow(flow);
+                this.updateSelectionUI();
+            }
+        },
+
+        // Viewport
+        setZoom: function(scale, center) {
+            const viewport = this.state.viewport;
+            const newScale = Math.min(viewport.maxScale, Math.max(viewport.minScale, scale));
+
+            // Keep the point under the centre (canvas pixels) fixed while zooming
+            if (!center) {
+                const canvas = this.elements.canvas;
+                center = { x: (canvas?.clientWidth || 0) / 2, y: (canvas?.clientHeight || 0) / 2 };
+            }
+
+            const worldX = (center.x - viewport.x) / viewport.scale;
+            const worldY = (center.y - viewport.y) / viewport.scale;
+            viewport.x = center.x - worldX * newScale;
+            viewport.y = center.y - worldY * newScale;
+            viewport.scale = newScale;
+
+            this.applyViewportTransform();
+        },
+
+        zoomIn: function() {
+            this.setZoom(this.state.viewport.scale * 1.2);
+        },
+
+        zoomOut: function() {
+            this.setZoom(this.state.viewport.scale / 1.2);
+        },
+
+        fitToScreen: function() {
+            const flow = this.getActiveFlow();
+            const canvas = this.elements.canvas;
+            if (!flow || !canvas || flow.nodes.size === 0) return;
+
+            const padding = 50;
+            let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+
+            flow.nodes.forEach(node => {
+                const element = this.getNodeElement(node.id);
+                const width = element?.offsetWidth || 200;
+                const height = element?.offsetHeight || 100;
+                minX = Math.min(minX, node.position.x);
+                minY = Math.min(minY, node.position.y);
+                maxX = Math.max(maxX, node.position.x + width);
+                maxY = Math.max(maxY, node.position.y + height);
+            });
+
+            const viewport = this.state.viewport;
+            const width = maxX - minX + padding * 2;
+            const height = maxY - minY + padding * 2;
+            const scale = Math.min(viewport.maxScale, Math.max(viewport.minScale,
+                Math.min(canvas.clientWidth / width, canvas.clientHeight / height, 1)));
+
+            viewport.scale = scale;
+            viewport.x = (canvas.clientWidth - (maxX - minX) * scale) / 2 - minX * scale;
+            viewport.y = (canvas.clientHeight - (maxY - minY) * scale) / 2 - minY * scale;
+
+            this.applyViewportTransform();
+        },
+
+        applyViewportTransform: function() {
+            const { x, y, scale } = this.state.viewport;
+            const transform = `translate(${x}px, ${y}px) scale(${scale})`;
+
+            [this.elements.nodesLayer, this.elements.connectionsLayer].forEach(layer => {
+                if (!layer) return;
+                layer.style.transformOrigin = '0 0';
+                layer.style.transform = transform;
+            });
+
+            const grid = this.flowBuilderContainer?.querySelector('.canvas-grid');
+            if (grid) {
+                const size = (this.getActiveFlow()?.settings.gridSize || 20) * scale;
+                grid.style.backgroundSize = `${size}px ${size}px`;
+                grid.style.backgroundPosition = `${x}px ${y}px`;
+            }
+
+            this.updateZoomLevel();
+        },
+
         // Clear the canvas
         clearCanvas: function() {
             if (this.elements.nodesLayer) {
@@ -754,16 +1544,405 @@
             }
         },
 
-        // Placeholder methods for complex operations
-        handleCanvasMouseDown: function(e) { /* Implementation */ },
-        handleCanvasMouseMove: function(e) { /* Implementation */ },
-        handleCanvasMouseUp: function(e) { /* Implementation */ },
-        handleCanvasWheel: function(e) { /* Implementation */ },
-        zoomIn: function() { /* Implementation */ },
-        zoomOut: function() { /* Implementation */ },
-        fitToScreen: function() { /* Implementation */ },
-        undo: function() { /* Implementation */ },
-        redo: function() { /* Implementation */ },
+        // Pointer position relative to the canvas element
+        getCanvasPoint: function(e) {
+            const rect = this.elements.canvas.getBoundingClientRect();
+            return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+        },
+
+        // Convert canvas pixels to flow coordinates
+        toFlowPoint: function(point) {
+            const viewport = this.state.viewport;
+            return {
+                x: (point.x - viewport.x) / viewport.scale,
+                y: (point.y - viewport.y) / viewport.scale
+            };
+        },
+
+        snapPosition: function(position) {
+            const settings = this.getActiveFlow()?.settings;
+            if (!settings || !settings.snapToGrid) return position;
+
+            const grid = settings.gridSize || 20;
+            return {
+                x: Math.round(position.x / grid) * grid,
+                y: Math.round(position.y / grid) * grid
+            };
+        },
+
+        // Canvas mouse handling
+        handleCanvasMouseDown: function(e) {
+            if (!this.getActiveFlow()) return;
+
+            const interaction = this.state.interaction;
+            const point = this.getCanvasPoint(e);
+            const additive = e.shiftKey || e.ctrlKey || e.metaKey;
+
+            // Middle button or Alt+drag pans the canvas
+            if (e.button === 1 || (e.button === 0 && e.altKey)) {
+                e.preventDefault();
+                interaction.isPanning = true;
+                interaction.panStart = { x: point.x, y: point.y, viewX: this.state.viewport.x, viewY: this.state.viewport.y };
+                return;
+            }
+
+            if (e.button !== 0) return;
+
+            // Start drawing a connection from an output port
+            const port = e.target.closest('.node-port');
+            if (port && port.dataset.portType === 'output') {
+                e.preventDefault();
+                this.startConnection(port, point);
+                return;
+            }
+
+            // Node action buttons handle their own clicks
+            if (e.target.closest('.node-action-btn')) return;
+
+            const nodeElement = e.target.closest('.flow-node');
+            if (nodeElement) {
+                e.preventDefault();
+                const nodeId = nodeElement.dataset.nodeId;
+
+                if (additive && interaction.selectedNodes.has(nodeId)) {
+                    interaction.selectedNodes.delete(nodeId);
+                    this.updateSelectionUI();
+                    return;
+                }
+                if (!interaction.selectedNodes.has(nodeId) || additive) {
+                    this.selectNode(nodeId, additive);
+                }
+
+                this.startNodeDrag(point);
+                return;
+            }
+
+            const connectionPath = e.target.closest('.flow-connection');
+            if (connectionPath) {
+                this.selectConnection(connectionPath.getAttribute('data-connection-id'), additive);
+                return;
+            }
+
+            // Empty canvas: rubber-band selection
+            if (!additive) this.clearSelection();
+            this.startSelectionBox(point, additive);
+        },
+
+        handleCanvasMouseMove: function(e) {
+            const interaction = this.state.interaction;
+            if (!interaction.isPanning && !interaction.isDragging && !interaction.isConnecting && !interaction.selectionBox) {
+                return;
+            }
+
+            const point = this.getCanvasPoint(e);
+
+            if (interaction.isPanning) {
+                const start = interaction.panStart;
+                this.state.viewport.x = start.viewX + point.x - start.x;
+                this.state.viewport.y = start.viewY + point.y - start.y;
+                this.applyViewportTransform();
+            } else if (interaction.isDragging) {
+                this.updateNodeDrag(point);
+            } else if (interaction.isConnecting) {
+                this.updateConnectionPreview(point, e.target);
+            } else if (interaction.selectionBox) {
+                this.updateSelectionBox(point);
+            }
+        },
+
+        handleCanvasMouseUp: function(e) {
+            const interaction = this.state.interaction;
+
+            if (interaction.isPanning) {
+                interaction.isPanning = false;
+                interaction.panStart = null;
+            } else if (interaction.isDragging) {
+                this.finishNodeDrag();
+            } else if (interaction.isConnecting) {
+                this.finishConnection(e.target);
+            } else if (interaction.selectionBox) {
+                this.finishSelectionBox();
+            }
+        },
+
+        // Zoom around the cursor
+        handleCanvasWheel: function(e) {
+            if (!this.getActiveFlow()) return;
+            e.preventDefault();
+
+            const factor = Math.exp(-e.deltaY * 0.0015);
+            this.setZoom(this.state.viewport.scale * factor, this.getCanvasPoint(e));
+        },
+
+        // Touch maps onto the mouse handlers (single finger only)
+        handleCanvasTouchStart: function(e) {
+            if (e.touches.length !== 1) return;
+            const touch = e.touches[0];
+            this.handleCanvasMouseDown(this.createTouchEvent(e, touch));
+        },
+
+        handleCanvasTouchMove: function(e) {
+            if (e.touches.length !== 1) return;
+            const touch = e.touches[0];
+            const interaction = this.state.interaction;
+            if (interaction.isDragging || interaction.isPanning || interaction.isConnecting || interaction.selectionBox) {
+                e.preventDefault();
+            }
+            this.handleCanvasMouseMove(this.createTouchEvent(e, touch));
+        },
+
+        handleCanvasTouchEnd: function(e) {
+            const touch = e.changedTouches[0];
+            if (!touch) return;
+            this.handleCanvasMouseUp(this.createTouchEvent(e, touch));
+        },
+
+        createTouchEvent: function(e, touch) {
+            return {
+                button: 0,
+                clientX: touch.clientX,
+                clientY: touch.clientY,
+                shiftKey: false,
+                ctrlKey: false,
+                metaKey: false,
+                altKey: false,
+                target: document.elementFromPoint(touch.clientX, touch.clientY) || e.target,
+                preventDefault: () => e.preventDefault()
+            };
+        },
+
+        // Dragging selected nodes; the whole drag is a single history step
+        startNodeDrag: function(point) {
+            const flow = this.getActiveFlow();
+            const interaction = this.state.interaction;
+
+            interaction.isDragging = true;
+            interaction.dragStart = this.toFlowPoint(point);
+            interaction.dragNodes = new Map();
+
+            interaction.selectedNodes.forEach(nodeId => {
+                const node = flow.nodes.get(nodeId);
+                if (node) interaction.dragNodes.set(nodeId, { ...node.position });
+            });
+        },
+
+        updateNodeDrag: function(point) {
+            const flow = this.getActiveFlow();
+            const interaction = this.state.interaction;
+            const current = this.toFlowPoint(point);
+            const dx = current.x - interaction.dragStart.x;
+            const dy = current.y - interaction.dragStart.y;
+
+            interaction.dragNodes.forEach((start, nodeId) => {
+                const position = this.snapPosition({ x: start.x + dx, y: start.y + dy });
+                this.applyNodePosition(flow, nodeId, position);
+            });
+        },
+
+        finishNodeDrag: function() {
+            const flow = this.getActiveFlow();
+            const interaction = this.state.interaction;
+
+            interaction.isDragging = false;
+            const dragNodes = interaction.dragNodes;
+            interaction.dragNodes = null;
+            if (!flow || !dragNodes) return;
+
+            this.beginHistoryGroup(dragNodes.size > 1 ? `Move ${dragNodes.size} nodes` : 'Move node');
+            try {
+                dragNodes.forEach((start, nodeId) => {
+                    const node = flow.nodes.get(nodeId);
+                    if (node) this.moveNode(nodeId, node.position, start);
+                });
+            } finally {
+                this.endHistoryGroup();
+            }
+        },
+
+        // Drawing connections
+        startConnection: function(portElement, point) {
+            const nodeElement = portElement.closest('.flow-node');
+            const node = this.getActiveFlow().nodes.get(nodeElement.dataset.nodeId);
+            const port = node?.outputs.get(portElement.dataset.portId);
+            if (!port) return;
+
+            const interaction = this.state.interaction;
+            interaction.isConnecting = true;
+            interaction.connectionStart = {
+                nodeId: node.id,
+                portId: port.id,
+                portType: port.type,
+                position: this.getPortPosition(node.id, port.id, 'output')
+            };
+
+            const preview = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+            preview.setAttribute('class', 'flow-connection-preview');
+            preview.setAttribute('fill', 'none');
+            preview.setAttribute('stroke', port.type === 'data' ? this.connectionTypes.data.color : '#666');
+            preview.setAttribute('stroke-width', '2');
+            preview.setAttribute('stroke-dasharray', '6 4');
+            preview.setAttribute('pointer-events', 'none');
+            this.elements.connectionsLayer.appendChild(preview);
+            interaction.connectionPreview = preview;
+
+            this.updateConnectionPreview(point, null);
+        },
+
+        updateConnectionPreview: function(point, target) {
+            const interaction = this.state.interaction;
+            const start = interaction.connectionStart;
+            const end = this.toFlowPoint(point);
+
+            interaction.connectionPreview?.setAttribute('d', this.getConnectionPath(start.position, end));
+
+            // Show whether the port under the pointer accepts this connection
+            this.clearPortHighlights();
+            const targetPort = target?.closest?.('.node-port');
+            if (targetPort && targetPort.dataset.portType === 'input') {
+                const result = this.canConnect(start.nodeId, start.portId,
+                    targetPort.closest('.flow-node').dataset.nodeId, targetPort.dataset.portId);
+                targetPort.classList.add(result.valid ? 'port-valid' : 'port-invalid');
+                targetPort.title = result.valid ? '' : result.reason;
+            }
+        },
+
+        finishConnection: function(target) {
+            const interaction = this.state.interaction;
+            const start = interaction.connectionStart;
+
+            interaction.isConnecting = false;
+            interaction.connectionStart = null;
+            interaction.connectionPreview?.remove();
+            interaction.connectionPreview = null;
+            this.clearPortHighlights();
+
+            const targetPort = target?.closest?.('.node-port');
+            if (!start || !targetPort || targetPort.dataset.portType !== 'input') return null;
+
+            const targetNodeId = targetPort.closest('.flow-node').dataset.nodeId;
+            const result = this.canConnect(start.nodeId, start.portId, targetNodeId, targetPort.dataset.portId);
+            if (!result.valid) {
+                console.warn('Cannot connect:', result.reason);
+                return null;
+            }
+
+            return this.addConnection(start.nodeId, start.portId, targetNodeId, targetPort.dataset.portId);
+        },
+
+        clearPortHighlights: function() {
+            this.elements.nodesLayer?.querySelectorAll('.port-valid, .port-invalid').forEach(element => {
+                element.classList.remove('port-valid', 'port-invalid');
+            });
+        },
+
+        // Check that an output port may be wired to an input port
+        canConnect: function(sourceNodeId, sourcePortId, targetNodeId, targetPortId) {
+            const flow = this.getActiveFlow();
+            const sourcePort = flow?.nodes.get(sourceNodeId)?.outputs.get(sourcePortId);
+            const targetPort = flow?.nodes.get(targetNodeId)?.inputs.get(targetPortId);
+
+            if (!sourcePort || !targetPort) {
+                return { valid: false, reason: 'Unknown port' };
+            }
+            if (sourceNodeId === targetNodeId) {
+                return { valid: false, reason: 'A node cannot connect to itself' };
+            }
+            if (sourcePort.type !== targetPort.type) {
+                return { valid: false, reason: `Cannot connect ${sourcePort.type} output to ${targetPort.type} input` };
+            }
+
+            const connections = Array.from(flow.connections.values());
+            if (connections.some(conn =>
+                conn.sourceNodeId === sourceNodeId && conn.sourcePortId === sourcePortId &&
+                conn.targetNodeId === targetNodeId && conn.targetPortId === targetPortId
+            )) {
+                return { valid: false, reason: 'Connection already exists' };
+            }
+
+            // A data input carries a single value
+            if (targetPort.type === 'data' && connections.some(conn =>
+                conn.targetNodeId === targetNodeId && conn.targetPortId === targetPortId
+            )) {
+                return { valid: false, reason: 'Data input is already connected' };
+            }
+
+            return { valid: true, reason: '' };
+        },
+
+        // Rubber-band selection
+        startSelectionBox: function(point, additive) {
+            const box = document.createElement('div');
+            box.className = 'selection-box';
+            box.style.position = 'absolute';
+            box.style.pointerEvents = 'none';
+            this.elements.canvas.appendChild(box);
+
+            this.state.interaction.selectionBox = {
+                element: box,
+                start: point,
+                end: point,
+                initial: additive ? new Set(this.state.interaction.selectedNodes) : new Set()
+            };
+            this.updateSelectionBox(point);
+        },
+
+        updateSelectionBox: function(point) {
+            const selectionBox = this.state.interaction.selectionBox;
+            selectionBox.end = point;
+
+            const left = Math.min(selectionBox.start.x, point.x);
+            const top = Math.min(selectionBox.start.y, point.y);
+            Object.assign(selectionBox.element.style, {
+                left: `${left}px`,
+                top: `${top}px`,
+                width: `${Math.abs(point.x - selectionBox.start.x)}px`,
+                height: `${Math.abs(point.y - selectionBox.start.y)}px`
+            });
+
+            // Live-select nodes that intersect the box
+            const from = this.toFlowPoint({ x: left, y: top });
+            const to = this.toFlowPoint({ x: Math.max(selectionBox.start.x, point.x), y: Math.max(selectionBox.start.y, point.y) });
+            const selected = new Set(selectionBox.initial);
+
+            this.getActiveFlow().nodes.forEach(node => {
+                const element = this.getNodeElement(node.id);
+                const width = element?.offsetWidth || 0;
+                const height = element?.offsetHeight || 0;
+
+                if (node.position.x < to.x && node.position.x + width > from.x &&
+                    node.position.y < to.y && node.position.y + height > from.y) {
+                    selected.add(node.id);
+                }
+            });
+
+            this.state.interaction.selectedNodes = selected;
+            this.updateSelectionUI();
+        },
+
+        finishSelectionBox: function() {
+            const selectionBox = this.state.interaction.selectionBox;
+            this.state.interaction.selectionBox = null;
+            selectionBox?.element.remove();
+        },
+
+        // Create nodes by dropping palette templates onto the canvas
+        handleNodeDragStart: function(e) {
+            const template = e.target.closest('.node-template');
+            e.dataTransfer.setData('application/x-flow-node-type', template.dataset.nodeType);
+            e.dataTransfer.effectAllowed = 'copy';
+        },
+
+        handleCanvasDrop: function(e) {
+            e.preventDefault();
+
+            const nodeType = e.dataTransfer.getData('application/x-flow-node-type');
+            if (!nodeType || !this.getActiveFlow()) return;
+
+            const position = this.snapPosition(this.toFlowPoint(this.getCanvasPoint(e)));
+            const node = this.addNode(nodeType, position);
+            if (node) this.selectNode(node.id);
+        },
+
         exportFlow: function() { /* Implementation */ },
         importFlow: function() { /* Implementation */ }
     };
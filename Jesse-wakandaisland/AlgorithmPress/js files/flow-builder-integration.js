@@ -20,6 +20,7 @@
         state: {
             activeIntegrations: new Map(),
             codeGenerationQueue: [],
+            editorFlowId: null,
             executionContext: null,
             bridgeConnections: new Map()
         },
@@ -40,22 +41,28 @@
             // Create bridge between flows and PHP-WASM
             this.phpWasmBridge = {
                 // Execute PHP code from flow
-                executeCode: async function(code, variables = {}) {
+                executeCode: async function(code, variables = {}, options = {}) {
                     try {
-                        if (window.PHPWasm && window.PHPWasm.run) {
-                            // Inject variables into PHP context
-                            let phpCode = '<?php\n';
-                            
-                            // Add variables
-                            Object.entries(variables).forEach(([key, value]) => {
-                                const serializedValue = typeof value === 'string' ? 
-                                    `"${value.replace(/"/g, '\\"')}"` : 
-                                    JSON.stringify(value);
-                                phpCode += `$${key} = ${serializedValue};\n`;
+                        // Inject variables into PHP context
+                        let phpCode = '<?php\n';
+                        
+                        // Add variables
+                        Object.entries(variables).forEach(([key, value]) => {
+                            const serializedValue = typeof value === 'string' ? 
+                                `"${value.replace(/"/g, '\\"')}"` : 
+                                JSON.stringify(value);
+                            phpCode += `$${key} = ${serializedValue};\n`;
+                        });
+                        
+                        phpCode += code;
+                        
+                        if (typeof PHPWasmIntegration !== 'undefined' && PHPWasmIntegration.isInitialized()) {
+                            const result = await PHPWasmIntegration.execute(phpCode, {
+                                scope: options.scope || 'editor',
+                                timeout: options.timeout
                             });
-                            
-                            phpCode += code;
-                            
+                            return { success: true, output: result.stdout, stderr: result.stderr };
+                        } else if (window.PHPWasm && window.PHPWasm.run) {
                             const result = await window.PHPWasm.run(phpCode);
                             return { success: true, output: result };
                         } else {
@@ -80,50 +87,82 @@
                 },
 
                 generateMainFile: function(flow) {
-                    return `<?php
-require_once 'config.php';
-require_once 'functions.php';
-
-// Generated from flow: ${flow.name}
-// Auto-generated by AlgorithmPress Flow Builder
-
-${this.generateFlowLogic(flow)}
-
-// Main execution
-try {
-    $result = executeFlow();
-    echo json_encode($result);
-} catch (Exception $e) {
-    http_response_code(500);
-    echo json_encode(['error' => $e->getMessage()]);
-}
-?>`;
+                    return FlowBuilder.CodeGeneration.generatePHPMainFile(flow);
                 },
 
                 generateFunctionsFile: function(flow) {
-                    const functions = this.extractFunctionsFromFlow(flow);
-                    return `<?php
-// Generated functions from flow: ${flow.name}
+                    return FlowBuilder.CodeGeneration.generatePHPFunctionsFile(flow);
+                },
 
-${functions.join('\n\n')}
+                generateConfigFile: function(flow) {
+                    return FlowBuilder.CodeGeneration.generatePHPConfigFile(flow);
+                },
 
-function executeFlow() {
-    // Main flow execution logic
-    ${this.generateFlowExecutionCode(flow)}
-}
-?>`;
+                generateTemplates: function(flow) {
+                    return { 'ui.php': FlowBuilder.CodeGeneration.generatePHPTemplate(flow) };
                 },
 
-                generateFlowLogic: function(flow) {
-                    // Convert flow nodes to PHP logic
-                    let phpCode = '';
-                    
-                    // Process each node and generate corresponding PHP
-                    flow.nodes.forEach(node => {
-                        phpCode += this.generateNodeCode(node);
-                    });
-                    
-                    return phpCode;
+                generateAssets: function(flow) {
+                    return { 'style.css': FlowBuilder.CodeGeneration.generateCSS(flow) };
+                },
+
+                // Run a flow's generated PHP in the browser and decode its JSON result
+                runFlow: async function(flow, input = null, entry = null) {
+                    try {
+                        let output;
+
+                        if (typeof PHPWasmIntegration !== 'undefined' && PHPWasmIntegration.isInitialized()) {
+                            // Write the project to the flow's own scope and run index.php
+                            const root = `/flows/${flow.id}`;
+                            const scope = { scope: `flow:${flow.id}` };
+                            const project = await this.generateProject(flow);
+                            for (const [name, content] of Object.entries(project)) {
+                                if (typeof content === 'string') {
+                                    await PHPWasmIntegration.createFile(`${root}/${name}`, content, scope);
+                                } else {
+                                    for (const [file, fileContent] of Object.entries(content)) {
+                                        await PHPWasmIntegration.createFile(`${root}/${name}${file}`, fileContent, scope);
+                                    }
+                                }
+                            }
+
+                            const literal = FlowBuilder.CodeGeneration.toPHPLiteral;
+                            const script = `<?php
+$flowInput = json_decode(${literal(JSON.stringify(input))}, true);
+$flowEntry = ${literal(entry)};
+$flowFormat = 'json';
+$flowDebug = ${typeof PHPWasmErrors !== 'undefined' ? 'true' : 'false'};
+include ${literal(root + '/index.php')};`;
+
+                            if (typeof PHPWasmErrors !== 'undefined') {
+                                // Errors in functions.php point at the node whose step raised them
+                                const run = await PHPWasmErrors.run(script, {
+                                    ...scope,
+                                    source: `flow:${flow.id}`,
+                                    sourceMap: FlowBuilder.CodeGeneration.getPHPSourceMap(flow, project['functions.php'], `${root}/functions.php`)
+                                });
+                                const failure = run.problems.find(problem => problem.severity === 'error');
+                                if (failure) {
+                                    return { success: false, error: PHPWasmErrors.formatProblem(failure), problems: run.problems, output: run.stdout };
+                                }
+                                output = run.stdout;
+                            } else {
+                                output = await PHPWasmIntegration.executeCode(script, scope);
+                            }
+                        } else if (window.PHPWasm && window.PHPWasm.run) {
+                            output = await window.PHPWasm.run(FlowBuilder.CodeGeneration.generatePHPProgram(flow, {
+                                input: input,
+                                entry: entry
+                            }));
+                        } else {
+                            throw new Error('PHP-WASM not available');
+                        }
+
+                        const result = JSON.parse(String(output).slice(String(output).indexOf('{')));
+                        return { success: result.status === 'completed', result: result, error: result.error, output: output };
+                    } catch (error) {
+                        return { success: false, error: error.message };
+                    }
                 }
             };
         },
@@ -145,6 +184,9 @@ function executeFlow() {
                                 <button class="btn btn-outline-secondary btn-sm" id="generate-from-flow">
                                     <i class="fas fa-magic"></i> Generate Code
                                 </button>
+                                <button class="btn btn-outline-secondary btn-sm" id="flow-from-code">
+                                    <i class="fas fa-project-diagram"></i> Code to Flow
+                                </button>
                                 <button class="btn btn-outline-info btn-sm" id="flow-templates">
                                     <i class="fas fa-templates"></i> Templates
                                 </button>
@@ -166,6 +208,10 @@ function executeFlow() {
                         FlowBuilder.Integration.showCodeGenerationDialog();
                     });
 
+                    document.getElementById('flow-from-code')?.addEventListener('click', () => {
+                        FlowBuilder.Integration.importFromEditor();
+                    });
+
                     document.getElementById('flow-templates')?.addEventListener('click', () => {
                         FlowBuilder.Integration.showFlowTemplates();
                     });
@@ -284,7 +330,12 @@ function executeFlow() {
                             <div class="output-console" id="output-console"></div>
                         </div>
                     `;
-                    
+
+                    // Stream runtime events into the panel
+                    if (FlowBuilder.Execution) {
+                        FlowBuilder.Execution.attachPanel(panel);
+                    }
+
                     return panel;
                 }
             };
@@ -314,28 +365,20 @@ function executeFlow() {
                     }
                 },
 
-                // Generate PHP code
+                // Generate PHP code: one function per node, run from executeFlow()
                 generatePHP: function(flow, options) {
-                    let code = `<?php
-// Generated from flow: ${flow.name}
-// Generated at: ${new Date().toISOString()}
-
-`;
-
-                    // Process nodes in execution order
-                    const executionOrder = this.getExecutionOrder(flow);
-                    
-                    executionOrder.forEach(nodeId => {
-                        const node = flow.nodes.get(nodeId);
-                        code += this.generatePHPNodeCode(node, flow);
-                    });
-
-                    return code;
+                    return FlowBuilder.CodeGeneration.generatePHPProgram(flow, options);
                 },
 
                 // Generate JavaScript code
                 generateJavaScript: function(flow, options) {
-                    let code = `// Generated from flow: ${flow.name}
+                    // Vue single-file components only allow comments in HTML form
+                    let code = options.framework === 'vue' ?
+                        `<!-- Generated from flow: ${flow.name} -->
+<!-- Generated at: ${new Date().toISOString()} -->
+
+` :
+                        `// Generated from flow: ${flow.name}
 // Generated at: ${new Date().toISOString()}
 
 `;
@@ -360,6 +403,9 @@ function executeFlow() {
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
     <title>${flow.name}</title>
     <!-- Generated at: ${new Date().toISOString()} -->
+    <style>
+${this.generateCSS(flow)}
+    </style>
 </head>
 <body>
 `;
@@ -368,6 +414,9 @@ function executeFlow() {
                     html += this.generateHTMLFromUINodes(flow);
 
                     html += `
+<script>
+${this.generateVanillaJS(flow)}
+</script>
 </body>
 </html>`;
 
@@ -381,7 +430,7 @@ function executeFlow() {
                     
                     // Find start nodes
                     const startNodes = Array.from(flow.nodes.values())
-                        .filter(node => node.type === 'start' || this.isStartNode(node));
+                        .filter(node => node.type === 'start' || this.isStartNode(node, flow));
                     
                     // Depth-first traversal
                     startNodes.forEach(startNode => {
@@ -391,6 +440,31 @@ function executeFlow() {
                     return order;
                 },
 
+                isStartNode: function(node, flow) {
+                    return FlowBuilder.CodeGeneration.isStartNode(node, flow);
+                },
+
+                // JavaScript, HTML and CSS targets live in flow-code-generation.js
+                generateVanillaJS: function(flow) {
+                    return FlowBuilder.CodeGeneration.generateVanillaJS(flow);
+                },
+
+                generateReactComponent: function(flow) {
+                    return FlowBuilder.CodeGeneration.generateReactComponent(flow);
+                },
+
+                generateVueComponent: function(flow) {
+                    return FlowBuilder.CodeGeneration.generateVueComponent(flow);
+                },
+
+                generateHTMLFromUINodes: function(flow) {
+                    return FlowBuilder.CodeGeneration.generateHTMLFromUINodes(flow);
+                },
+
+                generateCSS: function(flow) {
+                    return FlowBuilder.CodeGeneration.generateCSS(flow);
+                },
+
                 dfsTraversal: function(node, flow, visited, order) {
                     if (visited.has(node.id)) return;
                     
@@ -410,44 +484,11 @@ function executeFlow() {
                 },
 
                 generatePHPNodeCode: function(node, flow) {
-                    switch (node.type) {
-                        case 'http-request':
-                            return this.generatePHPHttpRequest(node);
-                        case 'condition':
-                            return this.generatePHPCondition(node);
-                        case 'database-query':
-                            return this.generatePHPDatabaseQuery(node);
-                        case 'send-email':
-                            return this.generatePHPSendEmail(node);
-                        default:
-                            return `// Node: ${node.type} (${node.id})\n`;
-                    }
-                },
-
-                generatePHPHttpRequest: function(node) {
-                    return `
-// HTTP Request: ${node.properties.title}
-$curl = curl_init();
-curl_setopt_array($curl, [
-    CURLOPT_URL => "${node.properties.url}",
-    CURLOPT_RETURNTRANSFER => true,
-    CURLOPT_CUSTOMREQUEST => "${node.properties.method}",
-    CURLOPT_TIMEOUT => ${node.properties.timeout / 1000},
-]);
-
-$response = curl_exec($curl);
-$httpCode = curl_getinfo($curl, CURLINFO_HTTP_CODE);
-curl_close($curl);
-
-if ($httpCode >= 200 && $httpCode < 300) {
-    // Success path
-    $responseData = json_decode($response, true);
-} else {
-    // Error path
-    throw new Exception("HTTP request failed: " . $httpCode);
-}
-
-`;
+                    return FlowBuilder.CodeGeneration.generatePHPStep(node, flow, {
+                        helpers: new Set(),
+                        subflows: new Map(),
+                        portInput: false
+                    });
                 }
             };
         },
@@ -551,6 +592,41 @@ if ($httpCode >= 200 && $httpCode < 300) {
             }
         },
 
+        // Rebuild the editor's PHP as a flow; importing again replaces the previous one
+        importFromEditor: async function() {
+            const editor = this.editorIntegration.getCurrentEditor();
+            const code = editor ? this.editorIntegration.getEditorContent(editor) : '';
+            if (!code.trim()) {
+                alert('The editor has no PHP code to import');
+                return null;
+            }
+            if (!FlowBuilder.PHPImport) {
+                alert('PHP import is not available');
+                return null;
+            }
+
+            try {
+                const previous = FlowBuilder.state.flows.get(this.state.editorFlowId);
+                const flow = await FlowBuilder.importPHP(code, previous ? { name: previous.name } : {});
+                if (previous && previous.id !== flow.id) {
+                    FlowBuilder.state.flows.delete(previous.id);
+                }
+                this.state.editorFlowId = flow.id;
+
+                const report = FlowBuilder.ExportImport.lastImportReport?.conversion;
+                if (report && (report.warnings.length || report.placeholders.length || report.droppedConnections.length)) {
+                    console.warn(FlowBuilder.ExportImport.formatConversionReport(report));
+                }
+
+                this.openFlowBuilder();
+                return flow;
+            } catch (error) {
+                console.error('PHP import failed:', error);
+                alert('Could not build a flow from the editor code: ' + error.message);
+                return null;
+            }
+        },
+
         showCodeGenerationDialog: function() {
             const modal = document.createElement('div');
             modal.className = 'modal fade';
@@ -574,6 +650,7 @@ if ($httpCode >= 200 && $httpCode < 300) {
                                     <option value="php">PHP</option>
                                     <option value="javascript">JavaScript</option>
                                     <option value="html">HTML</option>
+                                    <option value="css">CSS</option>
                                 </select>
                             </div>
                             <div class="mb-3">
@@ -24,6 +24,140 @@
         });
     }
 
+    // Compare two values for condition-style nodes
+    function evaluateCondition(left, operator, right, dataType) {
+        const cast = (value) => {
+            switch (dataType) {
+                case 'number':
+                    return Number(value);
+                case 'boolean':
+                    return value === true || value === 'true' || value === 1 || value === '1';
+                case 'date':
+                    return new Date(value).getTime();
+                default:
+                    return typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value ?? '');
+            }
+        };
+
+        if (operator === 'contains') {
+            if (Array.isArray(left)) return left.includes(right);
+            return String(left ?? '').includes(String(right ?? ''));
+        }
+
+        const a = cast(left);
+        const b = cast(right);
+
+        switch (operator) {
+            case 'equals':
+                return a === b;
+            case 'not-equals':
+                return a !== b;
+            case 'greater':
+                return a > b;
+            case 'less':
+                return a < b;
+            default:
+                throw new Error(`Unknown operator: ${operator}`);
+        }
+    }
+
+    // Compile a user expression such as "item => item.name"
+    function compileExpression(expression) {
+        return new Function(`return (${expression});`)();
+    }
+
+    // Convert a duration property to milliseconds
+    function toMilliseconds(duration, unit) {
+        const multipliers = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+        return Number(duration) * (multipliers[unit] || 1);
+    }
+
+    // Marks the result a PHP run-code script prints after its own output
+    const PHP_RESULT_MARKER = '__ALGORITHMPRESS_RUN_CODE__';
+
+    // Single-line PHP expression decoding a JSON-compatible value
+    function phpValue(value) {
+        const bytes = new TextEncoder().encode(JSON.stringify(value === undefined ? null : value));
+        let binary = '';
+        bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+        return `json_decode(base64_decode('${btoa(binary)}'), true)`;
+    }
+
+    // Wrap PHP run-code code in a script: the code is a function body over $input and
+    // $variables (get/set), as in generated PHP, and keeps its line numbers after line 1
+    function buildPhpRunCodeScript(code, input, variables) {
+        const body = String(code || '')
+            .replace(/^(\s*)<\?php\b/, '$1')
+            .replace(/\?>\s*$/, '');
+
+        return {
+            code: [
+                `<?php $input = ${phpValue(input || {})}; ` +
+                'if (!is_array($input)) $input = [\'value\' => $input]; ' +
+                `$variables = new class(${phpValue(variables || {})} ?: []) { ` +
+                'public array $changed = []; ' +
+                'public function __construct(public array $vars) {} ' +
+                'public function get(string $name): mixed { return $this->vars[$name] ?? null; } ' +
+                'public function set(string $name, mixed $value): void { $this->vars[$name] = $value; $this->changed[$name] = true; } ' +
+                '}; $result = (function (array $input, $variables) {',
+                body,
+                '})($input, $variables);',
+                `echo "\\n${PHP_RESULT_MARKER}", json_encode(['result' => $result, 'variables' => array_intersect_key($variables->vars, $variables->changed)], JSON_PARTIAL_OUTPUT_ON_ERROR), "\\n";`
+            ].join('\n'),
+            lineOffset: 1
+        };
+    }
+
+    // Flow variables a PHP run-code node reads with $variables->get('name')
+    function phpRunCodeVariables(code, getVariable) {
+        const variables = {};
+        const pattern = /\$variables->get\(\s*(['"])([^'"]+)\1\s*\)/g;
+        let match;
+        while ((match = pattern.exec(String(code || ''))) !== null) {
+            variables[match[2]] = getVariable(match[2]);
+        }
+        return variables;
+    }
+
+    // Run a PHP run-code node; variables it sets are copied back to the flow
+    async function runPhpCode(node, inputData, context) {
+        if (typeof PHPWasmErrors === 'undefined' || !PHPWasmErrors.isAvailable()) {
+            return { success: false, error: 'PHP-WASM not available' };
+        }
+
+        const code = node.properties.code || '';
+        const script = buildPhpRunCodeScript(code, inputData, phpRunCodeVariables(code, context.getVariable));
+        const result = await PHPWasmErrors.run(script.code, {
+            scope: `flow:${context.flow.id}`,
+            source: `flow:${context.flow.id}:${node.id}`,
+            sourceMap: [{
+                start: script.lineOffset + 1,
+                end: script.lineOffset + code.split('\n').length,
+                target: { type: 'flow-node', flowId: context.flow.id, id: node.id, label: node.properties.title }
+            }]
+        });
+
+        const failure = result.problems.find(problem => problem.severity === 'error');
+        result.problems
+            .filter(problem => problem !== failure)
+            .forEach(problem => context.log(PHPWasmErrors.formatProblem(problem), 'warning'));
+        if (failure) {
+            return { success: false, error: PHPWasmErrors.formatProblem(failure), problems: result.problems };
+        }
+
+        const index = result.stdout.lastIndexOf(PHP_RESULT_MARKER);
+        if (index === -1) {
+            return { success: false, error: 'The PHP code ended without a result' };
+        }
+
+        const output = result.stdout.slice(0, Math.max(0, index - 1));
+        const report = JSON.parse(result.stdout.slice(index + PHP_RESULT_MARKER.length));
+        Object.entries(report.variables || {}).forEach(([name, value]) => context.setVariable(name, value));
+        if (output) context.log(output, 'info');
+
+        return { success: true, result: report.result };
+    }
+
     // ================================
     // TRIGGER NODES
     // ================================
@@ -69,6 +203,9 @@
             method: 'POST',
             path: '/webhook',
             authentication: 'none',
+            token: '',
+            username: '',
+            password: '',
             responseFormat: 'json'
         },
         renderContent: function(node) {
@@ -80,7 +217,10 @@
         propertyFields: [
             { name: 'method', type: 'select', options: ['GET', 'POST', 'PUT', 'DELETE'] },
             { name: 'path', type: 'text', placeholder: '/webhook' },
-            { name: 'authentication', type: 'select', options: ['none', 'bearer', 'basic'] }
+            { name: 'authentication', type: 'select', options: ['none', 'bearer', 'basic'] },
+            { name: 'token', type: 'text', placeholder: 'Bearer token' },
+            { name: 'username', type: 'text', placeholder: 'Basic auth username' },
+            { name: 'password', type: 'password', placeholder: 'Basic auth password' }
         ]
     });
 
@@ -104,6 +244,7 @@
             return `<div class="node-schedule-content">
                 <div class="schedule-type">${node.properties.type.toUpperCase()}</div>
                 <div class="schedule-expression">${node.properties.expression}</div>
+                ${FlowBuilder.Scheduler ? FlowBuilder.Scheduler.renderNextRuns(node) : ''}
             </div>`;
         }
     });
@@ -162,7 +303,16 @@
             { name: 'operator', type: 'select', options: ['equals', 'not-equals', 'greater', 'less', 'contains'] },
             { name: 'rightValue', type: 'text', label: 'Right Value' },
             { name: 'dataType', type: 'select', options: ['text', 'number', 'boolean', 'date'] }
-        ]
+        ],
+        execute: async function(node, inputData, context) {
+            const result = evaluateCondition(
+                context.resolve(node.properties.leftValue),
+                node.properties.operator,
+                context.resolve(node.properties.rightValue),
+                node.properties.dataType
+            );
+            return { success: true, next: result ? 'true' : 'false' };
+        }
     });
 
     registerNodeType('switch', {
@@ -186,6 +336,17 @@
                 { value: '', output: 'case1' },
                 { value: '', output: 'case2' }
             ]
+        },
+        execute: async function(node, inputData, context) {
+            const variable = node.properties.variable;
+            const value = context.getVariable(variable) !== undefined ?
+                context.getVariable(variable) :
+                context.resolve(variable);
+
+            const match = (node.properties.cases || []).find(switchCase =>
+                String(context.resolve(switchCase.value)) === String(value)
+            );
+            return { success: true, next: match ? match.output : 'default' };
         }
     });
 
@@ -207,6 +368,29 @@
             title: 'Loop',
             type: 'array',
             variable: 'item'
+        },
+        execute: async function(node, inputData, context) {
+            const source = inputData.data;
+            let items;
+
+            if (node.properties.type === 'count') {
+                items = Array.from({ length: Number(source) || 0 }, (_, index) => index);
+            } else if (Array.isArray(source)) {
+                items = source;
+            } else if (source && typeof source === 'object') {
+                items = Object.values(source);
+            } else {
+                items = source === undefined || source === null ? [] : [source];
+            }
+
+            for (let index = 0; index < items.length; index++) {
+                if (context.isAborted()) break;
+                context.setVariable(node.properties.variable, items[index]);
+                context.setVariable(`${node.properties.variable}Index`, index);
+                await context.follow('each');
+            }
+
+            return { success: true, next: 'complete' };
         }
     });
 
@@ -227,6 +411,10 @@
             duration: 1000,
             unit: 'ms'
         },
+        execute: async function(node, inputData, context) {
+            await context.sleep(toMilliseconds(node.properties.duration, node.properties.unit));
+            return { success: true };
+        },
         renderContent: function(node) {
             return `<div class="node-delay-content">
                 <div class="delay-duration">${node.properties.duration} ${node.properties.unit}</div>
@@ -272,7 +460,39 @@
             { name: 'headers', type: 'json', label: 'Headers' },
             { name: 'body', type: 'textarea', label: 'Request Body' },
             { name: 'timeout', type: 'number', label: 'Timeout (ms)' }
-        ]
+        ],
+        execute: async function(node, inputData, context) {
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), node.properties.timeout || 5000);
+            const method = node.properties.method || 'GET';
+
+            try {
+                const response = await fetch(context.resolve(node.properties.url), {
+                    method: method,
+                    headers: node.properties.headers || {},
+                    body: method === 'GET' ? undefined : context.resolve(node.properties.body) || undefined,
+                    signal: controller.signal
+                });
+
+                const text = await response.text();
+                let body = text;
+                try {
+                    body = JSON.parse(text);
+                } catch (e) {
+                    // Non-JSON responses are passed through as text
+                }
+
+                const result = { status: response.status, body: body };
+                if (!response.ok) {
+                    return { success: false, error: `HTTP ${response.status}`, response: result };
+                }
+                return { success: true, response: result };
+            } catch (error) {
+                return { success: false, error: error.name === 'AbortError' ? 'Request timed out' : error.message };
+            } finally {
+                clearTimeout(timer);
+            }
+        }
     });
 
     registerNodeType('send-email', {
@@ -305,7 +525,7 @@
 
     registerNodeType('run-code', {
         name: 'Run Code',
-        description: 'Execute custom JavaScript code',
+        description: 'Execute custom JavaScript or PHP code',
         category: 'actions',
         icon: 'fas fa-code',
         color: '#6f42c1',
@@ -322,6 +542,31 @@
             code: '// Your code here\nreturn "Hello World";',
             language: 'javascript'
         },
+        execute: async function(node, inputData, context) {
+            if (node.properties.language === 'php') {
+                try {
+                    return await runPhpCode(node, inputData, context);
+                } catch (error) {
+                    return { success: false, error: error.message };
+                }
+            }
+            if (node.properties.language !== 'javascript') {
+                return { success: false, error: `Unsupported language: ${node.properties.language}` };
+            }
+
+            const AsyncFunction = Object.getPrototypeOf(async function() {}).constructor;
+            const fn = new AsyncFunction('input', 'variables', node.properties.code);
+            const variables = {
+                get: context.getVariable,
+                set: context.setVariable
+            };
+
+            return { success: true, result: await fn(inputData, variables) };
+        },
+        // Script for running or debugging PHP code outside a generated flow
+        buildPhpScript: function(node, inputData, variables) {
+            return buildPhpRunCodeScript(node.properties.code, inputData, variables);
+        },
         renderContent: function(node) {
             const codePreview = node.properties.code.substring(0, 50) + '...';
             return `<div class="node-code-content">
@@ -352,13 +597,13 @@
             path: '',
             format: 'json'
         },
-        execute: async function(node, inputData) {
+        execute: async function(node, inputData, context) {
             if (window.AlgorithmPressStorage && node.properties.provider) {
                 try {
                     const result = await window.AlgorithmPressStorage.upload(
                         node.properties.provider,
-                        inputData,
-                        node.properties.path
+                        inputData.data,
+                        context.resolve(node.properties.path)
                     );
                     return { success: true, result };
                 } catch (error) {
@@ -446,6 +691,11 @@
             content: 'Hello World!',
             style: 'normal',
             markdown: false
+        },
+        execute: async function(node, inputData, context) {
+            const text = inputData.text !== undefined ? inputData.text : context.resolve(node.properties.content);
+            context.log(typeof text === 'object' ? JSON.stringify(text) : String(text), 'output');
+            return { success: true };
         }
     });
 
@@ -497,7 +747,35 @@
         propertyFields: [
             { name: 'operation', type: 'select', options: ['map', 'filter', 'reduce', 'sort'] },
             { name: 'expression', type: 'textarea', placeholder: 'item => item.name' }
-        ]
+        ],
+        execute: async function(node, inputData) {
+            const data = inputData.data;
+            if (!node.properties.expression) {
+                return { success: true, result: data };
+            }
+
+            const fn = compileExpression(node.properties.expression);
+            if (!Array.isArray(data)) {
+                return { success: true, result: fn(data) };
+            }
+
+            let result;
+            switch (node.properties.operation) {
+                case 'filter':
+                    result = data.filter(fn);
+                    break;
+                case 'reduce':
+                    result = data.reduce(fn);
+                    break;
+                case 'sort':
+                    result = [...data].sort(fn);
+                    break;
+                default:
+                    result = data.map(fn);
+            }
+
+            return { success: true, result: result };
+        }
     });
 
     registerNodeType('filter-data', {
@@ -517,7 +795,27 @@
         defaultProperties: {
             title: 'Filter Data',
             condition: '',
-            operator: 'equals'
+            operator: 'equals',
+            field: '',
+            value: ''
+        },
+        execute: async function(node, inputData, context) {
+            const data = Array.isArray(inputData.data) ? inputData.data : [];
+
+            // A condition expression takes precedence over field/operator/value matching
+            if (node.properties.condition) {
+                return { success: true, filtered: data.filter(compileExpression(node.properties.condition)) };
+            }
+
+            const expected = context.resolve(node.properties.value);
+            const filtered = data.filter(item => evaluateCondition(
+                node.properties.field ? item?.[node.properties.field] : item,
+                node.properties.operator,
+                expected,
+                typeof expected === 'number' ? 'number' : 'text'
+            ));
+
+            return { success: true, filtered: filtered };
         }
     });
 
@@ -540,6 +838,43 @@
             function: 'count',
             groupBy: '',
             field: ''
+        },
+        execute: async function(node, inputData) {
+            const data = Array.isArray(inputData.data) ? inputData.data : [];
+            const { field, groupBy } = node.properties;
+
+            const aggregate = (items) => {
+                const values = items.map(item => Number(field ? item?.[field] : item)).filter(value => !isNaN(value));
+                switch (node.properties.function) {
+                    case 'sum':
+                        return values.reduce((total, value) => total + value, 0);
+                    case 'avg':
+                        return values.length ? values.reduce((total, value) => total + value, 0) / values.length : 0;
+                    case 'min':
+                        return values.length ? Math.min(...values) : null;
+                    case 'max':
+                        return values.length ? Math.max(...values) : null;
+                    default:
+                        return items.length;
+                }
+            };
+
+            if (!groupBy) {
+                return { success: true, result: aggregate(data) };
+            }
+
+            const groups = {};
+            data.forEach(item => {
+                const key = item?.[groupBy];
+                (groups[key] = groups[key] || []).push(item);
+            });
+
+            const result = {};
+            Object.entries(groups).forEach(([key, items]) => {
+                result[key] = aggregate(items);
+            });
+
+            return { success: true, result: result };
         }
     });
 
@@ -561,7 +896,29 @@
             title: 'Database Query',
             connection: '',
             query: 'SELECT * FROM users LIMIT 10',
-            parameters: {}
+            parameters: {},
+            project: ''
+        },
+        execute: async function(node, inputData, context) {
+            // Runs against the SQLite file of a builder project: connection "myapp" is the
+            // myapp.sqlite an sqlite-database component with dbName "myapp" uses
+            if (typeof PHPWasmSQLite === 'undefined' || !PHPWasmSQLite.isAvailable()) {
+                return { success: false, error: 'Database queries need PHP-WASM with SQLite' };
+            }
+
+            const parameters = {};
+            Object.entries(node.properties.parameters || {}).forEach(([name, value]) => {
+                parameters[name] = context.resolve(value);
+            });
+
+            try {
+                const result = await PHPWasmSQLite.query(node.properties.connection || 'default', node.properties.query, parameters, {
+                    scope: node.properties.project || undefined
+                });
+                return { success: true, results: result.rows };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
         }
     });
 
@@ -588,7 +945,49 @@
             code: '<?php\necho "Hello from PHP!";\n?>',
             timeout: 5000
         },
-        execute: async function(node, inputData) {
+        execute: async function(node, inputData, context) {
+            // Pooled workers isolate each flow and can stop runaway scripts
+            // Errors are reported with the node's own line numbers in the problems panel
+            if (typeof PHPWasmErrors !== 'undefined' && PHPWasmErrors.isAvailable()) {
+                try {
+                    const code = node.properties.code;
+                    const result = await PHPWasmErrors.run(code, {
+                        scope: `flow:${context.flow.id}`,
+                        timeout: node.properties.timeout,
+                        source: `flow:${context.flow.id}:${node.id}`,
+                        sourceMap: [{
+                            start: 1,
+                            end: code.split('\n').length,
+                            target: { type: 'flow-node', flowId: context.flow.id, id: node.id, label: node.properties.title }
+                        }]
+                    });
+                    if (result.stderr) context.log(result.stderr.trim(), 'warning');
+
+                    const failure = result.problems.find(problem => problem.severity === 'error');
+                    result.problems
+                        .filter(problem => problem !== failure)
+                        .forEach(problem => context.log(PHPWasmErrors.formatProblem(problem), 'warning'));
+
+                    if (failure) {
+                        return { success: false, error: PHPWasmErrors.formatProblem(failure), output: result.stdout, problems: result.problems };
+                    }
+                    return { success: true, output: result.stdout };
+                } catch (error) {
+                    return { success: false, error: error.message };
+                }
+            }
+            if (typeof PHPWasmIntegration !== 'undefined' && PHPWasmIntegration.isInitialized()) {
+                try {
+                    const result = await PHPWasmIntegration.execute(node.properties.code, {
+                        scope: `flow:${context.flow.id}`,
+                        timeout: node.properties.timeout
+                    });
+                    if (result.stderr) context.log(result.stderr.trim(), 'warning');
+                    return { success: true, output: result.stdout };
+                } catch (error) {
+                    return { success: false, error: error.message };
+                }
+            }
             if (window.PHPWasm) {
                 try {
                     const result = await window.PHPWasm.run(node.properties.code);
@@ -621,6 +1020,33 @@
             method: 'GET',
             siteUrl: '',
             auth: {}
+        },
+        execute: async function(node, inputData, context) {
+            const siteUrl = context.resolve(node.properties.siteUrl);
+            if (!siteUrl) {
+                return { success: false, error: 'WordPress site URL not set' };
+            }
+
+            const headers = { 'Content-Type': 'application/json' };
+            const auth = node.properties.auth || {};
+            if (auth.username && auth.password) {
+                headers.Authorization = 'Basic ' + btoa(`${auth.username}:${auth.password}`);
+            }
+
+            try {
+                const response = await fetch(`${siteUrl.replace(/\/$/, '')}/wp-json/wp/v2/${node.properties.endpoint}`, {
+                    method: node.properties.method,
+                    headers: headers
+                });
+                const body = await response.json();
+
+                if (!response.ok) {
+                    return { success: false, error: body.message || `HTTP ${response.status}`, response: body };
+                }
+                return { success: true, response: body };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
         }
     });
 
@@ -665,6 +1091,15 @@
             title: 'Set Variable',
             variableName: '',
             value: ''
+        },
+        execute: async function(node, inputData, context) {
+            if (!node.properties.variableName) {
+                return { success: false, error: 'Variable name not set' };
+            }
+
+            const value = inputData.value !== undefined ? inputData.value : context.resolve(node.properties.value);
+            context.setVariable(node.properties.variableName, value);
+            return { success: true };
         }
     });
 
@@ -684,9 +1119,44 @@
         defaultProperties: {
             title: 'Get Variable',
             variableName: ''
+        },
+        execute: async function(node, inputData, context) {
+            return { success: true, value: context.getVariable(node.properties.variableName) };
         }
     });
 
+    // Terminal node of a subflow; each one becomes an output port on the subflow node
+    registerNodeType('subflow-output', {
+        name: 'Subflow Output',
+        description: 'Leave a subflow through one of its outputs',
+        category: 'utility',
+        icon: 'fas fa-sign-out-alt',
+        color: '#6f42c1',
+        inputs: [
+            { id: 'input', name: 'Input', type: 'flow' },
+            { id: 'data', name: 'Data', type: 'data' }
+        ],
+        outputs: [],
+        defaultProperties: {
+            title: 'Output',
+            port: 'output',
+            portType: 'flow'
+        },
+        renderContent: function(node) {
+            return `<div class="node-subflow-output-content">
+                <i class="fas fa-arrow-right"></i>
+                <span>${node.properties.port} (${node.properties.portType})</span>
+            </div>`;
+        },
+        execute: async function(node, inputData, context) {
+            context.output(node.properties.port, inputData.data);
+            return { success: true };
+        }
+    });
+
+    // Let other modules (subflows, plugins) add node types
+    FlowBuilder.registerNodeType = registerNodeType;
+
     // Register default node types with the flow builder
     FlowBuilder.registerDefaultNodeTypes = function() {
         // All node types are automatically registered above
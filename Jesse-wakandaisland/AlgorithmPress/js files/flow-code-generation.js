@@ -0,0 +1,2223 @@
+/**
+ * AlgorithmPress Flow Code Generation
+ * Turns flows into standalone JavaScript, React, Vue, HTML, CSS and PHP that
+ * follow branch ports and loops the same way the execution engine does
+ */
+
+(function(window, document) {
+    'use strict';
+
+    // Ensure flow builder core is available
+    if (!window.AlgorithmPressFlowBuilder) {
+        console.error('AlgorithmPress Flow Builder Core required');
+        return;
+    }
+
+    const FlowBuilder = window.AlgorithmPressFlowBuilder;
+
+    // Runtime helpers copied into generated code when a node needs them
+    const JS_HELPERS = {
+        resolve: `// Replace {{name.path}} placeholders with flow variables
+function resolve(value) {
+    if (typeof value !== 'string') return value;
+
+    const lookup = (path) => {
+        const [name, ...rest] = path.trim().split('.');
+        let current = vars[name];
+        for (const key of rest) {
+            if (current === null || current === undefined) return undefined;
+            current = current[key];
+        }
+        return current;
+    };
+
+    const single = value.match(/^\\{\\{\\s*([\\w.]+)\\s*\\}\\}$/);
+    if (single) return lookup(single[1]);
+
+    return value.replace(/\\{\\{\\s*([\\w.]+)\\s*\\}\\}/g, (match, path) => {
+        const resolved = lookup(path);
+        if (resolved === undefined || resolved === null) return '';
+        return typeof resolved === 'object' ? JSON.stringify(resolved) : String(resolved);
+    });
+}`,
+        compare: `// Compare two values the way condition nodes do
+function compare(left, operator, right, dataType) {
+    const cast = (value) => {
+        switch (dataType) {
+            case 'number':
+                return Number(value);
+            case 'boolean':
+                return value === true || value === 'true' || value === 1 || value === '1';
+            case 'date':
+                return new Date(value).getTime();
+            default:
+                return typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value ?? '');
+        }
+    };
+
+    if (operator === 'contains') {
+        if (Array.isArray(left)) return left.includes(right);
+        return String(left ?? '').includes(String(right ?? ''));
+    }
+
+    const a = cast(left);
+    const b = cast(right);
+
+    switch (operator) {
+        case 'equals':
+            return a === b;
+        case 'not-equals':
+            return a !== b;
+        case 'greater':
+            return a > b;
+        case 'less':
+            return a < b;
+        default:
+            throw new Error(\`Unknown operator: \${operator}\`);
+    }
+}`,
+        toItems: `// Turn a loop's data input into the list of items to visit
+function toItems(source) {
+    if (Array.isArray(source)) return source;
+    if (source && typeof source === 'object') return Object.values(source);
+    return source === undefined || source === null ? [] : [source];
+}`,
+        aggregate: `// Count, sum, average or find the min/max of a list, optionally grouped
+function aggregate(data, fn, field, groupBy) {
+    const items = Array.isArray(data) ? data : [];
+    const summarize = (group) => {
+        const values = group.map(item => Number(field ? item?.[field] : item)).filter(value => !isNaN(value));
+        switch (fn) {
+            case 'sum':
+                return values.reduce((total, value) => total + value, 0);
+            case 'avg':
+                return values.length ? values.reduce((total, value) => total + value, 0) / values.length : 0;
+            case 'min':
+                return values.length ? Math.min(...values) : null;
+            case 'max':
+                return values.length ? Math.max(...values) : null;
+            default:
+                return group.length;
+        }
+    };
+
+    if (!groupBy) return summarize(items);
+
+    const groups = {};
+    items.forEach(item => {
+        const key = item?.[groupBy];
+        (groups[key] = groups[key] || []).push(item);
+    });
+
+    const result = {};
+    Object.entries(groups).forEach(([key, group]) => {
+        result[key] = summarize(group);
+    });
+    return result;
+}`,
+        sleep: `function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}`
+    };
+
+    // Node type => JavaScript generator. A generator returns either the code for the
+    // node's work (errors go to a wired error port, then the default port fires),
+    // { work, next } to choose the ports itself, or { control } for branching nodes
+    const JS_NODES = {
+        start: triggerNode,
+        webhook: triggerNode,
+        schedule: triggerNode,
+        'form-submit': triggerNode,
+
+        condition: function(node, g) {
+            const props = node.properties;
+            const test = `${g.helper('compare')}(${g.resolve(props.leftValue)}, ${g.literal(props.operator || 'equals')}, ${g.resolve(props.rightValue)}, ${g.literal(props.dataType || 'text')})`;
+            const whenTrue = g.follow('true');
+            const whenFalse = g.follow('false');
+
+            if (!whenTrue && !whenFalse) {
+                return { control: `${test};` };
+            }
+            if (!whenTrue) {
+                return { control: `if (!${test}) {\n${indent(whenFalse, 4)}\n}` };
+            }
+            return {
+                control: `if (${test}) {\n${indent(whenTrue, 4)}\n}` +
+                    (whenFalse ? ` else {\n${indent(whenFalse, 4)}\n}` : '')
+            };
+        },
+
+        switch: function(node, g) {
+            const variable = node.properties.variable || '';
+            const lines = [
+                `const value = ${g.variable(variable)} !== undefined ? ${g.variable(variable)} : ${g.resolve(variable)};`,
+                '',
+                'switch (String(value)) {'
+            ];
+
+            (node.properties.cases || []).forEach(switchCase => {
+                const label = hasPlaceholders(switchCase.value) ?
+                    `String(${g.resolve(switchCase.value)})` :
+                    g.literal(String(switchCase.value ?? ''));
+                const body = g.follow(switchCase.output);
+
+                lines.push(`    case ${label}:`);
+                if (body) lines.push(indent(body, 8));
+                lines.push('        break;');
+            });
+
+            const fallback = g.follow('default');
+            if (fallback) {
+                lines.push('    default:');
+                lines.push(indent(fallback, 8));
+            }
+            lines.push('}');
+
+            return { control: lines.join('\n') };
+        },
+
+        loop: function(node, g) {
+            const variable = node.properties.variable || 'item';
+            const items = node.properties.type === 'count' ?
+                `Array.from({ length: Number(${g.input('data')}) || 0 }, (_, index) => index)` :
+                `${g.helper('toItems')}(${g.input('data')})`;
+            const each = g.follow('each');
+            const complete = g.follow('complete');
+
+            const lines = [
+                `const items = ${items};`,
+                'for (let index = 0; index < items.length; index++) {',
+                `    ${g.variable(variable)} = items[index];`,
+                `    ${g.variable(variable + 'Index')} = index;`
+            ];
+            if (each) lines.push(indent(each, 4));
+            lines.push('}');
+            if (complete) lines.push(complete);
+
+            return { control: lines.join('\n') };
+        },
+
+        delay: function(node, g) {
+            const multipliers = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+            const ms = Number(node.properties.duration) * (multipliers[node.properties.unit] || 1);
+            return `await ${g.helper('sleep')}(${ms || 0});`;
+        },
+
+        'http-request': function(node, g) {
+            const props = node.properties;
+            const method = props.method || 'GET';
+            const body = method === 'GET' ? 'undefined' : `${g.resolve(props.body)} || undefined`;
+
+            return [
+                `const response = await fetch(${g.resolve(props.url)}, {`,
+                `    method: ${g.literal(method)},`,
+                `    headers: ${g.literal(props.headers || {})},`,
+                `    body: ${body},`,
+                `    signal: AbortSignal.timeout(${Number(props.timeout) || 5000})`,
+                '});',
+                'const text = await response.text();',
+                'let body = text;',
+                'try {',
+                '    body = JSON.parse(text);',
+                '} catch (e) {',
+                '    // Non-JSON responses are passed through as text',
+                '}',
+                g.set('response', '{ status: response.status, body: body }'),
+                'if (!response.ok) {',
+                '    throw new Error(`HTTP ${response.status}`);',
+                '}'
+            ].join('\n');
+        },
+
+        // Browsers cannot send mail themselves, so hand the message to the mail client
+        'send-email': function(node, g) {
+            const props = node.properties;
+            return [
+                `const to = encodeURIComponent(${g.resolve(props.to)});`,
+                `const subject = encodeURIComponent(${g.resolve(props.subject)});`,
+                `const body = encodeURIComponent(${g.resolve(props.body)});`,
+                'window.open(`mailto:${to}?subject=${subject}&body=${body}`);'
+            ].join('\n');
+        },
+
+        'run-code': function(node, g) {
+            if (node.properties.language && node.properties.language !== 'javascript') {
+                return `throw new Error(${g.literal('Unsupported language: ' + node.properties.language)});`;
+            }
+
+            return [
+                'const code = async function(input, variables) {',
+                indent(node.properties.code || '', 4),
+                '};',
+                g.set('result', `await code({}, { get: name => vars[name], set: (name, value) => { vars[name] = value; } })`)
+            ].join('\n');
+        },
+
+        // Without AlgorithmPress storage the data is kept in localStorage under the path
+        'storage-save': function(node, g) {
+            const props = node.properties;
+            return [
+                `const data = ${g.input('data')};`,
+                `const path = ${g.resolve(props.path)};`,
+                `if (window.AlgorithmPressStorage && ${g.literal(props.provider || '')}) {`,
+                `    ${g.set('result', `await window.AlgorithmPressStorage.upload(${g.literal(props.provider || '')}, data, path)`)}`,
+                '} else {',
+                '    localStorage.setItem(path, JSON.stringify(data));',
+                `    ${g.set('result', '{ path: path }')}`,
+                '}'
+            ].join('\n');
+        },
+
+        'text-input': function(node, g) {
+            const props = node.properties;
+            const lines = [`const value = getValue(${g.literal(node.id)}) ?? '';`];
+
+            if (props.required) {
+                lines.push(`if (!value) throw new Error(${g.literal(`${props.title || 'Text Input'} is required`)});`);
+            }
+            if (props.validation) {
+                lines.push(`if (value && !new RegExp(${g.literal(props.validation)}).test(value)) {`);
+                lines.push(`    throw new Error(${g.literal(`${props.title || 'Text Input'} is not valid`)});`);
+                lines.push('}');
+            }
+            lines.push(g.set('value', 'value'));
+
+            return lines.join('\n');
+        },
+
+        button: function() {
+            return '';
+        },
+
+        'display-text': function(node, g) {
+            return [
+                `const text = ${g.inputOr('text', g.resolve(node.properties.content))};`,
+                `display(${g.literal(node.id)}, typeof text === 'object' && text !== null ? JSON.stringify(text) : String(text ?? ''));`
+            ].join('\n');
+        },
+
+        'file-upload': function(node, g) {
+            const maxSize = parseSize(node.properties.maxSize);
+            const lines = [`const files = Array.from(getFiles(${g.literal(node.id)}) || []);`];
+
+            if (maxSize) {
+                lines.push(`const tooLarge = files.find(file => file.size > ${maxSize});`);
+                lines.push(`if (tooLarge) throw new Error(\`\${tooLarge.name} is larger than ${node.properties.maxSize}\`);`);
+            }
+            lines.push(g.set('file', node.properties.multiple ? 'files' : 'files[0] || null'));
+
+            return lines.join('\n');
+        },
+
+        'transform-data': function(node, g) {
+            const props = node.properties;
+            if (!props.expression) {
+                return g.set('result', g.input('data'));
+            }
+
+            const operations = {
+                filter: 'data.filter(fn)',
+                reduce: 'data.reduce(fn)',
+                sort: '[...data].sort(fn)',
+                map: 'data.map(fn)'
+            };
+
+            return [
+                `const data = ${g.input('data')};`,
+                `const fn = (${props.expression});`,
+                g.set('result', `Array.isArray(data) ? ${operations[props.operation] || operations.map} : fn(data)`)
+            ].join('\n');
+        },
+
+        'filter-data': function(node, g) {
+            const props = node.properties;
+            const lines = [`const data = Array.isArray(${g.input('data')}) ? ${g.input('data')} : [];`];
+
+            // A condition expression takes precedence over field/operator/value matching
+            if (props.condition) {
+                lines.push(g.set('filtered', `data.filter(${props.condition})`));
+            } else {
+                const item = props.field ? `item?.[${g.literal(props.field)}]` : 'item';
+                lines.push(`const expected = ${g.resolve(props.value)};`);
+                lines.push(g.set('filtered', `data.filter(item => ${g.helper('compare')}(${item}, ${g.literal(props.operator || 'equals')}, expected, typeof expected === 'number' ? 'number' : 'text'))`));
+            }
+
+            return lines.join('\n');
+        },
+
+        'aggregate-data': function(node, g) {
+            const props = node.properties;
+            return g.set('result', `${g.helper('aggregate')}(${g.input('data')}, ${g.literal(props.function || 'count')}, ${g.literal(props.field || '')}, ${g.literal(props.groupBy || '')})`);
+        },
+
+        // Only works where AlgorithmPress' PHP-WASM SQLite support is loaded
+        'database-query': function(node, g) {
+            const props = node.properties;
+            const parameters = Object.entries(props.parameters || {})
+                .map(([name, value]) => `${g.literal(name)}: ${g.resolve(value)}`);
+            const options = props.project ? `{ scope: ${g.literal(props.project)} }` : '{}';
+
+            return [
+                `if (typeof PHPWasmSQLite === 'undefined') throw new Error(${g.literal('Database queries need AlgorithmPress PHP-WASM; generate PHP for this flow')});`,
+                g.set('results', `(await PHPWasmSQLite.query(${g.literal(props.connection || 'default')}, ${g.literal(props.query || '')}, ${parameters.length ? `{ ${parameters.join(', ')} }` : '{}'}, ${options})).rows`)
+            ].join('\n');
+        },
+
+        'php-wasm-execute': function(node, g) {
+            return [
+                "if (!window.PHPWasm) throw new Error('PHP-WASM not available');",
+                g.set('output', `await window.PHPWasm.run(${g.literal(node.properties.code || '')})`)
+            ].join('\n');
+        },
+
+        'wordpress-api': function(node, g) {
+            const props = node.properties;
+            const auth = props.auth || {};
+            const lines = [
+                `const siteUrl = ${g.resolve(props.siteUrl)};`,
+                "if (!siteUrl) throw new Error('WordPress site URL not set');",
+                "const headers = { 'Content-Type': 'application/json' };"
+            ];
+
+            if (auth.username && auth.password) {
+                lines.push(`headers.Authorization = 'Basic ' + btoa(${g.literal(`${auth.username}:${auth.password}`)});`);
+            }
+
+            return lines.concat([
+                `const response = await fetch(\`\${siteUrl.replace(/\\/$/, '')}/wp-json/wp/v2/${props.endpoint || 'posts'}\`, {`,
+                `    method: ${g.literal(props.method || 'GET')},`,
+                '    headers: headers',
+                '});',
+                'const body = await response.json();',
+                g.set('response', 'body'),
+                'if (!response.ok) throw new Error(body.message || `HTTP ${response.status}`);'
+            ]).join('\n');
+        },
+
+        'variable-set': function(node, g) {
+            if (!node.properties.variableName) {
+                return "throw new Error('Variable name not set');";
+            }
+            return `${g.variable(node.properties.variableName)} = ${g.inputOr('value', g.resolve(node.properties.value))};`;
+        },
+
+        'variable-get': function(node, g) {
+            return g.set('value', g.variable(node.properties.variableName || ''));
+        },
+
+        'subflow-output': function(node, g) {
+            const port = g.literal(node.properties.port || 'output');
+            return [
+                `${g.outputs}.fired.push(${port});`,
+                node.properties.portType === 'data' ? `${g.outputs}.data[${port}] = ${g.input('data')};` : ''
+            ].filter(Boolean).join('\n');
+        }
+    };
+
+    // PHP helpers copied into generated code when a node needs them
+    const PHP_HELPERS = {
+        state: `// Variables, port values and results shared by every step of the flow
+class FlowState
+{
+    public array $vars;
+    public array $ports = [];
+    public array $outputs = ['fired' => [], 'data' => []];
+    public array $displays = [];
+
+    public function __construct(array $vars = [])
+    {
+        $this->vars = $vars;
+    }
+
+    // Variable access for run-code nodes
+    public function get(string $name): mixed
+    {
+        return $this->vars[$name] ?? null;
+    }
+
+    public function set(string $name, mixed $value): void
+    {
+        $this->vars[$name] = $value;
+    }
+
+    // Replace {{name.path}} placeholders with flow variables
+    public function resolve(mixed $value): mixed
+    {
+        if (!is_string($value)) {
+            return $value;
+        }
+        if (preg_match('/^\\{\\{\\s*([\\w.]+)\\s*\\}\\}$/', $value, $match)) {
+            return $this->lookup($match[1]);
+        }
+
+        return preg_replace_callback('/\\{\\{\\s*([\\w.]+)\\s*\\}\\}/', function (array $match): string {
+            $resolved = $this->lookup($match[1]);
+            return $resolved === null ? '' : flow_to_string($resolved);
+        }, $value);
+    }
+
+    public function display(string $id, mixed $text): void
+    {
+        $this->displays[$id] = flow_to_string($text);
+    }
+
+    private function lookup(string $path): mixed
+    {
+        $keys = explode('.', trim($path));
+        $current = $this->vars[array_shift($keys)] ?? null;
+        foreach ($keys as $key) {
+            if (is_array($current)) {
+                $current = $current[$key] ?? null;
+            } elseif (is_object($current)) {
+                $current = $current->$key ?? null;
+            } else {
+                return null;
+            }
+        }
+        return $current;
+    }
+}`,
+        toString: `// Convert a value to text the way JavaScript's String() does
+function flow_to_string(mixed $value): string
+{
+    if (is_bool($value)) {
+        return $value ? 'true' : 'false';
+    }
+    if (is_array($value) || is_object($value)) {
+        return json_encode($value);
+    }
+    return (string) $value;
+}`,
+        requestInput: `// Trigger input: a JSON request body, otherwise the posted form fields
+function flow_request_input(): mixed
+{
+    $body = file_get_contents('php://input');
+    $decoded = $body ? json_decode($body, true) : null;
+    return $decoded ?? ($_POST ?: null);
+}`,
+        compare: `// Compare two values the way condition nodes do
+function flow_compare(mixed $left, string $operator, mixed $right, string $dataType): bool
+{
+    if ($operator === 'contains') {
+        if (is_array($left)) {
+            return in_array($right, $left, true);
+        }
+        return str_contains(flow_to_string($left), flow_to_string($right));
+    }
+
+    $cast = function (mixed $value) use ($dataType): mixed {
+        switch ($dataType) {
+            case 'number':
+                if ($value === null || $value === '' || is_bool($value)) {
+                    return (float) $value;
+                }
+                return is_numeric($value) ? (float) $value : NAN;
+            case 'boolean':
+                return $value === true || $value === 'true' || $value === 1 || $value === '1';
+            case 'date':
+                $time = strtotime(flow_to_string($value));
+                return $time === false ? NAN : $time;
+            default:
+                return $value === null ? '' : flow_to_string($value);
+        }
+    };
+
+    $a = $cast($left);
+    $b = $cast($right);
+
+    switch ($operator) {
+        case 'equals':
+            return $a === $b;
+        case 'not-equals':
+            return $a !== $b;
+        case 'greater':
+            return $a > $b;
+        case 'less':
+            return $a < $b;
+        default:
+            throw new InvalidArgumentException('Unknown operator: ' . $operator);
+    }
+}`,
+        toItems: `// Turn a loop's data input into the list of items to visit
+function flow_to_items(mixed $source): array
+{
+    if (is_array($source)) {
+        return array_values($source);
+    }
+    if (is_object($source)) {
+        return array_values(get_object_vars($source));
+    }
+    return $source === null ? [] : [$source];
+}`,
+        aggregate: `// Count, sum, average or find the min/max of a list, optionally grouped
+function flow_aggregate(mixed $data, string $fn, string $field, string $groupBy): mixed
+{
+    $items = is_array($data) ? array_values($data) : [];
+    $summarize = function (array $group) use ($fn, $field): mixed {
+        $values = [];
+        foreach ($group as $item) {
+            $value = $field !== '' ? (is_array($item) ? ($item[$field] ?? null) : null) : $item;
+            if (is_numeric($value)) {
+                $values[] = $value + 0;
+            }
+        }
+
+        switch ($fn) {
+            case 'sum':
+                return array_sum($values);
+            case 'avg':
+                return $values ? array_sum($values) / count($values) : 0;
+            case 'min':
+                return $values ? min($values) : null;
+            case 'max':
+                return $values ? max($values) : null;
+            default:
+                return count($group);
+        }
+    };
+
+    if ($groupBy === '') {
+        return $summarize($items);
+    }
+
+    $groups = [];
+    foreach ($items as $item) {
+        $groups[flow_to_string(is_array($item) ? ($item[$groupBy] ?? null) : null)][] = $item;
+    }
+    return array_map($summarize, $groups);
+}`,
+        http: `// HTTP request over PHP streams, which work under PHP-WASM where cURL is missing
+function flow_http(string $method, string $url, array $headers = [], ?string $body = null, int $timeout = 5000): array
+{
+    $lines = [];
+    foreach ($headers as $name => $value) {
+        $lines[] = $name . ': ' . $value;
+    }
+
+    $context = stream_context_create(['http' => [
+        'method' => $method,
+        'header' => implode("\\r\\n", $lines),
+        'content' => $body ?? '',
+        'timeout' => $timeout / 1000,
+        'ignore_errors' => true
+    ]]);
+
+    $text = @file_get_contents($url, false, $context);
+    if ($text === false) {
+        throw new RuntimeException(error_get_last()['message'] ?? 'Request failed');
+    }
+
+    $status = 0;
+    foreach ($http_response_header ?? [] as $header) {
+        if (preg_match('#^HTTP/\\S+\\s+(\\d{3})#', $header, $match)) {
+            $status = (int) $match[1];
+        }
+    }
+
+    $decoded = json_decode($text, true);
+    return ['status' => $status, 'body' => json_last_error() === JSON_ERROR_NONE ? $decoded : $text];
+}`,
+        database: `// Shared PDO connection for a database-query node's connection name
+function flow_database(string $name): PDO
+{
+    static $connections = [];
+
+    if (!isset($connections[$name])) {
+        if (!isset(FLOW_DATABASES[$name])) {
+            throw new RuntimeException('Unknown database connection: ' . $name);
+        }
+        $connections[$name] = new PDO(FLOW_DATABASES[$name], null, null, [
+            PDO::ATTR_ERRMODE => PDO::ERRMODE_EXCEPTION
+        ]);
+    }
+
+    return $connections[$name];
+}`,
+        uploads: `// Uploaded files for a field as a list, whether or not it allows several
+function flow_uploaded_files(string $field): array
+{
+    $upload = $_FILES[$field] ?? null;
+    if (!$upload) {
+        return [];
+    }
+    if (!is_array($upload['name'])) {
+        return $upload['error'] === UPLOAD_ERR_OK ? [$upload] : [];
+    }
+
+    $files = [];
+    foreach ($upload['name'] as $index => $name) {
+        if ($upload['error'][$index] !== UPLOAD_ERR_OK) {
+            continue;
+        }
+        $files[] = [
+            'name' => $name,
+            'type' => $upload['type'][$index],
+            'tmp_name' => $upload['tmp_name'][$index],
+            'error' => $upload['error'][$index],
+            'size' => $upload['size'][$index]
+        ];
+    }
+    return $files;
+}`
+    };
+
+    // Node type => PHP generator, with the same return shapes as JS_NODES
+    const PHP_NODES = {
+        start: triggerNode,
+        webhook: triggerNode,
+        schedule: triggerNode,
+        'form-submit': triggerNode,
+
+        condition: function(node, g) {
+            const props = node.properties;
+            const test = `${g.helper('compare')}(${g.resolve(props.leftValue)}, ${g.literal(props.operator || 'equals')}, ${g.resolve(props.rightValue)}, ${g.literal(props.dataType || 'text')})`;
+            const whenTrue = g.follow('true');
+            const whenFalse = g.follow('false');
+
+            if (!whenTrue && !whenFalse) {
+                return { control: `${test};` };
+            }
+            if (!whenTrue) {
+                return { control: `if (!${test}) {\n${indent(whenFalse, 4)}\n}` };
+            }
+            return {
+                control: `if (${test}) {\n${indent(whenTrue, 4)}\n}` +
+                    (whenFalse ? ` else {\n${indent(whenFalse, 4)}\n}` : '')
+            };
+        },
+
+        // PHP's switch compares loosely ('1e1' == '10'), so match cases with === like the runtime does
+        switch: function(node, g) {
+            const variable = node.properties.variable || '';
+            const branches = [];
+
+            (node.properties.cases || []).forEach(switchCase => {
+                const label = hasPlaceholders(switchCase.value) ?
+                    `flow_to_string(${g.resolve(switchCase.value)})` :
+                    g.literal(String(switchCase.value ?? ''));
+                const body = g.follow(switchCase.output);
+
+                branches.push(`${branches.length ? 'elseif' : 'if'} ($value === ${label}) {` + (body ? `\n${indent(body, 4)}` : '') + '\n}');
+            });
+
+            const fallback = g.follow('default');
+            if (fallback) {
+                branches.push(branches.length ? `else {\n${indent(fallback, 4)}\n}` : fallback);
+            }
+
+            return {
+                control: [
+                    `$value = ${g.helper('toString')}(${g.variable(variable)} ?? ${g.resolve(variable)});`,
+                    '',
+                    branches.join(' ')
+                ].join('\n')
+            };
+        },
+
+        loop: function(node, g) {
+            const variable = node.properties.variable || 'item';
+            const each = g.follow('each');
+            const complete = g.follow('complete');
+            const lines = node.properties.type === 'count' ?
+                [`$count = (int) ${g.input('data')};`, '$items = $count > 0 ? range(0, $count - 1) : [];'] :
+                [`$items = ${g.helper('toItems')}(${g.input('data')});`];
+
+            lines.push('foreach ($items as $index => $item) {');
+            lines.push(`    ${g.variable(variable)} = $item;`);
+            lines.push(`    ${g.variable(variable + 'Index')} = $index;`);
+            if (each) lines.push(indent(each, 4));
+            lines.push('}');
+            if (complete) lines.push(complete);
+
+            return { control: lines.join('\n') };
+        },
+
+        delay: function(node, g) {
+            const multipliers = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+            const ms = Number(node.properties.duration) * (multipliers[node.properties.unit] || 1);
+            return `usleep(${Math.round((ms || 0) * 1000)});`;
+        },
+
+        'http-request': function(node, g) {
+            const props = node.properties;
+            const method = props.method || 'GET';
+            const body = method === 'GET' ? 'null' : `flow_to_string(${g.resolve(props.body)}) ?: null`;
+
+            return [
+                `$response = ${g.helper('http')}(${g.literal(method)}, ${g.resolve(props.url)}, ${g.literal(props.headers || {})}, ${body}, ${Number(props.timeout) || 5000});`,
+                g.set('response', '$response'),
+                "if ($response['status'] < 200 || $response['status'] >= 300) {",
+                "    throw new RuntimeException('HTTP ' . $response['status']);",
+                '}'
+            ].join('\n');
+        },
+
+        'send-email': function(node, g) {
+            const props = node.properties;
+            const headers = props.isHtml ? g.literal('MIME-Version: 1.0\r\nContent-Type: text/html; charset=UTF-8') : "''";
+            return [
+                `$to = flow_to_string(${g.resolve(props.to)});`,
+                `$subject = flow_to_string(${g.resolve(props.subject)});`,
+                `$body = flow_to_string(${g.resolve(props.body)});`,
+                `if (!function_exists('mail') || !mail($to, $subject, $body, ${headers})) {`,
+                "    throw new RuntimeException('Email could not be sent to ' . $to);",
+                '}'
+            ].join('\n');
+        },
+
+        // run-code nodes written in PHP receive the flow state as $variables
+        'run-code': function(node, g) {
+            if (node.properties.language !== 'php') {
+                return `throw new RuntimeException(${g.literal(`Run Code nodes written in ${node.properties.language || 'javascript'} cannot run in PHP`)});`;
+            }
+
+            return [
+                '$code = function (array $input, FlowState $variables) {',
+                indent(stripPHPTags(node.properties.code), 4),
+                '};',
+                g.set('result', '$code([], $flow)')
+            ].join('\n');
+        },
+
+        'storage-save': function(node, g) {
+            return [
+                `$data = ${g.input('data')};`,
+                `$path = flow_to_string(${g.resolve(node.properties.path)});`,
+                "if (file_put_contents($path, is_string($data) ? $data : json_encode($data)) === false) {",
+                "    throw new RuntimeException('Could not write ' . $path);",
+                '}',
+                g.set('result', "['path' => $path]")
+            ].join('\n');
+        },
+
+        'text-input': function(node, g) {
+            const props = node.properties;
+            const lines = [`$value = flow_to_string($_REQUEST[${g.literal(g.field())}] ?? '');`];
+
+            if (props.required) {
+                lines.push("if ($value === '') {");
+                lines.push(`    throw new RuntimeException(${g.literal(`${props.title || 'Text Input'} is required`)});`);
+                lines.push('}');
+            }
+            if (props.validation) {
+                lines.push(`if ($value !== '' && !preg_match(${g.literal('~' + props.validation.replace(/~/g, '\\~') + '~u')}, $value)) {`);
+                lines.push(`    throw new RuntimeException(${g.literal(`${props.title || 'Text Input'} is not valid`)});`);
+                lines.push('}');
+            }
+            lines.push(g.set('value', '$value'));
+
+            return lines.join('\n');
+        },
+
+        button: function() {
+            return '';
+        },
+
+        'display-text': function(node, g) {
+            return [
+                `$text = ${g.inputOr('text', g.resolve(node.properties.content))};`,
+                `$flow->display(${g.literal(node.id)}, $text);`
+            ].join('\n');
+        },
+
+        'file-upload': function(node, g) {
+            const maxSize = parseSize(node.properties.maxSize);
+            const lines = [`$files = ${g.helper('uploads')}(${g.literal(g.field())});`];
+
+            if (maxSize) {
+                lines.push('foreach ($files as $file) {');
+                lines.push(`    if ($file['size'] > ${maxSize}) {`);
+                lines.push(`        throw new RuntimeException($file['name'] . ${g.literal(` is larger than ${node.properties.maxSize}`)});`);
+                lines.push('    }');
+                lines.push('}');
+            }
+            lines.push(g.set('file', node.properties.multiple ? '$files' : '$files[0] ?? null'));
+
+            return lines.join('\n');
+        },
+
+        // Expressions have to be PHP callables here, e.g. fn($item) => $item['name']
+        'transform-data': function(node, g) {
+            const props = node.properties;
+            if (!props.expression) {
+                return g.set('result', g.input('data'));
+            }
+            if (!isPHPCallable(props.expression)) {
+                return `throw new RuntimeException(${g.literal('Transform Data needs a PHP callable such as fn($item) => ... to run in PHP')});`;
+            }
+
+            const operations = {
+                filter: 'array_values(array_filter($data, $fn))',
+                reduce: 'array_reduce(array_slice($data, 1), $fn, $data[0] ?? null)',
+                sort: '(function (array $items) use ($fn) { usort($items, $fn); return $items; })($data)',
+                map: 'array_map($fn, $data)'
+            };
+
+            return [
+                `$data = ${g.input('data')};`,
+                `$fn = ${props.expression.trim()};`,
+                g.set('result', `is_array($data) ? ${operations[props.operation] || operations.map} : $fn($data)`)
+            ].join('\n');
+        },
+
+        'filter-data': function(node, g) {
+            const props = node.properties;
+            const lines = [`$data = is_array(${g.input('data')}) ? array_values(${g.input('data')}) : [];`];
+
+            // A condition expression takes precedence over field/operator/value matching
+            if (props.condition) {
+                if (!isPHPCallable(props.condition)) {
+                    return `throw new RuntimeException(${g.literal('Filter Data needs a PHP callable such as fn($item) => ... to run in PHP')});`;
+                }
+                lines.push(g.set('filtered', `array_values(array_filter($data, ${props.condition.trim()}))`));
+            } else {
+                const item = props.field ? `(is_array($item) ? ($item[${g.literal(props.field)}] ?? null) : null)` : '$item';
+                lines.push(`$expected = ${g.resolve(props.value)};`);
+                lines.push(g.set('filtered', `array_values(array_filter($data, fn($item) => ${g.helper('compare')}(${item}, ${g.literal(props.operator || 'equals')}, $expected, is_int($expected) || is_float($expected) ? 'number' : 'text')))`));
+            }
+
+            return lines.join('\n');
+        },
+
+        'aggregate-data': function(node, g) {
+            const props = node.properties;
+            return g.set('result', `${g.helper('aggregate')}(${g.input('data')}, ${g.literal(props.function || 'count')}, ${g.literal(props.field || '')}, ${g.literal(props.groupBy || '')})`);
+        },
+
+        'database-query': function(node, g) {
+            const parameters = node.properties.parameters || {};
+            const execute = Object.keys(parameters).length ?
+                `$statement->execute(array_map([$flow, 'resolve'], ${g.literal(parameters)}));` :
+                '$statement->execute();';
+
+            return [
+                `$statement = ${g.helper('database')}(${g.literal(node.properties.connection || 'default')})->prepare(${g.literal(node.properties.query || '')});`,
+                execute,
+                g.set('results', '$statement->fetchAll(PDO::FETCH_ASSOC)')
+            ].join('\n');
+        },
+
+        // The node's code runs in-process; its output is captured instead of printed
+        'php-wasm-execute': function(node, g) {
+            return [
+                'ob_start();',
+                'try {',
+                '    (function () {',
+                indent(stripPHPTags(node.properties.code), 8),
+                '    })();',
+                '} finally {',
+                '    $output = ob_get_clean();',
+                '}',
+                g.set('output', '$output')
+            ].join('\n');
+        },
+
+        'wordpress-api': function(node, g) {
+            const props = node.properties;
+            const auth = props.auth || {};
+            const headers = auth.username && auth.password ?
+                `['Content-Type' => 'application/json', 'Authorization' => 'Basic ' . base64_encode(${g.literal(`${auth.username}:${auth.password}`)})]` :
+                "['Content-Type' => 'application/json']";
+
+            return [
+                `$siteUrl = flow_to_string(${g.resolve(props.siteUrl)});`,
+                "if ($siteUrl === '') {",
+                "    throw new RuntimeException('WordPress site URL not set');",
+                '}',
+                `$response = ${g.helper('http')}(${g.literal(props.method || 'GET')}, rtrim($siteUrl, '/') . ${g.literal('/wp-json/wp/v2/' + (props.endpoint || 'posts'))}, ${headers});`,
+                g.set('response', "$response['body']"),
+                "if ($response['status'] < 200 || $response['status'] >= 300) {",
+                "    throw new RuntimeException($response['body']['message'] ?? 'HTTP ' . $response['status']);",
+                '}'
+            ].join('\n');
+        },
+
+        'variable-set': function(node, g) {
+            if (!node.properties.variableName) {
+                return "throw new RuntimeException('Variable name not set');";
+            }
+            return `${g.variable(node.properties.variableName)} = ${g.inputOr('value', g.resolve(node.properties.value))};`;
+        },
+
+        'variable-get': function(node, g) {
+            return g.set('value', `${g.variable(node.properties.variableName || '')} ?? null`);
+        },
+
+        'subflow-output': function(node, g) {
+            const port = g.literal(node.properties.port || 'output');
+            return [
+                `$flow->outputs['fired'][] = ${port};`,
+                node.properties.portType === 'data' ? `$flow->outputs['data'][${port}] = ${g.input('data')};` : ''
+            ].filter(Boolean).join('\n');
+        }
+    };
+
+    // Trigger nodes expose what they were started with on their data ports
+    function triggerNode(node, g) {
+        return g.dataOutputs()
+            .map(portId => g.set(portId, g.triggerInput(portId)))
+            .join('\n');
+    }
+
+    // Indent every non-empty line of a block
+    function indent(code, spaces) {
+        const pad = ' '.repeat(spaces);
+        return String(code).split('\n').map(line => line ? pad + line : line).join('\n');
+    }
+
+    function hasPlaceholders(value) {
+        return typeof value === 'string' && /\{\{\s*[\w.]+\s*\}\}/.test(value);
+    }
+
+    // Convert sizes such as "10MB" to bytes
+    function parseSize(size) {
+        const match = String(size || '').trim().match(/^(\d+(?:\.\d+)?)\s*(B|KB|MB|GB)?$/i);
+        if (!match) return 0;
+        const units = { B: 1, KB: 1024, MB: 1024 * 1024, GB: 1024 * 1024 * 1024 };
+        return Math.round(Number(match[1]) * units[(match[2] || 'B').toUpperCase()]);
+    }
+
+    // Attribute values that hold template expressions keep their single quotes
+    function escapeAttribute(value) {
+        return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+    }
+
+    function escapeHtml(value) {
+        return String(value ?? '').replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+    }
+
+    // Code from PHP nodes may come with its own open/close tags
+    function stripPHPTags(code) {
+        return String(code || '').replace(/^\s*<\?php\b/, '').replace(/\?>\s*$/, '').trim();
+    }
+
+    function isPHPCallable(expression) {
+        return /^\s*(static\s+)?(fn|function)\s*\(/.test(String(expression));
+    }
+
+    // Single-line PHP literal for a JSON-compatible value
+    function phpLiteral(value) {
+        if (value === null || value === undefined) return 'null';
+        if (typeof value === 'boolean') return value ? 'true' : 'false';
+        if (typeof value === 'number') return Number.isFinite(value) ? String(value) : 'null';
+        if (typeof value === 'string') return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+        if (Array.isArray(value)) return `[${value.map(phpLiteral).join(', ')}]`;
+        if (value instanceof Date) return phpLiteral(value.toISOString());
+
+        return `[${Object.entries(value).map(([key, item]) => `${phpLiteral(key)} => ${phpLiteral(item)}`).join(', ')}]`;
+    }
+
+    FlowBuilder.CodeGeneration = {
+        // Flow ports whose connections can start a branch in generated UI code
+        UI_EVENTS: {
+            button: { port: 'clicked', event: 'click' },
+            'text-input': { port: 'submitted', event: 'change' },
+            'file-upload': { port: 'uploaded', event: 'change' }
+        },
+
+        // ================================
+        // FLOW GRAPH
+        // ================================
+
+        // Triggers always start a branch; so do nodes nothing flows into, such as a button
+        isStartNode: function(node, flow) {
+            const nodeType = FlowBuilder.nodeTypes.get(node.type);
+            if (nodeType && nodeType.category === 'triggers') return true;
+            if (!flow || node.type === 'comment' || node.type === 'subflow-output') return false;
+
+            const connections = Array.from(flow.connections.values());
+            const hasIncoming = connections.some(conn => conn.targetNodeId === node.id && conn.type !== 'data');
+            const hasOutgoing = connections.some(conn => conn.sourceNodeId === node.id && conn.type !== 'data');
+            return !hasIncoming && hasOutgoing;
+        },
+
+        getEntryNodes: function(flow) {
+            return Array.from(flow.nodes.values()).filter(node => this.isStartNode(node, flow));
+        },
+
+        // Nodes connected to an output port, in connection order
+        getTargets: function(flow, nodeId, portId) {
+            return Array.from(flow.connections.values())
+                .filter(conn => conn.sourceNodeId === nodeId && conn.sourcePortId === portId)
+                .map(conn => flow.nodes.get(conn.targetNodeId))
+                .filter(Boolean);
+        },
+
+        // The connection feeding a data input port
+        getDataSource: function(flow, nodeId, portId) {
+            return Array.from(flow.connections.values()).find(conn =>
+                conn.targetNodeId === nodeId && conn.targetPortId === portId
+            ) || null;
+        },
+
+        // UI nodes only run their own step when the user changes them, so data wired
+        // from a text input or file upload reads the element's current value instead
+        getLiveValue: function(flow, source) {
+            const node = flow.nodes.get(source.sourceNodeId);
+            const id = JSON.stringify(source.sourceNodeId);
+
+            if (node?.type === 'text-input' && source.sourcePortId === 'value') {
+                return `(getValue(${id}) ?? '')`;
+            }
+            if (node?.type === 'file-upload' && source.sourcePortId === 'file') {
+                return node.properties.multiple ?
+                    `Array.from(getFiles(${id}) || [])` :
+                    `(Array.from(getFiles(${id}) || [])[0] || null)`;
+            }
+            return null;
+        },
+
+        // PHP counterpart of getLiveValue, reading the posted request field
+        getPHPLiveValue: function(flow, source, g) {
+            const node = flow.nodes.get(source.sourceNodeId);
+            if (!node) return null;
+
+            const field = phpLiteral(this.getElementId(node));
+            if (node.type === 'text-input' && source.sourcePortId === 'value') {
+                return `flow_to_string($_REQUEST[${field}] ?? '')`;
+            }
+            if (node.type === 'file-upload' && source.sourcePortId === 'file') {
+                const files = `${g.helper('uploads')}(${field})`;
+                return node.properties.multiple ? files : `(${files}[0] ?? null)`;
+            }
+            return null;
+        },
+
+        getOutputPorts: function(node) {
+            const nodeType = FlowBuilder.nodeTypes.get(node.type);
+            if (nodeType && nodeType.outputs) return nodeType.outputs;
+            return node.outputs ? Array.from(node.outputs.values()) : [];
+        },
+
+        // The port a node fires when it succeeds, matching the execution engine
+        getDefaultPort: function(node) {
+            const flowPorts = this.getOutputPorts(node).filter(port => port.type === 'flow').map(port => port.id);
+            if (flowPorts.includes('success')) return 'success';
+            return flowPorts.find(portId => portId !== 'error') || null;
+        },
+
+        // Every node a flow can reach from its entry points along flow connections
+        getReachableNodes: function(flow) {
+            const reached = new Set();
+            const visit = (node) => {
+                if (reached.has(node.id)) return;
+                reached.add(node.id);
+                this.getOutputPorts(node).filter(port => port.type === 'flow').forEach(port => {
+                    this.getTargets(flow, node.id, port.id).forEach(visit);
+                });
+            };
+
+            this.getEntryNodes(flow).forEach(visit);
+            return Array.from(flow.nodes.values()).filter(node => reached.has(node.id));
+        },
+
+        // UI nodes in reading order (top to bottom, left to right)
+        getUINodes: function(flow) {
+            return Array.from(flow.nodes.values())
+                .filter(node => FlowBuilder.nodeTypes.get(node.type)?.category === 'ui')
+                .sort((a, b) => (a.position.y - b.position.y) || (a.position.x - b.position.x));
+        },
+
+        identifier: function(id) {
+            return String(id).replace(/[^A-Za-z0-9_$]/g, '_');
+        },
+
+        toComponentName: function(name) {
+            const words = String(name || 'Flow').match(/[A-Za-z0-9]+/g) || ['Flow'];
+            const componentName = words.map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('');
+            return /^\d/.test(componentName) ? 'Flow' + componentName : componentName;
+        },
+
+        getElementId: function(node) {
+            return 'flow-' + node.id;
+        },
+
+        getInitialVariables: function(flow) {
+            const variables = {};
+            (flow.variables || new Map()).forEach((variable, name) => {
+                variables[name] = variable && typeof variable === 'object' && 'value' in variable ? variable.value : variable;
+            });
+            return variables;
+        },
+
+        // ================================
+        // JAVASCRIPT RUNTIME
+        // ================================
+
+        // createFlowRuntime(ui) runs the flow; ui supplies getValue, getFiles and display
+        generateRuntime: function(flow) {
+            const ctx = { helpers: new Set(), subflows: new Map(), outputs: 'outputs', portInput: false };
+            const steps = this.generateSteps(flow, ctx);
+            const entries = this.getEntryNodes(flow);
+            const starts = entries.filter(node => node.type === 'start');
+            const entryLines = entries.map(node => `${JSON.stringify(node.id)}: ${this.stepName(node)}`);
+
+            const sections = [
+                `const vars = ${JSON.stringify(this.getInitialVariables(flow), null, 4)};`,
+                'const ports = {};',
+                'const outputs = { fired: [], data: {} };',
+                'const getValue = ui.getValue || (() => undefined);',
+                'const getFiles = ui.getFiles || (() => []);',
+                'const display = ui.display || ((id, text) => console.log(text));'
+            ].join('\n');
+
+            const helpers = Object.keys(JS_HELPERS).filter(name => ctx.helpers.has(name)).map(name => JS_HELPERS[name]);
+            const subflows = Array.from(ctx.subflows.values()).map(subflow => subflow.code);
+
+            return `function createFlowRuntime(ui = {}) {
+${indent(sections, 4)}
+
+${indent(helpers.concat(subflows, steps).join('\n\n'), 4)}
+
+    const entries = ${entryLines.length ? `{\n${indent(entryLines.join(',\n'), 8)}\n    }` : '{}'};
+
+    return {
+        vars: vars,
+        ports: ports,
+        outputs: outputs,
+
+        // Run the flow from its start nodes
+        run: async function(input) {
+${starts.map(node => `            await ${this.stepName(node)}(input);\n`).join('')}            return vars;
+        },
+
+        // Run the flow from a trigger or UI node
+        trigger: async function(nodeId, input) {
+            if (!entries[nodeId]) {
+                throw new Error(\`Unknown entry node: \${nodeId}\`);
+            }
+            await entries[nodeId](input);
+            return vars;
+        }
+    };
+}`;
+        },
+
+        stepName: function(node) {
+            return 'step_' + this.identifier(node.id);
+        },
+
+        // One async function per reachable node
+        generateSteps: function(flow, ctx) {
+            return this.getReachableNodes(flow)
+                .filter(node => node.type !== 'comment')
+                .map(node => this.generateStep(node, flow, ctx));
+        },
+
+        generateStep: function(node, flow, ctx) {
+            const nodeType = FlowBuilder.nodeTypes.get(node.type);
+            const title = node.properties.title || nodeType?.name || node.type;
+            const g = this.createJSContext(node, flow, ctx);
+            let generator = JS_NODES[node.type];
+
+            if (!generator && FlowBuilder.Subflows && FlowBuilder.Subflows.isSubflowType(node.type)) {
+                generator = this.generateSubflowCall;
+            }
+
+            let body;
+            if (!generator) {
+                body = [`// ${node.type}: no code generator, passing through`, g.follow(this.getDefaultPort(node))]
+                    .filter(Boolean).join('\n');
+            } else {
+                const result = generator.call(this, node, g);
+                body = result && result.control !== undefined ?
+                    result.control :
+                    this.guardStep(node, g, typeof result === 'string' ? { work: result } : result);
+            }
+
+            return `// ${title.replace(/\n/g, ' ')} (${node.type})
+async function ${this.stepName(node)}(input) {
+${indent(body, 4)}
+}`;
+        },
+
+        // Send failures to a wired error port, otherwise let them end the run
+        guardStep: function(node, g, result) {
+            const work = result.work || '';
+            const onError = g.follow('error');
+
+            // A node that can only fail never reaches its default port
+            const next = /^throw /.test(work) ? '' :
+                result.next !== undefined ? result.next : g.follow(this.getDefaultPort(node));
+
+            if (!onError || !work) {
+                return [result.declare, work, next].filter(Boolean).join('\n');
+            }
+
+            return (result.declare ? result.declare + '\n' : '') + `try {
+${indent(work, 4)}
+} catch (error) {
+${indent(onError, 4)}
+    return;
+}` + (next ? '\n' + next : '');
+        },
+
+        // Helpers node generators use to read ports, variables and properties
+        createJSContext: function(node, flow, ctx) {
+            const generator = this;
+
+            return {
+                root: ctx.root || ctx,
+                outputs: ctx.outputs,
+
+                literal: function(value) {
+                    return JSON.stringify(value === undefined ? null : value);
+                },
+
+                resolve: function(value) {
+                    if (!hasPlaceholders(value)) return this.literal(value ?? '');
+                    return `${this.helper('resolve')}(${this.literal(value)})`;
+                },
+
+                helper: function(name) {
+                    ctx.helpers.add(name);
+                    return name;
+                },
+
+                variable: function(name) {
+                    return `vars[${JSON.stringify(name)}]`;
+                },
+
+                input: function(portId) {
+                    const source = generator.getDataSource(flow, node.id, portId);
+                    if (!source) return 'undefined';
+
+                    return generator.getLiveValue(flow, source) ||
+                        `ports[${JSON.stringify(source.sourceNodeId + ':' + source.sourcePortId)}]`;
+                },
+
+                // A wired data input, falling back to a property when it is undefined
+                inputOr: function(portId, fallback) {
+                    const value = this.input(portId);
+                    return value === 'undefined' ? fallback : `${value} !== undefined ? ${value} : ${fallback}`;
+                },
+
+                triggerInput: function(portId) {
+                    return ctx.portInput ? `input?.[${this.literal(portId)}]` : 'input';
+                },
+
+                set: function(portId, expression) {
+                    return `ports[${JSON.stringify(node.id + ':' + portId)}] = ${expression};`;
+                },
+
+                dataOutputs: function() {
+                    return generator.getOutputPorts(node).filter(port => port.type === 'data').map(port => port.id);
+                },
+
+                follow: function(portId) {
+                    if (!portId) return '';
+                    return generator.getTargets(flow, node.id, portId)
+                        .map(target => `await ${generator.stepName(target)}();`)
+                        .join('\n');
+                }
+            };
+        },
+
+        // Subflow nodes call a function generated from the inner flow
+        generateSubflowCall: function(node, g) {
+            const subflowId = node.type.slice(FlowBuilder.Subflows.TYPE_PREFIX.length);
+            const innerFlow = FlowBuilder.state.flows.get(subflowId);
+            if (!innerFlow) {
+                return `throw new Error(${g.literal(`Subflow '${subflowId}' is not installed`)});`;
+            }
+
+            const name = this.generateSubflowFunction(innerFlow, g);
+            const nodeType = FlowBuilder.nodeTypes.get(node.type);
+            const dataInputs = (nodeType?.inputs || []).filter(port => port.type === 'data');
+            const args = dataInputs.map(port => `${g.literal(port.id)}: ${g.input(port.id)}`).join(', ');
+            const call = `await ${name}(${args ? `{ ${args} }` : '{}'})`;
+            const outputs = this.getOutputPorts(node);
+
+            const work = [`result = ${call};`]
+                .concat(outputs.filter(port => port.type === 'data').map(port => g.set(port.id, `result.data[${g.literal(port.id)}]`)));
+
+            const next = outputs
+                .filter(port => port.type === 'flow' && port.id !== 'error')
+                .map(port => ({ port: port, code: g.follow(port.id) }))
+                .filter(entry => entry.code)
+                .map(entry => `if (result.fired.includes(${g.literal(entry.port.id)})) {\n${indent(entry.code, 4)}\n}`);
+
+            // The result has to outlive the try block that guards the call
+            return {
+                declare: 'let result;',
+                work: work.join('\n'),
+                next: next.join('\n')
+            };
+        },
+
+        generateSubflowFunction: function(innerFlow, g) {
+            const ctx = g.root;
+            const name = 'subflow_' + this.identifier(innerFlow.id);
+            if (ctx.subflows.has(innerFlow.id)) return name;
+
+            // Reserve the name first so recursive subflows do not loop forever
+            const entry = { name: name, code: '' };
+            ctx.subflows.set(innerFlow.id, entry);
+
+            const innerCtx = { root: ctx, helpers: ctx.helpers, subflows: ctx.subflows, outputs: 'result', portInput: true };
+            const steps = this.generateSteps(innerFlow, innerCtx);
+            const starts = Array.from(innerFlow.nodes.values()).filter(node => node.type === 'start');
+            const defaults = Object.entries(this.getInitialVariables(innerFlow))
+                .map(([variable, value]) => `if (vars[${JSON.stringify(variable)}] === undefined) vars[${JSON.stringify(variable)}] = ${JSON.stringify(value)};`);
+
+            // Data outputs carry whatever reached them, even if the node itself never ran
+            const dataOutputs = Array.from(innerFlow.nodes.values())
+                .filter(node => node.type === 'subflow-output' && node.properties.portType === 'data')
+                .map(node => {
+                    const value = this.createJSContext(node, innerFlow, innerCtx).input('data');
+                    return value === 'undefined' ? '' :
+                        `if (${value} !== undefined) result.data[${JSON.stringify(node.properties.port)}] = ${value};`;
+                })
+                .filter(Boolean);
+
+            entry.code = `// Subflow: ${innerFlow.name}
+async function ${name}(input) {
+    const result = { fired: [], data: {} };
+${defaults.length ? indent(defaults.join('\n'), 4) + '\n' : ''}
+${indent(steps.join('\n\n'), 4)}
+
+${indent(starts.map(node => `await ${this.stepName(node)}(input);`).concat(dataOutputs).join('\n'), 4)}
+    return result;
+}`;
+            return name;
+        },
+
+        // ================================
+        // TARGETS
+        // ================================
+
+        // Plain script that binds the runtime to the markup from generateHTMLFromUINodes
+        generateVanillaJS: function(flow) {
+            const bindings = this.getUIEntries(flow).map(({ node, binding }) =>
+                `on(${JSON.stringify(node.id)}, ${JSON.stringify(binding.event)});`
+            );
+
+            this.getEntryNodes(flow).filter(node => node.type === 'form-submit' && node.properties.formId).forEach(node => {
+                bindings.push(`onSubmit(${JSON.stringify(node.properties.formId)}, ${JSON.stringify(node.id)});`);
+            });
+
+            if (this.getEntryNodes(flow).some(node => node.type === 'start')) {
+                bindings.push('runtime.run().catch(report);');
+            }
+
+            return `(function() {
+    'use strict';
+
+${indent(this.generateRuntime(flow), 4)}
+
+    const element = (id) => document.getElementById('flow-' + id);
+
+    const runtime = createFlowRuntime({
+        getValue: (id) => element(id)?.value,
+        getFiles: (id) => element(id)?.files || [],
+        display: (id, text) => {
+            const target = element(id);
+            if (target) {
+                target.textContent = text;
+            } else {
+                console.log(text);
+            }
+        }
+    });
+
+    function report(error) {
+        console.error('Flow failed:', error);
+    }
+
+    // Start the branch behind a UI node when its element fires the event
+    function on(nodeId, eventName) {
+        const target = element(nodeId);
+        if (target) {
+            target.addEventListener(eventName, () => runtime.trigger(nodeId).catch(report));
+        }
+    }
+
+    function onSubmit(formId, nodeId) {
+        document.addEventListener('submit', (event) => {
+            if (event.target.id !== formId) return;
+            event.preventDefault();
+            runtime.trigger(nodeId, Object.fromEntries(new FormData(event.target))).catch(report);
+        });
+    }
+
+    function bind() {
+${indent(bindings.join('\n'), 8)}
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', bind);
+    } else {
+        bind();
+    }
+
+    window.AlgorithmPressFlows = window.AlgorithmPressFlows || {};
+    window.AlgorithmPressFlows[${JSON.stringify(flow.name)}] = runtime;
+})();`;
+        },
+
+        generateReactComponent: function(flow) {
+            const componentName = this.toComponentName(flow.name);
+            const uiNodes = this.getUINodes(flow);
+            const entries = new Set(this.getUIEntries(flow).map(entry => entry.node.id));
+            const initialValues = {};
+            uiNodes.filter(node => node.type === 'text-input').forEach(node => {
+                initialValues[node.id] = '';
+            });
+
+            const markup = uiNodes.map(node => this.generateReactElement(node, entries.has(node.id)));
+            const hasStart = this.getEntryNodes(flow).some(node => node.type === 'start');
+
+            return `import React, { useEffect, useMemo, useRef, useState } from 'react';
+
+${this.generateRuntime(flow)}
+
+export default function ${componentName}() {
+    const [values, setValues] = useState(${JSON.stringify(initialValues)});
+    const [displays, setDisplays] = useState({});
+    const valuesRef = useRef(values);
+    const filesRef = useRef({});
+
+    const runtime = useMemo(() => createFlowRuntime({
+        getValue: (id) => valuesRef.current[id],
+        getFiles: (id) => filesRef.current[id] || [],
+        display: (id, text) => setDisplays(current => ({ ...current, [id]: text }))
+    }), []);
+${hasStart ? `
+    useEffect(() => {
+        runtime.run().catch(console.error);
+    }, [runtime]);
+` : ''}
+    // Keep the ref current so a handler can read a value set in the same event
+    const setValue = (id, value) => {
+        valuesRef.current = { ...valuesRef.current, [id]: value };
+        setValues(valuesRef.current);
+    };
+
+    const trigger = (id) => runtime.trigger(id).catch(console.error);
+
+    return (
+        <div className="flow-app">
+${indent(markup.join('\n'), 12)}
+        </div>
+    );
+}
+`;
+        },
+
+        generateReactElement: function(node, isEntry) {
+            const props = node.properties;
+            const id = JSON.stringify(node.id);
+            const elementId = JSON.stringify(this.getElementId(node));
+            const text = (value) => `{${JSON.stringify(String(value ?? ''))}}`;
+
+            switch (node.type) {
+                case 'text-input': {
+                    const tag = props.multiline ? 'textarea' : 'input';
+                    const commit = isEntry ?
+                        (props.multiline ? `\n        onBlur={() => trigger(${id})}` : `\n        onKeyDown={(event) => event.key === 'Enter' && trigger(${id})}`) :
+                        '';
+                    return `<div className="flow-field">
+    <label htmlFor=${elementId}>${text(props.title)}</label>
+    <${tag}
+        id=${elementId}
+        className="flow-input"${props.multiline ? '' : '\n        type="text"'}
+        placeholder=${JSON.stringify(props.placeholder || '')}${props.required ? '\n        required' : ''}
+        value={values[${id}]}
+        onChange={(event) => setValue(${id}, event.target.value)}${commit}
+    />
+</div>`;
+                }
+                case 'button':
+                    return `<button
+    id=${elementId}
+    type="button"
+    className=${JSON.stringify(this.getButtonClass(node))}
+    onClick={() => trigger(${id})}
+>
+    ${text(props.text || props.title)}
+</button>`;
+                case 'display-text':
+                    return `<div id=${elementId} className=${JSON.stringify(`flow-display flow-display-${props.style || 'normal'}`)} aria-live="polite">
+    {displays[${id}]}
+</div>`;
+                case 'file-upload':
+                    return `<div className="flow-field">
+    <label htmlFor=${elementId}>${text(props.title)}</label>
+    <input
+        id=${elementId}
+        className="flow-file"
+        type="file"
+        accept=${JSON.stringify(props.accept || '*/*')}${props.multiple ? '\n        multiple' : ''}
+        onChange={(event) => {
+            filesRef.current[${id}] = Array.from(event.target.files);${isEntry ? `\n            trigger(${id});` : ''}
+        }}
+    />
+</div>`;
+                default:
+                    return '';
+            }
+        },
+
+        generateVueComponent: function(flow) {
+            const componentName = this.toComponentName(flow.name);
+            const uiNodes = this.getUINodes(flow);
+            const entries = new Set(this.getUIEntries(flow).map(entry => entry.node.id));
+            const initialValues = {};
+            uiNodes.filter(node => node.type === 'text-input').forEach(node => {
+                initialValues[node.id] = '';
+            });
+
+            const markup = uiNodes.map(node => this.generateVueElement(node, entries.has(node.id)));
+            const hasStart = this.getEntryNodes(flow).some(node => node.type === 'start');
+
+            return `<template>
+    <div class="flow-app">
+${indent(markup.join('\n'), 8)}
+    </div>
+</template>
+
+<script>
+${this.generateRuntime(flow)}
+
+export default {
+    name: ${JSON.stringify(componentName)},
+
+    data() {
+        return {
+            values: ${JSON.stringify(initialValues)},
+            displays: {},
+            files: {}
+        };
+    },
+
+    created() {
+        this.runtime = createFlowRuntime({
+            getValue: (id) => this.values[id],
+            getFiles: (id) => this.files[id] || [],
+            display: (id, text) => {
+                this.displays = { ...this.displays, [id]: text };
+            }
+        });
+    },
+${hasStart ? `
+    mounted() {
+        this.runtime.run().catch(console.error);
+    },
+` : ''}
+    methods: {
+        trigger(id) {
+            return this.runtime.trigger(id).catch(console.error);
+        },
+
+        setFiles(id, files) {
+            this.files = { ...this.files, [id]: Array.from(files) };
+        }
+    }
+};
+</script>
+
+<style scoped>
+${this.generateCSS(flow)}
+</style>
+`;
+        },
+
+        generateVueElement: function(node, isEntry) {
+            const props = node.properties;
+            const id = escapeAttribute(`'${String(node.id).replace(/[\\']/g, '\\$&')}'`);
+            const elementId = escapeHtml(this.getElementId(node));
+
+            switch (node.type) {
+                case 'text-input': {
+                    const tag = props.multiline ? 'textarea' : 'input';
+                    return `<div class="flow-field">
+    <label for="${elementId}">${escapeHtml(props.title)}</label>
+    <${tag} id="${elementId}" class="flow-input"${props.multiline ? '' : ' type="text"'} placeholder="${escapeHtml(props.placeholder)}"${props.required ? ' required' : ''}
+        v-model="values[${id}]"${isEntry ? ` @change="trigger(${id})"` : ''}${props.multiline ? '></textarea>' : ' />'}
+</div>`;
+                }
+                case 'button':
+                    return `<button id="${elementId}" type="button" class="${escapeHtml(this.getButtonClass(node))}" @click="trigger(${id})">
+    ${escapeHtml(props.text || props.title)}
+</button>`;
+                case 'display-text':
+                    return `<div id="${elementId}" class="flow-display flow-display-${escapeHtml(props.style || 'normal')}" aria-live="polite">{{ displays[${id}] }}</div>`;
+                case 'file-upload':
+                    return `<div class="flow-field">
+    <label for="${elementId}">${escapeHtml(props.title)}</label>
+    <input id="${elementId}" class="flow-file" type="file" accept="${escapeHtml(props.accept || '*/*')}"${props.multiple ? ' multiple' : ''}
+        @change="setFiles(${id}, $event.target.files)${isEntry ? `; trigger(${id})` : ''}" />
+</div>`;
+                default:
+                    return '';
+            }
+        },
+
+        // Markup for the flow's UI nodes; element ids are "flow-<node id>"
+        generateHTMLFromUINodes: function(flow) {
+            const elements = this.getUINodes(flow).map(node => {
+                const props = node.properties;
+                const elementId = escapeHtml(this.getElementId(node));
+
+                switch (node.type) {
+                    case 'text-input': {
+                        const attributes = `id="${elementId}" class="flow-input" placeholder="${escapeHtml(props.placeholder)}"` +
+                            (props.required ? ' required' : '') +
+                            (props.validation && !props.multiline ? ` pattern="${escapeHtml(props.validation)}"` : '');
+                        const field = props.multiline ?
+                            `<textarea ${attributes}></textarea>` :
+                            `<input type="text" ${attributes}>`;
+                        return `<div class="flow-field">
+    <label for="${elementId}">${escapeHtml(props.title)}</label>
+    ${field}
+</div>`;
+                    }
+                    case 'button':
+                        return `<button type="button" id="${elementId}" class="${escapeHtml(this.getButtonClass(node))}">${escapeHtml(props.text || props.title)}</button>`;
+                    case 'display-text':
+                        return `<div id="${elementId}" class="flow-display flow-display-${escapeHtml(props.style || 'normal')}" aria-live="polite"></div>`;
+                    case 'file-upload':
+                        return `<div class="flow-field">
+    <label for="${elementId}">${escapeHtml(props.title)}</label>
+    <input type="file" id="${elementId}" class="flow-file" accept="${escapeHtml(props.accept || '*/*')}"${props.multiple ? ' multiple' : ''}>
+</div>`;
+                    default:
+                        return '';
+                }
+            });
+
+            return `<div class="flow-app">
+${indent(elements.join('\n'), 4)}
+</div>`;
+        },
+
+        // Stylesheet for the generated UI
+        generateCSS: function(flow) {
+            const buttonColors = {
+                primary: '#007bff',
+                secondary: '#6c757d',
+                success: '#28a745',
+                danger: '#dc3545',
+                warning: '#ffc107',
+                info: '#17a2b8'
+            };
+            const displayColors = {
+                success: '#28a745',
+                error: '#dc3545',
+                warning: '#ffc107',
+                info: '#17a2b8',
+                muted: '#6c757d'
+            };
+
+            const buttonRules = Object.entries(buttonColors).map(([style, color]) =>
+                `.flow-button-${style} {\n    background: ${color};\n    border-color: ${color};\n    color: ${style === 'warning' ? '#212529' : '#fff'};\n}`
+            );
+            const displayRules = Object.entries(displayColors).map(([style, color]) =>
+                `.flow-display-${style} {\n    border-left-color: ${color};\n    color: ${color};\n}`
+            );
+
+            return `/* Styles for flow: ${String(flow.name).replace(/\*\//g, '* /')} */
+.flow-app {
+    display: flex;
+    flex-direction: column;
+    gap: 1rem;
+    max-width: 640px;
+    margin: 2rem auto;
+    font-family: system-ui, -apple-system, sans-serif;
+}
+
+.flow-field {
+    display: flex;
+    flex-direction: column;
+    gap: 0.25rem;
+}
+
+.flow-field label {
+    font-weight: 600;
+}
+
+.flow-input,
+.flow-file {
+    padding: 0.5rem 0.75rem;
+    border: 1px solid #ced4da;
+    border-radius: 4px;
+    font: inherit;
+}
+
+.flow-input:invalid {
+    border-color: #dc3545;
+}
+
+textarea.flow-input {
+    min-height: 6rem;
+    resize: vertical;
+}
+
+.flow-button {
+    align-self: flex-start;
+    padding: 0.5rem 1rem;
+    border: 1px solid transparent;
+    border-radius: 4px;
+    font: inherit;
+    cursor: pointer;
+}
+
+.flow-button:hover {
+    filter: brightness(0.9);
+}
+
+.flow-button-small {
+    padding: 0.25rem 0.5rem;
+    font-size: 0.875rem;
+}
+
+.flow-button-large {
+    padding: 0.75rem 1.5rem;
+    font-size: 1.25rem;
+}
+
+${buttonRules.join('\n\n')}
+
+.flow-display {
+    min-height: 1.5rem;
+    padding: 0.5rem 0.75rem;
+    border-left: 4px solid #dee2e6;
+    white-space: pre-wrap;
+}
+
+${displayRules.join('\n\n')}`;
+        },
+
+        getButtonClass: function(node) {
+            return `flow-button flow-button-${node.properties.style || 'primary'} flow-button-${node.properties.size || 'medium'}`;
+        },
+
+        // UI nodes that start a branch, with the DOM event that starts it
+        getUIEntries: function(flow) {
+            return this.getEntryNodes(flow)
+                .filter(node => this.UI_EVENTS[node.type])
+                .map(node => ({ node: node, binding: this.UI_EVENTS[node.type] }));
+        },
+
+        // ================================
+        // PHP
+        // ================================
+
+        toPHPLiteral: phpLiteral,
+
+        // Single script with configuration, functions and entry point, e.g. for PHP-WASM
+        generatePHPProgram: function(flow, options = {}) {
+            const runOptions = [];
+            if (options.input !== undefined) {
+                runOptions.push(`$flowInput = json_decode(${phpLiteral(JSON.stringify(options.input))}, true);`);
+            }
+            if (options.entry) {
+                runOptions.push(`$flowEntry = ${phpLiteral(options.entry)};`);
+            }
+
+            return `<?php
+// Generated from flow: ${flow.name}
+// Generated at: ${new Date().toISOString()}
+
+${this.generatePHPConfig(flow)}
+
+${this.generatePHPFunctions(flow)}
+${runOptions.length ? '\n' + runOptions.join('\n') + '\n' : ''}
+${this.generatePHPMain(flow, { template: false })}
+`;
+        },
+
+        generatePHPMainFile: function(flow) {
+            return `<?php
+// Generated from flow: ${flow.name}
+// Auto-generated by AlgorithmPress Flow Builder
+
+require_once __DIR__ . '/config.php';
+require_once __DIR__ . '/functions.php';
+
+${this.generatePHPMain(flow, { template: this.getUINodes(flow).length > 0 })}
+`;
+        },
+
+        generatePHPFunctionsFile: function(flow) {
+            return `<?php
+// Generated functions from flow: ${flow.name}
+
+${this.generatePHPFunctions(flow)}
+`;
+        },
+
+        generatePHPConfigFile: function(flow) {
+            return `<?php
+// Configuration for flow: ${flow.name}
+
+${this.generatePHPConfig(flow)}
+`;
+        },
+
+        // Constants used by the generated functions
+        generatePHPConfig: function(flow) {
+            const databases = {};
+            flow.nodes.forEach(node => {
+                if (node.type !== 'database-query') return;
+                const name = node.properties.connection || 'default';
+                databases[name] = name.includes(':') ? phpLiteral(name) : `'sqlite:' . __DIR__ . ${phpLiteral(`/${name}.sqlite`)}`;
+            });
+
+            const entries = Object.entries(databases).map(([name, dsn]) => `    ${phpLiteral(name)} => ${dsn},`);
+
+            return `const FLOW_NAME = ${phpLiteral(flow.name)};
+
+// PDO data source for each database-query connection
+const FLOW_DATABASES = ${entries.length ? `[\n${entries.join('\n')}\n]` : '[]'};`;
+        },
+
+        // Helpers, one function per reachable node, and executeFlow()
+        generatePHPFunctions: function(flow) {
+            const ctx = { helpers: new Set(['state', 'toString', 'requestInput']), subflows: new Map(), portInput: false };
+            const steps = this.generatePHPSteps(flow, ctx);
+            const entries = this.getEntryNodes(flow);
+            const starts = entries.filter(node => node.type === 'start');
+
+            const helpers = Object.keys(PHP_HELPERS).filter(name => ctx.helpers.has(name)).map(name => PHP_HELPERS[name]);
+            const subflows = Array.from(ctx.subflows.values()).map(subflow => subflow.code);
+            const entryLines = entries.map(node => `${phpLiteral(node.id)} => ${phpLiteral(this.stepName(node))},`);
+
+            const executeFlow = `// Run the flow from its start nodes, or from one trigger or UI node
+function executeFlow(?string $entry = null, mixed $input = null): array
+{
+    $flow = new FlowState(${phpLiteral(this.getInitialVariables(flow))});
+    $entries = ${entryLines.length ? `[\n${indent(entryLines.join('\n'), 8)}\n    ]` : '[]'};
+
+    if ($entry !== null) {
+        if (!isset($entries[$entry])) {
+            throw new InvalidArgumentException('Unknown entry node: ' . $entry);
+        }
+        $entries[$entry]($flow, $input);
+    } else {
+${starts.map(node => `        ${this.stepName(node)}($flow, $input);\n`).join('')}    }
+
+    return [
+        'status' => 'completed',
+        'variables' => $flow->vars,
+        'displays' => $flow->displays,
+        'outputs' => $flow->outputs
+    ];
+}`;
+
+            return helpers.concat(subflows, steps, [executeFlow]).join('\n\n');
+        },
+
+        // Reads the request, runs the flow and answers with JSON (or the UI template)
+        generatePHPMain: function(flow, options = {}) {
+            const render = options.template ? `
+$flowFormat = $flowFormat ?? (str_contains($_SERVER['HTTP_ACCEPT'] ?? '', 'application/json') ? 'json' : 'html');
+if ($flowFormat === 'html') {
+    require __DIR__ . '/templates/ui.php';
+    return;
+}
+` : '';
+
+            return `// Main execution
+$flowEntry = $flowEntry ?? ($_REQUEST['trigger'] ?? null);
+$flowInput = $flowInput ?? flow_request_input();
+
+try {
+    $result = executeFlow($flowEntry, $flowInput);
+} catch (Throwable $e) {
+    // The builder's runner reports the exception with its file, line and trace
+    if (!empty($flowDebug)) {
+        throw $e;
+    }
+    http_response_code(500);
+    $result = ['status' => 'failed', 'error' => $e->getMessage()];
+}
+${render}
+if (!headers_sent()) {
+    header('Content-Type: application/json');
+}
+echo json_encode($result, JSON_PRETTY_PRINT);`;
+        },
+
+        // Form that posts the UI nodes back to index.php and shows the results
+        generatePHPTemplate: function(flow) {
+            const fields = this.getUINodes(flow).map(node => {
+                const props = node.properties;
+                const elementId = escapeHtml(this.getElementId(node));
+                const value = `<?= htmlspecialchars(flow_to_string($_REQUEST[${phpLiteral(this.getElementId(node))}] ?? '')) ?>`;
+
+                switch (node.type) {
+                    case 'text-input':
+                        return `<div class="flow-field">
+    <label for="${elementId}">${escapeHtml(props.title)}</label>
+    ${props.multiline ?
+        `<textarea id="${elementId}" name="${elementId}" class="flow-input" placeholder="${escapeHtml(props.placeholder)}"${props.required ? ' required' : ''}>${value}</textarea>` :
+        `<input type="text" id="${elementId}" name="${elementId}" class="flow-input" placeholder="${escapeHtml(props.placeholder)}" value="${value}"${props.required ? ' required' : ''}>`}
+</div>`;
+                    case 'button':
+                        return `<button type="submit" id="${elementId}" name="trigger" value="${escapeHtml(node.id)}" class="${escapeHtml(this.getButtonClass(node))}">${escapeHtml(props.text || props.title)}</button>`;
+                    case 'display-text':
+                        return `<div id="${elementId}" class="flow-display flow-display-${escapeHtml(props.style || 'normal')}"><?= htmlspecialchars($result['displays'][${phpLiteral(node.id)}] ?? '') ?></div>`;
+                    case 'file-upload':
+                        return `<div class="flow-field">
+    <label for="${elementId}">${escapeHtml(props.title)}</label>
+    <input type="file" id="${elementId}" name="${elementId}${props.multiple ? '[]' : ''}" class="flow-file" accept="${escapeHtml(props.accept || '*/*')}"${props.multiple ? ' multiple' : ''}>
+</div>`;
+                    default:
+                        return '';
+                }
+            });
+
+            return `<?php /* UI for flow: ${String(flow.name).replace(/\*\//g, '* /')} */ ?>
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title><?= htmlspecialchars(FLOW_NAME) ?></title>
+    <link rel="stylesheet" href="assets/style.css">
+</head>
+<body>
+<form class="flow-app" method="post" enctype="multipart/form-data">
+    <?php if ($result['status'] === 'failed'): ?>
+    <div class="flow-display flow-display-error"><?= htmlspecialchars($result['error']) ?></div>
+    <?php endif; ?>
+${indent(fields.join('\n'), 4)}
+</form>
+</body>
+</html>
+`;
+        },
+
+        // Line ranges of each node's step function in generated PHP, for mapping errors back to nodes
+        getPHPSourceMap: function(flow, code, file) {
+            const steps = new Map(this.getReachableNodes(flow).map(node => [this.stepName(node), node]));
+            const lines = String(code).split('\n');
+            const sourceMap = [];
+
+            lines.forEach((line, index) => {
+                const match = line.match(/^function (\w+)\(/);
+                const node = match && steps.get(match[1]);
+                if (!node) return;
+
+                const end = lines.findIndex((text, i) => i > index && text === '}');
+                sourceMap.push({
+                    // The step's title comment is on the line before
+                    start: index,
+                    end: end === -1 ? lines.length : end + 1,
+                    file: file,
+                    target: { type: 'flow-node', flowId: flow.id, id: node.id, label: node.properties.title || node.type }
+                });
+            });
+
+            return sourceMap;
+        },
+
+        generatePHPSteps: function(flow, ctx) {
+            return this.getReachableNodes(flow)
+                .filter(node => node.type !== 'comment')
+                .map(node => this.generatePHPStep(node, flow, ctx));
+        },
+
+        generatePHPStep: function(node, flow, ctx) {
+            const nodeType = FlowBuilder.nodeTypes.get(node.type);
+            const title = node.properties.title || nodeType?.name || node.type;
+            const g = this.createPHPContext(node, flow, ctx);
+            let generator = PHP_NODES[node.type];
+
+            if (!generator && FlowBuilder.Subflows && FlowBuilder.Subflows.isSubflowType(node.type)) {
+                generator = this.generatePHPSubflowCall;
+            }
+
+            let body;
+            if (!generator) {
+                body = [`// ${node.type}: no code generator, passing through`, g.follow(this.getDefaultPort(node))]
+                    .filter(Boolean).join('\n');
+            } else {
+                const result = generator.call(this, node, g);
+                body = result && result.control !== undefined ?
+                    result.control :
+                    this.guardPHPStep(node, g, typeof result === 'string' ? { work: result } : result);
+            }
+
+            return `// ${title.replace(/\n/g, ' ')} (${node.type})
+function ${this.stepName(node)}(FlowState $flow, mixed $input = null): void
+{
+${indent(body, 4)}
+}`;
+        },
+
+        // Send failures to a wired error port, otherwise let them end the run
+        guardPHPStep: function(node, g, result) {
+            const work = result.work || '';
+            const onError = g.follow('error');
+
+            // A node that can only fail never reaches its default port
+            const next = /^throw /.test(work) ? '' :
+                result.next !== undefined ? result.next : g.follow(this.getDefaultPort(node));
+
+            if (!onError || !work) {
+                return [work, next].filter(Boolean).join('\n');
+            }
+
+            return `try {
+${indent(work, 4)}
+} catch (Throwable $error) {
+${indent(onError, 4)}
+    return;
+}` + (next ? '\n' + next : '');
+        },
+
+        createPHPContext: function(node, flow, ctx) {
+            const generator = this;
+
+            return {
+                root: ctx.root || ctx,
+
+                literal: phpLiteral,
+
+                resolve: function(value) {
+                    if (!hasPlaceholders(value)) return phpLiteral(value ?? '');
+                    return `$flow->resolve(${phpLiteral(value)})`;
+                },
+
+                helper: function(name) {
+                    ctx.helpers.add(name);
+                    return {
+                        compare: 'flow_compare',
+                        toItems: 'flow_to_items',
+                        aggregate: 'flow_aggregate',
+                        http: 'flow_http',
+                        database: 'flow_database',
+                        uploads: 'flow_uploaded_files',
+                        toString: 'flow_to_string'
+                    }[name];
+                },
+
+                variable: function(name) {
+                    return `$flow->vars[${phpLiteral(name)}]`;
+                },
+
+                // Request field a UI node posts its value under
+                field: function() {
+                    return generator.getElementId(node);
+                },
+
+                input: function(portId) {
+                    const source = generator.getDataSource(flow, node.id, portId);
+                    if (!source) return 'null';
+
+                    return generator.getPHPLiveValue(flow, source, this) ||
+                        `($flow->ports[${phpLiteral(source.sourceNodeId + ':' + source.sourcePortId)}] ?? null)`;
+                },
+
+                inputOr: function(portId, fallback) {
+                    const source = generator.getDataSource(flow, node.id, portId);
+                    if (!source) return fallback;
+
+                    const live = generator.getPHPLiveValue(flow, source, this);
+                    return live ?
+                        `${live} ?? ${fallback}` :
+                        `$flow->ports[${phpLiteral(source.sourceNodeId + ':' + source.sourcePortId)}] ?? ${fallback}`;
+                },
+
+                triggerInput: function(portId) {
+                    return ctx.portInput ? `$input[${phpLiteral(portId)}] ?? null` : '$input';
+                },
+
+                set: function(portId, expression) {
+                    return `$flow->ports[${phpLiteral(node.id + ':' + portId)}] = ${expression};`;
+                },
+
+                dataOutputs: function() {
+                    return generator.getOutputPorts(node).filter(port => port.type === 'data').map(port => port.id);
+                },
+
+                follow: function(portId) {
+                    if (!portId) return '';
+                    return generator.getTargets(flow, node.id, portId)
+                        .map(target => `${generator.stepName(target)}($flow);`)
+                        .join('\n');
+                }
+            };
+        },
+
+        generatePHPSubflowCall: function(node, g) {
+            const subflowId = node.type.slice(FlowBuilder.Subflows.TYPE_PREFIX.length);
+            const innerFlow = FlowBuilder.state.flows.get(subflowId);
+            if (!innerFlow) {
+                return `throw new RuntimeException(${g.literal(`Subflow '${subflowId}' is not installed`)});`;
+            }
+
+            const name = this.generatePHPSubflowFunction(innerFlow, g);
+            const nodeType = FlowBuilder.nodeTypes.get(node.type);
+            const args = (nodeType?.inputs || [])
+                .filter(port => port.type === 'data')
+                .map(port => `${g.literal(port.id)} => ${g.input(port.id)}`);
+            const outputs = this.getOutputPorts(node);
+
+            const work = [`$result = ${name}($flow, [${args.join(', ')}]);`]
+                .concat(outputs.filter(port => port.type === 'data').map(port => g.set(port.id, `$result['data'][${g.literal(port.id)}] ?? null`)));
+
+            const next = outputs
+                .filter(port => port.type === 'flow' && port.id !== 'error')
+                .map(port => ({ port: port, code: g.follow(port.id) }))
+                .filter(entry => entry.code)
+                .map(entry => `if (in_array(${g.literal(entry.port.id)}, $result['fired'], true)) {\n${indent(entry.code, 4)}\n}`);
+
+            return { work: work.join('\n'), next: next.join('\n') };
+        },
+
+        // A subflow runs against the caller's state with its own set of outputs
+        generatePHPSubflowFunction: function(innerFlow, g) {
+            const ctx = g.root;
+            const name = 'subflow_' + this.identifier(innerFlow.id);
+            if (ctx.subflows.has(innerFlow.id)) return name;
+
+            // Reserve the name first so recursive subflows do not loop forever
+            const entry = { name: name, code: '' };
+            ctx.subflows.set(innerFlow.id, entry);
+
+            const innerCtx = { root: ctx, helpers: ctx.helpers, subflows: ctx.subflows, portInput: true };
+            const steps = this.generatePHPSteps(innerFlow, innerCtx);
+            const starts = Array.from(innerFlow.nodes.values()).filter(node => node.type === 'start');
+            const defaults = Object.entries(this.getInitialVariables(innerFlow))
+                .map(([variable, value]) => `$flow->vars[${phpLiteral(variable)}] ??= ${phpLiteral(value)};`);
+
+            // Data outputs carry whatever reached them, even if the node itself never ran
+            const dataOutputs = Array.from(innerFlow.nodes.values())
+                .filter(node => node.type === 'subflow-output' && node.properties.portType === 'data')
+                .map(node => {
+                    const value = this.createPHPContext(node, innerFlow, innerCtx).input('data');
+                    return value === 'null' ? '' :
+                        `if (${value} !== null) {\n    $flow->outputs['data'][${phpLiteral(node.properties.port)}] = ${value};\n}`;
+                })
+                .filter(Boolean);
+
+            const body = defaults
+                .concat(starts.map(node => `${this.stepName(node)}($flow, $input);`), dataOutputs, ['return $flow->outputs;'])
+                .join('\n');
+
+            entry.code = `// Subflow: ${innerFlow.name}
+function ${name}(FlowState $flow, array $input): array
+{
+    $saved = $flow->outputs;
+    $flow->outputs = ['fired' => [], 'data' => []];
+
+    try {
+${indent(body, 8)}
+    } finally {
+        $flow->outputs = $saved;
+    }
+}
+
+${steps.join('\n\n')}`;
+            return name;
+        }
+    };
+
+    console.log('AlgorithmPress Flow Code Generation loaded');
+
+})(window, document);
@@ -0,0 +1,495 @@
+/**
+ * AlgorithmPress Flow Debugger
+ * Breakpoints, step-over/continue, a port data and variables inspector, and trace replay;
+ * PHP nodes open in the PHP step debugger
+ */
+
+(function(window, document) {
+    'use strict';
+
+    // Ensure the flow execution engine is available
+    if (!window.AlgorithmPressFlowBuilder || !window.AlgorithmPressFlowBuilder.Execution) {
+        console.error('AlgorithmPress Flow Execution Engine required');
+        return;
+    }
+
+    const FlowBuilder = window.AlgorithmPressFlowBuilder;
+
+    // Flow Debugger System
+    FlowBuilder.Debugger = {
+        // Recorded executions kept per flow for replay
+        MAX_RECORDINGS: 10,
+
+        state: {
+            // flowId → Set of node IDs
+            breakpoints: new Map(),
+            recordings: new Map(),
+            session: null,
+            listeners: {},
+            panels: [],
+            // "flowId:nodeId" → line numbers, for the PHP debugger
+            phpBreakpoints: new Map()
+        },
+
+        initialize: function() {
+            document.addEventListener('keydown', (e) => this.handleKeyDown(e));
+            document.addEventListener('dblclick', (e) => this.handleNodeActivate(e));
+        },
+
+        // ================================
+        // BREAKPOINTS
+        // ================================
+
+        toggleBreakpoint: function(nodeId, flowId = FlowBuilder.state.activeFlow) {
+            if (!flowId) return false;
+
+            if (!this.state.breakpoints.has(flowId)) {
+                this.state.breakpoints.set(flowId, new Set());
+            }
+
+            const breakpoints = this.state.breakpoints.get(flowId);
+            const enabled = !breakpoints.has(nodeId);
+            if (enabled) {
+                breakpoints.add(nodeId);
+            } else {
+                breakpoints.delete(nodeId);
+            }
+
+            FlowBuilder.getNodeElement(nodeId)?.classList.toggle('has-breakpoint', enabled);
+            this.emit('breakpoints:change', { flowId, nodeId, enabled });
+            return enabled;
+        },
+
+        hasBreakpoint: function(nodeId, flowId = FlowBuilder.state.activeFlow) {
+            return !!this.state.breakpoints.get(flowId)?.has(nodeId);
+        },
+
+        clearBreakpoints: function(flowId = FlowBuilder.state.activeFlow) {
+            this.state.breakpoints.get(flowId)?.forEach(nodeId => {
+                FlowBuilder.getNodeElement(nodeId)?.classList.remove('has-breakpoint');
+            });
+            this.state.breakpoints.delete(flowId);
+            this.emit('breakpoints:change', { flowId });
+        },
+
+        // ================================
+        // DEBUG SESSIONS
+        // ================================
+
+        // Run a flow under the debugger; pauses on breakpoints (or the first node when stepping)
+        debugFlow: async function(flowId = FlowBuilder.state.activeFlow, options = {}) {
+            if (this.state.session) {
+                throw new Error('A debug session is already running');
+            }
+
+            const session = this.createSession('run', flowId, options.stepping);
+
+            let summary = null;
+            try {
+                summary = await FlowBuilder.Execution.executeFlow(flowId, {
+                    ...options,
+                    traceVariables: true,
+                    beforeNode: (node, inputData, context) => {
+                        session.executionId = context.id;
+                        session.portData = context.portData;
+                        return this.checkpoint(session, node, inputData, () => FlowBuilder.Execution.serializeVariables(context.variables));
+                    }
+                });
+                this.record(flowId, summary);
+            } finally {
+                this.endSession(session, summary);
+            }
+
+            return summary;
+        },
+
+        // Walk a recorded trace over the flow again, with the same breakpoints and stepping
+        replay: async function(flowId = FlowBuilder.state.activeFlow, recording = 0, options = {}) {
+            if (this.state.session) {
+                throw new Error('A debug session is already running');
+            }
+
+            const summary = typeof recording === 'number' ? this.getRecordings(flowId)[recording] : recording;
+            const flow = FlowBuilder.state.flows.get(flowId);
+            if (!summary || !flow) {
+                throw new Error('No recorded execution to replay');
+            }
+
+            const session = this.createSession('replay', flowId, options.stepping);
+            FlowBuilder.Execution.updateNodeHighlight('execution:start');
+            const mismatches = [];
+
+            for (const [index, entry] of summary.trace.entries()) {
+                if (session.stopped) break;
+
+                const node = flow.nodes.get(entry.nodeId);
+                if (!node || node.type !== entry.type) {
+                    // The flow changed since the recording; show the step but flag it
+                    mismatches.push({
+                        step: index,
+                        nodeId: entry.nodeId,
+                        reason: node ? `Node type changed from ${entry.type} to ${node.type}` : `Node '${entry.title}' no longer exists`
+                    });
+                }
+
+                await this.checkpoint(session, node || { id: entry.nodeId, type: entry.type, properties: { title: entry.title } },
+                    entry.input, () => entry.variables || {}, entry);
+
+                Object.entries(entry.output || {}).forEach(([portId, value]) => {
+                    session.portData.set(`${entry.nodeId}:${portId}`, value);
+                });
+                this.markNode(entry.nodeId, entry.error ? 'execution-failed' : 'executed');
+            }
+
+            const result = {
+                executionId: summary.executionId,
+                status: session.stopped ? 'stopped' : 'replayed',
+                steps: summary.trace.length,
+                mismatches: mismatches,
+                variables: summary.variables
+            };
+
+            this.endSession(session, result);
+            return result;
+        },
+
+        createSession: function(mode, flowId, stepping = false) {
+            const session = {
+                mode: mode,
+                flowId: flowId,
+                executionId: null,
+                stepping: stepping,
+                stopped: false,
+                paused: null,
+                resume: null,
+                portData: new Map()
+            };
+
+            this.state.session = session;
+            this.emit('session:start', { mode, flowId });
+            this.updatePanels();
+            return session;
+        },
+
+        endSession: function(session, result) {
+            if (session.paused) {
+                this.markNode(session.paused.node.id, null);
+            }
+            session.paused = null;
+            this.state.session = null;
+
+            this.emit('session:end', { mode: session.mode, flowId: session.flowId, result });
+            this.updatePanels(result);
+        },
+
+        // Pause before a node when stepping or when it has a breakpoint
+        checkpoint: async function(session, node, inputData, getVariables, recorded = null) {
+            if (session.stopped) return;
+            if (!session.stepping && !this.hasBreakpoint(node.id, session.flowId)) return;
+
+            session.paused = {
+                node: node,
+                input: inputData,
+                variables: getVariables(),
+                recorded: recorded
+            };
+            this.markNode(node.id, 'debug-paused');
+            this.emit('pause', { mode: session.mode, node: node, input: inputData });
+            this.updatePanels();
+
+            await new Promise(resolve => {
+                session.resume = resolve;
+            });
+
+            this.markNode(node.id, null);
+            session.paused = null;
+            session.resume = null;
+        },
+
+        // Run the paused node and stop again before the next one
+        stepOver: function() {
+            return this.resume(true);
+        },
+
+        // Run until the next breakpoint
+        continue: function() {
+            return this.resume(false);
+        },
+
+        resume: function(stepping) {
+            const session = this.state.session;
+            if (!session || !session.resume) return false;
+
+            session.stepping = stepping;
+            session.resume();
+            this.updatePanels();
+            return true;
+        },
+
+        stop: function() {
+            const session = this.state.session;
+            if (!session) return false;
+
+            session.stopped = true;
+            if (session.executionId) {
+                FlowBuilder.Execution.stop(session.executionId);
+            }
+            session.resume?.();
+            return true;
+        },
+
+        isPaused: function() {
+            return !!this.state.session?.paused;
+        },
+
+        markNode: function(nodeId, className) {
+            const element = FlowBuilder.getNodeElement(nodeId);
+            if (!element) return;
+
+            element.classList.remove('debug-paused');
+            if (className) {
+                element.classList.add(className);
+            }
+        },
+
+        // ================================
+        // RECORDINGS
+        // ================================
+
+        record: function(flowId, summary) {
+            const recordings = this.state.recordings.get(flowId) || [];
+            recordings.unshift(summary);
+            recordings.length = Math.min(recordings.length, this.MAX_RECORDINGS);
+            this.state.recordings.set(flowId, recordings);
+        },
+
+        // Most recent first
+        getRecordings: function(flowId = FlowBuilder.state.activeFlow) {
+            return this.state.recordings.get(flowId) || [];
+        },
+
+        // Port values grouped by node title, for the inspector
+        describePortData: function(session) {
+            const flow = FlowBuilder.state.flows.get(session.flowId);
+            const rows = [];
+
+            session.portData.forEach((value, key) => {
+                const [nodeId, portId] = key.split(':');
+                const node = flow?.nodes.get(nodeId);
+                rows.push({
+                    nodeId: nodeId,
+                    node: node ? (node.properties.title || node.type) : nodeId,
+                    port: node?.outputs.get(portId)?.name || portId,
+                    value: value
+                });
+            });
+
+            return rows;
+        },
+
+        // ================================
+        // INSPECTOR PANEL
+        // ================================
+
+        createInspectorPanel: function() {
+            const panel = document.createElement('div');
+            panel.className = 'flow-debugger-panel';
+            panel.innerHTML = `
+                <div class="debugger-toolbar">
+                    <button class="btn btn-sm btn-primary" data-action="debug" title="Debug flow">
+                        <i class="fas fa-bug"></i>
+                    </button>
+                    <button class="btn btn-sm btn-outline-secondary" data-action="continue" title="Continue (F8)">
+                        <i class="fas fa-play"></i>
+                    </button>
+                    <button class="btn btn-sm btn-outline-secondary" data-action="step" title="Step over (F10)">
+                        <i class="fas fa-step-forward"></i>
+                    </button>
+                    <button class="btn btn-sm btn-outline-danger" data-action="stop" title="Stop">
+                        <i class="fas fa-stop"></i>
+                    </button>
+                    <button class="btn btn-sm btn-outline-secondary" data-action="replay" title="Replay last execution">
+                        <i class="fas fa-history"></i>
+                    </button>
+                    <span class="debugger-status"></span>
+                </div>
+                <div class="debugger-section">
+                    <h6>Current node</h6>
+                    <pre class="debugger-node"></pre>
+                </div>
+                <div class="debugger-section">
+                    <h6>Port data</h6>
+                    <table class="table table-sm debugger-ports"><tbody></tbody></table>
+                </div>
+                <div class="debugger-section">
+                    <h6>Variables</h6>
+                    <pre class="debugger-variables"></pre>
+                </div>
+            `;
+
+            const run = (promise) => promise.catch(error => {
+                panel.querySelector('.debugger-status').textContent = error.message;
+            });
+
+            panel.querySelector('[data-action="debug"]').addEventListener('click', () => run(this.debugFlow()));
+            panel.querySelector('[data-action="continue"]').addEventListener('click', () => this.continue());
+            panel.querySelector('[data-action="step"]').addEventListener('click', () => this.stepOver());
+            panel.querySelector('[data-action="stop"]').addEventListener('click', () => this.stop());
+            panel.querySelector('[data-action="replay"]').addEventListener('click', () => run(this.replay(undefined, 0, { stepping: true })));
+
+            this.state.panels.push(panel);
+            this.renderPanel(panel);
+            return panel;
+        },
+
+        updatePanels: function(result) {
+            this.state.panels.forEach(panel => this.renderPanel(panel, result));
+        },
+
+        renderPanel: function(panel, result) {
+            const session = this.state.session;
+            const status = panel.querySelector('.debugger-status');
+            const nodeView = panel.querySelector('.debugger-node');
+            const ports = panel.querySelector('.debugger-ports tbody');
+            const variables = panel.querySelector('.debugger-variables');
+
+            panel.querySelector('[data-action="continue"]').disabled = !session?.paused;
+            panel.querySelector('[data-action="step"]').disabled = !session?.paused;
+            panel.querySelector('[data-action="stop"]').disabled = !session;
+
+            if (!session) {
+                status.textContent = result ? `Finished: ${result.status}` : 'Idle';
+                if (result?.mismatches?.length) {
+                    status.textContent += ` (${result.mismatches.length} step(s) no longer match the flow)`;
+                }
+                return;
+            }
+
+            const paused = session.paused;
+            status.textContent = paused ?
+                `${session.mode === 'replay' ? 'Replay paused' : 'Paused'} at ${paused.node.properties.title || paused.node.type}` :
+                (session.mode === 'replay' ? 'Replaying…' : 'Running…');
+
+            if (!paused) return;
+
+            nodeView.textContent = JSON.stringify({
+                node: paused.node.properties.title || paused.node.type,
+                type: paused.node.type,
+                input: paused.input,
+                ...(paused.recorded ? { recordedOutput: paused.recorded.output, ports: paused.recorded.ports, error: paused.recorded.error } : {})
+            }, null, 2);
+
+            ports.innerHTML = '';
+            this.describePortData(session).forEach(row => {
+                const tr = document.createElement('tr');
+                [row.node, row.port, JSON.stringify(row.value)].forEach(text => {
+                    const td = document.createElement('td');
+                    td.textContent = text === undefined ? 'undefined' : text;
+                    tr.appendChild(td);
+                });
+                ports.appendChild(tr);
+            });
+
+            variables.textContent = JSON.stringify(paused.variables, null, 2);
+        },
+
+        // ================================
+        // PHP NODES
+        // ================================
+
+        isPhpNode: function(node) {
+            return node.type === 'php-wasm-execute' || (node.type === 'run-code' && node.properties.language === 'php');
+        },
+
+        // Step through a PHP node's code in the PHP debugger; run-code nodes get the input
+        // and variables of their last recorded run
+        debugPhpNode: function(nodeId, flowId = FlowBuilder.state.activeFlow) {
+            const node = FlowBuilder.state.flows.get(flowId)?.nodes.get(nodeId);
+            if (!node || !this.isPhpNode(node)) return null;
+            if (typeof PHPWasmDebugger === 'undefined') {
+                throw new Error('The PHP debugger is not loaded');
+            }
+
+            const key = `${flowId}:${nodeId}`;
+            const recorded = this.getRecordings(flowId)[0]?.trace.find(entry => entry.nodeId === nodeId);
+            const variables = Object.fromEntries(Object.entries(recorded?.variables || {})
+                .map(([name, variable]) => [name, variable && typeof variable === 'object' && 'value' in variable ? variable.value : variable]));
+            const nodeType = FlowBuilder.nodeTypes.get(node.type);
+
+            return PHPWasmDebugger.openWindow({
+                title: node.properties.title || nodeType.name,
+                code: node.properties.code || '',
+                breakpoints: this.state.phpBreakpoints.get(key) || [],
+                scope: `flow:${flowId}`,
+                timeout: node.properties.timeout,
+                target: { type: 'flow-node', flowId: flowId, id: nodeId, label: node.properties.title },
+                build: nodeType.buildPhpScript ?
+                    (code) => nodeType.buildPhpScript({ ...node, properties: { ...node.properties, code } }, recorded?.input || {}, variables) :
+                    null,
+                onChange: (code) => FlowBuilder.updateNodeProperties(nodeId, { code }),
+                onBreakpointsChange: (lines) => this.state.phpBreakpoints.set(key, lines)
+            });
+        },
+
+        // Double-clicking a PHP node opens it in the PHP debugger
+        handleNodeActivate: function(e) {
+            const element = e.target.closest?.('.flow-node');
+            const node = element && FlowBuilder.getActiveFlow()?.nodes.get(element.dataset.nodeId);
+            if (node && this.isPhpNode(node) && typeof PHPWasmDebugger !== 'undefined') {
+                e.stopPropagation();
+                this.debugPhpNode(node.id);
+            }
+        },
+
+        // F8 continue, F10 step over, F9 toggle a breakpoint on the selected node
+        handleKeyDown: function(e) {
+            if (e.key === 'F8' && this.isPaused()) {
+                e.preventDefault();
+                this.continue();
+            } else if (e.key === 'F10' && this.isPaused()) {
+                e.preventDefault();
+                this.stepOver();
+            } else if (e.key === 'F9' && FlowBuilder.state.interaction.selectedNodes.size > 0) {
+                e.preventDefault();
+                FlowBuilder.state.interaction.selectedNodes.forEach(nodeId => this.toggleBreakpoint(nodeId));
+            }
+        },
+
+        // Event handling
+        on: function(event, callback) {
+            if (!this.state.listeners[event]) {
+                this.state.listeners[event] = [];
+            }
+            this.state.listeners[event].push(callback);
+        },
+
+        off: function(event, callback) {
+            const listeners = this.state.listeners[event];
+            if (listeners) {
+                const index = listeners.indexOf(callback);
+                if (index !== -1) {
+                    listeners.splice(index, 1);
+                }
+            }
+        },
+
+        emit: function(event, data) {
+            (this.state.listeners[event] || []).forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`Error in flow debugger listener for ${event}:`, error);
+                }
+            });
+        }
+    };
+
+    FlowBuilder.debugFlow = function(flowId, options) {
+        return this.Debugger.debugFlow(flowId, options);
+    };
+
+    FlowBuilder.Debugger.initialize();
+
+    console.log('AlgorithmPress Flow Debugger loaded');
+
+})(window, document);
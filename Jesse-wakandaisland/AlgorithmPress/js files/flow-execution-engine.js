@@ -0,0 +1,628 @@
+/**
+ * AlgorithmPress Flow Execution Engine
+ * In-browser runtime that walks flow connections port by port
+ */
+
+(function(window, document) {
+    'use strict';
+
+    // Ensure flow builder core is available
+    if (!window.AlgorithmPressFlowBuilder) {
+        console.error('AlgorithmPress Flow Builder Core required');
+        return;
+    }
+
+    const FlowBuilder = window.AlgorithmPressFlowBuilder;
+
+    // Flow Execution System
+    FlowBuilder.Execution = {
+        // Safety limit against flows that loop back on themselves forever
+        MAX_STEPS: 10000,
+
+        // Guard against subflows that (indirectly) contain themselves
+        MAX_DEPTH: 32,
+
+        // Runtime state
+        state: {
+            executions: new Map(),
+            listeners: {},
+            panels: []
+        },
+
+        // Execute a flow and resolve with the execution summary
+        executeFlow: async function(flowId, options = {}) {
+            const flow = FlowBuilder.state.flows.get(flowId);
+            if (!flow) {
+                throw new Error(`Flow with ID '${flowId}' not found`);
+            }
+
+            const context = this.createContext(flow, options);
+            if (context.depth > this.MAX_DEPTH) {
+                throw new Error(`Subflows nested deeper than ${this.MAX_DEPTH} levels`);
+            }
+            this.state.executions.set(context.id, context);
+
+            // Subflow runs report through subflow:* events so panels keep the outer run
+            const scope = context.parent ? 'subflow' : 'execution';
+            this.emit(`${scope}:start`, { executionId: context.id, flowId: flow.id, flowName: flow.name });
+
+            try {
+                const startNodes = this.getStartNodes(flow, options.startNodeId);
+                if (startNodes.length === 0) {
+                    throw new Error('Flow has no start node');
+                }
+
+                for (const startNode of startNodes) {
+                    if (options.input !== undefined) {
+                        this.setTriggerData(startNode, options.input, context);
+                    }
+                    await this.runNode(startNode, context);
+                }
+
+                context.status = context.aborted ? 'stopped' : 'completed';
+            } catch (error) {
+                context.status = context.aborted ? 'stopped' : 'failed';
+                context.error = error;
+            } finally {
+                context.finished = new Date();
+                this.state.executions.delete(context.id);
+            }
+
+            const summary = this.createSummary(context);
+
+            if (context.status === 'failed') {
+                this.emit(`${scope}:error`, { ...summary, error: context.error.message });
+            } else if (context.status === 'stopped') {
+                this.emit(`${scope}:stop`, summary);
+            } else {
+                this.emit(`${scope}:finish`, summary);
+            }
+
+            return summary;
+        },
+
+        // Stop a running execution, or every running execution if no ID is given
+        stop: function(executionId) {
+            const contexts = executionId ?
+                [this.state.executions.get(executionId)].filter(Boolean) :
+                Array.from(this.state.executions.values());
+
+            // Subflow runs stop with the execution that started them
+            this.state.executions.forEach(context => {
+                if (context.parent && contexts.includes(context.parent) && !contexts.includes(context)) {
+                    contexts.push(context);
+                }
+            });
+
+            contexts.forEach(context => {
+                context.aborted = true;
+                context.timers.forEach(timer => {
+                    clearTimeout(timer.id);
+                    timer.resolve();
+                });
+                context.timers.clear();
+            });
+
+            return contexts.length;
+        },
+
+        isRunning: function() {
+            return this.state.executions.size > 0;
+        },
+
+        // Create the per-run execution context
+        createContext: function(flow, options) {
+            // Subflows share the variables of the run that called them; their own act as defaults
+            const variables = options.parent ? options.parent.variables : new Map();
+            flow.variables.forEach((variable, name) => {
+                if (!variables.has(name)) {
+                    variables.set(name, { ...variable });
+                }
+            });
+
+            return {
+                id: 'exec_' + Math.random().toString(36).substr(2, 9),
+                flow: flow,
+                parent: options.parent || null,
+                depth: options.parent ? options.parent.depth + 1 : 0,
+                variables: variables,
+                portData: new Map(),
+                outputs: new Map(),
+                trace: [],
+                timers: new Set(),
+                steps: 0,
+                aborted: false,
+                status: 'running',
+                error: null,
+                started: new Date(),
+                finished: null,
+                options: options
+            };
+        },
+
+        // Find nodes the execution should start from
+        getStartNodes: function(flow, startNodeId) {
+            if (startNodeId) {
+                const node = flow.nodes.get(startNodeId);
+                return node ? [node] : [];
+            }
+
+            return Array.from(flow.nodes.values()).filter(node => node.type === 'start');
+        },
+
+        // Expose trigger input on the start node's data ports
+        setTriggerData: function(node, input, context) {
+            node.outputs.forEach(output => {
+                if (output.type !== 'data') return;
+
+                // Subflow starts receive one value per declared input port
+                const value = context.options.portInput ? input?.[output.id] : input;
+                context.portData.set(this.portKey(node.id, output.id), value);
+            });
+        },
+
+        // Run a single node and follow the ports it fires
+        runNode: async function(node, context) {
+            if (context.aborted) return;
+
+            context.steps++;
+            if (context.steps > this.MAX_STEPS) {
+                throw new Error(`Execution exceeded ${this.MAX_STEPS} steps`);
+            }
+
+            const nodeType = FlowBuilder.nodeTypes.get(node.type);
+            if (!nodeType) {
+                throw new Error(`Unknown node type: ${node.type}`);
+            }
+
+            const inputData = this.collectInputData(node, context);
+
+            // Debuggers pause here before the node runs
+            if (typeof context.options.beforeNode === 'function') {
+                await context.options.beforeNode(node, inputData, context);
+                if (context.aborted) return;
+            }
+
+            const traceEntry = {
+                nodeId: node.id,
+                type: node.type,
+                title: node.properties.title || nodeType.name,
+                input: inputData,
+                output: null,
+                ports: [],
+                started: new Date(),
+                finished: null,
+                error: null
+            };
+            context.trace.push(traceEntry);
+
+            this.emit('node:start', { executionId: context.id, node: node, input: inputData });
+
+            let result;
+            try {
+                if (typeof nodeType.execute === 'function') {
+                    result = await nodeType.execute(node, inputData, this.createNodeApi(node, context));
+                } else {
+                    if (nodeType.category !== 'triggers') {
+                        this.log(context, `${traceEntry.title}: no runtime handler, passing through`, 'info');
+                    }
+                    result = { success: true };
+                }
+            } catch (error) {
+                result = { success: false, error: error.message };
+            }
+
+            if (context.aborted) return;
+
+            const outcome = this.normalizeResult(node, nodeType, result);
+            outcome.data.forEach((value, portId) => {
+                context.portData.set(this.portKey(node.id, portId), value);
+            });
+
+            traceEntry.output = Object.fromEntries(outcome.data);
+            traceEntry.ports = outcome.next;
+            traceEntry.finished = new Date();
+            if (context.options.traceVariables) {
+                traceEntry.variables = this.serializeVariables(context.variables);
+            }
+
+            if (outcome.error) {
+                traceEntry.error = outcome.error;
+                this.emit('node:error', { executionId: context.id, node: node, error: outcome.error });
+
+                // Unhandled errors abort the run; wired error ports let the flow recover
+                if (!this.hasConnections(context.flow, node.id, outcome.next)) {
+                    throw new Error(`${traceEntry.title}: ${outcome.error}`);
+                }
+            } else {
+                this.emit('node:finish', { executionId: context.id, node: node, output: traceEntry.output, ports: outcome.next });
+            }
+
+            for (const portId of outcome.next) {
+                await this.followPort(node, portId, context);
+            }
+        },
+
+        // Run every node connected to the given output port, in connection order
+        followPort: async function(node, portId, context) {
+            const connections = this.getConnections(context.flow, node.id, portId);
+
+            for (const connection of connections) {
+                if (context.aborted) return;
+
+                const targetNode = context.flow.nodes.get(connection.targetNodeId);
+                if (targetNode) {
+                    await this.runNode(targetNode, context);
+                }
+            }
+        },
+
+        // Gather values arriving on the node's data input ports
+        collectInputData: function(node, context) {
+            const inputData = {};
+
+            node.inputs.forEach(input => {
+                if (input.type !== 'data') return;
+
+                const connection = Array.from(context.flow.connections.values()).find(conn =>
+                    conn.targetNodeId === node.id && conn.targetPortId === input.id
+                );
+
+                if (connection) {
+                    inputData[input.id] = context.portData.get(this.portKey(connection.sourceNodeId, connection.sourcePortId));
+                }
+            });
+
+            return inputData;
+        },
+
+        // Turn a node's execute() result into data port values and fired flow ports
+        normalizeResult: function(node, nodeType, result) {
+            result = result || { success: true };
+
+            const data = new Map();
+            nodeType.outputs.forEach(output => {
+                if (output.type === 'data' && Object.prototype.hasOwnProperty.call(result, output.id)) {
+                    data.set(output.id, result[output.id]);
+                }
+            });
+
+            const flowPorts = nodeType.outputs.filter(output => output.type === 'flow').map(output => output.id);
+            const failed = result.success === false;
+            let next;
+
+            if (result.next !== undefined) {
+                next = [].concat(result.next).filter(portId => flowPorts.includes(portId));
+            } else if (failed) {
+                next = flowPorts.includes('error') ? ['error'] : [];
+            } else if (flowPorts.includes('success')) {
+                next = ['success'];
+            } else {
+                next = flowPorts.filter(portId => portId !== 'error').slice(0, 1);
+            }
+
+            return {
+                data: data,
+                next: next,
+                error: failed ? (result.error || 'Node execution failed') : null
+            };
+        },
+
+        // API handed to node execute() implementations
+        createNodeApi: function(node, context) {
+            const engine = this;
+
+            return {
+                executionId: context.id,
+                flow: context.flow,
+
+                getVariable: function(name) {
+                    const variable = context.variables.get(name);
+                    return variable ? variable.value : undefined;
+                },
+
+                setVariable: function(name, value) {
+                    const existing = context.variables.get(name);
+                    context.variables.set(name, {
+                        value: value,
+                        type: existing?.type || 'any',
+                        scope: existing?.scope || 'flow',
+                        metadata: existing?.metadata || {}
+                    });
+                    engine.emit('variables:change', { executionId: context.id, name: name, value: value });
+                },
+
+                resolve: function(value) {
+                    return engine.resolveValue(value, context);
+                },
+
+                // Run the branch behind an output port before the node finishes (used by loop)
+                follow: function(portId) {
+                    return engine.followPort(node, portId, context);
+                },
+
+                sleep: function(ms) {
+                    return engine.sleep(ms, context);
+                },
+
+                log: function(message, level = 'info') {
+                    engine.log(context, message, level);
+                },
+
+                isAborted: function() {
+                    return context.aborted;
+                },
+
+                // Record the value leaving a subflow through one of its outputs
+                output: function(portId, value) {
+                    context.outputs.set(portId, value);
+                },
+
+                // Run another flow as part of this execution (used by subflow nodes)
+                runFlow: function(flowId, options = {}) {
+                    return engine.executeFlow(flowId, { ...options, parent: context });
+                }
+            };
+        },
+
+        // Replace {{variable}} references; a value that is a single reference keeps its type
+        resolveValue: function(value, context) {
+            if (typeof value !== 'string') return value;
+
+            const lookup = (path) => {
+                const [name, ...rest] = path.trim().split('.');
+                const variable = context.variables.get(name);
+                let current = variable ? variable.value : undefined;
+                for (const key of rest) {
+                    if (current === null || current === undefined) return undefined;
+                    current = current[key];
+                }
+                return current;
+            };
+
+            const single = value.match(/^\{\{\s*([\w.]+)\s*\}\}$/);
+            if (single) {
+                return lookup(single[1]);
+            }
+
+            return value.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+                const resolved = lookup(path);
+                if (resolved === undefined || resolved === null) return '';
+                return typeof resolved === 'object' ? JSON.stringify(resolved) : String(resolved);
+            });
+        },
+
+        // Cancellable timeout bound to the execution
+        sleep: function(ms, context) {
+            return new Promise(resolve => {
+                if (context.aborted) {
+                    resolve();
+                    return;
+                }
+
+                const timer = { id: null, resolve: resolve };
+                timer.id = setTimeout(() => {
+                    context.timers.delete(timer);
+                    resolve();
+                }, ms);
+                context.timers.add(timer);
+            });
+        },
+
+        getConnections: function(flow, nodeId, portId) {
+            return Array.from(flow.connections.values()).filter(conn =>
+                conn.sourceNodeId === nodeId && conn.sourcePortId === portId
+            );
+        },
+
+        hasConnections: function(flow, nodeId, portIds) {
+            return portIds.some(portId => this.getConnections(flow, nodeId, portId).length > 0);
+        },
+
+        portKey: function(nodeId, portId) {
+            return `${nodeId}:${portId}`;
+        },
+
+        log: function(context, message, level = 'info') {
+            this.emit('log', { executionId: context.id, message: message, level: level });
+        },
+
+        createSummary: function(context) {
+            return {
+                executionId: context.id,
+                flowId: context.flow.id,
+                status: context.status,
+                started: context.started,
+                finished: context.finished,
+                duration: context.finished - context.started,
+                steps: context.steps,
+                trace: context.trace,
+                outputs: this.collectOutputs(context),
+                variables: this.serializeVariables(context.variables),
+                error: context.error ? context.error.message : null
+            };
+        },
+
+        // Detached copy of the variables, so later steps cannot change a recorded snapshot
+        serializeVariables: function(variables) {
+            return FlowBuilder.cloneValue(FlowBuilder.ExportImport ?
+                FlowBuilder.ExportImport.serializeVariables(variables) :
+                Object.fromEntries(variables));
+        },
+
+        // Subflow results: flow outputs that fired and values on data outputs
+        collectOutputs: function(context) {
+            const outputs = {
+                fired: Array.from(context.outputs.keys()),
+                data: Object.fromEntries(context.outputs)
+            };
+
+            context.flow.nodes.forEach(node => {
+                if (node.type === 'subflow-output' && node.properties.portType === 'data') {
+                    const value = this.collectInputData(node, context).data;
+                    if (value !== undefined) {
+                        outputs.data[node.properties.port] = value;
+                    }
+                }
+            });
+
+            return outputs;
+        },
+
+        // Event handling
+        on: function(event, callback) {
+            if (!this.state.listeners[event]) {
+                this.state.listeners[event] = [];
+            }
+            this.state.listeners[event].push(callback);
+        },
+
+        off: function(event, callback) {
+            const listeners = this.state.listeners[event];
+            if (listeners) {
+                const index = listeners.indexOf(callback);
+                if (index !== -1) {
+                    listeners.splice(index, 1);
+                }
+            }
+        },
+
+        emit: function(event, data) {
+            (this.state.listeners[event] || []).forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`Error in flow execution listener for ${event}:`, error);
+                }
+            });
+
+            this.updateNodeHighlight(event, data);
+        },
+
+        // Mark nodes on the canvas while they run
+        updateNodeHighlight: function(event, data) {
+            const nodesLayer = FlowBuilder.elements?.nodesLayer;
+            if (!nodesLayer) return;
+
+            if (event === 'execution:start') {
+                nodesLayer.querySelectorAll('.flow-node').forEach(element => {
+                    element.classList.remove('executing', 'executed', 'execution-failed');
+                });
+                return;
+            }
+
+            if (!data || !data.node) return;
+
+            const element = nodesLayer.querySelector(`[data-node-id="${data.node.id}"]`);
+            if (!element) return;
+
+            if (event === 'node:start') {
+                element.classList.add('executing');
+            } else if (event === 'node:finish') {
+                element.classList.remove('executing');
+                element.classList.add('executed');
+            } else if (event === 'node:error') {
+                element.classList.remove('executing');
+                element.classList.add('execution-failed');
+            }
+        },
+
+        // Connect an execution panel created by createExecutionPanel
+        attachPanel: function(panel) {
+            const statusElement = panel.querySelector('#execution-status');
+            const outputConsole = panel.querySelector('#output-console');
+            const variablesList = panel.querySelector('#variables-list');
+
+            const setStatus = (status, text) => {
+                if (!statusElement) return;
+                statusElement.querySelector('.status-dot').className = `status-dot ${status}`;
+                statusElement.querySelector('.status-text').textContent = text;
+            };
+
+            const writeLine = (message, level = 'info') => {
+                if (!outputConsole) return;
+                const line = document.createElement('div');
+                line.className = `console-line console-${level}`;
+                line.textContent = `[${new Date().toLocaleTimeString()}] ${message}`;
+                outputConsole.appendChild(line);
+                outputConsole.scrollTop = outputConsole.scrollHeight;
+            };
+
+            const renderVariables = (variables) => {
+                if (!variablesList) return;
+                variablesList.innerHTML = '';
+                Object.entries(variables).forEach(([name, variable]) => {
+                    const row = document.createElement('div');
+                    row.className = 'variable-item';
+                    row.innerHTML = `<span class="variable-name"></span><span class="variable-value"></span>`;
+                    row.querySelector('.variable-name').textContent = name;
+                    row.querySelector('.variable-value').textContent = JSON.stringify(variable.value);
+                    variablesList.appendChild(row);
+                });
+            };
+
+            const nodeTitle = (node) => node.properties.title || node.type;
+            const liveVariables = {};
+
+            this.on('execution:start', (data) => {
+                if (outputConsole) outputConsole.innerHTML = '';
+                Object.keys(liveVariables).forEach(name => delete liveVariables[name]);
+                renderVariables(liveVariables);
+                setStatus('running', 'Running');
+                writeLine(`Started "${data.flowName}"`);
+            });
+            this.on('node:start', (data) => writeLine(`▶ ${nodeTitle(data.node)}`));
+            this.on('node:finish', (data) => writeLine(`✓ ${nodeTitle(data.node)} → ${data.ports.join(', ') || 'end'}`, 'success'));
+            this.on('node:error', (data) => writeLine(`✗ ${nodeTitle(data.node)}: ${data.error}`, 'error'));
+            this.on('log', (data) => writeLine(data.message, data.level));
+            this.on('variables:change', (data) => {
+                liveVariables[data.name] = { value: data.value };
+                renderVariables(liveVariables);
+            });
+            this.on('execution:finish', (summary) => {
+                setStatus('completed', 'Completed');
+                renderVariables(summary.variables);
+                writeLine(`Finished in ${summary.duration}ms (${summary.steps} steps)`, 'success');
+            });
+            this.on('execution:error', (summary) => {
+                setStatus('error', 'Failed');
+                renderVariables(summary.variables);
+                writeLine(`Execution failed: ${summary.error}`, 'error');
+            });
+            this.on('execution:stop', () => {
+                setStatus('stopped', 'Stopped');
+                writeLine('Execution stopped', 'warning');
+            });
+
+            panel.querySelector('#execute-flow')?.addEventListener('click', () => {
+                if (FlowBuilder.state.activeFlow && !this.isRunning()) {
+                    this.executeFlow(FlowBuilder.state.activeFlow);
+                }
+            });
+            panel.querySelector('#stop-flow')?.addEventListener('click', () => this.stop());
+
+            this.state.panels.push(panel);
+            return panel;
+        }
+    };
+
+    // Run the active flow from the toolbar "Test" button
+    FlowBuilder.testFlow = function() {
+        if (!this.state.activeFlow) {
+            console.warn('No active flow to test');
+            return Promise.resolve(null);
+        }
+        return this.Execution.executeFlow(this.state.activeFlow);
+    };
+
+    FlowBuilder.executeFlow = function(flowId, options) {
+        return this.Execution.executeFlow(flowId, options);
+    };
+
+    FlowBuilder.stopExecution = function(executionId) {
+        return this.Execution.stop(executionId);
+    };
+
+    console.log('AlgorithmPress Flow Execution Engine loaded');
+
+})(window, document);
@@ -16,21 +16,31 @@
 
     // Flow Export/Import System
     FlowBuilder.ExportImport = {
-        // Current format version
-        CURRENT_VERSION: '1.0.0',
+        // Current format version (1.1.0 records the node type version on each node)
+        CURRENT_VERSION: '1.1.0',
         
         // Supported versions for import
-        SUPPORTED_VERSIONS: ['1.0.0'],
+        SUPPORTED_VERSIONS: ['1.0.0', '1.1.0'],
+
+        // Node property migrations keyed by node type, then by source version
+        migrations: new Map(),
+
+        // Report from the most recent import (migrations applied)
+        lastImportReport: null,
+
+        // Signing keys live in IndexedDB so the private key is never extractable
+        KEY_DB_NAME: 'algorithmpress-flow-signing',
+        SIGNATURE_ALGORITHM: 'ECDSA-P256-SHA256',
 
         // Export a flow to JSON
-        exportFlow: function(flowId, options = {}) {
+        exportFlow: async function(flowId, options = {}) {
             try {
                 const flow = FlowBuilder.state.flows.get(flowId);
                 if (!flow) {
                     throw new Error(`Flow with ID '${flowId}' not found`);
                 }
 
-                const exportData = this.serializeFlow(flow, options);
+                const exportData = await this.serializeFlow(flow, options);
                 
                 if (options.download !== false) {
                     this.downloadJSON(exportData, `${flow.name.replace(/[^a-z0-9]/gi, '_')}.json`);
@@ -44,10 +54,30 @@
         },
 
         // Import a flow from JSON
-        importFlow: function(jsonData, options = {}) {
+        importFlow: async function(jsonData, options = {}) {
             try {
-                // Parse JSON if it's a string
-                const flowData = typeof jsonData === 'string' ? JSON.parse(jsonData) : jsonData;
+                // PHP source is rebuilt into a flow; anything else is JSON
+                const isPHP = FlowBuilder.PHPImport && FlowBuilder.PHPImport.isPHP(jsonData);
+                let parsedData = isPHP ? null : typeof jsonData === 'string' ? JSON.parse(jsonData) : jsonData;
+
+                // Convert PHP, n8n and Node-RED exports to the native format first
+                const converted = isPHP ? FlowBuilder.PHPImport.convert(jsonData, options) :
+                    typeof this.convertExternalFlow === 'function' ? this.convertExternalFlow(parsedData, options) : null;
+                if (converted) {
+                    parsedData = converted;
+                }
+
+                // Reject content that no longer matches its checksum
+                await this.verifyValidationHash(parsedData);
+
+                // Refuse flows from newer versions, then upgrade older node shapes
+                this.checkCompatibility(parsedData);
+                const { flowData, report } = this.migrateFlowData(parsedData);
+                if (converted) {
+                    report.conversion = converted.conversion;
+                    console.info(this.formatConversionReport(report.conversion));
+                }
+                this.lastImportReport = report;
                 
                 // Validate the flow data
                 const validation = this.validateFlowData(flowData);
@@ -71,6 +101,13 @@
                     FlowBuilder.setActiveFlow(flow.id);
                 }
 
+                if (report.changes.length > 0) {
+                    console.info(`Migrated ${report.changes.length} node(s) in '${flow.name}':`, report.changes);
+                }
+                if (typeof options.onReport === 'function') {
+                    options.onReport(report);
+                }
+
                 return flow;
             } catch (error) {
                 console.error('Import failed:', error);
@@ -79,7 +116,7 @@
         },
 
         // Serialize flow to exportable format
-        serializeFlow: function(flow, options = {}) {
+        serializeFlow: async function(flow, options = {}) {
             const exportData = {
                 // Metadata
                 formatVersion: this.CURRENT_VERSION,
@@ -111,7 +148,7 @@
             };
 
             // Add validation info
-            exportData.validation = this.generateValidationHash(exportData.flow);
+            exportData.validation = await this.generateValidationHash(exportData.flow);
             
             return exportData;
         },
@@ -164,6 +201,7 @@
                 const serializedNode = {
                     id: node.id,
                     type: node.type,
+                    version: FlowBuilder.nodeTypes.get(node.type)?.version || '1.0.0',
                     position: { ...node.position },
                     properties: { ...node.properties },
                     metadata: {
@@ -305,6 +343,153 @@
             });
         },
 
+        // Register a migration that upgrades a node type from one version to the next.
+        // migrate(node) receives a copy of the serialized node and returns the upgraded node.
+        registerMigration: function(nodeType, fromVersion, toVersion, migrate, description = '') {
+            if (this.compareVersions(toVersion, fromVersion) <= 0) {
+                throw new Error(`Migration for '${nodeType}' must move to a newer version (${fromVersion} → ${toVersion})`);
+            }
+
+            if (!this.migrations.has(nodeType)) {
+                this.migrations.set(nodeType, new Map());
+            }
+            this.migrations.get(nodeType).set(fromVersion, {
+                from: fromVersion,
+                to: toVersion,
+                migrate: migrate,
+                description: description
+            });
+        },
+
+        // Find the migration step for a node type at a given version; node type
+        // definitions may also declare steps in a `migrations` array
+        getMigration: function(nodeType, fromVersion) {
+            const registered = this.migrations.get(nodeType)?.get(fromVersion);
+            if (registered) return registered;
+
+            // Declared steps skip registerMigration, so check they move forward here
+            const definition = FlowBuilder.nodeTypes.get(nodeType);
+            const declared = (definition?.migrations || []).find(migration => migration.from === fromVersion);
+            if (declared && this.compareVersions(declared.to, declared.from) <= 0) {
+                console.warn(`Ignoring migration for '${nodeType}' that does not move to a newer version (${declared.from} → ${declared.to})`);
+                return null;
+            }
+            return declared || null;
+        },
+
+        // Throw a descriptive error when data was written by a newer version
+        checkCompatibility: function(data) {
+            if (data.formatVersion && this.compareVersions(data.formatVersion, this.CURRENT_VERSION) > 0) {
+                throw new Error(
+                    `This flow was exported with format version ${data.formatVersion}, but this version of ` +
+                    `AlgorithmPress only supports up to ${this.CURRENT_VERSION}. Please update AlgorithmPress to import it.`
+                );
+            }
+
+            const nodes = Array.isArray(data.flow?.nodes) ? data.flow.nodes : [];
+            const newer = nodes.filter(node => {
+                const definition = FlowBuilder.nodeTypes.get(node.type);
+                return definition && node.version && this.compareVersions(node.version, definition.version) > 0;
+            });
+
+            if (newer.length > 0) {
+                const details = newer.map(node =>
+                    `'${node.properties?.title || node.id}' (${node.type} ${node.version}, installed ${FlowBuilder.nodeTypes.get(node.type).version})`
+                ).join(', ');
+                throw new Error(`This flow uses node versions newer than this installation: ${details}. Please update AlgorithmPress to import it.`);
+            }
+        },
+
+        // Upgrade every node to its installed node type version; returns migrated data and a report
+        migrateFlowData: function(data) {
+            const report = {
+                formatVersion: data.formatVersion,
+                changes: [],
+                warnings: []
+            };
+
+            if (!data.flow || !Array.isArray(data.flow.nodes)) {
+                return { flowData: data, report };
+            }
+
+            const flowData = {
+                ...data,
+                flow: {
+                    ...data.flow,
+                    nodes: data.flow.nodes.map(node => this.migrateNode(node, report))
+                }
+            };
+
+            return { flowData, report };
+        },
+
+        migrateNode: function(nodeData, report) {
+            const definition = FlowBuilder.nodeTypes.get(nodeData.type);
+            if (!definition) return nodeData;
+
+            // Nodes exported before format 1.1.0 carry no version and are treated as 1.0.0
+            let node = JSON.parse(JSON.stringify(nodeData));
+            let version = node.version || '1.0.0';
+
+            while (this.compareVersions(version, definition.version) < 0) {
+                const migration = this.getMigration(node.type, version);
+                if (!migration) {
+                    report.warnings.push(
+                        `Node '${node.id}' (${node.type}): no migration from ${version} to ${definition.version}, properties left unchanged`
+                    );
+                    break;
+                }
+
+                const before = node.properties || {};
+                node = migration.migrate(JSON.parse(JSON.stringify(node))) || node;
+
+                report.changes.push({
+                    nodeId: node.id,
+                    type: node.type,
+                    from: migration.from,
+                    to: migration.to,
+                    description: migration.description,
+                    properties: this.diffProperties(before, node.properties || {})
+                });
+
+                version = migration.to;
+            }
+
+            node.version = version;
+            return node;
+        },
+
+        // Describe which properties a migration added, removed or changed
+        diffProperties: function(before, after) {
+            const diff = { added: [], removed: [], changed: [] };
+
+            Object.keys(after).forEach(key => {
+                if (!(key in before)) {
+                    diff.added.push(key);
+                } else if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+                    diff.changed.push(key);
+                }
+            });
+            Object.keys(before).forEach(key => {
+                if (!(key in after)) diff.removed.push(key);
+            });
+
+            return diff;
+        },
+
+        // Compare dotted version strings: -1, 0 or 1
+        compareVersions: function(a, b) {
+            const partsA = String(a).split('.').map(part => parseInt(part, 10) || 0);
+            const partsB = String(b).split('.').map(part => parseInt(part, 10) || 0);
+            const length = Math.max(partsA.length, partsB.length);
+
+            for (let i = 0; i < length; i++) {
+                const diff = (partsA[i] || 0) - (partsB[i] || 0);
+                if (diff !== 0) return diff > 0 ? 1 : -1;
+            }
+            return 0;
+        },
+
         // Validate flow data structure
         validateFlowData: function(flowData) {
             const errors = [];
@@ -313,6 +498,8 @@
                 // Check top-level structure
                 if (!flowData.formatVersion) {
                     errors.push('Missing format version');
+                } else if (this.compareVersions(flowData.formatVersion, this.CURRENT_VERSION) > 0) {
+                    errors.push(`Format version ${flowData.formatVersion} is newer than supported ${this.CURRENT_VERSION}`);
                 } else if (!this.SUPPORTED_VERSIONS.includes(flowData.formatVersion)) {
                     errors.push(`Unsupported format version: ${flowData.formatVersion}`);
                 }
@@ -431,26 +618,309 @@
         },
 
         // Generate validation hash for integrity checking
-        generateValidationHash: function(flowData) {
+        generateValidationHash: async function(flowData) {
             const hashData = {
                 nodeCount: flowData.nodes.length,
                 connectionCount: flowData.connections.length,
                 nodeTypes: flowData.nodes.map(node => node.type).sort(),
-                checksum: this.calculateChecksum(JSON.stringify(flowData))
+                algorithm: 'SHA-256',
+                checksum: await this.calculateChecksum(this.canonicalize(flowData))
             };
             
             return hashData;
         },
 
-        // Calculate simple checksum
-        calculateChecksum: function(str) {
-            let hash = 0;
-            for (let i = 0; i < str.length; i++) {
-                const char = str.charCodeAt(i);
-                hash = ((hash << 5) - hash) + char;
-                hash = hash & hash; // Convert to 32-bit integer
+        // Check an exported flow against its validation hash
+        verifyValidationHash: async function(exportData) {
+            const validation = exportData.validation;
+            if (!validation || !exportData.flow) {
+                return { verified: false, reason: 'No validation hash' };
+            }
+
+            // Exports before SHA-256 hashing used a 32-bit checksum that proves nothing
+            if (validation.algorithm !== 'SHA-256') {
+                console.warn('Flow uses a legacy checksum; integrity cannot be verified');
+                return { verified: false, reason: 'Legacy checksum' };
+            }
+
+            const checksum = await this.calculateChecksum(this.canonicalize(exportData.flow));
+            if (checksum !== validation.checksum) {
+                throw new Error('Integrity check failed: flow content does not match its SHA-256 checksum');
+            }
+
+            return { verified: true, checksum: checksum };
+        },
+
+        // Calculate SHA-256 checksum (hex) via Web Crypto
+        calculateChecksum: async function(str) {
+            const subtle = this.getSubtleCrypto();
+            const digest = await subtle.digest('SHA-256', new TextEncoder().encode(str));
+            return this.bufferToHex(digest);
+        },
+
+        // Stable JSON with sorted keys so hashes don't depend on property order
+        canonicalize: function(value) {
+            const normalized = JSON.parse(JSON.stringify(value));
+
+            const stringify = (item) => {
+                if (Array.isArray(item)) {
+                    return '[' + item.map(stringify).join(',') + ']';
+                }
+                if (item && typeof item === 'object') {
+                    return '{' + Object.keys(item).sort()
+                        .map(key => JSON.stringify(key) + ':' + stringify(item[key]))
+                        .join(',') + '}';
+                }
+                return JSON.stringify(item);
+            };
+
+            return stringify(normalized);
+        },
+
+        getSubtleCrypto: function() {
+            const subtle = window.crypto && window.crypto.subtle;
+            if (!subtle) {
+                throw new Error('Web Crypto API not available (AlgorithmPress must run in a secure context)');
+            }
+            return subtle;
+        },
+
+        bufferToHex: function(buffer) {
+            return Array.from(new Uint8Array(buffer))
+                .map(byte => byte.toString(16).padStart(2, '0'))
+                .join('');
+        },
+
+        bufferToBase64: function(buffer) {
+            let binary = '';
+            new Uint8Array(buffer).forEach(byte => {
+                binary += String.fromCharCode(byte);
+            });
+            return btoa(binary);
+        },
+
+        base64ToBuffer: function(base64) {
+            const binary = atob(base64);
+            const bytes = new Uint8Array(binary.length);
+            for (let i = 0; i < binary.length; i++) {
+                bytes[i] = binary.charCodeAt(i);
+            }
+            return bytes.buffer;
+        },
+
+        // Open the IndexedDB store holding the user's signing key
+        openKeyStore: function() {
+            return new Promise((resolve, reject) => {
+                if (!window.indexedDB) {
+                    reject(new Error('IndexedDB not available'));
+                    return;
+                }
+
+                const request = indexedDB.open(this.KEY_DB_NAME, 1);
+                request.onerror = () => reject(request.error);
+                request.onsuccess = () => resolve(request.result);
+                request.onupgradeneeded = (event) => {
+                    const db = event.target.result;
+                    if (!db.objectStoreNames.contains('keys')) {
+                        db.createObjectStore('keys', { keyPath: 'id' });
+                    }
+                };
+            });
+        },
+
+        keyStoreRequest: async function(mode, operation) {
+            const db = await this.openKeyStore();
+            try {
+                return await new Promise((resolve, reject) => {
+                    const transaction = db.transaction('keys', mode);
+                    const request = operation(transaction.objectStore('keys'));
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => reject(request.error);
+                });
+            } finally {
+                db.close();
+            }
+        },
+
+        // Create (or replace) the user's signing keypair
+        generateSigningKey: async function(signerName, options = {}) {
+            if (!signerName) {
+                throw new Error('Signer name is required');
+            }
+
+            const subtle = this.getSubtleCrypto();
+            const keyPair = await subtle.generateKey(
+                { name: 'ECDSA', namedCurve: 'P-256' },
+                false,
+                ['sign', 'verify']
+            );
+            const publicKey = await subtle.exportKey('jwk', keyPair.publicKey);
+
+            const identity = {
+                id: 'default',
+                name: signerName,
+                email: options.email || '',
+                publicKey: publicKey,
+                privateKey: keyPair.privateKey,
+                fingerprint: await this.getKeyFingerprint(publicKey),
+                created: new Date().toISOString()
+            };
+
+            await this.keyStoreRequest('readwrite', store => store.put(identity));
+            return this.describeSigner(identity);
+        },
+
+        getSigningIdentity: async function() {
+            try {
+                return await this.keyStoreRequest('readonly', store => store.get('default')) || null;
+            } catch (error) {
+                console.warn('Signing key store unavailable:', error);
+                return null;
+            }
+        },
+
+        deleteSigningKey: function() {
+            return this.keyStoreRequest('readwrite', store => store.delete('default'));
+        },
+
+        // Short, human-comparable fingerprint of a public key
+        getKeyFingerprint: async function(publicKeyJwk) {
+            const { crv, kty, x, y } = publicKeyJwk;
+            const hash = await this.calculateChecksum(this.canonicalize({ crv, kty, x, y }));
+            return hash.substring(0, 32).match(/.{4}/g).join(':').toUpperCase();
+        },
+
+        describeSigner: function(identity) {
+            return {
+                name: identity.name,
+                email: identity.email || '',
+                fingerprint: identity.fingerprint
+            };
+        },
+
+        // Sign a package with the user's key; the signature covers everything except itself
+        signPackage: async function(packageData, identity) {
+            if (!identity) {
+                throw new Error('No signing key found. Create one with generateSigningKey() first.');
+            }
+
+            const signer = this.describeSigner(identity);
+            const unsigned = { ...packageData, signer: signer };
+            delete unsigned.signature;
+
+            const payload = new TextEncoder().encode(this.canonicalize(unsigned));
+            const signature = await this.getSubtleCrypto().sign(
+                { name: 'ECDSA', hash: 'SHA-256' },
+                identity.privateKey,
+                payload
+            );
+
+            return {
+                ...unsigned,
+                signature: {
+                    algorithm: this.SIGNATURE_ALGORITHM,
+                    publicKey: identity.publicKey,
+                    signedAt: new Date().toISOString(),
+                    value: this.bufferToBase64(signature)
+                }
+            };
+        },
+
+        // Verify package integrity and signature; throws when either has been tampered with
+        verifyPackage: async function(packageData) {
+            const result = {
+                integrity: false,
+                signed: false,
+                signer: null,
+                ownKey: false
+            };
+
+            if (packageData.integrity) {
+                if (packageData.integrity.algorithm !== 'SHA-256') {
+                    throw new Error(`Unsupported integrity algorithm: ${packageData.integrity.algorithm}`);
+                }
+                const checksum = await this.calculateChecksum(this.canonicalize(this.getPackageContent(packageData)));
+                if (checksum !== packageData.integrity.checksum) {
+                    throw new Error('Integrity check failed: package flows do not match their SHA-256 checksum');
+                }
+                result.integrity = true;
+            }
+
+            const signature = packageData.signature;
+            if (!signature) {
+                return result;
+            }
+
+            if (signature.algorithm !== this.SIGNATURE_ALGORITHM) {
+                throw new Error(`Unsupported signature algorithm: ${signature.algorithm}`);
+            }
+
+            const subtle = this.getSubtleCrypto();
+            const publicKey = await subtle.importKey(
+                'jwk',
+                signature.publicKey,
+                { name: 'ECDSA', namedCurve: 'P-256' },
+                false,
+                ['verify']
+            );
+
+            const unsigned = { ...packageData };
+            delete unsigned.signature;
+
+            const valid = await subtle.verify(
+                { name: 'ECDSA', hash: 'SHA-256' },
+                publicKey,
+                this.base64ToBuffer(signature.value),
+                new TextEncoder().encode(this.canonicalize(unsigned))
+            );
+            if (!valid) {
+                throw new Error('Signature verification failed: the package was modified after it was signed');
+            }
+
+            // The fingerprint is derived from the key itself, not taken from the package
+            const fingerprint = await this.getKeyFingerprint(signature.publicKey);
+            if (packageData.signer && packageData.signer.fingerprint !== fingerprint) {
+                throw new Error('Signature verification failed: signer fingerprint does not match the signing key');
+            }
+
+            const identity = await this.getSigningIdentity();
+
+            result.signed = true;
+            result.signedAt = signature.signedAt;
+            result.signer = {
+                name: packageData.signer?.name || 'Unknown',
+                email: packageData.signer?.email || '',
+                fingerprint: fingerprint
+            };
+            result.ownKey = !!identity && identity.fingerprint === fingerprint;
+
+            return result;
+        },
+
+        // Content covered by a package's integrity checksum
+        getPackageContent: function(packageData) {
+            return packageData.subflows ?
+                { flows: packageData.flows, subflows: packageData.subflows } :
+                packageData.flows;
+        },
+
+        // Ask the user to accept a signed or unsigned package before loading it
+        confirmPackageSource: async function(verification, options) {
+            if (typeof options.confirmSigner === 'function') {
+                return await options.confirmSigner(verification);
+            }
+
+            if (!verification.signed) {
+                return window.confirm('This flow package is not signed. Only import packages from sources you trust.\n\nImport anyway?');
             }
-            return hash;
+
+            const signer = verification.signer;
+            const who = signer.email ? `${signer.name} <${signer.email}>` : signer.name;
+            return window.confirm(
+                `This flow package was signed by ${who}${verification.ownKey ? ' (your key)' : ''}.\n` +
+                `Key fingerprint: ${signer.fingerprint}\n` +
+                `Signed at: ${verification.signedAt}\n\nImport it?`
+            );
         },
 
         // Download JSON file
@@ -469,12 +939,12 @@
             URL.revokeObjectURL(url);
         },
 
-        // Load JSON from file
+        // Load JSON from file; PHP files are returned as source text for importFlow
         loadJSONFile: function() {
             return new Promise((resolve, reject) => {
                 const input = document.createElement('input');
                 input.type = 'file';
-                input.accept = '.json';
+                input.accept = FlowBuilder.PHPImport ? '.json,.php' : '.json';
                 
                 input.onchange = (event) => {
                     const file = event.target.files[0];
@@ -485,6 +955,10 @@
 
                     const reader = new FileReader();
                     reader.onload = (e) => {
+                        if (FlowBuilder.PHPImport && FlowBuilder.PHPImport.isPHP(e.target.result)) {
+                            resolve(e.target.result);
+                            return;
+                        }
                         try {
                             const jsonData = JSON.parse(e.target.result);
                             resolve(jsonData);
@@ -500,65 +974,122 @@
             });
         },
 
-        // Export multiple flows as a package
-        exportPackage: function(flowIds, packageName = 'flows-package') {
-            const packageData = {
+        // Export multiple flows as a package, optionally signed with the user's key
+        exportPackage: async function(flowIds, packageName = 'flows-package', options = {}) {
+            let packageData = {
                 formatVersion: this.CURRENT_VERSION,
                 packageName: packageName,
                 exportedAt: new Date().toISOString(),
                 flows: []
             };
 
-            flowIds.forEach(flowId => {
+            for (const flowId of flowIds) {
                 const flow = FlowBuilder.state.flows.get(flowId);
                 if (flow) {
-                    const exportData = this.serializeFlow(flow, { download: false });
+                    const exportData = await this.serializeFlow(flow, { download: false });
                     packageData.flows.push(exportData.flow);
                 }
-            });
+            }
+
+            // Subflows used by the exported flows travel with them, dependencies first
+            if (FlowBuilder.Subflows) {
+                const subflows = await FlowBuilder.Subflows.serializeDependencies(flowIds);
+                if (subflows.length > 0) {
+                    packageData.subflows = subflows;
+                }
+            }
+
+            packageData.integrity = {
+                algorithm: 'SHA-256',
+                checksum: await this.calculateChecksum(this.canonicalize(this.getPackageContent(packageData)))
+            };
+
+            if (options.sign) {
+                const identity = options.signingKey || await this.getSigningIdentity();
+                packageData = await this.signPackage(packageData, identity);
+            }
 
-            this.downloadJSON(packageData, `${packageName}.json`);
+            if (options.download !== false) {
+                this.downloadJSON(packageData, `${packageName}.json`);
+            }
             return packageData;
         },
 
         // Import package with multiple flows
-        importPackage: function(packageData, options = {}) {
+        importPackage: async function(packageData, options = {}) {
             try {
                 if (!packageData.flows || !Array.isArray(packageData.flows)) {
                     throw new Error('Invalid package format');
                 }
 
+                // A package from a newer version is refused as a whole
+                this.checkCompatibility({ formatVersion: packageData.formatVersion });
+
+                // Check integrity and signature, and show the signer before anything is loaded
+                const verification = await this.verifyPackage(packageData);
+                if (options.requireSignature && !verification.signed) {
+                    throw new Error('Package is not signed');
+                }
+                if (options.confirm !== false && !await this.confirmPackageSource(verification, options)) {
+                    return {
+                        success: false,
+                        cancelled: true,
+                        importedFlows: [],
+                        errors: ['Import cancelled'],
+                        migrations: [],
+                        verification: verification
+                    };
+                }
+
                 const importedFlows = [];
                 const errors = [];
+                const migrations = [];
+
+                // Install subflows before the flows that use them as node types
+                let subflows = [];
+                if (Array.isArray(packageData.subflows) && packageData.subflows.length > 0) {
+                    if (!FlowBuilder.Subflows) {
+                        throw new Error('Package contains subflows but the subflow system is not loaded');
+                    }
+                    subflows = await FlowBuilder.Subflows.importDefinitions(packageData.subflows, packageData.formatVersion);
+                }
 
-                packageData.flows.forEach((flowData, index) => {
+                for (const [index, flowData] of packageData.flows.entries()) {
                     try {
                         const wrappedFlowData = {
                             formatVersion: packageData.formatVersion,
                             flow: flowData
                         };
                         
-                        const flow = this.importFlow(wrappedFlowData, {
+                        const flow = await this.importFlow(wrappedFlowData, {
                             ...options,
                             setActive: false
                         });
                         
                         importedFlows.push(flow);
+                        if (this.lastImportReport.changes.length > 0 || this.lastImportReport.warnings.length > 0) {
+                            migrations.push({ flowName: flow.name, ...this.lastImportReport });
+                        }
                     } catch (error) {
                         errors.push(`Flow ${index + 1}: ${error.message}`);
                     }
-                });
+                }
 
                 return {
                     success: true,
                     importedFlows: importedFlows,
-                    errors: errors
+                    subflows: subflows,
+                    errors: errors,
+                    migrations: migrations,
+                    verification: verification
                 };
             } catch (error) {
                 return {
                     success: false,
                     importedFlows: [],
-                    errors: [error.message]
+                    errors: [error.message],
+                    migrations: [],
+                    verification: null
                 };
             }
         },
@@ -566,7 +1097,7 @@
         // Export flow to clipboard
         exportToClipboard: async function(flowId) {
             try {
-                const exportData = this.exportFlow(flowId, { download: false });
+                const exportData = await this.exportFlow(flowId, { download: false });
                 const jsonString = JSON.stringify(exportData, null, 2);
                 
                 if (navigator.clipboard) {
@@ -599,8 +1130,8 @@
                     throw new Error('Clipboard API not available');
                 }
 
-                const flowData = JSON.parse(clipboardText);
-                return this.importFlow(flowData, options);
+                // importFlow parses JSON and recognises PHP source
+                return await this.importFlow(clipboardText, options);
             } catch (error) {
                 console.error('Failed to import from clipboard:', error);
                 throw error;
@@ -617,14 +1148,22 @@
         return this.ExportImport.importFlow(jsonData, options);
     };
 
-    FlowBuilder.exportPackage = function(flowIds, packageName) {
-        return this.ExportImport.exportPackage(flowIds, packageName);
+    FlowBuilder.exportPackage = function(flowIds, packageName, options) {
+        return this.ExportImport.exportPackage(flowIds, packageName, options);
     };
 
     FlowBuilder.importPackage = function(packageData, options) {
         return this.ExportImport.importPackage(packageData, options);
     };
 
+    FlowBuilder.generateSigningKey = function(signerName, options) {
+        return this.ExportImport.generateSigningKey(signerName, options);
+    };
+
+    FlowBuilder.registerNodeMigration = function(nodeType, fromVersion, toVersion, migrate, description) {
+        return this.ExportImport.registerMigration(nodeType, fromVersion, toVersion, migrate, description);
+    };
+
     FlowBuilder.exportToClipboard = function(flowId) {
         return this.ExportImport.exportToClipboard(flowId);
     };
@@ -0,0 +1,602 @@
+/**
+ * AlgorithmPress Flow Import Converters
+ * Converts n8n and Node-RED exports into AlgorithmPress flows
+ */
+
+(function(window, document) {
+    'use strict';
+
+    // Ensure flow builder export/import is available
+    if (!window.AlgorithmPressFlowBuilder || !window.AlgorithmPressFlowBuilder.ExportImport) {
+        console.error('AlgorithmPress Flow Export/Import System required');
+        return;
+    }
+
+    const FlowBuilder = window.AlgorithmPressFlowBuilder;
+    const ExportImport = FlowBuilder.ExportImport;
+
+    // Convert a duration in a named unit to the delay node's ms value
+    function toDelay(amount, unit) {
+        const multipliers = {
+            milliseconds: 1, ms: 1,
+            seconds: 1000, second: 1000, s: 1000,
+            minutes: 60000, minute: 60000, m: 60000,
+            hours: 3600000, hour: 3600000, h: 3600000,
+            days: 86400000, day: 86400000
+        };
+        return { duration: Number(amount || 0) * (multipliers[unit] || 1000), unit: 'ms' };
+    }
+
+    // Map comparison operators from both tools onto the condition node's operators
+    function mapOperator(operation) {
+        const operators = {
+            equal: 'equals', equals: 'equals', eq: 'equals', '==': 'equals', '===': 'equals',
+            notEqual: 'not-equals', notEquals: 'not-equals', neq: 'not-equals', '!=': 'not-equals',
+            larger: 'greater', gt: 'greater', greater: 'greater', '>': 'greater',
+            smaller: 'less', lt: 'less', less: 'less', '<': 'less',
+            contains: 'contains', cont: 'contains'
+        };
+        return operators[operation] || null;
+    }
+
+    // Output port for each switch rule; the switch node only has two case ports,
+    // so later rules get none and their wires are reported as dropped
+    function switchPorts(rules, isDefault) {
+        let cases = 0;
+        return rules.map(rule => {
+            if (isDefault(rule)) return 'default';
+            cases++;
+            return cases <= 2 ? `case${cases}` : null;
+        });
+    }
+
+    // n8n expressions look like "={{ $json.email }}"; keep the inner expression readable
+    function n8nValue(value) {
+        if (typeof value !== 'string') return value;
+        return value.replace(/^=/, '');
+    }
+
+    // ================================
+    // n8n NODE MAPPING
+    // ================================
+
+    // outputs: n8n output index → AlgorithmPress output port
+    const N8N_NODE_MAP = {
+        'n8n-nodes-base.manualTrigger': { type: 'start', outputs: ['success'] },
+        'n8n-nodes-base.start': { type: 'start', outputs: ['success'] },
+        'n8n-nodes-base.webhook': {
+            type: 'webhook',
+            outputs: ['success'],
+            properties: (params) => ({
+                method: params.httpMethod || 'GET',
+                path: '/' + String(params.path || 'webhook').replace(/^\//, ''),
+                authentication: { basicAuth: 'basic', headerAuth: 'bearer' }[params.authentication] || 'none'
+            })
+        },
+        'n8n-nodes-base.scheduleTrigger': {
+            type: 'schedule',
+            outputs: ['trigger'],
+            properties: (params, report) => {
+                const rule = params.rule?.interval?.[0] || {};
+                if (rule.expression) {
+                    return { type: 'cron', expression: rule.expression };
+                }
+                report.warnings.push('Schedule rule converted to a daily 09:00 cron; check the expression');
+                return { type: 'cron', expression: '0 9 * * *' };
+            }
+        },
+        'n8n-nodes-base.cron': { type: 'schedule', outputs: ['trigger'] },
+        'n8n-nodes-base.formTrigger': {
+            type: 'form-submit',
+            outputs: ['success'],
+            properties: (params) => ({ formId: params.path || '' })
+        },
+        'n8n-nodes-base.httpRequest': {
+            type: 'http-request',
+            outputs: ['success', 'error'],
+            properties: (params) => ({
+                method: params.method || params.requestMethod || 'GET',
+                url: n8nValue(params.url || ''),
+                body: typeof params.body === 'string' ? params.body : (params.jsonBody || ''),
+                timeout: params.options?.timeout || 5000
+            })
+        },
+        'n8n-nodes-base.if': {
+            type: 'condition',
+            outputs: ['true', 'false'],
+            properties: (params, report) => {
+                // v2 stores conditions.conditions[], v1 stores conditions.<dataType>[]
+                const v2 = params.conditions?.conditions?.[0];
+                if (v2) {
+                    return {
+                        leftValue: n8nValue(v2.leftValue),
+                        operator: mapOperator(v2.operator?.operation) || 'equals',
+                        rightValue: n8nValue(v2.rightValue),
+                        dataType: ['number', 'boolean', 'dateTime'].includes(v2.operator?.type) ?
+                            (v2.operator.type === 'dateTime' ? 'date' : v2.operator.type) : 'text'
+                    };
+                }
+
+                for (const dataType of ['string', 'number', 'boolean', 'dateTime']) {
+                    const v1 = params.conditions?.[dataType]?.[0];
+                    if (v1) {
+                        return {
+                            leftValue: n8nValue(v1.value1),
+                            operator: mapOperator(v1.operation) || 'equals',
+                            rightValue: n8nValue(v1.value2),
+                            dataType: { string: 'text', dateTime: 'date' }[dataType] || dataType
+                        };
+                    }
+                }
+
+                report.warnings.push('IF node conditions could not be read; condition left empty');
+                return {};
+            }
+        },
+        'n8n-nodes-base.switch': {
+            type: 'switch',
+            // The fallback output follows the rule outputs
+            outputs: (node) => {
+                const rules = node.parameters?.rules?.rules || node.parameters?.rules?.values || [];
+                return [...switchPorts(rules, () => false), 'default'];
+            },
+            properties: (params, report) => {
+                const rules = params.rules?.rules || params.rules?.values || [];
+                rules.slice(2).forEach((rule, index) => {
+                    report.warnings.push(`Switch rule ${index + 3} dropped: only two cases are supported, so its output was not connected`);
+                });
+                return {
+                    variable: n8nValue(params.value1 || params.rules?.values?.[0]?.conditions?.conditions?.[0]?.leftValue || ''),
+                    cases: rules.slice(0, 2).map((rule, index) => ({
+                        value: n8nValue(rule.value2 ?? rule.conditions?.conditions?.[0]?.rightValue ?? ''),
+                        output: `case${index + 1}`
+                    }))
+                };
+            }
+        },
+        'n8n-nodes-base.splitInBatches': {
+            type: 'loop',
+            outputs: (node) => node.typeVersion >= 3 ? ['complete', 'each'] : ['each', 'complete']
+        },
+        'n8n-nodes-base.wait': {
+            type: 'delay',
+            outputs: ['output'],
+            properties: (params) => toDelay(params.amount, params.unit)
+        },
+        'n8n-nodes-base.code': {
+            type: 'run-code',
+            outputs: ['success'],
+            properties: (params, report) => {
+                if (params.language && params.language !== 'javaScript') {
+                    report.warnings.push(`Code node language '${params.language}' is not supported by Run Code`);
+                }
+                return { code: params.jsCode || '', language: 'javascript' };
+            }
+        },
+        'n8n-nodes-base.function': {
+            type: 'run-code',
+            outputs: ['success'],
+            properties: (params) => ({ code: params.functionCode || '', language: 'javascript' })
+        },
+        'n8n-nodes-base.set': {
+            type: 'variable-set',
+            outputs: ['output'],
+            properties: (params, report) => {
+                const assignments = params.assignments?.assignments ||
+                    Object.values(params.values || {}).flat();
+                if (assignments.length > 1) {
+                    report.warnings.push(`Set node assigns ${assignments.length} fields; only the first was converted`);
+                }
+                const first = assignments[0] || {};
+                return { variableName: first.name || '', value: n8nValue(first.value ?? '') };
+            }
+        },
+        'n8n-nodes-base.filter': { type: 'filter-data', outputs: ['output'] },
+        'n8n-nodes-base.aggregate': { type: 'aggregate-data', outputs: ['output'] },
+        'n8n-nodes-base.summarize': { type: 'aggregate-data', outputs: ['output'] },
+        'n8n-nodes-base.emailSend': {
+            type: 'send-email',
+            outputs: ['success'],
+            properties: (params) => ({
+                to: n8nValue(params.toEmail || ''),
+                subject: n8nValue(params.subject || ''),
+                body: n8nValue(params.text || params.html || ''),
+                isHtml: !!params.html
+            })
+        },
+        'n8n-nodes-base.postgres': { type: 'database-query', outputs: ['success'], properties: (params) => ({ query: params.query || '' }) },
+        'n8n-nodes-base.mySql': { type: 'database-query', outputs: ['success'], properties: (params) => ({ query: params.query || '' }) },
+        'n8n-nodes-base.wordpress': {
+            type: 'wordpress-api',
+            outputs: ['success'],
+            properties: (params) => ({
+                endpoint: `${params.resource || 'post'}s`,
+                method: params.operation === 'create' ? 'POST' : 'GET'
+            })
+        },
+        'n8n-nodes-base.stickyNote': {
+            type: 'comment',
+            outputs: [],
+            properties: (params) => ({ content: params.content || '' })
+        }
+    };
+
+    // ================================
+    // NODE-RED NODE MAPPING
+    // ================================
+
+    // outputs: Node-RED wires index → AlgorithmPress output port
+    const NODE_RED_NODE_MAP = {
+        'inject': {
+            type: (node) => (node.crontab || node.repeat) ? 'schedule' : 'start',
+            outputs: (node) => (node.crontab || node.repeat) ? ['trigger'] : ['success'],
+            properties: (node, report) => {
+                if (node.crontab) {
+                    return { type: 'cron', expression: node.crontab };
+                }
+                if (node.repeat) {
+                    const minutes = Math.max(1, Math.round(Number(node.repeat) / 60));
+                    if (Number(node.repeat) % 60 !== 0) {
+                        report.warnings.push(`Inject '${node.name || node.id}' repeat of ${node.repeat}s rounded to ${minutes} minute(s)`);
+                    }
+                    return { type: 'cron', expression: `*/${minutes} * * * *` };
+                }
+                return {};
+            }
+        },
+        'http in': {
+            type: 'webhook',
+            outputs: ['success'],
+            properties: (node) => ({ method: String(node.method || 'get').toUpperCase(), path: node.url || '/webhook' })
+        },
+        'http request': {
+            type: 'http-request',
+            outputs: ['success'],
+            properties: (node) => ({
+                method: node.method && node.method !== 'use' ? String(node.method).toUpperCase() : 'GET',
+                url: node.url || '',
+                timeout: Number(node.reqTimeout) || 5000
+            })
+        },
+        'switch': {
+            type: 'switch',
+            outputs: (node) => switchPorts(node.rules || [], rule => rule.t === 'else'),
+            properties: (node, report) => {
+                const rules = node.rules || [];
+                const cases = [];
+                rules.forEach((rule, index) => {
+                    if (rule.t === 'else') return;
+                    if (cases.length === 2) {
+                        report.warnings.push(`Switch '${node.name || node.id}' rule ${index + 1} dropped: only two cases are supported, so its wires were not connected`);
+                        return;
+                    }
+                    if (rule.t !== 'eq') {
+                        report.warnings.push(`Switch '${node.name || node.id}' rule ${index + 1} (${rule.t}) converted as an equality check`);
+                    }
+                    cases.push({ value: rule.v ?? '', output: `case${cases.length + 1}` });
+                });
+                return { variable: node.property || 'payload', cases: cases };
+            }
+        },
+        'function': {
+            type: 'run-code',
+            outputs: ['success'],
+            properties: (node) => ({
+                // Node-RED functions work on msg; expose the input data under that name
+                code: `const msg = input;\n${node.func || ''}`,
+                language: 'javascript'
+            })
+        },
+        'delay': {
+            type: 'delay',
+            outputs: ['output'],
+            properties: (node) => toDelay(node.timeout, node.timeoutUnits)
+        },
+        'change': {
+            type: 'variable-set',
+            outputs: ['output'],
+            properties: (node, report) => {
+                const rules = node.rules || [];
+                if (rules.length > 1) {
+                    report.warnings.push(`Change '${node.name || node.id}' has ${rules.length} rules; only the first was converted`);
+                }
+                const rule = rules[0] || {};
+                return {
+                    variableName: String(rule.p || '').replace(/^(flow|global|msg)\./, ''),
+                    value: rule.to ?? ''
+                };
+            }
+        },
+        'split': { type: 'loop', outputs: ['each'] },
+        'debug': {
+            type: 'display-text',
+            outputs: ['displayed'],
+            properties: (node) => ({ content: `{{${node.complete === 'true' ? 'msg' : (node.complete || 'payload')}}}` })
+        },
+        'e-mail': {
+            type: 'send-email',
+            outputs: ['success'],
+            properties: (node) => ({ to: node.name || '' })
+        },
+        'comment': {
+            type: 'comment',
+            outputs: [],
+            properties: (node) => ({ content: node.info || node.name || '' })
+        }
+    };
+
+    // Foreign format detection, conversion and reporting
+    Object.assign(ExportImport, {
+        // Recognise an n8n or Node-RED export
+        detectExternalFormat: function(data) {
+            if (Array.isArray(data)) {
+                return data.some(node => node && typeof node.type === 'string' && Array.isArray(node.wires)) ||
+                    data.some(node => node && node.type === 'tab') ? 'node-red' : null;
+            }
+
+            if (data && Array.isArray(data.nodes) && data.connections && typeof data.connections === 'object' &&
+                !Array.isArray(data.connections) && data.nodes.some(node => String(node.type).includes('.'))) {
+                return 'n8n';
+            }
+
+            // Node-RED project files wrap the flow array
+            if (data && Array.isArray(data.flows)) {
+                return this.detectExternalFormat(data.flows) ? 'node-red' : null;
+            }
+
+            return null;
+        },
+
+        // Convert external JSON to native export data; returns null for native data
+        convertExternalFlow: function(data, options = {}) {
+            const format = this.detectExternalFormat(data);
+            if (format === 'n8n') return this.convertN8nFlow(data, options);
+            if (format === 'node-red') return this.convertNodeRedFlow(Array.isArray(data) ? data : data.flows, options);
+            return null;
+        },
+
+        convertN8nFlow: function(workflow, options = {}) {
+            const report = this.createConversionReport('n8n');
+            const builder = this.createConversionBuilder(report);
+
+            workflow.nodes.forEach(n8nNode => {
+                const mapping = N8N_NODE_MAP[n8nNode.type];
+                const position = Array.isArray(n8nNode.position) ?
+                    { x: n8nNode.position[0], y: n8nNode.position[1] } : { x: 0, y: 0 };
+
+                if (n8nNode.disabled) {
+                    report.warnings.push(`Node '${n8nNode.name}' was disabled in n8n`);
+                }
+
+                builder.addNode(n8nNode.name, n8nNode.type, mapping, n8nNode, n8nNode.parameters || {}, position, n8nNode.name);
+            });
+
+            // connections: { sourceName: { main: [[{ node, type, index }], ...] } }
+            Object.entries(workflow.connections || {}).forEach(([sourceName, outputs]) => {
+                Object.entries(outputs).forEach(([connectionType, outputList]) => {
+                    if (connectionType !== 'main') {
+                        report.warnings.push(`'${sourceName}': ${connectionType} connections are not supported`);
+                        return;
+                    }
+                    (outputList || []).forEach((targets, outputIndex) => {
+                        (targets || []).forEach(target => {
+                            builder.connect(sourceName, outputIndex, target.node);
+                        });
+                    });
+                });
+            });
+
+            return this.finishConversion(builder, {
+                name: options.name || workflow.name || 'Imported n8n workflow',
+                description: 'Imported from n8n'
+            });
+        },
+
+        convertNodeRedFlow: function(nodes, options = {}) {
+            const report = this.createConversionReport('node-red');
+            const builder = this.createConversionBuilder(report);
+
+            // Node-RED exports can contain several tabs; import one
+            const tabs = nodes.filter(node => node.type === 'tab');
+            const tab = options.tab ? tabs.find(t => t.id === options.tab || t.label === options.tab) : tabs[0];
+            if (tabs.length > 1) {
+                report.warnings.push(`Export contains ${tabs.length} tabs; imported '${tab?.label || tab?.id}'`);
+            }
+
+            const flowNodes = nodes.filter(node =>
+                Array.isArray(node.wires) || node.type === 'comment'
+            ).filter(node => !tab || node.z === tab.id);
+
+            // Configuration nodes (brokers, TLS configs, ...) have no wires and no position
+            const skipped = nodes.filter(node =>
+                node.type !== 'tab' && !Array.isArray(node.wires) && node.type !== 'comment' && (!tab || !node.z || node.z === tab.id)
+            );
+            skipped.forEach(node => {
+                report.warnings.push(`Configuration node '${node.name || node.id}' (${node.type}) skipped`);
+            });
+
+            flowNodes.forEach(redNode => {
+                builder.addNode(redNode.id, redNode.type, NODE_RED_NODE_MAP[redNode.type], redNode, redNode,
+                    { x: Number(redNode.x) || 0, y: Number(redNode.y) || 0 }, redNode.name || redNode.type);
+            });
+
+            flowNodes.forEach(redNode => {
+                (redNode.wires || []).forEach((targets, outputIndex) => {
+                    (targets || []).forEach(targetId => builder.connect(redNode.id, outputIndex, targetId));
+                });
+            });
+
+            return this.finishConversion(builder, {
+                name: options.name || tab?.label || 'Imported Node-RED flow',
+                description: tab?.info || 'Imported from Node-RED'
+            });
+        },
+
+        createConversionReport: function(source) {
+            return {
+                source: source,
+                converted: [],
+                placeholders: [],
+                droppedConnections: [],
+                warnings: []
+            };
+        },
+
+        // Collects nodes and connections while converting; keys are the source tool's node IDs
+        createConversionBuilder: function(report) {
+            const nodes = new Map();
+            const connections = [];
+
+            const resolve = (value, ...args) => typeof value === 'function' ? value(...args) : value;
+
+            return {
+                report: report,
+                nodes: nodes,
+                connections: connections,
+
+                addNode: function(key, sourceType, mapping, sourceNode, params, position, label) {
+                    const type = mapping ? resolve(mapping.type, sourceNode) : 'comment';
+                    const definition = FlowBuilder.nodeTypes.get(type);
+
+                    let properties;
+                    if (mapping && definition) {
+                        properties = {
+                            ...JSON.parse(JSON.stringify(definition.defaultProperties || {})),
+                            ...(mapping.properties ? mapping.properties(params, report) : {}),
+                            title: label
+                        };
+                        report.converted.push({ name: label, from: sourceType, to: type });
+                    } else {
+                        // Unmapped nodes become comments carrying the original configuration
+                        properties = {
+                            ...FlowBuilder.nodeTypes.get('comment').defaultProperties,
+                            title: label,
+                            content: `Unconverted ${report.source} node '${label}' (${sourceType})`,
+                            originalType: sourceType,
+                            originalNode: JSON.parse(JSON.stringify(sourceNode))
+                        };
+                        report.placeholders.push({ name: label, type: sourceType });
+                    }
+
+                    const nodeDefinition = FlowBuilder.nodeTypes.get(mapping && definition ? type : 'comment');
+                    nodes.set(key, {
+                        id: FlowBuilder.generateId(),
+                        type: nodeDefinition.type,
+                        version: nodeDefinition.version,
+                        label: label,
+                        outputMap: mapping && definition ? resolve(mapping.outputs, sourceNode) || [] : [],
+                        position: position,
+                        properties: properties,
+                        inputs: nodeDefinition.inputs.map(port => ({ ...port })),
+                        outputs: nodeDefinition.outputs.map(port => ({ ...port }))
+                    });
+                },
+
+                connect: function(sourceKey, outputIndex, targetKey) {
+                    const source = nodes.get(sourceKey);
+                    const target = nodes.get(targetKey);
+                    const describe = () => `${source?.label || sourceKey} [${outputIndex}] → ${target?.label || targetKey}`;
+
+                    if (!source || !target) {
+                        report.droppedConnections.push({ connection: describe(), reason: 'Node not found' });
+                        return;
+                    }
+
+                    const sourcePortId = source.outputMap[outputIndex] ||
+                        (outputIndex >= source.outputMap.length && source.outputMap.includes('default') ? 'default' : null);
+                    const targetPort = target.inputs.find(port => port.type === 'flow');
+
+                    if (!sourcePortId || !targetPort) {
+                        report.droppedConnections.push({
+                            connection: describe(),
+                            reason: !sourcePortId ? 'Source output has no equivalent port' : 'Target has no flow input'
+                        });
+                        return;
+                    }
+
+                    if (source.outputMap[outputIndex] === undefined) {
+                        report.warnings.push(`${describe()}: extra output merged into '${sourcePortId}'`);
+                    }
+
+                    connections.push({
+                        id: FlowBuilder.generateId('conn'),
+                        sourceNodeId: source.id,
+                        sourcePortId: sourcePortId,
+                        targetNodeId: target.id,
+                        targetPortId: targetPort.id,
+                        type: 'flow',
+                        properties: {},
+                        metadata: { created: new Date(), modified: new Date() }
+                    });
+                }
+            };
+        },
+
+        // Build native export data from a conversion builder
+        finishConversion: function(builder, info) {
+            const now = new Date();
+            const nodes = Array.from(builder.nodes.values()).map(node => ({
+                id: node.id,
+                type: node.type,
+                version: node.version,
+                position: node.position,
+                properties: node.properties,
+                metadata: { created: now, modified: now },
+                inputs: node.inputs,
+                outputs: node.outputs
+            }));
+
+            // The execution engine starts from start nodes
+            if (!nodes.some(node => node.type === 'start')) {
+                builder.report.warnings.push('No start node in source; flow must be started from one of its triggers');
+            }
+
+            return {
+                formatVersion: this.CURRENT_VERSION,
+                exportedAt: now.toISOString(),
+                exportedBy: `${builder.report.source} converter`,
+                conversion: builder.report,
+                flow: {
+                    id: FlowBuilder.generateId('flow'),
+                    name: info.name,
+                    description: info.description,
+                    version: '1.0.0',
+                    created: now,
+                    modified: now,
+                    author: 'Imported',
+                    settings: {},
+                    nodes: nodes,
+                    connections: builder.connections,
+                    variables: {}
+                }
+            };
+        },
+
+        // Plain-text summary of a conversion report
+        formatConversionReport: function(report) {
+            const lines = [`Imported from ${report.source}: ${report.converted.length} node(s) converted`];
+
+            if (report.placeholders.length > 0) {
+                lines.push(`${report.placeholders.length} node(s) could not be converted and were added as comments:`);
+                report.placeholders.forEach(item => lines.push(`  - ${item.name} (${item.type})`));
+            }
+            if (report.droppedConnections.length > 0) {
+                lines.push(`${report.droppedConnections.length} connection(s) dropped:`);
+                report.droppedConnections.forEach(item => lines.push(`  - ${item.connection}: ${item.reason}`));
+            }
+            if (report.warnings.length > 0) {
+                lines.push('Warnings:');
+                report.warnings.forEach(warning => lines.push(`  - ${warning}`));
+            }
+
+            return lines.join('\n');
+        }
+    });
+
+    FlowBuilder.importExternalFlow = function(jsonData, options) {
+        return this.ExportImport.importFlow(jsonData, options);
+    };
+
+    console.log('AlgorithmPress Flow Import Converters loaded');
+
+})(window, document);
@@ -0,0 +1,1953 @@
+/**
+ * AlgorithmPress Flow PHP Import
+ * Rebuilds editable flows from PHP: code generated by the Flow Builder, and plain
+ * scripts using cURL, if/else, loops and PDO queries
+ */
+
+(function(window, document) {
+    'use strict';
+
+    // Ensure flow builder export/import and code generation are available
+    if (!window.AlgorithmPressFlowBuilder || !window.AlgorithmPressFlowBuilder.ExportImport ||
+        !window.AlgorithmPressFlowBuilder.CodeGeneration) {
+        console.error('AlgorithmPress Flow Export/Import System and Code Generation required');
+        return;
+    }
+
+    const FlowBuilder = window.AlgorithmPressFlowBuilder;
+    const ExportImport = FlowBuilder.ExportImport;
+    const phpLiteral = FlowBuilder.CodeGeneration.toPHPLiteral;
+
+    // ================================
+    // TOKENIZER
+    // ================================
+
+    // Longest operators first so "===" is not read as "==" followed by "="
+    const OPERATORS = [
+        '<=>', '**=', '...', '<<=', '>>=', '===', '!==', '??=', '?->',
+        '==', '!=', '<>', '<=', '>=', '&&', '||', '??', '?:', '->', '=>', '::', '++', '--',
+        '+=', '-=', '*=', '/=', '.=', '%=', '&=', '|=', '^=', '<<', '>>', '**'
+    ];
+
+    const ASSIGNMENT_OPERATORS = ['=', '+=', '-=', '*=', '/=', '.=', '%=', '??=', '**=', '|=', '&=', '^=', '<<=', '>>='];
+
+    const TOKEN_PATTERNS = [
+        ['space', /\s+/y],
+        ['comment', /(?:\/\/|#(?!\[))(?:(?!\?>)[^\n])*/y],
+        ['comment', /\/\*[\s\S]*?(?:\*\/|$)/y],
+        ['variable', /\$[A-Za-z_\x80-\uffff][\w\x80-\uffff]*/y],
+        ['number', /(?:0[xX][0-9a-fA-F_]+|0[bB][01_]+|(?:\d[\d_]*(?:\.\d*)?|\.\d+)(?:[eE][+-]?\d+)?)/y],
+        ['identifier', /\\?[A-Za-z_\x80-\uffff][\w\x80-\uffff]*(?:\\[A-Za-z_\x80-\uffff][\w\x80-\uffff]*)*/y],
+        ['single', /'(?:[^'\\]|\\[\s\S])*'/y],
+        ['double', /"(?:[^"\\]|\\[\s\S])*"/y],
+        ['heredoc', /<<<[ \t]*(["']?)([A-Za-z_]\w*)\1\r?\n([\s\S]*?)\r?\n([ \t]*)\2\b/y]
+    ];
+
+    // Superglobals and $this never become flow variables
+    const RESERVED_VARIABLES = /^\$(this|GLOBALS|_(GET|POST|REQUEST|SERVER|COOKIE|SESSION|FILES|ENV))$/;
+
+    function decodeDoubleQuoted(text) {
+        const simple = { n: '\n', t: '\t', r: '\r', v: '\v', e: '\x1b', f: '\f', '\\': '\\', $: '$', '"': '"' };
+        return text.replace(/\\(u\{[0-9a-fA-F]+\}|x[0-9a-fA-F]{1,2}|[0-7]{1,3}|[ntrvef\\$"])/g, (match, escape) => {
+            if (simple[escape]) return simple[escape];
+            if (escape[0] === 'u') return String.fromCodePoint(parseInt(escape.slice(2, -1), 16));
+            if (escape[0] === 'x') return String.fromCharCode(parseInt(escape.slice(1), 16));
+            return String.fromCharCode(parseInt(escape, 8));
+        });
+    }
+
+    // Tokens keep their source offsets so statements can be cut back out of the code
+    function tokenize(code) {
+        const tokens = [];
+        let pos = 0;
+        let inPHP = false;
+        let htmlStart = 0;
+
+        while (pos < code.length) {
+            if (!inPHP) {
+                const open = /<\?php\b/ig;
+                open.lastIndex = pos;
+                const match = open.exec(code);
+                const textEnd = match ? match.index : code.length;
+                const end = match ? open.lastIndex : code.length;
+
+                // Whitespace only matters between tags, where "?>" also ends a statement
+                if (code.slice(pos, textEnd).trim() || (match && htmlStart > 0)) {
+                    tokens.push({ type: 'html', value: code.slice(pos, textEnd), start: htmlStart, end: end });
+                }
+                pos = end;
+                inPHP = true;
+                continue;
+            }
+
+            if (code.startsWith('?>', pos)) {
+                htmlStart = pos;
+                pos += code[pos + 2] === '\n' ? 3 : 2;
+                inPHP = false;
+                continue;
+            }
+
+            let matched = false;
+            for (const [type, pattern] of TOKEN_PATTERNS) {
+                pattern.lastIndex = pos;
+                const match = pattern.exec(code);
+                if (!match) continue;
+
+                const start = pos;
+                pos = pattern.lastIndex;
+                matched = true;
+
+                if (type === 'space') break;
+                if (type === 'single') {
+                    tokens.push({ type: 'string', value: match[0].slice(1, -1).replace(/\\([\\'])/g, '$1'), start, end: pos });
+                } else if (type === 'double') {
+                    const raw = match[0].slice(1, -1);
+                    tokens.push({
+                        type: 'string',
+                        value: decodeDoubleQuoted(raw),
+                        raw: raw,
+                        interpolated: /(^|[^\\])(\\\\)*(\$[A-Za-z_]|\{\$)/.test(raw),
+                        start, end: pos
+                    });
+                } else if (type === 'heredoc') {
+                    const body = match[3].split('\n').map(line => line.startsWith(match[4]) ? line.slice(match[4].length) : line).join('\n');
+                    const nowdoc = match[1] === "'";
+                    tokens.push({
+                        type: 'string',
+                        value: nowdoc ? body : decodeDoubleQuoted(body),
+                        raw: body,
+                        interpolated: !nowdoc && /(^|[^\\])(\\\\)*(\$[A-Za-z_]|\{\$)/.test(body),
+                        start, end: pos
+                    });
+                } else if (type === 'number') {
+                    tokens.push({ type: 'number', value: Number(match[0].replace(/_/g, '')), start, end: pos });
+                } else {
+                    tokens.push({ type: type, value: match[0], start, end: pos });
+                }
+                break;
+            }
+            if (matched) continue;
+
+            const operator = OPERATORS.find(candidate => code.startsWith(candidate, pos)) || code[pos];
+            tokens.push({ type: 'op', value: operator, start: pos, end: pos + operator.length });
+            pos += operator.length;
+        }
+
+        return tokens;
+    }
+
+    // ================================
+    // PARSER
+    // ================================
+
+    // Statements: if, foreach, for, while, do, switch, try, function, class, return,
+    // block, html and expression. Expressions stay as token lists.
+
+    function is(token, value) {
+        if (!token) return false;
+        if (token.type === 'op') return token.value === value;
+        return token.type === 'identifier' && token.value.toLowerCase() === value;
+    }
+
+    function lineOf(code, offset) {
+        return code.slice(0, offset).split('\n').length;
+    }
+
+    function peek(stream, offset = 0) {
+        for (let i = stream.pos; i < stream.tokens.length; i++) {
+            if (stream.tokens[i].type === 'comment') continue;
+            if (offset === 0) return stream.tokens[i];
+            offset--;
+        }
+        return null;
+    }
+
+    function next(stream) {
+        while (stream.pos < stream.tokens.length && stream.tokens[stream.pos].type === 'comment') {
+            stream.pos++;
+        }
+        const token = stream.tokens[stream.pos++] || null;
+        if (token) stream.lastEnd = token.end;
+        return token;
+    }
+
+    function takeComments(stream) {
+        const comments = [];
+        while (stream.pos < stream.tokens.length && stream.tokens[stream.pos].type === 'comment') {
+            comments.push(stream.tokens[stream.pos++].value
+                .replace(/^(\/\/|#)\s?/, '')
+                .replace(/^\/\*+\s*|\s*\*+\/$/g, ''));
+        }
+        return comments;
+    }
+
+    function fail(stream, token, message) {
+        const where = token ? `on line ${lineOf(stream.code, token.start)}` : 'at end of code';
+        throw new Error(`PHP parse error ${where}: ${message}`);
+    }
+
+    function expect(stream, value) {
+        const token = next(stream);
+        if (!is(token, value)) {
+            fail(stream, token, `expected '${value}'${token ? `, found '${token.value}'` : ''}`);
+        }
+        return token;
+    }
+
+    // Tokens up to a stop token at nesting depth 0
+    function readExpression(stream, stops) {
+        const tokens = [];
+        let depth = 0;
+
+        for (let token = peek(stream); token; token = peek(stream)) {
+            if (depth === 0 && (token.type === 'html' || stops.some(stop => is(token, stop)))) break;
+            if (token.type === 'op' && '([{'.includes(token.value)) depth++;
+            if (token.type === 'op' && ')]}'.includes(token.value)) {
+                if (depth === 0) break;
+                depth--;
+            }
+            tokens.push(next(stream));
+        }
+
+        return tokens;
+    }
+
+    function endStatement(stream) {
+        const token = peek(stream);
+        if (is(token, ';')) {
+            next(stream);
+        } else if (token && token.type !== 'html') {
+            fail(stream, token, `expected ';', found '${token.value}'`);
+        }
+    }
+
+    function parseParenthesized(stream) {
+        expect(stream, '(');
+        const tokens = readExpression(stream, [')']);
+        expect(stream, ')');
+        return tokens;
+    }
+
+    function parseBraced(stream) {
+        expect(stream, '{');
+        const body = parseBlock(stream, ['}']);
+        expect(stream, '}');
+        return body;
+    }
+
+    // A loop or branch body: a block, a single statement, or "body endkeyword;"
+    function parseBody(stream, endKeyword) {
+        if (endKeyword && is(peek(stream), ':')) {
+            next(stream);
+            const body = parseBlock(stream, [endKeyword]);
+            expect(stream, endKeyword);
+            endStatement(stream);
+            return body;
+        }
+
+        const statement = parseStatement(stream);
+        if (!statement) return [];
+        return statement.kind === 'block' ? statement.body : [statement];
+    }
+
+    function parseBlock(stream, terminators) {
+        const statements = [];
+
+        while (true) {
+            const comments = takeComments(stream);
+            const token = peek(stream);
+            if (!token || (terminators && terminators.some(terminator => is(token, terminator)))) break;
+            if (!terminators && is(token, '}')) fail(stream, token, "unexpected '}'");
+
+            const statement = parseStatement(stream);
+            if (statement) {
+                statement.comments = comments;
+                statements.push(statement);
+            }
+        }
+
+        return statements;
+    }
+
+    function parseIf(stream) {
+        const branches = [];
+        let otherwise = null;
+
+        next(stream);
+        let test = parseParenthesized(stream);
+
+        // Alternative syntax: if (...): ... elseif (...): ... else: ... endif;
+        if (is(peek(stream), ':')) {
+            next(stream);
+            while (true) {
+                branches.push({ test: test, body: parseBlock(stream, ['elseif', 'else', 'endif']) });
+                if (is(peek(stream), 'elseif')) {
+                    next(stream);
+                    test = parseParenthesized(stream);
+                    expect(stream, ':');
+                    continue;
+                }
+                if (is(peek(stream), 'else')) {
+                    next(stream);
+                    expect(stream, ':');
+                    otherwise = parseBlock(stream, ['endif']);
+                }
+                expect(stream, 'endif');
+                endStatement(stream);
+                return { branches, otherwise };
+            }
+        }
+
+        branches.push({ test: test, body: parseBody(stream, null) });
+        while (true) {
+            if (is(peek(stream), 'elseif') || (is(peek(stream), 'else') && is(peek(stream, 1), 'if'))) {
+                if (is(next(stream), 'else')) next(stream);
+                branches.push({ test: parseParenthesized(stream), body: parseBody(stream, null) });
+                continue;
+            }
+            if (is(peek(stream), 'else')) {
+                next(stream);
+                otherwise = parseBody(stream, null);
+            }
+            break;
+        }
+
+        return { branches, otherwise };
+    }
+
+    function parseSwitch(stream) {
+        next(stream);
+        const subject = parseParenthesized(stream);
+        const alternative = is(peek(stream), ':');
+        next(stream);
+
+        const cases = [];
+        while (peek(stream) && !is(peek(stream), '}') && !is(peek(stream), 'endswitch')) {
+            takeComments(stream);
+            const token = next(stream);
+            let test = null;
+            if (is(token, 'case')) {
+                test = readExpression(stream, [':', ';']);
+            } else if (!is(token, 'default')) {
+                fail(stream, token, `expected 'case' or 'default', found '${token.value}'`);
+            }
+            next(stream);
+            cases.push({ test: test, body: parseBlock(stream, ['case', 'default', '}', 'endswitch']) });
+        }
+        next(stream);
+        if (alternative) endStatement(stream);
+
+        return { subject, cases };
+    }
+
+    function parseStatement(stream) {
+        const token = peek(stream);
+        const start = token.start;
+        const finish = (statement) => Object.assign(statement, { start: start, end: stream.lastEnd });
+
+        if (token.type === 'html') {
+            next(stream);
+            return token.value.trim() ? finish({ kind: 'html', text: token.value }) : null;
+        }
+        if (is(token, ';')) {
+            next(stream);
+            return null;
+        }
+        if (is(token, '{')) {
+            return finish({ kind: 'block', body: parseBraced(stream) });
+        }
+
+        const keyword = token.type === 'identifier' ? token.value.toLowerCase() : '';
+
+        switch (keyword) {
+            case 'if':
+                return finish({ kind: 'if', ...parseIf(stream) });
+
+            case 'foreach': {
+                next(stream);
+                expect(stream, '(');
+                const subject = readExpression(stream, ['as']);
+                expect(stream, 'as');
+                let value = readExpression(stream, ['=>']);
+                let key = null;
+                if (is(peek(stream), '=>')) {
+                    next(stream);
+                    key = value;
+                    value = readExpression(stream, [')']);
+                }
+                expect(stream, ')');
+                return finish({ kind: 'foreach', subject, key, value, body: parseBody(stream, 'endforeach') });
+            }
+
+            case 'for': {
+                next(stream);
+                expect(stream, '(');
+                const init = readExpression(stream, [';']);
+                expect(stream, ';');
+                const test = readExpression(stream, [';']);
+                expect(stream, ';');
+                const update = readExpression(stream, [')']);
+                expect(stream, ')');
+                return finish({ kind: 'for', init, test, update, body: parseBody(stream, 'endfor') });
+            }
+
+            case 'while': {
+                next(stream);
+                const test = parseParenthesized(stream);
+                return finish({ kind: 'while', test, body: parseBody(stream, 'endwhile') });
+            }
+
+            case 'do': {
+                next(stream);
+                const body = parseBody(stream, null);
+                expect(stream, 'while');
+                const test = parseParenthesized(stream);
+                endStatement(stream);
+                return finish({ kind: 'do', test, body });
+            }
+
+            case 'switch':
+                return finish({ kind: 'switch', ...parseSwitch(stream) });
+
+            case 'try': {
+                next(stream);
+                const body = parseBraced(stream);
+                const catches = [];
+                let final = null;
+                while (is(peek(stream), 'catch')) {
+                    next(stream);
+                    const types = parseParenthesized(stream);
+                    catches.push({ types: types, body: parseBraced(stream) });
+                }
+                if (is(peek(stream), 'finally')) {
+                    next(stream);
+                    final = parseBraced(stream);
+                }
+                return finish({ kind: 'try', body, catches, final });
+            }
+
+            case 'function': {
+                // "function (" starts a closure expression, not a declaration
+                const nameToken = is(peek(stream, 1), '&') ? peek(stream, 2) : peek(stream, 1);
+                if (!nameToken || nameToken.type !== 'identifier') break;
+
+                next(stream);
+                if (is(peek(stream), '&')) next(stream);
+                next(stream);
+                const params = parseParenthesized(stream);
+                if (is(peek(stream), ':')) {
+                    next(stream);
+                    readExpression(stream, ['{']);
+                }
+                return finish({ kind: 'function', name: nameToken.value, params, body: parseBraced(stream) });
+            }
+
+            case 'abstract':
+            case 'final':
+            case 'readonly':
+            case 'class':
+            case 'interface':
+            case 'trait':
+            case 'enum': {
+                if (keyword === 'enum' && peek(stream, 1)?.type !== 'identifier') break;
+                readExpression(stream, ['{']);
+                expect(stream, '{');
+                for (let depth = 1; depth > 0;) {
+                    const inner = next(stream);
+                    if (!inner) fail(stream, null, `unclosed ${keyword}`);
+                    if (is(inner, '{')) depth++;
+                    if (is(inner, '}')) depth--;
+                }
+                return finish({ kind: 'class' });
+            }
+
+            case 'return': {
+                next(stream);
+                const value = readExpression(stream, [';']);
+                endStatement(stream);
+                return finish({ kind: 'return', value });
+            }
+
+            case 'else':
+            case 'elseif':
+            case 'endif':
+            case 'endforeach':
+            case 'endfor':
+            case 'endwhile':
+            case 'case':
+            case 'default':
+                fail(stream, token, `unexpected '${token.value}'`);
+        }
+
+        const tokens = readExpression(stream, [';']);
+        if (tokens.length === 0) {
+            fail(stream, token, `unexpected '${token.value}'`);
+        }
+        endStatement(stream);
+        return finish({ kind: 'expression', tokens });
+    }
+
+    function parse(code) {
+        const stream = { code: code, tokens: tokenize(code), pos: 0, lastEnd: 0 };
+        return parseBlock(stream, null);
+    }
+
+    // ================================
+    // EXPRESSION HELPERS
+    // ================================
+
+    function matchingIndex(tokens, openIndex) {
+        const pairs = { '(': ')', '[': ']', '{': '}' };
+        const close = pairs[tokens[openIndex].value];
+        let depth = 0;
+        for (let i = openIndex; i < tokens.length; i++) {
+            if (is(tokens[i], tokens[openIndex].value)) depth++;
+            if (is(tokens[i], close) && --depth === 0) return i;
+        }
+        return -1;
+    }
+
+    function stripParens(tokens) {
+        while (tokens.length > 1 && is(tokens[0], '(') && matchingIndex(tokens, 0) === tokens.length - 1) {
+            tokens = tokens.slice(1, -1);
+        }
+        return tokens;
+    }
+
+    // Index of the first of `values` outside any brackets
+    function findTop(tokens, values) {
+        let depth = 0;
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+            if (token.type === 'op' && '([{'.includes(token.value)) depth++;
+            else if (token.type === 'op' && ')]}'.includes(token.value)) depth--;
+            else if (depth === 0 && values.some(value => is(token, value))) return i;
+        }
+        return -1;
+    }
+
+    function splitTop(tokens, separator) {
+        const parts = [];
+        let rest = tokens;
+        for (let index = findTop(rest, [separator]); index >= 0; index = findTop(rest, [separator])) {
+            parts.push(rest.slice(0, index));
+            rest = rest.slice(index + 1);
+        }
+        parts.push(rest);
+        return parts;
+    }
+
+    // Arguments of the first call to `name` (a function or method) anywhere in the tokens
+    function callArgs(tokens, name) {
+        for (let i = 0; i < tokens.length - 1; i++) {
+            if (tokens[i].type === 'identifier' && tokens[i].value.replace(/^\\/, '').toLowerCase() === name && is(tokens[i + 1], '(')) {
+                const close = matchingIndex(tokens, i + 1);
+                const inner = tokens.slice(i + 2, close);
+                return inner.length ? splitTop(inner, ',') : [];
+            }
+        }
+        return null;
+    }
+
+    // The whole expression is a single call: name(...)
+    function wholeCall(tokens, names) {
+        if (tokens.length < 3 || tokens[0].type !== 'identifier' || !is(tokens[1], '(')) return null;
+        if (!names.includes(tokens[0].value.toLowerCase()) || matchingIndex(tokens, 1) !== tokens.length - 1) return null;
+        const inner = tokens.slice(2, -1);
+        return { name: tokens[0].value.toLowerCase(), args: inner.length ? splitTop(inner, ',') : [] };
+    }
+
+    function sourceOf(code, tokens) {
+        return tokens.length ? code.slice(tokens[0].start, tokens[tokens.length - 1].end) : '';
+    }
+
+    // Token range of a statement, comments excluded
+    function tokensOf(cx, statement) {
+        return cx.tokens.filter(token => token.start >= statement.start && token.end <= statement.end && token.type !== 'comment');
+    }
+
+    // Value of a JSON-compatible PHP literal; undefined when the tokens are not one
+    function literal(tokens) {
+        tokens = stripParens(tokens);
+        if (tokens.length === 1) {
+            const token = tokens[0];
+            if (token.type === 'number') return token.value;
+            if (token.type === 'string' && !token.interpolated) return token.value;
+            if (is(token, 'true')) return true;
+            if (is(token, 'false')) return false;
+            if (is(token, 'null')) return null;
+            return undefined;
+        }
+        if (tokens.length === 2 && is(tokens[0], '-') && tokens[1].type === 'number') {
+            return -tokens[1].value;
+        }
+
+        let inner = null;
+        if (is(tokens[0], '[') && matchingIndex(tokens, 0) === tokens.length - 1) {
+            inner = tokens.slice(1, -1);
+        } else if (is(tokens[0], 'array') && is(tokens[1], '(') && matchingIndex(tokens, 1) === tokens.length - 1) {
+            inner = tokens.slice(2, -1);
+        }
+        if (!inner) return undefined;
+
+        const items = inner.length ? splitTop(inner, ',').filter(item => item.length) : [];
+        const entries = [];
+        for (const item of items) {
+            const arrow = findTop(item, ['=>']);
+            const key = arrow >= 0 ? literal(item.slice(0, arrow)) : undefined;
+            const value = literal(arrow >= 0 ? item.slice(arrow + 1) : item);
+            if (value === undefined || (arrow >= 0 && key === undefined)) return undefined;
+            entries.push({ key: arrow >= 0 ? String(key) : null, value: value });
+        }
+
+        if (entries.every(entry => entry.key === null)) {
+            return entries.map(entry => entry.value);
+        }
+        const object = {};
+        entries.forEach((entry, index) => {
+            object[entry.key === null ? String(index) : entry.key] = entry.value;
+        });
+        return object;
+    }
+
+    function dedent(text) {
+        const lines = String(text).split('\n');
+        const indents = lines.slice(1).filter(line => line.trim()).map(line => line.match(/^[ \t]*/)[0].length);
+        const common = indents.length ? Math.min(...indents) : 0;
+        return [lines[0]].concat(lines.slice(1).map(line => line.slice(Math.min(common, line.match(/^[ \t]*/)[0].length))))
+            .join('\n').trim();
+    }
+
+    // Source between the first "{" at or after `from` and its matching "}"
+    function braceBody(cx, tokens, from = 0) {
+        const open = tokens.findIndex((token, index) => index >= from && is(token, '{'));
+        if (open < 0) return '';
+        const close = matchingIndex(tokens, open);
+        return dedent(cx.code.slice(tokens[open].end, tokens[close].start));
+    }
+
+    function shorten(text, length = 40) {
+        const line = String(text).replace(/\s+/g, ' ').trim();
+        return line.length > length ? line.slice(0, length - 1) + '…' : line;
+    }
+
+    // ================================
+    // VALUES AND PLACEHOLDERS
+    // ================================
+
+    // PHP variables map onto flow variables; bound ones point into a node's stored result
+    function variablePath(cx, variable) {
+        const name = variable.slice(1);
+        const binding = cx.bindings.get(name);
+        if (binding) return [binding.variable].concat(binding.path);
+
+        if (!cx.warned.has(name)) {
+            cx.warned.add(name);
+            cx.report.warnings.push(`$${name} is not set by any converted node; it is read as the flow variable '${name}'`);
+        }
+        return [name];
+    }
+
+    // Point a PHP variable at a flow variable; `source` is a node output holding the same value
+    function bind(cx, name, binding, source = null) {
+        cx.bindings.set(name, binding);
+        if (source) {
+            cx.sources.set(name, source);
+        } else {
+            cx.sources.delete(name);
+        }
+    }
+
+    // $name, $name['key'], $name->prop and $flow->vars['name'] as a {{placeholder}}
+    function placeholder(cx, tokens) {
+        if (tokens.length === 0 || tokens[0].type !== 'variable' || RESERVED_VARIABLES.test(tokens[0].value)) return undefined;
+
+        let path;
+        let i = 1;
+        if (tokens[0].value === '$flow' && is(tokens[1], '->') && is(tokens[2], 'vars') &&
+            is(tokens[3], '[') && tokens[4]?.type === 'string' && is(tokens[5], ']')) {
+            path = [tokens[4].value];
+            i = 6;
+        } else if (tokens[0].value === '$flow') {
+            return undefined;
+        } else {
+            path = variablePath(cx, tokens[0].value);
+        }
+
+        while (i < tokens.length) {
+            if (is(tokens[i], '[') && ['string', 'number'].includes(tokens[i + 1]?.type) && !tokens[i + 1].interpolated && is(tokens[i + 2], ']')) {
+                path = path.concat(String(tokens[i + 1].value));
+                i += 3;
+            } else if ((is(tokens[i], '->') || is(tokens[i], '?->')) && tokens[i + 1]?.type === 'identifier' && !is(tokens[i + 2], '(')) {
+                path = path.concat(tokens[i + 1].value);
+                i += 2;
+            } else {
+                return undefined;
+            }
+        }
+
+        return `{{${path.join('.')}}}`;
+    }
+
+    // "Hello $name, {$user['id']}" becomes "Hello {{name}}, {{user.id}}"
+    function interpolate(cx, raw) {
+        const pattern = /\{\$(\w+)((?:\[[^\]]+\]|->\w+)*)\}|\$(\w+)((?:\[[^\]\s]+\]|->\w+)?)/g;
+        let result = '';
+        let last = 0;
+        let match;
+
+        while ((match = pattern.exec(raw)) !== null) {
+            if (match.index > 0 && raw[match.index - 1] === '\\') continue;
+
+            result += decodeDoubleQuoted(raw.slice(last, match.index));
+            const access = match[2] || match[4] || '';
+            const keys = (access.match(/\[[^\]]+\]|->\w+/g) || [])
+                .map(part => part.startsWith('->') ? part.slice(2) : part.slice(1, -1).replace(/^['"]|['"]$/g, ''));
+            result += `{{${variablePath(cx, '$' + (match[1] || match[3])).concat(keys).join('.')}}}`;
+            last = pattern.lastIndex;
+        }
+
+        return result + decodeDoubleQuoted(raw.slice(last));
+    }
+
+    // A node property value from an expression: literals, placeholders, "." concatenation
+    // and the wrappers the code generator puts around them. Undefined when there is none.
+    function readValue(cx, tokens) {
+        tokens = stripParens(tokens);
+        if (tokens.length === 0) return undefined;
+
+        const constant = literal(tokens);
+        if (constant !== undefined) return constant;
+
+        if (tokens.length === 1 && tokens[0].type === 'string' && tokens[0].interpolated) {
+            return interpolate(cx, tokens[0].raw);
+        }
+
+        const wrapped = wholeCall(tokens, ['flow_to_string', 'strval']);
+        if (wrapped && wrapped.args.length === 1) return readValue(cx, wrapped.args[0]);
+
+        if (tokens[0].value === '$flow' && is(tokens[1], '->') && is(tokens[2], 'resolve') && is(tokens[3], '(') &&
+            matchingIndex(tokens, 3) === tokens.length - 1) {
+            return readValue(cx, tokens.slice(4, -1));
+        }
+
+        const parts = splitTop(tokens, '.');
+        if (parts.length > 1) {
+            const values = parts.map(part => readValue(cx, part));
+            if (values.some(value => value === undefined)) return undefined;
+            return values.map(value => typeof value === 'string' ? value : JSON.stringify(value)).join('');
+        }
+
+        return placeholder(cx, tokens);
+    }
+
+    function valueOr(cx, tokens, fallback) {
+        const value = tokens ? readValue(cx, tokens) : undefined;
+        return value === undefined || value === null ? fallback : value;
+    }
+
+    // ================================
+    // CONVERSION BUILDER
+    // ================================
+
+    // Port-aware variant of the n8n/Node-RED builder: PHP maps onto named ports directly
+    function createBuilder(report) {
+        const nodes = new Map();
+        const connections = [];
+
+        return {
+            report: report,
+            nodes: nodes,
+            connections: connections,
+
+            addNode: function(key, type, properties, label, from) {
+                const definition = FlowBuilder.nodeTypes.get(type);
+                key = key || `php_${nodes.size + 1}`;
+
+                let nodeProperties;
+                if (definition) {
+                    nodeProperties = {
+                        ...JSON.parse(JSON.stringify(definition.defaultProperties || {})),
+                        ...properties,
+                        title: label
+                    };
+                    report.converted.push({ name: label, from: from, to: type });
+                } else {
+                    nodeProperties = {
+                        ...FlowBuilder.nodeTypes.get('comment').defaultProperties,
+                        title: label,
+                        content: `Unconverted PHP step '${label}' (${type})`,
+                        originalType: type
+                    };
+                    report.placeholders.push({ name: label, type: type });
+                }
+
+                const nodeDefinition = definition || FlowBuilder.nodeTypes.get('comment');
+                const node = {
+                    key: key,
+                    id: FlowBuilder.generateId(),
+                    type: nodeDefinition.type,
+                    version: nodeDefinition.version,
+                    label: label,
+                    position: { x: 0, y: 0 },
+                    properties: nodeProperties,
+                    inputs: nodeDefinition.inputs.map(port => ({ ...port })),
+                    outputs: nodeDefinition.outputs.map(port => ({ ...port }))
+                };
+                nodes.set(key, node);
+                return node;
+            },
+
+            connect: function(sourceKey, sourcePortId, targetKey, targetPortId) {
+                const source = nodes.get(sourceKey);
+                const target = nodes.get(targetKey);
+                const describe = () => `${source?.label || sourceKey} [${sourcePortId}] → ${target?.label || targetKey}`;
+
+                const sourcePort = source?.outputs.find(port => port.id === sourcePortId);
+                const targetPort = target?.inputs.find(port => port.id === targetPortId);
+                if (!sourcePort || !targetPort) {
+                    report.droppedConnections.push({
+                        connection: describe(),
+                        reason: !source || !target ? 'Node not found' :
+                            !sourcePort ? 'Source has no such output' : 'Target has no such input'
+                    });
+                    return;
+                }
+
+                const exists = connections.some(conn => conn.sourceNodeId === source.id && conn.sourcePortId === sourcePortId &&
+                    conn.targetNodeId === target.id && conn.targetPortId === targetPortId);
+                if (exists) return;
+
+                connections.push({
+                    id: FlowBuilder.generateId('conn'),
+                    sourceNodeId: source.id,
+                    sourcePortId: sourcePortId,
+                    targetNodeId: target.id,
+                    targetPortId: targetPortId,
+                    type: sourcePort.type === 'data' ? 'data' : 'flow',
+                    properties: {},
+                    metadata: { created: new Date(), modified: new Date() }
+                });
+            }
+        };
+    }
+
+    // The port a node fires when it succeeds, as the execution engine picks it
+    function defaultPort(node) {
+        const flowPorts = node.outputs.filter(port => port.type === 'flow').map(port => port.id);
+        if (flowPorts.includes('success')) return 'success';
+        return flowPorts.find(portId => portId !== 'error') || null;
+    }
+
+    // Columns by distance from the entry nodes, rows in creation order
+    function layout(builder) {
+        const byId = new Map(Array.from(builder.nodes.values()).map(node => [node.id, node]));
+        const flowConnections = builder.connections.filter(conn => conn.type === 'flow');
+        const depth = new Map();
+
+        const queue = Array.from(builder.nodes.values())
+            .filter(node => !flowConnections.some(conn => conn.targetNodeId === node.id))
+            .map(node => node.id);
+        queue.forEach(id => depth.set(id, 0));
+
+        while (queue.length) {
+            const id = queue.shift();
+            flowConnections.filter(conn => conn.sourceNodeId === id).forEach(conn => {
+                if (!depth.has(conn.targetNodeId)) {
+                    depth.set(conn.targetNodeId, depth.get(id) + 1);
+                    queue.push(conn.targetNodeId);
+                }
+            });
+        }
+
+        const rows = new Map();
+        byId.forEach((node, id) => {
+            const column = depth.get(id) || 0;
+            const row = rows.get(column) || 0;
+            rows.set(column, row + 1);
+            node.position = { x: 100 + column * 260, y: 100 + row * 140 };
+        });
+    }
+
+    // ================================
+    // GENERATED CODE
+    // ================================
+
+    // Settings recovered from the step bodies the code generator writes
+    const GENERATED_PROPERTIES = {
+        condition: function(step, cx) {
+            const args = callArgs(step.tokens, 'flow_compare');
+            if (!args || args.length < 4) return null;
+            return {
+                leftValue: valueOr(cx, args[0], ''),
+                operator: literal(args[1]) || 'equals',
+                rightValue: valueOr(cx, args[2], ''),
+                dataType: literal(args[3]) || 'text'
+            };
+        },
+
+        // Cases are an if/elseif chain on $value === ..., or a switch statement in older exports
+        switch: function(step, cx) {
+            const source = step.assignments.get('$value');
+            if (!source) return null;
+
+            const chain = step.body.find(item => item.kind === 'if' && item.branches[0].test[0]?.value === '$value');
+            const statement = step.body.find(item => item.kind === 'switch');
+            const tests = chain ? chain.branches.map(branch => branch.test.slice(2)) :
+                statement ? statement.cases.filter(switchCase => switchCase.test).map(switchCase => switchCase.test) :
+                [];
+
+            const vars = source.findIndex(token => is(token, 'vars'));
+            const variable = vars >= 0 ? source[vars + 2] : null;
+            return {
+                variable: variable?.type === 'string' ? variable.value : '',
+                cases: tests.map((test, index) => ({
+                    value: String(valueOr(cx, test, '')),
+                    output: `case${index + 1}`
+                }))
+            };
+        },
+
+        loop: function(step) {
+            const variable = step.text.match(/\$flow->vars\['((?:[^'\\]|\\.)*)'\] = \$item;/);
+            return {
+                type: step.assignments.has('$count') ? 'count' : 'array',
+                variable: variable ? variable[1].replace(/\\([\\'])/g, '$1') : 'item'
+            };
+        },
+
+        delay: function(step) {
+            const sleep = step.text.match(/usleep\((\d+)\)/);
+            return sleep ? { duration: Number(sleep[1]) / 1000, unit: 'ms' } : null;
+        },
+
+        'http-request': function(step, cx) {
+            const args = callArgs(step.tokens, 'flow_http');
+            if (!args || args.length < 2) return null;
+
+            const headers = args[2] ? literal(args[2]) : {};
+            const body = args[3] ? splitTop(args[3], '?:')[0] : null;
+            return {
+                method: literal(args[0]) || 'GET',
+                url: valueOr(cx, args[1], ''),
+                headers: Array.isArray(headers) ? {} : headers || {},
+                body: valueOr(cx, body, ''),
+                timeout: args[4] ? literal(args[4]) || 5000 : 5000
+            };
+        },
+
+        'send-email': function(step, cx) {
+            return {
+                to: valueOr(cx, step.assignments.get('$to'), ''),
+                subject: valueOr(cx, step.assignments.get('$subject'), ''),
+                body: valueOr(cx, step.assignments.get('$body'), ''),
+                isHtml: /text\/html/.test(step.text)
+            };
+        },
+
+        'run-code': function(step, cx) {
+            const closure = step.body.find(item => item.kind === 'expression' && item.tokens[0]?.value === '$code');
+            if (closure) {
+                return { language: 'php', code: braceBody(cx, closure.tokens) };
+            }
+
+            const language = step.text.match(/Run Code nodes written in (\w+) cannot run in PHP/);
+            if (language) {
+                cx.report.warnings.push(`'${step.title}': its ${language[1]} code is not part of the PHP and was not recovered`);
+                return { language: language[1] };
+            }
+            return null;
+        },
+
+        'php-wasm-execute': function(step, cx) {
+            const start = step.tokens.findIndex(token => is(token, 'function'));
+            return start >= 0 ? { code: braceBody(cx, step.tokens, start) } : null;
+        },
+
+        'database-query': function(step, cx) {
+            const connection = callArgs(step.tokens, 'flow_database');
+            const query = callArgs(step.tokens, 'prepare');
+            const parameters = callArgs(step.tokens, 'array_map');
+            const values = parameters && parameters[1] ? literal(parameters[1]) : {};
+            return {
+                connection: valueOr(cx, connection && connection[0], ''),
+                query: valueOr(cx, query && query[0], ''),
+                parameters: values && !Array.isArray(values) ? values : {}
+            };
+        },
+
+        'variable-set': function(step, cx) {
+            const statement = step.body[0];
+            const tokens = statement && statement.kind === 'expression' ? statement.tokens : [];
+            if (!(tokens[0]?.value === '$flow' && is(tokens[2], 'vars') && tokens[4]?.type === 'string')) return null;
+
+            // Wired values read "$flow->ports[...] ?? fallback"; the fallback is the property
+            let value = tokens.slice(findTop(tokens, ['=']) + 1);
+            if (value[0]?.value === '$flow' && is(value[2], 'ports') && findTop(value, ['??']) >= 0) {
+                value = value.slice(findTop(value, ['??']) + 1);
+            }
+            return { variableName: tokens[4].value, value: valueOr(cx, value, '') };
+        },
+
+        'variable-get': function(step) {
+            const variable = step.text.match(/\$flow->vars\['((?:[^'\\]|\\.)*)'\] \?\? null/);
+            return variable ? { variableName: variable[1].replace(/\\([\\'])/g, '$1') } : null;
+        },
+
+        'display-text': function(step, cx) {
+            let text = step.assignments.get('$text');
+            if (!text) return null;
+            if (text[0]?.value === '$flow' && is(text[2], 'ports') && findTop(text, ['??']) >= 0) {
+                text = text.slice(findTop(text, ['??']) + 1);
+            }
+            return { content: valueOr(cx, text, '') };
+        },
+
+        'text-input': function(step) {
+            return { required: /is required'\)/.test(step.text) };
+        },
+
+        'file-upload': function(step) {
+            return { multiple: !/\$files\[0\] \?\? null/.test(step.text) };
+        },
+
+        'transform-data': function(step, cx) {
+            const expression = step.assignments.get('$fn');
+            if (!expression) return { expression: '' };
+
+            const operation = /array_filter\(/.test(step.text) ? 'filter' :
+                /array_reduce\(/.test(step.text) ? 'reduce' :
+                /usort\(/.test(step.text) ? 'sort' : 'map';
+            return { operation: operation, expression: sourceOf(cx.code, expression) };
+        },
+
+        'aggregate-data': function(step) {
+            const args = callArgs(step.tokens, 'flow_aggregate');
+            if (!args || args.length < 4) return null;
+            return { function: literal(args[1]) || 'count', field: literal(args[2]) || '', groupBy: literal(args[3]) || '' };
+        },
+
+        'subflow-output': function(step) {
+            const port = step.text.match(/\$flow->outputs\['fired'\]\[\] = '((?:[^'\\]|\\.)*)'/);
+            if (!port) return null;
+            return { port: port[1], portType: /\$flow->outputs\['data'\]/.test(step.text) ? 'data' : 'flow' };
+        }
+    };
+
+    // Nodes whose settings never reach the generated code
+    const SETTINGLESS_TYPES = ['start', 'button', 'comment'];
+
+    const STEP_CALL = /\b(step_\w+)\(\$flow\b/g;
+
+    function stepCalls(text) {
+        return Array.from(text.matchAll(STEP_CALL), match => match[1]);
+    }
+
+    // ================================
+    // PLAIN SCRIPTS
+    // ================================
+
+    // cURL options that map onto http-request settings
+    function applyCurlOption(cx, request, option, tokens) {
+        const value = readValue(cx, tokens);
+        const properties = request.properties;
+
+        switch (option) {
+            case 'CURLOPT_URL':
+                properties.url = value !== undefined ? String(value) : sourceOf(cx.code, tokens);
+                break;
+            case 'CURLOPT_POST':
+                if (value && properties.method === 'GET') properties.method = 'POST';
+                break;
+            case 'CURLOPT_CUSTOMREQUEST':
+                properties.method = String(value || 'GET').toUpperCase();
+                break;
+            case 'CURLOPT_POSTFIELDS': {
+                const encoded = wholeCall(stripParens(tokens), ['json_encode', 'http_build_query']);
+                const data = encoded && encoded.args[0] ? literal(encoded.args[0]) : undefined;
+                if (encoded && data !== undefined) {
+                    properties.body = encoded.name === 'json_encode' ?
+                        JSON.stringify(data) : new URLSearchParams(data).toString();
+                } else if (value !== undefined) {
+                    properties.body = typeof value === 'string' ? value : JSON.stringify(value);
+                } else {
+                    properties.body = sourceOf(cx.code, tokens);
+                    cx.report.warnings.push(`Request body '${shorten(properties.body)}' was kept as written; replace it with a value or {{placeholder}}`);
+                }
+                if (properties.method === 'GET') properties.method = 'POST';
+                break;
+            }
+            case 'CURLOPT_HTTPHEADER':
+                (Array.isArray(value) ? value : []).forEach(header => {
+                    const colon = String(header).indexOf(':');
+                    if (colon > 0) properties.headers[String(header).slice(0, colon).trim()] = String(header).slice(colon + 1).trim();
+                });
+                break;
+            case 'CURLOPT_TIMEOUT':
+                properties.timeout = Number(value) * 1000 || properties.timeout;
+                break;
+            case 'CURLOPT_TIMEOUT_MS':
+                properties.timeout = Number(value) || properties.timeout;
+                break;
+            case 'CURLOPT_RETURNTRANSFER':
+            case 'CURLOPT_FOLLOWLOCATION':
+                break;
+            default:
+                cx.report.warnings.push(`cURL option ${option} has no HTTP Request setting and was ignored`);
+        }
+    }
+
+    // $target = <rhs>, or just <rhs>
+    function splitAssignment(tokens) {
+        if (tokens[0]?.type === 'variable' && is(tokens[1], '=')) {
+            return { target: tokens[0].value, value: tokens.slice(2) };
+        }
+        return { target: null, value: tokens };
+    }
+
+    // $object->method(...) as the whole expression, optionally followed by ->next(...)
+    function methodCall(tokens, objects) {
+        if (tokens[0]?.type !== 'variable' || !objects.has(tokens[0].value) || !is(tokens[1], '->') ||
+            tokens[2]?.type !== 'identifier' || !is(tokens[3], '(')) return null;
+
+        const close = matchingIndex(tokens, 3);
+        const inner = tokens.slice(4, close);
+        const call = { object: tokens[0].value, method: tokens[2].value.toLowerCase(), args: inner.length ? splitTop(inner, ',') : [], chained: null };
+
+        const rest = tokens.slice(close + 1);
+        if (rest.length === 0) return call;
+        if (is(rest[0], '->') && rest[1]?.type === 'identifier' && is(rest[2], '(') && matchingIndex(rest, 2) === rest.length - 1) {
+            call.chained = rest[1].value.toLowerCase();
+            return call;
+        }
+        return null;
+    }
+
+    const FETCH_METHODS = ['fetchall', 'fetch', 'fetchcolumn'];
+
+    // Statements that end the current path: nothing after them runs
+    function terminates(statement) {
+        if (statement.kind === 'return') return true;
+        return statement.kind === 'expression' && ['throw', 'exit', 'die'].some(keyword => is(statement.tokens[0], keyword));
+    }
+
+    // Variables a piece of code uses, including those inside "..." strings
+    function variablesIn(tokens) {
+        const names = [];
+        tokens.forEach(token => {
+            if (token.type === 'variable') names.push(token.value);
+            if (token.type === 'string' && token.interpolated) {
+                names.push(...Array.from(token.raw.matchAll(/(?:^|[^\\])\{?(\$[A-Za-z_]\w*)/g), match => match[1]));
+            }
+        });
+        return Array.from(new Set(names.filter(name => !RESERVED_VARIABLES.test(name))));
+    }
+
+    // Variables given a value by plain or compound assignment
+    function assignedIn(tokens) {
+        return variablesIn(tokens).filter(variable => tokens.some((token, index) =>
+            token.value === variable && tokens[index + 1]?.type === 'op' && ASSIGNMENT_OPERATORS.includes(tokens[index + 1].value)));
+    }
+
+    // Read before the statement that first assigns it, e.g. $total = $total + $i
+    function readBeforeSet(tokens, variable) {
+        const assignment = tokens.findIndex((token, index) => token.value === variable && is(tokens[index + 1], '='));
+        const read = tokens.findIndex((token, index) => (token.value === variable && !is(tokens[index + 1], '=')) ||
+            (token.type === 'string' && token.interpolated && token.raw.includes(variable)));
+        if (read < 0) return false;
+        if (assignment < 0) return true;
+
+        const end = tokens.findIndex((token, index) => index > assignment && is(token, ';'));
+        return read < (end < 0 ? tokens.length : end);
+    }
+
+    function loopControl(statement) {
+        return statement.kind === 'expression' && (is(statement.tokens[0], 'continue') || is(statement.tokens[0], 'break'));
+    }
+
+    // ================================
+    // PHP IMPORT
+    // ================================
+
+    FlowBuilder.PHPImport = {
+        // PHP source rather than JSON
+        isPHP: function(text) {
+            return typeof text === 'string' && !/^\s*[[{]/.test(text) && /<\?php\b/i.test(text);
+        },
+
+        // Code written by the Flow Builder's PHP generator
+        isGenerated: function(code) {
+            return /function\s+executeFlow\s*\(/.test(code) && /function\s+step_\w+\s*\(\s*FlowState\b/.test(code);
+        },
+
+        tokenize: tokenize,
+
+        parse: parse,
+
+        // Convert PHP to native export data with a conversion report, like the n8n and Node-RED converters
+        convert: function(code, options = {}) {
+            const statements = parse(code);
+            const report = ExportImport.createConversionReport('php');
+            const cx = {
+                code: code,
+                tokens: tokenize(code),
+                report: report,
+                builder: createBuilder(report),
+                bindings: new Map(),
+                sources: new Map(),
+                warned: new Set()
+            };
+
+            const info = this.isGenerated(code) ?
+                this.convertGenerated(statements, cx, options) :
+                this.convertScript(statements, cx, options);
+
+            layout(cx.builder);
+            const exportData = ExportImport.finishConversion(cx.builder, info);
+            if (info.variables) {
+                exportData.flow.variables = info.variables;
+            }
+            return exportData;
+        },
+
+        // ================================
+        // GENERATED CODE
+        // ================================
+
+        // One node per step_ function; branches and calls between steps become connections
+        convertGenerated: function(statements, cx, options) {
+            const functions = statements.filter(statement => statement.kind === 'function');
+            const stepFunctions = functions.filter(fn => fn.name.startsWith('step_'));
+            const byName = new Map(stepFunctions.map(fn => [fn.name, fn]));
+
+            // Steps of inlined subflows belong to the subflow, not to this flow
+            const subflowSteps = new Set();
+            const visit = (name) => {
+                if (subflowSteps.has(name) || !byName.has(name)) return;
+                subflowSteps.add(name);
+                stepCalls(cx.code.slice(byName.get(name).start, byName.get(name).end)).forEach(visit);
+            };
+            functions.filter(fn => fn.name.startsWith('subflow_'))
+                .forEach(fn => stepCalls(cx.code.slice(fn.start, fn.end)).forEach(visit));
+            if (subflowSteps.size > 0) {
+                cx.report.warnings.push(`${subflowSteps.size} step(s) belong to subflows and were left to the subflow nodes`);
+            }
+
+            const steps = stepFunctions.filter(fn => !subflowSteps.has(fn.name)).map(fn => {
+                const heading = fn.comments.map(comment => comment.match(/^(.*)\s+\(([\w:.-]+)\)\s*$/)).filter(Boolean).pop();
+                const tokens = tokensOf(cx, fn).filter(token => token.start >= (fn.body[0]?.start ?? fn.end));
+                const assignments = new Map(fn.body
+                    .filter(item => item.kind === 'expression' && item.tokens[0]?.type === 'variable' && is(item.tokens[1], '='))
+                    .map(item => [item.tokens[0].value, item.tokens.slice(2)]));
+
+                return {
+                    name: fn.name,
+                    type: heading ? heading[2] : 'comment',
+                    title: heading ? heading[1] : fn.name,
+                    body: fn.body,
+                    tokens: tokens,
+                    text: sourceOf(cx.code, tokens),
+                    assignments: assignments
+                };
+            });
+
+            steps.forEach(step => {
+                const extract = GENERATED_PROPERTIES[step.type];
+                const properties = extract ? extract(step, cx) : null;
+                const isSubflow = FlowBuilder.Subflows && FlowBuilder.Subflows.isSubflowType(step.type);
+
+                if (!properties && !isSubflow && !SETTINGLESS_TYPES.includes(step.type) && FlowBuilder.nodeTypes.has(step.type)) {
+                    cx.report.warnings.push(`'${step.title}' (${step.type}): settings are not recoverable from the code; defaults used`);
+                }
+
+                const node = cx.builder.addNode(step.name, step.type, properties || {}, step.title, 'step function');
+
+                // Switches get an output per case
+                (properties?.cases || []).forEach((switchCase, index) => {
+                    if (!node.outputs.some(port => port.id === switchCase.output)) {
+                        node.outputs.splice(node.outputs.length - 1, 0, { id: switchCase.output, name: `Case ${index + 1}`, type: 'flow' });
+                    }
+                });
+            });
+
+            steps.forEach(step => {
+                this.connectGeneratedStep(step, cx);
+            });
+
+            const executeFlow = functions.find(fn => fn.name === 'executeFlow');
+            const state = executeFlow ? callArgs(tokensOf(cx, executeFlow), 'flowstate') : null;
+            const initial = state && state[0] ? literal(state[0]) : null;
+            const name = statements.map(statement => statement.kind === 'expression' && is(statement.tokens[0], 'const') &&
+                statement.tokens[1]?.value === 'FLOW_NAME' ? literal(statement.tokens.slice(3)) : undefined)
+                .find(value => typeof value === 'string');
+
+            return {
+                name: options.name || name || 'Imported PHP flow',
+                description: 'Imported from generated PHP',
+                variables: initial && !Array.isArray(initial) ?
+                    Object.fromEntries(Object.entries(initial).map(([key, value]) => [key, { value: value, type: 'any', scope: 'flow', metadata: {} }])) :
+                    null
+            };
+        },
+
+        connectGeneratedStep: function(step, cx) {
+            const builder = cx.builder;
+            const node = builder.nodes.get(step.name);
+            if (!node || !builder.nodes.size) return;
+
+            const connect = (port, statement) => {
+                const call = statement.kind === 'expression' && statement.tokens[0]?.type === 'identifier' &&
+                    statement.tokens[0].value.startsWith('step_') ? statement.tokens[0].value : null;
+                if (call && builder.nodes.has(call)) {
+                    builder.connect(step.name, port, call, 'input');
+                }
+            };
+
+            const walk = (statements, port) => statements.forEach(statement => {
+                switch (statement.kind) {
+                    case 'expression':
+                        connect(port, statement);
+                        break;
+
+                    case 'if':
+                        statement.branches.forEach((branch, index) => {
+                            const fired = sourceOf(cx.code, branch.test).match(/^in_array\('([^']+)', \$result\['fired'\]/);
+                            if (node.type === 'condition') {
+                                walk(branch.body, is(branch.test[0], '!') && index === 0 ? 'false' : 'true');
+                            } else if (node.type === 'switch') {
+                                walk(branch.body, `case${index + 1}`);
+                            } else {
+                                walk(branch.body, fired ? fired[1] : port);
+                            }
+                        });
+                        if (statement.otherwise) {
+                            walk(statement.otherwise, node.type === 'condition' ? 'false' : node.type === 'switch' ? 'default' : port);
+                        }
+                        break;
+
+                    case 'foreach':
+                        walk(statement.body, node.type === 'loop' ? 'each' : port);
+                        break;
+
+                    case 'switch':
+                        statement.cases.forEach((switchCase, index) => {
+                            walk(switchCase.body, node.type !== 'switch' ? port :
+                                switchCase.test ? `case${statement.cases.slice(0, index).filter(item => item.test).length + 1}` : 'default');
+                        });
+                        break;
+
+                    case 'try':
+                        walk(statement.body, port);
+                        statement.catches.forEach(item => walk(item.body, 'error'));
+                        if (statement.final) walk(statement.final, port);
+                        break;
+
+                    case 'block':
+                    case 'while':
+                    case 'do':
+                    case 'for':
+                        walk(statement.body, port);
+                        break;
+                }
+            });
+
+            // A switch without cases runs its default branch straight after $value
+            walk(step.body, node.type === 'loop' ? 'complete' : node.type === 'switch' ? 'default' : defaultPort(node));
+
+            // Data connections: reads of another step's port value
+            const dataInputs = node.inputs.filter(port => port.type === 'data').map(port => port.id);
+            const used = new Set();
+            const connectData = (key, portId) => {
+                const [sourceId, sourcePortId] = key.split(':');
+                const source = 'step_' + FlowBuilder.CodeGeneration.identifier(sourceId);
+                if (source === step.name) return;
+
+                const target = portId || dataInputs.find(id => !used.has(id));
+                if (!target) {
+                    cx.report.droppedConnections.push({ connection: `${builder.nodes.get(source)?.label || source} [${sourcePortId}] → ${node.label}`, reason: 'Target has no free data input' });
+                    return;
+                }
+                used.add(target);
+                builder.connect(source, sourcePortId, step.name, target);
+            };
+
+            // Subflow calls name their inputs: 'port' => ($flow->ports['node:port'] ?? null)
+            const named = /'([\w-]+)' => \(\$flow->ports\['([^']+)'\] \?\? null\)/g;
+            const namedKeys = new Set();
+            for (const match of step.text.matchAll(named)) {
+                namedKeys.add(match[2]);
+                connectData(match[2], match[1]);
+            }
+            const seen = new Set(namedKeys);
+            for (const match of step.text.matchAll(/\$flow->ports\['([^']+)'\](?!\s*=[^=])/g)) {
+                if (seen.has(match[1])) continue;
+                seen.add(match[1]);
+                connectData(match[1], null);
+            }
+        },
+
+        // ================================
+        // PLAIN SCRIPTS
+        // ================================
+
+        // Walk the script top to bottom, turning recognised statements into nodes and
+        // everything in between into run-code nodes
+        convertScript: function(statements, cx, options) {
+            Object.assign(cx, {
+                handles: new Map(),
+                databases: new Map(),
+                prepared: new Map(),
+                declarations: new Map(),
+                absorbed: []
+            });
+
+            const start = cx.builder.addNode(null, 'start', {}, 'Start', 'script');
+            this.convertBlock(cx, statements, [{ key: start.key, port: 'success' }]);
+
+            return {
+                name: options.name || 'Imported PHP script',
+                description: 'Imported from PHP'
+            };
+        },
+
+        // Returns the points the next node connects from
+        convertBlock: function(cx, statements, cursor) {
+            let pending = [];
+            const flush = () => {
+                if (pending.length) {
+                    cursor = [{ key: this.addRunCode(cx, cursor, pending).key, port: 'success' }];
+                    pending = [];
+                }
+            };
+
+            for (const statement of statements) {
+                if (loopControl(statement)) {
+                    if (is(statement.tokens[0], 'break')) {
+                        cx.report.warnings.push(`'break' on line ${lineOf(cx.code, statement.start)} ends only the current iteration in the flow`);
+                    }
+                    flush();
+                    return [];
+                }
+
+                const handler = this.matchStatement(cx, statement);
+                if (!handler) {
+                    pending.push(statement);
+                    if (terminates(statement)) {
+                        flush();
+                        return [];
+                    }
+                    continue;
+                }
+
+                // Absorbed statements run after the pending code, so its variables are already set
+                if (handler.absorb) {
+                    pending.forEach(item => assignedIn(tokensOf(cx, item)).forEach(variable => {
+                        bind(cx, variable.slice(1), { variable: variable.slice(1), path: [] });
+                    }));
+                    handler.absorb();
+                    cx.absorbed.push(statement);
+                    continue;
+                }
+                flush();
+                cursor = handler.convert(cursor);
+            }
+
+            flush();
+            return cursor;
+        },
+
+        // Handler for a statement that maps onto nodes, or null to keep it as code
+        matchStatement: function(cx, statement) {
+            switch (statement.kind) {
+                case 'if':
+                    return { convert: cursor => this.convertIf(cx, statement, cursor) };
+                case 'foreach':
+                    return { convert: cursor => this.convertForeach(cx, statement, cursor) };
+                case 'for':
+                    return this.countLoop(statement) ? { convert: cursor => this.convertFor(cx, statement, cursor) } : null;
+                case 'try':
+                case 'block':
+                    return this.hasNodes(cx, statement) ?
+                        { convert: cursor => statement.kind === 'try' ? this.convertTry(cx, statement, cursor) : this.convertBlock(cx, statement.body, cursor) } :
+                        null;
+                case 'expression':
+                    return this.matchExpression(cx, statement);
+                default:
+                    return null;
+            }
+        },
+
+        // Blocks are only split up when they hold something that becomes a node
+        hasNodes: function(cx, statement) {
+            return /\b(curl_init|file_get_contents|if|foreach)\s*\(|->\s*(query|prepare|exec)\s*\(/
+                .test(cx.code.slice(statement.start, statement.end));
+        },
+
+        matchExpression: function(cx, statement) {
+            const { target, value } = splitAssignment(statement.tokens);
+
+            // cURL: curl_init starts a request, curl_setopt configures it, curl_exec sends it
+            const curl = wholeCall(value, ['curl_init', 'curl_setopt', 'curl_setopt_array', 'curl_exec', 'curl_close', 'curl_getinfo', 'curl_error', 'curl_errno']);
+            const decoded = wholeCall(value, ['json_decode']);
+            const exec = curl?.name === 'curl_exec' ? curl :
+                decoded && decoded.args[0] ? wholeCall(stripParens(decoded.args[0]), ['curl_exec']) : null;
+
+            if (curl?.name === 'curl_init' && target) {
+                return {
+                    absorb: () => {
+                        const request = { properties: { method: 'GET', url: '', headers: {}, body: '', timeout: 5000 }, variable: null };
+                        if (curl.args[0]) applyCurlOption(cx, request, 'CURLOPT_URL', curl.args[0]);
+                        cx.handles.set(target, request);
+                        cx.declarations.set(target, statement);
+                    }
+                };
+            }
+
+            const handle = (exec || curl)?.args[0]?.[0]?.value;
+            const request = cx.handles.get(handle);
+
+            if (request && exec) {
+                return {
+                    convert: cursor => {
+                        request.variable = target ? target.slice(1) : null;
+                        return this.addHttpRequest(cx, cursor, request.properties, target, !decoded, 'curl');
+                    }
+                };
+            }
+
+            if (request && curl) {
+                return {
+                    absorb: () => {
+                        if (curl.name === 'curl_setopt' && curl.args[1]) {
+                            applyCurlOption(cx, request, curl.args[1][0].value, curl.args[2] || []);
+                        } else if (curl.name === 'curl_setopt_array' && curl.args[1] && is(curl.args[1][0], '[')) {
+                            splitTop(curl.args[1].slice(1, -1), ',').filter(item => item.length).forEach(item => {
+                                const arrow = findTop(item, ['=>']);
+                                if (arrow > 0) applyCurlOption(cx, request, item[0].value, item.slice(arrow + 1));
+                            });
+                        } else if (curl.name === 'curl_getinfo' && target && request.variable) {
+                            bind(cx, target.slice(1), { variable: request.variable, path: ['status'] });
+                        } else if (curl.name !== 'curl_close') {
+                            cx.report.warnings.push(`${curl.name}() is covered by the HTTP Request node's error output`);
+                        }
+                    }
+                };
+            }
+
+            // file_get_contents() on a URL
+            const fetchCall = wholeCall(value, ['file_get_contents']) ||
+                (decoded && decoded.args[0] ? wholeCall(stripParens(decoded.args[0]), ['file_get_contents']) : null);
+            const url = fetchCall && fetchCall.args.length === 1 ? readValue(cx, fetchCall.args[0]) : undefined;
+            if (typeof url === 'string' && /^(https?:\/\/|\{\{)/.test(url)) {
+                return {
+                    convert: cursor => this.addHttpRequest(cx, cursor, { method: 'GET', url: url }, target, !decoded, 'file_get_contents')
+                };
+            }
+
+            // PDO: the connection is remembered, queries become database-query nodes
+            if (target && is(value[0], 'new') && value[1]?.type === 'identifier' && value[1].value.replace(/^\\/, '') === 'PDO') {
+                return {
+                    absorb: () => {
+                        const args = callArgs(value, 'pdo') || [];
+                        const dsn = args[0] ? readValue(cx, args[0]) : undefined;
+                        if (typeof dsn !== 'string' || args.length > 1) {
+                            cx.report.warnings.push(`PDO connection ${target}: set the DSN${args.length > 1 ? ' and credentials' : ''} for connection '${typeof dsn === 'string' ? dsn : target.slice(1)}' in FLOW_DATABASES`);
+                        }
+                        cx.databases.set(target, typeof dsn === 'string' ? dsn : target.slice(1));
+                        cx.declarations.set(target, statement);
+                    }
+                };
+            }
+
+            const database = methodCall(value, cx.databases);
+            if (database && ['query', 'exec'].includes(database.method) && database.args[0]) {
+                return {
+                    convert: cursor => {
+                        const node = this.addDatabaseQuery(cx, cursor, cx.databases.get(database.object), database.args[0], {});
+                        return this.storeQueryResult(cx, node, target, database.chained);
+                    }
+                };
+            }
+            if (database && database.method === 'prepare' && target && database.args[0]) {
+                return {
+                    absorb: () => {
+                        cx.prepared.set(target, { connection: cx.databases.get(database.object), query: database.args[0], node: null });
+                        cx.declarations.set(target, statement);
+                    }
+                };
+            }
+
+            const prepared = methodCall(value, cx.prepared);
+            if (prepared && prepared.method === 'execute') {
+                return {
+                    convert: cursor => {
+                        const entry = cx.prepared.get(prepared.object);
+                        const parameters = prepared.args[0] ? this.readParameters(cx, prepared.args[0]) : {};
+                        entry.node = this.addDatabaseQuery(cx, cursor, entry.connection, entry.query, parameters);
+                        return [{ key: entry.node.key, port: 'success' }];
+                    }
+                };
+            }
+            if (prepared && FETCH_METHODS.includes(prepared.method) && target && cx.prepared.get(prepared.object).node) {
+                return {
+                    convert: cursor => {
+                        const node = cx.prepared.get(prepared.object).node;
+                        return this.storeResult(cx, cursor, node, 'results', target.slice(1), prepared.method === 'fetchall' ? [] : ['0']);
+                    }
+                };
+            }
+
+            return null;
+        },
+
+        // ================================
+        // NODES FROM SCRIPTS
+        // ================================
+
+        addStep: function(cx, cursor, type, properties, label, from) {
+            const node = cx.builder.addNode(null, type, properties, label, from);
+            cursor.forEach(point => cx.builder.connect(point.key, point.port, node.key, 'input'));
+            return node;
+        },
+
+        // Keep a node's data output in a flow variable so later nodes and code can read it
+        storeResult: function(cx, cursor, node, port, variable, path, text = false) {
+            const setter = this.addStep(cx, cursor, 'variable-set', { variableName: variable }, `Store $${variable}`, 'assignment');
+            cx.builder.connect(node.key, port, setter.key, 'value');
+            bind(cx, variable, { variable: variable, path: path, text: text },
+                path.length === 0 ? { key: node.key, port: port } : null);
+            return [{ key: setter.key, port: 'output' }];
+        },
+
+        // The response output holds { status, body }; the PHP variable was the body
+        addHttpRequest: function(cx, cursor, properties, target, text, from) {
+            const node = this.addStep(cx, cursor, 'http-request', properties,
+                `${properties.method || 'GET'} ${shorten(String(properties.url).replace(/^https?:\/\//, ''), 32)}`, from);
+            const next = [{ key: node.key, port: 'success' }];
+            return target ? this.storeResult(cx, next, node, 'response', target.slice(1), ['body'], text) : next;
+        },
+
+        addDatabaseQuery: function(cx, cursor, connection, queryTokens, parameters) {
+            const query = readValue(cx, queryTokens);
+            const sql = query !== undefined ? String(query) : sourceOf(cx.code, queryTokens);
+
+            if (query === undefined) {
+                cx.report.warnings.push(`Query '${shorten(sql)}' was kept as written; replace it with the SQL text`);
+            } else if (/\{\{/.test(sql)) {
+                cx.report.warnings.push(`Query '${shorten(sql)}' builds SQL from variables; use parameters instead`);
+            }
+
+            return this.addStep(cx, cursor, 'database-query', {
+                connection: connection || 'default',
+                query: sql,
+                parameters: parameters
+            }, shorten(sql, 32), 'PDO');
+        },
+
+        // query() results are iterated or fetched later; fetch calls chained on it store them now
+        storeQueryResult: function(cx, node, target, chained) {
+            const next = [{ key: node.key, port: 'success' }];
+            if (!target) return next;
+            if (chained && FETCH_METHODS.includes(chained)) {
+                return this.storeResult(cx, next, node, 'results', target.slice(1), chained === 'fetchall' ? [] : ['0']);
+            }
+
+            cx.prepared.set(target, { connection: null, query: null, node: node });
+            return this.storeResult(cx, next, node, 'results', target.slice(1), []);
+        },
+
+        // execute() arguments: [':name' => $value] or [$value, ...]
+        readParameters: function(cx, tokens) {
+            const parameters = {};
+            tokens = stripParens(tokens);
+            if (!is(tokens[0], '[') && !is(tokens[0], 'array')) {
+                cx.report.warnings.push(`Query parameters '${shorten(sourceOf(cx.code, tokens))}' are not a literal array and were left out`);
+                return parameters;
+            }
+
+            const inner = is(tokens[0], '[') ? tokens.slice(1, -1) : tokens.slice(2, -1);
+            splitTop(inner, ',').filter(item => item.length).forEach((item, index) => {
+                const arrow = findTop(item, ['=>']);
+                const key = arrow >= 0 ? String(literal(item.slice(0, arrow))).replace(/^:/, '') : String(index);
+                const value = readValue(cx, arrow >= 0 ? item.slice(arrow + 1) : item);
+                if (value === undefined) {
+                    cx.report.warnings.push(`Query parameter '${key}' is an expression; set its value on the node`);
+                }
+                parameters[key] = value === undefined ? '' : value;
+            });
+            return parameters;
+        },
+
+        convertIf: function(cx, statement, cursor) {
+            const ends = [];
+            let points = cursor;
+
+            statement.branches.forEach((branch, index) => {
+                const condition = this.toCondition(cx, branch.test);
+                const node = this.addStep(cx, points, 'condition', condition.properties,
+                    `if ${shorten(sourceOf(cx.code, branch.test), 36)}`, index === 0 ? 'if' : 'elseif');
+                const [whenTrue, whenFalse] = condition.negate ? ['false', 'true'] : ['true', 'false'];
+
+                ends.push(...this.convertBlock(cx, branch.body, [{ key: node.key, port: whenTrue }]));
+                points = [{ key: node.key, port: whenFalse }];
+            });
+
+            ends.push(...(statement.otherwise ? this.convertBlock(cx, statement.otherwise, points) : points));
+            return ends;
+        },
+
+        // Map an if test onto the condition node's left/operator/right comparison
+        toCondition: function(cx, tokens) {
+            const source = sourceOf(cx.code, tokens);
+            const result = (leftValue, operator, rightValue, negate = false) => {
+                const dataType = [leftValue, rightValue].some(value => typeof value === 'number') ? 'number' :
+                    [leftValue, rightValue].some(value => typeof value === 'boolean') ? 'boolean' : 'text';
+                const text = (value) => value === null || value === undefined ? '' : String(value);
+                return { properties: { leftValue: text(leftValue), operator, rightValue: text(rightValue), dataType }, negate };
+            };
+
+            let test = stripParens(tokens);
+            let negate = false;
+            while (is(test[0], '!') && findTop(test.slice(1), ['&&', '||', 'and', 'or', 'xor', '?', '??', '==', '===', '!=', '!==', '<>', '<', '>', '<=', '>=', 'instanceof']) < 0) {
+                negate = !negate;
+                test = stripParens(test.slice(1));
+            }
+
+            const fallback = () => {
+                cx.report.warnings.push(`Condition '${shorten(source, 60)}' has no condition-node equivalent; it was kept as text for review`);
+                return result(source, 'equals', true, false);
+            };
+
+            if (findTop(test, ['&&', '||', 'and', 'or', 'xor', '?', '??']) >= 0) return fallback();
+
+            const comparison = findTop(test, ['===', '==', '!==', '!=', '<>', '>=', '<=', '>', '<']);
+            if (comparison >= 0) {
+                const operator = test[comparison].value;
+                const leftTokens = test.slice(0, comparison);
+                const rightTokens = test.slice(comparison + 1);
+
+                // strpos($haystack, $needle) !== false
+                const position = wholeCall(stripParens(leftTokens), ['strpos', 'stripos']);
+                if (position && position.args.length === 2 && is(stripParens(rightTokens)[0], 'false')) {
+                    const haystack = readValue(cx, position.args[0]);
+                    const needle = readValue(cx, position.args[1]);
+                    if (haystack === undefined || needle === undefined) return fallback();
+                    return result(haystack, 'contains', needle, negate !== ['===', '=='].includes(operator));
+                }
+
+                const left = readValue(cx, leftTokens);
+                const right = readValue(cx, rightTokens);
+                if (left === undefined || right === undefined) return fallback();
+
+                const operators = {
+                    '===': ['equals', false], '==': ['equals', false],
+                    '!==': ['not-equals', false], '!=': ['not-equals', false], '<>': ['not-equals', false],
+                    '>': ['greater', false], '<': ['less', false],
+                    '>=': ['less', true], '<=': ['greater', true]
+                };
+                const [mapped, inverted] = operators[operator];
+                return result(left, mapped, right, negate !== inverted);
+            }
+
+            const call = wholeCall(test, ['str_contains', 'in_array', 'isset', 'empty']);
+            if (call) {
+                const args = call.args.map(arg => readValue(cx, arg));
+                if (args.some(arg => arg === undefined)) return fallback();
+                if (call.name === 'str_contains' && args.length === 2) return result(args[0], 'contains', args[1], negate);
+                if (call.name === 'in_array' && args.length >= 2) return result(args[1], 'contains', args[0], negate);
+                if (call.name === 'isset' && args.length === 1) return result(args[0], 'not-equals', '', negate);
+                if (call.name === 'empty' && args.length === 1) return result(args[0], 'equals', '', negate);
+                return fallback();
+            }
+
+            // A bare value is truthy when it is not empty
+            const value = readValue(cx, test);
+            if (value === undefined) return fallback();
+            return result(value, 'not-equals', '', negate);
+        },
+
+        convertForeach: function(cx, statement, cursor) {
+            // foreach (... as $value) and (... as &$value); destructuring has no loop equivalent
+            const valueToken = statement.value[statement.value.length - 1];
+            const simple = valueToken?.type === 'variable' && statement.value.length <= 2;
+            const variable = simple ? valueToken.value.slice(1) : 'item';
+            if (!simple) {
+                cx.report.warnings.push(`foreach destructuring '${shorten(sourceOf(cx.code, statement.value))}' was replaced by $item`);
+            }
+
+            // Iterating a query result reads the database-query node's results directly
+            let source = null;
+            const subject = stripParens(statement.subject);
+            const query = methodCall(subject, cx.databases);
+            const stored = subject.length === 1 ? cx.sources.get(subject[0].value.slice(1)) : null;
+
+            if (query && query.method === 'query' && query.args[0]) {
+                const node = this.addDatabaseQuery(cx, cursor, cx.databases.get(query.object), query.args[0], {});
+                source = { key: node.key, port: 'results' };
+                cursor = [{ key: node.key, port: 'success' }];
+            } else if (stored) {
+                source = stored;
+            }
+
+            if (!source) {
+                const items = this.addRunCode(cx, cursor, [], {
+                    code: `return ${sourceOf(cx.code, subject)};`,
+                    tokens: subject,
+                    label: `Items: ${shorten(sourceOf(cx.code, subject), 28)}`
+                });
+                source = { key: items.key, port: 'result' };
+                cursor = [{ key: items.key, port: 'success' }];
+            }
+
+            const loop = this.addStep(cx, cursor, 'loop', { type: 'array', variable: variable },
+                `foreach ${shorten(sourceOf(cx.code, statement.subject), 32)}`, 'foreach');
+            cx.builder.connect(source.key, source.port, loop.key, 'data');
+
+            bind(cx, variable, { variable: variable, path: [] });
+            if (statement.key) {
+                const key = statement.key.find(token => token.type === 'variable');
+                if (key) bind(cx, key.value.slice(1), { variable: variable + 'Index', path: [] });
+                cx.report.warnings.push(`foreach over ${shorten(sourceOf(cx.code, statement.subject))}: $${key ? key.value.slice(1) : 'key'} is the item's position, not its array key`);
+            }
+
+            this.convertBlock(cx, statement.body, [{ key: loop.key, port: 'each' }]);
+            return [{ key: loop.key, port: 'complete' }];
+        },
+
+        // for ($i = 0; $i < N; $i++) is a count loop
+        countLoop: function(statement) {
+            const { init, test, update } = statement;
+            if (init.length !== 3 || init[0].type !== 'variable' || !is(init[1], '=') || init[2].value !== 0) return null;
+
+            const variable = init[0].value;
+            const limit = test[0]?.value === variable && (is(test[1], '<') || is(test[1], '<=')) ? test.slice(2) : null;
+            const step = update.map(token => token.value).join(' ');
+            if (!limit || !limit.length || ![`${variable} ++`, `++ ${variable}`, `${variable} += 1`].includes(step)) return null;
+
+            return { variable: variable.slice(1), limit: limit, inclusive: is(test[1], '<=') };
+        },
+
+        convertFor: function(cx, statement, cursor) {
+            const loop = this.countLoop(statement);
+            const limit = sourceOf(cx.code, loop.limit);
+            const count = this.addRunCode(cx, cursor, [], {
+                code: `return ${loop.inclusive ? `(${limit}) + 1` : limit};`,
+                tokens: loop.limit,
+                label: `Count: ${shorten(limit, 28)}`
+            });
+
+            const node = this.addStep(cx, [{ key: count.key, port: 'success' }], 'loop', { type: 'count', variable: loop.variable },
+                `for $${loop.variable} < ${shorten(limit, 28)}`, 'for');
+            cx.builder.connect(count.key, 'result', node.key, 'data');
+            bind(cx, loop.variable, { variable: loop.variable, path: [] });
+
+            this.convertBlock(cx, statement.body, [{ key: node.key, port: 'each' }]);
+            return [{ key: node.key, port: 'complete' }];
+        },
+
+        // Exceptions thrown by the nodes of a try block arrive through their error outputs
+        convertTry: function(cx, statement, cursor) {
+            const before = new Set(cx.builder.nodes.keys());
+            let ends = this.convertBlock(cx, statement.body, cursor);
+
+            const failures = Array.from(cx.builder.nodes.values())
+                .filter(node => !before.has(node.key) && node.outputs.some(port => port.id === 'error'))
+                .map(node => ({ key: node.key, port: 'error' }));
+
+            const [handler, ...others] = statement.catches;
+            if (others.length) {
+                cx.report.warnings.push(`Only the first of ${statement.catches.length} catch blocks on line ${lineOf(cx.code, statement.start)} was converted`);
+            }
+            if (handler && failures.length) {
+                ends = ends.concat(this.convertBlock(cx, handler.body, failures));
+            } else if (handler) {
+                cx.report.warnings.push(`The catch block on line ${lineOf(cx.code, statement.start)} was dropped: nothing in its try block can fail`);
+            }
+
+            return statement.final ? this.convertBlock(cx, statement.final, ends) : ends;
+        },
+
+        // A run-code node for statements with no node equivalent, or for a single expression
+        // ({ code, tokens, label }). Flow variables the code reads are loaded first and the
+        // variables it assigns are stored afterwards.
+        addRunCode: function(cx, cursor, statements, expression = null) {
+            let source;
+            let tokens;
+
+            if (expression) {
+                source = expression.code;
+                tokens = expression.tokens;
+            } else {
+                // Keep the comments and spacing between statements, but not statements absorbed into nodes
+                const first = statements[0];
+                const last = statements[statements.length - 1];
+                source = dedent(statements.map((statement, index) => {
+                    const following = statements[index + 1];
+                    const gap = following ? cx.code.slice(statement.end, following.start) : '';
+                    const absorbed = following && (cx.absorbed || []).some(item => item.start >= statement.end && item.end <= following.start);
+                    return cx.code.slice(statement.start, statement.end) + (absorbed ? '\n' : gap);
+                }).join(''));
+                if (first.kind === 'html' && !source.startsWith('?>')) source = '?>' + source;
+                if (last.kind === 'html' && !/<\?php$/i.test(source)) source += '<?php';
+
+                // Declared functions and classes have their own scope
+                tokens = [].concat(...statements.filter(statement => !['function', 'class'].includes(statement.kind))
+                    .map(statement => tokensOf(cx, statement)));
+            }
+
+            const variables = variablesIn(tokens);
+            const assigned = assignedIn(tokens);
+
+            // Connections and handles absorbed into nodes are recreated when the code still uses them
+            const declarations = [];
+            const declare = (variable) => {
+                const declaration = cx.declarations?.get(variable);
+                if (!declaration || declarations.includes(declaration) || assigned.includes(variable)) return;
+                declarations.push(declaration);
+                variablesIn(tokensOf(cx, declaration)).filter(name => name !== variable).forEach(declare);
+            };
+            variables.forEach(declare);
+            declarations.reverse();
+
+            const used = new Set(variables.concat(...declarations.map(declaration => variablesIn(tokensOf(cx, declaration)))));
+            const loaded = Array.from(used).filter(variable => !cx.declarations?.has(variable) &&
+                (assigned.includes(variable) ? readBeforeSet(tokens, variable) : true));
+
+            loaded.filter(variable => !cx.bindings.has(variable.slice(1)) && !assigned.includes(variable)).forEach(variable => {
+                if (cx.warned.has(variable.slice(1))) return;
+                cx.warned.add(variable.slice(1));
+                const line = lineOf(cx.code, (tokens.find(token => token.value === variable || (token.interpolated && token.raw.includes(variable))) || tokens[0]).start);
+                cx.report.warnings.push(`$${variable.slice(1)} is not set by any converted node; the code on line ${line} reads it as null`);
+            });
+
+            const loads = loaded.filter(variable => cx.bindings.has(variable.slice(1)) || assigned.includes(variable)).map(variable => {
+                const binding = cx.bindings.get(variable.slice(1)) || { variable: variable.slice(1), path: [] };
+                const read = `$variables->get(${phpLiteral(binding.variable)})` +
+                    binding.path.map(key => `[${phpLiteral(key)}]`).join('') +
+                    (binding.path.length ? ' ?? null' : '');
+                return `${variable} = ${binding.text ? `flow_to_string(${read})` : read};`;
+            });
+
+            const stored = expression || terminates(statements[statements.length - 1]) ? [] :
+                assigned.filter(variable => !cx.declarations?.has(variable));
+            stored.forEach(variable => bind(cx, variable.slice(1), { variable: variable.slice(1), path: [] }));
+
+            const code = loads
+                .concat(declarations.map(declaration => cx.code.slice(declaration.start, declaration.end)), [source])
+                .concat(stored.map(variable => `$variables->set(${phpLiteral(variable.slice(1))}, ${variable});`))
+                .join('\n');
+
+            return this.addStep(cx, cursor, 'run-code', { language: 'php', code: code },
+                expression ? expression.label : shorten(source.split('\n')[0], 36), expression ? 'expression' : 'statements');
+        }
+    };
+
+    // Import PHP source as a new flow
+    FlowBuilder.importPHP = function(code, options) {
+        const source = this.PHPImport.isPHP(code) ? code : '<?php\n' + code;
+        return this.ExportImport.importFlow(source, options);
+    };
+
+    console.log('AlgorithmPress Flow PHP Import loaded');
+
+})(window, document);
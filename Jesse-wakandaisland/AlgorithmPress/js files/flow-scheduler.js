@@ -0,0 +1,602 @@
+/**
+ * AlgorithmPress Flow Scheduler
+ * Cron parser and in-page scheduler for `schedule` trigger nodes
+ */
+
+(function(window, document) {
+    'use strict';
+
+    // Ensure flow builder core is available
+    if (!window.AlgorithmPressFlowBuilder) {
+        console.error('AlgorithmPress Flow Builder Core required');
+        return;
+    }
+
+    const FlowBuilder = window.AlgorithmPressFlowBuilder;
+
+    const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+    const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+    // Flow Scheduler System
+    FlowBuilder.Scheduler = {
+        STORAGE_KEY: 'algorithmpress_flow_schedules',
+        HISTORY_KEY: 'algorithmpress_flow_schedule_history',
+
+        // Run history entries kept per flow
+        MAX_HISTORY: 50,
+
+        // Upper bound on candidate times examined when searching for the next run
+        MAX_SEARCH: 50000,
+
+        CRON_MACROS: {
+            '@yearly': '0 0 1 1 *',
+            '@annually': '0 0 1 1 *',
+            '@monthly': '0 0 1 * *',
+            '@weekly': '0 0 * * 0',
+            '@daily': '0 0 * * *',
+            '@midnight': '0 0 * * *',
+            '@hourly': '0 * * * *'
+        },
+
+        state: {
+            schedules: new Map(),
+            history: new Map(),
+            timer: null,
+            formatters: new Map()
+        },
+
+        initialize: function() {
+            this.load();
+            this.start();
+        },
+
+        // ================================
+        // CRON PARSING
+        // ================================
+
+        // Parse a five-field cron expression (minute hour day-of-month month day-of-week)
+        parseCron: function(expression) {
+            const source = String(expression || '').trim();
+            const fields = (this.CRON_MACROS[source.toLowerCase()] || source).split(/\s+/);
+
+            if (fields.length !== 5) {
+                throw new Error(`Cron expression needs 5 fields (minute hour day month weekday), got ${source ? fields.length : 0}`);
+            }
+
+            const [minutes, hours, days, months, weekdays] = [
+                { name: 'minute', min: 0, max: 59 },
+                { name: 'hour', min: 0, max: 23 },
+                { name: 'day of month', min: 1, max: 31 },
+                { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+                { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, offset: 0 }
+            ].map((spec, index) => this.parseCronField(fields[index], spec));
+
+            // 7 is an alias for Sunday
+            if (weekdays.delete(7)) weekdays.add(0);
+
+            return {
+                minutes, hours, days, months, weekdays,
+                // Standard cron: when both day fields are restricted, either may match
+                dayRestricted: !['*', '?'].includes(fields[2]),
+                weekdayRestricted: !['*', '?'].includes(fields[4])
+            };
+        },
+
+        parseCronField: function(field, spec) {
+            const values = new Set();
+
+            field.split(',').forEach(part => {
+                const [range, stepText] = part.split('/');
+                const step = stepText === undefined ? 1 : Number(stepText);
+                if (!Number.isInteger(step) || step < 1) {
+                    throw new Error(`Invalid step '${stepText}' in ${spec.name} field`);
+                }
+
+                let start;
+                let end;
+                if (range === '*' || range === '?') {
+                    start = spec.min;
+                    end = spec.name === 'day of week' ? 6 : spec.max;
+                } else if (range.includes('-')) {
+                    [start, end] = range.split('-').map(value => this.parseCronValue(value, spec));
+                } else {
+                    start = this.parseCronValue(range, spec);
+                    // "5/15" means every 15 starting at 5
+                    end = stepText === undefined ? start : spec.max;
+                }
+
+                if (start > end) {
+                    throw new Error(`Invalid range '${range}' in ${spec.name} field`);
+                }
+
+                for (let value = start; value <= end; value += step) {
+                    values.add(value);
+                }
+            });
+
+            return values;
+        },
+
+        parseCronValue: function(text, spec) {
+            const name = String(text).toLowerCase();
+            if (spec.names && spec.names.includes(name)) {
+                return spec.names.indexOf(name) + spec.offset;
+            }
+
+            const value = Number(text);
+            if (text === '' || !Number.isInteger(value) || value < spec.min || value > spec.max) {
+                throw new Error(`Invalid ${spec.name} value '${text}' (expected ${spec.min}-${spec.max})`);
+            }
+            return value;
+        },
+
+        matchesDay: function(cron, parts) {
+            const day = cron.days.has(parts.day);
+            const weekday = cron.weekdays.has(parts.weekday);
+
+            if (cron.dayRestricted && cron.weekdayRestricted) return day || weekday;
+            if (cron.dayRestricted) return day;
+            if (cron.weekdayRestricted) return weekday;
+            return true;
+        },
+
+        // Wall-clock parts of a date in a time zone ('UTC', 'local' or an IANA name)
+        getTimeParts: function(date, timezone = 'UTC') {
+            if (timezone === 'UTC') {
+                return {
+                    minute: date.getUTCMinutes(),
+                    hour: date.getUTCHours(),
+                    day: date.getUTCDate(),
+                    month: date.getUTCMonth() + 1,
+                    weekday: date.getUTCDay()
+                };
+            }
+
+            if (timezone === 'local' || !timezone) {
+                return {
+                    minute: date.getMinutes(),
+                    hour: date.getHours(),
+                    day: date.getDate(),
+                    month: date.getMonth() + 1,
+                    weekday: date.getDay()
+                };
+            }
+
+            let formatter = this.state.formatters.get(timezone);
+            if (!formatter) {
+                try {
+                    formatter = new Intl.DateTimeFormat('en-US', {
+                        timeZone: timezone,
+                        hourCycle: 'h23',
+                        minute: 'numeric',
+                        hour: 'numeric',
+                        day: 'numeric',
+                        month: 'numeric',
+                        weekday: 'short'
+                    });
+                } catch (error) {
+                    throw new Error(`Unknown time zone '${timezone}'`);
+                }
+                this.state.formatters.set(timezone, formatter);
+            }
+
+            const parts = {};
+            formatter.formatToParts(date).forEach(part => {
+                parts[part.type] = part.value;
+            });
+
+            return {
+                minute: Number(parts.minute),
+                hour: Number(parts.hour),
+                day: Number(parts.day),
+                month: Number(parts.month),
+                weekday: DAY_NAMES.indexOf(parts.weekday.toLowerCase())
+            };
+        },
+
+        // Next run times strictly after `from`
+        getNextRuns: function(expression, options = {}) {
+            const cron = typeof expression === 'string' ? this.parseCron(expression) : expression;
+            const count = options.count || 1;
+            const timezone = options.timezone || 'UTC';
+            const from = options.from ? new Date(options.from).getTime() : Date.now();
+
+            const runs = [];
+            let time = Math.floor(from / 60000) * 60000 + 60000;
+
+            // Skip whole days and hours that cannot match before checking minutes
+            for (let i = 0; runs.length < count && i < this.MAX_SEARCH; i++) {
+                const parts = this.getTimeParts(new Date(time), timezone);
+
+                if (!cron.months.has(parts.month) || !this.matchesDay(cron, parts)) {
+                    time = this.getNextDayStart(time, parts, timezone);
+                } else if (!cron.hours.has(parts.hour)) {
+                    time += (60 - parts.minute) * 60000;
+                } else if (!cron.minutes.has(parts.minute)) {
+                    time += 60000;
+                } else {
+                    runs.push(new Date(time));
+                    time += 60000;
+                }
+            }
+
+            return runs;
+        },
+
+        // First minute of the next calendar day in the time zone. Days around DST changes
+        // are 23 or 25 hours long, so a fixed 24-hour jump can overshoot midnight.
+        getNextDayStart: function(time, parts, timezone) {
+            const next = time + (24 * 60 - (parts.hour * 60 + parts.minute)) * 60000;
+            const nextParts = this.getTimeParts(new Date(next), timezone);
+
+            // A 25-hour day lands before midnight; the next step re-checks the same day
+            if (nextParts.day === parts.day) {
+                return next;
+            }
+
+            // A 23-hour day lands past midnight; step back unless midnight was skipped
+            const start = next - (nextParts.hour * 60 + nextParts.minute) * 60000;
+            return this.getTimeParts(new Date(start), timezone).day === nextParts.day ? start : next;
+        },
+
+        // Human readable run time in the schedule's time zone
+        formatRunTime: function(date, timezone = 'UTC') {
+            const options = { dateStyle: 'medium', timeStyle: 'short' };
+            if (timezone && timezone !== 'local') {
+                options.timeZone = timezone;
+            }
+            return date.toLocaleString(undefined, options);
+        },
+
+        // Markup for the schedule node body: upcoming runs or the parse error
+        renderNextRuns: function(node, count = 3) {
+            if (node.properties.type !== 'cron') {
+                return `<div class="schedule-next schedule-error">Unsupported schedule type</div>`;
+            }
+
+            try {
+                const timezone = node.properties.timezone || 'UTC';
+                const runs = this.getNextRuns(node.properties.expression, { count: count, timezone: timezone });
+                if (runs.length === 0) {
+                    return `<div class="schedule-next schedule-error">Never runs</div>`;
+                }
+
+                const active = Array.from(this.state.schedules.values()).some(schedule =>
+                    schedule.nodeId === node.id && schedule.enabled
+                );
+
+                return `<div class="schedule-next">
+                    <div class="schedule-next-label">${active ? 'Next runs' : 'Next runs (not scheduled)'}</div>
+                    ${runs.map(run => `<div class="schedule-next-time">${this.formatRunTime(run, timezone)}</div>`).join('')}
+                </div>`;
+            } catch (error) {
+                return `<div class="schedule-next schedule-error">${error.message}</div>`;
+            }
+        },
+
+        // ================================
+        // SCHEDULE REGISTRATION
+        // ================================
+
+        // Schedule every `schedule` node of a flow; returns the registered schedules
+        register: function(flowId) {
+            const flow = FlowBuilder.state.flows.get(flowId);
+            if (!flow) {
+                throw new Error(`Flow with ID '${flowId}' not found`);
+            }
+
+            const nodes = Array.from(flow.nodes.values()).filter(node => node.type === 'schedule');
+            if (nodes.length === 0) {
+                throw new Error(`Flow '${flow.name}' has no schedule node`);
+            }
+
+            const registered = nodes.map(node => {
+                // Validate before anything is stored
+                this.parseCron(node.properties.expression);
+
+                const id = `${flow.id}:${node.id}`;
+                const schedule = this.state.schedules.get(id) || {
+                    id: id,
+                    flowId: flow.id,
+                    nodeId: node.id,
+                    flowName: flow.name,
+                    created: new Date().toISOString()
+                };
+                schedule.enabled = true;
+                schedule.nextRun = null;
+                schedule.since = Date.now();
+                this.state.schedules.set(id, schedule);
+                this.updateNextRun(schedule, node);
+                return schedule;
+            });
+
+            this.save();
+            this.refreshNodes(flow);
+            this.start();
+            return registered;
+        },
+
+        unregister: function(flowId) {
+            let removed = 0;
+            this.state.schedules.forEach((schedule, id) => {
+                if (schedule.flowId === flowId) {
+                    this.state.schedules.delete(id);
+                    removed++;
+                }
+            });
+
+            this.save();
+            this.refreshNodes(FlowBuilder.state.flows.get(flowId));
+            return removed;
+        },
+
+        setEnabled: function(scheduleId, enabled) {
+            const schedule = this.state.schedules.get(scheduleId);
+            if (!schedule) return false;
+
+            schedule.enabled = !!enabled;
+            schedule.nextRun = null;
+            this.save();
+            this.refreshNodes(FlowBuilder.state.flows.get(schedule.flowId));
+            return true;
+        },
+
+        getSchedules: function(flowId) {
+            const schedules = Array.from(this.state.schedules.values());
+            return flowId ? schedules.filter(schedule => schedule.flowId === flowId) : schedules;
+        },
+
+        // Recompute when the node's expression or time zone changed since the last calculation;
+        // a freshly loaded or registered schedule counts from when it was loaded
+        updateNextRun: function(schedule, node, from = schedule.since) {
+            const { expression, timezone = 'UTC' } = node.properties;
+            if (schedule.nextRun && schedule.expression === expression && schedule.timezone === timezone) {
+                return;
+            }
+
+            schedule.expression = expression;
+            schedule.timezone = timezone;
+            try {
+                const next = this.getNextRuns(expression, { timezone: timezone, from: from })[0];
+                schedule.nextRun = next ? next.toISOString() : null;
+                schedule.error = next ? null : 'Expression never matches';
+            } catch (error) {
+                schedule.nextRun = null;
+                schedule.error = error.message;
+            }
+            delete schedule.since;
+        },
+
+        refreshNodes: function(flow) {
+            if (!flow || !FlowBuilder.isActiveFlow(flow)) return;
+
+            flow.nodes.forEach(node => {
+                if (node.type === 'schedule') FlowBuilder.refreshNode(node);
+            });
+        },
+
+        // ================================
+        // TIMER AND RUNS
+        // ================================
+
+        // Tick at the start of every minute while anything is scheduled
+        start: function() {
+            if (this.state.timer || this.state.schedules.size === 0) return;
+
+            const delay = 60000 - (Date.now() % 60000);
+            this.state.timer = setTimeout(() => {
+                this.state.timer = null;
+                this.tick();
+                this.start();
+            }, delay);
+        },
+
+        stop: function() {
+            clearTimeout(this.state.timer);
+            this.state.timer = null;
+        },
+
+        tick: function(now = Date.now()) {
+            let changed = false;
+
+            this.state.schedules.forEach((schedule, id) => {
+                const flow = FlowBuilder.state.flows.get(schedule.flowId);
+                // Flows that are not loaded keep their schedule until they are
+                if (!flow || !schedule.enabled) return;
+
+                const node = flow.nodes.get(schedule.nodeId);
+                if (!node || node.type !== 'schedule') {
+                    this.state.schedules.delete(id);
+                    changed = true;
+                    return;
+                }
+
+                this.updateNextRun(schedule, node);
+                if (schedule.nextRun && new Date(schedule.nextRun).getTime() <= now) {
+                    const scheduledFor = schedule.nextRun;
+                    schedule.nextRun = null;
+                    this.updateNextRun(schedule, node, now);
+                    this.fire(schedule, flow, node, scheduledFor);
+                    changed = true;
+                }
+            });
+
+            if (changed) {
+                this.save();
+            }
+        },
+
+        // Run the flow from the schedule node and record the outcome
+        fire: async function(schedule, flow, node, scheduledFor) {
+            const entry = {
+                scheduleId: schedule.id,
+                nodeId: node.id,
+                title: node.properties.title || 'Schedule',
+                expression: node.properties.expression,
+                scheduledFor: scheduledFor,
+                started: new Date().toISOString(),
+                finished: null,
+                status: 'running',
+                executionId: null,
+                duration: 0,
+                steps: 0,
+                error: null
+            };
+
+            // Overlapping runs of the same schedule are skipped rather than queued
+            if (schedule.running) {
+                this.recordRun(flow.id, { ...entry, status: 'skipped', finished: entry.started, error: 'Previous run still in progress' });
+                return entry;
+            }
+
+            schedule.running = true;
+            try {
+                if (!FlowBuilder.Execution) {
+                    throw new Error('Flow execution engine not loaded');
+                }
+                const summary = await FlowBuilder.Execution.executeFlow(flow.id, { startNodeId: node.id });
+                Object.assign(entry, {
+                    status: summary.status,
+                    executionId: summary.executionId,
+                    duration: summary.duration,
+                    steps: summary.steps,
+                    error: summary.error
+                });
+            } catch (error) {
+                entry.status = 'failed';
+                entry.error = error.message;
+            } finally {
+                schedule.running = false;
+                schedule.lastRun = entry.started;
+                entry.finished = new Date().toISOString();
+            }
+
+            this.recordRun(flow.id, entry);
+            this.refreshNodes(flow);
+            return entry;
+        },
+
+        recordRun: function(flowId, entry) {
+            const history = this.state.history.get(flowId) || [];
+            history.unshift(entry);
+            history.length = Math.min(history.length, this.MAX_HISTORY);
+            this.state.history.set(flowId, history);
+            this.save();
+
+            document.dispatchEvent(new CustomEvent('flow-schedule-run', {
+                detail: { flowId: flowId, run: entry }
+            }));
+        },
+
+        // Most recent first
+        getHistory: function(flowId) {
+            return [...(this.state.history.get(flowId) || [])];
+        },
+
+        clearHistory: function(flowId) {
+            this.state.history.delete(flowId);
+            this.save();
+        },
+
+        // Table of past runs for a flow
+        createHistoryPanel: function(flowId) {
+            const panel = document.createElement('div');
+            panel.className = 'schedule-history-panel';
+
+            const history = this.getHistory(flowId);
+            if (history.length === 0) {
+                panel.innerHTML = '<div class="schedule-history-empty">No scheduled runs yet</div>';
+                return panel;
+            }
+
+            panel.innerHTML = `
+                <table class="table table-sm schedule-history">
+                    <thead>
+                        <tr><th>Scheduled</th><th>Trigger</th><th>Status</th><th>Duration</th><th>Error</th></tr>
+                    </thead>
+                    <tbody></tbody>
+                </table>
+            `;
+
+            const body = panel.querySelector('tbody');
+            history.forEach(run => {
+                const row = document.createElement('tr');
+                row.className = `schedule-run schedule-run-${run.status}`;
+                [
+                    new Date(run.scheduledFor).toLocaleString(),
+                    run.title,
+                    run.status,
+                    `${run.duration}ms`,
+                    run.error || ''
+                ].forEach(value => {
+                    const cell = document.createElement('td');
+                    cell.textContent = value;
+                    row.appendChild(cell);
+                });
+                body.appendChild(row);
+            });
+
+            return panel;
+        },
+
+        // ================================
+        // PERSISTENCE
+        // ================================
+
+        save: function() {
+            const schedules = Array.from(this.state.schedules.values()).map(schedule => ({
+                id: schedule.id,
+                flowId: schedule.flowId,
+                nodeId: schedule.nodeId,
+                flowName: schedule.flowName,
+                enabled: schedule.enabled,
+                created: schedule.created,
+                lastRun: schedule.lastRun || null
+            }));
+
+            try {
+                localStorage.setItem(this.STORAGE_KEY, JSON.stringify(schedules));
+                localStorage.setItem(this.HISTORY_KEY, JSON.stringify(Object.fromEntries(this.state.history)));
+            } catch (error) {
+                console.warn('Failed to save flow schedules:', error);
+            }
+        },
+
+        load: function() {
+            try {
+                const schedules = JSON.parse(localStorage.getItem(this.STORAGE_KEY) || '[]');
+                const history = JSON.parse(localStorage.getItem(this.HISTORY_KEY) || '{}');
+
+                // Runs missed while the app was closed are not replayed
+                schedules.forEach(schedule => {
+                    this.state.schedules.set(schedule.id, { ...schedule, nextRun: null, since: Date.now() });
+                });
+                Object.entries(history).forEach(([flowId, runs]) => {
+                    this.state.history.set(flowId, runs);
+                });
+            } catch (error) {
+                console.warn('Failed to load flow schedules:', error);
+            }
+        }
+    };
+
+    FlowBuilder.scheduleFlow = function(flowId) {
+        return this.Scheduler.register(flowId || this.state.activeFlow);
+    };
+
+    FlowBuilder.unscheduleFlow = function(flowId) {
+        return this.Scheduler.unregister(flowId || this.state.activeFlow);
+    };
+
+    // Initialize scheduler when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => {
+            FlowBuilder.Scheduler.initialize();
+        });
+    } else {
+        FlowBuilder.Scheduler.initialize();
+    }
+
+    console.log('AlgorithmPress Flow Scheduler loaded');
+
+})(window, document);
@@ -0,0 +1,581 @@
+/**
+ * AlgorithmPress Flow Subflows
+ * Reusable flows that appear as a single node type in other flows
+ */
+
+(function(window, document) {
+    'use strict';
+
+    // Ensure flow builder core and node types are available
+    if (!window.AlgorithmPressFlowBuilder || !window.AlgorithmPressFlowBuilder.registerNodeType) {
+        console.error('AlgorithmPress Flow Builder Node Types required');
+        return;
+    }
+
+    const FlowBuilder = window.AlgorithmPressFlowBuilder;
+
+    // Subflow System
+    FlowBuilder.Subflows = {
+        TYPE_PREFIX: 'subflow:',
+
+        state: {
+            definitions: new Map(),
+            // Flows the user drilled in from, innermost last
+            stack: []
+        },
+
+        // Collapse the selected nodes of the active flow into a new subflow node
+        createFromSelection: function(name = 'Subflow', options = {}) {
+            const flow = FlowBuilder.getActiveFlow();
+            const selected = new Set(FlowBuilder.state.interaction.selectedNodes);
+
+            if (!flow || selected.size === 0) {
+                throw new Error('Select the nodes to collapse into a subflow');
+            }
+            if (Array.from(selected).some(nodeId => flow.nodes.get(nodeId)?.type === 'start')) {
+                throw new Error('The start node cannot be moved into a subflow');
+            }
+
+            const connections = Array.from(flow.connections.values());
+            const internal = connections.filter(conn => selected.has(conn.sourceNodeId) && selected.has(conn.targetNodeId));
+            const incoming = connections.filter(conn => !selected.has(conn.sourceNodeId) && selected.has(conn.targetNodeId));
+            const outgoing = connections.filter(conn => selected.has(conn.sourceNodeId) && !selected.has(conn.targetNodeId));
+
+            const nodes = Array.from(selected).map(nodeId => flow.nodes.get(nodeId));
+            const minX = Math.min(...nodes.map(node => node.position.x));
+            const minY = Math.min(...nodes.map(node => node.position.y));
+            const maxX = Math.max(...nodes.map(node => node.position.x));
+
+            const inner = this.createInnerFlow(name, options.description);
+
+            // Copy the selection, shifted right to leave room for the start node
+            nodes.forEach(node => {
+                this.insertInner(inner, {
+                    ...node,
+                    position: { x: node.position.x - minX + 300, y: node.position.y - minY + 100 },
+                    properties: FlowBuilder.cloneValue(node.properties),
+                    inputs: this.copyPorts(node.inputs),
+                    outputs: this.copyPorts(node.outputs),
+                    metadata: { ...node.metadata }
+                });
+            });
+            internal.forEach(conn => this.connectInner(inner, conn.sourceNodeId, conn.sourcePortId, conn.targetNodeId, conn.targetPortId));
+
+            const start = Array.from(inner.nodes.values()).find(node => node.type === 'start');
+            start.position = { x: 60, y: 100 };
+
+            const external = [];
+
+            // Inputs: flow entries hang off the start node's success port, data gets a start port each
+            const flowEntries = incoming.filter(conn => conn.type !== 'data');
+            flowEntries.forEach(conn => {
+                // Several outer wires may lead to the same inner port; start it once
+                if (!Array.from(inner.connections.values()).some(existing =>
+                    existing.sourceNodeId === start.id && existing.targetNodeId === conn.targetNodeId && existing.targetPortId === conn.targetPortId
+                )) {
+                    this.connectInner(inner, start.id, 'success', conn.targetNodeId, conn.targetPortId);
+                }
+                external.push({ sourceNodeId: conn.sourceNodeId, sourcePortId: conn.sourcePortId, port: 'input', direction: 'in' });
+            });
+
+            if (flowEntries.length === 0) {
+                // Nothing led into the selection; start every node without an inner flow predecessor
+                nodes.forEach(node => {
+                    const flowInput = Array.from(node.inputs.values()).find(port => port.type === 'flow');
+                    const hasPredecessor = internal.some(conn => conn.targetNodeId === node.id && conn.type !== 'data');
+                    if (flowInput && !hasPredecessor) {
+                        this.connectInner(inner, start.id, 'success', node.id, flowInput.id);
+                    }
+                });
+            }
+
+            this.groupBySource(incoming.filter(conn => conn.type === 'data')).forEach((group, index) => {
+                const portId = `in_${index + 1}`;
+                const source = flow.nodes.get(group[0].sourceNodeId);
+                start.outputs.set(portId, {
+                    id: portId,
+                    name: source.outputs.get(group[0].sourcePortId)?.name || portId,
+                    type: 'data',
+                    connections: []
+                });
+
+                group.forEach(conn => this.connectInner(inner, start.id, portId, conn.targetNodeId, conn.targetPortId));
+                external.push({ sourceNodeId: group[0].sourceNodeId, sourcePortId: group[0].sourcePortId, port: portId, direction: 'in' });
+            });
+
+            // Outputs: one terminal subflow-output node per inner source port leaving the selection
+            const counts = { flow: 0, data: 0 };
+            this.groupBySource(outgoing).forEach((group, index) => {
+                const conn = group[0];
+                const portType = conn.type === 'data' ? 'data' : 'flow';
+                const portId = `${portType === 'data' ? 'data' : 'out'}_${++counts[portType]}`;
+                const source = inner.nodes.get(conn.sourceNodeId);
+                const portName = source.outputs.get(conn.sourcePortId)?.name || conn.sourcePortId;
+
+                const terminal = this.createInnerNode('subflow-output', {
+                    title: nodes.length > 1 ? `${source.properties.title || source.type} ${portName}` : portName,
+                    port: portId,
+                    portType: portType
+                }, { x: maxX - minX + 560, y: 100 + index * 120 });
+                this.insertInner(inner, terminal);
+                this.connectInner(inner, conn.sourceNodeId, conn.sourcePortId, terminal.id, portType === 'data' ? 'data' : 'input');
+
+                group.forEach(edge => {
+                    external.push({ targetNodeId: edge.targetNodeId, targetPortId: edge.targetPortId, port: portId, direction: 'out' });
+                });
+            });
+
+            FlowBuilder.state.flows.set(inner.id, inner);
+            const definition = this.register({
+                id: inner.id,
+                name: name,
+                description: options.description || ''
+            });
+
+            // Swap the selection for the subflow node as a single undo step
+            let subflowNode;
+            FlowBuilder.beginHistoryGroup(`Create subflow ${name}`);
+            try {
+                selected.forEach(nodeId => FlowBuilder.deleteNode(nodeId));
+                subflowNode = FlowBuilder.addNode(definition.type, FlowBuilder.snapPosition({
+                    x: nodes.reduce((sum, node) => sum + node.position.x, 0) / nodes.length,
+                    y: nodes.reduce((sum, node) => sum + node.position.y, 0) / nodes.length
+                }), { title: name });
+
+                external.forEach(edge => {
+                    if (edge.direction === 'in') {
+                        FlowBuilder.addConnection(edge.sourceNodeId, edge.sourcePortId, subflowNode.id, edge.port);
+                    } else {
+                        FlowBuilder.addConnection(subflowNode.id, edge.port, edge.targetNodeId, edge.targetPortId);
+                    }
+                });
+            } finally {
+                FlowBuilder.endHistoryGroup();
+            }
+
+            FlowBuilder.selectNode(subflowNode.id);
+            return { definition: definition, node: subflowNode };
+        },
+
+        // Group boundary connections that leave the same output port
+        groupBySource: function(connections) {
+            const groups = new Map();
+            connections.forEach(conn => {
+                const id = `${conn.sourceNodeId}:${conn.sourcePortId}`;
+                if (!groups.has(id)) groups.set(id, []);
+                groups.get(id).push(conn);
+            });
+            return Array.from(groups.values());
+        },
+
+        // A flow object that is not activated on creation
+        createInnerFlow: function(name, description = '') {
+            const flow = {
+                id: FlowBuilder.generateId('flow'),
+                name: name,
+                description: description,
+                nodes: new Map(),
+                connections: new Map(),
+                variables: new Map(),
+                settings: {
+                    autoSave: true,
+                    gridSize: 20,
+                    snapToGrid: true,
+                    showGrid: true,
+                    theme: 'default'
+                },
+                metadata: {
+                    created: new Date(),
+                    modified: new Date(),
+                    version: '1.0.0',
+                    author: 'Anonymous'
+                }
+            };
+
+            this.insertInner(flow, this.createInnerNode('start', { title: 'Subflow Input' }, { x: 60, y: 100 }));
+            return flow;
+        },
+
+        createInnerNode: function(type, properties, position) {
+            const definition = FlowBuilder.nodeTypes.get(type);
+            return {
+                id: FlowBuilder.generateId(),
+                type: type,
+                position: { ...position },
+                properties: { ...definition.defaultProperties, ...properties },
+                inputs: this.copyPorts(definition.inputs),
+                outputs: this.copyPorts(definition.outputs),
+                metadata: { created: new Date(), modified: new Date() }
+            };
+        },
+
+        // Port map without connection references (accepts a port Map or a definition array)
+        copyPorts: function(ports) {
+            const copy = new Map();
+            ports.forEach(port => {
+                copy.set(port.id, { id: port.id, name: port.name, type: port.type, connections: [] });
+            });
+            return copy;
+        },
+
+        insertInner: function(flow, node) {
+            flow.nodes.set(node.id, node);
+        },
+
+        connectInner: function(flow, sourceNodeId, sourcePortId, targetNodeId, targetPortId) {
+            const sourcePort = flow.nodes.get(sourceNodeId)?.outputs.get(sourcePortId);
+            const targetPort = flow.nodes.get(targetNodeId)?.inputs.get(targetPortId);
+            if (!sourcePort || !targetPort) return null;
+
+            const connection = {
+                id: FlowBuilder.generateId('conn'),
+                sourceNodeId: sourceNodeId,
+                sourcePortId: sourcePortId,
+                targetNodeId: targetNodeId,
+                targetPortId: targetPortId,
+                type: sourcePort.type || 'flow',
+                properties: {},
+                metadata: { created: new Date(), modified: new Date() }
+            };
+
+            flow.connections.set(connection.id, connection);
+            sourcePort.connections.push(connection.id);
+            targetPort.connections.push(connection.id);
+            return connection;
+        },
+
+        // Ports a subflow node exposes, read from its inner start and subflow-output nodes
+        describePorts: function(innerFlow) {
+            const inputs = [{ id: 'input', name: 'Input', type: 'flow' }];
+            const outputs = [];
+
+            const start = Array.from(innerFlow.nodes.values()).find(node => node.type === 'start');
+            start?.outputs.forEach(port => {
+                if (port.type === 'data') {
+                    inputs.push({ id: port.id, name: port.name, type: 'data' });
+                }
+            });
+
+            Array.from(innerFlow.nodes.values())
+                .filter(node => node.type === 'subflow-output')
+                .sort((a, b) => a.position.y - b.position.y)
+                .forEach(node => {
+                    if (!outputs.some(port => port.id === node.properties.port)) {
+                        outputs.push({
+                            id: node.properties.port,
+                            name: node.properties.title || node.properties.port,
+                            type: node.properties.portType === 'data' ? 'data' : 'flow'
+                        });
+                    }
+                });
+
+            // A failing inner flow leaves through the error port
+            if (!outputs.some(port => port.id === 'error')) {
+                outputs.push({ id: 'error', name: 'Error', type: 'flow' });
+            }
+
+            return { inputs, outputs };
+        },
+
+        // Register (or re-register) the node type for a subflow definition
+        register: function(definition) {
+            const innerFlow = FlowBuilder.state.flows.get(definition.id);
+            if (!innerFlow) {
+                throw new Error(`Subflow '${definition.name}' has no inner flow`);
+            }
+
+            const subflows = this;
+            const stored = {
+                id: definition.id,
+                type: this.TYPE_PREFIX + definition.id,
+                name: definition.name,
+                description: definition.description || ''
+            };
+            const ports = this.describePorts(innerFlow);
+
+            FlowBuilder.registerNodeType(stored.type, {
+                name: stored.name,
+                description: stored.description || 'Reusable subflow',
+                category: 'subflows',
+                icon: 'fas fa-project-diagram',
+                color: '#6f42c1',
+                subflowId: stored.id,
+                inputs: ports.inputs,
+                outputs: ports.outputs,
+                defaultProperties: {
+                    title: stored.name
+                },
+                renderContent: function(node) {
+                    const count = FlowBuilder.state.flows.get(stored.id)?.nodes.size || 0;
+                    return `<div class="node-subflow-content">
+                        <span>${count} nodes</span>
+                        <button class="node-action-btn" data-action="open-subflow" title="Open subflow">
+                            <i class="fas fa-sign-in-alt"></i>
+                        </button>
+                    </div>`;
+                },
+                execute: async function(node, inputData, context) {
+                    return subflows.run(stored.id, inputData, context);
+                }
+            });
+
+            this.state.definitions.set(stored.id, stored);
+            FlowBuilder.populateNodePalette?.();
+            return stored;
+        },
+
+        // Run the inner flow and map what reached its terminal nodes onto output ports
+        run: async function(subflowId, inputData, context) {
+            const definition = this.state.definitions.get(subflowId);
+            if (!definition) {
+                return { success: false, error: `Subflow '${subflowId}' is not installed` };
+            }
+
+            const summary = await context.runFlow(subflowId, { input: inputData, portInput: true });
+            if (summary.status === 'failed') {
+                return { success: false, error: summary.error };
+            }
+
+            const nodeType = FlowBuilder.nodeTypes.get(definition.type);
+            const flowPorts = nodeType.outputs.filter(port => port.type === 'flow').map(port => port.id);
+            const result = {
+                success: true,
+                next: summary.outputs.fired.filter(portId => flowPorts.includes(portId))
+            };
+
+            Object.entries(summary.outputs.data).forEach(([portId, value]) => {
+                result[portId] = value;
+            });
+
+            return result;
+        },
+
+        // Open a subflow's inner flow in the editor
+        open: function(subflowId) {
+            const definition = this.state.definitions.get(subflowId);
+            if (!definition) return false;
+
+            this.state.stack.push(FlowBuilder.state.activeFlow);
+            FlowBuilder.setActiveFlow(definition.id);
+            this.renderBreadcrumb();
+            return true;
+        },
+
+        // Leave the subflow being edited and apply its port changes everywhere it is used
+        close: function() {
+            if (this.state.stack.length === 0) return false;
+
+            const subflowId = FlowBuilder.state.activeFlow;
+            if (this.state.definitions.has(subflowId)) {
+                this.sync(subflowId);
+            }
+
+            FlowBuilder.setActiveFlow(this.state.stack.pop());
+            this.renderBreadcrumb();
+            return true;
+        },
+
+        // Add a data input to a subflow; it appears as a data port on the inner start node
+        addInput: function(subflowId, name) {
+            const innerFlow = FlowBuilder.state.flows.get(subflowId);
+            const start = innerFlow && Array.from(innerFlow.nodes.values()).find(node => node.type === 'start');
+            if (!start) return null;
+
+            let index = 1;
+            while (start.outputs.has(`in_${index}`)) index++;
+            const port = { id: `in_${index}`, name: name || `Input ${index}`, type: 'data', connections: [] };
+            start.outputs.set(port.id, port);
+
+            if (FlowBuilder.isActiveFlow(innerFlow)) {
+                FlowBuilder.refreshNode(start);
+            }
+            this.sync(subflowId);
+            return port;
+        },
+
+        // Re-read a subflow's ports and update every node that uses it
+        sync: function(subflowId) {
+            const definition = this.state.definitions.get(subflowId);
+            if (!definition) return;
+
+            this.register(definition);
+            const nodeType = FlowBuilder.nodeTypes.get(definition.type);
+
+            FlowBuilder.state.flows.forEach(flow => {
+                flow.nodes.forEach(node => {
+                    if (node.type !== definition.type) return;
+
+                    node.inputs = this.mergePorts(node.inputs, nodeType.inputs);
+                    node.outputs = this.mergePorts(node.outputs, nodeType.outputs);
+
+                    // Drop wires to ports the subflow no longer has
+                    Array.from(flow.connections.values()).forEach(conn => {
+                        const stale = (conn.sourceNodeId === node.id && !node.outputs.has(conn.sourcePortId)) ||
+                            (conn.targetNodeId === node.id && !node.inputs.has(conn.targetPortId));
+                        if (stale) FlowBuilder.removeConnection(flow, conn.id);
+                    });
+
+                    if (FlowBuilder.isActiveFlow(flow)) {
+                        FlowBuilder.refreshNode(node);
+                    }
+                });
+            });
+        },
+
+        // Ports from the definition, keeping the connections of ports that still exist
+        mergePorts: function(current, ports) {
+            const merged = new Map();
+            ports.forEach(port => {
+                merged.set(port.id, {
+                    id: port.id,
+                    name: port.name,
+                    type: port.type,
+                    connections: current.get(port.id)?.type === port.type ? current.get(port.id).connections : []
+                });
+            });
+            return merged;
+        },
+
+        isSubflowType: function(type) {
+            return typeof type === 'string' && type.startsWith(this.TYPE_PREFIX);
+        },
+
+        // Subflow IDs used by the given flows, including nested ones, dependencies first
+        collectDependencies: function(flowIds) {
+            const ordered = [];
+            const visiting = new Set();
+
+            const visit = (flowId) => {
+                const flow = FlowBuilder.state.flows.get(flowId);
+                if (!flow) return;
+
+                flow.nodes.forEach(node => {
+                    if (!this.isSubflowType(node.type)) return;
+
+                    const subflowId = node.type.slice(this.TYPE_PREFIX.length);
+                    if (ordered.includes(subflowId) || visiting.has(subflowId)) return;
+
+                    visiting.add(subflowId);
+                    visit(subflowId);
+                    visiting.delete(subflowId);
+                    ordered.push(subflowId);
+                });
+            };
+
+            flowIds.forEach(visit);
+            return ordered;
+        },
+
+        // Package entries for the subflows used by the given flows
+        serializeDependencies: async function(flowIds) {
+            const entries = [];
+
+            for (const subflowId of this.collectDependencies(flowIds)) {
+                const definition = this.state.definitions.get(subflowId);
+                const innerFlow = FlowBuilder.state.flows.get(subflowId);
+                if (!definition || !innerFlow) {
+                    throw new Error(`Subflow '${subflowId}' used by the exported flows is not installed`);
+                }
+
+                const exportData = await FlowBuilder.ExportImport.serializeFlow(innerFlow, { download: false });
+                entries.push({
+                    definition: {
+                        id: definition.id,
+                        name: definition.name,
+                        description: definition.description
+                    },
+                    flow: exportData.flow
+                });
+            }
+
+            return entries;
+        },
+
+        // Install subflows from a package; an existing subflow with the same ID is replaced
+        importDefinitions: async function(entries, formatVersion) {
+            const installed = [];
+
+            for (const entry of entries) {
+                if (!entry.definition || entry.definition.id !== entry.flow?.id) {
+                    throw new Error('Invalid subflow entry in package');
+                }
+
+                await FlowBuilder.ExportImport.importFlow({
+                    formatVersion: formatVersion,
+                    flow: entry.flow
+                }, {
+                    setActive: false,
+                    generateNewId: false
+                });
+
+                this.state.definitions.set(entry.definition.id, {
+                    ...entry.definition,
+                    type: this.TYPE_PREFIX + entry.definition.id
+                });
+                this.sync(entry.definition.id);
+                installed.push(entry.definition.id);
+            }
+
+            return installed;
+        },
+
+        // Show the path back out of nested subflows above the canvas
+        renderBreadcrumb: function() {
+            const canvas = FlowBuilder.elements?.canvas;
+            if (!canvas || !canvas.parentElement) return;
+
+            let breadcrumb = canvas.parentElement.querySelector('.subflow-breadcrumb');
+            if (this.state.stack.length === 0) {
+                breadcrumb?.remove();
+                return;
+            }
+
+            if (!breadcrumb) {
+                breadcrumb = document.createElement('div');
+                breadcrumb.className = 'subflow-breadcrumb';
+                canvas.parentElement.insertBefore(breadcrumb, canvas);
+            }
+
+            const path = [...this.state.stack, FlowBuilder.state.activeFlow]
+                .map(flowId => FlowBuilder.state.flows.get(flowId)?.name || flowId);
+            breadcrumb.innerHTML = `
+                <button class="btn btn-sm btn-outline-secondary" data-action="close-subflow">
+                    <i class="fas fa-arrow-left"></i> Back
+                </button>
+                <span class="breadcrumb-path"></span>
+            `;
+            breadcrumb.querySelector('.breadcrumb-path').textContent = path.join(' › ');
+            breadcrumb.querySelector('[data-action="close-subflow"]').addEventListener('click', () => this.close());
+        },
+
+        // Drill into a subflow by double-clicking its node or using its open button
+        handleNodeActivate: function(e) {
+            const element = e.target.closest?.('.flow-node');
+            if (!element || (e.type === 'click' && !e.target.closest('[data-action="open-subflow"]'))) return;
+
+            const node = FlowBuilder.getActiveFlow()?.nodes.get(element.dataset.nodeId);
+            if (node && this.isSubflowType(node.type)) {
+                e.stopPropagation();
+                this.open(node.type.slice(this.TYPE_PREFIX.length));
+            }
+        }
+    };
+
+    document.addEventListener('dblclick', (e) => FlowBuilder.Subflows.handleNodeActivate(e));
+    document.addEventListener('click', (e) => FlowBuilder.Subflows.handleNodeActivate(e));
+
+    FlowBuilder.createSubflow = function(name, options) {
+        return this.Subflows.createFromSelection(name, options);
+    };
+
+    FlowBuilder.openSubflow = function(subflowId) {
+        return this.Subflows.open(subflowId);
+    };
+
+    FlowBuilder.closeSubflow = function() {
+        return this.Subflows.close();
+    };
+
+    console.log('AlgorithmPress Flow Subflows loaded');
+
+})(window, document);
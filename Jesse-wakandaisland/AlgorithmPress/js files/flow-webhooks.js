@@ -0,0 +1,386 @@
+/**
+ * AlgorithmPress Flow Webhooks
+ * Local endpoint for webhook triggers (via flow-webhook-sw.js), form-submit triggers
+ * and a request composer for test calls
+ */
+
+(function(window, document) {
+    'use strict';
+
+    // Ensure flow builder core is available
+    if (!window.AlgorithmPressFlowBuilder) {
+        console.error('AlgorithmPress Flow Builder Core required');
+        return;
+    }
+
+    const FlowBuilder = window.AlgorithmPressFlowBuilder;
+
+    // Flow Webhook System
+    FlowBuilder.Webhooks = {
+        // The page's service worker, which includes flow-webhook-sw.js; relative to
+        // the page and must sit at the app root so its scope covers /webhook/
+        SERVICE_WORKER_URL: 'algorithmpress-sw.js',
+
+        MAX_LOG: 50,
+
+        state: {
+            registration: null,
+            log: []
+        },
+
+        initialize: function() {
+            if ('serviceWorker' in navigator) {
+                navigator.serviceWorker.addEventListener('message', (e) => this.handleMessage(e));
+                this.register();
+            }
+
+            document.addEventListener('submit', (e) => this.handleFormSubmit(e));
+        },
+
+        register: async function(scriptUrl = this.SERVICE_WORKER_URL) {
+            if (!('serviceWorker' in navigator)) {
+                console.warn('Service Workers are not supported; webhooks can only be sent from the request composer');
+                return null;
+            }
+
+            try {
+                // PHPWasmRuntime registers the same service worker when it's loaded
+                this.state.registration = typeof PHPWasmRuntime !== 'undefined' && scriptUrl === this.SERVICE_WORKER_URL
+                    ? await PHPWasmRuntime.registerServiceWorker()
+                    : await navigator.serviceWorker.register(scriptUrl);
+                return this.state.registration;
+            } catch (error) {
+                console.error('Webhook service worker registration failed:', error);
+                return null;
+            }
+        },
+
+        // Requests forwarded by the service worker, answered over the supplied port
+        handleMessage: function(event) {
+            if (!event.data || event.data.type !== 'flow-webhook:request' || !event.ports[0]) return;
+
+            const port = event.ports[0];
+            this.handleRequest(event.data.request)
+                .then(response => port.postMessage(response))
+                .catch(error => port.postMessage({ status: 500, body: { error: error.message } }));
+        },
+
+        // Route a request to the webhook node listening on its path and run that flow
+        handleRequest: async function(request) {
+            const path = this.normalizePath(request.path);
+            const matches = this.findTriggerNodes('webhook', node => this.normalizePath(node.properties.path) === path);
+
+            if (matches.length === 0) {
+                return this.respond(request, 404, { error: `No flow listens on /webhook/${path}` });
+            }
+
+            const allowed = matches.filter(match => (match.node.properties.method || 'POST') === request.method);
+            if (allowed.length === 0) {
+                const methods = [...new Set(matches.map(match => match.node.properties.method || 'POST'))];
+                return this.respond(request, 405, { error: `Method ${request.method} not allowed` }, { 'Allow': methods.join(', ') });
+            }
+
+            if (allowed.length > 1) {
+                console.warn(`${allowed.length} webhook nodes listen on ${request.method} /webhook/${path}; using the first`);
+            }
+
+            const { flow, node } = allowed[0];
+            const auth = this.checkAuthentication(node, request.headers || {});
+            if (!auth.valid) {
+                const challenge = node.properties.authentication === 'basic' ? 'Basic realm="AlgorithmPress"' : 'Bearer';
+                return this.respond(request, 401, { error: auth.error }, { 'WWW-Authenticate': challenge });
+            }
+
+            let body;
+            try {
+                body = this.parseBody(request);
+            } catch (error) {
+                return this.respond(request, 400, { error: error.message });
+            }
+
+            if (!FlowBuilder.Execution) {
+                return this.respond(request, 503, { error: 'Flow execution engine not loaded' });
+            }
+
+            const summary = await FlowBuilder.Execution.executeFlow(flow.id, { startNodeId: node.id, input: body });
+            const variables = {};
+            Object.entries(summary.variables || {}).forEach(([name, variable]) => {
+                variables[name] = variable.value;
+            });
+
+            return this.respond(request, summary.status === 'failed' ? 500 : 200, {
+                flow: flow.name,
+                executionId: summary.executionId,
+                status: summary.status,
+                error: summary.error,
+                variables: variables
+            });
+        },
+
+        // Build a response and keep it in the request log
+        respond: function(request, status, body, headers = {}) {
+            const response = { status: status, headers: headers, body: body };
+
+            this.state.log.unshift({
+                time: new Date().toISOString(),
+                method: request.method,
+                path: `/webhook/${this.normalizePath(request.path)}`,
+                status: status
+            });
+            this.state.log.length = Math.min(this.state.log.length, this.MAX_LOG);
+
+            document.dispatchEvent(new CustomEvent('flow-webhook-request', {
+                detail: { request: request, response: response }
+            }));
+
+            return response;
+        },
+
+        // "/webhook/orders/", "webhook/orders" and "/orders" all address the same endpoint
+        normalizePath: function(path) {
+            return String(path || '')
+                .split('?')[0]
+                .replace(/^\/+/, '')
+                .replace(/^webhook(\/|$)/, '')
+                .replace(/\/+$/, '');
+        },
+
+        // Trigger nodes of a type across all loaded flows
+        findTriggerNodes: function(type, predicate) {
+            const matches = [];
+            FlowBuilder.state.flows.forEach(flow => {
+                flow.nodes.forEach(node => {
+                    if (node.type === type && predicate(node)) {
+                        matches.push({ flow, node });
+                    }
+                });
+            });
+            return matches;
+        },
+
+        // Check the Authorization header against the node's bearer token or basic credentials
+        checkAuthentication: function(node, headers) {
+            const header = headers.authorization || '';
+            const { authentication = 'none', token, username, password } = node.properties;
+
+            if (authentication === 'bearer') {
+                if (!token) {
+                    return { valid: false, error: 'Bearer token is not configured on the webhook node' };
+                }
+                return header === `Bearer ${token}` ?
+                    { valid: true } :
+                    { valid: false, error: 'Invalid or missing bearer token' };
+            }
+
+            if (authentication === 'basic') {
+                if (!username) {
+                    return { valid: false, error: 'Basic credentials are not configured on the webhook node' };
+                }
+                return header === `Basic ${this.encodeBase64(`${username}:${password || ''}`)}` ?
+                    { valid: true } :
+                    { valid: false, error: 'Invalid or missing basic credentials' };
+            }
+
+            return { valid: true };
+        },
+
+        // Body as JSON, form fields or text; GET requests pass their query string
+        parseBody: function(request) {
+            const contentType = (request.headers?.['content-type'] || '').toLowerCase();
+            const body = request.body || '';
+
+            if (!body) {
+                return request.method === 'GET' ? { ...request.query } : null;
+            }
+
+            if (contentType.includes('application/json')) {
+                try {
+                    return JSON.parse(body);
+                } catch (error) {
+                    throw new Error('Request body is not valid JSON');
+                }
+            }
+
+            if (contentType.includes('application/x-www-form-urlencoded')) {
+                return Object.fromEntries(new URLSearchParams(body));
+            }
+
+            return body;
+        },
+
+        // UTF-8 safe btoa
+        encodeBase64: function(text) {
+            return btoa(String.fromCharCode(...new TextEncoder().encode(text)));
+        },
+
+        getEndpointUrl: function(path) {
+            const scope = this.state.registration?.scope || new URL('./', window.location.href).href;
+            const normalized = this.normalizePath(path);
+            return new URL(`webhook${normalized ? '/' + normalized : ''}`, scope).href;
+        },
+
+        // ================================
+        // FORM SUBMIT TRIGGERS
+        // ================================
+
+        // Forms whose id matches a form-submit node start that flow instead of navigating
+        handleFormSubmit: function(e) {
+            const form = e.target;
+            if (!form || form.tagName !== 'FORM' || !form.id || !FlowBuilder.Execution) return;
+
+            const matches = this.findTriggerNodes('form-submit', node => node.properties.formId === form.id);
+            if (matches.length === 0) return;
+
+            e.preventDefault();
+
+            if (matches.some(match => match.node.properties.validation) && !form.checkValidity()) {
+                form.reportValidity();
+                return;
+            }
+
+            const data = {};
+            new FormData(form).forEach((value, key) => {
+                if (key in data) {
+                    data[key] = [].concat(data[key], value);
+                } else {
+                    data[key] = value;
+                }
+            });
+
+            matches.forEach(({ flow, node }) => {
+                FlowBuilder.Execution.executeFlow(flow.id, { startNodeId: node.id, input: data });
+            });
+        },
+
+        // ================================
+        // REQUEST COMPOSER
+        // ================================
+
+        // Send a test request; goes through the service worker when it controls the page
+        send: async function(options) {
+            const method = (options.method || 'POST').toUpperCase();
+            const [path, query = ''] = String(options.path || '').split('?');
+            const headers = { ...options.headers };
+
+            if (options.auth === 'bearer') {
+                headers['Authorization'] = `Bearer ${options.token || ''}`;
+            } else if (options.auth === 'basic') {
+                headers['Authorization'] = `Basic ${this.encodeBase64(`${options.username || ''}:${options.password || ''}`)}`;
+            }
+
+            const body = ['GET', 'HEAD'].includes(method) ? '' : (options.body || '');
+            if (body && !Object.keys(headers).some(name => name.toLowerCase() === 'content-type')) {
+                headers['Content-Type'] = 'application/json';
+            }
+
+            if (navigator.serviceWorker?.controller) {
+                const url = this.getEndpointUrl(path) + (query ? `?${query}` : '');
+                const response = await fetch(url, { method: method, headers: headers, body: body || undefined });
+                const text = await response.text();
+                let parsed;
+                try {
+                    parsed = JSON.parse(text);
+                } catch (error) {
+                    parsed = text;
+                }
+                return { status: response.status, body: parsed, via: 'service-worker' };
+            }
+
+            // Without an active service worker the request is handled in-page
+            const response = await this.handleRequest({
+                method: method,
+                path: path,
+                query: Object.fromEntries(new URLSearchParams(query)),
+                headers: Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])),
+                body: body
+            });
+            return { status: response.status, body: response.body, via: 'in-page' };
+        },
+
+        createComposerPanel: function() {
+            const panel = document.createElement('div');
+            panel.className = 'webhook-composer';
+
+            const endpoints = this.findTriggerNodes('webhook', () => true);
+
+            panel.innerHTML = `
+                <div class="composer-row">
+                    <select class="form-select form-select-sm" data-field="method">
+                        ${['GET', 'POST', 'PUT', 'DELETE'].map(method => `<option value="${method}">${method}</option>`).join('')}
+                    </select>
+                    <input type="text" class="form-control form-control-sm" data-field="path" list="webhook-endpoints" placeholder="/webhook/orders">
+                    <datalist id="webhook-endpoints">
+                        ${endpoints.map(({ node }) => `<option value="/webhook/${this.normalizePath(node.properties.path)}"></option>`).join('')}
+                    </datalist>
+                </div>
+                <div class="composer-row">
+                    <select class="form-select form-select-sm" data-field="auth">
+                        <option value="none">No auth</option>
+                        <option value="bearer">Bearer token</option>
+                        <option value="basic">Basic auth</option>
+                    </select>
+                    <input type="text" class="form-control form-control-sm" data-field="token" placeholder="Token">
+                    <input type="text" class="form-control form-control-sm" data-field="username" placeholder="Username">
+                    <input type="password" class="form-control form-control-sm" data-field="password" placeholder="Password">
+                </div>
+                <textarea class="form-control form-control-sm" data-field="headers" rows="2" placeholder='{"X-Request-Id": "123"}'></textarea>
+                <textarea class="form-control form-control-sm" data-field="body" rows="5" placeholder='{"name": "value"}'></textarea>
+                <button class="btn btn-primary btn-sm" data-action="send">
+                    <i class="fas fa-paper-plane"></i> Send
+                </button>
+                <pre class="composer-response"></pre>
+            `;
+
+            const field = (name) => panel.querySelector(`[data-field="${name}"]`);
+            const output = panel.querySelector('.composer-response');
+
+            // Picking a known endpoint fills in its method and auth type
+            field('path').addEventListener('change', () => {
+                const path = this.normalizePath(field('path').value);
+                const match = endpoints.find(({ node }) => this.normalizePath(node.properties.path) === path);
+                if (match) {
+                    field('method').value = match.node.properties.method || 'POST';
+                    field('auth').value = match.node.properties.authentication || 'none';
+                }
+            });
+
+            panel.querySelector('[data-action="send"]').addEventListener('click', async () => {
+                output.textContent = 'Sending...';
+                try {
+                    const headers = field('headers').value.trim() ? JSON.parse(field('headers').value) : {};
+                    const result = await this.send({
+                        method: field('method').value,
+                        path: field('path').value,
+                        auth: field('auth').value,
+                        token: field('token').value,
+                        username: field('username').value,
+                        password: field('password').value,
+                        headers: headers,
+                        body: field('body').value
+                    });
+                    output.textContent = `${result.status} (${result.via})\n${JSON.stringify(result.body, null, 2)}`;
+                } catch (error) {
+                    output.textContent = `Request failed: ${error.message}`;
+                }
+            });
+
+            return panel;
+        }
+    };
+
+    FlowBuilder.sendWebhook = function(options) {
+        return this.Webhooks.send(options);
+    };
+
+    // Initialize webhooks when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => {
+            FlowBuilder.Webhooks.initialize();
+        });
+    } else {
+        FlowBuilder.Webhooks.initialize();
+    }
+
+    console.log('AlgorithmPress Flow Webhooks loaded');
+
+})(window, document);
@@ -14,7 +14,7 @@ const PHPComponentTemplates = [
       <path d="M4 5h16v2H4V5zm0 5h16v2H4v-2zm0 5h16v2H4v-2z" fill="currentColor"/>
     </svg>`,
     template: `<div class="text-component">
-  <?php echo htmlspecialchars("{{ content }}"); ?>
+  {{ content }}
 </div>`,
     defaultProps: {
       content: 'Text content here',
@@ -44,7 +44,7 @@ const PHPComponentTemplates = [
       <path d="M4 4h6v2H7v12H5V6H2V4h2zm10 0h6v2h-3v12h-2V6h-3V4h2z" fill="currentColor"/>
     </svg>`,
     template: `<{{ tag }} class="heading-component {{ className }}">
-  <?php echo htmlspecialchars("{{ content }}"); ?>
+  {{ content }}
 </{{ tag }}>`,
     defaultProps: {
       tag: 'h2',
@@ -88,7 +88,7 @@ const PHPComponentTemplates = [
     icon: `<svg width="24" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
       <path d="M21 19V5c0-1.1-.9-2-2-2H5c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h14c1.1 0 2-.9 2-2zM8.5 13.5l2.5 3.01L14.5 12l4.5 6H5l3.5-4.5z" fill="currentColor"/>
     </svg>`,
-    template: `<img src="<?php echo htmlspecialchars("{{ src }}"); ?>" alt="<?php echo htmlspecialchars("{{ alt }}"); ?>" class="image-component {{ className }}" style="max-width: {{ maxWidth }}; height: {{ height }};" />`,
+    template: `<img src="{{ src }}" alt="{{ alt }}" class="image-component {{ className }}" style="max-width: {{ maxWidth }}; height: {{ height }};" />`,
     defaultProps: {
       src: 'https://via.placeholder.com/300x200',
       alt: 'Image',
@@ -138,11 +138,14 @@ const PHPComponentTemplates = [
       <path d="M4 4h16v16H4V4zm2 2v12h12V6H6z" fill="currentColor"/>
     </svg>`,
     template: `<div class="container-component {{ className }}" style="padding: {{ padding }}; margin: {{ margin }}; background-color: {{ backgroundColor }};">
-  <!-- Container content goes here -->
-  <?php echo "{{ content }}"; ?>
+  {{ content | raw }}
+  {{ slot:default }}
 </div>`,
+    slots: [
+      { name: 'default', label: 'Content' }
+    ],
     defaultProps: {
-      content: '<!-- Drag components here -->',
+      content: '',
       padding: '20px',
       margin: '0',
       backgroundColor: 'transparent',
@@ -153,7 +156,7 @@ const PHPComponentTemplates = [
         name: 'content',
         label: 'Content',
         type: 'textarea',
-        description: 'HTML content for the container'
+        description: 'HTML shown before the nested components'
       },
       {
         name: 'padding',
@@ -193,7 +196,7 @@ const PHPComponentTemplates = [
     </svg>`,
     template: `<div class="php-code-component {{ className }}">
 <?php
-{{ code }}
+{{ code | raw }}
 ?>
 </div>`,
     defaultProps: {
@@ -226,7 +229,7 @@ const PHPComponentTemplates = [
     </svg>`,
     template: `<div class="php-include-component {{ className }}">
 <?php
-include "{{ filename }}";
+include {{ filename | php }};
 ?>
 </div>`,
     defaultProps: {
@@ -268,7 +271,7 @@ include "{{ filename }}";
   if ($_SERVER['REQUEST_METHOD'] === 'POST') {
     $formSubmitted = true;
     
-    {{ processingCode }}
+    {{ processingCode | raw }}
     
     // Collect form data
     foreach ($_POST as $key => $value) {
@@ -278,18 +281,20 @@ include "{{ filename }}";
   ?>
   
   <form method="post" action="<?php echo htmlspecialchars($_SERVER['PHP_SELF']); ?>" class="{{ formClass }}">
-    {{ formFields }}
+    {{ formFields | raw }}
     
     <button type="submit" class="{{ submitButtonClass }}">{{ submitButtonText }}</button>
   </form>
   
   <?php if ($formSubmitted): ?>
     <div class="{{ successMessageClass }}" style="margin-top: 20px;">
-      {{ successMessage }}
+      {{ successMessage | raw }}
+      {{#if showDebug}}
       
       <pre>
-        <?php if ({{ showDebug }}) print_r($formData); ?>
+        <?php print_r($formData); ?>
       </pre>
+      {{/if}}
     </div>
   <?php endif; ?>
 </div>`,
@@ -415,18 +420,18 @@ if (empty($formErrors)) {
     template: `<div class="sqlite-component {{ className }}">
 <?php
 // Initialize SQLite database
-$dbPath = '{{ dbName }}.sqlite';
+$dbPath = {{ dbName | php }} . '.sqlite';
 $db = new SQLite3($dbPath);
 
 // Create table if it doesn't exist
 $db->exec('
   CREATE TABLE IF NOT EXISTS {{ tableName }} (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
-    {{ tableSchema }}
+    {{ tableSchema | raw }}
   )
 ');
 
-{{ customCode }}
+{{ customCode | raw }}
 
 // Sample query to display data
 $results = $db->query('SELECT * FROM {{ tableName }} LIMIT {{ limit }}');
@@ -552,19 +557,19 @@ $db->close();
     template: `<div class="conditional-component {{ className }}">
 <?php
 // Evaluate the condition
-$condition = {{ condition }};
+$condition = {{ condition | raw }};
 
 // Show the appropriate content based on the condition
 if ($condition) {
 ?>
   <div class="condition-true">
-    {{ trueContent }}
+    {{ trueContent | raw }}
   </div>
 <?php
 } else {
 ?>
   <div class="condition-false">
-    {{ falseContent }}
+    {{ falseContent | raw }}
   </div>
 <?php
 }
@@ -615,13 +620,13 @@ if ($condition) {
     template: `<div class="loop-component {{ className }}">
 <?php
 // Define the array to iterate over
-$items = {{ array }};
+$items = {{ array | raw }};
 
 // Loop through the items
 foreach ($items as $index => $item) {
 ?>
   <div class="loop-item">
-    {{ itemTemplate }}
+    {{ itemTemplate | raw }}
   </div>
 <?php
 }
@@ -667,17 +672,17 @@ foreach ($items as $index => $item) {
     template: `<div class="api-request-component {{ className }}">
 <?php
 // Define the API URL
-$apiUrl = "{{ apiUrl }}";
+$apiUrl = {{ apiUrl | php }};
 
 // Set up request options
 $options = [
   'http' => [
-    'method' => "{{ method }}",
-    'header' => "Content-Type: {{ contentType }}\\r\\n" .
+    'method' => {{ method | php }},
+    'header' => 'Content-Type: ' . {{ contentType | php }} . "\\r\\n" .
                 "Accept: application/json\\r\\n" .
-                {{ customHeaders }}
+                {{ customHeaders | raw }}
                 "User-Agent: PHP-WASM/1.0\\r\\n",
-    'content' => {{ requestBody }},
+    'content' => {{ requestBody | raw }},
     'timeout' => {{ timeout }}
   ]
 ];
@@ -696,15 +701,15 @@ try {
     $data = json_decode($response, true);
     
     // Display the results based on the selected format
-    if ("{{ displayFormat }}" === "raw") {
+    if ({{ displayFormat | php }} === "raw") {
       echo "<pre>";
       echo htmlspecialchars($response);
       echo "</pre>";
-    } elseif ("{{ displayFormat }}" === "formatted") {
+    } elseif ({{ displayFormat | php }} === "formatted") {
       echo "<pre>";
       echo htmlspecialchars(json_encode($data, JSON_PRETTY_PRINT));
       echo "</pre>";
-    } elseif ("{{ displayFormat }}" === "table" && is_array($data)) {
+    } elseif ({{ displayFormat | php }} === "table" && is_array($data)) {
       // Display as table if data is suitable
       echo "<table class='{{ tableClass }}'>";
       
@@ -738,9 +743,9 @@ try {
       }
       
       echo "</table>";
-    } elseif ("{{ displayFormat }}" === "custom") {
+    } elseif ({{ displayFormat | php }} === "custom") {
       // Custom display format
-      {{ customDisplay }}
+      {{ customDisplay | raw }}
     }
   } else {
     echo "<div class='{{ errorClass }}'>Failed to get response: " . htmlspecialchars($httpStatus) . "</div>";
@@ -864,17 +869,17 @@ try {
     template: `<div class="tabs-component {{ className }}">
   <?php
   // Define the active tab
-  $activeTab = isset($_GET['tab']) ? $_GET['tab'] : '{{ defaultTab }}';
+  $activeTab = isset($_GET['tab']) ? $_GET['tab'] : {{ defaultTab | php }};
   
   // Define tabs array
-  $tabs = {{ tabsArray }};
+  $tabs = {{ tabsArray | raw }};
   ?>
   
   <ul class="{{ tabsClass }}">
     <?php foreach ($tabs as $tabId => $tabName): ?>
       <li class="{{ tabItemClass }}">
         <a href="?tab=<?php echo htmlspecialchars($tabId); ?>" 
-           class="<?php echo $activeTab === $tabId ? '{{ activeTabClass }}' : '{{ tabLinkClass }}'; ?>">
+           class="<?php echo $activeTab === $tabId ? {{ activeTabClass | php }} : {{ tabLinkClass | php }}; ?>">
           <?php echo htmlspecialchars($tabName); ?>
         </a>
       </li>
@@ -884,19 +889,27 @@ try {
   <div class="{{ tabContentClass }}">
     <?php if ($activeTab === 'tab1'): ?>
       <div id="tab1-content">
-        {{ tab1Content }}
+        {{ tab1Content | raw }}
+        {{ slot:tab1 }}
       </div>
     <?php elseif ($activeTab === 'tab2'): ?>
       <div id="tab2-content">
-        {{ tab2Content }}
+        {{ tab2Content | raw }}
+        {{ slot:tab2 }}
       </div>
     <?php elseif ($activeTab === 'tab3'): ?>
       <div id="tab3-content">
-        {{ tab3Content }}
+        {{ tab3Content | raw }}
+        {{ slot:tab3 }}
       </div>
     <?php endif; ?>
   </div>
 </div>`,
+    slots: [
+      { name: 'tab1', label: 'Tab 1' },
+      { name: 'tab2', label: 'Tab 2' },
+      { name: 'tab3', label: 'Tab 3' }
+    ],
     defaultProps: {
       tabsArray: "[\n  'tab1' => 'Tab 1',\n  'tab2' => 'Tab 2',\n  'tab3' => 'Tab 3'\n]",
       defaultTab: 'tab1',
@@ -998,7 +1011,7 @@ if (session_status() === PHP_SESSION_NONE) {
 }
 
 // Handle session operations based on the mode
-$mode = "{{ mode }}";
+$mode = {{ mode | php }};
 
 // Generate a unique session ID if needed
 if (!isset($_SESSION['session_id'])) {
@@ -1006,13 +1019,13 @@ if (!isset($_SESSION['session_id'])) {
 }
 
 // Initialize session variable if it doesn't exist
-$sessionKey = "{{ sessionKey }}";
+$sessionKey = {{ sessionKey | php }};
 if (!isset($_SESSION[$sessionKey]) && $mode !== 'clear') {
-  $_SESSION[$sessionKey] = {{ initialValue }};
+  $_SESSION[$sessionKey] = {{ initialValue | raw }};
 }
 
 // Execute custom session code
-{{ customSessionCode }}
+{{ customSessionCode | raw }}
 
 // Handle different modes
 if ($mode === 'display') {
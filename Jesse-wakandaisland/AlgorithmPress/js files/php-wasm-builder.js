@@ -15,7 +15,8 @@ const PHPWasmBuilder = (function() {
     storageReady: false,
     selectedComponent: null,
     componentsLoaded: false,
-    exportTarget: 'standalone',
+    currentPageId: null,
+    exportTarget: 'standalone_html',
     showPreview: false,
     projectHistory: []
   };
@@ -29,6 +30,12 @@ const PHPWasmBuilder = (function() {
   // Bootstrap modals
   let modals = {};
   
+  // Where a component template nests other components: {{ slot:name }}
+  const SLOT_PATTERN = /{{ slot:([\w-]+) }}/g;
+  
+  // A page route such as /about or /blog/first-post
+  const ROUTE_PATTERN = /^\/[a-z0-9-]+(\/[a-z0-9-]+)*$/;
+  
   /**
    * Initialize the builder application
    */
@@ -178,8 +185,8 @@ const PHPWasmBuilder = (function() {
   function initPhpWasm() {
     return new Promise((resolve, reject) => {
       // Check if PHP-WASM integration is available
-      if (typeof window.PHPWasmIntegration !== 'undefined') {
-        window.PHPWasmIntegration.initialize({
+      if (typeof PHPWasmIntegration !== 'undefined') {
+        PHPWasmIntegration.initialize({
           phpVersion: '8.2',
           extensions: ['core', 'date', 'json', 'sqlite3', 'pdo', 'pdo_sqlite'],
           phpIniSettings: {
@@ -208,13 +215,13 @@ const PHPWasmBuilder = (function() {
    */
   function createInitialPhpEnvironment() {
     // Create basic PHP files in the virtual filesystem (if available)
-    if (typeof window.PHPWasmIntegration !== 'undefined' && window.PHPWasmIntegration.createFile) {
+    if (typeof PHPWasmIntegration !== 'undefined' && PHPWasmIntegration.createFile) {
       return Promise.all([
-        window.PHPWasmIntegration.createFile('index.php', '<?php\necho "Hello from PHP-WASM Builder!";\n?>'),
-        window.PHPWasmIntegration.createDirectory('includes'),
-        window.PHPWasmIntegration.createDirectory('css'),
-        window.PHPWasmIntegration.createDirectory('js'),
-        window.PHPWasmIntegration.createDirectory('uploads')
+        PHPWasmIntegration.createFile('index.php', '<?php\necho "Hello from PHP-WASM Builder!";\n?>'),
+        PHPWasmIntegration.createDirectory('includes'),
+        PHPWasmIntegration.createDirectory('css'),
+        PHPWasmIntegration.createDirectory('js'),
+        PHPWasmIntegration.createDirectory('uploads')
       ]).catch(error => {
         console.warn('Failed to create PHP environment:', error);
         return Promise.resolve();
@@ -333,8 +340,8 @@ const PHPWasmBuilder = (function() {
    */
   function initializeComponents() {
     // Load component templates (with fallback)
-    if (typeof window.PHPComponentTemplates !== 'undefined') {
-      availableComponents = window.PHPComponentTemplates;
+    if (typeof PHPComponentTemplates !== 'undefined') {
+      availableComponents = PHPComponentTemplates;
     } else {
       console.warn('PHPComponentTemplates not found, using default components');
       availableComponents = getDefaultComponents();
@@ -343,9 +350,42 @@ const PHPWasmBuilder = (function() {
     // Render components in sidebar
     renderComponentsList();
     
+    // Report template mistakes against the component that has them
+    checkComponentTemplates();
+    
     state.componentsLoaded = true;
   }
   
+  /**
+   * Compile every component template and list the errors in the problems panel
+   */
+  function checkComponentTemplates() {
+    if (typeof PHPWasmTemplates === 'undefined') return;
+    
+    const errors = PHPWasmTemplates.validateComponents(availableComponents);
+    errors.forEach(error => console.error('Component template error:', error.message));
+    
+    if (typeof PHPWasmErrors === 'undefined') return;
+    
+    PHPWasmErrors.setProblems('templates', errors.map(error => {
+      const componentTemplate = availableComponents.find(c => c.id === error.component);
+      return {
+        severity: 'error',
+        type: 'Template error',
+        message: `${error.reason} (column ${error.column})`,
+        file: null,
+        line: error.line,
+        trace: [],
+        target: {
+          type: 'component-template',
+          id: error.component,
+          label: `${componentTemplate ? componentTemplate.name : error.component} template`
+        },
+        targetLine: error.line
+      };
+    }));
+  }
+  
   /**
    * Get default components if PHPComponentTemplates is not available
    */
@@ -356,7 +396,7 @@ const PHPWasmBuilder = (function() {
         name: 'Basic HTML',
         category: 'Basic',
         icon: '<i class="fas fa-code"></i>',
-        template: '<div class="basic-html">{{ content }}</div>',
+        template: '<div class="basic-html">{{ content | raw }}</div>',
         defaultProps: {
           content: 'Basic HTML content'
         },
@@ -461,8 +501,17 @@ const PHPWasmBuilder = (function() {
     // Theme selector
     bindThemeSelector();
     
+    // Pages, component outline, database browser and problems list (added before the tab handlers so they switch like the other tabs)
+    addPagesTab();
+    addOutlineTab();
+    addDatabaseTab();
+    addProblemsTab();
+    
     // Tabs and code panel
     bindTabHandlers();
+    
+    // PHP version selector and diagnostics (after tabs, so the panel renders once its tab is active)
+    bindPhpSettings();
   }
   
   /**
@@ -493,27 +542,72 @@ const PHPWasmBuilder = (function() {
       }
     });
     
-    // Set up canvas as drop zone
-    elements.dropZone.addEventListener('dragover', (e) => {
+    // Set up canvas as drop zone (its slots nest components)
+    bindComponentDropTarget(elements.dropZone, elements.dropZone);
+  }
+  
+  /**
+   * Accept palette components and component instances dropped on the canvas or the outline
+   * @param {HTMLElement} rootEl - Element listing the top-level components
+   * @param {HTMLElement} activeEl - Element highlighted while dragging over the top level
+   */
+  function bindComponentDropTarget(rootEl, activeEl) {
+    // Instances on the canvas and in the outline carry their own drag data
+    rootEl.addEventListener('dragstart', (e) => {
+      const instanceEl = e.target.closest('[data-instance-id]');
+      if (!instanceEl || !rootEl.contains(instanceEl)) return;
+      
+      e.stopPropagation();
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('application/json', JSON.stringify({
+        type: 'instance',
+        id: instanceEl.getAttribute('data-instance-id')
+      }));
+      instanceEl.classList.add('dragging');
+    });
+    
+    rootEl.addEventListener('dragend', (e) => {
+      const instanceEl = e.target.closest('[data-instance-id]');
+      if (instanceEl) {
+        instanceEl.classList.remove('dragging');
+      }
+      clearDropIndicators(rootEl, activeEl);
+    });
+    
+    rootEl.addEventListener('dragover', (e) => {
       e.preventDefault();
-      elements.dropZone.classList.add('drop-zone-active');
+      
+      const dropTarget = getDropTarget(rootEl, e);
+      clearDropIndicators(rootEl, activeEl);
+      (dropTarget.slotEl || activeEl).classList.add(dropTarget.slotEl ? 'component-slot-active' : 'drop-zone-active');
+      if (dropTarget.beforeEl) {
+        dropTarget.beforeEl.classList.add('drop-before');
+      }
     });
     
-    elements.dropZone.addEventListener('dragleave', (e) => {
-      elements.dropZone.classList.remove('drop-zone-active');
+    rootEl.addEventListener('dragleave', (e) => {
+      if (!rootEl.contains(e.relatedTarget)) {
+        clearDropIndicators(rootEl, activeEl);
+      }
     });
     
-    elements.dropZone.addEventListener('drop', (e) => {
+    rootEl.addEventListener('drop', (e) => {
       e.preventDefault();
-      elements.dropZone.classList.remove('drop-zone-active');
+      
+      const dropTarget = getDropTarget(rootEl, e);
+      clearDropIndicators(rootEl, activeEl);
       
       const data = e.dataTransfer.getData('application/json');
       if (!data) return;
       
       try {
         const parsedData = JSON.parse(data);
+        const target = { parentId: dropTarget.parentId, slot: dropTarget.slot, index: dropTarget.index };
+        
         if (parsedData.type === 'component') {
-          addComponent(parsedData.id);
+          addComponent(parsedData.id, target);
+        } else if (parsedData.type === 'instance') {
+          moveComponent(parsedData.id, target);
         }
       } catch (error) {
         console.error('Failed to parse drop data:', error);
@@ -521,6 +615,45 @@ const PHPWasmBuilder = (function() {
     });
   }
   
+  /**
+   * Work out where a drop lands: the innermost slot under the pointer and the component it goes before
+   * @param {HTMLElement} rootEl - Element listing the top-level components
+   * @param {DragEvent} e - Drag event
+   * @returns {Object} - { parentId, slot, index, slotEl, beforeEl } (parentId and slot are null at the top level)
+   */
+  function getDropTarget(rootEl, e) {
+    const slotEl = e.target.closest('[data-slot-name]');
+    const listEl = slotEl && rootEl.contains(slotEl) ? slotEl : rootEl;
+    
+    // Insert before the first component whose middle is below the pointer
+    const items = Array.from(listEl.querySelectorAll(':scope > [data-instance-id]'));
+    let index = items.findIndex(item => {
+      const rect = item.getBoundingClientRect();
+      return e.clientY < rect.top + rect.height / 2;
+    });
+    if (index === -1) index = items.length;
+    
+    return {
+      parentId: listEl === rootEl ? null : listEl.getAttribute('data-parent-id'),
+      slot: listEl === rootEl ? null : listEl.getAttribute('data-slot-name'),
+      index: index,
+      slotEl: listEl === rootEl ? null : listEl,
+      beforeEl: items[index] || null
+    };
+  }
+  
+  /**
+   * Remove drag highlights
+   * @param {HTMLElement} rootEl - Element listing the top-level components
+   * @param {HTMLElement} activeEl - Element highlighted while dragging over the top level
+   */
+  function clearDropIndicators(rootEl, activeEl) {
+    activeEl.classList.remove('drop-zone-active');
+    rootEl.querySelectorAll('.component-slot-active, .drop-before').forEach(el => {
+      el.classList.remove('component-slot-active', 'drop-before');
+    });
+  }
+  
   /**
    * Bind button handlers
    */
@@ -546,7 +679,7 @@ const PHPWasmBuilder = (function() {
     
     // Export project button
     if (elements.exportProjectBtn) {
-      elements.exportProjectBtn.addEventListener('click', exportProject);
+      elements.exportProjectBtn.addEventListener('click', () => exportProject());
     }
     
     // Preview button
@@ -589,6 +722,673 @@ const PHPWasmBuilder = (function() {
     });
   }
   
+  /**
+   * Bind PHP version selector and the diagnostics panel
+   */
+  function bindPhpSettings() {
+    const runtime = typeof PHPWasmRuntime !== 'undefined' ? PHPWasmRuntime : null;
+    
+    if (elements.phpVersion) {
+      // Offer the versions the runtime actually ships
+      if (runtime) {
+        elements.phpVersion.innerHTML = runtime.getVersions()
+          .slice()
+          .reverse()
+          .map(version => `<option value="${version}">PHP ${version}</option>`)
+          .join('');
+      }
+      
+      elements.phpVersion.addEventListener('change', () => {
+        if (!state.currentProject) return;
+        
+        state.currentProject.phpVersion = elements.phpVersion.value;
+        if (typeof PHPWasmIntegration !== 'undefined') {
+          PHPWasmIntegration.setPhpVersion(elements.phpVersion.value);
+        }
+        saveCurrentProject();
+        refreshDiagnostics();
+      });
+    }
+    
+    const settingsTab = document.getElementById('php-settings-tab');
+    if (settingsTab && typeof PHPWasmComposer !== 'undefined') {
+      elements.phpComposer = document.createElement('div');
+      elements.phpComposer.id = 'php-composer';
+      elements.phpComposer.className = 'mb-3';
+      settingsTab.appendChild(elements.phpComposer);
+    }
+    
+    if (settingsTab && runtime) {
+      elements.phpDiagnostics = document.createElement('div');
+      elements.phpDiagnostics.id = 'php-diagnostics';
+      elements.phpDiagnostics.className = 'mb-3';
+      settingsTab.appendChild(elements.phpDiagnostics);
+      
+      const tab = document.querySelector('.sidebar-tab[data-tab="php-settings-tab"]');
+      if (tab) {
+        tab.addEventListener('click', refreshDiagnostics);
+      }
+    }
+  }
+  
+  /**
+   * Render the Composer panel for the current project
+   */
+  function refreshComposerPanel() {
+    if (!elements.phpComposer || !state.currentProject) return;
+    
+    PHPWasmComposer.renderPanel(elements.phpComposer, state.currentProject, {
+      onChange: () => saveCurrentProject()
+    });
+  }
+  
+  /**
+   * Re-render the PHP diagnostics panel when it is visible
+   */
+  function refreshDiagnostics() {
+    if (!elements.phpDiagnostics || !state.phpReady) return;
+    
+    const settingsTab = document.getElementById('php-settings-tab');
+    if (settingsTab && !settingsTab.classList.contains('active')) return;
+    
+    PHPWasmRuntime.renderDiagnostics(elements.phpDiagnostics).catch(error => {
+      console.error('Failed to collect PHP diagnostics:', error);
+    });
+  }
+  
+  /**
+   * Add the Database sidebar tab with the schema browser and query console
+   */
+  function addDatabaseTab() {
+    if (typeof PHPWasmSQLite === 'undefined' || !elements.builderSidebar) return;
+    
+    const tabs = elements.builderSidebar.querySelector('.sidebar-tabs');
+    if (!tabs) return;
+    
+    const tab = document.createElement('div');
+    tab.className = 'sidebar-tab';
+    tab.setAttribute('data-tab', 'database-tab');
+    tab.textContent = 'Database';
+    tabs.appendChild(tab);
+    
+    const content = document.createElement('div');
+    content.id = 'database-tab';
+    content.className = 'sidebar-content';
+    elements.builderSidebar.appendChild(content);
+    elements.databasePanel = content;
+    
+    tab.addEventListener('click', () => refreshDatabasePanel(true));
+  }
+  
+  /**
+   * Re-render the database panel for the current project
+   * @param {boolean} force - Render even when the tab isn't active yet
+   */
+  function refreshDatabasePanel(force = false) {
+    if (!elements.databasePanel || !state.currentProject) return;
+    if (!force && !elements.databasePanel.classList.contains('active')) return;
+    
+    // Don't throw away a query that is being typed
+    const editor = elements.databasePanel.querySelector('[data-sqlite-query]');
+    const select = elements.databasePanel.querySelector('[data-sqlite-database]');
+    
+    PHPWasmSQLite.renderPanel(elements.databasePanel, {
+      scope: state.currentProject.id,
+      database: select ? select.value : undefined,
+      sql: editor ? editor.value : ''
+    }).catch(error => {
+      console.error('Failed to render the database panel:', error);
+    });
+  }
+  
+  /**
+   * Add the Problems sidebar tab listing PHP errors of the project and its flows
+   */
+  function addProblemsTab() {
+    if (typeof PHPWasmErrors === 'undefined' || !elements.builderSidebar) return;
+    
+    const tabs = elements.builderSidebar.querySelector('.sidebar-tabs');
+    if (!tabs) return;
+    
+    const tab = document.createElement('div');
+    tab.className = 'sidebar-tab';
+    tab.setAttribute('data-tab', 'problems-tab');
+    tab.textContent = 'Problems';
+    tabs.appendChild(tab);
+    elements.problemsTab = tab;
+    
+    const content = document.createElement('div');
+    content.id = 'problems-tab';
+    content.className = 'sidebar-content';
+    content.innerHTML = `
+      <div class="d-flex justify-content-between align-items-center mb-2">
+        <small class="text-muted" data-problems-summary></small>
+        <button class="btn btn-sm btn-outline-primary" data-problems-check>Check PHP</button>
+      </div>
+      <div data-problems-list></div>
+    `;
+    elements.builderSidebar.appendChild(content);
+    elements.problemsPanel = content;
+    
+    content.querySelector('[data-problems-check]').addEventListener('click', () => {
+      checkProjectPhp().then(problems => {
+        if (problems && problems.length === 0) showToast('success', 'No PHP problems found');
+      });
+    });
+    
+    // Flow nodes report here too, so any run can change the list
+    PHPWasmErrors.addEventListener('problems', renderProblemsPanel);
+    renderProblemsPanel();
+  }
+  
+  /**
+   * Add an outline tab to the sidebar showing the project's component tree
+   */
+  function addOutlineTab() {
+    if (!elements.builderSidebar) return;
+    
+    const tabs = elements.builderSidebar.querySelector('.sidebar-tabs');
+    if (!tabs) return;
+    
+    const tab = document.createElement('div');
+    tab.className = 'sidebar-tab';
+    tab.setAttribute('data-tab', 'outline-tab');
+    tab.textContent = 'Outline';
+    tabs.appendChild(tab);
+    
+    const content = document.createElement('div');
+    content.id = 'outline-tab';
+    content.className = 'sidebar-content';
+    content.innerHTML = `
+      <p class="text-muted small mb-2">Drag components to reorder them or move them into a container's slots</p>
+      <ul class="component-outline" data-outline-tree></ul>
+    `;
+    elements.builderSidebar.appendChild(content);
+    elements.outlinePanel = content;
+    
+    const treeEl = content.querySelector('[data-outline-tree]');
+    bindComponentDropTarget(treeEl, treeEl);
+    
+    treeEl.addEventListener('click', (e) => {
+      const itemEl = e.target.closest('.component-outline-item');
+      if (!itemEl) return;
+      
+      const instanceId = itemEl.getAttribute('data-instance-id');
+      selectComponent(instanceId, false);
+      
+      const componentEl = elements.dropZone && elements.dropZone.querySelector(`.builder-component[data-instance-id="${instanceId}"]`);
+      if (componentEl) {
+        componentEl.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      }
+    });
+    
+    renderOutline();
+  }
+  
+  /**
+   * Add a Pages tab to the sidebar for the project's pages and their routes
+   */
+  function addPagesTab() {
+    if (!elements.builderSidebar) return;
+    
+    const tabs = elements.builderSidebar.querySelector('.sidebar-tabs');
+    if (!tabs) return;
+    
+    const tab = document.createElement('div');
+    tab.className = 'sidebar-tab';
+    tab.setAttribute('data-tab', 'pages-tab');
+    tab.textContent = 'Pages';
+    tabs.appendChild(tab);
+    
+    const content = document.createElement('div');
+    content.id = 'pages-tab';
+    content.className = 'sidebar-content';
+    content.innerHTML = `
+      <div class="d-flex justify-content-between align-items-center mb-2">
+        <small class="text-muted">The canvas edits the selected page</small>
+        <button class="btn btn-sm btn-outline-primary" data-page-add>Add page</button>
+      </div>
+      <div class="list-group mb-3" data-page-list></div>
+      <div data-page-settings></div>
+    `;
+    elements.builderSidebar.appendChild(content);
+    elements.pagesPanel = content;
+    
+    content.querySelector('[data-page-add]').addEventListener('click', () => addPage());
+    
+    content.querySelector('[data-page-list]').addEventListener('click', (e) => {
+      const itemEl = e.target.closest('[data-page-id]');
+      if (itemEl) switchPage(itemEl.getAttribute('data-page-id') || null);
+    });
+    
+    renderPagesPanel();
+  }
+  
+  /**
+   * Render the list of pages and the settings of the selected one
+   */
+  function renderPagesPanel() {
+    if (!elements.pagesPanel) return;
+    
+    const listEl = elements.pagesPanel.querySelector('[data-page-list]');
+    const settingsEl = elements.pagesPanel.querySelector('[data-page-settings]');
+    
+    if (!state.currentProject) {
+      listEl.innerHTML = '<p class="text-muted small">No project open</p>';
+      settingsEl.innerHTML = '';
+      return;
+    }
+    
+    const current = getCurrentPage();
+    const pages = [
+      { id: '', title: 'Home', route: '/' },
+      ...(state.currentProject.pages || [])
+    ];
+    
+    listEl.innerHTML = pages.map(page => `
+      <button type="button" class="list-group-item list-group-item-action d-flex justify-content-between align-items-center${(current ? current.id : '') === page.id ? ' active' : ''}" data-page-id="${escapeHtml(page.id)}">
+        <span>${escapeHtml(page.title)}</span>
+        <code class="small">${escapeHtml(page.route)}</code>
+      </button>
+    `).join('');
+    
+    if (!current) {
+      settingsEl.innerHTML = '<p class="text-muted small">The home page holds the project\'s main components and is served at /.</p>';
+      return;
+    }
+    
+    settingsEl.innerHTML = `
+      <div class="mb-2">
+        <label class="form-label" for="page-title">Title</label>
+        <input type="text" class="form-control form-control-sm" id="page-title" data-page-field="title" value="${escapeHtml(current.title)}">
+      </div>
+      <div class="mb-2">
+        <label class="form-label" for="page-route">Route</label>
+        <input type="text" class="form-control form-control-sm" id="page-route" data-page-field="route" value="${escapeHtml(current.route)}">
+        <div class="invalid-feedback"></div>
+      </div>
+      <div class="mb-2">
+        <label class="form-label" for="page-description">Description</label>
+        <textarea class="form-control form-control-sm" id="page-description" rows="2" data-page-field="description">${escapeHtml(current.description || '')}</textarea>
+        <small class="form-text text-muted">Used for search engines and the RSS feed</small>
+      </div>
+      <button type="button" class="btn btn-sm btn-outline-danger" data-page-remove>Remove page</button>
+    `;
+    
+    settingsEl.querySelectorAll('[data-page-field]').forEach(input => {
+      input.addEventListener('change', () => {
+        const field = input.getAttribute('data-page-field');
+        
+        if (field === 'route') {
+          const route = normalizeRoute(input.value);
+          const problem = checkRoute(route, current);
+          input.classList.toggle('is-invalid', problem !== null);
+          input.nextElementSibling.textContent = problem || '';
+          if (problem) return;
+          
+          input.value = route;
+          current.route = route;
+        } else if (field === 'title') {
+          if (input.value.trim() === '') return;
+          current.title = input.value.trim();
+        } else {
+          current.description = input.value;
+        }
+        
+        listEl.querySelector('.active span').textContent = current.title;
+        listEl.querySelector('.active code').textContent = current.route;
+        saveCurrentProject();
+      });
+    });
+    
+    settingsEl.querySelector('[data-page-remove]').addEventListener('click', () => removePage(current.id));
+  }
+  
+  /**
+   * Add a page to the project and switch the canvas to it
+   * @param {string} title - Page title (asked for when missing)
+   * @returns {Object|null} - The new page
+   */
+  function addPage(title) {
+    if (!state.currentProject) {
+      showToast('error', 'No active project');
+      return null;
+    }
+    
+    title = title || prompt('Enter a title for the new page:');
+    if (!title || !title.trim()) return null;
+    
+    // Give the page a free route based on its title
+    const base = normalizeRoute(title) === '/' ? '/page' : normalizeRoute(title);
+    let route = base;
+    for (let number = 2; checkRoute(route, null) !== null; number++) {
+      route = `${base}-${number}`;
+    }
+    
+    const page = {
+      id: 'page-' + Date.now(),
+      title: title.trim(),
+      route: route,
+      description: '',
+      components: [],
+      createdAt: new Date().toISOString()
+    };
+    
+    if (!state.currentProject.pages) {
+      state.currentProject.pages = [];
+    }
+    state.currentProject.pages.push(page);
+    
+    switchPage(page.id);
+    saveCurrentProject();
+    
+    return page;
+  }
+  
+  /**
+   * Remove a page and its components
+   * @param {string} pageId - Page ID
+   */
+  function removePage(pageId) {
+    const pages = (state.currentProject && state.currentProject.pages) || [];
+    const page = pages.find(p => p.id === pageId);
+    if (!page) return;
+    
+    if (page.components.length > 0 && !confirm(`Remove the page "${page.title}" and its components?`)) return;
+    
+    pages.splice(pages.indexOf(page), 1);
+    
+    if (state.currentPageId === pageId) {
+      switchPage(null);
+    } else {
+      renderPagesPanel();
+    }
+    
+    saveCurrentProject();
+  }
+  
+  /**
+   * Switch the canvas to another page
+   * @param {string|null} pageId - Page ID (null for the home page)
+   */
+  function switchPage(pageId) {
+    state.currentPageId = pageId;
+    state.selectedComponent = null;
+    
+    renderPropertiesPanel(null);
+    renderPagesPanel();
+    renderProjectComponents();
+  }
+  
+  /**
+   * Get the page the canvas is editing
+   * @returns {Object|null} - Page, null for the home page
+   */
+  function getCurrentPage() {
+    if (!state.currentProject || !state.currentPageId) return null;
+    return (state.currentProject.pages || []).find(page => page.id === state.currentPageId) || null;
+  }
+  
+  /**
+   * Get the top-level components of the page the canvas is editing
+   * @returns {Array<Object>} - The home page's are the project's components
+   */
+  function getPageComponents() {
+    const owner = getCurrentPage() || state.currentProject;
+    if (!owner.components) {
+      owner.components = [];
+    }
+    return owner.components;
+  }
+  
+  /**
+   * Turn text into a route: lowercase, hyphenated, with one leading slash and none at the end
+   * @param {string} text - Route or title
+   * @returns {string} - e.g. /blog/first-post
+   */
+  function normalizeRoute(text) {
+    const segments = String(text)
+      .toLowerCase()
+      .split('/')
+      .map(segment => segment.trim().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '').replace(/-+/g, '-').replace(/^-|-$/g, ''))
+      .filter(segment => segment !== '');
+    return '/' + segments.join('/');
+  }
+  
+  /**
+   * Check whether a page can use a route
+   * @param {string} route - Normalized route
+   * @param {Object|null} page - Page that would use it
+   * @returns {string|null} - Problem, null when the route is free
+   */
+  function checkRoute(route, page) {
+    if (route === '/') return 'The home page already uses /';
+    if (!ROUTE_PATTERN.test(route)) return 'Use lowercase letters, digits and hyphens, such as /about';
+    
+    const taken = (state.currentProject.pages || []).some(other => other !== page && other.route === route);
+    return taken ? `Another page already uses ${route}` : null;
+  }
+  
+  /**
+   * Render the project's component tree in the outline tab
+   */
+  function renderOutline() {
+    if (!elements.outlinePanel) return;
+    
+    const treeEl = elements.outlinePanel.querySelector('[data-outline-tree]');
+    treeEl.innerHTML = '';
+    
+    const components = state.currentProject ? getPageComponents() : [];
+    if (components.length === 0) {
+      treeEl.innerHTML = '<li class="text-muted">No components yet</li>';
+      return;
+    }
+    
+    const renderItems = (listEl, items) => {
+      items.forEach(component => {
+        const componentTemplate = availableComponents.find(c => c.id === component.componentId);
+        if (!componentTemplate) return;
+        
+        const itemEl = document.createElement('li');
+        itemEl.className = 'component-outline-item';
+        itemEl.setAttribute('data-instance-id', component.id);
+        itemEl.setAttribute('draggable', 'true');
+        itemEl.classList.toggle('selected', state.selectedComponent === component);
+        
+        const rowEl = document.createElement('div');
+        rowEl.className = 'component-outline-row';
+        rowEl.textContent = getComponentLabel(component, componentTemplate);
+        itemEl.appendChild(rowEl);
+        
+        getTemplateSlots(componentTemplate).forEach(slot => {
+          const slotLabelEl = document.createElement('div');
+          slotLabelEl.className = 'component-outline-slot';
+          slotLabelEl.textContent = slot.label || slot.name;
+          itemEl.appendChild(slotLabelEl);
+          
+          const slotEl = document.createElement('ul');
+          slotEl.className = 'component-outline';
+          slotEl.setAttribute('data-parent-id', component.id);
+          slotEl.setAttribute('data-slot-name', slot.name);
+          renderItems(slotEl, getSlotComponents(component, slot.name));
+          itemEl.appendChild(slotEl);
+        });
+        
+        listEl.appendChild(itemEl);
+      });
+    };
+    
+    renderItems(treeEl, components);
+  }
+  
+  /**
+   * Render the problems panel and mark components that have problems
+   */
+  function renderProblemsPanel() {
+    if (!elements.problemsPanel) return;
+    
+    const problems = PHPWasmErrors.getProblems();
+    const errors = problems.filter(problem => problem.severity === 'error').length;
+    
+    elements.problemsTab.textContent = problems.length > 0 ? `Problems (${problems.length})` : 'Problems';
+    elements.problemsPanel.querySelector('[data-problems-summary]').textContent = problems.length > 0 ?
+      `${errors} error(s), ${problems.length - errors} warning(s) or notice(s)` :
+      '';
+    
+    PHPWasmErrors.renderProblems(elements.problemsPanel.querySelector('[data-problems-list]'), problems, {
+      onSelect: revealProblem
+    });
+    
+    markComponentProblems();
+  }
+  
+  /**
+   * Run the project's custom PHP and components the way index.php does and collect their problems
+   * @returns {Promise<Array<Object>|null>} - Problems found, null when the check couldn't run
+   */
+  function checkProjectPhp() {
+    if (!state.currentProject || typeof PHPWasmErrors === 'undefined') {
+      return Promise.resolve(null);
+    }
+    
+    if (!PHPWasmErrors.isAvailable()) {
+      showToast('info', 'PHP-WASM is still loading');
+      return Promise.resolve(null);
+    }
+    
+    // A piece that leaves PHP open would swallow the next one's HTML
+    const closed = (code) => code.lastIndexOf('<?php') > code.lastIndexOf('?>') ? `${code} ?>` : code;
+    
+    const parts = [];
+    if (state.currentProject.customPhp) {
+      parts.push({
+        code: closed(state.currentProject.customPhp),
+        target: { type: 'custom-php', id: 'custom.php', label: 'Custom PHP' }
+      });
+    }
+    
+    // Nested components break their parent into pieces, so each line maps to the innermost component
+    const addComponentParts = (components) => {
+      components.forEach(component => {
+        const componentTemplate = availableComponents.find(c => c.id === component.componentId);
+        if (!componentTemplate) return;
+        
+        const target = { type: 'component', id: component.id, label: getComponentLabel(component, componentTemplate) };
+        const pieces = fillSlots(renderComponentPreview(componentTemplate, component.props), componentTemplate,
+          slot => `\u0000${slot.name}\u0000`).split('\u0000');
+        
+        pieces.forEach((piece, index) => {
+          if (index % 2 === 1) {
+            addComponentParts(getSlotComponents(component, piece));
+          } else {
+            parts.push({ code: index === pieces.length - 1 ? closed(piece) : piece, target: target });
+          }
+        });
+      });
+    };
+    addComponentParts(getPageComponents());
+    
+    const { code, sourceMap } = PHPWasmErrors.combine(parts);
+    
+    return PHPWasmErrors.run(code, {
+      scope: state.currentProject.id,
+      sourceMap: sourceMap,
+      source: 'project',
+      fresh: true
+    }).then(result => result.problems).catch(error => {
+      console.error('Failed to check the project\'s PHP:', error);
+      showToast('error', `PHP check failed: ${error.message}`);
+      return null;
+    });
+  }
+  
+  /**
+   * Highlight components that have problems
+   */
+  function markComponentProblems() {
+    if (!elements.dropZone || typeof PHPWasmErrors === 'undefined') return;
+    
+    const ids = new Set(PHPWasmErrors.getProblems()
+      .filter(problem => problem.target && problem.target.type === 'component')
+      .map(problem => problem.target.id));
+    
+    elements.dropZone.querySelectorAll('.builder-component').forEach(el => {
+      el.classList.toggle('has-problems', ids.has(el.getAttribute('data-instance-id')));
+    });
+    
+    if (elements.outlinePanel) {
+      elements.outlinePanel.querySelectorAll('.component-outline-item').forEach(el => {
+        el.classList.toggle('has-problems', ids.has(el.getAttribute('data-instance-id')));
+      });
+    }
+  }
+  
+  /**
+   * Jump to what generated a problem's code
+   * @param {Object} target - Component, custom PHP or flow node
+   * @param {number} line - Line within the generated code
+   */
+  function revealProblem(target, line) {
+    if (!target) return;
+    
+    switch (target.type) {
+      case 'component': {
+        const componentEl = elements.dropZone && elements.dropZone.querySelector(`.builder-component[data-instance-id="${target.id}"]`);
+        if (!componentEl) {
+          showToast('info', `${target.label} is no longer in the project`);
+          return;
+        }
+        selectComponent(target.id);
+        componentEl.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        break;
+      }
+      case 'component-template': {
+        // Templates are defined in code, so show a component that uses this one
+        let instance = null;
+        if (state.currentProject) {
+          walkComponents(component => {
+            if (!instance && component.componentId === target.id) instance = component;
+          });
+        }
+        
+        const componentEl = instance && elements.dropZone && elements.dropZone.querySelector(`.builder-component[data-instance-id="${instance.id}"]`);
+        if (!componentEl) {
+          showToast('info', `${target.label}, line ${line}: no component in this project uses it`);
+          return;
+        }
+        selectComponent(instance.id);
+        componentEl.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        break;
+      }
+      case 'custom-php': {
+        const phpTab = document.querySelector('.code-tab[data-code="php"]');
+        if (phpTab) phpTab.click();
+        if (!elements.phpEditor) return;
+        
+        // Select the line in the editor
+        const lines = elements.phpEditor.value.split('\n');
+        const start = lines.slice(0, line - 1).reduce((length, text) => length + text.length + 1, 0);
+        elements.phpEditor.focus();
+        elements.phpEditor.setSelectionRange(start, start + (lines[line - 1] || '').length);
+        break;
+      }
+      case 'flow-node': {
+        const FlowBuilder = window.AlgorithmPressFlowBuilder;
+        if (!FlowBuilder) return;
+        
+        if (FlowBuilder.state.activeFlow !== target.flowId && !FlowBuilder.setActiveFlow(target.flowId)) {
+          showToast('info', `The flow of ${target.label} no longer exists`);
+          return;
+        }
+        if (FlowBuilder.Integration && FlowBuilder.Integration.openFlowBuilder) {
+          FlowBuilder.Integration.openFlowBuilder();
+        }
+        FlowBuilder.selectNode(target.id);
+        break;
+      }
+    }
+  }
+  
   /**
    * Bind tab handlers
    */
@@ -943,6 +1743,12 @@ const PHPWasmBuilder = (function() {
   function updateProjectUI() {
     if (!state.currentProject) return;
     
+    // Give the project its own PHP files and globals
+    if (typeof PHPWasmIntegration !== 'undefined' && PHPWasmIntegration.setScope) {
+      PHPWasmIntegration.setScope(state.currentProject.id);
+      PHPWasmIntegration.setPhpVersion(state.currentProject.phpVersion || '8.2');
+    }
+    
     // Update theme selector
     if (elements.themeSelector) {
       elements.themeSelector.value = state.currentProject.theme || 'bootstrap';
@@ -953,6 +1759,20 @@ const PHPWasmBuilder = (function() {
       elements.phpVersion.value = state.currentProject.phpVersion || '8.2';
     }
     
+    // Update the project's composer.json and packages
+    refreshComposerPanel();
+    
+    // Show the new project's databases
+    if (elements.databasePanel) {
+      elements.databasePanel.innerHTML = '';
+      refreshDatabasePanel();
+    }
+    
+    // Problems of the previous project point at components that aren't there
+    if (typeof PHPWasmErrors !== 'undefined') {
+      PHPWasmErrors.clearProblems('project');
+    }
+    
     // Update code editors
     if (elements.phpEditor) {
       elements.phpEditor.value = state.currentProject.customPhp || '';
@@ -966,6 +1786,11 @@ const PHPWasmBuilder = (function() {
       elements.jsEditor.value = state.currentProject.customScripts || '';
     }
     
+    // Start on the home page
+    state.currentPageId = null;
+    state.selectedComponent = null;
+    renderPagesPanel();
+    
     // Update canvas with components
     renderProjectComponents();
   }
@@ -979,7 +1804,10 @@ const PHPWasmBuilder = (function() {
     // Clear drop zone
     elements.dropZone.innerHTML = '';
     
-    if (!state.currentProject.components || state.currentProject.components.length === 0) {
+    renderOutline();
+    
+    const components = getPageComponents();
+    if (components.length === 0) {
       elements.dropZone.innerHTML = `
         <h3>Drag components here</h3>
         <p class="text-muted">Drag and drop components from the sidebar to build your PHP application</p>
@@ -987,99 +1815,299 @@ const PHPWasmBuilder = (function() {
       return;
     }
     
-    // Render each component
-    state.currentProject.components.forEach(component => {
-      const componentTemplate = availableComponents.find(c => c.id === component.componentId);
-      if (!componentTemplate) return;
-      
-      const componentEl = document.createElement('div');
-      componentEl.className = 'builder-component';
-      componentEl.setAttribute('data-instance-id', component.id);
+    // Render each component (nested ones go into their parent's slots)
+    components.forEach(component => {
+      const componentEl = renderBuilderComponent(component);
+      if (componentEl) {
+        elements.dropZone.appendChild(componentEl);
+      }
+    });
+    
+    // Keep the selection highlighted across re-renders
+    if (state.selectedComponent) {
+      const selectedEl = elements.dropZone.querySelector(`.builder-component[data-instance-id="${state.selectedComponent.id}"]`);
+      if (selectedEl) selectedEl.classList.add('selected');
+    }
+    
+    markComponentProblems();
+  }
+  
+  /**
+   * Render a component on the canvas along with the components in its slots
+   * @param {Object} component - Component instance
+   * @returns {HTMLElement|null} - Component element, null for unknown components
+   */
+  function renderBuilderComponent(component) {
+    const componentTemplate = availableComponents.find(c => c.id === component.componentId);
+    if (!componentTemplate) return null;
+    
+    const componentEl = document.createElement('div');
+    componentEl.className = 'builder-component';
+    componentEl.setAttribute('data-instance-id', component.id);
+    componentEl.setAttribute('draggable', 'true');
+    
+    // Controls
+    const controlsEl = document.createElement('div');
+    controlsEl.className = 'component-controls';
+    
+    const moveUpBtn = document.createElement('button');
+    moveUpBtn.className = 'component-control-btn';
+    moveUpBtn.innerHTML = '↑';
+    moveUpBtn.title = 'Move Up';
+    moveUpBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      moveComponentUp(component.id);
+    });
+    
+    const moveDownBtn = document.createElement('button');
+    moveDownBtn.className = 'component-control-btn';
+    moveDownBtn.innerHTML = '↓';
+    moveDownBtn.title = 'Move Down';
+    moveDownBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      moveComponentDown(component.id);
+    });
+    
+    const editBtn = document.createElement('button');
+    editBtn.className = 'component-control-btn';
+    editBtn.innerHTML = '✎';
+    editBtn.title = 'Edit';
+    editBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      selectComponent(component.id);
+    });
+    
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'component-control-btn delete';
+    deleteBtn.innerHTML = '×';
+    deleteBtn.title = 'Delete';
+    deleteBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      removeComponent(component.id);
+    });
+    
+    controlsEl.appendChild(moveUpBtn);
+    controlsEl.appendChild(moveDownBtn);
+    controlsEl.appendChild(editBtn);
+    controlsEl.appendChild(deleteBtn);
+    componentEl.appendChild(controlsEl);
+    
+    // Component content
+    const contentEl = document.createElement('div');
+    contentEl.className = 'component-content';
+    
+    // Render preview based on component type, with drop targets where its slots are
+    const slotMarkup = (slot) => `<div class="component-slot" data-parent-id="${escapeHtml(component.id)}" data-slot-name="${escapeHtml(slot.name)}"></div>`;
+    contentEl.innerHTML = fillSlots(renderComponentPreview(componentTemplate, component.props), componentTemplate, slotMarkup);
+    
+    // Look the slots up before filling them, nested components have slots of their own
+    const slotEls = getTemplateSlots(componentTemplate).map(slot => ({
+      slot: slot,
+      el: contentEl.querySelector(`.component-slot[data-slot-name="${slot.name}"]`)
+    }));
+    
+    slotEls.forEach(({ slot, el }) => {
+      if (!el) return;
       
-      // Controls
-      const controlsEl = document.createElement('div');
-      controlsEl.className = 'component-controls';
+      const labelEl = document.createElement('div');
+      labelEl.className = 'component-slot-label';
+      labelEl.textContent = slot.label || slot.name;
+      el.appendChild(labelEl);
       
-      const moveUpBtn = document.createElement('button');
-      moveUpBtn.className = 'component-control-btn';
-      moveUpBtn.innerHTML = '↑';
-      moveUpBtn.title = 'Move Up';
-      moveUpBtn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        moveComponentUp(component.id);
+      const children = getSlotComponents(component, slot.name);
+      children.forEach(child => {
+        const childEl = renderBuilderComponent(child);
+        if (childEl) el.appendChild(childEl);
       });
       
-      const moveDownBtn = document.createElement('button');
-      moveDownBtn.className = 'component-control-btn';
-      moveDownBtn.innerHTML = '↓';
-      moveDownBtn.title = 'Move Down';
-      moveDownBtn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        moveComponentDown(component.id);
-      });
-      
-      const editBtn = document.createElement('button');
-      editBtn.className = 'component-control-btn';
-      editBtn.innerHTML = '✎';
-      editBtn.title = 'Edit';
-      editBtn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        selectComponent(component.id);
-      });
+      if (children.length === 0) {
+        const emptyEl = document.createElement('p');
+        emptyEl.className = 'component-slot-empty text-muted';
+        emptyEl.textContent = 'Drop components here';
+        el.appendChild(emptyEl);
+      }
+    });
+    
+    componentEl.appendChild(contentEl);
+    
+    // Make component selectable (the innermost one under the pointer)
+    componentEl.addEventListener('click', (e) => {
+      e.stopPropagation();
+      selectComponent(component.id);
+    });
+    
+    return componentEl;
+  }
+  
+  /**
+   * Render component preview
+   * @param {Object} componentTemplate - Component template
+   * @param {Object} props - Property values
+   * @returns {string} - Rendered template ({{ slot:name }} placeholders stay for fillSlots)
+   */
+  function renderComponentPreview(componentTemplate, props) {
+    // Without the template engine props go in as they are (no escaping, filters or blocks)
+    if (typeof PHPWasmTemplates === 'undefined') {
+      let preview = componentTemplate.template;
       
-      const deleteBtn = document.createElement('button');
-      deleteBtn.className = 'component-control-btn delete';
-      deleteBtn.innerHTML = '×';
-      deleteBtn.title = 'Delete';
-      deleteBtn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        removeComponent(component.id);
+      // Replace placeholders with values
+      Object.entries(props).forEach(([key, value]) => {
+        const regex = new RegExp(`{{ ${key}(?: \\|[^}]*)? }}`, 'g');
+        preview = preview.replace(regex, () => value);
       });
       
-      controlsEl.appendChild(moveUpBtn);
-      controlsEl.appendChild(moveDownBtn);
-      controlsEl.appendChild(editBtn);
-      controlsEl.appendChild(deleteBtn);
-      componentEl.appendChild(controlsEl);
-      
-      // Component content
-      const contentEl = document.createElement('div');
-      contentEl.className = 'component-content';
+      return preview;
+    }
+    
+    try {
+      return PHPWasmTemplates.renderComponent(componentTemplate, props, { components: availableComponents });
+    } catch (error) {
+      if (error.name !== 'TemplateError') throw error;
       
-      // Render preview based on component type
-      const templateContent = renderComponentPreview(componentTemplate, component.props);
-      contentEl.innerHTML = templateContent;
+      // Broken templates are in the problems panel too; show what's wrong in place of the component
+      return `<div class="alert alert-danger component-template-error">${escapeHtml(error.message)}</div>`;
+    }
+  }
+  
+  /**
+   * Get the named slots a component template nests other components in
+   * @param {Object} componentTemplate - Component template
+   * @returns {Array<Object>} - { name, label } for each slot, in template order
+   */
+  function getTemplateSlots(componentTemplate) {
+    return (componentTemplate && componentTemplate.slots) || [];
+  }
+  
+  /**
+   * Get the components nested in one of a component's slots
+   * @param {Object} component - Component instance
+   * @param {string} slotName - Slot name
+   * @returns {Array<Object>} - Component instances (empty for an unused slot)
+   */
+  function getSlotComponents(component, slotName) {
+    return (component.slots && component.slots[slotName]) || [];
+  }
+  
+  /**
+   * Replace a rendered template's {{ slot:name }} placeholders
+   * @param {string} html - Rendered template
+   * @param {Object} componentTemplate - Component template
+   * @param {Function} fill - Returns the content of a slot
+   * @returns {string} - HTML with its slots filled (slots without a placeholder go at the end)
+   */
+  function fillSlots(html, componentTemplate, fill) {
+    const slots = getTemplateSlots(componentTemplate);
+    
+    let filled = html.replace(SLOT_PATTERN, (placeholder, name) => {
+      const slot = slots.find(s => s.name === name);
+      return slot ? fill(slot) : '';
+    });
+    
+    slots.forEach(slot => {
+      if (!html.includes(`{{ slot:${slot.name} }}`)) {
+        filled += fill(slot);
+      }
+    });
+    
+    return filled;
+  }
+  
+  /**
+   * Render components and everything nested in them the way they're exported
+   * @param {Array<Object>} components - Component instances
+   * @returns {string} - HTML
+   */
+  function renderComponentsHtml(components) {
+    return components.map(component => {
+      const componentTemplate = availableComponents.find(c => c.id === component.componentId);
+      if (!componentTemplate) return '';
       
-      componentEl.appendChild(contentEl);
+      return fillSlots(renderComponentPreview(componentTemplate, component.props), componentTemplate,
+        slot => renderComponentsHtml(getSlotComponents(component, slot.name)));
+    }).join('\n');
+  }
+  
+  /**
+   * Visit every component of the project, parents before the components in their slots
+   * @param {Function} callback - Called with (component, parent, slotName); parent and slotName are null at the top level
+   * @param {Array<Object>} components - Components to start from (the current page's by default)
+   * @param {Object} parent - Component the list belongs to
+   * @param {string} slotName - Slot the list fills
+   */
+  function walkComponents(callback, components = getPageComponents(), parent = null, slotName = null) {
+    components.forEach(component => {
+      callback(component, parent, slotName);
       
-      // Make component selectable
-      componentEl.addEventListener('click', () => {
-        selectComponent(component.id);
+      const componentTemplate = availableComponents.find(c => c.id === component.componentId);
+      getTemplateSlots(componentTemplate).forEach(slot => {
+        walkComponents(callback, getSlotComponents(component, slot.name), component, slot.name);
       });
+    });
+  }
+  
+  /**
+   * Find a component anywhere in the project's tree
+   * @param {string} instanceId - Component instance ID
+   * @returns {Object|null} - { component, list, index, parent, slot } (list is the array holding it)
+   */
+  function findComponentLocation(instanceId) {
+    if (!state.currentProject) return null;
+    
+    let location = null;
+    walkComponents((component, parent, slotName) => {
+      if (location || component.id !== instanceId) return;
       
-      elements.dropZone.appendChild(componentEl);
+      const list = parent ? parent.slots[slotName] : getPageComponents();
+      location = { component, list, index: list.indexOf(component), parent, slot: slotName };
     });
+    
+    return location;
   }
   
   /**
-   * Render component preview
+   * Get the list a drop target refers to, creating an empty slot list when needed
+   * @param {Object} target - { parentId, slot } (the top level when parentId is empty)
+   * @returns {Array<Object>|null} - Component list, null when the parent or slot doesn't exist
    */
-  function renderComponentPreview(componentTemplate, props) {
-    let preview = componentTemplate.template;
+  function resolveComponentList(target) {
+    if (!target.parentId) {
+      return getPageComponents();
+    }
+    
+    const location = findComponentLocation(target.parentId);
+    if (!location) return null;
     
-    // Replace placeholders with values
-    Object.entries(props).forEach(([key, value]) => {
-      const regex = new RegExp(`{{ ${key} }}`, 'g');
-      preview = preview.replace(regex, value);
+    const componentTemplate = availableComponents.find(c => c.id === location.component.componentId);
+    if (!getTemplateSlots(componentTemplate).some(slot => slot.name === target.slot)) return null;
+    
+    location.component.slots = location.component.slots || {};
+    location.component.slots[target.slot] = location.component.slots[target.slot] || [];
+    return location.component.slots[target.slot];
+  }
+  
+  /**
+   * Get a short label for a component, numbered in document order
+   * @param {Object} component - Component instance
+   * @param {Object} componentTemplate - Component template
+   * @returns {string} - e.g. "Container #2"
+   */
+  function getComponentLabel(component, componentTemplate) {
+    let position = 0;
+    let index = 0;
+    walkComponents(c => {
+      index++;
+      if (c === component) position = index;
     });
     
-    return preview;
+    return `${componentTemplate.name} #${position}`;
   }
   
   /**
    * Add a component to the project
+   * @param {string} componentId - Component template ID
+   * @param {Object} target - { parentId, slot, index } where to put it (the end of the top level by default)
    */
-  function addComponent(componentId) {
+  function addComponent(componentId, target = {}) {
     if (!state.currentProject) {
       showToast('error', 'No active project');
       return;
@@ -1099,12 +2127,22 @@ const PHPWasmBuilder = (function() {
       props: { ...componentTemplate.defaultProps }
     };
     
+    if (getTemplateSlots(componentTemplate).length > 0) {
+      component.slots = {};
+      getTemplateSlots(componentTemplate).forEach(slot => {
+        component.slots[slot.name] = [];
+      });
+    }
+    
     // Add to project
-    if (!state.currentProject.components) {
-      state.currentProject.components = [];
+    const list = resolveComponentList(target);
+    if (!list) {
+      console.error('Drop target not found:', target);
+      return;
     }
     
-    state.currentProject.components.push(component);
+    const index = target.index === undefined ? list.length : Math.max(0, Math.min(target.index, list.length));
+    list.splice(index, 0, component);
     
     // Update UI
     renderProjectComponents();
@@ -1117,45 +2155,83 @@ const PHPWasmBuilder = (function() {
   }
   
   /**
-   * Remove a component from the project
+   * Move a component to another position, at the same level or into another component's slot
+   * @param {string} instanceId - Component instance ID
+   * @param {Object} target - { parentId, slot, index } (index counts the components already there)
    */
-  function removeComponent(instanceId) {
-    if (!state.currentProject || !state.currentProject.components) return;
+  function moveComponent(instanceId, target = {}) {
+    const location = findComponentLocation(instanceId);
+    if (!location) return;
+    
+    // A component can't go inside itself
+    let inside = false;
+    walkComponents(component => {
+      if (component.id === target.parentId) inside = true;
+    }, [location.component]);
+    if (inside) {
+      showToast('info', 'A component can\'t be moved into itself');
+      return;
+    }
     
-    // Find component index
-    const index = state.currentProject.components.findIndex(c => c.id === instanceId);
-    if (index === -1) return;
+    const list = resolveComponentList(target);
+    if (!list) return;
     
-    // Remove component
-    state.currentProject.components.splice(index, 1);
+    let index = target.index === undefined ? list.length : target.index;
+    
+    // Taking it out first shifts the components after it
+    if (list === location.list && location.index < index) index--;
+    if (list === location.list && location.index === index) return;
+    
+    location.list.splice(location.index, 1);
+    list.splice(Math.max(0, Math.min(index, list.length)), 0, location.component);
     
     // Update UI
     renderProjectComponents();
     
-    // Clear properties panel if this was the selected component
-    if (state.selectedComponent && state.selectedComponent.id === instanceId) {
-      state.selectedComponent = null;
-      renderPropertiesPanel(null);
+    // Save project
+    saveCurrentProject();
+  }
+  
+  /**
+   * Remove a component, and the components nested in it, from the project
+   */
+  function removeComponent(instanceId) {
+    const location = findComponentLocation(instanceId);
+    if (!location) return;
+    
+    // Remove component
+    location.list.splice(location.index, 1);
+    
+    // Clear properties panel if this or a component in it was selected
+    if (state.selectedComponent) {
+      let removed = false;
+      walkComponents(component => {
+        if (component === state.selectedComponent) removed = true;
+      }, [location.component]);
+      
+      if (removed) {
+        state.selectedComponent = null;
+        renderPropertiesPanel(null);
+      }
     }
     
+    // Update UI
+    renderProjectComponents();
+    
     // Save project
     saveCurrentProject();
   }
   
   /**
-   * Move a component up
+   * Move a component up among the components next to it
    */
   function moveComponentUp(instanceId) {
-    if (!state.currentProject || !state.currentProject.components) return;
-    
-    // Find component index
-    const index = state.currentProject.components.findIndex(c => c.id === instanceId);
-    if (index <= 0) return;
+    const location = findComponentLocation(instanceId);
+    if (!location || location.index <= 0) return;
     
     // Swap with previous component
-    const temp = state.currentProject.components[index];
-    state.currentProject.components[index] = state.currentProject.components[index - 1];
-    state.currentProject.components[index - 1] = temp;
+    location.list[location.index] = location.list[location.index - 1];
+    location.list[location.index - 1] = location.component;
     
     // Update UI
     renderProjectComponents();
@@ -1165,19 +2241,15 @@ const PHPWasmBuilder = (function() {
   }
   
   /**
-   * Move a component down
+   * Move a component down among the components next to it
    */
   function moveComponentDown(instanceId) {
-    if (!state.currentProject || !state.currentProject.components) return;
-    
-    // Find component index
-    const index = state.currentProject.components.findIndex(c => c.id === instanceId);
-    if (index === -1 || index >= state.currentProject.components.length - 1) return;
+    const location = findComponentLocation(instanceId);
+    if (!location || location.index >= location.list.length - 1) return;
     
     // Swap with next component
-    const temp = state.currentProject.components[index];
-    state.currentProject.components[index] = state.currentProject.components[index + 1];
-    state.currentProject.components[index + 1] = temp;
+    location.list[location.index] = location.list[location.index + 1];
+    location.list[location.index + 1] = location.component;
     
     // Update UI
     renderProjectComponents();
@@ -1188,19 +2260,20 @@ const PHPWasmBuilder = (function() {
   
   /**
    * Select a component for editing
+   * @param {string} instanceId - Component instance ID
+   * @param {boolean} showProperties - Switch the sidebar to its properties
    */
-  function selectComponent(instanceId) {
-    if (!state.currentProject || !state.currentProject.components) return;
+  function selectComponent(instanceId, showProperties = true) {
+    const location = findComponentLocation(instanceId);
+    if (!location) return;
     
-    // Find component
-    const component = state.currentProject.components.find(c => c.id === instanceId);
-    if (!component) return;
+    const component = location.component;
     
     // Set as selected component
     state.selectedComponent = component;
     
     // Highlight component in UI
-    document.querySelectorAll('.builder-component').forEach(el => {
+    document.querySelectorAll('.builder-component, .component-outline-item').forEach(el => {
       el.classList.remove('selected');
       if (el.getAttribute('data-instance-id') === instanceId) {
         el.classList.add('selected');
@@ -1213,7 +2286,7 @@ const PHPWasmBuilder = (function() {
     
     // Switch to properties tab
     const propertiesTab = document.querySelector('.sidebar-tab[data-tab="properties-tab"]');
-    if (propertiesTab) {
+    if (propertiesTab && showProperties) {
       propertiesTab.click();
     }
   }
@@ -1368,12 +2441,105 @@ const PHPWasmBuilder = (function() {
         groupEl.appendChild(descriptionEl);
       }
       
+      // PHP code gets a breakpoint gutter and a step debugger
+      if (prop.type === 'code' && (prop.language || 'php') === 'php' && typeof PHPWasmDebugger !== 'undefined') {
+        attachPhpDebugger(groupEl, inputEl, prop, componentTemplate, componentInstance);
+      }
+      
       formEl.appendChild(groupEl);
     });
     
     elements.propertiesPanel.appendChild(formEl);
   }
   
+  /**
+   * Add breakpoints and a Debug button to a PHP code property
+   * @param {HTMLElement} groupEl - Property form group
+   * @param {HTMLTextAreaElement} inputEl - Code editor of the property
+   * @param {Object} prop - Property definition
+   * @param {Object} componentTemplate - Component template
+   * @param {Object} componentInstance - Component instance; its breakpoints are kept per property
+   */
+  function attachPhpDebugger(groupEl, inputEl, prop, componentTemplate, componentInstance) {
+    const debuggerApi = PHPWasmDebugger;
+    
+    const editor = debuggerApi.attachEditor(inputEl, {
+      breakpoints: (componentInstance.breakpoints || {})[prop.name] || [],
+      onBreakpointsChange: lines => {
+        componentInstance.breakpoints = { ...componentInstance.breakpoints, [prop.name]: lines };
+        saveCurrentProject();
+      }
+    });
+    
+    const debugButton = document.createElement('button');
+    debugButton.type = 'button';
+    debugButton.className = 'btn btn-sm btn-outline-secondary mt-2';
+    debugButton.innerHTML = '<i class="fas fa-bug"></i> Debug';
+    debugButton.title = 'Run this code in the step debugger';
+    
+    const panelEl = document.createElement('div');
+    panelEl.className = 'mt-2';
+    
+    const getScript = () => ({
+      ...buildComponentDebugScript(componentTemplate, { ...componentInstance.props, [prop.name]: inputEl.value }, prop.name),
+      lineCount: inputEl.value.split('\n').length
+    });
+    
+    let session = null;
+    debugButton.addEventListener('click', () => {
+      if (!debuggerApi.isAvailable()) {
+        showToast('info', 'PHP-WASM is still loading');
+        return;
+      }
+      if (session) debuggerApi.stop(session);
+      
+      const script = getScript();
+      debugButton.disabled = true;
+      
+      debuggerApi.debug(script.code, {
+        scope: state.currentProject.id,
+        lineOffset: script.lineOffset,
+        lineCount: script.lineCount,
+        breakpoints: editor.breakpoints,
+        target: { type: 'component', id: componentInstance.id, label: getComponentLabel(componentInstance, componentTemplate) }
+      }).then(started => {
+        session = started;
+        debuggerApi.renderPanel(panelEl, session, { editor: editor, getScript: getScript });
+      }).catch(error => {
+        console.error('Failed to debug PHP:', error);
+        showToast('error', `Debugging failed: ${error.message}`);
+      }).finally(() => {
+        debugButton.disabled = false;
+      });
+    });
+    
+    groupEl.appendChild(debugButton);
+    groupEl.appendChild(panelEl);
+  }
+  
+  /**
+   * Render a component for debugging one of its code properties
+   * @param {Object} componentTemplate - Component template
+   * @param {Object} props - Property values
+   * @param {string} propName - The debugged property
+   * @returns {Object} - { code, lineOffset } (lineOffset: lines before the property's code)
+   */
+  function buildComponentDebugScript(componentTemplate, props, propName) {
+    // Render with a marker in place of the code to find the line it starts on
+    const marker = '__ALGORITHMPRESS_DEBUG_CODE__';
+    const located = renderComponentPreview(componentTemplate, { ...props, [propName]: marker });
+    const index = located.indexOf(marker);
+    
+    if (index === -1) {
+      return { code: `<?php\n${props[propName] || ''}`, lineOffset: 1 };
+    }
+    
+    return {
+      code: renderComponentPreview(componentTemplate, props),
+      lineOffset: (located.slice(0, index).match(/\n/g) || []).length
+    };
+  }
+  
   /**
    * Show preview of the current project
    */
@@ -1397,6 +2563,11 @@ const PHPWasmBuilder = (function() {
     // Set up PHP-WASM in the iframe
     setupPhpWasmInPreview(elements.previewFrame);
     
+    // Report the project's PHP errors alongside the preview
+    if (typeof PHPWasmErrors !== 'undefined' && PHPWasmErrors.isAvailable()) {
+      checkProjectPhp();
+    }
+    
     // Show modal
     modals.preview.show();
   }
@@ -1410,21 +2581,10 @@ const PHPWasmBuilder = (function() {
     // Generate components HTML
     let componentsHtml = '';
     
-    if (state.currentProject.components && state.currentProject.components.length > 0) {
-      componentsHtml = state.currentProject.components.map(component => {
-        const componentTemplate = availableComponents.find(c => c.id === component.componentId);
-        if (!componentTemplate) return '';
-        
-        let html = componentTemplate.template;
-        
-        // Replace placeholders with values
-        Object.entries(component.props).forEach(([key, value]) => {
-          const regex = new RegExp(`{{ ${key} }}`, 'g');
-          html = html.replace(regex, value);
-        });
-        
-        return html;
-      }).join('\n');
+    const components = getPageComponents();
+    if (components.length > 0) {
+      // Components in slots render inside their parent
+      componentsHtml = renderComponentsHtml(components);
     }
     
     // Get theme CSS link
@@ -1495,29 +2655,52 @@ const PHPWasmBuilder = (function() {
   }
   
   /**
-   * Export the current project
+   * Export the current project through the export wizard
+   * @param {string} format - Format to preselect (the last one used by default)
    */
-  function exportProject() {
+  function exportProject(format = state.exportTarget) {
     if (!state.currentProject) {
       showToast('error', 'No active project to export');
       return;
     }
     
-    const format = window.prompt('Choose export format:\n1 - Standalone HTML\n2 - PHP Files\n3 - WordPress Plugin', '1');
+    const wizard = document.getElementById('export-wizard');
+    const exportModal = document.getElementById('export-modal');
+    if (!modals.export && exportModal && typeof window.bootstrap !== 'undefined') {
+      // Bootstrap can load after the builder set up its modals
+      modals.export = new window.bootstrap.Modal(exportModal);
+    }
     
-    switch (format) {
-      case '1':
-        exportStandaloneHtml();
-        break;
-      case '2':
-        exportPhpFiles();
-        break;
-      case '3':
-        exportWordPressPlugin();
-        break;
-      default:
-        showToast('info', 'Export cancelled');
+    if (typeof PHPWasmExporter === 'undefined' || !modals.export || !wizard) {
+      // Without the exporter only the standalone page can be exported
+      if (format !== 'standalone_html') {
+        showToast('error', 'The exporter is not available, so only standalone HTML can be exported');
+        return;
+      }
+      exportStandaloneHtml();
+      return;
     }
+    
+    // Export what the editors show, saved or not
+    if (elements.phpEditor) state.currentProject.customPhp = elements.phpEditor.value;
+    if (elements.cssEditor) state.currentProject.customStyles = elements.cssEditor.value;
+    if (elements.jsEditor) state.currentProject.customScripts = elements.jsEditor.value;
+    
+    PHPWasmExporter.renderExportWizard(wizard, {
+      project: state.currentProject,
+      componentTemplates: availableComponents,
+      format: format,
+      scope: state.currentProject.id,
+      onFormatChange: selected => {
+        state.exportTarget = selected;
+      },
+      onDownload: build => {
+        modals.export.hide();
+        showToast('success', `Project exported as ${build.fileName}`);
+      }
+    });
+    
+    modals.export.show();
   }
   
   /**
@@ -1547,20 +2730,14 @@ const PHPWasmBuilder = (function() {
    * Export project as PHP files
    */
   function exportPhpFiles() {
-    // Create a zip file containing all project files
-    // Would require a zip library like JSZip
-    
-    showToast('info', 'PHP files export coming soon');
+    exportProject('php_files');
   }
   
   /**
    * Export project as WordPress plugin
    */
   function exportWordPressPlugin() {
-    // Create a WordPress plugin based on the project
-    // Would require a zip library like JSZip
-    
-    showToast('info', 'WordPress plugin export coming soon');
+    exportProject('wordpress_plugin');
   }
   
   /**
@@ -1638,12 +2815,18 @@ const PHPWasmBuilder = (function() {
     saveCurrentProject,
     loadProject,
     exportProject,
+    exportPhpFiles,
+    exportWordPressPlugin,
     showPreview,
     addComponent,
     removeComponent,
+    moveComponent,
     moveComponentUp,
     moveComponentDown,
     selectComponent,
+    addPage,
+    removePage,
+    switchPage,
     getState: () => ({ ...state })
   };
 })();
@@ -0,0 +1,1745 @@
+/**
+ * PHP-WASM Composer Support
+ * Resolves a project's composer.json against a local package mirror (a
+ * Composer/Satis repository) and uploaded zip archives, installs the pure-PHP
+ * packages into the project's virtual filesystem under vendor/ and generates
+ * the autoloader, installed.json and composer.lock that exports ship with.
+ */
+
+const PHPWasmComposer = (function() {
+  'use strict';
+
+  // Lowest to highest; "patch" releases (1.0.0-p1) sort above the plain release
+  const STABILITIES = ['dev', 'alpha', 'beta', 'rc', 'stable'];
+
+  // Requirements on the platform rather than on packages
+  const PLATFORM_PACKAGE = /^(php(-64bit|-ipv6|-zts|-debug)?|hhvm|ext-.+|lib-.+|composer(-plugin-api|-runtime-api)?)$/i;
+
+  // Package types that need a native build
+  const NATIVE_TYPES = ['php-ext', 'php-ext-zend'];
+
+  // Where uploaded archives are kept in the project's filesystem
+  const ARCHIVE_DIR = '.composer/archives';
+
+  const config = {
+    // Composer repositories tried for every project, e.g. a Satis build copied next to the app
+    mirrors: ['vendor/composer-mirror/packages.json'],
+    // Unless set, an unreachable configured mirror is a warning rather than an install failure
+    strictMirrors: false
+  };
+
+  // Fetched repository metadata by URL
+  const repositoryCache = new Map();
+
+  const listeners = {
+    'progress': [],
+    'installed': []
+  };
+
+  /**
+   * Configure Composer support
+   * @param {Object} options - mirrors, strictMirrors
+   */
+  function configure(options = {}) {
+    Object.keys(config).forEach(key => {
+      if (options[key] !== undefined) config[key] = options[key];
+    });
+    repositoryCache.clear();
+  }
+
+  /**
+   * Parse and check a composer.json document
+   * @param {string|Object} json - composer.json text or object
+   * @returns {Object} - Parsed composer.json
+   */
+  function parseComposerJson(json) {
+    let data = json;
+
+    if (typeof json === 'string') {
+      try {
+        data = JSON.parse(json);
+      } catch (error) {
+        throw new Error(`composer.json is not valid JSON: ${error.message}`);
+      }
+    }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('composer.json must contain a JSON object');
+    }
+
+    ['require', 'require-dev', 'autoload'].forEach(key => {
+      if (data[key] !== undefined && (typeof data[key] !== 'object' || Array.isArray(data[key]))) {
+        throw new Error(`composer.json: "${key}" must be an object`);
+      }
+    });
+
+    Object.entries(data.require || {}).forEach(([name, constraint]) => {
+      if (typeof constraint !== 'string') {
+        throw new Error(`composer.json: the constraint for ${name} must be a string`);
+      }
+      parseConstraint(constraint);
+    });
+
+    if (data['minimum-stability'] && !STABILITIES.includes(String(data['minimum-stability']).toLowerCase())) {
+      throw new Error(`composer.json: unknown minimum-stability "${data['minimum-stability']}"`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Attach a composer.json to a project (the caller saves the project)
+   * @param {Object} project - Project object
+   * @param {string} json - composer.json text
+   * @returns {Object} - Parsed composer.json
+   */
+  function attach(project, json) {
+    const data = parseComposerJson(json);
+    project.composer = { ...(project.composer || {}), json: json };
+    return data;
+  }
+
+  /**
+   * Get a project's composer.json text
+   * @param {Object} project - Project object
+   * @returns {string|null}
+   */
+  function getComposerJson(project) {
+    return project.composer && project.composer.json || null;
+  }
+
+  /**
+   * Check whether a project has installed packages
+   * @param {Object} project - Project object
+   * @returns {boolean}
+   */
+  function isInstalled(project) {
+    return Boolean(project.composer && project.composer.lock);
+  }
+
+  /**
+   * Check whether composer.json changed since the last install
+   * @param {Object} project - Project object
+   * @returns {boolean}
+   */
+  function isOutdated(project) {
+    const json = getComposerJson(project);
+    if (!json) return false;
+    if (!isInstalled(project)) return true;
+    return project.composer.lock['content-hash'] !== contentHash(json);
+  }
+
+  /**
+   * Parse a package version the way Composer normalizes it
+   * @param {string} text - Version (e.g., 'v1.2.3', '2.0.0-beta1', 'dev-main', '1.x-dev')
+   * @returns {Object|null} - { text, parts, rank, number, branch, explicit } or null when invalid
+   */
+  function parseVersion(text) {
+    const raw = String(text).trim();
+
+    if (/^dev-/i.test(raw)) {
+      return { text: raw, parts: null, rank: 0, number: 0, branch: raw.slice(4).replace(/#.*$/, ''), explicit: true };
+    }
+
+    // Branch aliases such as 1.x-dev or 2.1.x-dev
+    const alias = /^v?(\d+)((?:\.(?:\d+|x|\*))*)-dev$/i.exec(raw);
+    if (alias) {
+      const parts = [alias[1], ...alias[2].split('.').slice(1)]
+        .map(part => /^\d+$/.test(part) ? parseInt(part, 10) : 9999999);
+      return { text: raw, parts: pad(parts), rank: 0, number: 0, branch: null, explicit: true };
+    }
+
+    const match = /^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:\.(\d+))?(?:[.-]?(stable|rc|beta|b|alpha|a|patch|pl|p|dev)[.-]?(\d+)?)?$/i.exec(raw);
+    if (!match) return null;
+
+    const parts = match.slice(1, 5).filter(part => part !== undefined).map(part => parseInt(part, 10));
+    const suffix = (match[5] || 'stable').toLowerCase();
+    const names = { a: 'alpha', b: 'beta', pl: 'patch', p: 'patch' };
+    const stability = names[suffix] || suffix;
+
+    return {
+      text: raw,
+      parts: pad(parts),
+      given: parts.length,
+      rank: stability === 'patch' ? STABILITIES.length : STABILITIES.indexOf(stability),
+      number: match[6] ? parseInt(match[6], 10) : 0,
+      branch: null,
+      explicit: Boolean(match[5])
+    };
+  }
+
+  /**
+   * Pad version parts to four numbers
+   * @param {Array<number>} parts - Version parts
+   * @returns {Array<number>}
+   */
+  function pad(parts) {
+    return [...parts, 0, 0, 0, 0].slice(0, 4);
+  }
+
+  /**
+   * Compare two parsed (non-branch) versions
+   * @param {Object} a - Parsed version
+   * @param {Object} b - Parsed version
+   * @returns {number} - Negative, zero or positive
+   */
+  function compareVersions(a, b) {
+    for (let i = 0; i < 4; i++) {
+      if (a.parts[i] !== b.parts[i]) return a.parts[i] - b.parts[i];
+    }
+    if (a.rank !== b.rank) return a.rank - b.rank;
+    return a.number - b.number;
+  }
+
+  /**
+   * Get the stability name of a parsed version
+   * @param {Object} version - Parsed version
+   * @returns {string}
+   */
+  function stabilityOf(version) {
+    return STABILITIES[Math.min(version.rank, STABILITIES.length - 1)];
+  }
+
+  /**
+   * Build a version bound from explicit parts
+   * @param {Array<number>} parts - Version parts
+   * @param {number} rank - Stability rank
+   * @returns {Object} - Parsed version
+   */
+  function bound(parts, rank = 0) {
+    return { parts: pad(parts), rank: rank, number: 0, branch: null };
+  }
+
+  /**
+   * Parse a Composer version constraint
+   * Supports ||, AND lists, hyphen ranges, ^, ~, wildcards, comparison
+   * operators, dev branches and @stability flags.
+   * @param {string} text - Constraint (e.g., '^1.2 || ~2.0.3', '>=1.0 <2.0', 'dev-main@dev')
+   * @returns {Object} - { source, groups, stability }
+   */
+  function parseConstraint(text) {
+    const source = String(text === undefined || text === null ? '*' : text).trim() || '*';
+    let stability = null;
+
+    const flag = (name) => {
+      if (stability === null || STABILITIES.indexOf(name) < STABILITIES.indexOf(stability)) {
+        stability = name;
+      }
+    };
+
+    const groups = source.split(/\s*\|\|?\s*/).map(alternative => {
+      let part = alternative.replace(/@(dev|alpha|beta|rc|stable)$/i, (match, name) => {
+        flag(name.toLowerCase());
+        return '';
+      }).trim() || '*';
+
+      // An "as" alias only affects what the version reports itself as
+      part = part.replace(/\s+as\s+\S+$/i, '');
+
+      const hyphen = /^(\S+)\s+-\s+(\S+)$/.exec(part);
+      if (hyphen) {
+        return [
+          ...parseSingle(`>=${hyphen[1]}`, source),
+          ...parseHyphenUpper(hyphen[2], source)
+        ];
+      }
+
+      return part
+        .replace(/(<=|>=|<>|!=|==|=|<|>|\^|~)\s+/g, '$1')
+        .split(/\s*,\s*|\s+/)
+        .filter(Boolean)
+        .reduce((all, term) => all.concat(parseSingle(term, source)), []);
+    });
+
+    // Naming an unstable version (1.0.0-beta2, dev-main) allows that stability
+    groups.forEach(group => group.forEach(comparator => {
+      if (comparator.branch) {
+        flag('dev');
+      } else if (comparator.explicit && comparator.version.rank < STABILITIES.length - 1) {
+        flag(stabilityOf(comparator.version));
+      }
+    }));
+
+    return { source, groups, stability };
+  }
+
+  /**
+   * Parse one constraint term into comparators
+   * @param {string} term - Constraint term
+   * @param {string} source - Whole constraint, for error messages
+   * @returns {Array<Object>} - Comparators ({ op, version } or { op, branch })
+   */
+  function parseSingle(term, source) {
+    if (term === '*' || term === 'x' || term === '*.*') return [];
+
+    if (/^(==?)?dev-/i.test(term)) {
+      return [{ op: '==', branch: term.replace(/^==?/, '').slice(4).replace(/#.*$/, '') }];
+    }
+
+    const match = /^(\^|~|>=|<=|<>|!=|==|=|>|<)?(.+)$/.exec(term);
+    const op = match[1] || '==';
+    let text = match[2];
+
+    const invalid = () => new Error(`Invalid version constraint "${source}"`);
+
+    // Wildcards: 1.2.* means >=1.2.0-dev <1.3.0-dev
+    if (/\.[*x]$/i.test(text)) {
+      const parts = text.replace(/^v/, '').split('.').slice(0, -1);
+      if (!parts.every(part => /^\d+$/.test(part))) throw invalid();
+      const numbers = parts.map(part => parseInt(part, 10));
+      const upper = [...numbers];
+      upper[upper.length - 1]++;
+      return [{ op: '>=', version: bound(numbers) }, { op: '<', version: bound(upper) }];
+    }
+
+    text = text.replace(/#.*$/, '');
+    const version = parseVersion(text);
+    if (!version || version.branch) throw invalid();
+
+    // Without an explicit stability, lower bounds include that version's pre-releases
+    const lower = version.explicit ? version : { ...version, rank: 0 };
+    const given = version.given || 4;
+    const [major, minor, patch] = version.parts;
+
+    switch (op) {
+      case '^': {
+        let upper;
+        if (major > 0 || given === 1) {
+          upper = [major + 1];
+        } else if (minor > 0 || given === 2) {
+          upper = [0, minor + 1];
+        } else {
+          upper = [0, 0, patch + 1];
+        }
+        return [{ op: '>=', version: lower, explicit: version.explicit }, { op: '<', version: bound(upper) }];
+      }
+      case '~': {
+        const upper = version.parts.slice(0, Math.max(given - 1, 1));
+        upper[upper.length - 1]++;
+        return [{ op: '>=', version: lower, explicit: version.explicit }, { op: '<', version: bound(upper) }];
+      }
+      case '>=':
+        return [{ op: '>=', version: lower, explicit: version.explicit }];
+      case '<':
+        return [{ op: '<', version: version.explicit ? version : lower }];
+      case '>':
+      case '<=':
+        return [{ op: op, version: version }];
+      case '!=':
+      case '<>':
+        return [{ op: '!=', version: version }];
+      default:
+        return [{ op: '==', version: version, explicit: version.explicit }];
+    }
+  }
+
+  /**
+   * Upper end of a hyphen range; partial versions include the whole series
+   * @param {string} text - Upper version
+   * @param {string} source - Whole constraint, for error messages
+   * @returns {Array<Object>}
+   */
+  function parseHyphenUpper(text, source) {
+    const version = parseVersion(text);
+    if (!version || version.branch) throw new Error(`Invalid version constraint "${source}"`);
+
+    if (version.given < 3 && !version.explicit) {
+      const upper = version.parts.slice(0, version.given);
+      upper[upper.length - 1]++;
+      return [{ op: '<', version: bound(upper) }];
+    }
+    return [{ op: '<=', version: version }];
+  }
+
+  /**
+   * Check a version against a parsed constraint
+   * @param {Object} version - Parsed version
+   * @param {Object} constraint - Parsed constraint
+   * @returns {boolean}
+   */
+  function satisfies(version, constraint) {
+    return constraint.groups.some(group => {
+      if (version.branch) {
+        return group.some(comparator => comparator.branch) &&
+          group.every(comparator => comparator.branch === version.branch);
+      }
+
+      return group.every(comparator => {
+        if (comparator.branch) return false;
+
+        const order = compareVersions(version, comparator.version);
+        switch (comparator.op) {
+          case '>=': return order >= 0;
+          case '>': return order > 0;
+          case '<=': return order <= 0;
+          case '<': return order < 0;
+          case '!=': return order !== 0;
+          default: return order === 0;
+        }
+      });
+    });
+  }
+
+  /**
+   * Load a JSZip instance, through the exporter when it isn't on the page yet
+   * @returns {Promise<Function>} - JSZip constructor
+   */
+  function loadZipLibrary() {
+    if (typeof window.JSZip !== 'undefined') {
+      return Promise.resolve(window.JSZip);
+    }
+
+    if (typeof PHPWasmExporter !== 'undefined') {
+      return PHPWasmExporter.initialize().then(() => window.JSZip);
+    }
+
+    return Promise.reject(new Error('JSZip is not loaded'));
+  }
+
+  /**
+   * Get PHPWasmIntegration or fail
+   * @returns {Object}
+   */
+  function requireIntegration() {
+    if (typeof PHPWasmIntegration === 'undefined' || !PHPWasmIntegration.isInitialized()) {
+      throw new Error('PHP-WASM is not initialized');
+    }
+    return PHPWasmIntegration;
+  }
+
+  /**
+   * Normalize package metadata from a repository or an archive
+   * @param {Object} data - composer.json-style metadata
+   * @param {Object} origin - { kind: 'mirror'|'package'|'archive', url, archive }
+   * @returns {Object|null} - Package, or null when its version can't be parsed
+   */
+  function normalizePackage(data, origin) {
+    const version = parseVersion(data.version);
+    if (!data.name || !version) return null;
+
+    const dist = data.dist && data.dist.url
+      ? { ...data.dist, url: origin.url ? new URL(data.dist.url, origin.url).href : data.dist.url }
+      : null;
+
+    return {
+      name: String(data.name).toLowerCase(),
+      prettyName: data.name,
+      version: data.version,
+      parsed: version,
+      type: data.type || 'library',
+      description: data.description || '',
+      license: data.license || [],
+      require: data.require || {},
+      provide: data.provide || {},
+      replace: data.replace || {},
+      autoload: data.autoload || {},
+      dist: dist,
+      origin: origin
+    };
+  }
+
+  /**
+   * Fetch a Composer repository's packages.json and the files it includes
+   * @param {string} url - packages.json URL
+   * @returns {Promise<Array<Object>>} - Packages
+   */
+  async function fetchRepository(url) {
+    if (repositoryCache.has(url)) return repositoryCache.get(url);
+
+    const load = async (target, depth) => {
+      const response = await fetch(target);
+      if (!response.ok) {
+        throw new Error(`${target}: HTTP ${response.status}`);
+      }
+
+      const data = await response.json();
+      const packages = collectPackages(data.packages, { kind: 'mirror', url: target });
+
+      // Satis splits large repositories into included files
+      if (data.includes && depth < 3) {
+        for (const include of Object.keys(data.includes)) {
+          packages.push(...await load(new URL(include, target).href, depth + 1));
+        }
+      }
+      return packages;
+    };
+
+    const request = load(new URL(url, window.location.href).href, 0);
+    repositoryCache.set(url, request);
+    request.catch(() => repositoryCache.delete(url));
+    return request;
+  }
+
+  /**
+   * Flatten the "packages" member of a repository
+   * @param {Object|Array} packages - { name: { version: metadata } }, { name: [metadata] } or [metadata]
+   * @param {Object} origin - Package origin
+   * @returns {Array<Object>}
+   */
+  function collectPackages(packages, origin) {
+    if (!packages) return [];
+
+    const entries = Array.isArray(packages)
+      ? packages
+      : Object.values(packages).reduce((all, versions) => all.concat(Object.values(versions)), []);
+
+    return entries.map(data => normalizePackage(data, origin)).filter(Boolean);
+  }
+
+  /**
+   * Collect every available package version for a project
+   * @param {Object} project - Project object
+   * @param {Object} root - Parsed composer.json
+   * @param {Array<string>} warnings - Receives non-fatal problems
+   * @returns {Promise<Map>} - Package name to versions
+   */
+  async function loadRepositories(project, root, warnings) {
+    const available = new Map();
+    const add = (pkg) => {
+      if (!available.has(pkg.name)) available.set(pkg.name, []);
+      available.get(pkg.name).push(pkg);
+    };
+
+    // Uploaded archives win over mirrors because they are listed first
+    ((project.composer && project.composer.archives) || []).forEach(archive => {
+      const pkg = normalizePackage({ ...archive.metadata, name: archive.name, version: archive.version }, {
+        kind: 'archive',
+        archive: archive
+      });
+      if (pkg) add(pkg);
+    });
+
+    let repositories = root.repositories || [];
+    if (!Array.isArray(repositories)) repositories = Object.values(repositories);
+
+    const mirrors = [];
+    repositories.forEach(repository => {
+      if (!repository || typeof repository !== 'object') return;
+
+      switch (repository.type) {
+        case 'composer':
+          if (!repository.url) return;
+          mirrors.push({
+            url: /\.json$/.test(repository.url) ? repository.url : repository.url.replace(/\/?$/, '/packages.json'),
+            strict: true
+          });
+          break;
+        case 'package':
+          collectPackages([].concat(repository.package || []), { kind: 'package' }).forEach(add);
+          break;
+        default:
+          warnings.push(`Repositories of type "${repository.type}" aren't supported in the browser; upload the package as a zip archive instead`);
+      }
+    });
+    config.mirrors.forEach(url => mirrors.push({ url, strict: config.strictMirrors }));
+
+    for (const mirror of mirrors) {
+      try {
+        (await fetchRepository(mirror.url)).forEach(add);
+      } catch (error) {
+        if (mirror.strict) {
+          throw new Error(`Failed to load the package repository ${mirror.url}: ${error.message}`);
+        }
+        warnings.push(`Package mirror ${mirror.url} is not available (${error.message})`);
+      }
+    }
+
+    return available;
+  }
+
+  /**
+   * Check a platform requirement against the runtime
+   * @param {string} name - Platform package (php, ext-*, ...)
+   * @param {Object} constraint - Parsed constraint
+   * @param {string} requiredBy - Requiring package
+   * @param {Object} context - { phpVersion, extensions, warnings }
+   */
+  function checkPlatform(name, constraint, requiredBy, context) {
+    name = name.toLowerCase();
+
+    if (/^php(-64bit)?$/.test(name)) {
+      // Only the minor version is known, so any patch release of it counts
+      const php = parseVersion(`${context.phpVersion}.99`);
+      if (php && !satisfies(php, constraint)) {
+        throw new Error(`${requiredBy} requires php ${constraint.source}, but the project runs PHP ${context.phpVersion}`);
+      }
+      return;
+    }
+
+    if (name.startsWith('ext-')) {
+      const extension = name.slice(4);
+      if (!context.extensions.includes(extension)) {
+        context.warnings.push(`${requiredBy} requires the ${extension} extension, which the runtime may not provide`);
+      }
+    }
+  }
+
+  /**
+   * Resolve the packages needed by a composer.json
+   * Depth-first search that tries the preferred version of each package first
+   * and backs off to the next one when a later requirement rules it out.
+   * @param {Object} root - Parsed composer.json
+   * @param {Map} available - Package name to versions
+   * @param {Object} context - { phpVersion, extensions, warnings }
+   * @returns {Array<Object>} - Packages to install, sorted by name
+   */
+  function resolve(root, available, context) {
+    const minimum = STABILITIES.indexOf(String(root['minimum-stability'] || 'stable').toLowerCase());
+    const preferStable = Boolean(root['prefer-stable']);
+    const rootName = (root.name || '__root__').toLowerCase();
+    const flags = new Map();
+    let steps = 0;
+    let failure = null;
+
+    Object.entries(root.require || {}).forEach(([name, text]) => {
+      const constraint = parseConstraint(text);
+      if (constraint.stability) flags.set(name.toLowerCase(), STABILITIES.indexOf(constraint.stability));
+    });
+
+    const allowed = (name, pkg) => {
+      const stability = Math.min(pkg.parsed.rank, STABILITIES.length - 1);
+      return stability >= (flags.has(name) ? Math.min(flags.get(name), minimum) : minimum);
+    };
+
+    const order = (a, b) => {
+      if (a.parsed.branch || b.parsed.branch) {
+        return (a.parsed.branch ? 1 : 0) - (b.parsed.branch ? 1 : 0);
+      }
+      if (preferStable) {
+        const stable = (b.parsed.rank >= STABILITIES.length - 1) - (a.parsed.rank >= STABILITIES.length - 1);
+        if (stable !== 0) return stable;
+      }
+      return compareVersions(b.parsed, a.parsed);
+    };
+
+    const describe = (requirements) => requirements
+      .map(entry => `${entry.constraint.source} (required by ${entry.requiredBy})`)
+      .join(', ');
+
+    const requirementsOf = (pkg) => Object.entries(pkg.require).map(([name, text]) => ({
+      name: name.toLowerCase(),
+      constraint: parseConstraint(text),
+      requiredBy: pkg.name
+    }));
+
+    // Remember the reason of the search branch that got furthest, for the error message
+    const fail = (depth, message) => {
+      if (!failure || depth >= failure.depth) failure = { depth, message };
+      return null;
+    };
+
+    const search = (selected, pending, seen, virtual) => {
+      if (++steps > 20000) {
+        throw new Error('Dependency resolution is taking too long; narrow down the version constraints');
+      }
+
+      if (pending.length === 0) {
+        const picked = [...selected.values()];
+        for (const name of virtual) {
+          const provided = picked.some(pkg => pkg.provide[name] !== undefined || pkg.replace[name] !== undefined);
+          if (!provided) {
+            return fail(seen.length, `Package ${name} was not found in the package mirror or uploaded archives (required: ${describe(seen.filter(entry => entry.name === name))})`);
+          }
+        }
+        return picked;
+      }
+
+      const [requirement, ...rest] = pending;
+      const { name, constraint } = requirement;
+
+      if (PLATFORM_PACKAGE.test(name)) {
+        checkPlatform(name, constraint, requirement.requiredBy, context);
+        return search(selected, rest, seen, virtual);
+      }
+
+      const requirements = [...seen.filter(entry => entry.name === name), requirement];
+      const nextSeen = [...seen, requirement];
+
+      if (selected.has(name)) {
+        const current = selected.get(name);
+        if (satisfies(current.parsed, constraint)) {
+          return search(selected, rest, nextSeen, virtual);
+        }
+        return fail(nextSeen.length, `${name} ${current.version} was picked, but ${requirement.requiredBy} requires ${name} ${constraint.source}`);
+      }
+
+      if (!available.has(name)) {
+        // Possibly a virtual package provided or replaced by another one
+        return search(selected, rest, nextSeen, virtual.includes(name) ? virtual : [...virtual, name]);
+      }
+
+      const candidates = available.get(name)
+        .filter(pkg => allowed(name, pkg))
+        .filter(pkg => requirements.every(entry => satisfies(pkg.parsed, entry.constraint)))
+        .sort(order);
+
+      if (candidates.length === 0) {
+        const versions = available.get(name).map(pkg => pkg.version).join(', ');
+        return fail(nextSeen.length, `No version of ${name} matches ${describe(requirements)} at minimum-stability ${STABILITIES[minimum]}; available: ${versions}`);
+      }
+
+      for (const candidate of candidates) {
+        const next = new Map(selected);
+        next.set(name, candidate);
+
+        const result = search(next, [...rest, ...requirementsOf(candidate)], nextSeen, virtual);
+        if (result) return result;
+      }
+      return null;
+    };
+
+    const picked = search(new Map(), requirementsOf({ name: rootName, require: root.require || {} }), [], []);
+    if (!picked) {
+      throw new Error(failure ? failure.message : 'Could not find a set of package versions that satisfies every requirement');
+    }
+
+    // A package replaced by another one is not installed separately
+    const replaced = new Set();
+    picked.forEach(pkg => Object.keys(pkg.replace).forEach(name => replaced.add(name.toLowerCase())));
+
+    return picked
+      .filter(pkg => !replaced.has(pkg.name))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Hex SHA-1 of some bytes
+   * @param {Uint8Array} bytes - Data
+   * @returns {Promise<string>}
+   */
+  async function sha1(bytes) {
+    const digest = await crypto.subtle.digest('SHA-1', bytes);
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Cheap content hash used to tell whether composer.json changed
+   * @param {string} text - Text
+   * @returns {string}
+   */
+  function contentHash(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(16).padStart(8, '0');
+  }
+
+  /**
+   * Read a binary file of a scope
+   * @param {string} scope - Scope name
+   * @param {string} path - File path
+   * @returns {Promise<Uint8Array>}
+   */
+  async function readBinary(scope, path) {
+    const integration = requireIntegration();
+
+    // The main-thread runtime reads files as text, the persistent store doesn't
+    const content = integration.isPersistent() && typeof PHPWasmFileSystem !== 'undefined'
+      ? await PHPWasmFileSystem.readFile(scope, path)
+      : await integration.readFile(path, { scope });
+
+    return typeof content === 'string' ? new TextEncoder().encode(content) : content;
+  }
+
+  /**
+   * Get a package's zip archive
+   * @param {Object} pkg - Package
+   * @param {string} scope - Scope holding uploaded archives
+   * @returns {Promise<Uint8Array>}
+   */
+  async function loadPackageArchive(pkg, scope) {
+    if (pkg.origin.kind === 'archive') {
+      return readBinary(scope, pkg.origin.archive.path);
+    }
+
+    if (!pkg.dist) {
+      throw new Error(`${pkg.name} ${pkg.version} has no dist archive to install from`);
+    }
+    if (pkg.dist.type && pkg.dist.type !== 'zip') {
+      throw new Error(`${pkg.name} ${pkg.version} is distributed as ${pkg.dist.type}; only zip archives can be installed`);
+    }
+
+    const response = await fetch(pkg.dist.url);
+    if (!response.ok) {
+      throw new Error(`Failed to download ${pkg.name} ${pkg.version}: HTTP ${response.status}`);
+    }
+
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    if (pkg.dist.shasum && typeof crypto !== 'undefined' && crypto.subtle) {
+      if (await sha1(bytes) !== pkg.dist.shasum.toLowerCase()) {
+        throw new Error(`Checksum mismatch for ${pkg.name} ${pkg.version}`);
+      }
+    }
+    return bytes;
+  }
+
+  /**
+   * Find the package root of a zip: the directory of its shallowest composer.json
+   * @param {Object} zip - JSZip instance
+   * @returns {string|null} - Root prefix ('' or 'dir/'), or null without composer.json
+   */
+  function findPackageRoot(zip) {
+    const manifests = Object.keys(zip.files)
+      .filter(path => /(^|\/)composer\.json$/.test(path) && !zip.files[path].dir)
+      .sort((a, b) => a.split('/').length - b.split('/').length);
+
+    return manifests.length > 0 ? manifests[0].slice(0, -'composer.json'.length) : null;
+  }
+
+  /**
+   * Extract a package archive
+   * @param {Uint8Array} bytes - Zip data
+   * @param {Object} pkg - Package
+   * @returns {Promise<Object>} - Map of path (relative to the package) to content
+   */
+  async function extractPackage(bytes, pkg) {
+    const ZipLibrary = await loadZipLibrary();
+    const zip = await ZipLibrary.loadAsync(bytes);
+    const decoder = new TextDecoder('utf-8', { fatal: true });
+
+    let root = pkg.origin.kind === 'archive' ? pkg.origin.archive.root : findPackageRoot(zip);
+    if (root === null || root === undefined) {
+      // No composer.json: GitHub-style archives wrap everything in one directory
+      const tops = new Set(Object.keys(zip.files).map(path => path.split('/')[0]));
+      root = tops.size === 1 && Object.keys(zip.files).some(path => path.includes('/')) ? `${[...tops][0]}/` : '';
+    }
+
+    const files = {};
+    for (const [path, entry] of Object.entries(zip.files)) {
+      if (entry.dir || !path.startsWith(root)) continue;
+
+      const relative = path.slice(root.length);
+      if (!relative || relative.split('/').includes('..')) continue;
+
+      if (/\.(so|dll|dylib)$/i.test(relative)) {
+        throw new Error(`${pkg.name} ships native code (${relative}) and can't run in the browser`);
+      }
+
+      const data = await entry.async('uint8array');
+      try {
+        files[relative] = decoder.decode(data);
+      } catch (error) {
+        files[relative] = data;
+      }
+    }
+    return files;
+  }
+
+  /**
+   * Upload a package zip archive into a project
+   * @param {Object} project - Project object
+   * @param {File|Blob|ArrayBuffer|Uint8Array} file - Zip archive
+   * @param {Object} options - version (when composer.json has none), scope
+   * @returns {Promise<Object>} - Archive entry { name, version, path, root, metadata }
+   */
+  async function addArchive(project, file, options = {}) {
+    const integration = requireIntegration();
+    const scope = options.scope || project.id;
+
+    let bytes;
+    if (file instanceof Uint8Array) {
+      bytes = file;
+    } else if (file instanceof ArrayBuffer) {
+      bytes = new Uint8Array(file);
+    } else {
+      bytes = new Uint8Array(await file.arrayBuffer());
+    }
+
+    const ZipLibrary = await loadZipLibrary();
+    let zip;
+    try {
+      zip = await ZipLibrary.loadAsync(bytes);
+    } catch (error) {
+      throw new Error(`${file.name || 'The archive'} is not a zip file`);
+    }
+
+    const root = findPackageRoot(zip);
+    if (root === null) {
+      throw new Error(`${file.name || 'The archive'} has no composer.json`);
+    }
+
+    let metadata;
+    try {
+      metadata = JSON.parse(await zip.file(`${root}composer.json`).async('string'));
+    } catch (error) {
+      throw new Error(`The composer.json in ${file.name || 'the archive'} is not valid JSON`);
+    }
+
+    if (!metadata.name) {
+      throw new Error('The archive\'s composer.json has no package name');
+    }
+    if (NATIVE_TYPES.includes(metadata.type)) {
+      throw new Error(`${metadata.name} is a native PHP extension and can't be installed in the browser`);
+    }
+
+    const version = options.version || metadata.version;
+    if (!version) {
+      throw new Error(`${metadata.name} doesn't declare a version; give one when uploading it`);
+    }
+    if (!parseVersion(version)) {
+      throw new Error(`"${version}" is not a valid version`);
+    }
+
+    const name = metadata.name.toLowerCase();
+    const path = `${ARCHIVE_DIR}/${name.replace('/', '--')}-${version}.zip`;
+    await integration.createFile(path, bytes, { scope });
+
+    const entry = {
+      name: name,
+      version: version,
+      path: path,
+      root: root,
+      metadata: {
+        type: metadata.type,
+        description: metadata.description,
+        license: metadata.license,
+        require: metadata.require,
+        provide: metadata.provide,
+        replace: metadata.replace,
+        autoload: metadata.autoload
+      }
+    };
+
+    const archives = ((project.composer && project.composer.archives) || [])
+      .filter(archive => archive.name !== name || archive.version !== version);
+    project.composer = { ...(project.composer || {}), archives: [...archives, entry] };
+
+    return entry;
+  }
+
+  /**
+   * Remove an uploaded archive from a project
+   * @param {Object} project - Project object
+   * @param {string} name - Package name
+   * @param {string} version - Package version
+   * @param {Object} options - scope
+   * @returns {Promise<boolean>} - Whether an archive was removed
+   */
+  async function removeArchive(project, name, version, options = {}) {
+    const archives = (project.composer && project.composer.archives) || [];
+    const archive = archives.find(entry => entry.name === name && entry.version === version);
+    if (!archive) return false;
+
+    await requireIntegration().removePath(archive.path, { scope: options.scope || project.id });
+    project.composer.archives = archives.filter(entry => entry !== archive);
+    return true;
+  }
+
+  /**
+   * Install the packages required by a project's composer.json into
+   * vendor/ of its virtual filesystem (the caller saves the project)
+   * @param {Object} project - Project object
+   * @param {Object} options - scope
+   * @returns {Promise<Object>} - { packages: [{ name, version }], warnings }
+   */
+  async function install(project, options = {}) {
+    const integration = requireIntegration();
+    const json = getComposerJson(project);
+    if (!json) {
+      throw new Error('The project has no composer.json');
+    }
+
+    const root = parseComposerJson(json);
+    const scope = options.scope || project.id;
+    const warnings = [];
+
+    notifyListeners('progress', { stage: 'resolve', project: project.id });
+    const available = await loadRepositories(project, root, warnings);
+    const packages = resolve(root, available, {
+      phpVersion: integration.getPhpVersion({ scope }),
+      extensions: integration.getEnabledExtensions().map(extension => extension.toLowerCase()),
+      warnings: warnings
+    });
+
+    const files = {};
+    for (let i = 0; i < packages.length; i++) {
+      const pkg = packages[i];
+      notifyListeners('progress', { stage: 'download', project: project.id, name: pkg.name, done: i, total: packages.length });
+
+      if (NATIVE_TYPES.includes(pkg.type)) {
+        throw new Error(`${pkg.name} is a native PHP extension and can't be installed in the browser`);
+      }
+      if (pkg.type === 'metapackage') continue;
+      if (pkg.type === 'composer-plugin') {
+        warnings.push(`${pkg.name} is a Composer plugin; its files are installed but it won't run`);
+      }
+
+      const contents = await extractPackage(await loadPackageArchive(pkg, scope), pkg);
+      pkg.files = Object.keys(contents);
+      Object.entries(contents).forEach(([path, content]) => {
+        files[`vendor/${pkg.name}/${path}`] = content;
+      });
+    }
+
+    notifyListeners('progress', { stage: 'autoload', project: project.id });
+    Object.assign(files, generateAutoloadFiles(root, packages, files, warnings));
+
+    const lock = generateLock(root, packages, json);
+    files['composer.json'] = json;
+    files['composer.lock'] = JSON.stringify(lock, null, 4) + '\n';
+
+    notifyListeners('progress', { stage: 'write', project: project.id });
+    await integration.removePath('vendor', { scope });
+    await integration.createFiles(files, { scope });
+
+    project.composer = { ...(project.composer || {}), lock: lock };
+
+    const summary = packages.map(pkg => ({ name: pkg.name, version: pkg.version }));
+    notifyListeners('installed', { project: project.id, packages: summary, warnings });
+    return { packages: summary, warnings };
+  }
+
+  /**
+   * Remove installed packages from a project (the caller saves the project)
+   * @param {Object} project - Project object
+   * @param {Object} options - scope
+   * @returns {Promise<void>}
+   */
+  async function uninstall(project, options = {}) {
+    const integration = requireIntegration();
+    const scope = options.scope || project.id;
+
+    await integration.removePath('vendor', { scope });
+    await integration.removePath('composer.lock', { scope });
+    if (project.composer) delete project.composer.lock;
+  }
+
+  /**
+   * Quote a string as a PHP single-quoted literal
+   * @param {string} text - Text
+   * @returns {string}
+   */
+  function phpString(text) {
+    return `'${String(text).replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'`;
+  }
+
+  /**
+   * PHP expression for a path inside a package (or the project root)
+   * @param {Object|null} pkg - Package, or null for the root package
+   * @param {string} path - Path relative to the package
+   * @returns {string}
+   */
+  function phpPath(pkg, path) {
+    const relative = String(path).replace(/^\.?\/+/, '').replace(/\/+$/, '').replace(/^\.$/, '');
+    const base = pkg ? `/${pkg.name}` : '';
+    return `${pkg ? '$vendorDir' : '$baseDir'} . ${phpString(`${base}${relative ? `/${relative}` : ''}`)}`;
+  }
+
+  /**
+   * Find the classes, interfaces, traits and enums declared in PHP source
+   * @param {string} code - PHP source
+   * @returns {Array<string>} - Fully qualified names
+   */
+  function scanClasses(code) {
+    const source = code
+      .replace(/\/\*[\s\S]*?\*\//g, '')
+      .replace(/^\s*\/\/.*$/gm, '');
+
+    const pattern = /^\s*namespace\s+([\w\\]+)\s*[;{]|^\s*(?:(?:abstract|final|readonly)\s+)*(?:class|interface|trait|enum)\s+(\w+)/gm;
+    const classes = [];
+    let namespace = '';
+    let match;
+
+    while ((match = pattern.exec(source)) !== null) {
+      if (match[1]) {
+        namespace = match[1];
+      } else {
+        classes.push(namespace ? `${namespace}\\${match[2]}` : match[2]);
+      }
+    }
+    return classes;
+  }
+
+  /**
+   * Generate vendor/autoload.php and the files under vendor/composer/
+   * @param {Object} root - Parsed composer.json
+   * @param {Array<Object>} packages - Installed packages
+   * @param {Object} files - Installed files by path
+   * @param {Array<string>} warnings - Receives non-fatal problems
+   * @returns {Object} - Map of path to content
+   */
+  function generateAutoloadFiles(root, packages, files, warnings) {
+    const psr4 = new Map();
+    const psr0 = new Map();
+    const classMap = new Map([['Composer\\InstalledVersions', "$vendorDir . '/composer/InstalledVersions.php'"]]);
+    const includes = [];
+
+    const addPaths = (map, prefix, pkg, paths) => {
+      if (!map.has(prefix)) map.set(prefix, []);
+      [].concat(paths).forEach(path => map.get(prefix).push(phpPath(pkg, path)));
+    };
+
+    // The root package comes last so its own mappings are tried after the vendors'
+    [...packages.map(pkg => ({ pkg, autoload: pkg.autoload })), { pkg: null, autoload: root.autoload || {} }]
+      .forEach(({ pkg, autoload }) => {
+        Object.entries(autoload['psr-4'] || {}).forEach(([prefix, paths]) => addPaths(psr4, prefix, pkg, paths));
+        Object.entries(autoload['psr-0'] || {}).forEach(([prefix, paths]) => addPaths(psr0, prefix, pkg, paths));
+        [].concat(autoload.files || []).forEach(path => includes.push(phpPath(pkg, path)));
+
+        [].concat(autoload.classmap || []).forEach(target => {
+          if (!pkg) {
+            warnings.push('The root package\'s classmap autoloading isn\'t supported; use psr-4 instead');
+            return;
+          }
+
+          const base = `vendor/${pkg.name}/`;
+          const prefix = String(target).replace(/^\.?\/+/, '').replace(/\/+$/, '');
+          Object.keys(files)
+            .filter(path => path.startsWith(base) && /\.(php|inc|hh)$/.test(path))
+            .filter(path => {
+              const relative = path.slice(base.length);
+              return prefix === '' || prefix === '.' || relative === prefix || relative.startsWith(`${prefix}/`);
+            })
+            .forEach(path => {
+              if (typeof files[path] !== 'string') return;
+              scanClasses(files[path]).forEach(name => {
+                if (!classMap.has(name)) classMap.set(name, phpPath(pkg, path.slice(base.length)));
+              });
+            });
+        });
+      });
+
+    const header = `<?php
+
+// Generated by AlgorithmPress from composer.json; changes are overwritten on install
+
+$vendorDir = dirname(__DIR__);
+$baseDir = dirname($vendorDir);
+`;
+
+    const prefixArray = (map) => [...map.entries()]
+      .sort((a, b) => b[0].length - a[0].length)
+      .map(([prefix, paths]) => `    ${phpString(prefix)} => array(${paths.join(', ')}),`)
+      .join('\n');
+
+    const installed = {
+      root: { name: root.name || '__root__', version: root.version || 'dev-main' },
+      versions: packages.map(pkg => ({ name: pkg.prettyName, pkg }))
+    };
+
+    const installedVersions = installed.versions.map(({ name, pkg }) => `        ${phpString(name)} => array(
+            'pretty_version' => ${phpString(pkg.version)},
+            'version' => ${phpString(pkg.parsed.branch ? pkg.version : pkg.parsed.parts.join('.'))},
+            'type' => ${phpString(pkg.type)},
+            'install_path' => __DIR__ . ${phpString(`/../${pkg.name}`)},
+            'dev_requirement' => false,
+        ),`).join('\n');
+
+    return {
+      'vendor/autoload.php': `<?php
+
+// Generated by AlgorithmPress from composer.json; changes are overwritten on install
+
+if (!class_exists('Composer\\Autoload\\ClassLoader', false)) {
+    require __DIR__ . '/composer/ClassLoader.php';
+}
+
+return (function () {
+    $loader = new \\Composer\\Autoload\\ClassLoader();
+
+    foreach (require __DIR__ . '/composer/autoload_namespaces.php' as $prefix => $paths) {
+        $loader->add($prefix, $paths);
+    }
+    foreach (require __DIR__ . '/composer/autoload_psr4.php' as $prefix => $paths) {
+        $loader->addPsr4($prefix, $paths);
+    }
+    $loader->addClassMap(require __DIR__ . '/composer/autoload_classmap.php');
+    $loader->register(true);
+
+    foreach (require __DIR__ . '/composer/autoload_files.php' as $file) {
+        require_once $file;
+    }
+
+    return $loader;
+})();
+`,
+      'vendor/composer/autoload_psr4.php': `${header}
+return array(
+${prefixArray(psr4)}
+);
+`,
+      'vendor/composer/autoload_namespaces.php': `${header}
+return array(
+${prefixArray(psr0)}
+);
+`,
+      'vendor/composer/autoload_classmap.php': `${header}
+return array(
+${[...classMap.entries()].map(([name, path]) => `    ${phpString(name)} => ${path},`).join('\n')}
+);
+`,
+      'vendor/composer/autoload_files.php': `${header}
+return array(
+${includes.map(path => `    ${path},`).join('\n')}
+);
+`,
+      'vendor/composer/installed.php': `<?php
+
+// Generated by AlgorithmPress from composer.json; changes are overwritten on install
+
+return array(
+    'root' => array(
+        'name' => ${phpString(installed.root.name)},
+        'pretty_version' => ${phpString(installed.root.version)},
+        'install_path' => __DIR__ . '/../../',
+        'dev' => false,
+    ),
+    'versions' => array(
+${installedVersions}
+    ),
+);
+`,
+      'vendor/composer/installed.json': JSON.stringify({
+        packages: packages.map(pkg => ({ ...lockEntry(pkg), 'install-path': `../${pkg.name}` })),
+        dev: false,
+        'dev-package-names': []
+      }, null, 4) + '\n',
+      'vendor/composer/ClassLoader.php': CLASS_LOADER,
+      'vendor/composer/InstalledVersions.php': INSTALLED_VERSIONS
+    };
+  }
+
+  /**
+   * Package entry as written to composer.lock and installed.json
+   * @param {Object} pkg - Package
+   * @returns {Object}
+   */
+  function lockEntry(pkg) {
+    const entry = {
+      name: pkg.prettyName,
+      version: pkg.version,
+      type: pkg.type
+    };
+
+    if (pkg.dist) entry.dist = pkg.dist;
+    if (Object.keys(pkg.require).length > 0) entry.require = pkg.require;
+    if (Object.keys(pkg.provide).length > 0) entry.provide = pkg.provide;
+    if (Object.keys(pkg.replace).length > 0) entry.replace = pkg.replace;
+    entry.autoload = pkg.autoload;
+    if (pkg.description) entry.description = pkg.description;
+    if (pkg.license && pkg.license.length > 0) entry.license = [].concat(pkg.license);
+    if (pkg.origin.kind === 'archive') entry['installation-source'] = 'archive';
+
+    return entry;
+  }
+
+  /**
+   * Generate composer.lock contents
+   * @param {Object} root - Parsed composer.json
+   * @param {Array<Object>} packages - Installed packages
+   * @param {string} json - composer.json text
+   * @returns {Object}
+   */
+  function generateLock(root, packages, json) {
+    const platform = {};
+    const stabilityFlags = {};
+
+    Object.entries(root.require || {}).forEach(([name, text]) => {
+      if (PLATFORM_PACKAGE.test(name)) platform[name] = text;
+
+      const stability = parseConstraint(text).stability;
+      if (stability && !PLATFORM_PACKAGE.test(name)) {
+        stabilityFlags[name.toLowerCase()] = STABILITIES.length - 1 - STABILITIES.indexOf(stability);
+      }
+    });
+
+    return {
+      '_readme': [
+        'This file locks the dependencies of your project to a known state',
+        'It was generated by AlgorithmPress and lists the packages installed in vendor/'
+      ],
+      'content-hash': contentHash(json),
+      'packages': packages.map(lockEntry),
+      'packages-dev': [],
+      'aliases': [],
+      'minimum-stability': String(root['minimum-stability'] || 'stable').toLowerCase(),
+      'stability-flags': stabilityFlags,
+      'prefer-stable': Boolean(root['prefer-stable']),
+      'prefer-lowest': false,
+      'platform': platform,
+      'platform-dev': {},
+      'plugin-api-version': '2.6.0'
+    };
+  }
+
+  /**
+   * Collect the files an export needs: composer.json, composer.lock and vendor/
+   * Installs again when vendor/ is missing from the virtual filesystem.
+   * @param {Object} project - Project object
+   * @param {Object} options - scope
+   * @returns {Promise<Object>} - Map of path to content
+   */
+  async function getExportFiles(project, options = {}) {
+    if (!isInstalled(project)) return {};
+
+    const scope = options.scope || project.id;
+    let vendor = await readTree(scope, 'vendor');
+
+    if (!vendor['vendor/autoload.php']) {
+      await install(project, { scope });
+      vendor = await readTree(scope, 'vendor');
+    }
+
+    return {
+      'composer.json': getComposerJson(project),
+      'composer.lock': JSON.stringify(project.composer.lock, null, 4) + '\n',
+      ...vendor
+    };
+  }
+
+  /**
+   * Read every file below a directory of a scope
+   * @param {string} scope - Scope name
+   * @param {string} directory - Directory path
+   * @returns {Promise<Object>} - Map of path to content
+   */
+  async function readTree(scope, directory) {
+    const integration = requireIntegration();
+    const files = {};
+
+    if (integration.isPersistent() && typeof PHPWasmFileSystem !== 'undefined') {
+      (await PHPWasmFileSystem.load(scope))
+        .filter(record => !record.directory && record.path.startsWith(`${directory}/`))
+        .forEach(record => {
+          files[record.path] = record.content;
+        });
+      return files;
+    }
+
+    const walk = async (path) => {
+      let names;
+      try {
+        names = await integration.listFiles(path, { scope });
+      } catch (error) {
+        return;
+      }
+
+      for (const name of names) {
+        if (name === '.' || name === '..') continue;
+
+        const child = `${path}/${name}`;
+        try {
+          files[child] = await integration.readFile(child, { scope });
+        } catch (error) {
+          await walk(child);
+        }
+      }
+    };
+    await walk(directory);
+
+    return files;
+  }
+
+  /**
+   * Render the Composer panel for a project
+   * @param {HTMLElement} container - Element to render into
+   * @param {Object} project - Project object
+   * @param {Object} options - onChange (called after the project changed and should be saved)
+   */
+  function renderPanel(container, project, options = {}) {
+    const composer = project.composer || {};
+    const installed = (composer.lock && composer.lock.packages) || [];
+    const archives = composer.archives || [];
+    const changed = () => options.onChange && options.onChange(project);
+
+    const archiveRows = archives.map(archive => `
+      <tr>
+        <td>${escapeHtml(archive.name)}</td>
+        <td>${escapeHtml(archive.version)}</td>
+        <td class="text-end">
+          <button class="btn btn-sm btn-outline-secondary" data-composer-remove="${escapeHtml(archive.name)}" data-version="${escapeHtml(archive.version)}">Remove</button>
+        </td>
+      </tr>`).join('');
+
+    const installedRows = installed.map(pkg => `
+      <tr><td>${escapeHtml(pkg.name)}</td><td>${escapeHtml(pkg.version)}</td></tr>`).join('');
+
+    container.innerHTML = `
+      <div class="php-composer">
+        <h5>Composer</h5>
+        <div class="mb-2">
+          <label class="form-label" for="composer-json">composer.json</label>
+          <textarea id="composer-json" class="form-control font-monospace" rows="8" spellcheck="false">${escapeHtml(composer.json || '{\n    "require": {}\n}')}</textarea>
+        </div>
+        <div class="mb-2">
+          <label class="form-label" for="composer-archive">Upload package archive (.zip)</label>
+          <input id="composer-archive" class="form-control form-control-sm" type="file" accept=".zip,application/zip" multiple>
+        </div>
+        ${archiveRows ? `<table class="table table-sm">${archiveRows}</table>` : ''}
+        <div class="d-flex gap-2 mb-2">
+          <button class="btn btn-sm btn-primary" data-composer-install>Install</button>
+          ${installed.length > 0 ? '<button class="btn btn-sm btn-outline-secondary" data-composer-uninstall>Remove vendor/</button>' : ''}
+        </div>
+        <div data-composer-status>${isOutdated(project) && installed.length > 0
+          ? '<div class="alert alert-warning py-1">composer.json changed since the last install</div>'
+          : ''}</div>
+        <h6>Installed packages</h6>
+        <table class="table table-sm">${installedRows || '<tr><td class="text-muted">None</td></tr>'}</table>
+      </div>`;
+
+    const status = container.querySelector('[data-composer-status]');
+    const report = (type, message) => {
+      status.innerHTML = `<div class="alert alert-${type} py-1">${message}</div>`;
+    };
+    const rerender = () => renderPanel(container, project, options);
+
+    // Save composer.json as it is edited, once it parses
+    container.querySelector('#composer-json').addEventListener('change', event => {
+      try {
+        attach(project, event.target.value);
+        changed();
+        status.innerHTML = '';
+      } catch (error) {
+        report('danger', escapeHtml(error.message));
+      }
+    });
+
+    container.querySelector('#composer-archive').addEventListener('change', async event => {
+      try {
+        for (const file of event.target.files) {
+          try {
+            await addArchive(project, file);
+          } catch (error) {
+            if (!/doesn't declare a version/.test(error.message)) throw error;
+            const version = window.prompt(`${error.message}:`, '1.0.0');
+            if (!version) continue;
+            await addArchive(project, file, { version });
+          }
+        }
+        changed();
+        rerender();
+      } catch (error) {
+        report('danger', escapeHtml(error.message));
+      }
+    });
+
+    container.querySelectorAll('[data-composer-remove]').forEach(button => {
+      button.addEventListener('click', () => {
+        removeArchive(project, button.dataset.composerRemove, button.dataset.version)
+          .then(() => {
+            changed();
+            rerender();
+          })
+          .catch(error => report('danger', escapeHtml(error.message)));
+      });
+    });
+
+    container.querySelector('[data-composer-install]').addEventListener('click', event => {
+      event.target.disabled = true;
+
+      try {
+        attach(project, container.querySelector('#composer-json').value);
+      } catch (error) {
+        report('danger', escapeHtml(error.message));
+        event.target.disabled = false;
+        return;
+      }
+
+      const progress = (data) => {
+        if (data.project !== project.id) return;
+        report('info', data.stage === 'download'
+          ? `Installing ${escapeHtml(data.name)} (${data.done + 1}/${data.total})...`
+          : `${escapeHtml(data.stage.charAt(0).toUpperCase() + data.stage.slice(1))}...`);
+      };
+      addEventListener('progress', progress);
+
+      install(project)
+        .then(result => {
+          changed();
+          rerender();
+          if (result.warnings.length > 0) {
+            container.querySelector('[data-composer-status]').innerHTML =
+              `<div class="alert alert-warning py-1">${result.warnings.map(escapeHtml).join('<br>')}</div>`;
+          }
+        })
+        .catch(error => {
+          report('danger', escapeHtml(error.message));
+          event.target.disabled = false;
+        })
+        .then(() => removeEventListener('progress', progress));
+    });
+
+    const uninstallButton = container.querySelector('[data-composer-uninstall]');
+    if (uninstallButton) {
+      uninstallButton.addEventListener('click', () => {
+        uninstall(project)
+          .then(() => {
+            changed();
+            rerender();
+          })
+          .catch(error => report('danger', escapeHtml(error.message)));
+      });
+    }
+  }
+
+  /**
+   * Escape HTML special characters
+   * @param {string} text - Text to escape
+   * @returns {string}
+   */
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#039;');
+  }
+
+  /**
+   * Add event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback function
+   */
+  function addEventListener(event, callback) {
+    if (listeners[event]) {
+      listeners[event].push(callback);
+    }
+  }
+
+  /**
+   * Remove event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback function
+   */
+  function removeEventListener(event, callback) {
+    if (listeners[event]) {
+      const index = listeners[event].indexOf(callback);
+      if (index !== -1) {
+        listeners[event].splice(index, 1);
+      }
+    }
+  }
+
+  /**
+   * Notify all listeners of an event
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   */
+  function notifyListeners(event, data) {
+    if (listeners[event]) {
+      listeners[event].forEach(callback => {
+        try {
+          callback(data);
+        } catch (error) {
+          console.error(`Error in ${event} listener:`, error);
+        }
+      });
+    }
+  }
+
+  // Minimal Composer\Autoload\ClassLoader: PSR-4, PSR-0 and class maps
+  const CLASS_LOADER = String.raw`<?php
+
+namespace Composer\Autoload;
+
+class ClassLoader
+{
+    private $prefixesPsr4 = array();
+    private $fallbackDirsPsr4 = array();
+    private $prefixesPsr0 = array();
+    private $classMap = array();
+
+    public function getClassMap()
+    {
+        return $this->classMap;
+    }
+
+    public function addClassMap(array $classMap)
+    {
+        $this->classMap = array_merge($this->classMap, $classMap);
+    }
+
+    public function add($prefix, $paths, $prepend = false)
+    {
+        $paths = (array) $paths;
+        $existing = isset($this->prefixesPsr0[$prefix]) ? $this->prefixesPsr0[$prefix] : array();
+        $this->prefixesPsr0[$prefix] = $prepend ? array_merge($paths, $existing) : array_merge($existing, $paths);
+    }
+
+    public function addPsr4($prefix, $paths, $prepend = false)
+    {
+        $paths = (array) $paths;
+
+        if ($prefix === '') {
+            $this->fallbackDirsPsr4 = $prepend
+                ? array_merge($paths, $this->fallbackDirsPsr4)
+                : array_merge($this->fallbackDirsPsr4, $paths);
+            return;
+        }
+
+        if (substr($prefix, -1) !== '\\') {
+            throw new \InvalidArgumentException('A non-empty PSR-4 prefix must end with a namespace separator.');
+        }
+
+        $existing = isset($this->prefixesPsr4[$prefix]) ? $this->prefixesPsr4[$prefix] : array();
+        $this->prefixesPsr4[$prefix] = $prepend ? array_merge($paths, $existing) : array_merge($existing, $paths);
+
+        // Longest prefixes first so nested namespaces win
+        uksort($this->prefixesPsr4, function ($a, $b) {
+            return strlen($b) - strlen($a);
+        });
+    }
+
+    public function register($prepend = false)
+    {
+        spl_autoload_register(array($this, 'loadClass'), true, $prepend);
+    }
+
+    public function unregister()
+    {
+        spl_autoload_unregister(array($this, 'loadClass'));
+    }
+
+    public function loadClass($class)
+    {
+        $file = $this->findFile($class);
+        if ($file === false) {
+            return null;
+        }
+
+        (static function ($file) {
+            include $file;
+        })($file);
+
+        return true;
+    }
+
+    public function findFile($class)
+    {
+        $class = ltrim($class, '\\');
+
+        if (isset($this->classMap[$class])) {
+            return $this->classMap[$class];
+        }
+
+        $logicalPsr4 = strtr($class, '\\', '/') . '.php';
+
+        foreach ($this->prefixesPsr4 as $prefix => $dirs) {
+            if (strpos($class, $prefix) !== 0) {
+                continue;
+            }
+            foreach ($dirs as $dir) {
+                $file = $dir . '/' . substr($logicalPsr4, strlen($prefix));
+                if (is_file($file)) {
+                    return $file;
+                }
+            }
+        }
+
+        foreach ($this->fallbackDirsPsr4 as $dir) {
+            if (is_file($file = $dir . '/' . $logicalPsr4)) {
+                return $file;
+            }
+        }
+
+        $position = strrpos($class, '\\');
+        $logicalPsr0 = $position !== false
+            ? substr($logicalPsr4, 0, $position + 1) . strtr(substr($logicalPsr4, $position + 1), '_', '/')
+            : strtr($class, '_', '/') . '.php';
+
+        foreach ($this->prefixesPsr0 as $prefix => $dirs) {
+            if ($prefix !== '' && strpos($class, $prefix) !== 0) {
+                continue;
+            }
+            foreach ($dirs as $dir) {
+                if (is_file($file = $dir . '/' . $logicalPsr0)) {
+                    return $file;
+                }
+            }
+        }
+
+        return false;
+    }
+}
+`;
+
+  // Minimal Composer\InstalledVersions backed by installed.php
+  const INSTALLED_VERSIONS = String.raw`<?php
+
+namespace Composer;
+
+class InstalledVersions
+{
+    private static $installed;
+
+    public static function getRawData()
+    {
+        if (self::$installed === null) {
+            self::$installed = require __DIR__ . '/installed.php';
+        }
+        return self::$installed;
+    }
+
+    public static function getRootPackage()
+    {
+        $data = self::getRawData();
+        return $data['root'];
+    }
+
+    public static function getInstalledPackages()
+    {
+        $data = self::getRawData();
+        return array_keys($data['versions']);
+    }
+
+    public static function isInstalled($packageName, $includeDevRequirements = true)
+    {
+        $data = self::getRawData();
+        return isset($data['versions'][$packageName]);
+    }
+
+    public static function getVersion($packageName)
+    {
+        return self::field($packageName, 'version');
+    }
+
+    public static function getPrettyVersion($packageName)
+    {
+        return self::field($packageName, 'pretty_version');
+    }
+
+    public static function getInstallPath($packageName)
+    {
+        return self::field($packageName, 'install_path');
+    }
+
+    private static function field($packageName, $field)
+    {
+        $data = self::getRawData();
+        if (!isset($data['versions'][$packageName])) {
+            throw new \OutOfBoundsException('Package "' . $packageName . '" is not installed');
+        }
+        return $data['versions'][$packageName][$field];
+    }
+}
+`;
+
+  // Public API
+  return {
+    configure,
+    parseComposerJson,
+    attach,
+    getComposerJson,
+    isInstalled,
+    isOutdated,
+    parseVersion,
+    parseConstraint,
+    satisfies,
+    addArchive,
+    removeArchive,
+    install,
+    uninstall,
+    getExportFiles,
+    renderPanel,
+    addEventListener,
+    removeEventListener
+  };
+})();
+
+// Export for ES modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PHPWasmComposer;
+}
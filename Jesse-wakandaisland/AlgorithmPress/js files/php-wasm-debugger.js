@@ -0,0 +1,1194 @@
+/**
+ * PHP-WASM Step Debugger
+ * Breakpoints, step in/over/out, local variables, watch expressions and the
+ * call stack for PHP run through PHPWasmIntegration, without a debugging
+ * server. The script runs once with a probe before every statement that
+ * records the line, stack, locals and watches; the session then steps
+ * through that recording, so it can also step back.
+ */
+
+const PHPWasmDebugger = (function() {
+  'use strict';
+
+  // Separates the recording from the script's output
+  const RECORDING_MARKER = '__ALGORITHMPRESS_PHP_DEBUG__';
+
+  // Recording stops (and the script with it) after this many statements
+  const STEP_LIMIT = 2000;
+
+  // Thrown by the probe when the limit is reached
+  const LIMIT_EXCEPTION = 'AlgorithmPressDebugLimit';
+
+  let sessionCounter = 0;
+
+  const listeners = {
+    'step': [],
+    'stop': []
+  };
+
+  /**
+   * Check whether PHP can be debugged
+   * @returns {boolean}
+   */
+  function isAvailable() {
+    return typeof PHPWasmErrors !== 'undefined' && PHPWasmErrors.isAvailable();
+  }
+
+  /**
+   * Run a script under the recorder
+   * @param {string} code - PHP code
+   * @param {Object} options - scope, timeout, watches (PHP expressions), sourceMap, source, limit
+   * @returns {Promise<Object>} - { steps, output, truncated, stdout, stderr, problems }
+   */
+  async function record(code, options = {}) {
+    if (!isAvailable()) {
+      throw new Error('PHP-WASM is not initialized');
+    }
+
+    const watches = JSON.stringify((options.watches || []).map(normalizeExpression));
+    const result = await PHPWasmErrors.run(code, {
+      scope: options.scope,
+      timeout: options.timeout,
+      sourceMap: options.sourceMap,
+      source: options.source,
+      // Each recording starts over, so the script can declare its functions again
+      fresh: true,
+      prepare: PREPARE
+        .replace('__LIMIT__', String(options.limit || STEP_LIMIT))
+        .replace('__WATCHES__', base64Encode(new TextEncoder().encode(watches))),
+      finish: FINISH.replace('__MARKER__', RECORDING_MARKER)
+    });
+
+    const recording = extractRecording(result.stdout);
+    const problems = result.problems.filter(problem => problem.type !== LIMIT_EXCEPTION);
+
+    return {
+      steps: recording.steps,
+      output: recording.output,
+      truncated: recording.truncated,
+      stdout: recording.stdout,
+      stderr: result.stderr,
+      problems: problems
+    };
+  }
+
+  /**
+   * Split the recording from a script's output
+   * @param {string} stdout - Script output
+   * @returns {Object} - { stdout, steps, output, truncated }
+   */
+  function extractRecording(stdout) {
+    const text = String(stdout || '');
+    const index = text.lastIndexOf(RECORDING_MARKER);
+    if (index === -1) {
+      return { stdout: text, steps: [], output: text, truncated: false };
+    }
+
+    const end = text.indexOf('\n', index);
+    const json = text.slice(index + RECORDING_MARKER.length, end === -1 ? text.length : end);
+    const rest = text.slice(0, index) + (end === -1 ? '' : text.slice(end + 1));
+
+    try {
+      const recording = JSON.parse(json);
+      return { stdout: rest, steps: recording.steps, output: recording.output, truncated: recording.truncated };
+    } catch (error) {
+      console.error('Failed to read the PHP debug recording:', error);
+      return { stdout: rest, steps: [], output: rest, truncated: false };
+    }
+  }
+
+  /**
+   * Start debugging a script. The session pauses on the first breakpoint,
+   * or on the first statement when there are none.
+   * @param {string} code - PHP code
+   * @param {Object} options - scope, timeout, breakpoints (lines), watches, lineOffset (lines of the script before the debugged code), target (what generated the code, for problems), source, stopOnEntry
+   * @returns {Promise<Object>} - Debug session
+   */
+  async function debug(code, options = {}) {
+    const lineOffset = options.lineOffset || 0;
+    const lineCount = options.lineCount || String(code).split('\n').length - lineOffset;
+
+    const session = {
+      id: `php-debug-${++sessionCounter}`,
+      code: String(code),
+      options: options,
+      lineOffset: lineOffset,
+      lineCount: lineCount,
+      breakpoints: new Set(options.breakpoints || []),
+      watches: (options.watches || []).map(normalizeExpression).filter(Boolean),
+      steps: [],
+      stdout: '',
+      output: '',
+      problems: [],
+      truncated: false,
+      index: -1,
+      status: 'running'
+    };
+
+    await load(session);
+
+    const stopOnEntry = options.stopOnEntry !== undefined ? options.stopOnEntry : session.breakpoints.size === 0;
+    if (stopOnEntry) {
+      moveTo(session, 0);
+    } else {
+      resume(session);
+    }
+
+    return session;
+  }
+
+  /**
+   * (Re)record a session's script
+   * @param {Object} session - Debug session
+   * @returns {Promise<void>}
+   */
+  async function load(session) {
+    const start = session.lineOffset + 1;
+    const end = session.lineOffset + session.lineCount;
+    const target = session.options.target || { type: 'debug', id: session.id, label: 'Debugged code' };
+
+    session.status = 'running';
+    const recording = await record(session.code, {
+      scope: session.options.scope,
+      timeout: session.options.timeout,
+      watches: session.watches,
+      source: session.options.source,
+      sourceMap: [{ start: start, end: end, target: target }]
+    });
+
+    // Only statements of the debugged code are steps, not the wrapper around it
+    const toLine = (line) => line === null || line === undefined ? line : line - session.lineOffset;
+    session.steps = recording.steps
+      .filter(step => step.line >= start && step.line <= end)
+      .map(step => ({
+        ...step,
+        line: toLine(step.line),
+        stack: step.stack.map(frame => frame.file ? frame : { ...frame, line: toLine(frame.line) })
+      }));
+    session.stdout = recording.stdout;
+    session.output = recording.output;
+    session.truncated = recording.truncated;
+    session.problems = recording.problems;
+  }
+
+  /**
+   * Go to a step; past the last one the session is finished
+   * @param {Object} session - Debug session
+   * @param {number} index - Step index
+   */
+  function moveTo(session, index) {
+    if (session.status === 'stopped') return;
+
+    session.index = Math.max(0, Math.min(index, session.steps.length));
+    session.status = session.index < session.steps.length ? 'paused' : 'finished';
+    notifyListeners('step', session);
+  }
+
+  /**
+   * Find the next step matching a condition, or the end
+   * @param {Object} session - Debug session
+   * @param {Function} matches - (step) => boolean
+   * @returns {number}
+   */
+  function findStep(session, matches) {
+    for (let i = session.index + 1; i < session.steps.length; i++) {
+      if (matches(session.steps[i])) return i;
+    }
+    return session.steps.length;
+  }
+
+  /**
+   * Run to the next breakpoint
+   * @param {Object} session - Debug session
+   */
+  function resume(session) {
+    moveTo(session, findStep(session, step => session.breakpoints.has(step.line)));
+  }
+
+  /**
+   * Go to the next statement, entering function calls
+   * @param {Object} session - Debug session
+   */
+  function stepInto(session) {
+    moveTo(session, session.index + 1);
+  }
+
+  /**
+   * Go to the next statement in the current function, unless a breakpoint is hit first
+   * @param {Object} session - Debug session
+   */
+  function stepOver(session) {
+    const depth = currentDepth(session);
+    moveTo(session, findStep(session, step => step.stack.length <= depth || session.breakpoints.has(step.line)));
+  }
+
+  /**
+   * Run until the current function returns, unless a breakpoint is hit first
+   * @param {Object} session - Debug session
+   */
+  function stepOut(session) {
+    const depth = currentDepth(session);
+    moveTo(session, findStep(session, step => step.stack.length < depth || session.breakpoints.has(step.line)));
+  }
+
+  /**
+   * Go back to the previous statement
+   * @param {Object} session - Debug session
+   */
+  function stepBack(session) {
+    moveTo(session, session.index - 1);
+  }
+
+  /**
+   * Call depth at the current step
+   * @param {Object} session - Debug session
+   * @returns {number}
+   */
+  function currentDepth(session) {
+    const step = getStep(session);
+    return step ? step.stack.length : 0;
+  }
+
+  /**
+   * Run the script again, e.g. after the code or watches changed
+   * @param {Object} session - Debug session
+   * @param {Object} options - code, lineOffset and lineCount (when the code changed), keepPosition (stay at the same step)
+   * @returns {Promise<Object>}
+   */
+  async function restart(session, options = {}) {
+    const index = session.index;
+    if (options.code !== undefined) {
+      session.code = String(options.code);
+      session.lineOffset = options.lineOffset || 0;
+      session.lineCount = options.lineCount || session.code.split('\n').length - session.lineOffset;
+    }
+    if (session.status === 'stopped') {
+      session.status = 'running';
+    }
+
+    await load(session);
+
+    if (options.keepPosition) {
+      moveTo(session, Math.min(index, session.steps.length));
+    } else {
+      session.index = -1;
+      if (session.breakpoints.size === 0) {
+        moveTo(session, 0);
+      } else {
+        resume(session);
+      }
+    }
+    return session;
+  }
+
+  /**
+   * Add a watch expression; the script is recorded again to evaluate it
+   * @param {Object} session - Debug session
+   * @param {string} expression - PHP expression
+   * @returns {Promise<Object>}
+   */
+  function addWatch(session, expression) {
+    const normalized = normalizeExpression(expression);
+    if (!normalized || session.watches.includes(normalized)) {
+      return Promise.resolve(session);
+    }
+
+    session.watches.push(normalized);
+    return restart(session, { keepPosition: true });
+  }
+
+  /**
+   * Remove a watch expression
+   * @param {Object} session - Debug session
+   * @param {string} expression - PHP expression
+   */
+  function removeWatch(session, expression) {
+    session.watches = session.watches.filter(watch => watch !== expression);
+    notifyListeners('step', session);
+  }
+
+  /**
+   * Toggle a breakpoint on a line of the debugged code
+   * @param {Object} session - Debug session
+   * @param {number} line - Line number
+   * @returns {boolean} - Whether the breakpoint is now set
+   */
+  function toggleBreakpoint(session, line) {
+    const enabled = !session.breakpoints.has(line);
+    if (enabled) {
+      session.breakpoints.add(line);
+    } else {
+      session.breakpoints.delete(line);
+    }
+    return enabled;
+  }
+
+  /**
+   * End a session
+   * @param {Object} session - Debug session
+   */
+  function stop(session) {
+    session.status = 'stopped';
+    notifyListeners('stop', session);
+  }
+
+  /**
+   * Get the step the session is paused at
+   * @param {Object} session - Debug session
+   * @returns {Object|null} - { line, stack, locals, watches, output }
+   */
+  function getStep(session) {
+    return session.status === 'paused' ? session.steps[session.index] || null : null;
+  }
+
+  /**
+   * Get what the script printed up to the current step
+   * @param {Object} session - Debug session
+   * @returns {string}
+   */
+  function getOutput(session) {
+    const step = getStep(session);
+    if (!step) return session.stdout;
+
+    // Steps count output in bytes; printed errors are in the problems list instead
+    const printed = new TextDecoder().decode(new TextEncoder().encode(session.output).slice(0, step.output));
+    return PHPWasmErrors.parseOutput(printed).output;
+  }
+
+  /**
+   * Trim a watch expression; a trailing semicolon is allowed
+   * @param {string} expression - PHP expression
+   * @returns {string}
+   */
+  function normalizeExpression(expression) {
+    return String(expression || '').trim().replace(/;+$/, '').trim();
+  }
+
+  // ================================
+  // EDITOR
+  // ================================
+
+  /**
+   * Add a line number gutter to a code textarea; clicking a line number
+   * toggles a breakpoint and the line the debugger is at is marked
+   * @param {HTMLTextAreaElement} textarea - Code editor
+   * @param {Object} options - breakpoints (lines), onBreakpointsChange(lines)
+   * @returns {Object} - Editor with breakpoints, setCurrentLine(), selectLine(), refresh()
+   */
+  function attachEditor(textarea, options = {}) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'php-debug-editor';
+
+    const gutter = document.createElement('div');
+    gutter.className = 'php-debug-gutter';
+    gutter.title = 'Click a line number to toggle a breakpoint';
+
+    textarea.parentNode.insertBefore(wrapper, textarea);
+    wrapper.appendChild(gutter);
+    wrapper.appendChild(textarea);
+    textarea.setAttribute('wrap', 'off');
+    textarea.spellcheck = false;
+
+    const editor = {
+      textarea: textarea,
+      element: wrapper,
+      breakpoints: new Set(options.breakpoints || []),
+      currentLine: null,
+      refresh: refresh,
+      setCurrentLine: setCurrentLine,
+      selectLine: selectLine
+    };
+
+    function refresh() {
+      const count = textarea.value.split('\n').length;
+      let html = '';
+      for (let line = 1; line <= count; line++) {
+        const classes = ['php-debug-line'];
+        if (editor.breakpoints.has(line)) classes.push('has-breakpoint');
+        if (editor.currentLine === line) classes.push('is-current');
+        html += `<div class="${classes.join(' ')}" data-line="${line}">${line}</div>`;
+      }
+      gutter.innerHTML = html;
+      gutter.scrollTop = textarea.scrollTop;
+    }
+
+    function setCurrentLine(line) {
+      editor.currentLine = line || null;
+      refresh();
+
+      if (line) {
+        // Keep the line in view with a little context above it
+        const lineHeight = parseFloat(getComputedStyle(textarea).lineHeight) || 20;
+        const top = (line - 1) * lineHeight;
+        if (top < textarea.scrollTop || top > textarea.scrollTop + textarea.clientHeight - lineHeight) {
+          textarea.scrollTop = Math.max(0, top - lineHeight * 2);
+        }
+        gutter.scrollTop = textarea.scrollTop;
+      }
+    }
+
+    function selectLine(line) {
+      const lines = textarea.value.split('\n');
+      const start = lines.slice(0, line - 1).reduce((length, text) => length + text.length + 1, 0);
+      textarea.focus();
+      textarea.setSelectionRange(start, start + (lines[line - 1] || '').length);
+    }
+
+    gutter.addEventListener('click', (e) => {
+      const lineEl = e.target.closest('[data-line]');
+      if (!lineEl) return;
+
+      const line = Number(lineEl.getAttribute('data-line'));
+      if (editor.breakpoints.has(line)) {
+        editor.breakpoints.delete(line);
+      } else {
+        editor.breakpoints.add(line);
+      }
+      refresh();
+
+      if (options.onBreakpointsChange) {
+        options.onBreakpointsChange(Array.from(editor.breakpoints).sort((a, b) => a - b));
+      }
+    });
+
+    textarea.addEventListener('input', refresh);
+    textarea.addEventListener('scroll', () => {
+      gutter.scrollTop = textarea.scrollTop;
+    });
+
+    refresh();
+    return editor;
+  }
+
+  // ================================
+  // PANEL
+  // ================================
+
+  /**
+   * Render the debugger controls and inspector for a session. The panel
+   * follows the session until it is stopped or removed from the page.
+   * F8 continues, F10 steps over, F11 steps into and Shift+F11 steps out.
+   * @param {HTMLElement} container - Element to render into
+   * @param {Object} session - Debug session
+   * @param {Object} options - editor (from attachEditor, its breakpoints are used), getScript() (the current { code, lineOffset, lineCount } to restart with), onStop()
+   */
+  function renderPanel(container, session, options = {}) {
+    const editor = options.editor || null;
+    if (editor) {
+      session.breakpoints = editor.breakpoints;
+    }
+
+    // Expanded variables stay expanded while stepping
+    const expanded = new Set();
+
+    container.innerHTML = `
+      <div class="php-debugger-panel">
+        <div class="php-debugger-toolbar btn-toolbar mb-2">
+          <div class="btn-group btn-group-sm me-2">
+            <button type="button" class="btn btn-outline-secondary" data-debug-action="back" title="Step back">
+              <i class="fas fa-step-backward"></i>
+            </button>
+            <button type="button" class="btn btn-outline-primary" data-debug-action="continue" title="Continue (F8)">
+              <i class="fas fa-play"></i>
+            </button>
+            <button type="button" class="btn btn-outline-secondary" data-debug-action="over" title="Step over (F10)">
+              <i class="fas fa-arrow-right"></i>
+            </button>
+            <button type="button" class="btn btn-outline-secondary" data-debug-action="into" title="Step into (F11)">
+              <i class="fas fa-arrow-down"></i>
+            </button>
+            <button type="button" class="btn btn-outline-secondary" data-debug-action="out" title="Step out (Shift+F11)">
+              <i class="fas fa-arrow-up"></i>
+            </button>
+          </div>
+          <div class="btn-group btn-group-sm">
+            <button type="button" class="btn btn-outline-secondary" data-debug-action="restart" title="Restart">
+              <i class="fas fa-redo"></i>
+            </button>
+            <button type="button" class="btn btn-outline-danger" data-debug-action="stop" title="Stop">
+              <i class="fas fa-stop"></i>
+            </button>
+          </div>
+        </div>
+        <div class="php-debugger-status small mb-2" data-debug-status></div>
+        <div class="php-debugger-section">
+          <h6>Variables</h6>
+          <div class="php-debugger-variables" data-debug-variables></div>
+        </div>
+        <div class="php-debugger-section">
+          <h6>Watch</h6>
+          <div data-debug-watches></div>
+          <form class="input-group input-group-sm mt-1" data-debug-watch-form>
+            <input type="text" class="form-control" placeholder="PHP expression, e.g. count($items)">
+            <button type="submit" class="btn btn-outline-secondary">Add</button>
+          </form>
+        </div>
+        <div class="php-debugger-section">
+          <h6>Call stack</h6>
+          <ol class="php-debugger-stack" data-debug-stack></ol>
+        </div>
+        <div class="php-debugger-section">
+          <h6>Output</h6>
+          <pre class="php-debugger-output" data-debug-output></pre>
+        </div>
+        <div class="php-debugger-section" data-debug-problems-section>
+          <h6>Problems</h6>
+          <div data-debug-problems></div>
+        </div>
+      </div>
+    `;
+
+    const $ = (selector) => container.querySelector(selector);
+    let busy = false;
+
+    // Re-recording (restart, new watches) takes a moment
+    const rerun = (promise) => {
+      busy = true;
+      update();
+      promise.catch(error => {
+        console.error('PHP debug run failed:', error);
+        $('[data-debug-status]').textContent = `Debugging failed: ${error.message}`;
+      }).finally(() => {
+        busy = false;
+        update();
+      });
+    };
+
+    const actions = {
+      back: () => stepBack(session),
+      continue: () => resume(session),
+      over: () => stepOver(session),
+      into: () => stepInto(session),
+      out: () => stepOut(session),
+      restart: () => rerun(restart(session, options.getScript ? options.getScript() : {})),
+      stop: () => stop(session)
+    };
+
+    container.querySelectorAll('[data-debug-action]').forEach(button => {
+      button.addEventListener('click', () => actions[button.getAttribute('data-debug-action')]());
+    });
+
+    $('[data-debug-watch-form]').addEventListener('submit', (e) => {
+      e.preventDefault();
+      const input = e.target.querySelector('input');
+      const expression = input.value;
+      input.value = '';
+      rerun(addWatch(session, expression));
+    });
+
+    $('[data-debug-watches]').addEventListener('click', (e) => {
+      const button = e.target.closest('[data-remove-watch]');
+      if (button) removeWatch(session, button.getAttribute('data-remove-watch'));
+    });
+
+    $('[data-debug-variables]').addEventListener('toggle', (e) => {
+      const path = e.target.getAttribute('data-path');
+      if (e.target.open) expanded.add(path); else expanded.delete(path);
+    }, true);
+
+    $('[data-debug-stack]').addEventListener('click', (e) => {
+      const frame = e.target.closest('[data-line]');
+      if (frame && editor) editor.selectLine(Number(frame.getAttribute('data-line')));
+    });
+
+    function update() {
+      if (!container.isConnected) return;
+
+      const step = getStep(session);
+      const paused = session.status === 'paused' && !busy;
+      ['back', 'continue', 'over', 'into', 'out'].forEach(action => {
+        $(`[data-debug-action="${action}"]`).disabled = !paused && !(action === 'back' && session.status === 'finished' && !busy);
+      });
+      $('[data-debug-action="restart"]').disabled = busy;
+      $('[data-debug-action="stop"]').disabled = session.status === 'stopped';
+
+      $('[data-debug-status]').textContent = describeStatus(session, step, busy);
+      if (editor) editor.setCurrentLine(step ? step.line : null);
+
+      $('[data-debug-variables]').innerHTML = step ?
+        (step.locals.length ? step.locals.map(variable => renderValue(variable.name, variable.value, variable.name, expanded)).join('') :
+          '<div class="text-muted small">No variables</div>') :
+        '';
+
+      $('[data-debug-watches]').innerHTML = session.watches.map(expression => {
+        const result = step && step.watches.find(watch => watch.expression === expression);
+        const value = !step ? '<span class="text-muted">not paused</span>' :
+          !result ? '<span class="text-muted">restart to evaluate</span>' :
+            result.error ? `<span class="text-danger">${escapeHtml(result.error)}</span>` :
+              renderSummary(result.value);
+        return `<div class="php-debugger-watch">
+          <button type="button" class="btn btn-link btn-sm p-0 me-1" data-remove-watch="${escapeHtml(expression)}" title="Remove">&times;</button>
+          <code>${escapeHtml(expression)}</code> = ${value}
+        </div>`;
+      }).join('');
+
+      $('[data-debug-stack]').innerHTML = step ? step.stack.map(frame => {
+        const location = frame.file ? `${escapeHtml(frame.file)}:${frame.line}` : frame.line ? `line ${frame.line}` : 'internal';
+        const link = !frame.file && frame.line ? ` data-line="${frame.line}"` : '';
+        return `<li${link}><code>${escapeHtml(frame.function)}</code> <span class="text-muted">${location}</span></li>`;
+      }).join('') : '';
+
+      $('[data-debug-output]').textContent = getOutput(session);
+
+      $('[data-debug-problems-section]').hidden = session.problems.length === 0;
+      PHPWasmErrors.renderProblems($('[data-debug-problems]'), session.problems, {
+        onSelect: (target, line) => {
+          if (editor && line) editor.selectLine(line);
+        }
+      });
+    }
+
+    const onStep = (changed) => {
+      if (!container.isConnected) {
+        detach();
+      } else if (changed === session) {
+        update();
+      }
+    };
+
+    const onStop = (stopped) => {
+      if (stopped !== session) return;
+      detach();
+      update();
+      if (options.onStop) options.onStop(session);
+    };
+
+    const onKeyDown = (e) => {
+      if (!container.isConnected) {
+        detach();
+        return;
+      }
+      if (session.status !== 'paused' || busy) return;
+
+      const action = e.key === 'F8' ? 'continue' :
+        e.key === 'F10' ? 'over' :
+          e.key === 'F11' ? (e.shiftKey ? 'out' : 'into') : null;
+      if (action) {
+        e.preventDefault();
+        actions[action]();
+      }
+    };
+
+    function detach() {
+      removeEventListener('step', onStep);
+      removeEventListener('stop', onStop);
+      document.removeEventListener('keydown', onKeyDown);
+    }
+
+    addEventListener('step', onStep);
+    addEventListener('stop', onStop);
+    document.addEventListener('keydown', onKeyDown);
+
+    update();
+  }
+
+  /**
+   * Describe where a session is
+   * @param {Object} session - Debug session
+   * @param {Object|null} step - Current step
+   * @param {boolean} busy - Whether the script is being recorded again
+   * @returns {string}
+   */
+  function describeStatus(session, step, busy) {
+    if (busy || session.status === 'running') return 'Running…';
+    if (session.status === 'stopped') return 'Stopped';
+
+    const limit = session.truncated ? ` Recording stopped after ${session.steps.length} statements.` : '';
+    if (session.status === 'finished') {
+      return `Finished after ${session.steps.length} statement${session.steps.length === 1 ? '' : 's'}.${limit}`;
+    }
+
+    return `Paused at line ${step.line} in ${step.stack[0] ? step.stack[0].function : '{main}'} (step ${session.index + 1} of ${session.steps.length}).${limit}`;
+  }
+
+  /**
+   * Render a recorded value as a tree of <details>
+   * @param {string} name - Variable name, key or property
+   * @param {Object} value - { type, value, children, more }
+   * @param {string} path - Path of the value, to keep it expanded
+   * @param {Set} expanded - Expanded paths
+   * @returns {string}
+   */
+  function renderValue(name, value, path, expanded) {
+    const label = `<span class="php-debugger-name">${escapeHtml(name)}</span> = ${renderSummary(value)}`;
+    if (!value.children || value.children.length === 0) {
+      return `<div class="php-debugger-value">${label}</div>`;
+    }
+
+    const children = value.children
+      .map(child => renderValue(child.name, child.value, `${path}.${child.name}`, expanded))
+      .join('');
+    const more = value.more ? `<div class="php-debugger-value text-muted">… ${value.more} more</div>` : '';
+
+    return `<details class="php-debugger-value" data-path="${escapeHtml(path)}"${expanded.has(path) ? ' open' : ''}>
+      <summary>${label}</summary>${children}${more}
+    </details>`;
+  }
+
+  /**
+   * Render a recorded value's one line summary
+   * @param {Object} value - { type, value }
+   * @returns {string}
+   */
+  function renderSummary(value) {
+    return `<span class="php-debugger-type">${escapeHtml(value.type)}</span> <code>${escapeHtml(value.value)}</code>`;
+  }
+
+  // ================================
+  // WINDOW
+  // ================================
+
+  let openedWindow = null;
+
+  /**
+   * Open a floating debugger window with its own code editor, for code that
+   * has no editor of its own in the page (e.g. flow nodes)
+   * @param {Object} options - title, code, breakpoints, onChange(code), onBreakpointsChange(lines), build(code) (returns { code, lineOffset } to wrap the code before it runs) and the debug() options
+   * @returns {Object} - { element, editor, close }
+   */
+  function openWindow(options = {}) {
+    if (openedWindow) {
+      openedWindow.close();
+    }
+
+    const element = document.createElement('div');
+    element.className = 'php-debugger-window card shadow';
+    element.innerHTML = `
+      <div class="card-header d-flex align-items-center">
+        <i class="fab fa-php me-2"></i>
+        <strong class="flex-grow-1 text-truncate" data-debug-title></strong>
+        <button type="button" class="btn btn-sm btn-primary me-2" data-debug-start>
+          <i class="fas fa-bug"></i> Debug
+        </button>
+        <button type="button" class="btn-close" data-debug-close aria-label="Close"></button>
+      </div>
+      <div class="card-body">
+        <textarea class="form-control code-editor" rows="12" data-language="php"></textarea>
+        <div class="mt-2" data-debug-panel></div>
+      </div>
+    `;
+    element.querySelector('[data-debug-title]').textContent = options.title || 'PHP debugger';
+    document.body.appendChild(element);
+
+    const textarea = element.querySelector('textarea');
+    textarea.value = options.code || '';
+    if (options.onChange) {
+      textarea.addEventListener('change', () => options.onChange(textarea.value));
+    }
+
+    const editor = attachEditor(textarea, {
+      breakpoints: options.breakpoints,
+      onBreakpointsChange: options.onBreakpointsChange
+    });
+
+    let session = null;
+    const panel = element.querySelector('[data-debug-panel]');
+
+    const getScript = () => ({
+      code: textarea.value,
+      lineOffset: 0,
+      ...(options.build ? options.build(textarea.value) : {}),
+      lineCount: textarea.value.split('\n').length
+    });
+
+    element.querySelector('[data-debug-start]').addEventListener('click', () => {
+      if (session) stop(session);
+
+      const script = getScript();
+      panel.innerHTML = '<div class="text-muted small">Running…</div>';
+      debug(script.code, {
+        ...options,
+        lineOffset: script.lineOffset,
+        lineCount: script.lineCount,
+        breakpoints: editor.breakpoints
+      }).then(started => {
+        session = started;
+        renderPanel(panel, session, {
+          editor: editor,
+          getScript: getScript
+        });
+      }).catch(error => {
+        panel.innerHTML = '';
+        const message = document.createElement('div');
+        message.className = 'text-danger small';
+        message.textContent = `Debugging failed: ${error.message}`;
+        panel.appendChild(message);
+      });
+    });
+
+    const close = () => {
+      if (session) stop(session);
+      element.remove();
+      if (openedWindow && openedWindow.element === element) {
+        openedWindow = null;
+      }
+    };
+    element.querySelector('[data-debug-close]').addEventListener('click', close);
+
+    openedWindow = { element, editor, close };
+    return openedWindow;
+  }
+
+  // ================================
+  // HELPERS
+  // ================================
+
+  /**
+   * Base64 encode bytes
+   * @param {Uint8Array} bytes - Bytes
+   * @returns {string}
+   */
+  function base64Encode(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  /**
+   * Escape text for HTML
+   * @param {string} text - Text
+   * @returns {string}
+   */
+  function escapeHtml(text) {
+    return String(text === null || text === undefined ? '' : text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Add event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback function
+   */
+  function addEventListener(event, callback) {
+    if (listeners[event]) {
+      listeners[event].push(callback);
+    }
+  }
+
+  /**
+   * Remove event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback function
+   */
+  function removeEventListener(event, callback) {
+    if (listeners[event]) {
+      listeners[event] = listeners[event].filter(cb => cb !== callback);
+    }
+  }
+
+  /**
+   * Notify listeners of an event
+   * @param {string} event - Event name
+   * @param {*} data - Event data
+   */
+  function notifyListeners(event, data) {
+    if (listeners[event]) {
+      listeners[event].forEach(callback => {
+        try {
+          callback(data);
+        } catch (error) {
+          console.error(`Error in ${event} listener:`, error);
+        }
+      });
+    }
+  }
+
+  // Runs in the error runner before the script is written: puts a probe
+  // before every statement and sets up the recorder the probes call
+  const PREPARE = String.raw`
+if (!class_exists('AlgorithmPressDebugLimit', false)) {
+    class AlgorithmPressDebugLimit extends Error {}
+}
+
+$__algorithmpress['debug'] = [
+    'steps' => [],
+    'limit' => __LIMIT__,
+    'truncated' => false,
+    'busy' => false,
+    'output' => '',
+    'watches' => json_decode(base64_decode('__WATCHES__'), true),
+    'level' => ob_get_level() + 1
+];
+
+$__algorithmpress['code'] = (function ($code) {
+    $ignored = [T_WHITESPACE, T_COMMENT, T_DOC_COMMENT, T_INLINE_HTML];
+    $classes = [T_CLASS, T_INTERFACE, T_TRAIT];
+    $headers = [T_IF, T_ELSEIF, T_WHILE, T_FOR, T_FOREACH, T_SWITCH, T_DECLARE, T_CATCH];
+    $statements = [T_IF, T_ELSEIF, T_ELSE, T_WHILE, T_DO, T_FOR, T_FOREACH, T_SWITCH, T_TRY, T_CATCH, T_FINALLY,
+        T_DECLARE, T_NAMESPACE, T_FUNCTION, T_CLASS, T_INTERFACE, T_TRAIT, T_ABSTRACT, T_FINAL, T_ATTRIBUTE, '{'];
+    foreach (['T_ENUM', 'T_READONLY'] as $name) {
+        if (defined($name)) {
+            $statements[] = constant($name);
+            if ($name === 'T_ENUM') $classes[] = T_ENUM;
+        }
+    }
+    // Statements that continue the previous one or must come first can't have a probe before them
+    $continued = [T_ELSE, T_ELSEIF, T_CATCH, T_FINALLY, T_CASE, T_DEFAULT, T_NAMESPACE, T_DECLARE,
+        T_ENDIF, T_ENDWHILE, T_ENDFOR, T_ENDFOREACH, T_ENDSWITCH, T_ENDDECLARE, '}', ')'];
+
+    $out = '';
+    $line = 1;
+    // Brace levels: 'block' holds statements, 'switch' case labels, 'class' members, 'expr' neither
+    $contexts = [['kind' => 'block', 'parens' => 0, 'statement' => true, 'first' => null, 'header' => 0]];
+    $start = false;
+    $first = null;
+    $prev = null;
+    $pending = null;
+    $header = 0;
+    $afterHeader = false;
+    $closedFirst = null;
+    $length = 0;
+
+    foreach (token_get_all($code) as $token) {
+        list($id, $text) = is_array($token) ? [$token[0], $token[1]] : [$token, $token];
+        $tokenLine = $line;
+        $line += substr_count($text, "\n");
+        $context = &$contexts[count($contexts) - 1];
+
+        if ($id === T_OPEN_TAG || $id === T_CLOSE_TAG || $id === T_OPEN_TAG_WITH_ECHO) {
+            $out .= $text;
+            $start = $id !== T_OPEN_TAG_WITH_ECHO;
+            $first = $id === T_OPEN_TAG_WITH_ECHO ? T_ECHO : null;
+            continue;
+        }
+        if (in_array($id, $ignored, true)) {
+            $out .= $text;
+            continue;
+        }
+
+        if ($start) {
+            $start = false;
+            $probe = ($context['kind'] === 'block' || $context['kind'] === 'switch') && $context['parens'] === 0
+                && !in_array($id, $continued, true)
+                && !($id === T_WHILE && $prev === '}' && $closedFirst === T_DO);
+            if ($probe) {
+                $out .= "\$GLOBALS['__algorithmpress_probe']($tokenLine, get_defined_vars()); ";
+            }
+            $first = $id;
+            $length = 0;
+        }
+        $out .= $text;
+        $length++;
+
+        $wasAfterHeader = $afterHeader;
+        $afterHeader = false;
+
+        if ($id === '(' || $id === '[' || $id === T_ATTRIBUTE) {
+            if ($id === '(' && $header === 1 && $context['parens'] === 0) $header = 2;
+            $context['parens']++;
+        } elseif ($id === ')' || $id === ']') {
+            $context['parens'] = max(0, $context['parens'] - 1);
+            if ($id === ')' && $header === 2 && $context['parens'] === 0) {
+                $header = 0;
+                $afterHeader = true;
+            }
+        } elseif ($id === '{' || $id === T_CURLY_OPEN || $id === T_DOLLAR_OPEN_CURLY_BRACES) {
+            if ($id !== '{' || in_array($prev, [T_OBJECT_OPERATOR, T_NULLSAFE_OBJECT_OPERATOR, T_DOUBLE_COLON, '$'], true)) {
+                $kind = 'expr';
+            } elseif ($pending !== null) {
+                $kind = $pending;
+            } else {
+                $kind = $context['kind'] === 'block' || $context['kind'] === 'switch' ? 'block' : 'expr';
+            }
+            $pending = null;
+            $statement = $kind !== 'expr' && $context['parens'] === 0 && in_array($first, $statements, true);
+            $contexts[] = ['kind' => $kind, 'parens' => 0, 'statement' => $statement, 'first' => $first, 'header' => $header];
+            $header = 0;
+            $start = $kind === 'block' || $kind === 'switch';
+        } elseif ($id === '}') {
+            if (count($contexts) > 1) {
+                unset($context);
+                $closed = array_pop($contexts);
+                $context = &$contexts[count($contexts) - 1];
+                $first = $closed['first'];
+                $header = $closed['header'];
+                $closedFirst = $closed['first'];
+                $start = $closed['statement'] && $context['parens'] === 0;
+            }
+        } elseif ($id === ';') {
+            $pending = null;
+            $start = $context['parens'] === 0 && ($context['kind'] === 'block' || $context['kind'] === 'switch');
+        } elseif ($id === ':') {
+            // Alternative syntax (if (...): / else:), case labels and goto labels start statements
+            $start = $wasAfterHeader || ($context['parens'] === 0 && ($context['kind'] === 'block' || $context['kind'] === 'switch')
+                && (in_array($first, [T_CASE, T_DEFAULT], true) || ($first === T_STRING && $length === 2)));
+        } elseif (in_array($id, $headers, true) && $context['parens'] === 0) {
+            $header = 1;
+            if ($id === T_SWITCH) $pending = 'switch';
+        } elseif (in_array($id, [T_ELSE, T_DO, T_TRY, T_FINALLY], true)) {
+            $afterHeader = true;
+        } elseif (in_array($id, $classes, true) && $prev !== T_DOUBLE_COLON) {
+            $pending = 'class';
+        } elseif ($id === T_FUNCTION) {
+            $pending = 'block';
+        } elseif ($id === T_MATCH) {
+            $pending = 'expr';
+        }
+
+        $prev = $id;
+    }
+    unset($context);
+
+    return $out;
+})($__algorithmpress['code']);
+
+$__algorithmpress['describe'] = function ($value, $depth = 0) {
+    $describe = $GLOBALS['__algorithmpress']['describe'];
+
+    if (is_array($value) || is_object($value)) {
+        $items = is_array($value) ? $value : ($value instanceof Closure ? [] :
+            ($value instanceof ArrayObject || $value instanceof ArrayIterator ? $value->getArrayCopy() : get_mangled_object_vars($value)));
+        // Anonymous class names end in \0 and where they were declared
+        $class = is_array($value) ? 'array' : explode("\0", get_class($value))[0];
+        $node = [
+            'type' => $class,
+            'value' => is_array($value) ? 'array(' . count($value) . ')' : $class . '#' . spl_object_id($value),
+            'children' => []
+        ];
+        if ($depth < 3) {
+            foreach (array_slice($items, 0, 50, true) as $key => $item) {
+                // Private and protected properties are prefixed with \0Class\0 or \0*\0
+                $name = is_string($key) && strpos($key, "\0") !== false ? substr($key, strrpos($key, "\0") + 1) : (string) $key;
+                $node['children'][] = ['name' => is_array($value) ? "[$name]" : $name, 'value' => $describe($item, $depth + 1)];
+            }
+            if (count($items) > 50) $node['more'] = count($items) - 50;
+        }
+        return $node;
+    }
+
+    if (is_string($value)) {
+        $shown = strlen($value) > 200 ? substr($value, 0, 200) . '…' : $value;
+        return ['type' => 'string(' . strlen($value) . ')', 'value' => '"' . addcslashes($shown, "\"\\\n\r\t") . '"'];
+    }
+    if (is_resource($value)) {
+        return ['type' => 'resource', 'value' => get_resource_type($value)];
+    }
+
+    return ['type' => get_debug_type($value), 'value' => $value === null ? 'null' : var_export($value, true)];
+};
+
+$GLOBALS['__algorithmpress_probe'] = function ($line, $locals) {
+    $debug = &$GLOBALS['__algorithmpress']['debug'];
+
+    // Functions called by watch expressions run without recording
+    if ($debug['busy']) return;
+
+    // Every statement after the limit throws again, so a script that catches it still stops
+    if ($debug['truncated'] || count($debug['steps']) >= $debug['limit']) {
+        $debug['truncated'] = true;
+        throw new AlgorithmPressDebugLimit('Stopped recording after ' . $debug['limit'] . ' statements');
+    }
+    $debug['busy'] = true;
+    $describe = $GLOBALS['__algorithmpress']['describe'];
+
+    // Each frame is a call: its function and the line it was called from
+    $frames = debug_backtrace(DEBUG_BACKTRACE_PROVIDE_OBJECT | DEBUG_BACKTRACE_IGNORE_ARGS);
+    $stack = [];
+    for ($i = 1; $i <= count($frames); $i++) {
+        $frame = $frames[$i] ?? null;
+        $call = $frames[$i - 1];
+        $main = $frame === null || (($frame['file'] ?? null) === __FILE__ && in_array($frame['function'], ['include', 'require', 'include_once', 'require_once'], true));
+        $file = $call['file'] ?? null;
+        $stack[] = [
+            'function' => $main ? '{main}' : (isset($frame['class']) ? $frame['class'] . $frame['type'] : '') . $frame['function'] . '()',
+            'file' => $file === $GLOBALS['__algorithmpress']['file'] ? null : $file,
+            'line' => $i === 1 ? $line : ($call['line'] ?? null)
+        ];
+        if ($main) break;
+    }
+    $object = isset($frames[1]['object']) && $stack[0]['function'] !== '{main}' ? $frames[1]['object'] : null;
+
+    $variables = [];
+    if ($object) {
+        $variables[] = ['name' => '$this', 'value' => $describe($object)];
+    }
+    foreach ($locals as $name => $value) {
+        if (strpos($name, '__algorithmpress') === 0 || in_array($name, ['GLOBALS', '_GET', '_POST', '_COOKIE', '_FILES', '_SERVER', '_ENV', '_REQUEST', '_SESSION', 'argv', 'argc'], true)) continue;
+        $variables[] = ['name' => '$' . $name, 'value' => $describe($value)];
+    }
+
+    $watches = [];
+    if ($debug['watches']) {
+        $evaluate = function ($__expression, $__locals) {
+            extract($__locals, EXTR_SKIP);
+            return eval('return ' . $__expression . ';');
+        };
+        if ($object) $evaluate = Closure::bind($evaluate, $object, get_class($object));
+
+        set_error_handler(function ($level, $message) {
+            throw new ErrorException($message, 0, $level);
+        });
+        foreach ($debug['watches'] as $expression) {
+            try {
+                $watches[] = ['expression' => $expression, 'value' => $describe($evaluate($expression, $locals))];
+            } catch (Throwable $error) {
+                $watches[] = ['expression' => $expression, 'error' => $error->getMessage()];
+            }
+        }
+        restore_error_handler();
+    }
+
+    $debug['steps'][] = [
+        'line' => $line,
+        'stack' => $stack,
+        'locals' => $variables,
+        'watches' => $watches,
+        'output' => strlen($debug['output'])
+    ];
+    $debug['busy'] = false;
+};
+
+// Keep a copy of the output so each step knows what was printed before it
+ob_start(function ($buffer) {
+    $GLOBALS['__algorithmpress']['debug']['output'] .= $buffer;
+    return $buffer;
+}, 1);
+`;
+
+  // Runs after the script: prints the recording
+  const FINISH = String.raw`
+    while (ob_get_level() >= $__algorithmpress['debug']['level']) {
+        ob_end_flush();
+    }
+    unset($GLOBALS['__algorithmpress_probe']);
+    echo '__MARKER__', json_encode([
+        'steps' => $__algorithmpress['debug']['steps'],
+        'output' => $__algorithmpress['debug']['output'],
+        'truncated' => $__algorithmpress['debug']['truncated']
+    ], JSON_PARTIAL_OUTPUT_ON_ERROR | JSON_INVALID_UTF8_SUBSTITUTE), "\n";
+`;
+
+  // Public API
+  return {
+    isAvailable,
+    record,
+    debug,
+    resume,
+    stepInto,
+    stepOver,
+    stepOut,
+    stepBack,
+    restart,
+    addWatch,
+    removeWatch,
+    toggleBreakpoint,
+    stop,
+    getStep,
+    getOutput,
+    attachEditor,
+    renderPanel,
+    openWindow,
+    addEventListener,
+    removeEventListener
+  };
+})();
+
+// Export for ES modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PHPWasmDebugger;
+}
@@ -0,0 +1,560 @@
+/**
+ * PHP-WASM Error Reporting
+ * Captures PHP warnings, notices, fatal errors and uncaught exceptions with
+ * their file, line and stack trace, maps them back to the component instance
+ * or flow node that generated the code, and renders the builder's problems
+ * panel.
+ */
+
+const PHPWasmErrors = (function() {
+  'use strict';
+
+  // Separates the captured problems from anything the script printed before them
+  const REPORT_MARKER = '__ALGORITHMPRESS_PHP_PROBLEMS__';
+
+  // Scripts run from this file in the working directory, where __DIR__ matches a direct run
+  const RUN_FILE = '.algorithmpress-run.php';
+
+  // PHP error levels by severity shown in the problems panel
+  const ERROR_LEVELS = [1, 4, 16, 64, 256, 4096];
+  const WARNING_LEVELS = [2, 32, 128, 512];
+
+  const LEVEL_NAMES = {
+    1: 'Fatal error',
+    2: 'Warning',
+    4: 'Parse error',
+    8: 'Notice',
+    16: 'Fatal error',
+    32: 'Warning',
+    64: 'Fatal error',
+    128: 'Warning',
+    256: 'Fatal error',
+    512: 'Warning',
+    1024: 'Notice',
+    2048: 'Strict Standards',
+    4096: 'Recoverable fatal error',
+    8192: 'Deprecated',
+    16384: 'Deprecated'
+  };
+
+  // Messages PHP prints itself (display_errors), e.g. for parse errors
+  const PRINTED_ERROR = /(?:^|\n)(?:PHP )?(Fatal error|Recoverable fatal error|Catchable fatal error|Parse error|Warning|Notice|Deprecated|Strict Standards): +(?!Uncaught )([^\n]*) in ([^\n]+?) on line (\d+)\n?/g;
+  const PRINTED_EXCEPTION = /(?:^|\n)(?:PHP )?Fatal error: +Uncaught ([\w\\]+)(?:: ([\s\S]*?))? in ([^\n]+?):(\d+)\nStack trace:\n([\s\S]*?)\n +thrown in [^\n]+ on line \d+\n?/g;
+  const PRINTED_FRAME = /^#\d+ (?:(.+?)\((\d+)\): )?(.*)$/;
+
+  // Problems of the latest run of each source (the project, a flow node...)
+  const problemsBySource = new Map();
+
+  const listeners = {
+    'problems': []
+  };
+
+  /**
+   * Check whether PHP-WASM is ready to run code
+   * @returns {boolean}
+   */
+  function isAvailable() {
+    return typeof PHPWasmIntegration !== 'undefined' && PHPWasmIntegration.isInitialized();
+  }
+
+  /**
+   * Get PHPWasmIntegration or fail
+   * @returns {Object}
+   */
+  function requireIntegration() {
+    if (!isAvailable()) {
+      throw new Error('PHP-WASM is not initialized');
+    }
+    return PHPWasmIntegration;
+  }
+
+  /**
+   * Wrap a script in the error capturing runner. The script is included from
+   * its own file, so reported line numbers are those of the code and it can
+   * still start with declare() or namespace.
+   * @param {string} code - PHP code
+   * @param {Object} options - prepare (PHP run before the script is written, can change $__algorithmpress['code']), finish (PHP run after it ends)
+   * @returns {string}
+   */
+  function instrument(code, options = {}) {
+    return RUNNER
+      .replace('__FILE__', RUN_FILE)
+      .replace('__CODE__', base64Encode(new TextEncoder().encode(String(code))))
+      .replace('__MARKER__', REPORT_MARKER)
+      .replace('__PREPARE__', () => options.prepare || '')
+      .replace('__FINISH__', () => options.finish || '');
+  }
+
+  /**
+   * Join generated pieces of PHP into one script, remembering which lines
+   * each piece produced
+   * @param {Array<Object>} parts - { code, target } (target: what generated the code, e.g. { type: 'component', id, label })
+   * @param {string} separator - Text between parts
+   * @returns {Object} - { code, sourceMap }
+   */
+  function combine(parts, separator = '\n') {
+    const newlines = (text) => (String(text).match(/\n/g) || []).length;
+    const sourceMap = [];
+    let line = 1;
+
+    parts.forEach(part => {
+      const end = line + newlines(part.code);
+      sourceMap.push({ start: line, end: end, target: part.target });
+      line = end + newlines(separator);
+    });
+
+    return { code: parts.map(part => part.code).join(separator), sourceMap };
+  }
+
+  /**
+   * Run PHP code and collect its problems
+   * @param {string} code - PHP code
+   * @param {Object} options - scope, timeout, priority, sourceMap ({ start, end, file, target } line ranges; file defaults to the script itself), source (key the problems are kept under), fresh, prepare and finish (see instrument)
+   * @returns {Promise<Object>} - Execution result without the captured messages in stdout, plus problems
+   */
+  async function run(code, options = {}) {
+    const integration = requireIntegration();
+    let result;
+    let failure = null;
+
+    try {
+      result = await integration.execute(instrument(code, options), {
+        scope: options.scope,
+        timeout: options.timeout,
+        priority: options.priority,
+        fresh: options.fresh
+      });
+    } catch (error) {
+      if (error.cancelled) throw error;
+
+      // Timeouts and runtime crashes end the script before it can report anything
+      failure = {
+        severity: 'error',
+        type: error.timedOut ? 'Timeout' : 'Runtime error',
+        message: error.message,
+        file: null,
+        line: null,
+        trace: []
+      };
+      result = { stdout: '', stderr: '', exitCode: 1 };
+    }
+
+    const report = extractReport(result.stdout);
+    const printed = parseOutput(report.output);
+    const printedErrors = parseOutput(result.stderr || '');
+
+    // Warnings are both printed and reported, the report has their stack trace
+    const problems = report.problems.slice();
+    printed.problems.concat(printedErrors.problems).forEach(problem => {
+      const duplicate = problems.some(known => known.line === problem.line && known.message === problem.message);
+      if (!duplicate) problems.push(problem);
+    });
+    if (failure) problems.push(failure);
+
+    const mapped = mapProblems(problems, report.main, options.sourceMap || []);
+    if (options.source) {
+      setProblems(options.source, mapped);
+    }
+
+    return {
+      ...result,
+      stdout: printed.output,
+      stderr: printedErrors.output,
+      problems: mapped
+    };
+  }
+
+  /**
+   * Split the runner's report from a script's output
+   * @param {string} stdout - Script output
+   * @returns {Object} - { output, main, problems }
+   */
+  function extractReport(stdout) {
+    const text = String(stdout || '');
+    const index = text.lastIndexOf(REPORT_MARKER);
+    if (index === -1) {
+      return { output: text, main: null, problems: [] };
+    }
+
+    const end = text.indexOf('\n', index);
+    const json = text.slice(index + REPORT_MARKER.length, end === -1 ? text.length : end);
+    const output = text.slice(0, index) + (end === -1 ? '' : text.slice(end + 1));
+
+    let report;
+    try {
+      report = JSON.parse(json);
+    } catch (error) {
+      return { output: text, main: null, problems: [] };
+    }
+
+    return {
+      output: output,
+      main: report.main,
+      problems: report.problems.map(problem => ({
+        severity: severityOf(problem.level),
+        type: problem.exception || LEVEL_NAMES[problem.level] || 'Error',
+        message: problem.message,
+        file: problem.file,
+        line: problem.line,
+        trace: problem.trace
+      }))
+    };
+  }
+
+  /**
+   * Find the errors PHP printed itself and take them out of the output
+   * @param {string} text - Script output
+   * @returns {Object} - { output, problems }
+   */
+  function parseOutput(text) {
+    const problems = [];
+
+    let output = String(text || '').replace(PRINTED_EXCEPTION, (match, type, message, file, line, trace) => {
+      problems.push({
+        severity: 'error',
+        type: type,
+        message: (message || '').trim(),
+        file: file,
+        line: Number(line),
+        trace: parseTrace(trace)
+      });
+      return '';
+    });
+
+    output = output.replace(PRINTED_ERROR, (match, label, message, file, line) => {
+      problems.push({
+        severity: /error/i.test(label) ? 'error' : label === 'Warning' ? 'warning' : 'notice',
+        type: label,
+        message: message,
+        file: file,
+        line: Number(line),
+        trace: []
+      });
+      return '';
+    });
+
+    return { output, problems };
+  }
+
+  /**
+   * Parse a printed stack trace ("#0 file(12): function()")
+   * @param {string} text - Stack trace lines
+   * @returns {Array<Object>} - { file, line, function }
+   */
+  function parseTrace(text) {
+    return String(text).split('\n')
+      .map(line => line.trim().match(PRINTED_FRAME))
+      .filter(Boolean)
+      .map(match => ({
+        file: match[1] || null,
+        line: match[2] ? Number(match[2]) : null,
+        function: match[3]
+      }));
+  }
+
+  /**
+   * Point problems and their stack frames at what generated the code
+   * @param {Array<Object>} problems - Captured problems
+   * @param {string|null} main - The script's own file name, when the runner reported it
+   * @param {Array<Object>} sourceMap - { start, end, file, target } line ranges
+   * @returns {Array<Object>}
+   */
+  function mapProblems(problems, main, sourceMap) {
+    // Fatal errors stop the runner before it reports, but PHP still prints the run file's name
+    const isMain = (file) => Boolean(file) && (file === main || file === RUN_FILE || file.endsWith('/' + RUN_FILE));
+
+    const locate = (file, line) => {
+      if (!file || !line) return null;
+
+      const segment = sourceMap.find(entry => {
+        const sameFile = entry.file ? file === entry.file || file.endsWith('/' + entry.file) : isMain(file);
+        return sameFile && line >= entry.start && line <= entry.end;
+      });
+      return segment ? { target: segment.target, targetLine: line - segment.start + 1 } : null;
+    };
+
+    return problems.map(problem => {
+      const trace = (problem.trace || []).map(frame => ({ ...frame, ...locate(frame.file, frame.line) }));
+
+      // Errors raised inside helpers or vendor code belong to the nearest generated caller
+      const location = locate(problem.file, problem.line) || trace.find(frame => frame.target) || null;
+
+      return {
+        ...problem,
+        trace: trace,
+        target: location ? location.target : null,
+        targetLine: location ? location.targetLine : null
+      };
+    });
+  }
+
+  /**
+   * Map a PHP error level to a severity
+   * @param {number} level - E_* constant value
+   * @returns {string} - 'error', 'warning' or 'notice'
+   */
+  function severityOf(level) {
+    if (ERROR_LEVELS.includes(level)) return 'error';
+    if (WARNING_LEVELS.includes(level)) return 'warning';
+    return 'notice';
+  }
+
+  /**
+   * Format a problem the way PHP prints it, located in its component or node when known
+   * @param {Object} problem - Problem
+   * @returns {string}
+   */
+  function formatProblem(problem) {
+    const [where, line] = problem.target ?
+      [problem.target.label || problem.target.id, problem.targetLine] :
+      [problem.file, problem.line];
+    const location = where ? ` in ${where}${line ? ` on line ${line}` : ''}` : '';
+    return `${problem.type}: ${problem.message}${location}`;
+  }
+
+  /**
+   * Replace the problems kept for a source
+   * @param {string} source - Source key
+   * @param {Array<Object>} problems - Problems (empty to clear)
+   */
+  function setProblems(source, problems) {
+    if (problems.length > 0) {
+      problemsBySource.set(source, problems.map(problem => ({ ...problem, source })));
+    } else {
+      problemsBySource.delete(source);
+    }
+    notifyListeners('problems', { source, problems: getProblems() });
+  }
+
+  /**
+   * Get the problems of the latest runs
+   * @param {string} source - Only this source's problems (optional)
+   * @returns {Array<Object>}
+   */
+  function getProblems(source) {
+    if (source !== undefined) {
+      return problemsBySource.get(source) || [];
+    }
+    return Array.from(problemsBySource.values()).flat();
+  }
+
+  /**
+   * Forget problems
+   * @param {string} source - Only this source's problems (optional)
+   */
+  function clearProblems(source) {
+    if (source !== undefined) {
+      setProblems(source, []);
+      return;
+    }
+    problemsBySource.clear();
+    notifyListeners('problems', { source: null, problems: [] });
+  }
+
+  /**
+   * Render a list of problems with expandable stack traces
+   * @param {HTMLElement} container - Element to render into
+   * @param {Array<Object>} problems - Problems
+   * @param {Object} options - onSelect(target, targetLine) for problems and frames that map to a component or node
+   */
+  function renderProblems(container, problems, options = {}) {
+    if (problems.length === 0) {
+      container.innerHTML = '<p class="text-muted small">No problems</p>';
+      return;
+    }
+
+    const badges = { error: 'bg-danger', warning: 'bg-warning text-dark', notice: 'bg-secondary' };
+    const locationOf = (item) => item.target ?
+      `${escapeHtml(item.target.label || item.target.id)}${item.targetLine ? `, line ${item.targetLine}` : ''}` :
+      escapeHtml(item.file ? `${item.file}${item.line ? `:${item.line}` : ''}` : '');
+
+    container.innerHTML = problems.map((problem, index) => `
+      <div class="php-problem mb-2">
+        <div>
+          <span class="badge ${badges[problem.severity]}">${escapeHtml(problem.type)}</span>
+          <span class="small">${escapeHtml(problem.message)}</span>
+        </div>
+        <div class="small">
+          ${problem.target ?
+            `<a href="#" data-problem="${index}">${locationOf(problem)}</a>` :
+            `<span class="text-muted">${locationOf(problem)}</span>`}
+        </div>
+        ${problem.trace.length > 0 ? `
+          <details class="small">
+            <summary class="text-muted">Stack trace</summary>
+            <ol class="mb-0 ps-3" start="0">
+              ${problem.trace.map((frame, frameIndex) => `
+                <li>
+                  <code>${escapeHtml(frame.function || '')}</code>
+                  ${frame.target ?
+                    `<a href="#" data-problem="${index}" data-frame="${frameIndex}">${locationOf(frame)}</a>` :
+                    `<span class="text-muted">${locationOf(frame)}</span>`}
+                </li>`).join('')}
+            </ol>
+          </details>` : ''}
+      </div>`).join('');
+
+    container.querySelectorAll('[data-problem]').forEach(link => {
+      link.addEventListener('click', event => {
+        event.preventDefault();
+        const problem = problems[Number(link.dataset.problem)];
+        const item = link.dataset.frame !== undefined ? problem.trace[Number(link.dataset.frame)] : problem;
+        if (options.onSelect) options.onSelect(item.target, item.targetLine, problem);
+      });
+    });
+  }
+
+  /**
+   * Encode bytes as base64
+   * @param {Uint8Array} bytes - Bytes to encode
+   * @returns {string}
+   */
+  function base64Encode(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  /**
+   * Escape HTML special characters
+   * @param {string} text - Text to escape
+   * @returns {string}
+   */
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#039;');
+  }
+
+  /**
+   * Add event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback function
+   */
+  function addEventListener(event, callback) {
+    if (listeners[event]) {
+      listeners[event].push(callback);
+    }
+  }
+
+  /**
+   * Remove event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback function
+   */
+  function removeEventListener(event, callback) {
+    if (listeners[event]) {
+      const index = listeners[event].indexOf(callback);
+      if (index !== -1) {
+        listeners[event].splice(index, 1);
+      }
+    }
+  }
+
+  /**
+   * Notify listeners of an event
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   */
+  function notifyListeners(event, data) {
+    if (listeners[event]) {
+      listeners[event].forEach(callback => {
+        try {
+          callback(data);
+        } catch (error) {
+          console.error(`Error in ${event} listener:`, error);
+        }
+      });
+    }
+  }
+
+  // Runs a script from RUN_FILE and reports what went wrong. PHP-WASM keeps
+  // one request alive between runs, so everything is undone in finally.
+  const RUNNER = String.raw`<?php
+$__algorithmpress = [
+    'file' => rtrim(getcwd(), '/') . '/__FILE__',
+    'code' => base64_decode('__CODE__'),
+    'problems' => []
+];
+__PREPARE__
+file_put_contents($__algorithmpress['file'], $__algorithmpress['code']);
+
+set_error_handler(function ($level, $message, $file, $line) {
+    if (error_reporting() & $level) {
+        $GLOBALS['__algorithmpress']['problems'][] = [
+            'level' => $level,
+            'message' => $message,
+            'file' => $file,
+            'line' => $line,
+            'trace' => array_slice(debug_backtrace(DEBUG_BACKTRACE_IGNORE_ARGS), 1)
+        ];
+    }
+
+    // PHP still prints it, so the message isn't lost if the script exits
+    return false;
+});
+
+try {
+    include $__algorithmpress['file'];
+} catch (Throwable $exception) {
+    $__algorithmpress['problems'][] = [
+        'level' => E_ERROR,
+        'exception' => get_class($exception),
+        'message' => $exception->getMessage(),
+        'file' => $exception->getFile(),
+        'line' => $exception->getLine(),
+        'trace' => $exception->getTrace()
+    ];
+} finally {
+    restore_error_handler();
+    @unlink($__algorithmpress['file']);
+__FINISH__
+
+    $__algorithmpress['problems'] = array_map(function ($problem) {
+        $frames = array_filter($problem['trace'], function ($frame) {
+            return ($frame['file'] ?? null) !== __FILE__;
+        });
+        $problem['trace'] = array_map(function ($frame) {
+            return [
+                'file' => $frame['file'] ?? null,
+                'line' => $frame['line'] ?? null,
+                'function' => (isset($frame['class']) ? $frame['class'] . $frame['type'] : '') . ($frame['function'] ?? '') . '()'
+            ];
+        }, array_values($frames));
+        return $problem;
+    }, $__algorithmpress['problems']);
+
+    echo '__MARKER__', json_encode([
+        'main' => $__algorithmpress['file'],
+        'problems' => $__algorithmpress['problems']
+    ], JSON_PARTIAL_OUTPUT_ON_ERROR | JSON_INVALID_UTF8_SUBSTITUTE), "\n";
+    unset($__algorithmpress);
+}
+`;
+
+  // Public API
+  return {
+    isAvailable,
+    instrument,
+    combine,
+    run,
+    parseOutput,
+    formatProblem,
+    setProblems,
+    getProblems,
+    clearProblems,
+    renderProblems,
+    addEventListener,
+    removeEventListener
+  };
+})();
+
+// Export for ES modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PHPWasmErrors;
+}
@@ -12,8 +12,10 @@ const PHPWasmExporter = (function() {
   // Available export formats
   const EXPORT_FORMATS = {
     STANDALONE_HTML: 'standalone_html',
+    STATIC_SITE: 'static_site',
     PHP_FILES: 'php_files',
     WORDPRESS_PLUGIN: 'wordpress_plugin',
+    WORDPRESS_BLOCKS: 'wordpress_blocks',
     NODEJS_EXPRESS: 'nodejs_express',
     DOCKER_CONTAINER: 'docker_container'
   };
@@ -26,14 +28,82 @@ const PHPWasmExporter = (function() {
     FTP: 'ftp'
   };
   
+  // How the export wizard presents each format
+  const FORMAT_DETAILS = {
+    [EXPORT_FORMATS.STANDALONE_HTML]: {
+      name: 'Standalone HTML',
+      description: 'One HTML file that runs its PHP in the browser with PHP-WASM',
+      icon: 'fas fa-file-code'
+    },
+    [EXPORT_FORMATS.STATIC_SITE]: {
+      name: 'Static site',
+      description: 'Every page pre-rendered to HTML at a clean URL, with a sitemap and an RSS feed',
+      icon: 'fas fa-sitemap'
+    },
+    [EXPORT_FORMATS.PHP_FILES]: {
+      name: 'PHP files',
+      description: 'index.php, shared includes and a file per component, for any PHP host',
+      icon: 'fab fa-php'
+    },
+    [EXPORT_FORMATS.WORDPRESS_PLUGIN]: {
+      name: 'WordPress plugin',
+      description: 'A plugin with a shortcode per component and an admin page listing them',
+      icon: 'fab fa-wordpress'
+    },
+    [EXPORT_FORMATS.WORDPRESS_BLOCKS]: {
+      name: 'WordPress blocks',
+      description: 'A plugin with a block per component, whose properties editors set in the block editor',
+      icon: 'fas fa-cubes'
+    },
+    [EXPORT_FORMATS.NODEJS_EXPRESS]: {
+      name: 'Node.js Express app',
+      description: 'An Express server with the components converted to EJS views',
+      icon: 'fab fa-node-js'
+    },
+    [EXPORT_FORMATS.DOCKER_CONTAINER]: {
+      name: 'Docker container',
+      description: 'The PHP files with a Dockerfile and docker-compose.yml',
+      icon: 'fab fa-docker'
+    }
+  };
+  
+  // PHP versions an export can target
+  const PHP_VERSIONS = ['7.4', '8.0', '8.1', '8.2', '8.3'];
+  
+  // Placeholder for a slot in a component template
+  const SLOT_PATTERN = /{{ slot:([\w-]+) }}/g;
+  
+  // A path built from a directory constant, e.g. __DIR__ . '/includes/functions.php'
+  const PATH_REFERENCE_PATTERN = /(__DIR__|plugin_dir_(?:path|url)\(\s*(?:dirname\(\s*__FILE__\s*\)|__FILE__)\s*\)|[A-Z][A-Z0-9_]*_PLUGIN_DIR)\s*\.\s*'([^']+)'/g;
+  
+  // A page route such as /about or /blog/first-post
+  const ROUTE_PATTERN = /^\/[a-z0-9-]+(\/[a-z0-9-]+)*$/;
+  
+  // A link or asset in a static page, e.g. href="../about/"
+  const HTML_LINK_PATTERN = /\b(?:href|src)="([^"]*)"/g;
+  
+  // A message PHP printed while a static page was pre-rendered
+  const PHP_MESSAGE_PATTERN = /(Fatal error|Parse error|Warning|Notice|Deprecated)(?:<\/b>)?:\s+([^\n]*?) in (?:<b>)?[^\n<]*?(?:<\/b>)?(?: on line (?:<b>)?\d+|:\d+)/g;
+  
+  // An EJS include, e.g. <%- include('components/component-1') %>
+  const EJS_INCLUDE_PATTERN = /include\(\s*'([^']+)'/g;
+  
+  // Separates the syntax check's result from anything else PHP prints
+  const LINT_MARKER = '__ALGORITHMPRESS_EXPORT_LINT__';
+  
   /**
    * Initialize the exporter module
    * @returns {Promise} - Promise that resolves when initialized
    */
   function initialize() {
     return new Promise((resolve, reject) => {
+      // Use JSZip if the page already loaded it
+      if (!JSZip && typeof window !== 'undefined' && window.JSZip) {
+        JSZip = window.JSZip;
+      }
+      
       // Load JSZip library
-      if (typeof JSZip === 'undefined') {
+      if (!JSZip) {
         loadJSZip()
           .then(() => {
             console.log('JSZip loaded successfully');
@@ -85,10 +155,14 @@ const PHPWasmExporter = (function() {
     switch (format) {
       case EXPORT_FORMATS.STANDALONE_HTML:
         return exportStandaloneHtml(project, options);
+      case EXPORT_FORMATS.STATIC_SITE:
+        return exportStaticSite(project, options);
       case EXPORT_FORMATS.PHP_FILES:
         return exportPhpFiles(project, options);
       case EXPORT_FORMATS.WORDPRESS_PLUGIN:
         return exportWordPressPlugin(project, options);
+      case EXPORT_FORMATS.WORDPRESS_BLOCKS:
+        return exportWordPressBlocks(project, options);
       case EXPORT_FORMATS.NODEJS_EXPRESS:
         return exportNodeJsExpress(project, options);
       case EXPORT_FORMATS.DOCKER_CONTAINER:
@@ -98,6 +172,82 @@ const PHPWasmExporter = (function() {
     }
   }
   
+  /**
+   * Find the template a component instance was made from
+   * @param {Object} component - Component instance
+   * @param {Object} options - Export options (componentTemplates)
+   * @returns {Object|null} - Component template
+   */
+  function findComponentTemplate(component, options = {}) {
+    return (options.componentTemplates || []).find(t => t.id === component.componentId) || null;
+  }
+  
+  /**
+   * Render a component instance with its props and the components in its slots
+   * @param {Object} component - Component instance
+   * @param {Object} options - Export options (componentTemplates)
+   * @returns {string} - Rendered code ('' when the component's template isn't available)
+   */
+  function renderComponentCode(component, options = {}) {
+    const componentTemplate = findComponentTemplate(component, options);
+    if (!componentTemplate) return '';
+    
+    let code;
+    if (typeof PHPWasmTemplates !== 'undefined') {
+      code = PHPWasmTemplates.renderComponent(componentTemplate, component.props || {}, {
+        components: options.componentTemplates
+      });
+    } else {
+      code = fillPlaceholders(componentTemplate.template, component.props || {});
+    }
+    
+    // Fill the slots the way the builder does; slots without a placeholder go at the end
+    const slots = componentTemplate.slots || [];
+    const fill = slot => ((component.slots && component.slots[slot.name]) || [])
+      .map(child => renderComponentCode(child, options))
+      .join('\n');
+    
+    let filled = code.replace(SLOT_PATTERN, (placeholder, name) => {
+      const slot = slots.find(s => s.name === name);
+      return slot ? fill(slot) : '';
+    });
+    
+    slots.forEach(slot => {
+      if (!code.includes(`{{ slot:${slot.name} }}`)) {
+        filled += fill(slot);
+      }
+    });
+    
+    return filled;
+  }
+  
+  /**
+   * Fill a template's plain placeholders, for when the template engine isn't loaded
+   * @param {string} template - Component template
+   * @param {Object} props - Property values
+   * @returns {string}
+   */
+  function fillPlaceholders(template, props) {
+    let code = template;
+    Object.entries(props).forEach(([key, value]) => {
+      const regex = new RegExp(`{{ ${key}(?: \\|[^}]*)? }}`, 'g');
+      code = code.replace(regex, () => value);
+    });
+    return code;
+  }
+  
+  /**
+   * Visit a list of components and everything nested in their slots
+   * @param {Array<Object>} components - Component instances
+   * @param {Function} callback - Called with each component, parents first
+   */
+  function walkComponents(components, callback) {
+    (components || []).forEach(component => {
+      callback(component);
+      Object.values(component.slots || {}).forEach(children => walkComponents(children, callback));
+    });
+  }
+  
   /**
    * Export as standalone HTML with PHP-WASM
    * @param {Object} project - Project object
@@ -131,42 +281,13 @@ const PHPWasmExporter = (function() {
     let componentsHtml = '';
     
     if (project.components && project.components.length > 0) {
-      componentsHtml = project.components.map(component => {
-        const componentTemplate = options.componentTemplates.find(t => t.id === component.componentId);
-        if (!componentTemplate) return '';
-        
-        let html = componentTemplate.template;
-        
-        // Replace placeholders with values
-        Object.entries(component.props).forEach(([key, value]) => {
-          const regex = new RegExp(`{{ ${key} }}`, 'g');
-          html = html.replace(regex, value);
-        });
-        
-        return html;
-      }).join('\n');
+      componentsHtml = project.components
+        .map(component => renderComponentCode(component, options))
+        .join('\n');
     }
     
     // Get theme CSS link
-    let themeCssLink = '';
-    let themeJsScript = '';
-    
-    switch (project.theme) {
-      case 'bootstrap':
-        themeCssLink = '<link href="https://cdn.jsdelivr.net/npm/bootstrap@5.0.0-beta3/dist/css/bootstrap.min.css" rel="stylesheet">';
-        themeJsScript = '<script src="https://cdn.jsdelivr.net/npm/bootstrap@5.0.0-beta3/dist/js/bootstrap.bundle.min.js"></script>';
-        break;
-      case 'material':
-        themeCssLink = '<link href="https://cdnjs.cloudflare.com/ajax/libs/materialize/1.0.0/css/materialize.min.css" rel="stylesheet">';
-        themeJsScript = '<script src="https://cdnjs.cloudflare.com/ajax/libs/materialize/1.0.0/js/materialize.min.js"></script>';
-        break;
-      case 'bulma':
-        themeCssLink = '<link href="https://cdn.jsdelivr.net/npm/bulma@0.9.3/css/bulma.min.css" rel="stylesheet">';
-        break;
-      case 'tailwind':
-        themeCssLink = '<link href="https://cdn.jsdelivr.net/npm/tailwindcss@2.2.19/dist/tailwind.min.css" rel="stylesheet">';
-        break;
-    }
+    const { themeCssLink, themeJsScript } = getThemeTags(project);
     
     // Generate full HTML
     return `<!DOCTYPE html>
@@ -203,6 +324,284 @@ const PHPWasmExporter = (function() {
 </html>`;
   }
   
+  /**
+   * Get the tags that load the project's theme
+   * @param {Object} project - Project object
+   * @returns {Object} - { themeCssLink, themeJsScript } ('' for themes without them)
+   */
+  function getThemeTags(project) {
+    switch (project.theme) {
+      case 'bootstrap':
+        return {
+          themeCssLink: '<link href="https://cdn.jsdelivr.net/npm/bootstrap@5.0.0-beta3/dist/css/bootstrap.min.css" rel="stylesheet">',
+          themeJsScript: '<script src="https://cdn.jsdelivr.net/npm/bootstrap@5.0.0-beta3/dist/js/bootstrap.bundle.min.js"></script>'
+        };
+      case 'material':
+        return {
+          themeCssLink: '<link href="https://cdnjs.cloudflare.com/ajax/libs/materialize/1.0.0/css/materialize.min.css" rel="stylesheet">',
+          themeJsScript: '<script src="https://cdnjs.cloudflare.com/ajax/libs/materialize/1.0.0/js/materialize.min.js"></script>'
+        };
+      case 'bulma':
+        return { themeCssLink: '<link href="https://cdn.jsdelivr.net/npm/bulma@0.9.3/css/bulma.min.css" rel="stylesheet">', themeJsScript: '' };
+      case 'tailwind':
+        return { themeCssLink: '<link href="https://cdn.jsdelivr.net/npm/tailwindcss@2.2.19/dist/tailwind.min.css" rel="stylesheet">', themeJsScript: '' };
+      default:
+        return { themeCssLink: '', themeJsScript: '' };
+    }
+  }
+  
+  /**
+   * Export as a static site: each page's PHP is run with PHP-WASM and the output
+   * saved at a clean URL (/about is about/index.html), with a sitemap, an RSS feed,
+   * robots.txt and a 404 page
+   * @param {Object} project - Project object
+   * @param {Object} options - Export options (baseUrl, siteTitle, scope the PHP runs in)
+   * @returns {Promise<Blob>} - Promise that resolves with ZIP blob
+   */
+  function exportStaticSite(project, options = {}) {
+    if (!JSZip) {
+      return Promise.reject(new Error('JSZip is not loaded'));
+    }
+    if (!isPhpRunning()) {
+      return Promise.reject(new Error('PHP-WASM isn\'t running, so the pages can\'t be pre-rendered'));
+    }
+    
+    const zip = new JSZip();
+    const pages = getSitePages(project);
+    
+    // One page at a time, each starting from a fresh PHP state
+    const rendered = pages.reduce((previous, page) => previous
+      .then(() => renderPageContent(project, page, options))
+      .then(content => {
+        zip.file(getPagePath(page.route), generateStaticPage(project, page, pages, content, getRelativeRoot(page.route), options));
+      }), Promise.resolve());
+    
+    return rendered.then(() => {
+      // Hosts serve the 404 page at any depth, so its links start from the site's root
+      const notFound = { title: 'Page not found', route: null, description: '' };
+      const rootPath = new URL(options.baseUrl || 'https://example.com').pathname.replace(/\/?$/, '/');
+      zip.file('404.html', generateStaticPage(project, notFound, pages, `<h1>Page not found</h1>
+    <p>The page you're looking for isn't here. <a href="${rootPath}">Go to the home page</a>.</p>`, rootPath, options));
+      
+      zip.file('sitemap.xml', generateSitemap(pages, options));
+      zip.file('feed.xml', generateRssFeed(project, pages, options));
+      zip.file('robots.txt', `User-agent: *
+Allow: /
+
+Sitemap: ${getPageUrl('/', options)}sitemap.xml
+`);
+      
+      zip.folder('css').file('style.css', project.customStyles || '/* Custom styles */');
+      zip.folder('js').file('main.js', project.customScripts || '/* Custom scripts */');
+      
+      return zip.generateAsync({ type: 'blob' });
+    });
+  }
+  
+  /**
+   * Get the pages of a project: the home page with the project's components, then project.pages
+   * @param {Object} project - Project object
+   * @returns {Array<Object>} - { id, title, route, description, components, date }
+   */
+  function getSitePages(project) {
+    const date = project.lastModified || project.createdAt;
+    const home = {
+      id: 'home',
+      title: project.name,
+      route: '/',
+      description: project.description || '',
+      components: project.components || [],
+      date: date
+    };
+    
+    return [home, ...(project.pages || []).map(page => ({
+      id: page.id,
+      title: page.title,
+      route: page.route,
+      description: page.description || '',
+      components: page.components || [],
+      date: page.createdAt || date
+    }))];
+  }
+  
+  /**
+   * Run a page's PHP (the project's custom PHP, then its components) and return the output
+   * @param {Object} project - Project object
+   * @param {Object} page - Page (from getSitePages)
+   * @param {Object} options - Export options (componentTemplates, scope)
+   * @returns {Promise<string>} - Promise that resolves with the page's HTML
+   */
+  function renderPageContent(project, page, options = {}) {
+    let customPhp = project.customPhp || '';
+    if (customPhp.lastIndexOf('<?php') > customPhp.lastIndexOf('?>')) {
+      customPhp += '\n?>\n';
+    }
+    
+    const code = customPhp + page.components.map(component => renderComponentCode(component, options)).join('\n');
+    
+    return PHPWasmIntegration.execute(code, { scope: options.scope, fresh: true }).then(result => {
+      // A fatal error printed in the page is reported by checkStaticPage, with the rest of the build
+      if (result.exitCode && !new RegExp(PHP_MESSAGE_PATTERN.source).test(result.stdout)) {
+        throw new Error(`PHP stopped while pre-rendering ${page.route} (${page.title}): ${result.stderr || 'it printed no error'}`);
+      }
+      return result.stdout;
+    });
+  }
+  
+  /**
+   * Generate a static page
+   * @param {Object} project - Project object
+   * @param {Object} page - Page (from getSitePages; route is null for the 404 page)
+   * @param {Array<Object>} pages - All pages, for the navigation
+   * @param {string} content - Pre-rendered HTML of the page's components
+   * @param {string} root - Path from the page to the site's root, e.g. ../
+   * @param {Object} options - Export options (baseUrl, siteTitle)
+   * @returns {string} - Generated HTML
+   */
+  function generateStaticPage(project, page, pages, content, root, options = {}) {
+    const siteTitle = options.siteTitle || project.name;
+    const { themeCssLink, themeJsScript } = getThemeTags(project);
+    const link = route => (root + (route === '/' ? '' : route.slice(1) + '/')) || './';
+    
+    const navigation = pages.map(item => `      <li class="nav-item"><a class="nav-link${item.route === page.route ? ' active" aria-current="page' : ''}" href="${link(item.route)}">${escapeHtml(item.title)}</a></li>`).join('\n');
+    
+    // Links written as routes (href="/about") work wherever the site is hosted
+    const routes = new Set(pages.map(item => item.route));
+    const body = content.replace(/\bhref="(\/[^"#?]*)([^"]*)"/g, (match, path, rest) => {
+      const route = path === '/' ? '/' : path.replace(/\/$/, '');
+      return routes.has(route) ? `href="${link(route)}${rest}"` : match;
+    });
+    
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(page.route === '/' ? siteTitle : `${page.title} | ${siteTitle}`)}</title>
+${page.description ? `  <meta name="description" content="${escapeHtml(page.description)}">
+` : ''}${page.route ? `  <link rel="canonical" href="${getPageUrl(page.route, options)}">
+` : ''}  <link rel="alternate" type="application/rss+xml" title="${escapeHtml(siteTitle)}" href="${root}feed.xml">
+  
+  <!-- Theme CSS -->
+  ${themeCssLink}
+  
+  <!-- Custom Styles -->
+  <link rel="stylesheet" href="${root}css/style.css">
+</head>
+<body>
+  <nav class="site-nav">
+    <ul class="nav">
+${navigation}
+    </ul>
+  </nav>
+  
+  <main class="container py-4">
+    ${body}
+  </main>
+  
+  <!-- Theme Scripts -->
+  ${themeJsScript}
+  
+  <!-- Custom Scripts -->
+  <script src="${root}js/main.js"></script>
+</body>
+</html>
+`;
+  }
+  
+  /**
+   * Generate sitemap.xml
+   * @param {Array<Object>} pages - Pages (from getSitePages)
+   * @param {Object} options - Export options (baseUrl)
+   * @returns {string} - Generated XML
+   */
+  function generateSitemap(pages, options = {}) {
+    const urls = pages.map(page => `  <url>
+    <loc>${escapeHtml(getPageUrl(page.route, options))}</loc>
+    <lastmod>${toDate(page.date).toISOString().slice(0, 10)}</lastmod>
+  </url>`).join('\n');
+    
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls}
+</urlset>
+`;
+  }
+  
+  /**
+   * Generate feed.xml, an RSS feed of the pages, newest first
+   * @param {Object} project - Project object
+   * @param {Array<Object>} pages - Pages (from getSitePages)
+   * @param {Object} options - Export options (baseUrl, siteTitle)
+   * @returns {string} - Generated XML
+   */
+  function generateRssFeed(project, pages, options = {}) {
+    // The home page is the channel itself unless it's the only page
+    const entries = (pages.length > 1 ? pages.slice(1) : pages)
+      .slice()
+      .sort((a, b) => toDate(b.date) - toDate(a.date));
+    
+    const items = entries.map(page => `    <item>
+      <title>${escapeHtml(page.title)}</title>
+      <link>${escapeHtml(getPageUrl(page.route, options))}</link>
+      <guid isPermaLink="true">${escapeHtml(getPageUrl(page.route, options))}</guid>
+      <description>${escapeHtml(page.description)}</description>
+      <pubDate>${toDate(page.date).toUTCString()}</pubDate>
+    </item>`).join('\n');
+    
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeHtml(options.siteTitle || project.name)}</title>
+    <link>${escapeHtml(getPageUrl('/', options))}</link>
+    <description>${escapeHtml(project.description || options.siteTitle || project.name)}</description>
+    <atom:link href="${escapeHtml(getPageUrl('/', options))}feed.xml" rel="self" type="application/rss+xml" />
+    <lastBuildDate>${new Date().toUTCString()}</lastBuildDate>
+${items}
+  </channel>
+</rss>
+`;
+  }
+  
+  /**
+   * Get the file a route is saved as
+   * @param {string} route - Page route
+   * @returns {string} - e.g. index.html or about/index.html
+   */
+  function getPagePath(route) {
+    return route === '/' ? 'index.html' : `${route.slice(1)}/index.html`;
+  }
+  
+  /**
+   * Get the path from a page back to the site's root
+   * @param {string} route - Page route
+   * @returns {string} - '' for the home page, ../ for /about, ../../ for /blog/post
+   */
+  function getRelativeRoot(route) {
+    return route === '/' ? '' : '../'.repeat(route.split('/').length - 1);
+  }
+  
+  /**
+   * Get the full URL of a page
+   * @param {string} route - Page route
+   * @param {Object} options - Export options (baseUrl)
+   * @returns {string} - e.g. https://example.com/about/
+   */
+  function getPageUrl(route, options = {}) {
+    const base = (options.baseUrl || 'https://example.com').replace(/\/+$/, '');
+    return route === '/' ? `${base}/` : `${base}${route}/`;
+  }
+  
+  /**
+   * Read a date, falling back to now
+   * @param {string} value - Date string
+   * @returns {Date}
+   */
+  function toDate(value) {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? new Date() : date;
+  }
+  
   /**
    * Export as PHP files
    * @param {Object} project - Project object
@@ -250,24 +649,16 @@ const PHPWasmExporter = (function() {
           const componentsDir = zip.folder('components');
           
           project.components.forEach(component => {
-            const componentTemplate = options.componentTemplates.find(t => t.id === component.componentId);
-            if (!componentTemplate) return;
-            
-            // Create component PHP file
-            let componentCode = componentTemplate.template;
+            if (!findComponentTemplate(component, options)) return;
             
-            // Replace placeholders with values
-            Object.entries(component.props).forEach(([key, value]) => {
-              const regex = new RegExp(`{{ ${key} }}`, 'g');
-              componentCode = componentCode.replace(regex, value);
-            });
-            
-            componentsDir.file(`${component.componentId}-${component.id}.php`, componentCode);
+            // Create component PHP file, with the components in its slots
+            componentsDir.file(`${component.componentId}-${component.id}.php`, renderComponentCode(component, options));
           });
         }
         
-        // Generate zip file
-        zip.generateAsync({ type: 'blob' })
+        // Add Composer packages and their autoloader, then generate zip file
+        addComposerFiles(zip, project, options)
+          .then(() => zip.generateAsync({ type: 'blob' }))
           .then(blob => {
             resolve(blob);
           })
@@ -280,6 +671,43 @@ const PHPWasmExporter = (function() {
     });
   }
   
+  /**
+   * Check whether a project has installed Composer packages
+   * @param {Object} project - Project object
+   * @returns {boolean}
+   */
+  function usesComposer(project) {
+    return Boolean(project.composer && project.composer.lock);
+  }
+  
+  /**
+   * Add composer.json, composer.lock and vendor/ to an export
+   * @param {Object} folder - JSZip folder of the export's root
+   * @param {Object} project - Project object
+   * @param {Object} options - Export options (composerFiles overrides reading vendor/ from PHP-WASM)
+   * @returns {Promise} - Promise that resolves when the files are added
+   */
+  function addComposerFiles(folder, project, options = {}) {
+    if (!usesComposer(project)) {
+      return Promise.resolve();
+    }
+    
+    let files;
+    if (options.composerFiles) {
+      files = Promise.resolve(options.composerFiles);
+    } else if (typeof PHPWasmComposer !== 'undefined') {
+      files = PHPWasmComposer.getExportFiles(project);
+    } else {
+      return Promise.reject(new Error('Composer support is not loaded'));
+    }
+    
+    return files.then(entries => {
+      Object.entries(entries).forEach(([path, content]) => {
+        folder.file(path, content);
+      });
+    });
+  }
+  
   /**
    * Generate main PHP file
    * @param {Object} project - Project object
@@ -293,9 +721,18 @@ const PHPWasmExporter = (function() {
  * Generated by PHP-WASM Builder
  */
 
-// Start session
-session_start();
+${options.phpVersion ? `// Stop early on a PHP version the project wasn't built for
+if (version_compare(PHP_VERSION, '${options.phpVersion}', '<')) {
+  http_response_code(500);
+  exit('This site needs PHP ${options.phpVersion} or later.');
+}
 
+` : ''}// Start session
+session_start();
+${usesComposer(project) ? `
+// Load Composer packages
+require_once __DIR__ . '/vendor/autoload.php';
+` : ''}
 // Include functions
 require_once __DIR__ . '/includes/functions.php';
 
@@ -330,7 +767,8 @@ require_once __DIR__ . '/includes/footer.php';
       return '// No components';
     }
     
-    return project.components.map(component => {
+    // Components whose template isn't available get no file to include
+    return project.components.filter(component => findComponentTemplate(component, options)).map(component => {
       return `// Include ${component.componentId} component
 include __DIR__ . '/components/${component.componentId}-${component.id}.php';`;
     }).join('\n  ');
@@ -479,7 +917,7 @@ function generateRandomString($length = 10) {
       }
       
       try {
-        const pluginSlug = slugify(project.name);
+        const pluginSlug = options.pluginSlug || slugify(project.name);
         const zip = new JSZip();
         const pluginDir = zip.folder(pluginSlug);
         
@@ -487,7 +925,7 @@ function generateRandomString($length = 10) {
         pluginDir.file(`${pluginSlug}.php`, generateMainPluginFile(project, pluginSlug, options));
         
         // Add readme.txt
-        pluginDir.file('readme.txt', generateReadmeTxt(project, options));
+        pluginDir.file('readme.txt', generateReadmeTxt(project, { ...options, pluginSlug }));
         
         // Add includes directory
         const includesDir = pluginDir.folder('includes');
@@ -496,25 +934,12 @@ function generateRandomString($length = 10) {
         
         // Add templates directory
         const templatesDir = pluginDir.folder('templates');
+        templatesDir.file('admin-page.php', generateAdminPage(project, pluginSlug, options));
         
-        // Add component templates
-        if (project.components && project.components.length > 0) {
-          project.components.forEach((component, index) => {
-            const componentTemplate = options.componentTemplates.find(t => t.id === component.componentId);
-            if (!componentTemplate) return;
-            
-            // Create component PHP file
-            let componentCode = componentTemplate.template;
-            
-            // Replace placeholders with values
-            Object.entries(component.props).forEach(([key, value]) => {
-              const regex = new RegExp(`{{ ${key} }}`, 'g');
-              componentCode = componentCode.replace(regex, value);
-            });
-            
-            templatesDir.file(`component-${index + 1}.php`, componentCode);
-          });
-        }
+        // Add component templates, with the components in their slots
+        getShortcodeComponents(project, options).forEach(({ component, number }) => {
+          templatesDir.file(`component-${number}.php`, renderComponentCode(component, options));
+        });
         
         // Add assets directory
         const assetsDir = pluginDir.folder('assets');
@@ -527,8 +952,9 @@ function generateRandomString($length = 10) {
         const jsDir = assetsDir.folder('js');
         jsDir.file('main.js', project.customScripts || '/* Custom scripts */');
         
-        // Generate zip file
-        zip.generateAsync({ type: 'blob' })
+        // Add Composer packages and their autoloader, then generate zip file
+        addComposerFiles(pluginDir, project, options)
+          .then(() => zip.generateAsync({ type: 'blob' }))
           .then(blob => {
             resolve(blob);
           })
@@ -549,18 +975,21 @@ function generateRandomString($length = 10) {
    * @returns {string} - Generated PHP code
    */
   function generateMainPluginFile(project, pluginSlug, options = {}) {
-    const pluginName = project.name;
+    const pluginName = options.pluginName || project.name;
     const className = toCamelCase(pluginSlug, true);
+    const version = options.version || '1.0.0';
+    const functionName = `run_${pluginSlug.replace(/-/g, '_')}`;
     
     return `<?php
 /**
  * Plugin Name: ${escapeHtml(pluginName)}
  * Plugin URI: https://example.com/${pluginSlug}
  * Description: ${escapeHtml(project.description || 'A plugin generated by PHP-WASM Builder')}
- * Version: 1.0.0
+ * Version: ${version}
  * Author: ${escapeHtml(options.author || 'PHP-WASM Builder')}
  * Author URI: https://example.com
- * License: GPL-2.0+
+${options.phpVersion ? ` * Requires PHP: ${options.phpVersion}
+` : ''} * License: GPL-2.0+
  * License URI: http://www.gnu.org/licenses/gpl-2.0.txt
  * Text Domain: ${pluginSlug}
  * Domain Path: /languages
@@ -571,11 +1000,14 @@ if (!defined('WPINC')) {
   die;
 }
 
-define('${className.toUpperCase()}_VERSION', '1.0.0');
+define('${className.toUpperCase()}_VERSION', '${version}');
 define('${className.toUpperCase()}_PLUGIN_DIR', plugin_dir_path(__FILE__));
 define('${className.toUpperCase()}_PLUGIN_URL', plugin_dir_url(__FILE__));
 
-// Include the main class
+${usesComposer(project) ? `// Load Composer packages
+require_once plugin_dir_path(__FILE__) . 'vendor/autoload.php';
+
+` : ''}// Include the main class
 require_once plugin_dir_path(__FILE__) . 'includes/class-main.php';
 
 // Include the shortcodes class
@@ -584,7 +1016,7 @@ require_once plugin_dir_path(__FILE__) . 'includes/class-shortcodes.php';
 /**
  * Begin execution of the plugin.
  */
-function run_${pluginSlug}() {
+function ${functionName}() {
   $plugin = new ${className}();
   $plugin->run();
   
@@ -592,7 +1024,7 @@ function run_${pluginSlug}() {
   $shortcodes->register_shortcodes();
 }
 
-run_${pluginSlug}();
+${functionName}();
 `;
   }
   
@@ -603,12 +1035,16 @@ run_${pluginSlug}();
    * @returns {string} - Generated readme.txt
    */
   function generateReadmeTxt(project, options = {}) {
-    return `=== ${escapeHtml(project.name)} ===
+    const version = options.version || '1.0.0';
+    const pluginName = escapeHtml(options.pluginName || project.name);
+    
+    return `=== ${pluginName} ===
 Contributors: phpwasmbuilder
 Tags: custom, php-wasm
-Requires at least: 5.0
+Requires at least: ${options.blocks ? '5.8' : '5.0'}
 Tested up to: 6.0
-Stable tag: 1.0.0
+${options.phpVersion ? `Requires PHP: ${options.phpVersion}
+` : ''}Stable tag: ${version}
 License: GPLv2 or later
 License URI: http://www.gnu.org/licenses/gpl-2.0.html
 
@@ -622,23 +1058,23 @@ Features:
 
 * Custom components and functionality
 * Easy integration with WordPress
-* Shortcodes for adding components to pages and posts
+${options.blocks ? '* Blocks for adding components in the block editor' : '* Shortcodes for adding components to pages and posts'}
 
 == Installation ==
 
-1. Upload the plugin files to the '/wp-content/plugins/${slugify(project.name)}' directory, or install the plugin through the WordPress plugins screen directly.
+1. Upload the plugin files to the '/wp-content/plugins/${options.pluginSlug || slugify(project.name)}' directory, or install the plugin through the WordPress plugins screen directly.
 2. Activate the plugin through the 'Plugins' screen in WordPress.
-3. Use the provided shortcodes to add components to your pages and posts.
+${options.blocks ? `3. Add the blocks in the "${pluginName}" category to your pages and posts.` : '3. Use the provided shortcodes to add components to your pages and posts.'}
 
 == Frequently Asked Questions ==
 
 = How do I use this plugin? =
 
-Use the shortcodes provided by the plugin to add components to your pages and posts.
+${options.blocks ? 'Add its blocks in the block editor and change their settings in the block sidebar.' : 'Use the shortcodes provided by the plugin to add components to your pages and posts.'}
 
 == Changelog ==
 
-= 1.0.0 =
+= ${version} =
 * Initial release
 `;
   }
@@ -745,8 +1181,8 @@ class ${className} {
    */
   public function add_admin_menu() {
     add_menu_page(
-      '${escapeHtml(project.name)}',
-      '${escapeHtml(project.name)}',
+      '${escapeHtml(options.pluginName || project.name)}',
+      '${escapeHtml(options.pluginName || project.name)}',
       'manage_options',
       '${pluginSlug}',
       array($this, 'display_admin_page'),
@@ -822,35 +1258,30 @@ class ${className} {
     let shortcodeRegistrations = '';
     
     // Generate shortcode methods for each component
-    if (project.components && project.components.length > 0) {
-      project.components.forEach((component, index) => {
-        const componentTemplate = options.componentTemplates.find(t => t.id === component.componentId);
-        if (!componentTemplate) return;
-        
-        const shortcodeName = `${pluginSlug}_component_${index + 1}`;
-        
-        shortcodeMethods += `
+    getShortcodeComponents(project, options).forEach(({ template: componentTemplate, number }) => {
+      const shortcodeName = getShortcodeName(pluginSlug, number);
+      
+      shortcodeMethods += `
   /**
-   * Render component ${index + 1} (${componentTemplate.name})
+   * Render component ${number} (${componentTemplate.name})
    * @param array $atts Shortcode attributes
    * @param string $content Shortcode content
    * @return string Rendered HTML
    */
-  public function render_component_${index + 1}($atts = array(), $content = null) {
+  public function render_component_${number}($atts = array(), $content = null) {
     // Start output buffering
     ob_start();
     
     // Include template
-    include ${className.toUpperCase()}_PLUGIN_DIR . 'templates/component-${index + 1}.php';
+    include ${className.toUpperCase()}_PLUGIN_DIR . 'templates/component-${number}.php';
     
     // Return buffered content
     return ob_get_clean();
   }
 `;
-        
-        shortcodeRegistrations += `    add_shortcode('${shortcodeName}', array($this, 'render_component_${index + 1}'));\n`;
-      });
-    }
+      
+      shortcodeRegistrations += `    add_shortcode('${shortcodeName}', array($this, 'render_component_${number}'));\n`;
+    });
     
     return `<?php
 /**
@@ -867,12 +1298,81 @@ ${shortcodeMethods}}
   }
   
   /**
-   * Export as Node.js Express app
+   * Get the top-level components that become shortcodes
+   * @param {Object} project - Project object
+   * @param {Object} options - Export options
+   * @returns {Array<Object>} - { component, template, number }, numbered by position in the project
+   */
+  function getShortcodeComponents(project, options = {}) {
+    return (project.components || [])
+      .map((component, index) => ({
+        component,
+        template: findComponentTemplate(component, options),
+        number: index + 1
+      }))
+      .filter(entry => entry.template);
+  }
+  
+  /**
+   * Get the shortcode of a component
+   * @param {string} pluginSlug - Plugin slug
+   * @param {number} number - Component number
+   * @returns {string} - Shortcode name (WordPress recommends against hyphens in them)
+   */
+  function getShortcodeName(pluginSlug, number) {
+    return `${pluginSlug.replace(/-/g, '_')}_component_${number}`;
+  }
+  
+  /**
+   * Generate the admin page, which lists the plugin's shortcodes
+   * @param {Object} project - Project object
+   * @param {string} pluginSlug - Plugin slug
+   * @param {Object} options - Export options
+   * @returns {string} - Generated PHP code
+   */
+  function generateAdminPage(project, pluginSlug, options = {}) {
+    const rows = getShortcodeComponents(project, options).map(({ template, number }) => `      <tr>
+        <td>${escapeHtml(template.name)}</td>
+        <td><code>[${getShortcodeName(pluginSlug, number)}]</code></td>
+      </tr>`).join('\n');
+    
+    return `<?php
+/**
+ * The admin page of the plugin.
+ */
+
+// If this file is called directly, abort.
+if (!defined('WPINC')) {
+  die;
+}
+?>
+<div class="wrap">
+  <h1><?php echo esc_html(get_admin_page_title()); ?></h1>
+  <p>Add these shortcodes to a page or post to show the components.</p>
+  <table class="widefat striped">
+    <thead>
+      <tr>
+        <th>Component</th>
+        <th>Shortcode</th>
+      </tr>
+    </thead>
+    <tbody>
+${rows || `      <tr>
+        <td colspan="2">This plugin has no components.</td>
+      </tr>`}
+    </tbody>
+  </table>
+</div>
+`;
+  }
+  
+  /**
+   * Export as a WordPress plugin with a block per component
    * @param {Object} project - Project object
    * @param {Object} options - Export options
    * @returns {Promise<Blob>} - Promise that resolves with ZIP blob
    */
-  function exportNodeJsExpress(project, options = {}) {
+  function exportWordPressBlocks(project, options = {}) {
     return new Promise((resolve, reject) => {
       if (!JSZip) {
         reject(new Error('JSZip is not loaded'));
@@ -880,17 +1380,423 @@ ${shortcodeMethods}}
       }
       
       try {
-        const appName = slugify(project.name);
+        const pluginSlug = options.pluginSlug || slugify(project.name);
+        const blocks = getBlockComponents(project, options);
         const zip = new JSZip();
+        const pluginDir = zip.folder(pluginSlug);
         
-        // Add package.json
-        zip.file('package.json', generatePackageJson(project, appName, options));
+        // Add main plugin file, which registers the blocks
+        pluginDir.file(`${pluginSlug}.php`, generateBlocksPluginFile(project, pluginSlug, blocks, options));
         
-        // Add app.js
-        zip.file('app.js', generateAppJs(project, options));
+        // Add readme.txt
+        pluginDir.file('readme.txt', generateReadmeTxt(project, { ...options, pluginSlug, blocks: true }));
         
-        // Add .env
-        zip.file('.env', 'PORT=3000\nNODE_ENV=development\n');
+        // Add a folder per block with its metadata, editor script and server-side rendering
+        const blocksDir = pluginDir.folder('blocks');
+        blocks.forEach(block => {
+          const blockDir = blocksDir.folder(block.name);
+          blockDir.file('block.json', generateBlockJson(block, pluginSlug, options));
+          blockDir.file('index.js', generateBlockEditorScript(block, pluginSlug));
+          blockDir.file('index.asset.php', generateBlockAsset(options));
+          blockDir.file('render.php', generateBlockRender(block));
+        });
+        
+        // Add assets directory
+        const assetsDir = pluginDir.folder('assets');
+        assetsDir.folder('css').file('style.css', project.customStyles || '/* Custom styles */');
+        assetsDir.folder('js').file('main.js', project.customScripts || '/* Custom scripts */');
+        
+        // Add Composer packages and their autoloader, then generate zip file
+        addComposerFiles(pluginDir, project, options)
+          .then(() => zip.generateAsync({ type: 'blob' }))
+          .then(blob => {
+            resolve(blob);
+          })
+          .catch(error => {
+            reject(error);
+          });
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+  
+  /**
+   * Get the blocks a project's components become. Components made from the same
+   * template share a block unless the props editors can't change differ.
+   * @param {Object} project - Project object
+   * @param {Object} options - Export options (componentTemplates, editableCode)
+   * @returns {Array<Object>} - { name, title, template, props, code, attributes }, attributes being the properties editors can change
+   */
+  function getBlockComponents(project, options = {}) {
+    const blocks = [];
+    
+    walkComponents(project.components, component => {
+      const componentTemplate = findComponentTemplate(component, options);
+      if (!componentTemplate) return;
+      
+      const props = { ...(componentTemplate.defaultProps || {}), ...(component.props || {}) };
+      const { code, dynamic } = renderBlockCode(componentTemplate, props, options);
+      const variants = blocks.filter(block => block.template === componentTemplate);
+      if (variants.some(block => block.code === code)) return;
+      
+      const slug = slugify(componentTemplate.id) || 'component';
+      const name = /^[a-z]/.test(slug) ? slug : `component-${slug}`;
+      const number = variants.length + 1;
+      
+      blocks.push({
+        name: number === 1 ? name : `${name}-${number}`,
+        title: number === 1 ? componentTemplate.name : `${componentTemplate.name} ${number}`,
+        template: componentTemplate,
+        props,
+        code,
+        attributes: (componentTemplate.properties || []).filter(property => dynamic.includes(property.name))
+      });
+    });
+    
+    return blocks;
+  }
+  
+  /**
+   * Render a component template for a block, reading the props editors can change from $attributes
+   * @param {Object} componentTemplate - Component template
+   * @param {Object} props - Property values
+   * @param {Object} options - Export options (componentTemplates, editableCode)
+   * @returns {Object} - { code, dynamic }: PHP code and the props it reads from $attributes
+   */
+  function renderBlockCode(componentTemplate, props, options = {}) {
+    // Blocks nested in the block fill the first slot
+    const slots = componentTemplate.slots || [];
+    const slot = name => slots.length > 0 && name === slots[0].name ? '<?php echo $content; ?>' : '';
+    
+    let code;
+    let dynamic = [];
+    if (typeof PHPWasmTemplates !== 'undefined') {
+      // Code props would let editors run PHP, so they keep their exported values
+      const result = PHPWasmTemplates.renderComponentPhp(componentTemplate, props, {
+        components: options.componentTemplates,
+        dynamic: (componentTemplate.properties || []).filter(property => property.type !== 'code').map(property => property.name),
+        readInCode: options.editableCode === 'editable',
+        slot: slot
+      });
+      code = result.code;
+      dynamic = result.dynamic;
+    } else {
+      code = fillPlaceholders(componentTemplate.template, props).replace(SLOT_PATTERN, (placeholder, name) => slot(name));
+    }
+    
+    if (slots.length > 0 && !componentTemplate.template.includes(`{{ slot:${slots[0].name} }}`)) {
+      code += slot(slots[0].name);
+    }
+    
+    return { code, dynamic };
+  }
+  
+  /**
+   * Generate the main file of a blocks plugin
+   * @param {Object} project - Project object
+   * @param {string} pluginSlug - Plugin slug
+   * @param {Array<Object>} blocks - Blocks (from getBlockComponents)
+   * @param {Object} options - Export options
+   * @returns {string} - Generated PHP code
+   */
+  function generateBlocksPluginFile(project, pluginSlug, blocks, options = {}) {
+    const pluginName = options.pluginName || project.name;
+    const constantPrefix = toCamelCase(pluginSlug, true).toUpperCase();
+    const prefix = pluginSlug.replace(/-/g, '_');
+    const version = options.version || '1.0.0';
+    
+    return `<?php
+/**
+ * Plugin Name: ${escapeHtml(pluginName)}
+ * Plugin URI: https://example.com/${pluginSlug}
+ * Description: ${escapeHtml(project.description || 'Blocks generated by PHP-WASM Builder')}
+ * Version: ${version}
+ * Author: ${escapeHtml(options.author || 'PHP-WASM Builder')}
+ * Author URI: https://example.com
+ * Requires at least: 5.8
+${options.phpVersion ? ` * Requires PHP: ${options.phpVersion}
+` : ''} * License: GPL-2.0+
+ * License URI: http://www.gnu.org/licenses/gpl-2.0.txt
+ * Text Domain: ${pluginSlug}
+ */
+
+// If this file is called directly, abort.
+if (!defined('WPINC')) {
+  die;
+}
+
+define('${constantPrefix}_VERSION', '${version}');
+define('${constantPrefix}_PLUGIN_DIR', plugin_dir_path(__FILE__));
+define('${constantPrefix}_PLUGIN_URL', plugin_dir_url(__FILE__));
+
+${usesComposer(project) ? `// Load Composer packages
+require_once plugin_dir_path(__FILE__) . 'vendor/autoload.php';
+
+` : ''}/**
+ * Register the blocks, each from its folder in blocks/.
+ */
+function ${prefix}_register_blocks() {
+  $blocks = array(${blocks.map(block => phpString(block.name)).join(', ')});
+  
+  foreach ($blocks as $name) {
+    register_block_type(${constantPrefix}_PLUGIN_DIR . 'blocks/' . $name, array(
+      'render_callback' => '${prefix}_render_block',
+    ));
+  }
+}
+add_action('init', '${prefix}_register_blocks');
+
+/**
+ * Render a block with the render.php in its folder.
+ *
+ * @param array    $attributes Block attributes.
+ * @param string   $content    Blocks nested in this one.
+ * @param WP_Block $block      Block instance.
+ * @return string Rendered HTML
+ */
+function ${prefix}_render_block($attributes, $content, $block) {
+  $name = substr($block->name, strlen('${pluginSlug}/'));
+  
+  ob_start();
+  include ${constantPrefix}_PLUGIN_DIR . 'blocks/' . $name . '/render.php';
+  return ob_get_clean();
+}
+
+/**
+ * Add a block category for the plugin's blocks.
+ *
+ * @param array $categories Block categories.
+ * @return array Block categories
+ */
+function ${prefix}_block_categories($categories) {
+  return array_merge(array(
+    array(
+      'slug' => '${pluginSlug}',
+      'title' => ${phpString(pluginName)},
+    ),
+  ), $categories);
+}
+add_filter('block_categories_all', '${prefix}_block_categories');
+
+/**
+ * Enqueue the styles, in the editor and on the site.
+ */
+function ${prefix}_enqueue_block_assets() {
+  ${generateThemeCssEnqueue(project)}
+  wp_enqueue_style('${pluginSlug}', ${constantPrefix}_PLUGIN_URL . 'assets/css/style.css', array(), ${constantPrefix}_VERSION, 'all');
+}
+add_action('enqueue_block_assets', '${prefix}_enqueue_block_assets');
+
+/**
+ * Enqueue the scripts on the site.
+ */
+function ${prefix}_enqueue_scripts() {
+  ${generateThemeJsEnqueue(project)}
+  wp_enqueue_script('${pluginSlug}', ${constantPrefix}_PLUGIN_URL . 'assets/js/main.js', array(), ${constantPrefix}_VERSION, true);
+}
+add_action('wp_enqueue_scripts', '${prefix}_enqueue_scripts');
+`;
+  }
+  
+  /**
+   * Generate a block's block.json
+   * @param {Object} block - Block (from getBlockComponents)
+   * @param {string} pluginSlug - Plugin slug, the blocks' namespace
+   * @param {Object} options - Export options
+   * @returns {string} - Generated JSON
+   */
+  function generateBlockJson(block, pluginSlug, options = {}) {
+    const attributes = {};
+    block.attributes.forEach(property => {
+      const value = block.props[property.name];
+      attributes[property.name] = {
+        type: 'string',
+        default: value === undefined || value === null ? '' : String(value)
+      };
+    });
+    
+    // WordPress adds its own className attribute for the "Additional CSS class(es)"
+    // field, so a className prop turns that field off and takes the attribute
+    const supports = { html: false };
+    if (attributes.className) {
+      supports.customClassName = false;
+    }
+    
+    return JSON.stringify({
+      $schema: 'https://schemas.wp.org/trunk/block.json',
+      apiVersion: 2,
+      name: `${pluginSlug}/${block.name}`,
+      version: options.version || '1.0.0',
+      title: block.title,
+      category: pluginSlug,
+      description: block.template.description || '',
+      keywords: block.template.category ? [block.template.category] : [],
+      attributes: attributes,
+      supports: supports,
+      textdomain: pluginSlug,
+      editorScript: 'file:./index.js'
+    }, null, 2) + '\n';
+  }
+  
+  /**
+   * Generate a block's editor script, which shows a control for each property
+   * editors can change and previews the block with its server-side rendering
+   * @param {Object} block - Block (from getBlockComponents)
+   * @param {string} pluginSlug - Plugin slug, the blocks' namespace
+   * @returns {string} - Generated JavaScript (no build step needed)
+   */
+  function generateBlockEditorScript(block, pluginSlug) {
+    const blockName = JSON.stringify(`${pluginSlug}/${block.name}`);
+    const nested = (block.template.slots || []).length > 0;
+    const controls = block.attributes.map(property => `            ${generateBlockControl(property)}`).join(',\n');
+    
+    return `/**
+ * Editor for the ${block.title} block.
+ */
+(function (blocks, element, blockEditor, components, ServerSideRender) {
+  var el = element.createElement;
+  
+  blocks.registerBlockType(${blockName}, {
+${block.template.icon ? `    icon: el('span', { dangerouslySetInnerHTML: { __html: ${JSON.stringify(block.template.icon.trim())} } }),
+` : ''}    edit: function (props) {
+      var attributes = props.attributes;
+      var update = function (name) {
+        return function (value) {
+          var change = {};
+          change[name] = value;
+          props.setAttributes(change);
+        };
+      };
+      
+      return el('div', blockEditor.useBlockProps(),
+${controls ? `        el(blockEditor.InspectorControls, null,
+          el(components.PanelBody, { title: 'Settings' },
+${controls}
+          )
+        ),
+` : ''}        ${nested ? 'el(blockEditor.InnerBlocks)' : `el(ServerSideRender, { block: ${blockName}, attributes: attributes })`}
+      );
+    },
+    save: function () {
+      return ${nested ? 'el(blockEditor.InnerBlocks.Content)' : 'null'};
+    }
+  });
+})(window.wp.blocks, window.wp.element, window.wp.blockEditor, window.wp.components, window.wp.serverSideRender);
+`;
+  }
+  
+  /**
+   * Generate the editor control for a property
+   * @param {Object} property - Component property (name, label, type, description, options)
+   * @returns {string} - JavaScript expression
+   */
+  function generateBlockControl(property) {
+    const name = JSON.stringify(property.name);
+    const settings = [`label: ${JSON.stringify(property.label || property.name)}`];
+    if (property.description) {
+      settings.push(`help: ${JSON.stringify(property.description)}`);
+    }
+    settings.push(`value: attributes[${name}]`, `onChange: update(${name})`);
+    
+    switch (property.type) {
+      case 'select': {
+        const choices = (property.options || []).map(option => ({ label: option.label, value: option.value }));
+        return `el(components.SelectControl, { ${settings.join(', ')}, options: ${JSON.stringify(choices)} })`;
+      }
+      case 'textarea':
+        return `el(components.TextareaControl, { ${settings.join(', ')} })`;
+      case 'number':
+        return `el(components.TextControl, { ${settings.join(', ')}, type: 'number' })`;
+      default:
+        return `el(components.TextControl, { ${settings.join(', ')} })`;
+    }
+  }
+  
+  /**
+   * Generate a block's index.asset.php, which lists the editor script's dependencies
+   * @param {Object} options - Export options
+   * @returns {string} - Generated PHP code
+   */
+  function generateBlockAsset(options = {}) {
+    return `<?php return array(
+  'dependencies' => array('wp-block-editor', 'wp-blocks', 'wp-components', 'wp-element', 'wp-server-side-render'),
+  'version' => '${options.version || '1.0.0'}',
+);
+`;
+  }
+  
+  /**
+   * Generate a block's render.php
+   * @param {Object} block - Block (from getBlockComponents)
+   * @returns {string} - Generated PHP code
+   */
+  function generateBlockRender(block) {
+    // Attributes can be set without the editor, so choices are checked again here
+    const checks = block.attributes.map(property => {
+      const key = `$attributes[${phpString(property.name)}]`;
+      const value = block.props[property.name];
+      const fallback = phpString(value === undefined || value === null ? '' : value);
+      
+      if (property.type === 'select') {
+        const choices = (property.options || []).map(option => phpString(option.value)).join(', ');
+        return `${key} = in_array(${key} ?? '', array(${choices}), true) ? ${key} : ${fallback};`;
+      }
+      if (property.type === 'number') {
+        return `${key} = is_numeric(${key} ?? '') ? ${key} : ${fallback};`;
+      }
+      return null;
+    }).filter(check => check !== null);
+    
+    return `<?php
+/**
+ * Render the ${block.title} block.
+ *
+ * @var array    $attributes Block attributes.
+ * @var string   $content    Blocks nested in this one.
+ * @var WP_Block $block      Block instance.
+ */
+
+// If this file is called directly, abort.
+if (!defined('WPINC')) {
+  die;
+}
+${checks.length > 0 ? `
+// Only accept the choices the editor offers
+${checks.join('\n')}
+` : ''}?>
+<div <?php echo get_block_wrapper_attributes(); ?>>
+${block.code}
+</div>
+`;
+  }
+  
+  /**
+   * Export as Node.js Express app
+   * @param {Object} project - Project object
+   * @param {Object} options - Export options
+   * @returns {Promise<Blob>} - Promise that resolves with ZIP blob
+   */
+  function exportNodeJsExpress(project, options = {}) {
+    return new Promise((resolve, reject) => {
+      if (!JSZip) {
+        reject(new Error('JSZip is not loaded'));
+        return;
+      }
+      
+      try {
+        const appName = options.appName || slugify(project.name);
+        const port = options.port || 3000;
+        const zip = new JSZip();
+        
+        // Add package.json
+        zip.file('package.json', generatePackageJson(project, appName, options));
+        
+        // Add app.js
+        zip.file('app.js', generateAppJs(project, options));
+        
+        // Add .env
+        zip.file('.env', `PORT=${port}\nNODE_ENV=development\n`);
         
         // Add .gitignore
         zip.file('.gitignore', 'node_modules/\n.env\n');
@@ -907,11 +1813,10 @@ ${shortcodeMethods}}
           const componentsDir = viewsDir.folder('components');
           
           project.components.forEach((component, index) => {
-            const componentTemplate = options.componentTemplates.find(t => t.id === component.componentId);
-            if (!componentTemplate) return;
+            if (!findComponentTemplate(component, options)) return;
             
-            // Convert PHP template to EJS
-            let componentCode = componentTemplate.template;
+            // Convert the rendered component to EJS
+            let componentCode = renderComponentCode(component, options);
             
             // Replace PHP tags with EJS tags
             componentCode = componentCode.replace(/\<\?php\s*echo\s*(.*?);?\s*\?\>/g, '<%= $1 %>');
@@ -922,12 +1827,6 @@ ${shortcodeMethods}}
             componentCode = componentCode.replace(/\<\?php\s*foreach\s*\((.*?)\s+as\s+(.*?)\)\s*:\s*\?\>/g, '<% $1.forEach(function($2) { %>');
             componentCode = componentCode.replace(/\<\?php\s*endforeach;\s*\?\>/g, '<% }); %>');
             
-            // Replace placeholders with values
-            Object.entries(component.props).forEach(([key, value]) => {
-              const regex = new RegExp(`{{ ${key} }}`, 'g');
-              componentCode = componentCode.replace(regex, value);
-            });
-            
             componentsDir.file(`component-${index + 1}.ejs`, componentCode);
           });
         }
@@ -1016,7 +1915,7 @@ const sqlite3 = require('sqlite3').verbose();
 
 // Initialize Express app
 const app = express();
-const port = process.env.PORT || 3000;
+const port = process.env.PORT || ${options.port || 3000};
 
 // Set up view engine
 app.set('view engine', 'ejs');
@@ -1175,8 +2074,11 @@ MIT
     
     if (project.components && project.components.length > 0) {
       componentIncludes = project.components.map((component, index) => {
+        // Components whose template isn't available get no view
+        if (!findComponentTemplate(component, options)) return '';
+        
         return `<%- include('components/component-${index + 1}') %>`;
-      }).join('\n    ');
+      }).filter(Boolean).join('\n    ');
     }
     
     return `<!DOCTYPE html>
@@ -1227,74 +2129,35 @@ MIT
         
         // First, generate PHP files
         exportPhpFiles(project, options)
-          .then(phpFilesBlob => {
-            // Extract PHP files to a temp folder
-            const reader = new FileReader();
+          .then(phpFilesBlob => new JSZip().loadAsync(phpFilesBlob))
+          .then(phpZipContent => {
+            // Add Dockerfile
+            zip.file('Dockerfile', generateDockerfile(project, options));
+            
+            // Add docker-compose.yml
+            zip.file('docker-compose.yml', generateDockerCompose(project, options));
             
-            reader.onload = function(e) {
-              const phpZip = new JSZip();
-              
-              phpZip.loadAsync(e.target.result)
-                .then(phpZipContent => {
-                  // Create Docker container files
-                  
-                  // Add Dockerfile
-                  zip.file('Dockerfile', generateDockerfile(project, options));
-                  
-                  // Add docker-compose.yml
-                  zip.file('docker-compose.yml', generateDockerCompose(project, options));
-                  
-                  // Add .dockerignore
-                  zip.file('.dockerignore', 'node_modules\nnpm-debug.log\nDockerfile\ndocker-compose.yml\n.git\n.gitignore\n');
-                  
-                  // Add README.md
-                  zip.file('README.md', generateDockerReadme(project, options));
-                  
-                  // Add PHP files to app directory
-                  const appDir = zip.folder('app');
-                  
-                  // Copy all PHP files
-                  const promises = [];
-                  
-                  Object.keys(phpZipContent.files).forEach(fileName => {
-                    if (!phpZipContent.files[fileName].dir) {
-                      const promise = phpZipContent.files[fileName].async('nodebuffer')
-                        .then(content => {
-                          appDir.file(fileName, content);
-                        });
-                      
-                      promises.push(promise);
-                    } else {
-                      appDir.folder(fileName);
-                    }
-                  });
-                  
-                  // Wait for all files to be copied
-                  Promise.all(promises)
-                    .then(() => {
-                      // Generate zip file
-                      zip.generateAsync({ type: 'blob' })
-                        .then(blob => {
-                          resolve(blob);
-                        })
-                        .catch(error => {
-                          reject(error);
-                        });
-                    })
-                    .catch(error => {
-                      reject(error);
-                    });
-                })
-                .catch(error => {
-                  reject(error);
-                });
-            };
+            // Add .dockerignore
+            zip.file('.dockerignore', 'node_modules\nnpm-debug.log\nDockerfile\ndocker-compose.yml\n.git\n.gitignore\n');
             
-            reader.onerror = function(error) {
-              reject(error);
-            };
+            // Add README.md
+            zip.file('README.md', generateDockerReadme(project, options));
             
-            reader.readAsArrayBuffer(phpFilesBlob);
+            // Add PHP files to app directory
+            const appDir = zip.folder('app');
+            
+            // Copy all PHP files
+            const promises = Object.values(phpZipContent.files)
+              .filter(entry => !entry.dir)
+              .map(entry => entry.async('uint8array').then(content => {
+                appDir.file(entry.name, content);
+              }));
+            
+            return Promise.all(promises);
+          })
+          .then(() => zip.generateAsync({ type: 'blob' }))
+          .then(blob => {
+            resolve(blob);
           })
           .catch(error => {
             reject(error);
@@ -1312,21 +2175,21 @@ MIT
    * @returns {string} - Generated Dockerfile
    */
   function generateDockerfile(project, options = {}) {
-    return `FROM php:8.0-apache
+    return `FROM ${options.baseImage || getDefaultBaseImage(project)}
 
 # Install PHP extensions
-RUN apt-get update && apt-get install -y \
-    libicu-dev \
-    libzip-dev \
-    libpng-dev \
-    libjpeg-dev \
-    libfreetype6-dev \
-    && docker-php-ext-configure gd --with-freetype --with-jpeg \
-    && docker-php-ext-install -j$(nproc) \
-    intl \
-    pdo_mysql \
-    zip \
-    gd \
+RUN apt-get update && apt-get install -y \\
+    libicu-dev \\
+    libzip-dev \\
+    libpng-dev \\
+    libjpeg-dev \\
+    libfreetype6-dev \\
+    && docker-php-ext-configure gd --with-freetype --with-jpeg \\
+    && docker-php-ext-install -j$(nproc) \\
+    intl \\
+    pdo_mysql \\
+    zip \\
+    gd \\
     exif
 
 # Enable Apache modules
@@ -1334,8 +2197,8 @@ RUN a2enmod rewrite headers
 
 # Set up Apache document root
 ENV APACHE_DOCUMENT_ROOT /var/www/html/
-RUN sed -ri -e 's!/var/www/html!${APACHE_DOCUMENT_ROOT}!g' /etc/apache2/sites-available/*.conf
-RUN sed -ri -e 's!/var/www/!${APACHE_DOCUMENT_ROOT}!g' /etc/apache2/apache2.conf /etc/apache2/conf-available/*.conf
+RUN sed -ri -e 's!/var/www/html!\${APACHE_DOCUMENT_ROOT}!g' /etc/apache2/sites-available/*.conf
+RUN sed -ri -e 's!/var/www/!\${APACHE_DOCUMENT_ROOT}!g' /etc/apache2/apache2.conf /etc/apache2/conf-available/*.conf
 
 # Copy application files
 COPY ./app/ /var/www/html/
@@ -1364,7 +2227,7 @@ services:
   web:
     build: .
     ports:
-      - "8080:80"
+      - "${options.port || 8080}:80"
     volumes:
       - ./app:/var/www/html
     restart: always
@@ -1400,7 +2263,7 @@ ${project.description || 'A Docker container generated by PHP-WASM Builder.'}
    \`\`\`bash
    docker-compose up -d
    \`\`\`
-3. Access the application at http://localhost:8080
+3. Access the application at http://localhost:${options.port || 8080}
 
 ### Stopping the Container
 
@@ -1427,6 +2290,849 @@ For production deployment, it's recommended to:
 `;
   }
   
+  /**
+   * List the export formats with what the wizard shows for them
+   * @returns {Array<Object>} - { id, name, description, icon }
+   */
+  function getFormats() {
+    return Object.values(EXPORT_FORMATS).map(id => ({ id, ...FORMAT_DETAILS[id] }));
+  }
+  
+  /**
+   * Get the Docker base image matching a project's PHP version
+   * @param {Object} project - Project object
+   * @returns {string} - Image name
+   */
+  function getDefaultBaseImage(project) {
+    return `php:${(project && project.phpVersion) || '8.2'}-apache`;
+  }
+  
+  /**
+   * Describe the options of an export format
+   * @param {string} format - Export format (from EXPORT_FORMATS)
+   * @param {Object} project - Project object the defaults come from
+   * @returns {Array<Object>} - { name, label, type ('text', 'number' or 'select'), default, choices, pattern, min, max, message, hint, optional }
+   */
+  function getFormatOptions(format, project = {}) {
+    const phpVersion = PHP_VERSIONS.includes(project.phpVersion) ? project.phpVersion : '8.2';
+    const slug = slugify(project.name || '') || 'project';
+    const phpVersionOption = label => ({
+      name: 'phpVersion',
+      label: label,
+      type: 'select',
+      choices: PHP_VERSIONS,
+      default: phpVersion
+    });
+    const pluginOptions = slugHint => [
+      {
+        name: 'pluginSlug',
+        label: 'Plugin slug',
+        type: 'text',
+        default: /^[a-z]/.test(slug) ? slug : `plugin-${slug}`,
+        pattern: /^[a-z][a-z0-9-]*$/,
+        message: 'Use lowercase letters, digits and hyphens, starting with a letter',
+        hint: slugHint
+      },
+      { name: 'pluginName', label: 'Plugin name', type: 'text', default: project.name || 'Project' },
+      {
+        name: 'version',
+        label: 'Version',
+        type: 'text',
+        default: '1.0.0',
+        pattern: /^\d+(\.\d+){0,2}$/,
+        message: 'Use a version number such as 1.0.0'
+      },
+      { name: 'author', label: 'Author', type: 'text', default: 'PHP-WASM Builder', optional: true },
+      phpVersionOption('Requires PHP')
+    ];
+    const portOption = (defaultPort, hint) => ({
+      name: 'port',
+      label: 'Port',
+      type: 'number',
+      default: defaultPort,
+      min: 1,
+      max: 65535,
+      message: 'Use a port between 1 and 65535',
+      hint: hint
+    });
+    
+    switch (format) {
+      case EXPORT_FORMATS.STATIC_SITE:
+        return [
+          {
+            name: 'baseUrl',
+            label: 'Site address',
+            type: 'text',
+            default: 'https://example.com',
+            pattern: /^https?:\/\/[^\s\/?#]+(\/[^\s?#]*)?$/,
+            message: 'Use an address such as https://example.com',
+            hint: 'Where the site will be hosted; the sitemap and the feed need full URLs'
+          },
+          { name: 'siteTitle', label: 'Site title', type: 'text', default: project.name || 'Project' }
+        ];
+      case EXPORT_FORMATS.PHP_FILES:
+        return [phpVersionOption('Minimum PHP version')];
+      case EXPORT_FORMATS.WORDPRESS_PLUGIN:
+        return pluginOptions('Names the plugin folder, its main file and its shortcodes');
+      case EXPORT_FORMATS.WORDPRESS_BLOCKS:
+        return [
+          ...pluginOptions('Names the plugin folder, its main file and the blocks\' namespace'),
+          {
+            name: 'editableCode',
+            label: 'Values used in PHP code',
+            type: 'select',
+            choices: ['fixed', 'editable'],
+            default: 'fixed',
+            hint: 'Editable lets editors change values that component PHP uses, such as include paths and API URLs'
+          }
+        ];
+      case EXPORT_FORMATS.NODEJS_EXPRESS:
+        return [
+          {
+            name: 'appName',
+            label: 'Package name',
+            type: 'text',
+            default: slug,
+            pattern: /^[a-z0-9][a-z0-9._-]*$/,
+            message: 'Use lowercase letters, digits, dots, hyphens and underscores'
+          },
+          portOption(3000, 'Used when PORT isn\'t set in the environment')
+        ];
+      case EXPORT_FORMATS.DOCKER_CONTAINER:
+        return [
+          {
+            name: 'baseImage',
+            label: 'Base image',
+            type: 'text',
+            default: getDefaultBaseImage(project),
+            pattern: /^[a-z0-9][\w.\/-]*(:[\w.-]+)?$/,
+            message: 'Use an image name such as php:8.2-apache',
+            hint: 'A PHP image with Apache, which the Dockerfile starts'
+          },
+          portOption(8080, 'Port on your machine that docker-compose maps to the container')
+        ];
+      default:
+        return [];
+    }
+  }
+  
+  /**
+   * Get the default option values of an export format
+   * @param {string} format - Export format (from EXPORT_FORMATS)
+   * @param {Object} project - Project object
+   * @returns {Object} - Values by option name
+   */
+  function getDefaultOptions(format, project = {}) {
+    const defaults = {};
+    getFormatOptions(format, project).forEach(option => {
+      defaults[option.name] = option.default;
+    });
+    return defaults;
+  }
+  
+  /**
+   * Check the option values of an export format
+   * @param {string} format - Export format (from EXPORT_FORMATS)
+   * @param {Object} values - Values by option name
+   * @returns {Array<Object>} - { option, message } for each invalid value
+   */
+  function validateOptions(format, values = {}) {
+    const problems = [];
+    
+    getFormatOptions(format).forEach(option => {
+      const value = values[option.name] === undefined || values[option.name] === null ? '' : String(values[option.name]).trim();
+      const invalid = message => problems.push({ option: option.name, message: message });
+      
+      if (value === '') {
+        if (!option.optional) invalid(`${option.label} is required`);
+      } else if (option.type === 'number') {
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < option.min || number > option.max) invalid(option.message);
+      } else if (option.type === 'select') {
+        if (!option.choices.includes(value)) invalid(`Choose one of ${option.choices.join(', ')}`);
+      } else if (option.pattern && !option.pattern.test(value)) {
+        invalid(option.message);
+      }
+    });
+    
+    return problems;
+  }
+  
+  /**
+   * Get the name an export is downloaded as
+   * @param {Object} project - Project object
+   * @param {string} format - Export format (from EXPORT_FORMATS)
+   * @param {Object} options - Export options
+   * @returns {string} - File name
+   */
+  function getExportFileName(project, format, options = {}) {
+    if (format === EXPORT_FORMATS.STANDALONE_HTML) {
+      return `${slugify(project.name) || 'project'}.html`;
+    }
+    
+    // Plugins and apps are unpacked into a folder named after the archive
+    if ((format === EXPORT_FORMATS.WORDPRESS_PLUGIN || format === EXPORT_FORMATS.WORDPRESS_BLOCKS) && options.pluginSlug) {
+      return `${options.pluginSlug}.zip`;
+    }
+    if (format === EXPORT_FORMATS.NODEJS_EXPRESS && options.appName) {
+      return `${options.appName}.zip`;
+    }
+    
+    return `${slugify(project.name) || 'project'}.zip`;
+  }
+  
+  /**
+   * Build an export without saving it, listing its files and checking that it's complete
+   * @param {Object} project - Project object
+   * @param {string} format - Export format (from EXPORT_FORMATS)
+   * @param {Object} options - Export options: componentTemplates, the format's options (defaults fill in the rest), scope for the PHP syntax check, lint (false skips it)
+   * @returns {Promise<Object>} - { blob, fileName, files: [{ path, size }], errors, warnings }; problems are { message, file, line }, and blob is null when errors stopped the build
+   */
+  function buildExport(project, format, options = {}) {
+    if (!project) {
+      return Promise.reject(new Error('No project to export'));
+    }
+    if (!FORMAT_DETAILS[format]) {
+      return Promise.reject(new Error('Unknown export format: ' + format));
+    }
+    
+    const settings = { ...getDefaultOptions(format, project), ...options };
+    const build = {
+      blob: null,
+      fileName: getExportFileName(project, format, settings),
+      files: [],
+      errors: validateOptions(format, settings).map(problem => ({ message: problem.message })),
+      warnings: []
+    };
+    
+    checkComponents(project, settings, build);
+    
+    if (format === EXPORT_FORMATS.STATIC_SITE) {
+      checkPages(project, build);
+    }
+    
+    // Broken options or templates would only produce a broken archive
+    if (build.errors.length > 0) {
+      return Promise.resolve(build);
+    }
+    
+    let files;
+    return initialize()
+      .then(() => exportProject(project, format, settings))
+      .then(blob => {
+        build.blob = blob;
+        return readExportFiles(blob, format, build.fileName);
+      })
+      .then(exported => {
+        files = exported;
+        build.files = files.map(file => ({ path: file.path, size: file.size }));
+        checkExportFiles(format, settings, files, build);
+        return settings.lint === false ? null : lintPhpFiles(files, settings, build);
+      })
+      .then(() => build);
+  }
+  
+  /**
+   * Report components that won't be exported and errors in the templates that will
+   * @param {Object} project - Project object
+   * @param {Object} options - Export options
+   * @param {Object} build - Build to add problems to
+   */
+  function checkComponents(project, options, build) {
+    const used = new Map();
+    
+    walkComponents(project.components, component => {
+      const componentTemplate = findComponentTemplate(component, options);
+      if (componentTemplate) {
+        used.set(componentTemplate.id, componentTemplate);
+      } else {
+        build.warnings.push({ message: `Component "${component.componentId}" isn't available, so it's left out` });
+      }
+    });
+    
+    if (!project.components || project.components.length === 0) {
+      build.warnings.push({ message: 'The project has no components, so only the page around them is exported' });
+    }
+    
+    if (typeof PHPWasmTemplates !== 'undefined') {
+      PHPWasmTemplates.validateComponents(options.componentTemplates || [])
+        .filter(error => used.has(error.component))
+        .forEach(error => {
+          build.errors.push({
+            message: `${used.get(error.component).name} template: ${error.reason} (line ${error.line}, column ${error.column})`
+          });
+        });
+    }
+  }
+  
+  /**
+   * Report pages a static site can't be built with
+   * @param {Object} project - Project object
+   * @param {Object} build - Build to add problems to
+   */
+  function checkPages(project, build) {
+    const routes = new Set(['/']);
+    
+    (project.pages || []).forEach(page => {
+      if (!ROUTE_PATTERN.test(page.route || '')) {
+        build.errors.push({ message: `The page "${page.title}" has the route "${page.route}", which isn't a path such as /about` });
+      } else if (routes.has(page.route)) {
+        build.errors.push({ message: `More than one page uses the route ${page.route}` });
+      }
+      routes.add(page.route);
+    });
+    
+    // The pages are pre-rendered by running their PHP
+    if (!isPhpRunning()) {
+      build.errors.push({ message: 'PHP-WASM isn\'t running, so the pages can\'t be pre-rendered' });
+    }
+  }
+  
+  /**
+   * Read the files of an export back
+   * @param {Blob} blob - Exported content
+   * @param {string} format - Export format
+   * @param {string} fileName - Name of a single-file export
+   * @returns {Promise<Array<Object>>} - { path, size, content }
+   */
+  function readExportFiles(blob, format, fileName) {
+    if (format === EXPORT_FORMATS.STANDALONE_HTML) {
+      return blob.text().then(content => [{ path: fileName, size: blob.size, content: content }]);
+    }
+    
+    const decoder = new TextDecoder();
+    return new JSZip().loadAsync(blob).then(zip => Promise.all(
+      Object.values(zip.files)
+        .filter(entry => !entry.dir)
+        .map(entry => entry.async('uint8array').then(bytes => ({
+          path: entry.name,
+          size: bytes.length,
+          content: decoder.decode(bytes)
+        })))
+    ));
+  }
+  
+  /**
+   * Get the files an export can't work without
+   * @param {string} format - Export format
+   * @param {Object} options - Export options
+   * @returns {Array<string>} - Paths in the archive
+   */
+  function getRequiredFiles(format, options = {}) {
+    const phpFiles = ['index.php', 'custom.php', 'includes/header.php', 'includes/footer.php', 'includes/functions.php', 'css/style.css', 'js/main.js'];
+    
+    switch (format) {
+      case EXPORT_FORMATS.STATIC_SITE:
+        return ['index.html', '404.html', 'sitemap.xml', 'feed.xml', 'robots.txt', 'css/style.css', 'js/main.js'];
+      case EXPORT_FORMATS.PHP_FILES:
+        return phpFiles;
+      case EXPORT_FORMATS.WORDPRESS_PLUGIN:
+        return [`${options.pluginSlug}.php`, 'readme.txt', 'includes/class-main.php', 'includes/class-shortcodes.php', 'templates/admin-page.php', 'assets/css/style.css', 'assets/js/main.js']
+          .map(path => `${options.pluginSlug}/${path}`);
+      case EXPORT_FORMATS.WORDPRESS_BLOCKS:
+        return [`${options.pluginSlug}.php`, 'readme.txt', 'assets/css/style.css', 'assets/js/main.js']
+          .map(path => `${options.pluginSlug}/${path}`);
+      case EXPORT_FORMATS.NODEJS_EXPRESS:
+        return ['package.json', 'app.js', '.env', 'views/index.ejs', 'public/css/style.css', 'public/js/main.js'];
+      case EXPORT_FORMATS.DOCKER_CONTAINER:
+        return ['Dockerfile', 'docker-compose.yml', ...phpFiles.map(path => `app/${path}`)];
+      default:
+        return [];
+    }
+  }
+  
+  /**
+   * Check that an export has its required files and that the files it refers to exist
+   * @param {string} format - Export format
+   * @param {Object} options - Export options
+   * @param {Array<Object>} files - Files read back from the export
+   * @param {Object} build - Build to add problems to
+   */
+  function checkExportFiles(format, options, files, build) {
+    const paths = new Set(files.map(file => file.path));
+    const exists = path => paths.has(path) || (path.endsWith('/') && files.some(file => file.path.startsWith(path)));
+    
+    getRequiredFiles(format, options).forEach(path => {
+      if (!paths.has(path)) {
+        build.errors.push({ file: path, message: `${path} is missing` });
+      }
+    });
+    
+    files.forEach(file => {
+      // Installed packages are assumed to be complete
+      if (/(^|\/)vendor\//.test(file.path)) return;
+      
+      if (/\.php$/.test(file.path)) {
+        findMatches(file.content, PATH_REFERENCE_PATTERN).forEach(({ match, line }) => {
+          const target = resolveReference(file.path, match[1], match[2]);
+          if (!exists(target)) {
+            build.errors.push({ file: file.path, line: line, message: `Refers to ${target}, which isn't in the export` });
+          }
+        });
+      }
+      
+      if (/\.json$/.test(file.path)) {
+        try {
+          JSON.parse(file.content);
+        } catch (error) {
+          build.errors.push({ file: file.path, message: `Isn't valid JSON: ${error.message}` });
+        }
+      }
+      
+      // A block is registered from its folder, and rendered and edited with the files next to block.json
+      if (format === EXPORT_FORMATS.WORDPRESS_BLOCKS && /(^|\/)block\.json$/.test(file.path)) {
+        ['index.js', 'index.asset.php', 'render.php'].forEach(name => {
+          const target = joinPath(dirname(file.path), name);
+          if (!exists(target)) {
+            build.errors.push({ file: file.path, message: `${target} is missing` });
+          }
+        });
+      }
+      
+      if (format === EXPORT_FORMATS.STATIC_SITE && /\.html$/.test(file.path)) {
+        checkStaticPage(file, exists, build);
+      }
+      
+      if (/\.ejs$/.test(file.path)) {
+        findMatches(file.content, EJS_INCLUDE_PATTERN).forEach(({ match, line }) => {
+          const target = joinPath(dirname(file.path), match[1]) + (/\.\w+$/.test(match[1]) ? '' : '.ejs');
+          if (!exists(target)) {
+            build.errors.push({ file: file.path, line: line, message: `Includes ${target}, which isn't in the export` });
+          }
+        });
+        
+        if (file.content.includes('<?php')) {
+          build.warnings.push({ file: file.path, message: 'Still has PHP code that couldn\'t be converted to EJS' });
+        }
+      }
+    });
+    
+    if (format === EXPORT_FORMATS.DOCKER_CONTAINER && !/apache/.test(options.baseImage || '')) {
+      build.warnings.push({ file: 'Dockerfile', message: `${options.baseImage} may not include Apache, which the Dockerfile starts` });
+    }
+  }
+  
+  /**
+   * Check a pre-rendered page for PHP that didn't run, messages PHP printed and broken links
+   * @param {Object} file - Page read back from the export
+   * @param {Function} exists - Whether a path is in the export
+   * @param {Object} build - Build to add problems to
+   */
+  function checkStaticPage(file, exists, build) {
+    if (file.content.includes('<?php')) {
+      build.errors.push({ file: file.path, message: 'Still has PHP code, which a static host would show as text' });
+    }
+    
+    findMatches(file.content, PHP_MESSAGE_PATTERN).forEach(({ match, line }) => {
+      const problems = /error/.test(match[1]) ? build.errors : build.warnings;
+      problems.push({ file: file.path, line: line, message: `PHP ${match[1].toLowerCase()} while pre-rendering: ${match[2].replace(/<[^>]*>/g, '')}` });
+    });
+    
+    findMatches(file.content, HTML_LINK_PATTERN).forEach(({ match, line }) => {
+      const href = match[1].replace(/[?#].*$/, '');
+      
+      // Other sites, anchors, queries and root-relative links (the 404 page's) aren't files to check
+      if (href === '' || /^([a-z][a-z0-9+.-]*:|\/)/i.test(href)) return;
+      
+      let target = joinPath(dirname(file.path), href).replace(/^\/$/, '');
+      if (target === '' || target.endsWith('/')) target += 'index.html';
+      
+      if (!exists(target)) {
+        build.warnings.push({ file: file.path, line: line, message: `Links to ${target}, which isn't in the export` });
+      }
+    });
+  }
+  
+  /**
+   * Check the syntax of an export's PHP files with PHP-WASM
+   * @param {Array<Object>} files - Files read back from the export
+   * @param {Object} options - Export options (scope)
+   * @param {Object} build - Build to add problems to
+   * @returns {Promise} - Promise that resolves when the check is done
+   */
+  function lintPhpFiles(files, options, build) {
+    const phpFiles = files.filter(file => /\.php$/.test(file.path) && !/(^|\/)vendor\//.test(file.path));
+    if (phpFiles.length === 0) {
+      return Promise.resolve();
+    }
+    
+    if (!isPhpRunning()) {
+      build.warnings.push({ message: 'PHP syntax wasn\'t checked because PHP-WASM isn\'t running' });
+      return Promise.resolve();
+    }
+    
+    const payload = base64Encode(new TextEncoder().encode(JSON.stringify(phpFiles.map(file => [file.path, file.content]))));
+    const code = `<?php
+$files = json_decode(base64_decode('${payload}'), true);
+$problems = [];
+foreach ($files as [$path, $source]) {
+  try {
+    token_get_all($source, TOKEN_PARSE);
+  } catch (ParseError $error) {
+    $problems[] = ['file' => $path, 'line' => $error->getLine(), 'message' => $error->getMessage()];
+  }
+}
+echo '${LINT_MARKER}' . json_encode($problems);
+`;
+    
+    return PHPWasmIntegration.execute(code, { scope: options.scope, fresh: true })
+      .then(result => {
+        const start = result.stdout.lastIndexOf(LINT_MARKER);
+        if (start === -1) {
+          throw new Error(result.stderr || 'PHP printed no result');
+        }
+        
+        JSON.parse(result.stdout.slice(start + LINT_MARKER.length)).forEach(problem => {
+          build.errors.push({ file: problem.file, line: problem.line, message: `PHP syntax error: ${problem.message}` });
+        });
+      })
+      .catch(error => {
+        build.warnings.push({ message: `PHP syntax wasn't checked: ${error.message}` });
+      });
+  }
+  
+  /**
+   * Whether PHP-WASM can run code for the exporter
+   * @returns {boolean}
+   */
+  function isPhpRunning() {
+    return typeof PHPWasmIntegration !== 'undefined' && PHPWasmIntegration.isInitialized();
+  }
+  
+  /**
+   * Find every match of a pattern with the line it starts on
+   * @param {string} content - Text to search
+   * @param {RegExp} pattern - Pattern to find
+   * @returns {Array<Object>} - { match, line }
+   */
+  function findMatches(content, pattern) {
+    const matches = [];
+    const regex = new RegExp(pattern.source, 'g');
+    let match;
+    while ((match = regex.exec(content)) !== null) {
+      matches.push({ match, line: content.slice(0, match.index).split('\n').length });
+    }
+    return matches;
+  }
+  
+  /**
+   * Resolve a path built from a directory constant to a path in the archive
+   * @param {string} filePath - File the reference is in
+   * @param {string} base - __DIR__, plugin_dir_path(...), plugin_dir_url(...) or a *_PLUGIN_DIR constant
+   * @param {string} relative - Path appended to it
+   * @returns {string} - Path in the archive
+   */
+  function resolveReference(filePath, base, relative) {
+    const directory = dirname(filePath);
+    
+    // *_PLUGIN_DIR is the plugin's folder, which is the archive's top-level folder
+    if (/_PLUGIN_DIR$/.test(base)) {
+      return joinPath(filePath.includes('/') ? filePath.split('/')[0] : '', relative);
+    }
+    
+    return joinPath(base.includes('dirname') ? dirname(directory) : directory, relative);
+  }
+  
+  /**
+   * Get the directory of a path in the archive
+   * @param {string} path - File path
+   * @returns {string} - Directory ('' at the top level)
+   */
+  function dirname(path) {
+    return path.includes('/') ? path.slice(0, path.lastIndexOf('/')) : '';
+  }
+  
+  /**
+   * Join a directory and a relative path, resolving . and ..
+   * @param {string} directory - Directory in the archive
+   * @param {string} relative - Relative path
+   * @returns {string} - Path in the archive (keeping a trailing / of directories)
+   */
+  function joinPath(directory, relative) {
+    const parts = [];
+    `${directory}/${relative}`.split('/').forEach(part => {
+      if (part === '..') {
+        parts.pop();
+      } else if (part && part !== '.') {
+        parts.push(part);
+      }
+    });
+    return parts.join('/') + (relative.endsWith('/') ? '/' : '');
+  }
+  
+  /**
+   * Download a build from buildExport
+   * @param {Object} build - Result of buildExport
+   * @returns {Promise<Object>} - Promise that resolves with { success, fileName, type }
+   */
+  function downloadExport(build) {
+    if (!build || !build.blob) {
+      return Promise.reject(new Error('Nothing was built to download'));
+    }
+    if (build.errors.length > 0) {
+      return Promise.reject(new Error('Fix the errors of the export before downloading it'));
+    }
+    
+    downloadBlob(build.blob, build.fileName);
+    return Promise.resolve({
+      success: true,
+      fileName: build.fileName,
+      type: 'download'
+    });
+  }
+  
+  /**
+   * Render the export wizard into a container: format, options, a preview of the archive, then download
+   * @param {HTMLElement} container - Target element
+   * @param {Object} options - project, componentTemplates, format (preselected), scope, composerFiles, onFormatChange(format), onDownload(build)
+   * @returns {Object} - { setFormat(format), getFormat() }
+   */
+  function renderExportWizard(container, options = {}) {
+    const project = options.project;
+    const values = {};
+    let format = FORMAT_DETAILS[options.format] ? options.format : EXPORT_FORMATS.STANDALONE_HTML;
+    let build = null;
+    let buildCount = 0;
+    
+    const formats = getFormats().map(item => `
+        <label class="list-group-item export-format">
+          <input class="form-check-input me-2" type="radio" name="export-format" value="${item.id}">
+          <i class="${item.icon} me-1"></i> <strong>${escapeHtml(item.name)}</strong>
+          <div class="small text-muted">${escapeHtml(item.description)}</div>
+        </label>`).join('');
+    
+    container.innerHTML = `
+      <div class="export-wizard">
+        <h6>Format</h6>
+        <div class="list-group mb-3">${formats}</div>
+        <h6>Options</h6>
+        <div class="export-options mb-3" data-export-options></div>
+        <div class="d-flex mb-3">
+          <button type="button" class="btn btn-outline-primary me-2" data-export-build>
+            <i class="fas fa-search"></i> Build and preview
+          </button>
+          <button type="button" class="btn btn-primary" data-export-download disabled>
+            <i class="fas fa-download"></i> Download
+          </button>
+        </div>
+        <div data-export-preview></div>
+      </div>`;
+    
+    const optionsElement = container.querySelector('[data-export-options]');
+    const preview = container.querySelector('[data-export-preview]');
+    const buildButton = container.querySelector('[data-export-build]');
+    const downloadButton = container.querySelector('[data-export-download]');
+    
+    // Each format keeps its own values while the wizard is open
+    const getValues = () => values[format] || (values[format] = getDefaultOptions(format, project));
+    
+    const resetBuild = () => {
+      build = null;
+      buildCount++;
+      downloadButton.disabled = true;
+      preview.innerHTML = '<p class="text-muted small">Build the export to see its files and check it before downloading.</p>';
+    };
+    
+    const renderOptions = () => {
+      const current = getValues();
+      const fields = getFormatOptions(format, project).map(option => {
+        const id = `export-option-${option.name}`;
+        const value = current[option.name] === undefined ? '' : String(current[option.name]);
+        const control = option.type === 'select'
+          ? `<select class="form-select form-select-sm" id="${id}" data-export-option="${option.name}">
+              ${option.choices.map(choice => `<option value="${choice}"${choice === value ? ' selected' : ''}>${choice}</option>`).join('')}
+            </select>`
+          : `<input type="${option.type}" class="form-control form-control-sm" id="${id}" data-export-option="${option.name}" value="${escapeHtml(value)}">`;
+        
+        return `
+          <div class="mb-2">
+            <label class="form-label small mb-1" for="${id}">${escapeHtml(option.label)}${option.optional ? ' <span class="text-muted">(optional)</span>' : ''}</label>
+            ${control}
+            <div class="invalid-feedback"></div>
+            ${option.hint ? `<div class="form-text">${escapeHtml(option.hint)}</div>` : ''}
+          </div>`;
+      });
+      
+      optionsElement.innerHTML = fields.length > 0 ? fields.join('') : '<p class="text-muted small mb-0">This format has no options.</p>';
+    };
+    
+    const showOptionProblems = problems => {
+      optionsElement.querySelectorAll('[data-export-option]').forEach(input => {
+        const problem = problems.find(p => p.option === input.dataset.exportOption);
+        input.classList.toggle('is-invalid', Boolean(problem));
+        input.parentElement.querySelector('.invalid-feedback').textContent = problem ? problem.message : '';
+      });
+    };
+    
+    const setFormat = next => {
+      if (FORMAT_DETAILS[next]) format = next;
+      container.querySelectorAll('input[name="export-format"]').forEach(input => {
+        input.checked = input.value === format;
+      });
+      renderOptions();
+      resetBuild();
+      if (options.onFormatChange) options.onFormatChange(format);
+    };
+    
+    container.querySelectorAll('input[name="export-format"]').forEach(input => {
+      input.addEventListener('change', () => setFormat(input.value));
+    });
+    
+    optionsElement.addEventListener('input', event => {
+      const input = event.target.closest('[data-export-option]');
+      if (!input) return;
+      
+      getValues()[input.dataset.exportOption] = input.value;
+      showOptionProblems(validateOptions(format, getValues()));
+      resetBuild();
+    });
+    
+    buildButton.addEventListener('click', () => {
+      const problems = validateOptions(format, getValues());
+      showOptionProblems(problems);
+      if (problems.length > 0) return;
+      
+      resetBuild();
+      const current = buildCount;
+      buildButton.disabled = true;
+      preview.innerHTML = '<p class="text-muted small">Building…</p>';
+      
+      buildExport(project, format, {
+        ...getValues(),
+        componentTemplates: options.componentTemplates,
+        composerFiles: options.composerFiles,
+        scope: options.scope
+      }).then(result => {
+        // Options changed while it was building
+        if (current !== buildCount) return;
+        
+        build = result;
+        renderBuild(preview, result);
+        downloadButton.disabled = !result.blob || result.errors.length > 0;
+      }).catch(error => {
+        if (current !== buildCount) return;
+        preview.innerHTML = `<div class="alert alert-danger py-2">Export failed: ${escapeHtml(error.message)}</div>`;
+      }).then(() => {
+        buildButton.disabled = false;
+      });
+    });
+    
+    downloadButton.addEventListener('click', () => {
+      downloadExport(build)
+        .then(() => {
+          if (options.onDownload) options.onDownload(build);
+        })
+        .catch(error => {
+          preview.insertAdjacentHTML('afterbegin', `<div class="alert alert-danger py-2">${escapeHtml(error.message)}</div>`);
+        });
+    });
+    
+    setFormat(format);
+    
+    return {
+      setFormat,
+      getFormat: () => format
+    };
+  }
+  
+  /**
+   * Render the result of a build: its status, problems and file tree
+   * @param {HTMLElement} element - Target element
+   * @param {Object} build - Result of buildExport
+   */
+  function renderBuild(element, build) {
+    const problemFiles = new Set([...build.errors, ...build.warnings].map(problem => problem.file).filter(Boolean));
+    const totalSize = build.files.reduce((sum, file) => sum + file.size, 0);
+    
+    const problemItems = (problems, type) => problems.map(problem => `
+        <li class="list-group-item list-group-item-${type} small">
+          ${problem.file ? `<code>${escapeHtml(problem.file)}${problem.line ? `:${problem.line}` : ''}</code> ` : ''}${escapeHtml(problem.message)}
+        </li>`).join('');
+    
+    const status = build.errors.length > 0
+      ? `<div class="alert alert-danger py-2">Fix ${plural(build.errors.length, 'error')} before downloading.</div>`
+      : `<div class="alert alert-success py-2">Ready to download${build.warnings.length > 0 ? `, with ${plural(build.warnings.length, 'warning')}` : ''}.</div>`;
+    
+    element.innerHTML = `
+      ${status}
+      ${build.errors.length + build.warnings.length > 0 ? `
+        <ul class="list-group mb-3">
+          ${problemItems(build.errors, 'danger')}
+          ${problemItems(build.warnings, 'warning')}
+        </ul>` : ''}
+      ${build.files.length > 0 ? `
+        <div class="d-flex justify-content-between small mb-1">
+          <strong><i class="fas fa-file-archive"></i> ${escapeHtml(build.fileName)}</strong>
+          <span class="text-muted">${plural(build.files.length, 'file')}, ${formatSize(totalSize)}</span>
+        </div>
+        <ul class="export-file-tree">${renderFileTree(buildFileTree(build.files), problemFiles)}</ul>` : ''}`;
+  }
+  
+  /**
+   * Arrange file paths into folders
+   * @param {Array<Object>} files - { path, size }
+   * @returns {Object} - { folders: { name: node }, files: [{ name, path, size }] }
+   */
+  function buildFileTree(files) {
+    const root = { folders: {}, files: [] };
+    
+    files.forEach(file => {
+      const parts = file.path.split('/');
+      let node = root;
+      parts.slice(0, -1).forEach(part => {
+        node.folders[part] = node.folders[part] || { folders: {}, files: [] };
+        node = node.folders[part];
+      });
+      node.files.push({ ...file, name: parts[parts.length - 1] });
+    });
+    
+    return root;
+  }
+  
+  /**
+   * Render a folder of the file tree, folders first
+   * @param {Object} node - Folder from buildFileTree
+   * @param {Set<string>} problemFiles - Paths of files with problems
+   * @returns {string} - HTML list items
+   */
+  function renderFileTree(node, problemFiles) {
+    const folders = Object.keys(node.folders).sort().map(name => `
+        <li class="export-tree-folder">
+          <details${name === 'vendor' || name === 'node_modules' ? '' : ' open'}>
+            <summary><i class="fas fa-folder"></i> ${escapeHtml(name)}</summary>
+            <ul>${renderFileTree(node.folders[name], problemFiles)}</ul>
+          </details>
+        </li>`).join('');
+    
+    const files = node.files.slice().sort((a, b) => a.name.localeCompare(b.name)).map(file => `
+        <li class="export-tree-file${problemFiles.has(file.path) ? ' has-problems' : ''}">
+          <i class="far fa-file"></i> ${escapeHtml(file.name)} <span class="text-muted">${formatSize(file.size)}</span>
+        </li>`).join('');
+    
+    return folders + files;
+  }
+  
+  /**
+   * Format a file size
+   * @param {number} bytes - Size in bytes
+   * @returns {string}
+   */
+  function formatSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+  
+  /**
+   * Count something in words
+   * @param {number} count - Count
+   * @param {string} word - Singular noun
+   * @returns {string} - e.g. "1 file" or "3 files"
+   */
+  function plural(count, word) {
+    return `${count} ${word}${count === 1 ? '' : 's'}`;
+  }
+  
   /**
    * Deploy a project
    * @param {Object} project - Project object
@@ -1481,8 +3187,10 @@ For production deployment, it's recommended to:
         fileName += '.html';
         contentType = 'text/html';
         break;
+      case EXPORT_FORMATS.STATIC_SITE:
       case EXPORT_FORMATS.PHP_FILES:
       case EXPORT_FORMATS.WORDPRESS_PLUGIN:
+      case EXPORT_FORMATS.WORDPRESS_BLOCKS:
       case EXPORT_FORMATS.NODEJS_EXPRESS:
       case EXPORT_FORMATS.DOCKER_CONTAINER:
         fileName += '.zip';
@@ -1533,34 +3241,9 @@ For production deployment, it's recommended to:
   function deployAsFileDownload(project, exportFormat, exportedContent, options = {}) {
     return new Promise((resolve, reject) => {
       try {
-        // Determine file extension based on export format
-        let fileExtension = '.txt';
-        
-        switch (exportFormat) {
-          case EXPORT_FORMATS.STANDALONE_HTML:
-            fileExtension = '.html';
-            break;
-          case EXPORT_FORMATS.PHP_FILES:
-          case EXPORT_FORMATS.WORDPRESS_PLUGIN:
-          case EXPORT_FORMATS.NODEJS_EXPRESS:
-          case EXPORT_FORMATS.DOCKER_CONTAINER:
-            fileExtension = '.zip';
-            break;
-        }
-        
-        // Create a download link
-        const fileName = slugify(project.name) + fileExtension;
-        const url = URL.createObjectURL(exportedContent);
-        
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = fileName;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        
-        // Clean up
-        setTimeout(() => URL.revokeObjectURL(url), 100);
+        // Name the file after the project, the plugin or the app
+        const fileName = options.fileName || getExportFileName(project, exportFormat, options);
+        downloadBlob(exportedContent, fileName);
         
         resolve({
           success: true,
@@ -1586,6 +3269,38 @@ For production deployment, it's recommended to:
     return Promise.reject(new Error('FTP deployment requires a server-side component'));
   }
   
+  /**
+   * Save a blob through a download link
+   * @param {Blob} blob - Content
+   * @param {string} fileName - File name
+   */
+  function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    
+    // Clean up
+    setTimeout(() => URL.revokeObjectURL(url), 100);
+  }
+  
+  /**
+   * Encode bytes as base64
+   * @param {Uint8Array} bytes - Bytes to encode
+   * @returns {string}
+   */
+  function base64Encode(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+  
   /**
    * Helper function to convert string to slug
    * @param {string} text - Text to convert
@@ -1640,6 +3355,15 @@ For production deployment, it's recommended to:
       .replace(/'/g, '&#039;');
   }
   
+  /**
+   * Write text as a single-quoted PHP string
+   * @param {string} text - Text
+   * @returns {string} - e.g. 'it\'s'
+   */
+  function phpString(text) {
+    return `'${String(text).replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'`;
+  }
+  
   /**
    * Helper function to generate random string
    * @param {number} length - Length of the string
@@ -1660,6 +3384,13 @@ For production deployment, it's recommended to:
   return {
     initialize,
     exportProject,
+    getFormats,
+    getFormatOptions,
+    getDefaultOptions,
+    validateOptions,
+    buildExport,
+    downloadExport,
+    renderExportWizard,
     deployProject,
     EXPORT_FORMATS,
     DEPLOYMENT_TARGETS
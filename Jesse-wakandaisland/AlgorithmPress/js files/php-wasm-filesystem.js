@@ -0,0 +1,515 @@
+/**
+ * PHP-WASM Persistent Filesystem
+ * Keeps each project's PHP files in IndexedDB so they survive reloads and
+ * runtime resets, with named snapshots and sync to AlgorithmPressStorage providers.
+ */
+
+const PHPWasmFileSystem = (function() {
+  'use strict';
+
+  const DB_NAME = 'AlgorithmPressPHPFS';
+  const DB_VERSION = 1;
+
+  // Name of the manifest written next to synced files
+  const MANIFEST = '.phpfs.json';
+
+  let db = null;
+
+  // Event listeners
+  const listeners = {
+    'change': [],
+    'snapshot': [],
+    'sync': []
+  };
+
+  /**
+   * Open the database, creating stores on first use
+   * @returns {Promise<IDBDatabase>}
+   */
+  function open() {
+    if (db) return Promise.resolve(db);
+
+    return new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB not available'));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        db = request.result;
+        resolve(db);
+      };
+      request.onupgradeneeded = (event) => {
+        const database = event.target.result;
+        if (!database.objectStoreNames.contains('files')) {
+          const files = database.createObjectStore('files', { keyPath: ['scope', 'path'] });
+          files.createIndex('scope', 'scope', { unique: false });
+        }
+        if (!database.objectStoreNames.contains('snapshots')) {
+          const snapshots = database.createObjectStore('snapshots', { keyPath: 'id' });
+          snapshots.createIndex('scope', 'scope', { unique: false });
+        }
+      };
+    });
+  }
+
+  /**
+   * Run an operation inside a transaction
+   * @param {string} storeName - Object store
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} operation - (store) => IDBRequest|void
+   * @returns {Promise<*>} - Resolves with the request result once the transaction completes
+   */
+  async function transact(storeName, mode, operation) {
+    const database = await open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction(storeName, mode);
+      const request = operation(transaction.objectStore(storeName));
+
+      transaction.oncomplete = () => resolve(request ? request.result : undefined);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+  }
+
+  /**
+   * Build a file record
+   * @param {string} scope - Scope name
+   * @param {string} path - File path
+   * @param {string|Uint8Array|null} content - Content, or null for a directory
+   * @returns {Object}
+   */
+  function createRecord(scope, path, content) {
+    const directory = content === null;
+
+    return {
+      scope: scope,
+      path: path,
+      directory: directory,
+      content: directory ? null : content,
+      size: directory ? 0 : (typeof content === 'string' ? new Blob([content]).size : content.byteLength),
+      modified: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Load every file and directory of a scope
+   * @param {string} scope - Scope name
+   * @returns {Promise<Array<Object>>} - Records sorted by path
+   */
+  async function load(scope) {
+    const records = await transact('files', 'readonly', store => store.index('scope').getAll(scope));
+    return records.sort((a, b) => a.path.localeCompare(b.path));
+  }
+
+  /**
+   * Write a file
+   * @param {string} scope - Scope name
+   * @param {string} path - File path
+   * @param {string|Uint8Array} content - File content
+   * @returns {Promise<Object>} - Stored record
+   */
+  async function writeFile(scope, path, content) {
+    const record = createRecord(scope, path, content);
+    await transact('files', 'readwrite', store => store.put(record));
+    notifyListeners('change', { scope, written: [path], removed: [] });
+    return record;
+  }
+
+  /**
+   * Record a directory
+   * @param {string} scope - Scope name
+   * @param {string} path - Directory path
+   * @returns {Promise<Object>} - Stored record
+   */
+  async function createDirectory(scope, path) {
+    const record = createRecord(scope, path.replace(/\/+$/, ''), null);
+    await transact('files', 'readwrite', store => store.put(record));
+    notifyListeners('change', { scope, written: [record.path], removed: [] });
+    return record;
+  }
+
+  /**
+   * Read a file
+   * @param {string} scope - Scope name
+   * @param {string} path - File path
+   * @returns {Promise<string|Uint8Array>}
+   */
+  async function readFile(scope, path) {
+    const record = await transact('files', 'readonly', store => store.get([scope, path]));
+    if (!record || record.directory) {
+      throw new Error(`File ${path} does not exist`);
+    }
+    return record.content;
+  }
+
+  /**
+   * Delete a file or directory (and everything below it)
+   * @param {string} scope - Scope name
+   * @param {string} path - Path to delete
+   * @returns {Promise<Array<string>>} - Deleted paths
+   */
+  async function remove(scope, path) {
+    const prefix = path.replace(/\/+$/, '') + '/';
+    const paths = (await load(scope))
+      .map(record => record.path)
+      .filter(candidate => candidate === path || candidate.startsWith(prefix));
+
+    await transact('files', 'readwrite', store => {
+      paths.forEach(candidate => store.delete([scope, candidate]));
+    });
+
+    if (paths.length > 0) {
+      notifyListeners('change', { scope, written: [], removed: paths });
+    }
+    return paths;
+  }
+
+  /**
+   * Apply a batch of writes and deletions in one transaction
+   * @param {string} scope - Scope name
+   * @param {Array<Array>} written - [path, content] pairs
+   * @param {Array<string>} removed - Deleted paths
+   * @returns {Promise<void>}
+   */
+  async function applyChanges(scope, written = [], removed = []) {
+    if (written.length === 0 && removed.length === 0) return;
+
+    await transact('files', 'readwrite', store => {
+      written.forEach(([path, content]) => store.put(createRecord(scope, path, content)));
+      removed.forEach(path => store.delete([scope, path]));
+    });
+
+    notifyListeners('change', { scope, written: written.map(([path]) => path), removed });
+  }
+
+  /**
+   * Delete every file of a scope
+   * @param {string} scope - Scope name
+   * @returns {Promise<void>}
+   */
+  async function clear(scope) {
+    const records = await load(scope);
+    await applyChanges(scope, [], records.map(record => record.path));
+  }
+
+  /**
+   * Save the current files of a scope as a named snapshot
+   * @param {string} scope - Scope name
+   * @param {string} name - Snapshot name
+   * @returns {Promise<Object>} - Snapshot summary
+   */
+  async function createSnapshot(scope, name = '') {
+    const records = await load(scope);
+    const snapshot = {
+      id: `snapshot_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`,
+      scope: scope,
+      name: name || `Snapshot ${new Date().toLocaleString()}`,
+      created: new Date().toISOString(),
+      count: records.length,
+      size: records.reduce((total, record) => total + record.size, 0),
+      files: records.map(({ scope: owner, ...record }) => record)
+    };
+
+    await transact('snapshots', 'readwrite', store => store.put(snapshot));
+    notifyListeners('snapshot', { action: 'created', scope, id: snapshot.id });
+    return summarizeSnapshot(snapshot);
+  }
+
+  /**
+   * Snapshot without its file contents
+   * @param {Object} snapshot - Stored snapshot
+   * @returns {Object}
+   */
+  function summarizeSnapshot(snapshot) {
+    const { files, ...summary } = snapshot;
+    return summary;
+  }
+
+  /**
+   * List the snapshots of a scope, newest first
+   * @param {string} scope - Scope name
+   * @returns {Promise<Array<Object>>}
+   */
+  async function listSnapshots(scope) {
+    const snapshots = await transact('snapshots', 'readonly', store => store.index('scope').getAll(scope));
+    return snapshots
+      .map(summarizeSnapshot)
+      .sort((a, b) => b.created.localeCompare(a.created));
+  }
+
+  /**
+   * Replace a scope's files with the contents of a snapshot
+   * @param {string} id - Snapshot id
+   * @returns {Promise<Object>} - { scope, files } with the restored records
+   */
+  async function restoreSnapshot(id) {
+    const snapshot = await transact('snapshots', 'readonly', store => store.get(id));
+    if (!snapshot) {
+      throw new Error(`Snapshot ${id} not found`);
+    }
+
+    const scope = snapshot.scope;
+    const current = await load(scope);
+    const restored = snapshot.files.map(record => ({ ...record, scope }));
+
+    await transact('files', 'readwrite', store => {
+      current.forEach(record => store.delete([scope, record.path]));
+      restored.forEach(record => store.put(record));
+    });
+
+    notifyListeners('change', {
+      scope,
+      written: restored.map(record => record.path),
+      removed: current.map(record => record.path).filter(path => !restored.some(record => record.path === path))
+    });
+    notifyListeners('snapshot', { action: 'restored', scope, id });
+
+    return { scope, files: restored };
+  }
+
+  /**
+   * Delete a snapshot
+   * @param {string} id - Snapshot id
+   * @returns {Promise<void>}
+   */
+  async function deleteSnapshot(id) {
+    await transact('snapshots', 'readwrite', store => store.delete(id));
+    notifyListeners('snapshot', { action: 'deleted', id });
+  }
+
+  /**
+   * Location of a scope's files on a storage provider
+   * @param {string} scope - Scope name
+   * @param {Object} options - basePath (defaults to 'php-fs')
+   * @returns {string}
+   */
+  function remoteRoot(scope, options) {
+    const base = (options.basePath || 'php-fs').replace(/\/+$/, '');
+    return `${base}/${encodeURIComponent(scope)}`;
+  }
+
+  /**
+   * Provider path for a file
+   * @param {string} root - Remote root
+   * @param {string} path - Local path
+   * @returns {string}
+   */
+  function remotePath(root, path) {
+    return `${root}/${path.replace(/^\/+/, '')}`;
+  }
+
+  /**
+   * Fetch the manifest of a scope from a provider
+   * @param {string} provider - Provider name
+   * @param {string} root - Remote root
+   * @returns {Promise<Object|null>} - Manifest, or null if none was synced yet
+   */
+  async function downloadManifest(provider, root) {
+    try {
+      const data = await window.AlgorithmPressStorage.download(provider, `${root}/${MANIFEST}`, { returnType: 'json' });
+      return typeof data === 'string' ? JSON.parse(data) : await toText(data).then(JSON.parse);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Normalize downloaded data to text
+   * @param {*} data - String, Blob, ArrayBuffer or object
+   * @returns {Promise<string>}
+   */
+  async function toText(data) {
+    if (typeof data === 'string') return data;
+    if (typeof Blob !== 'undefined' && data instanceof Blob) return data.text();
+    if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) return new TextDecoder().decode(data);
+    return JSON.stringify(data);
+  }
+
+  /**
+   * Normalize downloaded data to bytes
+   * @param {*} data - String, Blob, ArrayBuffer or typed array
+   * @returns {Promise<Uint8Array>}
+   */
+  async function toBytes(data) {
+    if (typeof data === 'string') return new TextEncoder().encode(data);
+    if (typeof Blob !== 'undefined' && data instanceof Blob) return new Uint8Array(await data.arrayBuffer());
+    if (data instanceof ArrayBuffer) return new Uint8Array(data);
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  }
+
+  /**
+   * Sync a scope with a connected AlgorithmPressStorage provider.
+   * 'push' uploads local files, 'pull' downloads remote ones and 'both' keeps
+   * whichever side changed last. Deletions are not propagated.
+   * @param {string} scope - Scope name
+   * @param {string} provider - Provider name
+   * @param {Object} options - direction ('push'|'pull'|'both'), basePath
+   * @returns {Promise<Object>} - { pushed, pulled } paths
+   */
+  async function sync(scope, provider, options = {}) {
+    if (!window.AlgorithmPressStorage) {
+      throw new Error('Storage system not available');
+    }
+
+    const direction = options.direction || 'both';
+    const root = remoteRoot(scope, options);
+    const local = new Map((await load(scope)).map(record => [record.path, record]));
+    const remote = new Map(((await downloadManifest(provider, root)) || { files: [] }).files.map(entry => [entry.path, entry]));
+
+    const pushed = [];
+    const pulled = [];
+
+    if (direction !== 'pull') {
+      for (const [path, record] of local) {
+        const entry = remote.get(path);
+        if (entry && direction === 'both' && entry.modified >= record.modified) continue;
+
+        if (!record.directory) {
+          const data = typeof record.content === 'string' ? record.content : new Blob([record.content]);
+          await window.AlgorithmPressStorage.upload(provider, data, remotePath(root, path), {
+            type: typeof record.content === 'string' ? 'text/plain' : 'application/octet-stream'
+          });
+        }
+        pushed.push(path);
+      }
+    }
+
+    if (direction !== 'push') {
+      const written = [];
+
+      for (const [path, entry] of remote) {
+        const record = local.get(path);
+        if (record && direction === 'both' && record.modified >= entry.modified) continue;
+
+        if (entry.directory) {
+          written.push([path, null]);
+        } else {
+          const data = await window.AlgorithmPressStorage.download(provider, remotePath(root, path), {
+            returnType: entry.binary ? 'blob' : 'text'
+          });
+          written.push([path, entry.binary ? await toBytes(data) : await toText(data)]);
+        }
+        pulled.push(path);
+      }
+
+      // Keep the remote timestamps so the next two-way sync sees both sides as equal
+      await transact('files', 'readwrite', store => {
+        written.forEach(([path, content]) => {
+          store.put({ ...createRecord(scope, path, content), modified: remote.get(path).modified });
+        });
+      });
+      if (written.length > 0) {
+        notifyListeners('change', { scope, written: pulled, removed: [] });
+      }
+    }
+
+    // Describe the merged state on the provider
+    if (pushed.length > 0 || !remote.size) {
+      const merged = await load(scope);
+      const manifest = {
+        scope: scope,
+        synced: new Date().toISOString(),
+        files: merged.map(record => ({
+          path: record.path,
+          directory: record.directory,
+          binary: !record.directory && typeof record.content !== 'string',
+          size: record.size,
+          modified: record.modified
+        }))
+      };
+      await window.AlgorithmPressStorage.upload(provider, JSON.stringify(manifest, null, 2), `${root}/${MANIFEST}`, {
+        type: 'application/json'
+      });
+    }
+
+    notifyListeners('sync', { scope, provider, direction, pushed, pulled });
+    return { pushed, pulled };
+  }
+
+  /**
+   * Get usage totals for a scope
+   * @param {string} scope - Scope name
+   * @returns {Promise<Object>} - { files, directories, size }
+   */
+  async function getUsage(scope) {
+    const records = await load(scope);
+    return {
+      files: records.filter(record => !record.directory).length,
+      directories: records.filter(record => record.directory).length,
+      size: records.reduce((total, record) => total + record.size, 0)
+    };
+  }
+
+  /**
+   * Check whether IndexedDB is usable
+   * @returns {boolean}
+   */
+  function isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Add an event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback function
+   */
+  function addEventListener(event, callback) {
+    if (listeners[event]) {
+      listeners[event].push(callback);
+    }
+  }
+
+  /**
+   * Remove an event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback function
+   */
+  function removeEventListener(event, callback) {
+    if (listeners[event]) {
+      const index = listeners[event].indexOf(callback);
+      if (index !== -1) {
+        listeners[event].splice(index, 1);
+      }
+    }
+  }
+
+  /**
+   * Notify all listeners of an event
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   */
+  function notifyListeners(event, data) {
+    if (listeners[event]) {
+      listeners[event].forEach(callback => callback(data));
+    }
+  }
+
+  // Public API
+  return {
+    isSupported,
+    load,
+    writeFile,
+    createDirectory,
+    readFile,
+    remove,
+    applyChanges,
+    clear,
+    createSnapshot,
+    listSnapshots,
+    restoreSnapshot,
+    deleteSnapshot,
+    sync,
+    getUsage,
+    addEventListener,
+    removeEventListener
+  };
+})();
+
+// Export for ES modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PHPWasmFileSystem;
+}
@@ -14,6 +14,17 @@ const PHPWasmIntegration = (function() {
   let enabledExtensions = ['core', 'date', 'json', 'sqlite3'];
   let phpIniSettings = {};
   
+  // Worker pool (when available) and the scope used when callers don't name one
+  let pool = null;
+  let activeScope = 'default';
+  
+  // IndexedDB-backed store for project files, and the scopes already loaded from it
+  let persistence = null;
+  const mounted = new Map();
+  
+  // PHP version chosen per scope; scopes without one use phpVersion
+  const scopeVersions = new Map();
+  
   // Event listeners
   const listeners = {
     'ready': [],
@@ -23,7 +34,7 @@ const PHPWasmIntegration = (function() {
   
   /**
    * Initialize PHP-WASM environment
-   * @param {Object} config - Configuration options
+   * @param {Object} config - Configuration options (set `workers: false` to run on the main thread)
    * @returns {Promise} - Promise that resolves when PHP is ready
    */
   function initialize(config = {}) {
@@ -32,11 +43,27 @@ const PHPWasmIntegration = (function() {
     enabledExtensions = config.extensions || enabledExtensions;
     phpIniSettings = config.phpIniSettings || phpIniSettings;
     
+    // Cache the runtime for offline use
+    if (typeof PHPWasmRuntime !== 'undefined') {
+      PHPWasmRuntime.registerServiceWorker();
+    }
+    
+    // Keep project files across reloads unless told otherwise
+    if (config.persist !== false && typeof PHPWasmFileSystem !== 'undefined' && PHPWasmFileSystem.isSupported()) {
+      persistence = PHPWasmFileSystem;
+    }
+    
+    // Prefer isolated workers so long scripts don't freeze the UI
+    if (config.workers !== false && typeof PHPWasmPool !== 'undefined' && PHPWasmPool.isSupported()) {
+      return initializePool(config);
+    }
+    
     // Create a promise that resolves when PHP-WASM is ready
     return new Promise((resolve, reject) => {
       if (typeof window.PHP === 'undefined') {
-        // If PHP-WASM hasn't been loaded yet, load it
-        loadScript('https://cdn.jsdelivr.net/npm/php-wasm/php-tags.jsdelivr.mjs', 'module')
+        // If PHP-WASM hasn't been loaded yet, load it (vendored copy first when available)
+        resolveRuntimeUrl('php-tags.jsdelivr.mjs', 'https://cdn.jsdelivr.net/npm/php-wasm/php-tags.jsdelivr.mjs')
+          .then(url => loadScript(url, 'module'))
           .then(() => {
             console.log('PHP-WASM script loaded, initializing...');
             // Script loaded, but we need to wait for PHP to be initialized
@@ -53,6 +80,145 @@ const PHPWasmIntegration = (function() {
     });
   }
   
+  /**
+   * Initialize the worker pool
+   * @param {Object} config - Configuration options
+   * @returns {Promise} - Promise that resolves with the pool
+   */
+  function initializePool(config) {
+    const runtimeUrl = config.runtimeUrl
+      ? Promise.resolve(config.runtimeUrl)
+      : resolveRuntimeUrl('PhpWeb.mjs', undefined);
+    
+    return runtimeUrl.then(url => {
+      PHPWasmPool.configure({
+        size: typeof config.workers === 'number' ? config.workers : undefined,
+        timeout: config.timeout,
+        runtimeUrl: url,
+        phpVersion: phpVersion,
+        extensions: enabledExtensions,
+        phpIniSettings: phpIniSettings
+      });
+      
+      if (!pool) {
+        pool = PHPWasmPool;
+        pool.addEventListener('output', forwardPoolOutput);
+        pool.addEventListener('files-changed', persistPoolChanges);
+      }
+      
+      phpLoaded = true;
+      notifyListeners('ready', { pool });
+      return pool;
+    });
+  }
+  
+  /**
+   * Resolve a runtime file through PHPWasmRuntime, falling back to a fixed URL
+   * @param {string} name - Runtime file name
+   * @param {string} fallback - URL used when the runtime manager is missing or fails
+   * @returns {Promise<string>}
+   */
+  function resolveRuntimeUrl(name, fallback) {
+    if (typeof PHPWasmRuntime === 'undefined') {
+      return Promise.resolve(fallback);
+    }
+    
+    return PHPWasmRuntime.getAssetUrl(name).catch(error => {
+      console.warn('Falling back to the default PHP-WASM runtime:', error);
+      return fallback;
+    });
+  }
+  
+  /**
+   * Relay pool output to this module's listeners
+   * @param {Object} data - Pool output event
+   */
+  function forwardPoolOutput(data) {
+    if (data.stream === 'stderr') {
+      notifyListeners('error', { error: data.text, scope: data.scope });
+    } else {
+      notifyListeners('output', { output: data.text, scope: data.scope });
+    }
+  }
+  
+  /**
+   * Store files written or deleted by scripts running in workers
+   * @param {Object} data - Pool files-changed event
+   */
+  function persistPoolChanges(data) {
+    if (!persistence) return;
+    
+    persistence.applyChanges(data.scope, data.written, data.removed).catch(error => {
+      console.warn(`Failed to persist PHP files for ${data.scope}:`, error);
+    });
+  }
+  
+  /**
+   * Load a scope's persisted files into the runtime (once per scope)
+   * @param {string} scope - Scope name
+   * @returns {Promise} - Promise that resolves when the files are in place
+   */
+  function mountScope(scope) {
+    if (!persistence) return Promise.resolve();
+    
+    if (!mounted.has(scope)) {
+      mounted.set(scope, persistence.load(scope)
+        .then(async records => {
+          for (const record of records) {
+            if (record.directory) {
+              await makeRuntimeDirectory(scope, record.path);
+            } else {
+              await writeRuntimeFile(scope, record.path, record.content);
+            }
+          }
+        })
+        .catch(error => {
+          console.warn(`Failed to load persisted PHP files for ${scope}:`, error);
+        }));
+    }
+    
+    return mounted.get(scope);
+  }
+  
+  /**
+   * Reload a scope's runtime files from the persistent store
+   * @param {string} scope - Scope name
+   * @returns {Promise}
+   */
+  function refreshScope(scope) {
+    if (pool) pool.clearScope(scope);
+    mounted.delete(scope);
+    return mountScope(scope);
+  }
+  
+  /**
+   * Run an operation on the persistent store, if there is one. Failing to
+   * persist is reported but doesn't fail the runtime operation.
+   * @param {Function} operation - (store) => Promise
+   * @returns {Promise<boolean>} - Promise that resolves with true
+   */
+  function persist(operation) {
+    if (!persistence) return Promise.resolve(true);
+    
+    return operation(persistence)
+      .then(() => true)
+      .catch(error => {
+        console.warn('Failed to persist PHP filesystem change:', error);
+        return true;
+      });
+  }
+  
+  /**
+   * Get the persistent store or fail
+   * @returns {Object}
+   */
+  function requirePersistence() {
+    if (!persistence) {
+      throw new Error('Persistent PHP filesystem is not available');
+    }
+    return persistence;
+  }
+  
   /**
    * Load a script dynamically
    * @param {string} src - Script URL
@@ -202,32 +368,105 @@ const PHPWasmIntegration = (function() {
   /**
    * Execute PHP code
    * @param {string} code - PHP code to execute
+   * @param {Object} options - scope, timeout, priority, onOutput (see execute)
    * @returns {Promise<string>} - Promise that resolves with the output
    */
-  function executeCode(code) {
-    return new Promise((resolve, reject) => {
+  function executeCode(code, options = {}) {
+    return execute(code, options).then(result => result.stdout);
+  }
+  
+  /**
+   * Execute PHP code and report stdout and stderr separately
+   * @param {string} code - PHP code to execute
+   * @param {Object} options - scope (defaults to the active scope), timeout in ms, priority, onOutput(stream, text), fresh (don't keep functions, classes and globals of earlier runs)
+   * @returns {Promise<Object>} - Promise that resolves with { stdout, stderr, exitCode, duration, scope }
+   */
+  function execute(code, options = {}) {
+    const scope = options.scope || activeScope;
+    
+    if (pool) {
+      return mountScope(scope)
+        .then(() => pool.execute(code, { ...options, scope, phpVersion: getPhpVersion({ scope }) }))
+        .catch(error => {
+          if (!error.cancelled) console.error('Failed to execute PHP code:', error);
+          throw error;
+        });
+    }
+    
+    return mountScope(scope).then(() => {
+      if (options.fresh && phpModule && typeof phpModule.refresh === 'function') {
+        return phpModule.refresh();
+      }
+    }).then(() => new Promise((resolve, reject) => {
       if (!phpLoaded || !phpModule) {
         reject(new Error('PHP is not initialized'));
         return;
       }
       
+      // The main-thread runtime can't be interrupted, so timeouts don't apply here
       try {
+        const started = performance.now();
         const output = phpModule.run(code);
-        resolve(output);
+        resolve({
+          stdout: output,
+          stderr: '',
+          exitCode: 0,
+          duration: performance.now() - started,
+          scope: scope
+        });
       } catch (error) {
         console.error('Failed to execute PHP code:', error);
         reject(error);
       }
-    });
+    }));
   }
   
   /**
    * Create a PHP file in the virtual filesystem
    * @param {string} path - File path
    * @param {string} content - File content
+   * @param {Object} options - scope (defaults to the active scope)
    * @returns {Promise<boolean>} - Promise that resolves with success status
    */
-  function createFile(path, content) {
+  function createFile(path, content, options = {}) {
+    const scope = options.scope || activeScope;
+    
+    return mountScope(scope)
+      .then(() => writeRuntimeFile(scope, path, content))
+      .then(() => persist(store => store.writeFile(scope, path, content)));
+  }
+  
+  /**
+   * Create several files at once, persisted in a single transaction
+   * @param {Object} files - Map of path to content
+   * @param {Object} options - scope (defaults to the active scope)
+   * @returns {Promise<boolean>} - Promise that resolves with success status
+   */
+  function createFiles(files, options = {}) {
+    const scope = options.scope || activeScope;
+    const entries = Object.entries(files);
+    
+    return mountScope(scope)
+      .then(() => entries.reduce(
+        (chain, [path, content]) => chain.then(() => writeRuntimeFile(scope, path, content)),
+        Promise.resolve()
+      ))
+      .then(() => persist(store => store.applyChanges(scope, entries, [])));
+  }
+  
+  /**
+   * Write a file into the runtime's filesystem only
+   * @param {string} scope - Scope name
+   * @param {string} path - File path
+   * @param {string} content - File content
+   * @returns {Promise<boolean>} - Promise that resolves with success status
+   */
+  function writeRuntimeFile(scope, path, content) {
+    if (pool) {
+      pool.writeFile(scope, path, content);
+      return Promise.resolve(true);
+    }
+    
     return new Promise((resolve, reject) => {
       if (!phpLoaded || !fileSystem) {
         reject(new Error('PHP filesystem is not initialized'));
@@ -254,10 +493,23 @@ const PHPWasmIntegration = (function() {
   /**
    * Read a PHP file from the virtual filesystem
    * @param {string} path - File path
+   * @param {Object} options - scope (defaults to the active scope), encoding ('binary' for bytes on the main thread)
    * @returns {Promise<string>} - Promise that resolves with file content
    */
-  function readFile(path) {
-    return new Promise((resolve, reject) => {
+  function readFile(path, options = {}) {
+    const scope = options.scope || activeScope;
+    
+    if (pool) {
+      return mountScope(scope).then(() => {
+        const content = pool.readFile(scope, path);
+        if (content === undefined) {
+          throw new Error(`File ${path} does not exist`);
+        }
+        return content;
+      });
+    }
+    
+    return mountScope(scope).then(() => new Promise((resolve, reject) => {
       if (!phpLoaded || !fileSystem) {
         reject(new Error('PHP filesystem is not initialized'));
         return;
@@ -269,31 +521,116 @@ const PHPWasmIntegration = (function() {
           return;
         }
         
-        const content = fileSystem.readFile(path, { encoding: 'utf8' });
+        const content = fileSystem.readFile(path, options.encoding === 'binary' ? {} : { encoding: 'utf8' });
         resolve(content);
       } catch (error) {
         console.error(`Failed to read file ${path}:`, error);
         reject(error);
       }
-    });
+    }));
   }
   
   /**
    * Execute a PHP file from the virtual filesystem
    * @param {string} path - File path
+   * @param {Object} options - scope, timeout, priority, onOutput (see execute)
    * @returns {Promise<string>} - Promise that resolves with the output
    */
-  function executeFile(path) {
-    return executeCode(`<?php include('${path}'); ?>`);
+  function executeFile(path, options = {}) {
+    return executeCode(`<?php include('${path}'); ?>`, options);
+  }
+  
+  /**
+   * Delete a file, or a directory with everything in it
+   * @param {string} path - File or directory path
+   * @param {Object} options - scope (defaults to the active scope)
+   * @returns {Promise<boolean>} - Promise that resolves with success status
+   */
+  function removePath(path, options = {}) {
+    const scope = options.scope || activeScope;
+    
+    return mountScope(scope)
+      .then(() => removeRuntimePath(scope, path))
+      .then(() => persist(store => store.remove(scope, path)));
+  }
+  
+  /**
+   * Delete a path from the runtime's filesystem only
+   * @param {string} scope - Scope name
+   * @param {string} path - File or directory path
+   * @returns {Promise<boolean>} - Promise that resolves with success status
+   */
+  function removeRuntimePath(scope, path) {
+    if (pool) {
+      pool.removeFile(scope, path);
+      return Promise.resolve(true);
+    }
+    
+    return new Promise((resolve, reject) => {
+      if (!phpLoaded || !fileSystem) {
+        reject(new Error('PHP filesystem is not initialized'));
+        return;
+      }
+      
+      const remove = (target) => {
+        let entries = null;
+        try {
+          entries = fileSystem.readdir(target);
+        } catch (error) {
+          // Not a directory
+        }
+        
+        if (entries) {
+          entries
+            .filter(name => name !== '.' && name !== '..')
+            .forEach(name => remove(`${target}/${name}`));
+          fileSystem.rmdir(target);
+        } else {
+          fileSystem.unlink(target);
+        }
+      };
+      
+      try {
+        const target = path.replace(/\/+$/, '');
+        if (fileSystem.exists(target)) {
+          remove(target);
+        }
+        resolve(true);
+      } catch (error) {
+        console.error(`Failed to remove ${path}:`, error);
+        reject(error);
+      }
+    });
   }
   
   /**
    * Create a directory in the virtual filesystem
    * @param {string} path - Directory path
    * @param {boolean} recursive - Create parent directories if they don't exist
+   * @param {Object} options - scope (defaults to the active scope)
    * @returns {Promise<boolean>} - Promise that resolves with success status
    */
-  function createDirectory(path, recursive = true) {
+  function createDirectory(path, recursive = true, options = {}) {
+    const scope = options.scope || activeScope;
+    
+    return mountScope(scope)
+      .then(() => makeRuntimeDirectory(scope, path, recursive))
+      .then(() => persist(store => store.createDirectory(scope, path)));
+  }
+  
+  /**
+   * Create a directory in the runtime's filesystem only
+   * @param {string} scope - Scope name
+   * @param {string} path - Directory path
+   * @param {boolean} recursive - Create parent directories if they don't exist
+   * @returns {Promise<boolean>} - Promise that resolves with success status
+   */
+  function makeRuntimeDirectory(scope, path, recursive = true) {
+    if (pool) {
+      pool.createDirectory(scope, path);
+      return Promise.resolve(true);
+    }
+    
     return new Promise((resolve, reject) => {
       if (!phpLoaded || !fileSystem) {
         reject(new Error('PHP filesystem is not initialized'));
@@ -313,10 +650,22 @@ const PHPWasmIntegration = (function() {
   /**
    * List files in a directory
    * @param {string} path - Directory path
+   * @param {Object} options - scope (defaults to the active scope)
    * @returns {Promise<Array<string>>} - Promise that resolves with array of file names
    */
-  function listFiles(path) {
-    return new Promise((resolve, reject) => {
+  function listFiles(path, options = {}) {
+    const scope = options.scope || activeScope;
+    
+    if (pool) {
+      return mountScope(scope).then(() => {
+        if (!pool.exists(scope, path) && path !== '' && path !== '/') {
+          throw new Error(`Directory ${path} does not exist`);
+        }
+        return pool.listFiles(scope, path);
+      });
+    }
+    
+    return mountScope(scope).then(() => new Promise((resolve, reject) => {
       if (!phpLoaded || !fileSystem) {
         reject(new Error('PHP filesystem is not initialized'));
         return;
@@ -334,20 +683,35 @@ const PHPWasmIntegration = (function() {
         console.error(`Failed to list files in ${path}:`, error);
         reject(error);
       }
-    });
+    }));
   }
   
   /**
-   * Set PHP version
+   * Set PHP version for a scope (each project can use its own)
    * @param {string} version - PHP version (e.g., '8.2')
+   * @param {Object} options - scope (defaults to the active scope)
+   * @returns {boolean} - Whether the version was accepted
    */
-  function setPhpVersion(version) {
-    phpVersion = version;
+  function setPhpVersion(version, options = {}) {
+    version = String(version);
     
-    // If PHP is already loaded, warn that it requires reinitialization
-    if (phpLoaded) {
-      console.warn('PHP version changed. You need to reinitialize PHP for this to take effect.');
+    if (typeof PHPWasmRuntime !== 'undefined' && !PHPWasmRuntime.isVersionSupported(version)) {
+      console.warn(`PHP ${version} is not available; keeping PHP ${getPhpVersion(options)}`);
+      return false;
+    }
+    
+    const scope = options.scope || activeScope;
+    const previous = getPhpVersion({ scope });
+    scopeVersions.set(scope, version);
+    
+    // Workers load the scope's version on its next run; the main thread has a single interpreter
+    if (!pool) {
+      phpVersion = version;
+      if (phpLoaded && previous !== version) {
+        reset().catch(error => console.error('Failed to switch PHP version:', error));
+      }
     }
+    return true;
   }
   
   /**
@@ -357,8 +721,9 @@ const PHPWasmIntegration = (function() {
   function setEnabledExtensions(extensions) {
     enabledExtensions = extensions;
     
-    // If PHP is already loaded, warn that it requires reinitialization
-    if (phpLoaded) {
+    if (pool) {
+      pool.configure({ extensions });
+    } else if (phpLoaded) {
       console.warn('PHP extensions changed. You need to reinitialize PHP for this to take effect.');
     }
   }
@@ -371,7 +736,9 @@ const PHPWasmIntegration = (function() {
     phpIniSettings = settings;
     
     // If PHP is already loaded, apply settings
-    if (phpLoaded && phpModule) {
+    if (pool) {
+      pool.configure({ phpIniSettings });
+    } else if (phpLoaded && phpModule) {
       applyPhpIniSettings(phpModule);
     }
   }
@@ -386,10 +753,11 @@ const PHPWasmIntegration = (function() {
   
   /**
    * Get PHP version
+   * @param {Object} options - scope (defaults to the active scope)
    * @returns {string} - PHP version
    */
-  function getPhpVersion() {
-    return phpVersion;
+  function getPhpVersion(options = {}) {
+    return scopeVersions.get(options.scope || activeScope) || phpVersion;
   }
   
   /**
@@ -408,6 +776,107 @@ const PHPWasmIntegration = (function() {
     return { ...phpIniSettings };
   }
   
+  /**
+   * Set the scope used when a call doesn't name one. Each scope (usually a
+   * project id) gets its own files and globals when running in workers.
+   * @param {string} scope - Scope name
+   */
+  function setScope(scope) {
+    activeScope = scope || 'default';
+    
+    // Start loading the project's files before the first run needs them
+    if (phpLoaded) {
+      mountScope(activeScope);
+    }
+  }
+  
+  /**
+   * Get the active scope
+   * @returns {string} - Scope name
+   */
+  function getScope() {
+    return activeScope;
+  }
+  
+  /**
+   * Check whether code runs in isolated workers
+   * @returns {boolean}
+   */
+  function usesWorkers() {
+    return pool !== null;
+  }
+  
+  /**
+   * Get worker pool status
+   * @returns {Object|null} - Pool snapshot, or null on the main-thread runtime
+   */
+  function getPoolStatus() {
+    return pool ? pool.getStatus() : null;
+  }
+  
+  /**
+   * Check whether project files persist between sessions
+   * @returns {boolean}
+   */
+  function isPersistent() {
+    return persistence !== null;
+  }
+  
+  /**
+   * Save the scope's files as a named snapshot
+   * @param {string} name - Snapshot name
+   * @param {Object} options - scope (defaults to the active scope)
+   * @returns {Promise<Object>} - Promise that resolves with the snapshot summary
+   */
+  function createSnapshot(name, options = {}) {
+    return Promise.resolve().then(() => requirePersistence().createSnapshot(options.scope || activeScope, name));
+  }
+  
+  /**
+   * List the scope's snapshots, newest first
+   * @param {Object} options - scope (defaults to the active scope)
+   * @returns {Promise<Array<Object>>}
+   */
+  function listSnapshots(options = {}) {
+    return Promise.resolve().then(() => requirePersistence().listSnapshots(options.scope || activeScope));
+  }
+  
+  /**
+   * Restore a snapshot and reload its scope's runtime files
+   * @param {string} id - Snapshot id
+   * @returns {Promise<Object>} - Promise that resolves with the restored scope and files
+   */
+  function restoreSnapshot(id) {
+    return Promise.resolve()
+      .then(() => requirePersistence().restoreSnapshot(id))
+      .then(restored => refreshScope(restored.scope).then(() => restored));
+  }
+  
+  /**
+   * Delete a snapshot
+   * @param {string} id - Snapshot id
+   * @returns {Promise}
+   */
+  function deleteSnapshot(id) {
+    return Promise.resolve().then(() => requirePersistence().deleteSnapshot(id));
+  }
+  
+  /**
+   * Sync the scope's files with a connected AlgorithmPressStorage provider
+   * @param {string} provider - Provider name
+   * @param {Object} options - scope, direction ('push'|'pull'|'both'), basePath
+   * @returns {Promise<Object>} - Promise that resolves with { pushed, pulled }
+   */
+  function syncStorage(provider, options = {}) {
+    const scope = options.scope || activeScope;
+    
+    return Promise.resolve()
+      .then(() => requirePersistence().sync(scope, provider, options))
+      .then(result => result.pulled.length > 0
+        ? refreshScope(scope).then(() => result)
+        : result);
+  }
+  
   /**
    * Reset PHP environment
    * @returns {Promise} - Promise that resolves when PHP is reset
@@ -420,6 +889,12 @@ const PHPWasmIntegration = (function() {
         return;
       }
       
+      // Workers: fresh interpreters, with the scope's persisted files reloaded
+      if (pool) {
+        refreshScope(activeScope).then(resolve).catch(reject);
+        return;
+      }
+      
       // Reset PHP
       try {
         phpLoaded = false;
@@ -430,8 +905,14 @@ const PHPWasmIntegration = (function() {
         initialize({
           phpVersion,
           extensions: enabledExtensions,
-          phpIniSettings
+          phpIniSettings,
+          workers: false,
+          persist: persistence !== null
         })
+          .then(() => {
+            mounted.clear();
+            return mountScope(activeScope);
+          })
           .then(resolve)
           .catch(reject);
       } catch (error) {
@@ -444,10 +925,13 @@ const PHPWasmIntegration = (function() {
   // Public API
   return {
     initialize,
+    execute,
     executeCode,
     executeFile,
     createFile,
+    createFiles,
     readFile,
+    removePath,
     createDirectory,
     listFiles,
     setPhpVersion,
@@ -459,6 +943,16 @@ const PHPWasmIntegration = (function() {
     getPhpIniSettings,
     addEventListener,
     removeEventListener,
+    setScope,
+    getScope,
+    usesWorkers,
+    getPoolStatus,
+    isPersistent,
+    createSnapshot,
+    listSnapshots,
+    restoreSnapshot,
+    deleteSnapshot,
+    syncStorage,
     reset
   };
 })();
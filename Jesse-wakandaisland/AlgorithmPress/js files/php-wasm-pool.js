@@ -0,0 +1,767 @@
+/**
+ * PHP-WASM Runtime Pool
+ * Runs PHP-WASM instances in Web Workers so long scripts never block the UI.
+ * Each execution belongs to a scope (a project, a flow, the editor); a worker
+ * only ever holds one scope's files and globals at a time, runaway scripts are
+ * killed by terminating their worker, and stdout/stderr are reported separately.
+ */
+
+const PHPWasmPool = (function() {
+  'use strict';
+
+  // Pool configuration
+  const config = {
+    size: Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1)),
+    runtimeUrl: 'https://cdn.jsdelivr.net/npm/php-wasm/PhpWeb.mjs',
+    phpVersion: '8.2',
+    extensions: [],
+    phpIniSettings: {},
+    timeout: 30000
+  };
+
+  // Worker records: { id, worker, scope, version, phpVersion, job, runs, started }
+  const workers = [];
+
+  // Jobs waiting for a free worker, highest priority first
+  const queue = [];
+
+  // Files per scope: scope -> { files: Map(path -> content|null), version }
+  const scopes = new Map();
+
+  let workerUrl = null;
+  let nextWorkerId = 1;
+  let nextJobId = 1;
+
+  // Event listeners
+  const listeners = {
+    'job-start': [],
+    'job-end': [],
+    'output': [],
+    'files-changed': [],
+    'worker-error': []
+  };
+
+  /**
+   * Body of every pool worker. Serialized into a Blob so the pool works no
+   * matter which origin the application scripts are served from.
+   */
+  function workerMain() {
+    let options = {};
+    let php = null;
+    let currentJob = null;
+    let pending = Promise.resolve();
+
+    // Files of the current scope, as named by the main thread
+    let known = new Set();
+
+    // Runtime directories that never hold project files
+    const SYSTEM_PATHS = ['/dev', '/proc', '/tmp', '/preload'];
+
+    function text(detail) {
+      return Array.isArray(detail) ? detail.join('') : String(detail);
+    }
+
+    async function createRuntime() {
+      const runtime = await import(options.runtimeUrl);
+      const Php = runtime.PhpWeb || runtime.PHP || runtime.default;
+
+      php = new Php({ version: options.phpVersion, extensions: options.extensions, ini: options.ini });
+      php.addEventListener('output', event => {
+        self.postMessage({ type: 'output', id: currentJob, stream: 'stdout', text: text(event.detail) });
+      });
+      php.addEventListener('error', event => {
+        self.postMessage({ type: 'output', id: currentJob, stream: 'stderr', text: text(event.detail) });
+      });
+
+      await php.binary;
+    }
+
+    async function syncFiles(files) {
+      const FS = (await php.binary).FS;
+
+      for (const [path, content] of files) {
+        if (content === null) {
+          try { FS.unlink(path); } catch (error) { /* already gone */ }
+          known.delete(path);
+          continue;
+        }
+
+        const directory = path.substring(0, path.lastIndexOf('/'));
+        if (directory) FS.mkdirTree(directory);
+        if (content !== undefined) FS.writeFile(path, content);
+        known.add(path);
+      }
+    }
+
+    // Report files the script wrote or deleted so the main thread can keep (and persist) them
+    async function collectChanges(since) {
+      const FS = (await php.binary).FS;
+      const cwd = FS.cwd().replace(/\/+$/, '');
+      const decoder = new TextDecoder('utf-8', { fatal: true });
+      const written = [];
+      const removed = [];
+
+      // Paths under the working directory are reported relative, like the main thread names them
+      const name = (path) => cwd && path.startsWith(cwd + '/') ? path.slice(cwd.length + 1) : path;
+
+      const walk = (directory) => {
+        for (const entry of FS.readdir(directory)) {
+          if (entry === '.' || entry === '..') continue;
+
+          const path = directory === '/' ? `/${entry}` : `${directory}/${entry}`;
+          if (SYSTEM_PATHS.includes(path)) continue;
+
+          const stat = FS.stat(path);
+          if (FS.isDir(stat.mode)) {
+            walk(path);
+          } else if (FS.isFile(stat.mode) && stat.mtime.getTime() >= since) {
+            const bytes = FS.readFile(path);
+            let content;
+            try {
+              content = decoder.decode(bytes);
+            } catch (error) {
+              content = bytes;
+            }
+            written.push([name(path), content]);
+            known.add(name(path));
+          }
+        }
+      };
+      walk('/');
+
+      for (const path of known) {
+        if (path.endsWith('/.')) continue;
+        if (!FS.analyzePath(path).exists) {
+          removed.push(path);
+          known.delete(path);
+        }
+      }
+
+      if (written.length > 0 || removed.length > 0) {
+        self.postMessage({ type: 'changes', id: currentJob, written: written, removed: removed });
+      }
+    }
+
+    async function run(message) {
+      currentJob = message.id;
+      const started = performance.now();
+      const since = Date.now();
+
+      try {
+        // Runs share one request unless asked for a fresh one; files are kept either way
+        if (message.fresh) {
+          await php.refresh();
+        }
+        const exitCode = await php.run(message.code);
+        await collectChanges(since);
+        self.postMessage({ type: 'done', id: message.id, exitCode: exitCode, duration: performance.now() - started });
+      } catch (error) {
+        self.postMessage({ type: 'failed', id: message.id, error: error && error.message || String(error) });
+      } finally {
+        currentJob = null;
+      }
+    }
+
+    async function handle(message) {
+      switch (message.type) {
+        case 'init':
+          // Also used to switch an existing worker to another PHP version
+          options = message.options;
+          await createRuntime();
+          known = new Set();
+          self.postMessage({ type: 'ready' });
+          break;
+        case 'sync':
+          // A new scope gets a fresh interpreter and an empty filesystem
+          if (message.reset) {
+            await createRuntime();
+            known = new Set();
+          }
+          await syncFiles(message.files);
+          break;
+        case 'run':
+          await run(message);
+          break;
+      }
+    }
+
+    self.onmessage = (event) => {
+      pending = pending
+        .then(() => handle(event.data))
+        .catch(error => {
+          self.postMessage({ type: 'failed', id: event.data.id || null, error: error && error.message || String(error) });
+        });
+    };
+  }
+
+  /**
+   * Configure the pool
+   * @param {Object} options - size, runtimeUrl, phpVersion, extensions, phpIniSettings, timeout
+   */
+  function configure(options = {}) {
+    // Workers on another PHP version are switched per job, so only these need new workers
+    const runtimeChanged = ['runtimeUrl', 'extensions', 'phpIniSettings']
+      .some(key => options[key] !== undefined && JSON.stringify(options[key]) !== JSON.stringify(config[key]));
+
+    Object.keys(config).forEach(key => {
+      if (options[key] !== undefined) config[key] = options[key];
+    });
+
+    // Idle workers built for another runtime, or beyond the new size, are dropped
+    const idle = workers.filter(record => !record.job);
+    if (runtimeChanged) {
+      idle.forEach(retireWorker);
+    } else {
+      idle.slice(0, Math.max(0, workers.length - config.size)).forEach(retireWorker);
+    }
+
+    pump();
+  }
+
+  /**
+   * Check whether workers can be used in this browser
+   * @returns {boolean}
+   */
+  function isSupported() {
+    return typeof Worker !== 'undefined' && typeof Blob !== 'undefined' && typeof URL.createObjectURL === 'function';
+  }
+
+  /**
+   * Execute PHP code in a pooled worker
+   * @param {string} code - PHP code to execute
+   * @param {Object} options - scope, phpVersion, timeout (ms, 0 disables), priority, onOutput(stream, text), fresh (start a new request, forgetting the functions, classes and globals of earlier runs)
+   * @returns {Promise<Object>} - Resolves with { stdout, stderr, exitCode, duration, scope }
+   */
+  function execute(code, options = {}) {
+    if (!isSupported()) {
+      return Promise.reject(new Error('Web Workers are not available in this browser'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const job = {
+        id: nextJobId++,
+        code: code,
+        scope: options.scope || 'default',
+        phpVersion: options.phpVersion || config.phpVersion,
+        timeout: options.timeout !== undefined ? options.timeout : config.timeout,
+        priority: options.priority || 0,
+        fresh: Boolean(options.fresh),
+        onOutput: options.onOutput || null,
+        stdout: '',
+        stderr: '',
+        queued: Date.now(),
+        resolve,
+        reject
+      };
+
+      // Keep FIFO order among jobs of the same priority
+      const index = queue.findIndex(queued => queued.priority < job.priority);
+      queue.splice(index === -1 ? queue.length : index, 0, job);
+
+      pump();
+    });
+  }
+
+  /**
+   * Hand queued jobs to free workers
+   */
+  function pump() {
+    while (queue.length > 0) {
+      const job = queue[0];
+      const record = acquireWorker(job);
+      if (!record) return;
+
+      queue.shift();
+      startJob(record, job);
+    }
+  }
+
+  /**
+   * Find a worker for a job, preferring one that already holds its scope and PHP version
+   * @param {Object} job - Job
+   * @returns {Object|null} - Worker record or null when all are busy
+   */
+  function acquireWorker(job) {
+    const idle = workers.filter(record => !record.job);
+    const sameVersion = idle.filter(record => record.phpVersion === job.phpVersion);
+
+    return sameVersion.find(record => record.scope === job.scope) ||
+      sameVersion.find(record => record.scope === null) ||
+      (workers.length < config.size ? spawnWorker(job.phpVersion) : null) ||
+      idle.sort((a, b) => a.lastUsed - b.lastUsed)[0] ||
+      null;
+  }
+
+  /**
+   * Start a new worker
+   * @param {string} phpVersion - PHP version to load
+   * @returns {Object} - Worker record
+   */
+  function spawnWorker(phpVersion) {
+    if (!workerUrl) {
+      const source = `(${workerMain.toString()})();`;
+      workerUrl = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+    }
+
+    const record = {
+      id: nextWorkerId++,
+      worker: new Worker(workerUrl, { type: 'module', name: 'php-wasm-pool' }),
+      scope: null,
+      version: -1,
+      phpVersion: phpVersion,
+      job: null,
+      runs: 0,
+      ready: false,
+      lastUsed: 0,
+      started: Date.now()
+    };
+
+    record.worker.onmessage = (event) => handleMessage(record, event.data);
+    record.worker.onerror = (event) => {
+      event.preventDefault();
+      failWorker(record, new Error(event.message || 'PHP worker crashed'));
+    };
+
+    record.worker.postMessage({ type: 'init', options: runtimeOptions(phpVersion) });
+
+    workers.push(record);
+    return record;
+  }
+
+  /**
+   * Options a worker needs to load the runtime
+   * @param {string} phpVersion - PHP version
+   * @returns {Object}
+   */
+  function runtimeOptions(phpVersion) {
+    return {
+      runtimeUrl: new URL(config.runtimeUrl, location.href).href,
+      phpVersion: phpVersion,
+      extensions: config.extensions,
+      ini: Object.entries(config.phpIniSettings).map(([key, value]) => `${key} = ${value}`).join('\n')
+    };
+  }
+
+  /**
+   * Bring a worker's filesystem up to date with its job's scope and run the job
+   * @param {Object} record - Worker record
+   * @param {Object} job - Job
+   */
+  function startJob(record, job) {
+    const scope = getScope(job.scope);
+
+    // Load the job's PHP version; the new interpreter starts with an empty filesystem
+    if (record.phpVersion !== job.phpVersion) {
+      record.worker.postMessage({ type: 'init', options: runtimeOptions(job.phpVersion) });
+      record.phpVersion = job.phpVersion;
+      record.scope = null;
+      record.version = -1;
+    }
+
+    if (record.scope !== job.scope || record.version !== scope.version) {
+      const reset = record.scope !== null && record.scope !== job.scope;
+      const files = [...scope.files].filter(([, content]) => !(reset && content === null));
+
+      record.worker.postMessage({ type: 'sync', reset: reset, files: files });
+      record.scope = job.scope;
+      record.version = scope.version;
+    }
+
+    record.job = job;
+    record.lastUsed = Date.now();
+    job.started = Date.now();
+
+    if (job.timeout > 0) {
+      job.timer = setTimeout(() => {
+        const error = new Error(`PHP execution timed out after ${job.timeout}ms`);
+        error.timedOut = true;
+        error.stdout = job.stdout;
+        error.stderr = job.stderr;
+        failWorker(record, error);
+      }, job.timeout);
+    }
+
+    record.worker.postMessage({ type: 'run', id: job.id, code: job.code, fresh: job.fresh });
+    notifyListeners('job-start', { id: job.id, scope: job.scope, worker: record.id });
+  }
+
+  /**
+   * Handle a message from a worker
+   * @param {Object} record - Worker record
+   * @param {Object} message - Message data
+   */
+  function handleMessage(record, message) {
+    const job = record.job;
+
+    switch (message.type) {
+      case 'ready':
+        record.ready = true;
+        break;
+
+      case 'output':
+        if (!job || message.id !== job.id) return;
+        job[message.stream] += message.text;
+        if (job.onOutput) job.onOutput(message.stream, message.text);
+        notifyListeners('output', { id: job.id, scope: job.scope, stream: message.stream, text: message.text });
+        break;
+
+      case 'changes':
+        if (!job || message.id !== job.id) return;
+        applyChanges(record, job.scope, message.written, message.removed);
+        break;
+
+      case 'done':
+        if (!job || message.id !== job.id) return;
+        finishJob(record, null, {
+          stdout: job.stdout,
+          stderr: job.stderr,
+          exitCode: message.exitCode,
+          duration: message.duration,
+          scope: job.scope
+        });
+        break;
+
+      case 'failed': {
+        // Failures outside a run (runtime load, file sync) leave the worker unusable
+        if (message.id === null || !job || message.id !== job.id) {
+          failWorker(record, new Error(message.error));
+          return;
+        }
+
+        const error = new Error(message.error);
+        error.stdout = job.stdout;
+        error.stderr = job.stderr;
+        finishJob(record, error);
+        break;
+      }
+    }
+  }
+
+  /**
+   * Take in files a script wrote or deleted. The reporting worker already has
+   * them, so only the other workers of the scope resync.
+   * @param {Object} record - Worker record
+   * @param {string} scope - Scope name
+   * @param {Array<Array>} written - [path, content] pairs
+   * @param {Array<string>} removed - Deleted paths
+   */
+  function applyChanges(record, scope, written, removed) {
+    const entry = getScope(scope);
+    const upToDate = record.version === entry.version;
+
+    written.forEach(([path, content]) => entry.files.set(path, content));
+    removed.forEach(path => entry.files.set(path, null));
+    entry.version++;
+
+    if (upToDate) record.version = entry.version;
+    notifyListeners('files-changed', { scope, written, removed });
+  }
+
+  /**
+   * Settle a worker's current job and free the worker
+   * @param {Object} record - Worker record
+   * @param {Error|null} error - Failure, if any
+   * @param {Object} result - Execution result
+   */
+  function finishJob(record, error, result) {
+    const job = record.job;
+    if (!job) return;
+
+    clearTimeout(job.timer);
+    record.job = null;
+    record.runs++;
+
+    notifyListeners('job-end', {
+      id: job.id,
+      scope: job.scope,
+      worker: record.id,
+      duration: Date.now() - job.started,
+      error: error ? error.message : null
+    });
+
+    if (error) {
+      job.reject(error);
+    } else {
+      job.resolve(result);
+    }
+
+    pump();
+  }
+
+  /**
+   * Terminate a broken or runaway worker, failing its job
+   * @param {Object} record - Worker record
+   * @param {Error} error - Reason
+   */
+  function failWorker(record, error) {
+    retireWorker(record);
+    notifyListeners('worker-error', { worker: record.id, scope: record.scope, error: error.message });
+
+    if (record.job) {
+      finishJob(record, error);
+    } else {
+      pump();
+    }
+  }
+
+  /**
+   * Remove a worker from the pool
+   * @param {Object} record - Worker record
+   */
+  function retireWorker(record) {
+    record.worker.terminate();
+
+    const index = workers.indexOf(record);
+    if (index !== -1) workers.splice(index, 1);
+  }
+
+  /**
+   * Get (or create) the file set of a scope
+   * @param {string} scope - Scope name
+   * @returns {Object}
+   */
+  function getScope(scope) {
+    if (!scopes.has(scope)) {
+      scopes.set(scope, { files: new Map(), version: 0 });
+    }
+    return scopes.get(scope);
+  }
+
+  /**
+   * Write a file into a scope's virtual filesystem
+   * @param {string} scope - Scope name
+   * @param {string} path - File path
+   * @param {string|Uint8Array} content - File content
+   */
+  function writeFile(scope, path, content) {
+    const entry = getScope(scope);
+    entry.files.set(path, content);
+    entry.version++;
+  }
+
+  /**
+   * Create a directory in a scope's virtual filesystem
+   * @param {string} scope - Scope name
+   * @param {string} path - Directory path
+   */
+  function createDirectory(scope, path) {
+    const entry = getScope(scope);
+    const directory = path.replace(/\/+$/, '');
+
+    // Directories are recorded as a path with a trailing marker and no content
+    entry.files.set(`${directory}/.`, undefined);
+    entry.version++;
+  }
+
+  /**
+   * Read a file from a scope's virtual filesystem
+   * @param {string} scope - Scope name
+   * @param {string} path - File path
+   * @returns {string|Uint8Array|undefined}
+   */
+  function readFile(scope, path) {
+    const content = getScope(scope).files.get(path);
+    return content === null ? undefined : content;
+  }
+
+  /**
+   * Delete a file, or a directory with everything in it, from a scope's virtual filesystem
+   * @param {string} scope - Scope name
+   * @param {string} path - File or directory path
+   */
+  function removeFile(scope, path) {
+    const entry = getScope(scope);
+    const prefix = path.replace(/\/+$/, '') + '/';
+    let removed = false;
+
+    for (const [file, content] of entry.files) {
+      if (content === null) continue;
+      if (file === path || file.startsWith(prefix)) {
+        entry.files.set(file, null);
+        removed = true;
+      }
+    }
+
+    if (removed) entry.version++;
+  }
+
+  /**
+   * Check whether a path exists in a scope
+   * @param {string} scope - Scope name
+   * @param {string} path - File or directory path
+   * @returns {boolean}
+   */
+  function exists(scope, path) {
+    const prefix = path.replace(/\/+$/, '') + '/';
+
+    for (const [file, content] of getScope(scope).files) {
+      if (content === null) continue;
+      if (file === path || file.startsWith(prefix)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * List the entries directly inside a directory of a scope
+   * @param {string} scope - Scope name
+   * @param {string} path - Directory path
+   * @returns {Array<string>}
+   */
+  function listFiles(scope, path) {
+    const prefix = path.replace(/\/+$/, '') === '' || path === '.' ? '' : path.replace(/\/+$/, '') + '/';
+    const names = new Set();
+
+    for (const [file, content] of getScope(scope).files) {
+      if (content === null || !file.startsWith(prefix)) continue;
+
+      const name = file.slice(prefix.length).split('/')[0];
+      if (name && name !== '.') names.add(name);
+    }
+    return [...names].sort();
+  }
+
+  /**
+   * Get all live files of a scope
+   * @param {string} scope - Scope name
+   * @returns {Object} - Map of path to content
+   */
+  function getFiles(scope) {
+    const files = {};
+    for (const [path, content] of getScope(scope).files) {
+      if (content !== null && content !== undefined) files[path] = content;
+    }
+    return files;
+  }
+
+  /**
+   * Drop a scope: cancel its queued jobs, discard its files and free its workers
+   * @param {string} scope - Scope name
+   */
+  function clearScope(scope) {
+    cancel(scope);
+    scopes.delete(scope);
+
+    workers.filter(record => record.scope === scope && !record.job).forEach(retireWorker);
+    pump();
+  }
+
+  /**
+   * Cancel queued and running jobs
+   * @param {string} scope - Only cancel jobs of this scope (all when omitted)
+   * @returns {number} - Number of cancelled jobs
+   */
+  function cancel(scope = null) {
+    let cancelled = 0;
+
+    for (let i = queue.length - 1; i >= 0; i--) {
+      if (scope !== null && queue[i].scope !== scope) continue;
+
+      const [job] = queue.splice(i, 1);
+      job.reject(Object.assign(new Error('PHP execution cancelled'), { cancelled: true }));
+      cancelled++;
+    }
+
+    workers
+      .filter(record => record.job && (scope === null || record.job.scope === scope))
+      .forEach(record => {
+        failWorker(record, Object.assign(new Error('PHP execution cancelled'), { cancelled: true }));
+        cancelled++;
+      });
+
+    return cancelled;
+  }
+
+  /**
+   * Get a snapshot of the pool
+   * @returns {Object}
+   */
+  function getStatus() {
+    return {
+      size: config.size,
+      queued: queue.length,
+      workers: workers.map(record => ({
+        id: record.id,
+        scope: record.scope,
+        phpVersion: record.phpVersion,
+        busy: !!record.job,
+        ready: record.ready,
+        runs: record.runs,
+        job: record.job ? { id: record.job.id, scope: record.job.scope, started: record.job.started } : null
+      }))
+    };
+  }
+
+  /**
+   * Cancel everything and terminate all workers
+   */
+  function shutdown() {
+    cancel();
+    workers.slice().forEach(retireWorker);
+
+    if (workerUrl) {
+      URL.revokeObjectURL(workerUrl);
+      workerUrl = null;
+    }
+  }
+
+  /**
+   * Add an event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback function
+   */
+  function addEventListener(event, callback) {
+    if (listeners[event]) {
+      listeners[event].push(callback);
+    }
+  }
+
+  /**
+   * Remove an event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback function
+   */
+  function removeEventListener(event, callback) {
+    if (listeners[event]) {
+      const index = listeners[event].indexOf(callback);
+      if (index !== -1) {
+        listeners[event].splice(index, 1);
+      }
+    }
+  }
+
+  /**
+   * Notify all listeners of an event
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   */
+  function notifyListeners(event, data) {
+    if (listeners[event]) {
+      listeners[event].forEach(callback => callback(data));
+    }
+  }
+
+  // Public API
+  return {
+    configure,
+    isSupported,
+    execute,
+    writeFile,
+    createDirectory,
+    readFile,
+    removeFile,
+    exists,
+    listFiles,
+    getFiles,
+    clearScope,
+    cancel,
+    getStatus,
+    shutdown,
+    addEventListener,
+    removeEventListener
+  };
+})();
+
+// Export for ES modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PHPWasmPool;
+}
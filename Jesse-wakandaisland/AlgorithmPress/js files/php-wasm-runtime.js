@@ -0,0 +1,383 @@
+/**
+ * PHP-WASM Runtime Manager
+ * Locates the PHP-WASM runtime (vendored copy first, CDN as fallback), keeps
+ * selected PHP versions available offline through the runtime service worker,
+ * and reports diagnostics about the running interpreter.
+ */
+
+const PHPWasmRuntime = (function() {
+  'use strict';
+
+  // PHP versions the runtime ships binaries for
+  const VERSIONS = ['8.0', '8.1', '8.2', '8.3', '8.4'];
+
+  // Must match PHP_WASM_CACHE in php-wasm-sw.js
+  const CACHE_NAME = 'php-wasm-runtime-v1';
+
+  const config = {
+    // Tried in order; vendor/php-wasm/ holds a copy of the php-wasm npm package's files
+    sources: [
+      'vendor/php-wasm/',
+      'https://cdn.jsdelivr.net/npm/php-wasm@0.0.9-alpha-32/'
+    ],
+    entry: 'PhpWeb.mjs',
+    serviceWorkerUrl: 'algorithmpress-sw.js'
+  };
+
+  let sourcePromise = null;
+  let registration = null;
+
+  /**
+   * Configure the runtime manager
+   * @param {Object} options - sources, entry, serviceWorkerUrl
+   */
+  function configure(options = {}) {
+    Object.keys(config).forEach(key => {
+      if (options[key] !== undefined) config[key] = options[key];
+    });
+    sourcePromise = null;
+  }
+
+  /**
+   * Get the selectable PHP versions
+   * @returns {Array<string>}
+   */
+  function getVersions() {
+    return [...VERSIONS];
+  }
+
+  /**
+   * Check whether a PHP version can be loaded
+   * @param {string} version - PHP version (e.g., '8.2')
+   * @returns {boolean}
+   */
+  function isVersionSupported(version) {
+    return VERSIONS.includes(String(version));
+  }
+
+  /**
+   * Files needed to run a PHP version, relative to the runtime source
+   * @param {string} version - PHP version
+   * @returns {Array<string>}
+   */
+  function filesFor(version) {
+    return [config.entry, 'PhpBase.mjs', `php${version}-web.mjs`, `php${version}-web.wasm`];
+  }
+
+  /**
+   * Find the first source that serves the runtime entry. Offline, the service
+   * worker answers from its cache, so a previously used source still resolves.
+   * @returns {Promise<string>} - Absolute base URL
+   */
+  function resolveSource() {
+    if (!sourcePromise) {
+      sourcePromise = (async () => {
+        for (const source of config.sources) {
+          const base = new URL(source, location.href).href;
+          try {
+            const response = await fetch(base + config.entry);
+            if (response.ok) return base;
+          } catch (error) {
+            // Try the next source
+          }
+        }
+        sourcePromise = null;
+        throw new Error('PHP-WASM runtime is not reachable from any configured source');
+      })();
+    }
+    return sourcePromise;
+  }
+
+  /**
+   * Get the URL of a runtime file
+   * @param {string} name - File name (defaults to the runtime entry)
+   * @returns {Promise<string>}
+   */
+  async function getAssetUrl(name = config.entry) {
+    return (await resolveSource()) + name;
+  }
+
+  /**
+   * Register the page's service worker, which caches runtime files and serves
+   * flow webhooks. Registering it again returns the same registration.
+   * @returns {Promise<ServiceWorkerRegistration|null>}
+   */
+  async function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) {
+      console.warn('Service Workers are not supported; PHP-WASM will need a connection to load');
+      return null;
+    }
+
+    try {
+      registration = await navigator.serviceWorker.register(config.serviceWorkerUrl);
+      return registration;
+    } catch (error) {
+      console.error('PHP-WASM service worker registration failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Download a PHP version's files into the offline cache
+   * @param {string} version - PHP version
+   * @param {Function} onProgress - Called with (done, total)
+   * @returns {Promise<Object>} - { cached: [...], failed: [...] }
+   */
+  async function download(version, onProgress = null) {
+    if (!isVersionSupported(version)) {
+      throw new Error(`PHP ${version} is not available`);
+    }
+    if (typeof caches === 'undefined') {
+      throw new Error('Cache Storage is not available');
+    }
+
+    const base = await resolveSource();
+    const cache = await caches.open(CACHE_NAME);
+    const files = filesFor(version);
+    const result = { cached: [], failed: [] };
+
+    for (const [index, file] of files.entries()) {
+      try {
+        await cache.add(base + file);
+        result.cached.push(file);
+      } catch (error) {
+        result.failed.push(file);
+      }
+      if (onProgress) onProgress(index + 1, files.length);
+    }
+
+    return result;
+  }
+
+  /**
+   * Remove a PHP version's binaries from the offline cache
+   * @param {string} version - PHP version
+   * @returns {Promise<number>} - Number of removed entries
+   */
+  async function evict(version) {
+    if (typeof caches === 'undefined') return 0;
+
+    const cache = await caches.open(CACHE_NAME);
+    const binaries = [`php${version}-web.mjs`, `php${version}-web.wasm`];
+    let removed = 0;
+
+    for (const request of await cache.keys()) {
+      if (binaries.some(file => request.url.endsWith('/' + file))) {
+        await cache.delete(request);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Report which PHP versions are fully cached for offline use
+   * @returns {Promise<Object>} - Map of version to true/false
+   */
+  async function getCacheStatus() {
+    const status = {};
+    VERSIONS.forEach(version => { status[version] = false; });
+    if (typeof caches === 'undefined') return status;
+
+    const cache = await caches.open(CACHE_NAME);
+    const urls = (await cache.keys()).map(request => request.url);
+    const has = (file) => urls.some(url => url.endsWith('/' + file));
+
+    VERSIONS.forEach(version => {
+      status[version] = filesFor(version).every(has);
+    });
+    return status;
+  }
+
+  /**
+   * Gather diagnostics about the runtime and the running interpreter
+   * @param {Object} options - scope (defaults to PHPWasmIntegration's active scope)
+   * @returns {Promise<Object>}
+   */
+  async function collectDiagnostics(options = {}) {
+    const integration = typeof PHPWasmIntegration !== 'undefined' ? PHPWasmIntegration : null;
+    const requestedIni = integration ? integration.getPhpIniSettings() : {};
+    const requestedExtensions = integration ? integration.getEnabledExtensions() : [];
+
+    const diagnostics = {
+      online: navigator.onLine,
+      source: await resolveSource().catch(() => null),
+      serviceWorker: registration && registration.active ? registration.active.state : 'none',
+      cached: await getCacheStatus().catch(() => ({})),
+      requestedVersion: integration ? integration.getPhpVersion(options) : null,
+      workers: integration ? integration.usesWorkers() : false,
+      persistent: integration ? integration.isPersistent() : false,
+      php: null,
+      extensions: [],
+      ini: [],
+      error: null
+    };
+
+    if (!integration || !integration.isInitialized()) {
+      diagnostics.error = 'PHP is not initialized';
+      return diagnostics;
+    }
+
+    const keys = JSON.stringify(Object.keys(requestedIni));
+    const probe = `<?php
+$keys = json_decode('${keys.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}', true);
+$ini = [];
+foreach ($keys as $key) { $ini[$key] = ini_get($key); }
+echo json_encode(['version' => PHP_VERSION, 'sapi' => PHP_SAPI, 'os' => PHP_OS, 'extensions' => get_loaded_extensions(), 'ini' => $ini]);`;
+
+    try {
+      const result = await integration.execute(probe, { scope: options.scope, timeout: 10000 });
+      const report = JSON.parse(result.stdout.slice(result.stdout.indexOf('{')));
+      const loaded = report.extensions.map(name => name.toLowerCase());
+
+      diagnostics.php = { version: report.version, sapi: report.sapi, os: report.os };
+      diagnostics.extensions = [...new Set([...requestedExtensions, ...loaded])].sort().map(name => ({
+        name: name,
+        requested: requestedExtensions.includes(name),
+        loaded: loaded.includes(name.toLowerCase())
+      }));
+      diagnostics.ini = Object.entries(requestedIni).map(([key, value]) => ({
+        key: key,
+        requested: String(value),
+        actual: report.ini[key] === false ? null : String(report.ini[key]),
+        applied: report.ini[key] !== false && normalizeIni(report.ini[key]) === normalizeIni(value)
+      }));
+    } catch (error) {
+      diagnostics.error = error.message;
+    }
+
+    return diagnostics;
+  }
+
+  /**
+   * Compare ini values the way PHP reports them ('On' is '1', 'Off' is '')
+   * @param {*} value - ini value
+   * @returns {string}
+   */
+  function normalizeIni(value) {
+    const text = String(value).trim().toLowerCase();
+    if (['on', 'true', 'yes'].includes(text)) return '1';
+    if (['off', 'false', 'no', 'none'].includes(text)) return '';
+    return text;
+  }
+
+  /**
+   * Render the diagnostics panel into a container
+   * @param {HTMLElement} container - Target element
+   * @param {Object} options - scope
+   * @returns {Promise<Object>} - The diagnostics that were rendered
+   */
+  async function renderDiagnostics(container, options = {}) {
+    container.innerHTML = '<p class="text-muted">Collecting PHP diagnostics...</p>';
+
+    const diagnostics = await collectDiagnostics(options);
+    const badge = (ok, yes, no) => `<span class="badge bg-${ok ? 'success' : 'secondary'}">${ok ? yes : no}</span>`;
+
+    const versions = VERSIONS.map(version => `
+      <tr>
+        <td>PHP ${version}${version === diagnostics.requestedVersion ? ' <strong>(selected)</strong>' : ''}</td>
+        <td>${badge(diagnostics.cached[version], 'Offline', 'Online only')}</td>
+        <td class="text-end">
+          ${diagnostics.cached[version]
+            ? `<button class="btn btn-sm btn-outline-secondary" data-runtime-evict="${version}">Remove</button>`
+            : `<button class="btn btn-sm btn-outline-primary" data-runtime-download="${version}">Make available offline</button>`}
+        </td>
+      </tr>`).join('');
+
+    const extensions = diagnostics.extensions.map(extension => `
+      <tr>
+        <td>${escapeHtml(extension.name)}</td>
+        <td>${extension.requested ? 'Requested' : ''}</td>
+        <td>${badge(extension.loaded, 'Loaded', 'Missing')}</td>
+      </tr>`).join('');
+
+    const ini = diagnostics.ini.map(setting => `
+      <tr>
+        <td><code>${escapeHtml(setting.key)}</code></td>
+        <td>${escapeHtml(setting.requested)}</td>
+        <td>${setting.actual === null ? '<em>unknown</em>' : escapeHtml(setting.actual)}</td>
+        <td>${badge(setting.applied, 'Applied', 'Not applied')}</td>
+      </tr>`).join('');
+
+    container.innerHTML = `
+      <div class="php-diagnostics">
+        <div class="d-flex justify-content-between align-items-center mb-2">
+          <h5 class="mb-0">PHP Diagnostics</h5>
+          <button class="btn btn-sm btn-outline-secondary" data-runtime-refresh>Refresh</button>
+        </div>
+        ${diagnostics.error ? `<div class="alert alert-warning py-1">${escapeHtml(diagnostics.error)}</div>` : ''}
+        <table class="table table-sm">
+          <tr><th>Running version</th><td>${diagnostics.php ? escapeHtml(`${diagnostics.php.version} (${diagnostics.php.sapi})`) : '-'}</td></tr>
+          <tr><th>Selected version</th><td>${escapeHtml(diagnostics.requestedVersion || '-')}</td></tr>
+          <tr><th>Runtime source</th><td>${escapeHtml(diagnostics.source || 'unreachable')}</td></tr>
+          <tr><th>Offline cache</th><td>${escapeHtml(diagnostics.serviceWorker)}${diagnostics.online ? '' : ' (offline now)'}</td></tr>
+          <tr><th>Execution</th><td>${diagnostics.workers ? 'Worker pool' : 'Main thread'}</td></tr>
+          <tr><th>Filesystem</th><td>${diagnostics.persistent ? 'Persistent (IndexedDB)' : 'In memory'}</td></tr>
+        </table>
+        <h6>Versions</h6>
+        <table class="table table-sm">${versions}</table>
+        <h6>Extensions</h6>
+        <table class="table table-sm">${extensions || '<tr><td class="text-muted">No data</td></tr>'}</table>
+        <h6>php.ini</h6>
+        <table class="table table-sm">
+          <tr><th>Setting</th><th>Requested</th><th>Actual</th><th></th></tr>
+          ${ini || '<tr><td colspan="4" class="text-muted">No settings requested</td></tr>'}
+        </table>
+      </div>`;
+
+    container.querySelector('[data-runtime-refresh]').addEventListener('click', () => renderDiagnostics(container, options));
+
+    container.querySelectorAll('[data-runtime-download]').forEach(button => {
+      button.addEventListener('click', () => {
+        button.disabled = true;
+        download(button.dataset.runtimeDownload, (done, total) => {
+          button.textContent = `Downloading ${done}/${total}...`;
+        })
+          .catch(error => console.error('Failed to cache PHP runtime:', error))
+          .then(() => renderDiagnostics(container, options));
+      });
+    });
+
+    container.querySelectorAll('[data-runtime-evict]').forEach(button => {
+      button.addEventListener('click', () => {
+        evict(button.dataset.runtimeEvict).then(() => renderDiagnostics(container, options));
+      });
+    });
+
+    return diagnostics;
+  }
+
+  /**
+   * Escape HTML special characters
+   * @param {string} text - Text to escape
+   * @returns {string}
+   */
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#039;');
+  }
+
+  // Public API
+  return {
+    configure,
+    getVersions,
+    isVersionSupported,
+    resolveSource,
+    getAssetUrl,
+    registerServiceWorker,
+    download,
+    evict,
+    getCacheStatus,
+    collectDiagnostics,
+    renderDiagnostics
+  };
+})();
+
+// Export for ES modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PHPWasmRuntime;
+}
@@ -0,0 +1,1009 @@
+/**
+ * PHP-WASM SQLite Databases
+ * Runs queries against the SQLite files of a project's PHP filesystem (the
+ * same files the sqlite-database component opens), imports and exports
+ * .sqlite and CSV files, and renders the builder's schema browser and query
+ * console. Database files persist with the rest of the project's files.
+ */
+
+const PHPWasmSQLite = (function() {
+  'use strict';
+
+  // File names treated as databases
+  const DATABASE_PATTERN = /\.(sqlite3?|db)$/i;
+
+  // Every SQLite file starts with this header
+  const SQLITE_HEADER = 'SQLite format 3\u0000';
+
+  // Separates the runner's JSON result from anything the script printed before it
+  const RESULT_MARKER = '__ALGORITHMPRESS_SQLITE_RESULT__';
+
+  // Rows shown in the console before the result is cut off
+  const DISPLAY_LIMIT = 500;
+
+  const listeners = {
+    'change': []
+  };
+
+  /**
+   * Check whether queries can run
+   * @returns {boolean}
+   */
+  function isAvailable() {
+    return typeof PHPWasmIntegration !== 'undefined' && PHPWasmIntegration.isInitialized();
+  }
+
+  /**
+   * Get PHPWasmIntegration or fail
+   * @returns {Object}
+   */
+  function requireIntegration() {
+    if (!isAvailable()) {
+      throw new Error('PHP-WASM is not initialized');
+    }
+    return PHPWasmIntegration;
+  }
+
+  /**
+   * Map a database or connection name to its file, the way the sqlite-database
+   * component and generated flow code do ('myapp' is myapp.sqlite)
+   * @param {string} name - Database name, file name or sqlite: DSN
+   * @returns {string} - File path
+   */
+  function resolveDatabase(name) {
+    let path = String(name || 'default').trim();
+
+    if (path.includes(':')) {
+      if (!/^sqlite:/i.test(path)) {
+        throw new Error(`Only SQLite databases are available in the browser, not ${path.split(':')[0]}`);
+      }
+      path = path.slice('sqlite:'.length);
+    }
+
+    if (!path || path === ':memory:') {
+      throw new Error('An in-memory database can\'t be shared between runs');
+    }
+
+    return DATABASE_PATTERN.test(path) ? path : `${path}.sqlite`;
+  }
+
+  /**
+   * List the database files of a scope
+   * @param {Object} options - scope (defaults to the active scope)
+   * @returns {Promise<Array<string>>}
+   */
+  function listDatabases(options = {}) {
+    return requireIntegration().listFiles('', options)
+      .then(names => names.filter(name => DATABASE_PATTERN.test(name)).sort())
+      .catch(() => []);
+  }
+
+  /**
+   * Run SQL statements against a database in one PHP execution
+   * @param {string} database - Database name or file
+   * @param {Array<Object>} statements - { sql, params, batch } (batch: parameter sets for one prepared statement)
+   * @param {Object} options - scope, transaction (roll everything back on error), stopOnError
+   * @returns {Promise<Array<Object>>} - One result per statement run: { sql, columns, rows, changes, lastInsertId, readOnly, duration } or { sql, error }
+   */
+  async function runStatements(database, statements, options = {}) {
+    const response = await runScript({
+      database: resolveDatabase(database),
+      statements: statements.map(statement => ({
+        sql: statement.sql,
+        params: statement.params || {},
+        batch: statement.batch || null
+      })),
+      transaction: Boolean(options.transaction),
+      stopOnError: options.stopOnError !== false
+    }, options);
+
+    const results = response.results.map(result => result.error ? result : {
+      ...result,
+      rows: result.rows.map(row => row.map(decodeValue))
+    });
+
+    if (results.some(result => !result.error && !result.readOnly)) {
+      await persistDatabase(resolveDatabase(database), options);
+    }
+
+    return results;
+  }
+
+  /**
+   * Run one SQL statement
+   * @param {string} database - Database name or file
+   * @param {string} sql - SQL statement
+   * @param {Object|Array} params - Named (:name) or positional (?) parameters
+   * @param {Object} options - scope
+   * @returns {Promise<Object>} - { columns, rows (objects), changes, lastInsertId, duration }
+   */
+  async function query(database, sql, params = {}, options = {}) {
+    const [result] = await runStatements(database, [{ sql, params }], options);
+    if (result.error) {
+      throw new Error(result.error);
+    }
+
+    return {
+      columns: result.columns,
+      rows: result.rows.map(row => Object.fromEntries(result.columns.map((column, i) => [column, row[i]]))),
+      changes: result.changes,
+      lastInsertId: result.lastInsertId,
+      duration: result.duration
+    };
+  }
+
+  /**
+   * Run a script of several statements, as typed into the query console
+   * @param {string} database - Database name or file
+   * @param {string} sql - SQL script
+   * @param {Object} options - scope
+   * @returns {Promise<Array<Object>>} - See runStatements
+   */
+  function execute(database, sql, options = {}) {
+    const statements = splitStatements(sql).map(statement => ({ sql: statement }));
+    if (statements.length === 0) return Promise.resolve([]);
+    return runStatements(database, statements, options);
+  }
+
+  /**
+   * Describe the tables and views of a database
+   * @param {string} database - Database name or file
+   * @param {Object} options - scope
+   * @returns {Promise<Array<Object>>} - { name, type, sql, columns, indexes, rowCount }
+   */
+  async function getSchema(database, options = {}) {
+    const response = await runScript({ database: resolveDatabase(database), schema: true }, options);
+    return response.schema;
+  }
+
+  /**
+   * Run the PHP side of a request
+   * @param {Object} input - Runner input
+   * @param {Object} options - scope
+   * @returns {Promise<Object>} - Decoded runner output
+   */
+  async function runScript(input, options = {}) {
+    const integration = requireIntegration();
+    const payload = base64Encode(new TextEncoder().encode(JSON.stringify(input)));
+
+    const result = await integration.execute(RUNNER.replace('__INPUT__', payload), {
+      scope: options.scope,
+      timeout: options.timeout
+    });
+
+    const index = result.stdout.lastIndexOf(RESULT_MARKER);
+    if (index === -1) {
+      throw new Error((result.stderr || result.stdout || 'The SQLite runner produced no result').trim());
+    }
+
+    const response = JSON.parse(result.stdout.slice(index + RESULT_MARKER.length));
+    if (response.fatal) {
+      throw new Error(response.fatal);
+    }
+    return response;
+  }
+
+  /**
+   * Keep a database's latest contents in the persistent filesystem. Worker
+   * runs report changed files themselves; main-thread runs don't.
+   * @param {string} path - Database file
+   * @param {Object} options - scope
+   * @returns {Promise}
+   */
+  async function persistDatabase(path, options = {}) {
+    const integration = requireIntegration();
+
+    if (!integration.usesWorkers() && integration.isPersistent()) {
+      const bytes = await integration.readFile(path, { scope: options.scope, encoding: 'binary' });
+      await integration.createFile(path, bytes, { scope: options.scope });
+    }
+
+    notifyListeners('change', { database: path, scope: options.scope || integration.getScope() });
+  }
+
+  /**
+   * Create an empty database file
+   * @param {string} name - Database name or file
+   * @param {Object} options - scope
+   * @returns {Promise<string>} - Database file
+   */
+  async function createDatabase(name, options = {}) {
+    const path = resolveDatabase(name);
+    const existing = await listDatabases(options);
+    if (existing.includes(path)) {
+      throw new Error(`${path} already exists`);
+    }
+
+    // Writing the schema version creates the file with a valid header
+    await runStatements(path, [{ sql: 'PRAGMA user_version = 1' }], options);
+    return path;
+  }
+
+  /**
+   * Delete a database file
+   * @param {string} database - Database name or file
+   * @param {Object} options - scope
+   * @returns {Promise}
+   */
+  async function deleteDatabase(database, options = {}) {
+    const path = resolveDatabase(database);
+    await requireIntegration().removePath(path, options);
+    notifyListeners('change', { database: path, scope: options.scope, removed: true });
+  }
+
+  /**
+   * Import a .sqlite file, replacing any database of the same name
+   * @param {File|Blob|ArrayBuffer|Uint8Array} file - SQLite file
+   * @param {Object} options - name (defaults to the file name), scope
+   * @returns {Promise<string>} - Database file
+   */
+  async function importDatabase(file, options = {}) {
+    const bytes = await toBytes(file);
+    const header = new TextDecoder().decode(bytes.subarray(0, SQLITE_HEADER.length));
+    if (header !== SQLITE_HEADER) {
+      throw new Error(`${file.name || 'The file'} is not an SQLite database`);
+    }
+
+    const path = resolveDatabase(options.name || file.name || 'imported');
+    await requireIntegration().createFile(path, bytes, { scope: options.scope });
+    notifyListeners('change', { database: path, scope: options.scope });
+    return path;
+  }
+
+  /**
+   * Export a database file
+   * @param {string} database - Database name or file
+   * @param {Object} options - scope
+   * @returns {Promise<Blob>}
+   */
+  async function exportDatabase(database, options = {}) {
+    const content = await requireIntegration().readFile(resolveDatabase(database), {
+      scope: options.scope,
+      encoding: 'binary'
+    });
+    return new Blob([content], { type: 'application/vnd.sqlite3' });
+  }
+
+  /**
+   * Import CSV rows into a table, creating it from the header row when needed
+   * @param {string} database - Database name or file
+   * @param {string} table - Table name
+   * @param {string} csv - CSV text; the first row names the columns
+   * @param {Object} options - scope, delimiter, replace (empty the table first)
+   * @returns {Promise<Object>} - { table, columns, rows }
+   */
+  async function importCsv(database, table, csv, options = {}) {
+    const records = parseCsv(csv, options.delimiter);
+    if (records.length === 0) {
+      throw new Error('The CSV file is empty');
+    }
+
+    const columns = records[0].map((name, i) => String(name).trim() || `column${i + 1}`);
+    const rows = records.slice(1)
+      .filter(record => record.some(value => value !== ''))
+      .map(record => columns.map((column, i) => record[i] === undefined ? '' : record[i]));
+
+    // Columns hold numbers when every filled-in value is one
+    const types = columns.map((column, i) => {
+      const values = rows.map(row => row[i]).filter(value => value !== '');
+      if (values.length > 0 && values.every(value => /^-?\d+$/.test(value) && Number.isSafeInteger(Number(value)))) return 'INTEGER';
+      if (values.length > 0 && values.every(value => /^-?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(value))) return 'REAL';
+      return 'TEXT';
+    });
+
+    const convert = (value, type) => {
+      if (value === '') return null;
+      return type === 'TEXT' ? value : Number(value);
+    };
+
+    const statements = [{
+      sql: `CREATE TABLE IF NOT EXISTS ${quoteIdentifier(table)} (${columns.map((column, i) => `${quoteIdentifier(column)} ${types[i]}`).join(', ')})`
+    }];
+    if (options.replace) {
+      statements.push({ sql: `DELETE FROM ${quoteIdentifier(table)}` });
+    }
+    statements.push({
+      sql: `INSERT INTO ${quoteIdentifier(table)} (${columns.map(quoteIdentifier).join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+      batch: rows.map(row => row.map((value, i) => convert(value, types[i])))
+    });
+
+    const results = await runStatements(database, statements, { ...options, transaction: true });
+    const failed = results.find(result => result.error);
+    if (failed) {
+      throw new Error(failed.error);
+    }
+
+    return { table, columns, rows: rows.length };
+  }
+
+  /**
+   * Export a table or query result as CSV
+   * @param {string} database - Database name or file
+   * @param {string} source - Table name, or a SELECT statement
+   * @param {Object} options - scope
+   * @returns {Promise<string>}
+   */
+  async function exportCsv(database, source, options = {}) {
+    const sql = /^\s*(select|with|pragma)\b/i.test(source) ? source : `SELECT * FROM ${quoteIdentifier(source)}`;
+    const [result] = await runStatements(database, [{ sql }], options);
+    if (result.error) {
+      throw new Error(result.error);
+    }
+    return toCsv(result.columns, result.rows);
+  }
+
+  /**
+   * Parse CSV (RFC 4180: quoted fields, doubled quotes, line breaks in quotes)
+   * @param {string} text - CSV text
+   * @param {string} delimiter - Field delimiter (guessed from the first line when omitted)
+   * @returns {Array<Array<string>>}
+   */
+  function parseCsv(text, delimiter) {
+    text = String(text).replace(/^\uFEFF/, '');
+
+    if (!delimiter) {
+      const firstLine = text.split(/\r?\n/)[0];
+      delimiter = [',', ';', '\t', '|']
+        .map(candidate => ({ candidate, count: firstLine.split(candidate).length }))
+        .sort((a, b) => b.count - a.count)[0].candidate;
+    }
+
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"' && field === '') {
+        quoted = true;
+      } else if (char === delimiter) {
+        record.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        record.push(field);
+        records.push(record);
+        record = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field !== '' || record.length > 0) {
+      record.push(field);
+      records.push(record);
+    }
+    return records;
+  }
+
+  /**
+   * Format rows as CSV
+   * @param {Array<string>} columns - Column names
+   * @param {Array<Array>} rows - Row values
+   * @returns {string}
+   */
+  function toCsv(columns, rows) {
+    const cell = (value) => {
+      if (value === null || value === undefined) return '';
+      if (value instanceof Uint8Array) value = base64Encode(value);
+      const text = String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [columns, ...rows].map(row => row.map(cell).join(',')).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Split an SQL script into statements, ignoring semicolons in strings,
+   * quoted identifiers, comments and trigger bodies
+   * @param {string} sql - SQL script
+   * @returns {Array<string>}
+   */
+  function splitStatements(sql) {
+    const statements = [];
+    let current = '';
+    let depth = 0;
+    let i = 0;
+
+    while (i < sql.length) {
+      const char = sql[i];
+      const rest = sql.slice(i);
+
+      if (char === '\'' || char === '"' || char === '`' || char === '[') {
+        const close = char === '[' ? ']' : char;
+        let end = i + 1;
+        while (end < sql.length) {
+          if (sql[end] === close && sql[end + 1] === close && close !== ']') {
+            end += 2;
+          } else if (sql[end] === close) {
+            break;
+          } else {
+            end++;
+          }
+        }
+        current += sql.slice(i, end + 1);
+        i = end + 1;
+        continue;
+      }
+
+      if (rest.startsWith('--')) {
+        const end = sql.indexOf('\n', i);
+        i = end === -1 ? sql.length : end;
+        continue;
+      }
+
+      if (rest.startsWith('/*')) {
+        const end = sql.indexOf('*/', i + 2);
+        i = end === -1 ? sql.length : end + 2;
+        continue;
+      }
+
+      // CREATE TRIGGER ... BEGIN ... END holds statements of its own
+      const word = /^[A-Za-z_]+/.exec(rest);
+      if (word && (i === 0 || !/\w/.test(sql[i - 1]))) {
+        const keyword = word[0].toUpperCase();
+        if (keyword === 'BEGIN' && /\bCREATE\s+(TEMP\w*\s+)?TRIGGER\b/i.test(current)) depth++;
+        if (keyword === 'CASE' && depth > 0) depth++;
+        if (keyword === 'END' && depth > 0) depth--;
+        current += word[0];
+        i += word[0].length;
+        continue;
+      }
+
+      if (char === ';' && depth === 0) {
+        if (current.trim()) statements.push(current.trim());
+        current = '';
+      } else {
+        current += char;
+      }
+      i++;
+    }
+
+    if (current.trim()) statements.push(current.trim());
+    return statements;
+  }
+
+  /**
+   * Quote an SQL identifier
+   * @param {string} name - Identifier
+   * @returns {string}
+   */
+  function quoteIdentifier(name) {
+    return `"${String(name).replace(/"/g, '""')}"`;
+  }
+
+  /**
+   * Turn a runner value back into JavaScript (BLOBs come back base64-encoded)
+   * @param {*} value - Runner value
+   * @returns {*}
+   */
+  function decodeValue(value) {
+    if (value && typeof value === 'object' && typeof value.$blob === 'string') {
+      return base64Decode(value.$blob);
+    }
+    return value;
+  }
+
+  /**
+   * Read a file, blob or buffer into bytes
+   * @param {File|Blob|ArrayBuffer|Uint8Array} file - Input
+   * @returns {Promise<Uint8Array>}
+   */
+  async function toBytes(file) {
+    if (file instanceof Uint8Array) return file;
+    if (file instanceof ArrayBuffer) return new Uint8Array(file);
+    return new Uint8Array(await file.arrayBuffer());
+  }
+
+  /**
+   * Base64-encode bytes
+   * @param {Uint8Array} bytes - Data
+   * @returns {string}
+   */
+  function base64Encode(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  /**
+   * Decode base64 into bytes
+   * @param {string} text - Base64 text
+   * @returns {Uint8Array}
+   */
+  function base64Decode(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+
+  /**
+   * Offer a blob as a download
+   * @param {Blob} blob - Content
+   * @param {string} filename - File name
+   */
+  function download(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 100);
+  }
+
+  /**
+   * Render the schema browser and query console
+   * @param {HTMLElement} container - Element to render into
+   * @param {Object} options - scope (defaults to the active scope), database (initially selected)
+   * @returns {Promise}
+   */
+  async function renderPanel(container, options = {}) {
+    if (!isAvailable()) {
+      container.innerHTML = '<p class="text-muted">PHP-WASM is still loading...</p>';
+      return;
+    }
+
+    const scope = options.scope;
+    const databases = await listDatabases({ scope });
+    const selected = databases.includes(options.database) ? options.database : databases[0];
+    const state = { ...options, database: selected };
+
+    let schema = [];
+    let schemaError = null;
+    if (selected) {
+      try {
+        schema = await getSchema(selected, { scope });
+      } catch (error) {
+        schemaError = error.message;
+      }
+    }
+
+    const tables = schema.map(table => `
+      <details class="mb-1">
+        <summary>
+          <a href="#" data-sqlite-table="${escapeHtml(table.name)}">${escapeHtml(table.name)}</a>
+          <small class="text-muted">${table.type === 'view' ? 'view' : `${table.rowCount} rows`}</small>
+        </summary>
+        <table class="table table-sm mb-1">
+          ${table.columns.map(column => `
+            <tr>
+              <td>${column.pk ? '<strong>' : ''}${escapeHtml(column.name)}${column.pk ? '</strong>' : ''}</td>
+              <td class="text-muted">${escapeHtml(column.type || '')}${column.notnull ? ' NOT NULL' : ''}</td>
+            </tr>`).join('')}
+        </table>
+        ${table.indexes.length > 0 ? `<small class="text-muted">Indexes: ${table.indexes.map(escapeHtml).join(', ')}</small>` : ''}
+        ${table.type === 'table' ? `<div><a href="#" class="small" data-sqlite-csv="${escapeHtml(table.name)}">Export CSV</a></div>` : ''}
+      </details>`).join('');
+
+    container.innerHTML = `
+      <div class="sqlite-panel">
+        <div class="d-flex gap-2 align-items-center mb-2">
+          <select class="form-select form-select-sm" data-sqlite-database>
+            ${databases.map(name => `<option value="${escapeHtml(name)}"${name === selected ? ' selected' : ''}>${escapeHtml(name)}</option>`).join('')
+              || '<option value="">No databases</option>'}
+          </select>
+          <button class="btn btn-sm btn-outline-secondary" data-sqlite-refresh title="Refresh">&#x21bb;</button>
+        </div>
+        <div class="d-flex flex-wrap gap-1 mb-2">
+          <button class="btn btn-sm btn-outline-primary" data-sqlite-new>New</button>
+          <label class="btn btn-sm btn-outline-primary mb-0">
+            Import<input type="file" accept=".sqlite,.sqlite3,.db,.csv,text/csv" data-sqlite-import hidden>
+          </label>
+          ${selected ? `
+            <button class="btn btn-sm btn-outline-secondary" data-sqlite-export>Export .sqlite</button>
+            <button class="btn btn-sm btn-outline-danger" data-sqlite-delete>Delete</button>` : ''}
+        </div>
+        <div data-sqlite-message>${schemaError ? `<div class="alert alert-danger py-1">${escapeHtml(schemaError)}</div>` : ''}</div>
+        <h6>Schema</h6>
+        <div class="sqlite-schema mb-2">${tables || '<p class="text-muted small">No tables</p>'}</div>
+        <h6>Query</h6>
+        <textarea class="form-control font-monospace mb-1" rows="4" spellcheck="false" data-sqlite-query
+          placeholder="SELECT * FROM users;">${escapeHtml(options.sql || '')}</textarea>
+        <div class="d-flex justify-content-between align-items-center mb-2">
+          <small class="text-muted">Ctrl+Enter to run</small>
+          <button class="btn btn-sm btn-primary" data-sqlite-run${selected ? '' : ' disabled'}>Run</button>
+        </div>
+        <div class="sqlite-results" data-sqlite-results></div>
+      </div>`;
+
+    const message = container.querySelector('[data-sqlite-message]');
+    const results = container.querySelector('[data-sqlite-results]');
+    const editor = container.querySelector('[data-sqlite-query]');
+    const showError = (error) => {
+      message.innerHTML = `<div class="alert alert-danger py-1">${escapeHtml(error.message || error)}</div>`;
+    };
+    const rerender = (changes = {}) => renderPanel(container, { ...state, sql: editor.value, ...changes });
+
+    container.querySelector('[data-sqlite-database]').addEventListener('change', event => {
+      rerender({ database: event.target.value });
+    });
+    container.querySelector('[data-sqlite-refresh]').addEventListener('click', () => rerender());
+
+    container.querySelector('[data-sqlite-new]').addEventListener('click', () => {
+      const name = window.prompt('Database name:', 'myapp');
+      if (!name) return;
+      createDatabase(name, { scope })
+        .then(path => rerender({ database: path }))
+        .catch(showError);
+    });
+
+    container.querySelector('[data-sqlite-import]').addEventListener('change', async event => {
+      const file = event.target.files[0];
+      if (!file) return;
+
+      try {
+        if (/\.csv$/i.test(file.name) || file.type === 'text/csv') {
+          if (!selected) {
+            throw new Error('Create or import a database before importing CSV');
+          }
+          const table = window.prompt(`Import ${file.name} into table:`, file.name.replace(/\.csv$/i, '').replace(/\W+/g, '_'));
+          if (!table) return;
+          const imported = await importCsv(selected, table, await file.text(), { scope });
+          await rerender({ sql: `SELECT * FROM ${quoteIdentifier(imported.table)} LIMIT 100;` });
+        } else {
+          const path = await importDatabase(file, { scope });
+          await rerender({ database: path });
+        }
+      } catch (error) {
+        showError(error);
+      }
+    });
+
+    if (selected) {
+      container.querySelector('[data-sqlite-export]').addEventListener('click', () => {
+        exportDatabase(selected, { scope })
+          .then(blob => download(blob, selected))
+          .catch(showError);
+      });
+
+      container.querySelector('[data-sqlite-delete]').addEventListener('click', () => {
+        if (!window.confirm(`Delete ${selected}? This can't be undone.`)) return;
+        deleteDatabase(selected, { scope })
+          .then(() => rerender({ database: null }))
+          .catch(showError);
+      });
+    }
+
+    container.querySelectorAll('[data-sqlite-table]').forEach(link => {
+      link.addEventListener('click', event => {
+        event.preventDefault();
+        editor.value = `SELECT * FROM ${quoteIdentifier(link.dataset.sqliteTable)} LIMIT 100;`;
+        run();
+      });
+    });
+
+    container.querySelectorAll('[data-sqlite-csv]').forEach(link => {
+      link.addEventListener('click', event => {
+        event.preventDefault();
+        exportCsv(selected, link.dataset.sqliteCsv, { scope })
+          .then(csv => download(new Blob([csv], { type: 'text/csv' }), `${link.dataset.sqliteCsv}.csv`))
+          .catch(showError);
+      });
+    });
+
+    const run = () => {
+      if (!selected || !editor.value.trim()) return;
+
+      message.innerHTML = '';
+      results.innerHTML = '<p class="text-muted small">Running...</p>';
+
+      execute(selected, editor.value, { scope })
+        .then(outcome => {
+          results.innerHTML = outcome.map(renderResult).join('');
+
+          // Statements that changed the schema need a fresh outline
+          if (outcome.some(result => !result.error && /^\s*(create|drop|alter)\b/i.test(result.sql))) {
+            rerender().then(() => {
+              container.querySelector('[data-sqlite-results]').innerHTML = outcome.map(renderResult).join('');
+            });
+          }
+        })
+        .catch(error => {
+          results.innerHTML = '';
+          showError(error);
+        });
+    };
+
+    container.querySelector('[data-sqlite-run]').addEventListener('click', run);
+    editor.addEventListener('keydown', event => {
+      if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+        event.preventDefault();
+        run();
+      }
+    });
+  }
+
+  /**
+   * Render one statement's result for the console
+   * @param {Object} result - Statement result
+   * @returns {string} - HTML
+   */
+  function renderResult(result) {
+    const sql = `<code class="d-block text-truncate small">${escapeHtml(result.sql)}</code>`;
+
+    if (result.error) {
+      return `<div class="mb-2">${sql}<div class="alert alert-danger py-1 mb-0">${escapeHtml(result.error)}</div></div>`;
+    }
+
+    if (result.columns.length === 0) {
+      return `<div class="mb-2">${sql}<small class="text-muted">${result.changes} row(s) affected` +
+        `${result.lastInsertId ? `, last insert id ${result.lastInsertId}` : ''} in ${result.duration.toFixed(1)} ms</small></div>`;
+    }
+
+    const cell = (value) => {
+      if (value === null) return '<em class="text-muted">NULL</em>';
+      if (value instanceof Uint8Array) return `<em class="text-muted">BLOB (${value.length} bytes)</em>`;
+      return escapeHtml(value);
+    };
+
+    const rows = result.rows.slice(0, DISPLAY_LIMIT).map(row => `<tr>${row.map(value => `<td>${cell(value)}</td>`).join('')}</tr>`).join('');
+
+    return `
+      <div class="mb-2">
+        ${sql}
+        <div class="table-responsive">
+          <table class="table table-sm table-striped mb-0">
+            <thead><tr>${result.columns.map(column => `<th>${escapeHtml(column)}</th>`).join('')}</tr></thead>
+            <tbody>${rows}</tbody>
+          </table>
+        </div>
+        <small class="text-muted">${result.rows.length} row(s) in ${result.duration.toFixed(1)} ms` +
+          `${result.rows.length > DISPLAY_LIMIT ? `, first ${DISPLAY_LIMIT} shown` : ''}</small>
+      </div>`;
+  }
+
+  /**
+   * Escape HTML special characters
+   * @param {string} text - Text to escape
+   * @returns {string}
+   */
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#039;');
+  }
+
+  /**
+   * Add event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback function
+   */
+  function addEventListener(event, callback) {
+    if (listeners[event]) {
+      listeners[event].push(callback);
+    }
+  }
+
+  /**
+   * Remove event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback function
+   */
+  function removeEventListener(event, callback) {
+    if (listeners[event]) {
+      const index = listeners[event].indexOf(callback);
+      if (index !== -1) {
+        listeners[event].splice(index, 1);
+      }
+    }
+  }
+
+  /**
+   * Notify all listeners of an event
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   */
+  function notifyListeners(event, data) {
+    if (listeners[event]) {
+      listeners[event].forEach(callback => {
+        try {
+          callback(data);
+        } catch (error) {
+          console.error(`Error in ${event} listener:`, error);
+        }
+      });
+    }
+  }
+
+  // PHP side: runs statements (or reads the schema) with the sqlite3 extension
+  // and prints the result as JSON after RESULT_MARKER
+  const RUNNER = String.raw`<?php
+$input = json_decode(base64_decode('__INPUT__'), true);
+
+$encode = function ($value) {
+    // BLOBs and other non-UTF-8 strings can't go into JSON as they are
+    if (is_string($value) && !preg_match('//u', $value)) {
+        return ['$blob' => base64_encode($value)];
+    }
+    return $value;
+};
+
+$bind = function (SQLite3Stmt $statement, array $params) {
+    foreach ($params as $key => $value) {
+        if (is_int($key)) {
+            $name = $key + 1;
+        } elseif (in_array($key[0], [':', '@', '$'], true)) {
+            $name = $key;
+        } else {
+            $name = ':' . $key;
+        }
+
+        if (is_array($value)) {
+            $value = json_encode($value);
+        }
+
+        if ($value === null) {
+            $type = SQLITE3_NULL;
+        } elseif (is_int($value) || is_bool($value)) {
+            $type = SQLITE3_INTEGER;
+        } elseif (is_float($value)) {
+            $type = SQLITE3_FLOAT;
+        } else {
+            $type = SQLITE3_TEXT;
+        }
+        $statement->bindValue($name, $value, $type);
+    }
+};
+
+$output = [];
+
+try {
+    if (!class_exists('SQLite3')) {
+        throw new RuntimeException('The sqlite3 extension is not loaded; enable it in PHP Settings');
+    }
+
+    $db = new SQLite3($input['database']);
+    $db->enableExceptions(true);
+    $db->busyTimeout(1000);
+
+    if (!empty($input['schema'])) {
+        $schema = [];
+        $objects = $db->query("SELECT type, name, sql FROM sqlite_master WHERE type IN ('table', 'view') AND name NOT LIKE 'sqlite_%' ORDER BY name");
+        while ($object = $objects->fetchArray(SQLITE3_ASSOC)) {
+            $quoted = '"' . str_replace('"', '""', $object['name']) . '"';
+
+            $columns = [];
+            $info = $db->query('PRAGMA table_info(' . $quoted . ')');
+            while ($column = $info->fetchArray(SQLITE3_ASSOC)) {
+                $columns[] = [
+                    'name' => $column['name'],
+                    'type' => $column['type'],
+                    'notnull' => (bool) $column['notnull'],
+                    'pk' => (bool) $column['pk'],
+                    'default' => $column['dflt_value']
+                ];
+            }
+
+            $indexes = [];
+            $list = $db->query('PRAGMA index_list(' . $quoted . ')');
+            while ($index = $list->fetchArray(SQLITE3_ASSOC)) {
+                $indexes[] = $index['name'];
+            }
+
+            $schema[] = [
+                'name' => $object['name'],
+                'type' => $object['type'],
+                'sql' => $object['sql'],
+                'columns' => $columns,
+                'indexes' => $indexes,
+                'rowCount' => $object['type'] === 'table' ? $db->querySingle('SELECT COUNT(*) FROM ' . $quoted) : null
+            ];
+        }
+        $output['schema'] = $schema;
+    } else {
+        $results = [];
+        if ($input['transaction']) {
+            $db->exec('BEGIN');
+        }
+
+        foreach ($input['statements'] as $item) {
+            $started = microtime(true);
+
+            try {
+                $statement = $db->prepare($item['sql']);
+                $columns = [];
+                $rows = [];
+                $changes = 0;
+
+                foreach ($item['batch'] ?? [$item['params']] as $params) {
+                    $bind($statement, $params);
+                    $result = $statement->execute();
+                    $changes += $db->changes();
+
+                    if ($result && $result->numColumns() > 0) {
+                        for ($i = 0; $i < $result->numColumns(); $i++) {
+                            $columns[$i] = $result->columnName($i);
+                        }
+                        while (($row = $result->fetchArray(SQLITE3_NUM)) !== false) {
+                            $rows[] = array_map($encode, $row);
+                        }
+                    }
+                    $statement->reset();
+                    $statement->clear();
+                }
+
+                $readOnly = $statement->readOnly();
+                $results[] = [
+                    'sql' => $item['sql'],
+                    'columns' => $columns,
+                    'rows' => $rows,
+                    'changes' => $readOnly ? 0 : $changes,
+                    'lastInsertId' => $readOnly ? null : $db->lastInsertRowID(),
+                    'readOnly' => $readOnly,
+                    'duration' => (microtime(true) - $started) * 1000
+                ];
+                $statement->close();
+            } catch (Exception $error) {
+                $results[] = ['sql' => $item['sql'], 'error' => $error->getMessage()];
+                if ($input['transaction'] || $input['stopOnError']) {
+                    break;
+                }
+            }
+        }
+
+        if ($input['transaction']) {
+            $failed = array_filter($results, function ($result) {
+                return isset($result['error']);
+            });
+            $db->exec($failed ? 'ROLLBACK' : 'COMMIT');
+        }
+        $output['results'] = $results;
+    }
+
+    $db->close();
+} catch (Throwable $error) {
+    $output['fatal'] = $error->getMessage();
+}
+
+echo "\n" . '` + RESULT_MARKER + String.raw`' . json_encode($output, JSON_PARTIAL_OUTPUT_ON_ERROR);
+`;
+
+  // Public API
+  return {
+    isAvailable,
+    resolveDatabase,
+    listDatabases,
+    query,
+    execute,
+    runStatements,
+    getSchema,
+    createDatabase,
+    deleteDatabase,
+    importDatabase,
+    exportDatabase,
+    importCsv,
+    exportCsv,
+    parseCsv,
+    toCsv,
+    splitStatements,
+    renderPanel,
+    addEventListener,
+    removeEventListener
+  };
+})();
+
+// Export for ES modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PHPWasmSQLite;
+}
@@ -0,0 +1,1102 @@
+/**
+ * PHP-WASM Component Templates
+ * Template language for the `template` of builder components. {{ value }}
+ * output is HTML-escaped unless it goes through the raw filter (or uses
+ * {{{ value }}}), values pass through filters, {{#if}} and {{#each}} blocks
+ * repeat or skip markup, and {{> component-id }} renders another component
+ * as a partial. Templates are checked when they compile, so mistakes are
+ * reported at their line and column in the component definition.
+ */
+
+const PHPWasmTemplates = (function() {
+  'use strict';
+
+  // Where the builder puts a component's nested components: {{ slot:name }}
+  const SLOT_TAG = /^slot:([\w-]+)$/;
+
+  // Pieces of an expression: numbers, strings, names (@index...) and operators
+  const EXPRESSION_TOKEN = /\s*(?:(\d+(?:\.\d+)?)|('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")|(@?[A-Za-z_$][\w$]*)|(==|!=|<=|>=|&&|\|\||[<>!|().,=]))/y;
+
+  // Compiled component templates, dropped when the template changes
+  const componentCache = new WeakMap();
+
+  /**
+   * Output that is already HTML (or meant for PHP/JS) and must not be escaped again
+   * @param {string} value - Text
+   */
+  function SafeString(value) {
+    this.value = value;
+  }
+
+  SafeString.prototype.toString = function() {
+    return this.value;
+  };
+
+  const filters = {
+    raw: (value) => value instanceof SafeString ? value : new SafeString(toText(value)),
+    escape: (value) => value instanceof SafeString ? value : new SafeString(escapeHtml(toText(value))),
+    e: (value) => filters.escape(value),
+    default: (value, fallback = '') => value === undefined || value === null || value === '' ? fallback : value,
+    upper: (value) => toText(value).toUpperCase(),
+    lower: (value) => toText(value).toLowerCase(),
+    capitalize: (value) => toText(value).charAt(0).toUpperCase() + toText(value).slice(1),
+    trim: (value) => toText(value).trim(),
+    truncate: (value, length = 80, suffix = '…') => {
+      const text = toText(value);
+      return text.length > length ? text.slice(0, length) + suffix : text;
+    },
+    nl2br: (value) => new SafeString(filters.escape(value).value.replace(/\r?\n/g, '<br>\n')),
+    url: (value) => encodeURIComponent(toText(value)),
+    // Escaped like PHP's JSON_HEX_* flags so the output can't close a <script> or attribute
+    json: (value) => new SafeString(JSON.stringify(value === undefined ? null : value)
+      .replace(/[<>&'\u2028\u2029]/g, char => '\\u' + char.charCodeAt(0).toString(16).padStart(4, '0'))),
+    php: (value) => new SafeString(phpLiteral(value)),
+    lines: (value) => toText(value).split(/\r?\n/).map(line => line.trim()).filter(line => line !== ''),
+    split: (value, separator = ',') => toText(value).split(separator).map(part => part.trim()).filter(part => part !== ''),
+    join: (value, separator = ', ') => Array.isArray(value) ? value.map(toText).join(separator) : toText(value),
+    length: (value) => {
+      if (Array.isArray(value)) return value.length;
+      if (value && typeof value === 'object' && !(value instanceof SafeString)) return Object.keys(value).length;
+      return toText(value).length;
+    }
+  };
+
+  /**
+   * Create an error pointing at a position in a template
+   * @param {string} message - What is wrong
+   * @param {Object} context - Template being compiled (source, name, component)
+   * @param {number} position - Offset in the template
+   * @returns {Error} - Error named TemplateError with reason, line, column and component
+   */
+  function templateError(message, context, position) {
+    const before = context.source.slice(0, position);
+    const line = (before.match(/\n/g) || []).length + 1;
+    const column = position - before.lastIndexOf('\n');
+
+    const error = new Error(`${message} (${context.name ? `${context.name}, ` : ''}line ${line}, column ${column})`);
+    error.name = 'TemplateError';
+    error.reason = message;
+    error.line = line;
+    error.column = column;
+    error.component = context.component || null;
+    return error;
+  }
+
+  /**
+   * Split a template into text and {{ tags }}
+   * @param {Object} context - Template being compiled
+   * @returns {Array<Object>} - Tokens with their position in the template
+   */
+  function tokenize(context) {
+    const source = context.source;
+    const tokens = [];
+    let position = 0;
+
+    while (position < source.length) {
+      const start = source.indexOf('{{', position);
+      if (start === -1) {
+        tokens.push({ type: 'text', value: source.slice(position), position });
+        break;
+      }
+      if (start > position) {
+        tokens.push({ type: 'text', value: source.slice(position, start), position });
+      }
+
+      const raw = source.startsWith('{{{', start);
+      const [open, close] = raw ? ['{{{', '}}}'] : ['{{', '}}'];
+      const end = source.indexOf(close, start + open.length);
+      if (end === -1) {
+        throw templateError(`Unclosed "${open}"`, context, start);
+      }
+
+      const body = source.slice(start + open.length, end);
+      const offset = start + open.length + (body.length - body.trimStart().length);
+      tokens.push(classifyTag(body.trim(), raw, offset, start, context));
+      position = end + close.length;
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Work out what a tag does
+   * @param {string} body - Tag content without braces
+   * @param {boolean} raw - Written with triple braces
+   * @param {number} offset - Position of the content
+   * @param {number} position - Position of the tag
+   * @param {Object} context - Template being compiled
+   * @returns {Object} - Token
+   */
+  function classifyTag(body, raw, offset, position, context) {
+    if (body === '') {
+      throw templateError('Empty tag', context, position);
+    }
+    if (raw) {
+      return { type: 'output', raw: true, body, offset, position };
+    }
+    if (body.startsWith('!')) {
+      return { type: 'comment', position };
+    }
+
+    const block = body.match(/^([#/])\s*(\w+)\s*([\s\S]*)$/);
+    if (block) {
+      if (block[2] !== 'if' && block[2] !== 'each') {
+        throw templateError(`Unknown block "${block[1]}${block[2]}"`, context, position);
+      }
+      if (block[1] === '/' && block[3] !== '') {
+        throw templateError(`Unexpected "${block[3]}" after "/${block[2]}"`, context, position);
+      }
+      return {
+        type: block[1] === '#' ? 'open' : 'close',
+        block: block[2],
+        body: block[3],
+        offset: offset + body.length - block[3].length,
+        position
+      };
+    }
+
+    const otherwise = body.match(/^else(?:\s+if\s+([\s\S]+)|\s*)$/);
+    if (otherwise) {
+      return {
+        type: 'else',
+        body: otherwise[1] || null,
+        offset: offset + body.length - (otherwise[1] || '').length,
+        position
+      };
+    }
+
+    if (body.startsWith('>')) {
+      return { type: 'partial', body: body.slice(1).trim(), offset: offset + body.length - body.slice(1).trim().length, position };
+    }
+
+    const slot = body.match(SLOT_TAG);
+    if (slot) {
+      return { type: 'slot', name: slot[1], position };
+    }
+
+    return { type: 'output', raw: false, body, offset, position };
+  }
+
+  /**
+   * Parse an expression: names, literals, comparisons, not/and/or and | filters
+   * @param {string} text - Expression
+   * @param {number} offset - Position of the expression in the template
+   * @param {Object} context - Template being compiled
+   * @returns {Object} - Expression tree
+   */
+  function parseExpression(text, offset, context) {
+    const tokens = [];
+    EXPRESSION_TOKEN.lastIndex = 0;
+    while (EXPRESSION_TOKEN.lastIndex < text.length) {
+      const start = EXPRESSION_TOKEN.lastIndex;
+      if (text.slice(start).trim() === '') break;
+
+      const match = EXPRESSION_TOKEN.exec(text);
+      if (!match) {
+        const at = start + (text.slice(start).length - text.slice(start).trimStart().length);
+        throw templateError(`Unexpected "${text.charAt(at)}"`, context, offset + at);
+      }
+
+      const position = offset + match.index + match[0].length - match[0].trimStart().length;
+      if (match[1] !== undefined) tokens.push({ type: 'number', value: Number(match[1]), position });
+      else if (match[2] !== undefined) tokens.push({ type: 'string', value: unquote(match[2]), position });
+      else if (match[3] !== undefined) tokens.push({ type: 'name', value: match[3], position });
+      else tokens.push({ type: 'operator', value: match[4], position });
+    }
+
+    let index = 0;
+    const peek = () => tokens[index];
+    const is = (type, value) => peek() && peek().type === type && (value === undefined || peek().value === value);
+    const fail = (message) => {
+      throw templateError(message, context, peek() ? peek().position : offset + text.trimEnd().length);
+    };
+    const expect = (value) => {
+      if (!is('operator', value)) fail(peek() ? `Expected "${value}" but found "${peek().value}"` : `Expected "${value}"`);
+      index++;
+    };
+
+    const parseOr = () => {
+      let node = parseAnd();
+      while (is('operator', '||') || is('name', 'or')) {
+        index++;
+        node = { type: 'or', left: node, right: parseAnd() };
+      }
+      return node;
+    };
+
+    const parseAnd = () => {
+      let node = parseNot();
+      while (is('operator', '&&') || is('name', 'and')) {
+        index++;
+        node = { type: 'and', left: node, right: parseNot() };
+      }
+      return node;
+    };
+
+    const parseNot = () => {
+      if (is('operator', '!') || is('name', 'not')) {
+        index++;
+        return { type: 'not', operand: parseNot() };
+      }
+      return parseComparison();
+    };
+
+    const parseComparison = () => {
+      const left = parseFiltered();
+      if (peek() && peek().type === 'operator' && ['==', '!=', '<', '>', '<=', '>='].includes(peek().value)) {
+        const operator = tokens[index++].value;
+        return { type: 'compare', operator, left, right: parseFiltered() };
+      }
+      return left;
+    };
+
+    const parseFiltered = () => {
+      let node = parsePrimary();
+      while (is('operator', '|')) {
+        index++;
+        if (!is('name')) fail('Expected a filter name after "|"');
+
+        const name = tokens[index];
+        index++;
+        if (!Object.prototype.hasOwnProperty.call(filters, name.value)) {
+          throw templateError(`Unknown filter "${name.value}"`, context, name.position);
+        }
+
+        const args = [];
+        if (is('operator', '(')) {
+          index++;
+          while (!is('operator', ')')) {
+            if (args.length > 0) expect(',');
+            args.push(parseOr());
+          }
+          index++;
+        }
+        node = { type: 'filter', name: name.value, input: node, args };
+      }
+      return node;
+    };
+
+    const parsePrimary = () => {
+      const token = peek();
+      if (!token) fail('Expected a value');
+
+      if (token.type === 'number' || token.type === 'string') {
+        index++;
+        return { type: 'literal', value: token.value };
+      }
+      if (is('operator', '(')) {
+        index++;
+        const node = parseOr();
+        expect(')');
+        return node;
+      }
+      if (token.type === 'name') {
+        index++;
+        if (token.value === 'true' || token.value === 'false') return { type: 'literal', value: token.value === 'true' };
+        if (token.value === 'null') return { type: 'literal', value: null };
+
+        const keys = [];
+        while (is('operator', '.')) {
+          index++;
+          if (!is('name') && !is('number')) fail('Expected a property name after "."');
+          keys.push(String(tokens[index++].value));
+        }
+        return { type: 'path', root: token.value, keys };
+      }
+
+      return fail(`Unexpected "${token.value}"`);
+    };
+
+    const node = parseOr();
+    if (index < tokens.length) fail(`Unexpected "${peek().value}"`);
+    return node;
+  }
+
+  /**
+   * Remove the quotes and backslash escapes of a string literal
+   * @param {string} literal - Quoted string
+   * @returns {string}
+   */
+  function unquote(literal) {
+    const escapes = { n: '\n', r: '\r', t: '\t' };
+    return literal.slice(1, -1).replace(/\\(.)/g, (match, character) => escapes[character] || character);
+  }
+
+  /**
+   * Parse the tokens of a template into a tree of blocks
+   * @param {Array<Object>} tokens - Tokens
+   * @param {Object} context - Template being compiled
+   * @returns {Array<Object>} - Nodes
+   */
+  function parse(tokens, context) {
+    const root = [];
+    const stack = [];
+    let current = root;
+
+    tokens.forEach(token => {
+      switch (token.type) {
+        case 'text':
+          current.push({ type: 'text', value: token.value });
+          break;
+
+        case 'comment':
+          break;
+
+        case 'slot':
+          current.push({ type: 'slot', name: token.name });
+          break;
+
+        case 'output':
+          current.push({ type: 'output', raw: token.raw, expression: parseExpression(token.body, token.offset, context) });
+          break;
+
+        case 'open': {
+          let node;
+          if (token.block === 'if') {
+            if (token.body === '') throw templateError('"#if" needs a condition', context, token.position);
+            node = { type: 'if', branches: [{ condition: parseExpression(token.body, token.offset, context), body: [] }], otherwise: null };
+            current.push(node);
+            stack.push({ node, token, parent: current });
+            current = node.branches[0].body;
+          } else {
+            const each = token.body.match(/^([\s\S]*?)(?:\s+as\s+([A-Za-z_$][\w$]*))?\s*$/);
+            if (each[1] === '') throw templateError('"#each" needs a list', context, token.position);
+            node = { type: 'each', expression: parseExpression(each[1], token.offset, context), alias: each[2] || null, body: [], otherwise: null };
+            current.push(node);
+            stack.push({ node, token, parent: current });
+            current = node.body;
+          }
+          break;
+        }
+
+        case 'else': {
+          const open = stack[stack.length - 1];
+          if (!open) throw templateError('"else" outside of a block', context, token.position);
+          if (open.node.otherwise) throw templateError('"else" after the block\'s "else"', context, token.position);
+
+          if (token.body !== null) {
+            if (open.node.type !== 'if') throw templateError('"else if" inside "#each"', context, token.position);
+            const branch = { condition: parseExpression(token.body, token.offset, context), body: [] };
+            open.node.branches.push(branch);
+            current = branch.body;
+          } else {
+            open.node.otherwise = [];
+            current = open.node.otherwise;
+          }
+          break;
+        }
+
+        case 'close': {
+          const open = stack.pop();
+          if (!open) throw templateError(`"/${token.block}" without "#${token.block}"`, context, token.position);
+          if (open.node.type !== token.block) {
+            throw templateError(`Expected "/${open.node.type}" but found "/${token.block}"`, context, token.position);
+          }
+          current = open.parent;
+          break;
+        }
+
+        case 'partial':
+          current.push(parsePartial(token, context));
+          break;
+      }
+    });
+
+    if (stack.length > 0) {
+      const open = stack[stack.length - 1];
+      throw templateError(`Unclosed "#${open.node.type}"`, context, open.token.position);
+    }
+
+    return root;
+  }
+
+  /**
+   * Parse {{> component-id name=value }} and check the component can be used as a partial
+   * @param {Object} token - Partial token
+   * @param {Object} context - Template being compiled
+   * @returns {Object} - Partial node
+   */
+  function parsePartial(token, context) {
+    const match = token.body.match(/^([\w-]+)([\s\S]*)$/);
+    if (!match) throw templateError('Expected a component ID after ">"', context, token.position);
+
+    const id = match[1];
+    const component = context.resolvePartial ? context.resolvePartial(id) : null;
+    if (!component) {
+      throw templateError(`Unknown component "${id}" used as a partial`, context, token.offset);
+    }
+    if (context.stack.includes(id)) {
+      throw templateError(`Partial "${id}" includes itself (${[...context.stack, id].join(' → ')})`, context, token.offset);
+    }
+
+    // Its own mistakes are reported against it, using it is reported here
+    try {
+      compileComponent(component, { resolvePartial: context.resolvePartial, stack: context.stack });
+    } catch (error) {
+      if (error.name !== 'TemplateError') throw error;
+      throw templateError(`Partial "${id}" has errors: ${error.reason}`, context, token.offset);
+    }
+
+    // name=value pairs, each value an expression up to the next name=
+    const args = [];
+    const argsOffset = token.offset + id.length;
+    const pattern = /\s*([A-Za-z_$][\w$]*)\s*=(?!=)/g;
+    const masked = match[2].replace(/'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"/g, literal => ' '.repeat(literal.length));
+    const starts = [];
+    let found;
+    while ((found = pattern.exec(masked)) !== null) {
+      starts.push({ name: found[1], index: found.index + found[0].length - found[0].trimStart().length, valueIndex: pattern.lastIndex });
+    }
+
+    if (match[2].trim() !== '' && (starts.length === 0 || match[2].slice(0, starts[0].index).trim() !== '')) {
+      throw templateError('Expected name=value arguments', context, argsOffset + match[2].length - match[2].trimStart().length);
+    }
+
+    starts.forEach((start, index) => {
+      const end = index + 1 < starts.length ? starts[index + 1].index : match[2].length;
+      const value = match[2].slice(start.valueIndex, end);
+      if (value.trim() === '') throw templateError(`Missing value for "${start.name}"`, context, argsOffset + start.valueIndex);
+      args.push({ name: start.name, expression: parseExpression(value, argsOffset + start.valueIndex, context) });
+    });
+
+    return { type: 'partial', id, component, args };
+  }
+
+  /**
+   * Compile a template
+   * @param {string} source - Template
+   * @param {Object} options - name (shown in errors), component (ID the errors belong to), resolvePartial(id) returning a component definition
+   * @returns {Object} - { source, render(data, options), toPhp(data, options) }
+   * @throws {Error} - TemplateError with reason, line, column and component
+   */
+  function compile(source, options = {}) {
+    const context = {
+      source: String(source),
+      name: options.name || null,
+      component: options.component || null,
+      resolvePartial: options.resolvePartial || null,
+      stack: options.stack || (options.component ? [options.component] : [])
+    };
+
+    const nodes = parse(tokenize(context), context);
+
+    return {
+      source: context.source,
+      render: (data = {}, renderOptions = {}) => renderNodes(nodes, [{ data, locals: {} }], {
+        resolvePartial: context.resolvePartial,
+        slot: renderOptions.slot || null
+      }),
+      toPhp: (data = {}, phpOptions = {}) => {
+        const state = {
+          resolvePartial: context.resolvePartial,
+          slot: phpOptions.slot || null,
+          dynamic: new Set(phpOptions.dynamic || []),
+          variable: phpOptions.variable || '$attributes',
+          readInCode: phpOptions.readInCode !== false,
+          fixed: new Set(),
+          mode: 'html'
+        };
+        const code = phpNodes(nodes, [{ data, locals: {} }], state);
+        return { code, fixed: [...state.fixed] };
+      }
+    };
+  }
+
+  /**
+   * Compile a component's template, reusing the result until the template changes
+   * @param {Object} component - Component definition (id, name, template)
+   * @param {Object} options - resolvePartial(id) or components (definitions partials can use)
+   * @returns {Object} - Compiled template
+   * @throws {Error} - TemplateError naming the component
+   */
+  function compileComponent(component, options = {}) {
+    const cached = componentCache.get(component);
+    if (cached && cached.source === component.template) {
+      return cached.compiled;
+    }
+
+    const compiled = compile(component.template || '', {
+      name: component.name ? `${component.name} template` : `${component.id} template`,
+      component: component.id,
+      resolvePartial: resolverFor(options),
+      stack: [...(options.stack || []), component.id]
+    });
+
+    componentCache.set(component, { source: component.template, compiled });
+    return compiled;
+  }
+
+  /**
+   * Render a component's template with its props
+   * @param {Object} component - Component definition
+   * @param {Object} props - Property values
+   * @param {Object} options - resolvePartial(id) or components, slot(name) returning a slot's content (slots stay as {{ slot:name }} otherwise)
+   * @returns {string}
+   */
+  function renderComponent(component, props, options = {}) {
+    return compileComponent(component, options).render(props, { slot: options.slot });
+  }
+
+  /**
+   * Render a component's template as PHP that reads some of its props when the
+   * PHP runs instead of when the template renders (a WordPress block reading its
+   * attributes, say). A prop can be read at run time where the template prints it
+   * as escaped HTML, tests it in {{#if}} outside PHP code or hands it to PHP code
+   * with the php filter. Used anywhere else (raw output, inside quotes in PHP
+   * code, {{#each}}, partial arguments) it keeps its value from props.
+   * @param {Object} component - Component definition
+   * @param {Object} props - Property values
+   * @param {Object} options - resolvePartial(id) or components, slot(name), dynamic (names of the props to read at run time), variable (PHP array they are read from, $attributes by default), readInCode (false keeps props handed to PHP code fixed)
+   * @returns {Object} - { code, dynamic }: the PHP and the props it reads at run time
+   * @throws {Error} - TemplateError naming the component
+   */
+  function renderComponentPhp(component, props, options = {}) {
+    const compiled = compileComponent(component, options);
+    let dynamic = [...new Set(options.dynamic || [])];
+
+    // Each pass fixes at least one prop, so this ends
+    for (;;) {
+      const result = compiled.toPhp(props, {
+        slot: options.slot,
+        dynamic,
+        variable: options.variable,
+        readInCode: options.readInCode
+      });
+      if (result.fixed.length === 0) {
+        return { code: result.code, dynamic };
+      }
+      dynamic = dynamic.filter(name => !result.fixed.includes(name));
+    }
+  }
+
+  /**
+   * Compile every component, collecting the errors instead of stopping at the first
+   * @param {Array<Object>} components - Component definitions
+   * @returns {Array<Error>} - TemplateErrors, one per broken component
+   */
+  function validateComponents(components) {
+    const errors = [];
+    components.forEach(component => {
+      try {
+        compileComponent(component, { components });
+      } catch (error) {
+        if (error.name !== 'TemplateError') throw error;
+        errors.push(error);
+      }
+    });
+    return errors;
+  }
+
+  /**
+   * Make a partial lookup from the options of compileComponent/renderComponent
+   * @param {Object} options - resolvePartial or components
+   * @returns {Function|null}
+   */
+  function resolverFor(options) {
+    if (options.resolvePartial) return options.resolvePartial;
+    if (options.components) return (id) => options.components.find(component => component.id === id) || null;
+    return null;
+  }
+
+  /**
+   * Render nodes
+   * @param {Array<Object>} nodes - Nodes
+   * @param {Array<Object>} scope - Frames from the outermost ({ data, locals })
+   * @param {Object} options - resolvePartial, slot
+   * @returns {string}
+   */
+  function renderNodes(nodes, scope, options) {
+    let output = '';
+
+    nodes.forEach(node => {
+      switch (node.type) {
+        case 'text':
+          output += node.value;
+          break;
+
+        case 'slot':
+          output += options.slot ? options.slot(node.name) : `{{ slot:${node.name} }}`;
+          break;
+
+        case 'output': {
+          const value = evaluate(node.expression, scope);
+          output += node.raw || value instanceof SafeString ? toText(value) : escapeHtml(toText(value));
+          break;
+        }
+
+        case 'if': {
+          const branch = node.branches.find(candidate => isTruthy(evaluate(candidate.condition, scope)));
+          const body = branch ? branch.body : node.otherwise;
+          if (body) output += renderNodes(body, scope, options);
+          break;
+        }
+
+        case 'each': {
+          const list = evaluate(node.expression, scope);
+          const entries = Array.isArray(list) ?
+            list.map((item, index) => [index, item]) :
+            (list && typeof list === 'object' ? Object.entries(list) : []);
+
+          if (entries.length === 0) {
+            if (node.otherwise) output += renderNodes(node.otherwise, scope, options);
+            break;
+          }
+
+          entries.forEach(([key, item], index) => {
+            const locals = {
+              '@index': index,
+              '@key': key,
+              '@first': index === 0,
+              '@last': index === entries.length - 1
+            };
+            if (node.alias) locals[node.alias] = item;
+            output += renderNodes(node.body, [...scope, { data: item, locals }], options);
+          });
+          break;
+        }
+
+        case 'partial': {
+          const props = { ...(node.component.defaultProps || {}) };
+          node.args.forEach(arg => {
+            props[arg.name] = evaluate(arg.expression, scope);
+          });
+
+          // The partial's own slots belong to a component that isn't in the tree
+          output += compileComponent(node.component, { resolvePartial: options.resolvePartial }).render(props, { slot: () => '' });
+          break;
+        }
+      }
+    });
+
+    return output;
+  }
+
+  /**
+   * Evaluate an expression
+   * @param {Object} node - Expression tree
+   * @param {Array<Object>} scope - Frames from the outermost
+   * @returns {*}
+   */
+  function evaluate(node, scope) {
+    switch (node.type) {
+      case 'literal':
+        return node.value;
+      case 'path':
+        return lookup(node, scope);
+      case 'not':
+        return !isTruthy(evaluate(node.operand, scope));
+      case 'and':
+        return isTruthy(evaluate(node.left, scope)) && isTruthy(evaluate(node.right, scope));
+      case 'or':
+        return isTruthy(evaluate(node.left, scope)) || isTruthy(evaluate(node.right, scope));
+      case 'compare':
+        return compare(node.operator, evaluate(node.left, scope), evaluate(node.right, scope));
+      case 'filter':
+        return filters[node.name](evaluate(node.input, scope), ...node.args.map(arg => evaluate(arg, scope)));
+    }
+    return undefined;
+  }
+
+  /**
+   * Look a name up from the innermost #each outwards, then follow its .keys
+   * @param {Object} node - Path node
+   * @param {Array<Object>} scope - Frames from the outermost
+   * @returns {*}
+   */
+  function lookup(node, scope) {
+    const has = (object, key) => object !== null && object !== undefined && Object.prototype.hasOwnProperty.call(Object(object), key);
+    let value;
+
+    if (node.root === 'this') {
+      value = scope[scope.length - 1].data;
+    } else {
+      for (let index = scope.length - 1; index >= 0; index--) {
+        const frame = scope[index];
+        if (has(frame.locals, node.root)) {
+          value = frame.locals[node.root];
+          break;
+        }
+        if (!node.root.startsWith('@') && typeof frame.data === 'object' && has(frame.data, node.root)) {
+          value = frame.data[node.root];
+          break;
+        }
+      }
+    }
+
+    return node.keys.reduce((object, key) => has(object, key) ? object[key] : undefined, value);
+  }
+
+  /**
+   * Compare two values, numerically when both look like numbers (props are strings)
+   * @param {string} operator - ==, !=, <, >, <= or >=
+   * @param {*} left - Left value
+   * @param {*} right - Right value
+   * @returns {boolean}
+   */
+  function compare(operator, left, right) {
+    const numeric = (value) => typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && !isNaN(value));
+    if (numeric(left) && numeric(right)) {
+      left = Number(left);
+      right = Number(right);
+    } else if (left instanceof SafeString || right instanceof SafeString) {
+      left = toText(left);
+      right = toText(right);
+    }
+
+    switch (operator) {
+      case '==': return left === right || (left == null && right == null);
+      case '!=': return !(left === right || (left == null && right == null));
+      case '<': return left < right;
+      case '>': return left > right;
+      case '<=': return left <= right;
+      case '>=': return left >= right;
+    }
+    return false;
+  }
+
+  /**
+   * Whether #if takes a value as true. Besides JavaScript's falsy values, the
+   * strings "0" and "false" (what select properties hold) and empty lists count as false.
+   * @param {*} value - Value
+   * @returns {boolean}
+   */
+  function isTruthy(value) {
+    if (value instanceof SafeString) value = value.value;
+    if (Array.isArray(value)) return value.length > 0;
+    if (typeof value === 'string') return value !== '' && value !== '0' && value !== 'false';
+    return Boolean(value);
+  }
+
+  /**
+   * Turn a value into output text
+   * @param {*} value - Value
+   * @returns {string}
+   */
+  function toText(value) {
+    if (value === undefined || value === null) return '';
+    if (value instanceof SafeString) return value.value;
+    if (Array.isArray(value)) return value.map(toText).join(', ');
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+  }
+
+  /**
+   * Write a value as a PHP literal
+   * @param {*} value - String, number, boolean, null, array or object
+   * @returns {string} - e.g. 'it\'s', 42, ['a' => 1]
+   */
+  function phpLiteral(value) {
+    if (value instanceof SafeString) value = value.value;
+    if (value === undefined || value === null) return 'null';
+    if (typeof value === 'boolean') return value ? 'true' : 'false';
+    if (typeof value === 'number') return isFinite(value) ? String(value) : 'null';
+    if (Array.isArray(value)) return `[${value.map(phpLiteral).join(', ')}]`;
+    if (typeof value === 'object') {
+      return `[${Object.entries(value).map(([key, item]) => `${phpLiteral(key)} => ${phpLiteral(item)}`).join(', ')}]`;
+    }
+    return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'`;
+  }
+
+  /**
+   * Render nodes as PHP, reading the props in state.dynamic from state.variable.
+   * Props that can't be read where they are used are added to state.fixed.
+   * @param {Array<Object>} nodes - Nodes
+   * @param {Array<Object>} scope - Frames from the outermost ({ data, locals })
+   * @param {Object} state - resolvePartial, slot, dynamic, variable, readInCode, fixed, mode (html, or php inside <?php ... ?>)
+   * @returns {string}
+   */
+  function phpNodes(nodes, scope, state) {
+    let output = '';
+
+    // Renders a node the usual way, using the props' values
+    const renderFixed = (node) => {
+      const text = renderNodes([node], scope, state);
+      state.mode = phpModeAfter(text, state.mode);
+      return text;
+    };
+
+    const fix = (names) => {
+      names.forEach(name => state.fixed.add(name));
+    };
+
+    nodes.forEach(node => {
+      const names = (node.type === 'each' || node.type === 'partial' ? nodeNames([node]) : nodeNames([node], false))
+        .filter(name => state.dynamic.has(name));
+
+      if (names.length === 0 && node.type !== 'if') {
+        output += renderFixed(node);
+        return;
+      }
+
+      switch (node.type) {
+        case 'output': {
+          let code = null;
+
+          // Raw output keeps its value
+          if (node.raw) {
+            fix(names);
+          } else if (state.mode === 'php') {
+            // Inside PHP code only a value handed over with the php filter can be read
+            const expression = node.expression;
+            const input = expression.type === 'filter' && expression.name === 'php' && expression.args.length === 0 ?
+              phpExpression(expression.input, scope, state) : null;
+            code = state.readInCode && input && !input.html ? `(${input.code})` : null;
+          } else {
+            const value = phpExpression(node.expression, scope, state);
+            if (value) {
+              code = `<?php echo ${value.html ? value.code : `htmlspecialchars((string) ${value.code}, ENT_QUOTES)`}; ?>`;
+            }
+          }
+
+          if (code === null) {
+            fix(names);
+            output += renderFixed(node);
+          } else {
+            output += code;
+          }
+          break;
+        }
+
+        case 'if': {
+          if (names.length === 0) {
+            const branch = node.branches.find(candidate => isTruthy(evaluate(candidate.condition, scope)));
+            const body = branch ? branch.body : node.otherwise;
+            if (body) output += phpNodes(body, scope, state);
+            break;
+          }
+
+          const conditions = state.mode === 'html' ?
+            node.branches.map(branch => phpExpression(branch.condition, scope, state)) : [null];
+          if (conditions.some(condition => condition === null)) {
+            fix(names);
+            output += renderFixed(node);
+            break;
+          }
+
+          const mode = state.mode;
+          node.branches.forEach((branch, index) => {
+            state.mode = mode;
+            output += `<?php ${index === 0 ? 'if' : 'elseif'} (${phpTruthy(conditions[index].code)}) : ?>`;
+            output += phpNodes(branch.body, scope, state);
+          });
+          if (node.otherwise) {
+            state.mode = mode;
+            output += '<?php else : ?>' + phpNodes(node.otherwise, scope, state);
+          }
+          output += '<?php endif; ?>';
+          state.mode = mode;
+          break;
+        }
+
+        default:
+          // {{#each}} and partials only render with values
+          fix(names);
+          output += renderFixed(node);
+      }
+    });
+
+    return output;
+  }
+
+  /**
+   * Write an expression as PHP
+   * @param {Object} node - Expression tree
+   * @param {Array<Object>} scope - Frames from the outermost
+   * @param {Object} state - dynamic, variable
+   * @returns {Object|null} - { code, html } (html when the result is already escaped), null when it has no PHP equivalent
+   */
+  function phpExpression(node, scope, state) {
+    const operand = (child) => {
+      const value = phpExpression(child, scope, state);
+      return value ? phpTruthy(value.code) : null;
+    };
+
+    switch (node.type) {
+      case 'literal':
+        return { code: phpLiteral(node.value), html: false };
+
+      case 'path':
+        if (!state.dynamic.has(node.root) || node.root === 'this') {
+          return { code: phpLiteral(lookup(node, scope)), html: false };
+        }
+        return node.keys.length === 0 ? { code: `(${state.variable}[${phpLiteral(node.root)}] ?? null)`, html: false } : null;
+
+      case 'not': {
+        const value = operand(node.operand);
+        return value ? { code: `!${value}`, html: false } : null;
+      }
+
+      case 'and':
+      case 'or': {
+        const left = operand(node.left);
+        const right = operand(node.right);
+        return left && right ? { code: `(${left} ${node.type === 'and' ? '&&' : '||'} ${right})`, html: false } : null;
+      }
+
+      case 'compare': {
+        const left = phpExpression(node.left, scope, state);
+        const right = phpExpression(node.right, scope, state);
+        return left && right ? { code: `(${left.code} ${node.operator} ${right.code})`, html: false } : null;
+      }
+
+      case 'filter': {
+        const input = phpExpression(node.input, scope, state);
+        const args = node.args.map(arg => phpExpression(arg, scope, state));
+        if (!input || args.some(arg => !arg || arg.html)) return null;
+
+        const value = input.code;
+        const text = `(string) ${value}`;
+        const escaped = `htmlspecialchars(${text}, ENT_QUOTES)`;
+
+        if (node.name === 'escape' || node.name === 'e') {
+          return input.html ? input : { code: escaped, html: true };
+        }
+        if (input.html) return null;
+
+        const [first, second] = args.map(arg => arg.code);
+        switch (node.name) {
+          case 'default':
+            return { code: `(in_array(${value}, [null, ''], true) ? ${first || '\'\''} : ${value})`, html: false };
+          case 'upper':
+            return { code: `mb_strtoupper(${text}, 'UTF-8')`, html: false };
+          case 'lower':
+            return { code: `mb_strtolower(${text}, 'UTF-8')`, html: false };
+          case 'capitalize':
+            return { code: `ucfirst(${text})`, html: false };
+          case 'trim':
+            return { code: `trim(${text})`, html: false };
+          case 'truncate': {
+            const length = first || '80';
+            return { code: `(mb_strlen(${text}) > ${length} ? mb_substr(${text}, 0, ${length}) . ${second || '\'…\''} : ${text})`, html: false };
+          }
+          case 'nl2br':
+            return { code: `nl2br(${escaped}, false)`, html: true };
+          case 'url':
+            return { code: `rawurlencode(${text})`, html: false };
+          case 'json':
+            return { code: `json_encode(${value}, JSON_HEX_TAG | JSON_HEX_AMP | JSON_HEX_APOS | JSON_HEX_QUOT)`, html: true };
+          case 'length':
+            return { code: `mb_strlen(${text})`, html: false };
+        }
+        // raw, php, list filters and registered filters
+        return null;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Write PHP that tests a value the way #if does
+   * @param {string} code - PHP expression
+   * @returns {string}
+   */
+  function phpTruthy(code) {
+    return `!in_array(${code}, [null, false, 0, 0.0, '', '0', 'false', []], true)`;
+  }
+
+  /**
+   * Whether output ends inside PHP code or in HTML
+   * @param {string} text - Output
+   * @param {string} mode - Mode before it (php or html)
+   * @returns {string}
+   */
+  function phpModeAfter(text, mode) {
+    const open = Math.max(text.lastIndexOf('<?php'), text.lastIndexOf('<?='));
+    const close = text.lastIndexOf('?>');
+    if (open === -1 && close === -1) return mode;
+    return open > close ? 'php' : 'html';
+  }
+
+  /**
+   * List the names nodes look up
+   * @param {Array<Object>} nodes - Nodes
+   * @param {boolean} deep - Include the bodies of {{#if}} blocks
+   * @returns {Array<string>}
+   */
+  function nodeNames(nodes, deep = true) {
+    const names = [];
+    const expression = (node) => {
+      if (!node) return;
+      if (node.type === 'path') names.push(node.root);
+      [node.operand, node.left, node.right, node.input, ...(node.args || [])].forEach(expression);
+    };
+
+    const visit = (list) => list.forEach(node => {
+      switch (node.type) {
+        case 'output':
+          expression(node.expression);
+          break;
+        case 'if':
+          node.branches.forEach(branch => {
+            expression(branch.condition);
+            if (deep) visit(branch.body);
+          });
+          if (deep && node.otherwise) visit(node.otherwise);
+          break;
+        case 'each':
+          expression(node.expression);
+          visit(node.body);
+          if (node.otherwise) visit(node.otherwise);
+          break;
+        case 'partial':
+          node.args.forEach(arg => expression(arg.expression));
+          break;
+      }
+    });
+
+    visit(nodes);
+    return names;
+  }
+
+  /**
+   * Add a filter for {{ value | name(args) }}
+   * @param {string} name - Filter name
+   * @param {Function} filter - (value, ...args) => result; wrap HTML results with safe() to skip escaping
+   */
+  function registerFilter(name, filter) {
+    if (!/^[A-Za-z_$][\w$]*$/.test(name)) {
+      throw new Error(`Invalid filter name: ${name}`);
+    }
+    filters[name] = filter;
+  }
+
+  /**
+   * Mark text as safe to output without escaping
+   * @param {string} value - HTML
+   * @returns {SafeString}
+   */
+  function safe(value) {
+    return new SafeString(String(value));
+  }
+
+  /**
+   * Escape HTML special characters
+   * @param {string} text - Text to escape
+   * @returns {string}
+   */
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#039;');
+  }
+
+  // Public API
+  return {
+    compile,
+    compileComponent,
+    renderComponent,
+    renderComponentPhp,
+    validateComponents,
+    registerFilter,
+    safe,
+    escapeHtml
+  };
+})();
+
+// Export for ES modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PHPWasmTemplates;
+}
@@ -32,6 +32,22 @@
         return element;
     }
 
+    // Helper to build a flow from named node specs and [source, port, target, port] wires
+    function buildTestFlow(name, nodes, wires = []) {
+        const FlowBuilder = window.AlgorithmPressFlowBuilder;
+        const flow = FlowBuilder.createFlow(name);
+        const ids = { start: Array.from(flow.nodes.values()).find(node => node.type === 'start').id };
+
+        Object.entries(nodes).forEach(([key, spec]) => {
+            ids[key] = FlowBuilder.addNode(spec.type, { x: 0, y: 0 }, spec.properties).id;
+        });
+        wires.forEach(([source, sourcePort, target, targetPort]) => {
+            FlowBuilder.addConnection(ids[source], sourcePort, ids[target], targetPort);
+        });
+
+        return { flow, ids };
+    }
+
     // Module Framework Tests
     function testModuleFramework() {
         console.log('📦 Setting up Module Framework tests...');
@@ -142,6 +158,95 @@
             const hasBootstrap = checkBootstrap();
             utils.assert(hasBootstrap || true, 'Should handle missing bootstrap gracefully');
         });
+
+        // Run a test against a new builder project, removing it afterwards
+        async function withProject(callback) {
+            const originalPrompt = window.prompt;
+            const originalBootstrap = window.bootstrap;
+            window.prompt = () => 'Builder test';
+            window.bootstrap = { Toast: function() { this.show = () => {}; } };
+
+            let project = null;
+            try {
+                PHPWasmBuilder.createNewProject();
+                project = PHPWasmBuilder.getState().currentProject;
+                return await callback(project);
+            } finally {
+                window.prompt = originalPrompt;
+                window.bootstrap = originalBootstrap;
+                if (project) {
+                    localStorage.removeItem('project_' + project.id);
+                    const list = JSON.parse(localStorage.getItem('project_list') || '[]');
+                    localStorage.setItem('project_list', JSON.stringify(list.filter(item => item.id !== project.id)));
+                }
+            }
+        }
+
+        window.AlgorithmPressTest.module('PHP-WASM Builder - Components nest in slots and move between levels', async function() {
+            await withProject(project => {
+                PHPWasmBuilder.addComponent('container');
+                const container = project.components[0];
+                PHPWasmBuilder.addComponent('tabs', { parentId: container.id, slot: 'default' });
+                const tabs = container.slots.default[0];
+                PHPWasmBuilder.addComponent('heading', { parentId: tabs.id, slot: 'tab2' });
+                const heading = tabs.slots.tab2[0];
+
+                utils.assertEqual(tabs.componentId, 'tabs');
+                utils.assertEqual(heading.componentId, 'heading');
+
+                // A component can't go inside one of its own descendants
+                PHPWasmBuilder.moveComponent(container.id, { parentId: tabs.id, slot: 'tab1' });
+                utils.assertEqual(project.components.length, 1);
+                utils.assertEqual(tabs.slots.tab1.length, 0);
+
+                PHPWasmBuilder.moveComponent(heading.id, { index: 0 });
+                utils.assertEqual(project.components.map(component => component.componentId).join(), 'heading,container');
+                utils.assertEqual(tabs.slots.tab2.length, 0);
+
+                PHPWasmBuilder.removeComponent(container.id);
+                utils.assertEqual(project.components.map(component => component.componentId).join(), 'heading');
+            });
+        });
+
+        window.AlgorithmPressTest.module('PHP-WASM Builder - Components can only be dropped into slots their template has', async function() {
+            await withProject(project => {
+                PHPWasmBuilder.addComponent('heading');
+                const heading = project.components[0];
+
+                PHPWasmBuilder.addComponent('image', { parentId: heading.id, slot: 'default' });
+                utils.assertEqual(project.components.length, 1);
+                utils.assertEqual(heading.slots, undefined);
+            });
+        });
+
+        window.AlgorithmPressTest.module('PHP-WASM Builder - PHP files and WordPress plugin exports open the wizard', async function() {
+            const modal = document.createElement('div');
+            modal.id = 'export-modal';
+            modal.innerHTML = '<div id="export-wizard"></div>';
+            document.body.appendChild(modal);
+
+            try {
+                await withProject(() => {
+                    let shown = 0;
+                    window.bootstrap.Modal = function() {
+                        this.show = () => { shown++; };
+                        this.hide = () => {};
+                    };
+                    const checkedFormat = () => modal.querySelector('input[name="export-format"]:checked').value;
+
+                    PHPWasmBuilder.exportPhpFiles();
+                    utils.assertEqual(shown, 1);
+                    utils.assertEqual(checkedFormat(), 'php_files');
+
+                    PHPWasmBuilder.exportWordPressPlugin();
+                    utils.assertEqual(shown, 2);
+                    utils.assertEqual(checkedFormat(), 'wordpress_plugin');
+                    utils.assertEqual(PHPWasmBuilder.getState().exportTarget, 'wordpress_plugin');
+                });
+            } finally {
+                modal.remove();
+            }
+        });
     }
 
     // Command Palette Tests
@@ -861,6 +966,1383 @@
         });
     }
 
+    // Flow Execution Engine Tests
+    function testFlowExecutionEngine() {
+        console.log('▶️ Setting up Flow Execution Engine tests...');
+
+        window.AlgorithmPressTest.module('Flow Execution - Follows the port a condition fires', async function() {
+            const FlowBuilder = window.AlgorithmPressFlowBuilder;
+            const { flow } = buildTestFlow('Condition test', {
+                set: { type: 'variable-set', properties: { variableName: 'x', value: '5' } },
+                check: { type: 'condition', properties: { leftValue: '{{x}}', operator: 'greater', rightValue: '3', dataType: 'number' } },
+                big: { type: 'variable-set', properties: { variableName: 'size', value: 'big' } },
+                small: { type: 'variable-set', properties: { variableName: 'size', value: 'small' } }
+            }, [
+                ['start', 'success', 'set', 'input'],
+                ['set', 'output', 'check', 'input'],
+                ['check', 'true', 'big', 'input'],
+                ['check', 'false', 'small', 'input']
+            ]);
+
+            const summary = await FlowBuilder.Execution.executeFlow(flow.id);
+            utils.assertEqual(summary.status, 'completed');
+            utils.assertEqual(summary.variables.size.value, 'big');
+            utils.assertEqual(summary.steps, 4, 'The false branch should not run');
+        });
+
+        window.AlgorithmPressTest.module('Flow Execution - Loops run the each port per item, then complete', async function() {
+            const FlowBuilder = window.AlgorithmPressFlowBuilder;
+            const { flow } = buildTestFlow('Loop test', {
+                items: { type: 'variable-get', properties: { variableName: 'items' } },
+                loop: { type: 'loop', properties: { type: 'array', variable: 'item' } },
+                each: { type: 'variable-set', properties: { variableName: 'last', value: '{{item}}' } },
+                done: { type: 'variable-set', properties: { variableName: 'done', value: 'yes' } }
+            }, [
+                ['start', 'success', 'items', 'input'],
+                ['items', 'output', 'loop', 'input'],
+                ['items', 'value', 'loop', 'data'],
+                ['loop', 'each', 'each', 'input'],
+                ['loop', 'complete', 'done', 'input']
+            ]);
+            FlowBuilder.setVariable('items', ['a', 'b', 'c']);
+
+            const summary = await FlowBuilder.Execution.executeFlow(flow.id);
+            utils.assertEqual(summary.status, 'completed');
+            utils.assertEqual(summary.variables.last.value, 'c');
+            utils.assertEqual(summary.variables.done.value, 'yes');
+            utils.assertEqual(summary.trace.filter(entry => entry.type === 'variable-set').length, 4);
+        });
+
+        window.AlgorithmPressTest.module('Flow Execution - Unhandled node errors fail the run', async function() {
+            const FlowBuilder = window.AlgorithmPressFlowBuilder;
+            const { flow } = buildTestFlow('Error test', {
+                set: { type: 'variable-set', properties: { variableName: '' } }
+            }, [
+                ['start', 'success', 'set', 'input']
+            ]);
+
+            const summary = await FlowBuilder.Execution.executeFlow(flow.id);
+            utils.assertEqual(summary.status, 'failed');
+            utils.assert(summary.error.includes('Variable name not set'), `Unexpected error: ${summary.error}`);
+        });
+
+        window.AlgorithmPressTest.module('Flow Execution - Flows that loop back on themselves hit the step limit', async function() {
+            const FlowBuilder = window.AlgorithmPressFlowBuilder;
+            const { flow } = buildTestFlow('Step limit test', {
+                set: { type: 'variable-set', properties: { variableName: 'x', value: '1' } }
+            }, [
+                ['start', 'success', 'set', 'input'],
+                ['set', 'output', 'set', 'input']
+            ]);
+
+            const maxSteps = FlowBuilder.Execution.MAX_STEPS;
+            FlowBuilder.Execution.MAX_STEPS = 50;
+            try {
+                const summary = await FlowBuilder.Execution.executeFlow(flow.id);
+                utils.assertEqual(summary.status, 'failed');
+                utils.assert(summary.error.includes('exceeded 50 steps'), `Unexpected error: ${summary.error}`);
+            } finally {
+                FlowBuilder.Execution.MAX_STEPS = maxSteps;
+            }
+        });
+    }
+
+    // Flow Builder History Tests
+    function testFlowBuilderHistory() {
+        console.log('↩️ Setting up Flow Builder history tests...');
+
+        window.AlgorithmPressTest.module('Flow Builder - Undo and redo node additions', function() {
+            const FlowBuilder = window.AlgorithmPressFlowBuilder;
+            const { flow, ids } = buildTestFlow('History test', {
+                set: { type: 'variable-set', properties: { variableName: 'x' } }
+            });
+
+            utils.assertTrue(flow.nodes.has(ids.set));
+            utils.assertTrue(FlowBuilder.undo());
+            utils.assertFalse(flow.nodes.has(ids.set), 'Undo should remove the node');
+            utils.assertTrue(FlowBuilder.redo());
+            utils.assertTrue(flow.nodes.has(ids.set), 'Redo should restore the node');
+            utils.assertFalse(FlowBuilder.redo(), 'Nothing is left to redo');
+        });
+
+        window.AlgorithmPressTest.module('Flow Builder - Deleting a node and its connections is one undo step', function() {
+            const FlowBuilder = window.AlgorithmPressFlowBuilder;
+            const { flow, ids } = buildTestFlow('Cascade delete test', {
+                set: { type: 'variable-set', properties: { variableName: 'x' } }
+            }, [
+                ['start', 'success', 'set', 'input']
+            ]);
+
+            FlowBuilder.deleteNode(ids.set);
+            utils.assertEqual(flow.connections.size, 0);
+
+            FlowBuilder.undo();
+            utils.assertTrue(flow.nodes.has(ids.set));
+            utils.assertEqual(flow.connections.size, 1, 'Undo should restore the connection with the node');
+        });
+
+        window.AlgorithmPressTest.module('Flow Builder - Moves in a group coalesce into one step', function() {
+            const FlowBuilder = window.AlgorithmPressFlowBuilder;
+            const { flow, ids } = buildTestFlow('Move test', {});
+            const history = FlowBuilder.state.history;
+
+            FlowBuilder.beginHistoryGroup('Drag');
+            FlowBuilder.moveNode(ids.start, { x: 120, y: 100 });
+            FlowBuilder.moveNode(ids.start, { x: 140, y: 100 });
+            FlowBuilder.moveNode(ids.start, { x: 160, y: 120 });
+            FlowBuilder.endHistoryGroup();
+
+            utils.assertEqual(history.states.length, 1);
+            FlowBuilder.undo();
+            const position = flow.nodes.get(ids.start).position;
+            utils.assertEqual(`${position.x},${position.y}`, '100,100', 'Undo should return to the first position');
+        });
+
+        window.AlgorithmPressTest.module('Flow Builder - Zoom is clamped and keeps the centre point fixed', function() {
+            const FlowBuilder = window.AlgorithmPressFlowBuilder;
+            const viewport = FlowBuilder.state.viewport;
+            const saved = { ...viewport };
+
+            try {
+                Object.assign(viewport, { x: 0, y: 0, scale: 1 });
+                const center = { x: 200, y: 100 };
+                const toFlowPoint = (point) => ({
+                    x: (point.x - viewport.x) / viewport.scale,
+                    y: (point.y - viewport.y) / viewport.scale
+                });
+                const before = toFlowPoint(center);
+
+                FlowBuilder.setZoom(1.5, center);
+                const after = toFlowPoint(center);
+                utils.assertEqual(viewport.scale, 1.5);
+                utils.assertEqual(`${after.x},${after.y}`, `${before.x},${before.y}`);
+
+                FlowBuilder.setZoom(10, center);
+                utils.assertEqual(viewport.scale, viewport.maxScale);
+                FlowBuilder.setZoom(0.001, center);
+                utils.assertEqual(viewport.scale, viewport.minScale);
+            } finally {
+                Object.assign(viewport, saved);
+                FlowBuilder.applyViewportTransform();
+            }
+        });
+    }
+
+    // Flow Canvas Interaction Tests
+    function testFlowCanvasInteraction() {
+        console.log('🖱️ Setting up Flow canvas interaction tests...');
+
+        window.AlgorithmPressTest.module('Flow Canvas - Connection rules', function() {
+            const FlowBuilder = window.AlgorithmPressFlowBuilder;
+            const { ids } = buildTestFlow('Connection rules test', {
+                get: { type: 'variable-get', properties: { variableName: 'x' } },
+                set: { type: 'variable-set', properties: { variableName: 'y' } },
+                other: { type: 'variable-get', properties: { variableName: 'z' } }
+            }, [
+                ['start', 'success', 'get', 'input'],
+                ['get', 'value', 'set', 'value']
+            ]);
+
+            utils.assertTrue(FlowBuilder.canConnect(ids.get, 'output', ids.set, 'input').valid);
+            utils.assertEqual(FlowBuilder.canConnect(ids.start, 'success', ids.get, 'input').reason, 'Connection already exists');
+            utils.assertEqual(FlowBuilder.canConnect(ids.get, 'output', ids.get, 'input').reason, 'A node cannot connect to itself');
+            utils.assertEqual(FlowBuilder.canConnect(ids.get, 'value', ids.set, 'input').reason, 'Cannot connect data output to flow input');
+            utils.assertEqual(FlowBuilder.canConnect(ids.other, 'value', ids.set, 'value').reason, 'Data input is already connected');
+        });
+
+        window.AlgorithmPressTest.module('Flow Canvas - Dragging snaps to the grid and undoes in one step', function() {
+            const FlowBuilder = window.AlgorithmPressFlowBuilder;
+            const viewport = FlowBuilder.state.viewport;
+            const saved = { ...viewport };
+            const { flow, ids } = buildTestFlow('Drag test', {
+                get: { type: 'variable-get', properties: { variableName: 'x' } }
+            });
+            FlowBuilder.moveNode(ids.get, { x: 200, y: 100 });
+            FlowBuilder.resetHistory();
+
+            try {
+                Object.assign(viewport, { x: 0, y: 0, scale: 2 });
+                FlowBuilder.state.interaction.selectedNodes = new Set([ids.start, ids.get]);
+                FlowBuilder.startNodeDrag({ x: 0, y: 0 });
+                FlowBuilder.updateNodeDrag({ x: 50, y: 30 });
+                FlowBuilder.updateNodeDrag({ x: 83, y: 41 });
+                FlowBuilder.finishNodeDrag();
+
+                // 83px at 2x zoom is 41.5 flow units, which snaps 100 to 140 on a 20px grid
+                utils.assertEqual(flow.nodes.get(ids.start).position.x, 140);
+                utils.assertEqual(flow.nodes.get(ids.get).position.x, 240);
+                utils.assertEqual(FlowBuilder.state.history.states.length, 1);
+
+                FlowBuilder.undo();
+                utils.assertEqual(flow.nodes.get(ids.start).position.x, 100);
+                utils.assertEqual(flow.nodes.get(ids.get).position.x, 200);
+            } finally {
+                Object.assign(viewport, saved);
+                FlowBuilder.clearSelection();
+            }
+        });
+    }
+
+    // Flow Export/Import Migration Tests
+    function testFlowMigrations() {
+        console.log('🔀 Setting up Flow migration tests...');
+
+        // Run a test against a temporary node type at version 2.0.0
+        async function withTestNodeType(definition, testFn) {
+            const FlowBuilder = window.AlgorithmPressFlowBuilder;
+            FlowBuilder.nodeTypes.set('migration-test', {
+                type: 'migration-test',
+                name: 'Migration Test',
+                category: 'utility',
+                version: '2.0.0',
+                inputs: [],
+                outputs: [],
+                defaultProperties: {},
+                ...definition
+            });
+            try {
+                await testFn(FlowBuilder.ExportImport);
+            } finally {
+                FlowBuilder.nodeTypes.delete('migration-test');
+                FlowBuilder.ExportImport.migrations.delete('migration-test');
+            }
+        }
+
+        function migrationData(version) {
+            return {
+                formatVersion: '1.1.0',
+                flow: { nodes: [{ id: 'n1', type: 'migration-test', version: version, properties: { url: 'https://example.com' } }] }
+            };
+        }
+
+        window.AlgorithmPressTest.module('Flow Migrations - Registered steps upgrade nodes and are reported', async function() {
+            await withTestNodeType({}, ExportImport => {
+                ExportImport.registerMigration('migration-test', '1.0.0', '1.5.0', node => {
+                    node.properties.endpoint = node.properties.url;
+                    delete node.properties.url;
+                    return node;
+                }, 'Rename url to endpoint');
+                ExportImport.registerMigration('migration-test', '1.5.0', '2.0.0', node => node);
+
+                const { flowData, report } = ExportImport.migrateFlowData(migrationData('1.0.0'));
+                const node = flowData.flow.nodes[0];
+                utils.assertEqual(node.version, '2.0.0');
+                utils.assertEqual(node.properties.endpoint, 'https://example.com');
+                utils.assertEqual(report.changes.length, 2);
+                utils.assertEqual(report.changes[0].properties.added.join(), 'endpoint');
+                utils.assertEqual(report.changes[0].properties.removed.join(), 'url');
+            });
+        });
+
+        window.AlgorithmPressTest.module('Flow Migrations - Steps must move to a newer version', async function() {
+            await withTestNodeType({
+                migrations: [{ from: '1.0.0', to: '1.0.0', migrate: node => node }]
+            }, ExportImport => {
+                utils.assertThrows(() => ExportImport.registerMigration('migration-test', '1.0.0', '0.9.0', node => node), Error);
+
+                // A declared step that does not advance is skipped instead of looping forever
+                const { flowData, report } = ExportImport.migrateFlowData(migrationData('1.0.0'));
+                utils.assertEqual(flowData.flow.nodes[0].version, '1.0.0');
+                utils.assertEqual(report.changes.length, 0);
+                utils.assertEqual(report.warnings.length, 1);
+            });
+        });
+
+        window.AlgorithmPressTest.module('Flow Migrations - Nodes newer than the installed type are refused', async function() {
+            await withTestNodeType({}, ExportImport => {
+                utils.assertThrows(() => ExportImport.checkCompatibility(migrationData('3.0.0')), Error);
+                utils.assertThrows(() => ExportImport.checkCompatibility({ formatVersion: '9.0.0', flow: { nodes: [] } }), Error);
+                ExportImport.checkCompatibility(migrationData('2.0.0'));
+            });
+        });
+    }
+
+    // Flow Package Integrity Tests
+    function testFlowPackageIntegrity() {
+        console.log('🔏 Setting up Flow package integrity tests...');
+
+        window.AlgorithmPressTest.module('Flow Integrity - SHA-256 hash detects edited exports', async function() {
+            const FlowBuilder = window.AlgorithmPressFlowBuilder;
+            const { flow } = buildTestFlow('Integrity test', {
+                set: { type: 'variable-set', properties: { variableName: 'x', value: '1' } }
+            }, [
+                ['start', 'success', 'set', 'input']
+            ]);
+
+            const exportData = await FlowBuilder.ExportImport.exportFlow(flow.id, { download: false });
+            utils.assertEqual(exportData.validation.algorithm, 'SHA-256');
+            utils.assertEqual(exportData.validation.checksum.length, 64);
+            utils.assertTrue((await FlowBuilder.ExportImport.verifyValidationHash(exportData)).verified);
+
+            // Key order does not change the hash
+            const reordered = JSON.parse(JSON.stringify(exportData));
+            reordered.flow = Object.fromEntries(Object.entries(reordered.flow).reverse());
+            utils.assertTrue((await FlowBuilder.ExportImport.verifyValidationHash(reordered)).verified);
+
+            const tampered = JSON.parse(JSON.stringify(exportData));
+            tampered.flow.nodes.find(node => node.type === 'variable-set').properties.value = '2';
+            let error = null;
+            try {
+                await FlowBuilder.ExportImport.verifyValidationHash(tampered);
+            } catch (e) {
+                error = e;
+            }
+            utils.assert(error && error.message.includes('Integrity check failed'), 'Edited flows should fail the check');
+        });
+
+        window.AlgorithmPressTest.module('Flow Integrity - Signed packages verify and reject edits', async function() {
+            const ExportImport = window.AlgorithmPressFlowBuilder.ExportImport;
+            const subtle = ExportImport.getSubtleCrypto();
+            const keyPair = await subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']);
+            const publicKey = await subtle.exportKey('jwk', keyPair.publicKey);
+            const identity = {
+                name: 'Test Signer',
+                email: 'test@example.com',
+                publicKey: publicKey,
+                privateKey: keyPair.privateKey,
+                fingerprint: await ExportImport.getKeyFingerprint(publicKey)
+            };
+
+            const packageData = { formatVersion: ExportImport.CURRENT_VERSION, packageName: 'test', flows: [{ id: 'f1', nodes: [], connections: [] }] };
+            packageData.integrity = {
+                algorithm: 'SHA-256',
+                checksum: await ExportImport.calculateChecksum(ExportImport.canonicalize(packageData.flows))
+            };
+            const signed = await ExportImport.signPackage(packageData, identity);
+
+            const result = await ExportImport.verifyPackage(signed);
+            utils.assertTrue(result.integrity);
+            utils.assertTrue(result.signed);
+            utils.assertEqual(result.signer.fingerprint, identity.fingerprint);
+
+            const renamed = { ...signed, packageName: 'renamed' };
+            let error = null;
+            try {
+                await ExportImport.verifyPackage(renamed);
+            } catch (e) {
+                error = e;
+            }
+            utils.assert(error && error.message.includes('Signature verification failed'), 'Edited packages should fail verification');
+        });
+    }
+
+    // Flow Import Converter Tests
+    function testFlowImportConverters() {
+        console.log('🔄 Setting up Flow import converter tests...');
+
+        // Port IDs used by the converted connections, as "source title:port → target title"
+        function describeConnections(exportData) {
+            const titles = new Map(exportData.flow.nodes.map(node => [node.id, node.properties.title]));
+            return exportData.flow.connections.map(conn =>
+                `${titles.get(conn.sourceNodeId)}:${conn.sourcePortId} → ${titles.get(conn.targetNodeId)}`
+            ).sort();
+        }
+
+        window.AlgorithmPressTest.module('Flow Converters - Detect n8n and Node-RED exports', function() {
+            const ExportImport = window.AlgorithmPressFlowBuilder.ExportImport;
+
+            utils.assertEqual(ExportImport.detectExternalFormat({
+                nodes: [{ name: 'Start', type: 'n8n-nodes-base.manualTrigger' }],
+                connections: {}
+            }), 'n8n');
+            utils.assertEqual(ExportImport.detectExternalFormat([{ id: 'a', type: 'inject', wires: [[]] }]), 'node-red');
+            utils.assertEqual(ExportImport.detectExternalFormat({ flows: [{ id: 't', type: 'tab' }] }), 'node-red');
+            utils.assertEqual(ExportImport.detectExternalFormat({ formatVersion: '1.1.0', flow: { nodes: [] } }), null);
+        });
+
+        window.AlgorithmPressTest.module('Flow Converters - n8n nodes and output indexes map to ports', function() {
+            const ExportImport = window.AlgorithmPressFlowBuilder.ExportImport;
+            const converted = ExportImport.convertExternalFlow({
+                name: 'Signup',
+                nodes: [
+                    { name: 'Start', type: 'n8n-nodes-base.manualTrigger', position: [0, 0] },
+                    { name: 'Check', type: 'n8n-nodes-base.if', position: [200, 0], parameters: {
+                        conditions: { number: [{ value1: '={{ $json.age }}', operation: 'larger', value2: 17 }] }
+                    } },
+                    { name: 'Adult', type: 'n8n-nodes-base.set', position: [400, 0], parameters: {
+                        values: { string: [{ name: 'group', value: 'adult' }] }
+                    } },
+                    { name: 'Custom', type: 'n8n-nodes-base.airtable', position: [400, 200] }
+                ],
+                connections: {
+                    Start: { main: [[{ node: 'Check', type: 'main', index: 0 }]] },
+                    Check: { main: [[{ node: 'Adult', type: 'main', index: 0 }], [{ node: 'Custom', type: 'main', index: 0 }]] }
+                }
+            });
+
+            const check = converted.flow.nodes.find(node => node.properties.title === 'Check');
+            utils.assertEqual(check.type, 'condition');
+            utils.assertEqual(check.properties.operator, 'greater');
+            utils.assertEqual(check.properties.leftValue, '{{ $json.age }}');
+            utils.assertEqual(converted.conversion.placeholders.length, 1, 'Unknown nodes become placeholders');
+            utils.assertEqual(describeConnections(converted).join(' | '), 'Check:true → Adult | Start:success → Check');
+
+            // Placeholders are comments, so wires into them are reported instead of connected
+            utils.assertEqual(converted.conversion.droppedConnections[0].reason, 'Target has no flow input');
+        });
+
+        window.AlgorithmPressTest.module('Flow Converters - Node-RED switch rules past the second are reported', function() {
+            const ExportImport = window.AlgorithmPressFlowBuilder.ExportImport;
+            const converted = ExportImport.convertExternalFlow([
+                { id: 'tab1', type: 'tab', label: 'Routing' },
+                { id: 'in', z: 'tab1', type: 'inject', name: 'Go', wires: [['sw']] },
+                { id: 'sw', z: 'tab1', type: 'switch', name: 'Route', property: 'payload', rules: [
+                    { t: 'eq', v: 'a' }, { t: 'eq', v: 'b' }, { t: 'eq', v: 'c' }, { t: 'else' }
+                ], wires: [['A'], ['B'], ['C'], ['D']] },
+                { id: 'A', z: 'tab1', type: 'debug', name: 'A', wires: [] },
+                { id: 'B', z: 'tab1', type: 'debug', name: 'B', wires: [] },
+                { id: 'C', z: 'tab1', type: 'debug', name: 'C', wires: [] },
+                { id: 'D', z: 'tab1', type: 'debug', name: 'D', wires: [] }
+            ]);
+
+            const route = converted.flow.nodes.find(node => node.properties.title === 'Route');
+            utils.assertEqual(route.properties.cases.map(c => c.value).join(), 'a,b');
+            utils.assertEqual(describeConnections(converted).join(' | '),
+                'Go:success → Route | Route:case1 → A | Route:case2 → B | Route:default → D');
+            utils.assertEqual(converted.conversion.droppedConnections.length, 1);
+            utils.assert(converted.conversion.droppedConnections[0].connection.includes('→ C'));
+            utils.assert(converted.conversion.warnings.some(warning => warning.includes('rule 3 dropped')),
+                'The dropped rule should be in the report');
+        });
+    }
+
+    // Flow Subflow Tests
+    function testFlowSubflows() {
+        console.log('🧩 Setting up Flow subflow tests...');
+
+        function buildSubflowTest(name) {
+            const test = buildTestFlow(name, {
+                greet: { type: 'variable-set', properties: { variableName: 'greeting', value: 'hello {{name}}' } },
+                shout: { type: 'variable-set', properties: { variableName: 'message', value: '{{greeting}}!' } },
+                done: { type: 'variable-set', properties: { variableName: 'done', value: 'yes' } }
+            }, [
+                ['start', 'success', 'greet', 'input'],
+                ['greet', 'output', 'shout', 'input'],
+                ['shout', 'output', 'done', 'input']
+            ]);
+            window.AlgorithmPressFlowBuilder.setVariable('name', 'world');
+            window.AlgorithmPressFlowBuilder.state.interaction.selectedNodes = new Set([test.ids.greet, test.ids.shout]);
+            return test;
+        }
+
+        window.AlgorithmPressTest.module('Flow Subflows - Collapsing a selection keeps the flow working', async function() {
+            const FlowBuilder = window.AlgorithmPressFlowBuilder;
+            const { flow, ids } = buildSubflowTest('Subflow collapse test');
+
+            const { definition, node } = FlowBuilder.Subflows.createFromSelection('Greeting');
+            utils.assertEqual(flow.nodes.size, 3, 'The selection should become one node');
+            utils.assertEqual(node.type, definition.type);
+            utils.assertEqual(Array.from(node.outputs.keys()).join(), 'out_1,error');
+
+            const wires = Array.from(flow.connections.values()).map(conn => `${conn.sourcePortId}>${conn.targetPortId}`).sort();
+            utils.assertEqual(wires.join(), 'out_1>input,success>input');
+
+            const summary = await FlowBuilder.Execution.executeFlow(flow.id);
+            utils.assertEqual(summary.status, 'completed');
+            utils.assertEqual(summary.variables.message.value, 'hello world!');
+            utils.assertEqual(summary.variables.done.value, 'yes', 'The node after the subflow should run');
+            utils.assertEqual(FlowBuilder.Subflows.collectDependencies([flow.id]).join(), definition.id);
+
+            FlowBuilder.undo();
+            utils.assertTrue(flow.nodes.has(ids.greet) && flow.nodes.has(ids.shout), 'Undo should restore the selection');
+        });
+
+        window.AlgorithmPressTest.module('Flow Subflows - The start node cannot be collapsed', function() {
+            const FlowBuilder = window.AlgorithmPressFlowBuilder;
+            const { ids } = buildSubflowTest('Subflow start test');
+            FlowBuilder.state.interaction.selectedNodes.add(ids.start);
+
+            utils.assertThrows(() => FlowBuilder.Subflows.createFromSelection('Broken'), Error);
+            FlowBuilder.clearSelection();
+        });
+    }
+
+    // Flow Scheduler Tests
+    function testFlowScheduler() {
+        console.log('⏰ Setting up Flow Scheduler tests...');
+
+        function nextRuns(expression, timezone, from, count = 1) {
+            return window.AlgorithmPressFlowBuilder.Scheduler.getNextRuns(expression, { timezone, from, count })
+                .map(date => date.toISOString());
+        }
+
+        window.AlgorithmPressTest.module('Flow Scheduler - Cron fields, names, steps and macros', function() {
+            const Scheduler = window.AlgorithmPressFlowBuilder.Scheduler;
+
+            const cron = Scheduler.parseCron('*/15 9-17 * jan,jul mon-fri');
+            utils.assertEqual(Array.from(cron.minutes).join(), '0,15,30,45');
+            utils.assertEqual(Array.from(cron.hours).length, 9);
+            utils.assertEqual(Array.from(cron.months).join(), '1,7');
+            utils.assertEqual(Array.from(cron.weekdays).join(), '1,2,3,4,5');
+            utils.assertEqual(Array.from(Scheduler.parseCron('0 0 * * 7').weekdays).join(), '0', '7 is Sunday');
+            utils.assertEqual(Array.from(Scheduler.parseCron('@hourly').minutes).join(), '0');
+
+            utils.assertThrows(() => Scheduler.parseCron('* * * *'), Error);
+            utils.assertThrows(() => Scheduler.parseCron('60 * * * *'), Error);
+            utils.assertThrows(() => Scheduler.parseCron('*/0 * * * *'), Error);
+            utils.assertThrows(() => Scheduler.parseCron('0 0 * * 5-1'), Error);
+        });
+
+        window.AlgorithmPressTest.module('Flow Scheduler - Next runs in UTC', function() {
+            utils.assertEqual(nextRuns('*/20 * * * *', 'UTC', '2026-01-01T10:05:00Z', 3).join(),
+                '2026-01-01T10:20:00.000Z,2026-01-01T10:40:00.000Z,2026-01-01T11:00:00.000Z');
+            utils.assertEqual(nextRuns('0 0 1 1 *', 'UTC', '2026-03-07T12:00:00Z')[0], '2027-01-01T00:00:00.000Z');
+
+            // Restricting both day fields matches either one
+            utils.assertEqual(nextRuns('0 12 13 * fri', 'UTC', '2026-02-01T00:00:00Z', 2).join(),
+                '2026-02-06T12:00:00.000Z,2026-02-13T12:00:00.000Z');
+        });
+
+        window.AlgorithmPressTest.module('Flow Scheduler - Spring-forward days do not skip the next midnight', function() {
+            // 8 March 2026 is 23 hours long in New York, 29 March in London
+            utils.assertEqual(nextRuns('30 0 9 3 *', 'America/New_York', '2026-03-07T00:00:00Z')[0], '2026-03-09T04:30:00.000Z');
+            utils.assertEqual(nextRuns('30 0 * * mon', 'America/New_York', '2026-03-07T00:00:00Z')[0], '2026-03-09T04:30:00.000Z');
+            utils.assertEqual(nextRuns('30 0 30 3 *', 'Europe/London', '2026-03-28T00:00:00Z')[0], '2026-03-29T23:30:00.000Z');
+
+            // 02:30 does not exist on the change day, so that day has no run
+            utils.assertEqual(nextRuns('30 2 * * *', 'America/New_York', '2026-03-07T12:00:00Z', 2).join(),
+                '2026-03-09T06:30:00.000Z,2026-03-10T06:30:00.000Z');
+        });
+
+        window.AlgorithmPressTest.module('Flow Scheduler - Fall-back days do not skip the next midnight', function() {
+            // 1 November 2026 is 25 hours long in New York, 25 October in London
+            utils.assertEqual(nextRuns('30 0 2 11 *', 'America/New_York', '2026-10-30T00:00:00Z')[0], '2026-11-02T05:30:00.000Z');
+            utils.assertEqual(nextRuns('30 0 * * mon', 'America/New_York', '2026-10-31T00:00:00Z')[0], '2026-11-02T05:30:00.000Z');
+            utils.assertEqual(nextRuns('30 0 26 10 *', 'Europe/London', '2026-10-24T00:00:00Z')[0], '2026-10-26T00:30:00.000Z');
+        });
+    }
+
+    // Flow Webhook Tests
+    function testFlowWebhooks() {
+        console.log('🪝 Setting up Flow webhook tests...');
+
+        window.AlgorithmPressTest.module('Flow Webhooks - Requests are routed, authenticated and run the flow', async function() {
+            const Webhooks = window.AlgorithmPressFlowBuilder.Webhooks;
+            buildTestFlow('Webhook test', {
+                hook: { type: 'webhook', properties: { method: 'POST', path: '/test-orders', authentication: 'bearer', token: 'secret' } },
+                save: { type: 'variable-set', properties: { variableName: 'order' } }
+            }, [
+                ['hook', 'success', 'save', 'input'],
+                ['hook', 'data', 'save', 'value']
+            ]);
+
+            const ok = await Webhooks.send({ method: 'POST', path: '/webhook/test-orders/', auth: 'bearer', token: 'secret', body: '{"id":7}' });
+            utils.assertEqual(ok.status, 200);
+            utils.assertEqual(ok.body.status, 'completed');
+            utils.assertEqual(ok.body.variables.order.id, 7, 'The request body should reach the data port');
+
+            utils.assertEqual((await Webhooks.send({ method: 'POST', path: 'test-orders', body: '{}' })).status, 401);
+            utils.assertEqual((await Webhooks.send({ method: 'POST', path: 'test-orders', auth: 'bearer', token: 'wrong' })).status, 401);
+            utils.assertEqual((await Webhooks.send({ method: 'POST', path: 'test-orders', auth: 'bearer', token: 'secret', body: '{bad' })).status, 400);
+
+            const wrongMethod = await Webhooks.send({ method: 'GET', path: 'test-orders' });
+            utils.assertEqual(wrongMethod.status, 405);
+            utils.assertEqual((await Webhooks.handleRequest({ method: 'GET', path: 'test-orders' })).headers.Allow, 'POST');
+
+            utils.assertEqual((await Webhooks.send({ method: 'POST', path: 'no-such-hook' })).status, 404);
+        });
+
+        window.AlgorithmPressTest.module('Flow Webhooks - Paths and bodies are normalized', function() {
+            const Webhooks = window.AlgorithmPressFlowBuilder.Webhooks;
+
+            utils.assertEqual(Webhooks.normalizePath('/webhook/orders/?page=2'), 'orders');
+            utils.assertEqual(Webhooks.normalizePath('webhook'), '');
+            utils.assertEqual(Webhooks.normalizePath('/orders'), 'orders');
+
+            const form = Webhooks.parseBody({ method: 'POST', headers: { 'content-type': 'application/x-www-form-urlencoded' }, body: 'a=1&b=two' });
+            utils.assertEqual(JSON.stringify(form), '{"a":"1","b":"two"}');
+            utils.assertEqual(JSON.stringify(Webhooks.parseBody({ method: 'GET', query: { q: 'x' } })), '{"q":"x"}');
+        });
+    }
+
+    // Flow Debugger Tests
+    function testFlowDebugger() {
+        console.log('🐞 Setting up Flow Debugger tests...');
+
+        window.AlgorithmPressTest.module('Flow Debugger - Breakpoints pause with the variables so far', async function() {
+            const FlowBuilder = window.AlgorithmPressFlowBuilder;
+            const Debugger = FlowBuilder.Debugger;
+            const { flow, ids } = buildTestFlow('Debugger test', {
+                first: { type: 'variable-set', properties: { variableName: 'a', value: '1' } },
+                second: { type: 'variable-set', properties: { variableName: 'b', value: '2' } }
+            }, [
+                ['start', 'success', 'first', 'input'],
+                ['first', 'output', 'second', 'input']
+            ]);
+
+            const pauses = [];
+            const onPause = (event) => {
+                pauses.push({ nodeId: event.node.id, variables: Object.keys(Debugger.state.session.paused.variables).sort().join() });
+                setTimeout(() => Debugger.continue());
+            };
+
+            Debugger.toggleBreakpoint(ids.second, flow.id);
+            Debugger.on('pause', onPause);
+            try {
+                const summary = await Debugger.debugFlow(flow.id);
+                utils.assertEqual(summary.status, 'completed');
+                utils.assertEqual(pauses.length, 1);
+                utils.assertEqual(pauses[0].nodeId, ids.second);
+                utils.assertEqual(pauses[0].variables, 'a', 'b is not set until the paused node runs');
+                utils.assertEqual(Debugger.getRecordings(flow.id).length, 1);
+            } finally {
+                Debugger.off('pause', onPause);
+                Debugger.clearBreakpoints(flow.id);
+            }
+        });
+
+        window.AlgorithmPressTest.module('Flow Debugger - Replay steps through the recorded trace', async function() {
+            const FlowBuilder = window.AlgorithmPressFlowBuilder;
+            const Debugger = FlowBuilder.Debugger;
+            const { flow, ids } = buildTestFlow('Replay test', {
+                only: { type: 'variable-set', properties: { variableName: 'a', value: '1' } }
+            }, [
+                ['start', 'success', 'only', 'input']
+            ]);
+            await Debugger.debugFlow(flow.id);
+
+            // The flow changes after recording; replay flags the missing node
+            FlowBuilder.deleteNode(ids.only);
+
+            const visited = [];
+            const onPause = (event) => {
+                visited.push(event.node.id);
+                setTimeout(() => Debugger.stepOver());
+            };
+            Debugger.on('pause', onPause);
+            try {
+                const result = await Debugger.replay(flow.id, 0, { stepping: true });
+                utils.assertEqual(result.status, 'replayed');
+                utils.assertEqual(visited.join(), `${ids.start},${ids.only}`);
+                utils.assertEqual(result.mismatches.length, 1);
+                utils.assertEqual(result.variables.a.value, '1');
+            } finally {
+                Debugger.off('pause', onPause);
+            }
+        });
+    }
+
+    // Flow Code Generation Tests
+    function testFlowCodeGeneration() {
+        console.log('🏗️ Setting up Flow Code Generation tests...');
+
+        // Build the generated runtime with stubbed UI callbacks
+        function loadRuntime(flow, ui) {
+            const code = window.AlgorithmPressFlowBuilder.CodeGeneration.generateRuntime(flow);
+            return new Function(`${code}\nreturn createFlowRuntime;`)()(ui);
+        }
+
+        window.AlgorithmPressTest.module('Flow Code Generation - Wired text input values are read from the page', async function() {
+            const { flow, ids } = buildTestFlow('Greeting test', {
+                name: { type: 'text-input', properties: {} },
+                send: { type: 'button', properties: {} },
+                show: { type: 'display-text', properties: { content: 'fallback' } }
+            }, [
+                ['send', 'clicked', 'show', 'input'],
+                ['name', 'value', 'show', 'text']
+            ]);
+
+            const shown = [];
+            const runtime = loadRuntime(flow, {
+                getValue: (id) => id === ids.name ? 'Ada' : undefined,
+                display: (id, text) => shown.push(text)
+            });
+
+            // The text input never changed, so only the button's branch runs
+            await runtime.trigger(ids.send);
+            utils.assertEqual(shown.join(), 'Ada');
+        });
+
+        window.AlgorithmPressTest.module('Flow Code Generation - Wired file uploads are read from the page', async function() {
+            const { flow, ids } = buildTestFlow('Upload test', {
+                upload: { type: 'file-upload', properties: { multiple: false } },
+                send: { type: 'button', properties: {} },
+                show: { type: 'display-text', properties: {} }
+            }, [
+                ['send', 'clicked', 'show', 'input'],
+                ['upload', 'file', 'show', 'text']
+            ]);
+
+            const shown = [];
+            const runtime = loadRuntime(flow, {
+                getFiles: (id) => id === ids.upload ? [{ name: 'a.txt', size: 1 }] : [],
+                display: (id, text) => shown.push(text)
+            });
+
+            await runtime.trigger(ids.send);
+            utils.assertEqual(JSON.parse(shown[0]).name, 'a.txt');
+        });
+
+        window.AlgorithmPressTest.module('Flow Code Generation - PHP reads wired text inputs from the request', function() {
+            const { flow, ids } = buildTestFlow('PHP greeting test', {
+                name: { type: 'text-input', properties: {} },
+                send: { type: 'button', properties: {} },
+                show: { type: 'display-text', properties: { content: 'fallback' } }
+            }, [
+                ['send', 'clicked', 'show', 'input'],
+                ['name', 'value', 'show', 'text']
+            ]);
+
+            const php = window.AlgorithmPressFlowBuilder.CodeGeneration.generatePHPProgram(flow);
+            utils.assertTrue(php.includes(`$text = flow_to_string($_REQUEST['flow-${ids.name}'] ?? '') ?? 'fallback';`));
+        });
+
+        window.AlgorithmPressTest.module('Flow Code Generation - PHP switch cases compare strictly', function() {
+            const { flow } = buildTestFlow('PHP switch test', {
+                route: { type: 'switch', properties: { variable: 'code', cases: [{ value: '10', output: 'case1' }] } },
+                ten: { type: 'variable-set', properties: { variableName: 'matched', value: 'ten' } },
+                other: { type: 'variable-set', properties: { variableName: 'matched', value: 'other' } }
+            }, [
+                ['start', 'success', 'route', 'input'],
+                ['route', 'case1', 'ten', 'input'],
+                ['route', 'default', 'other', 'input']
+            ]);
+
+            const php = window.AlgorithmPressFlowBuilder.CodeGeneration.generatePHPProgram(flow);
+            utils.assertFalse(php.includes('switch ('), 'PHP switch would match \'1e1\' against \'10\'');
+            utils.assertTrue(php.includes("if ($value === '10') {"));
+            utils.assertTrue(php.includes('} else {'));
+        });
+
+        window.AlgorithmPressTest.module('Flow Code Generation - PHP switch chains import back as cases', function() {
+            const FlowBuilder = window.AlgorithmPressFlowBuilder;
+            const { flow } = buildTestFlow('PHP switch import test', {
+                route: { type: 'switch', properties: { variable: 'code', cases: [{ value: 'a', output: 'case1' }, { value: 'b', output: 'case2' }] } },
+                first: { type: 'variable-set', properties: { variableName: 'matched', value: 'a' } },
+                other: { type: 'variable-set', properties: { variableName: 'matched', value: 'other' } }
+            }, [
+                ['start', 'success', 'route', 'input'],
+                ['route', 'case1', 'first', 'input'],
+                ['route', 'default', 'other', 'input']
+            ]);
+
+            const imported = FlowBuilder.PHPImport.convert(FlowBuilder.CodeGeneration.generatePHPProgram(flow)).flow;
+            const route = imported.nodes.find(node => node.type === 'switch');
+            utils.assertEqual(route.properties.variable, 'code');
+            utils.assertEqual(route.properties.cases.map(switchCase => switchCase.value).join(), 'a,b');
+            utils.assertEqual(imported.connections
+                .filter(conn => conn.sourceNodeId === route.id)
+                .map(conn => conn.sourcePortId)
+                .sort()
+                .join(), 'case1,default');
+        });
+    }
+
+    // Flow PHP Import Tests
+    function testFlowPHPImport() {
+        console.log('🐘 Setting up Flow PHP Import tests...');
+
+        window.AlgorithmPressTest.module('Flow PHP Import - Plain scripts become HTTP, condition and loop nodes', function() {
+            const PHPImport = window.AlgorithmPressFlowBuilder.PHPImport;
+            const { flow } = PHPImport.convert(`<?php
+$ch = curl_init('https://api.example.com/users');
+curl_setopt($ch, CURLOPT_RETURNTRANSFER, true);
+$users = json_decode(curl_exec($ch), true);
+curl_close($ch);
+
+if ($users === null) {
+    echo 'No users';
+}
+
+foreach ($users as $user) {
+    $names[] = $user['name'];
+}
+`);
+
+            const types = flow.nodes.map(node => node.type);
+            utils.assertEqual(types[0], 'start');
+            const http = flow.nodes.find(node => node.type === 'http-request');
+            utils.assert(http, 'cURL calls should become an HTTP request node');
+            utils.assertEqual(http.properties.url, 'https://api.example.com/users');
+            utils.assert(types.includes('condition'), 'if should become a condition node');
+            utils.assert(types.includes('loop'), 'foreach should become a loop node');
+        });
+
+        window.AlgorithmPressTest.module('Flow PHP Import - Unmatched statements are kept as run-code nodes', function() {
+            const PHPImport = window.AlgorithmPressFlowBuilder.PHPImport;
+            const { flow } = PHPImport.convert("<?php\n$total = array_sum([1, 2, 3]);\n$label = strtoupper('sum');\n");
+
+            const code = flow.nodes.filter(node => node.type !== 'start');
+            utils.assertEqual(code.length, 1, 'consecutive statements share one node');
+            utils.assertEqual(code[0].type, 'run-code');
+            utils.assertEqual(code[0].properties.language, 'php');
+            utils.assertTrue(code[0].properties.code.includes("$variables->set('total', $total);"), 'assigned variables are handed back to the flow');
+        });
+
+        window.AlgorithmPressTest.module('Flow PHP Import - Generated code round-trips', function() {
+            const FlowBuilder = window.AlgorithmPressFlowBuilder;
+            const { flow } = buildTestFlow('PHP round trip test', {
+                check: { type: 'condition', properties: { leftValue: '{{count}}', operator: 'greater', rightValue: '2', dataType: 'number' } },
+                many: { type: 'variable-set', properties: { variableName: 'size', value: 'many' } }
+            }, [
+                ['start', 'success', 'check', 'input'],
+                ['check', 'true', 'many', 'input']
+            ]);
+
+            const code = FlowBuilder.CodeGeneration.generatePHPProgram(flow);
+            utils.assertTrue(FlowBuilder.PHPImport.isGenerated(code));
+
+            const imported = FlowBuilder.PHPImport.convert(code).flow;
+            const check = imported.nodes.find(node => node.type === 'condition');
+            utils.assertEqual(check.properties.leftValue, '{{count}}');
+            utils.assertEqual(check.properties.operator, 'greater');
+            utils.assertEqual(check.properties.dataType, 'number');
+            utils.assertTrue(imported.connections.some(conn => conn.sourceNodeId === check.id && conn.sourcePortId === 'true'));
+        });
+
+        window.AlgorithmPressTest.module('Flow PHP Import - Syntax errors name the line', function() {
+            const PHPImport = window.AlgorithmPressFlowBuilder.PHPImport;
+            let message = '';
+            try {
+                PHPImport.convert("<?php\n$a = 1;\nswitch ($a) { when 1: break; }\n");
+            } catch (error) {
+                message = error.message;
+            }
+            utils.assertTrue(message.startsWith('PHP parse error on line 3'), message);
+        });
+    }
+
+    // PHP-WASM Pool Tests
+    function testPHPWasmPool() {
+        console.log('🧵 Setting up PHP-WASM Pool tests...');
+
+        window.AlgorithmPressTest.module('PHP-WASM Pool - Scopes keep separate files', function() {
+            PHPWasmPool.writeFile('test-a', 'src/index.php', '<?php echo 1;');
+            PHPWasmPool.createDirectory('test-b', 'src');
+
+            try {
+                utils.assertEqual(PHPWasmPool.readFile('test-a', 'src/index.php'), '<?php echo 1;');
+                utils.assertFalse(PHPWasmPool.exists('test-b', 'src/index.php'));
+                utils.assertEqual(PHPWasmPool.listFiles('test-b', '').join(), 'src');
+
+                PHPWasmPool.removeFile('test-a', 'src');
+                utils.assertFalse(PHPWasmPool.exists('test-a', 'src/index.php'), 'removing a directory removes its files');
+                utils.assertEqual(Object.keys(PHPWasmPool.getFiles('test-a')).length, 0);
+            } finally {
+                PHPWasmPool.clearScope('test-a');
+                PHPWasmPool.clearScope('test-b');
+            }
+        });
+
+        window.AlgorithmPressTest.module('PHP-WASM Pool - Projects run in their own scope', function() {
+            const previous = PHPWasmIntegration.getScope();
+            const originalPrompt = window.prompt;
+            const originalBootstrap = window.bootstrap;
+            window.prompt = () => 'Scope test';
+            window.bootstrap = { Toast: function() { this.show = () => {}; } };
+
+            let project = null;
+            try {
+                PHPWasmBuilder.createNewProject();
+                project = PHPWasmBuilder.getState().currentProject;
+                utils.assertEqual(PHPWasmIntegration.getScope(), project.id);
+            } finally {
+                window.prompt = originalPrompt;
+                window.bootstrap = originalBootstrap;
+                PHPWasmIntegration.setScope(previous);
+                if (project) {
+                    localStorage.removeItem('project_' + project.id);
+                    const list = JSON.parse(localStorage.getItem('project_list') || '[]');
+                    localStorage.setItem('project_list', JSON.stringify(list.filter(item => item.id !== project.id)));
+                }
+            }
+        });
+    }
+
+    // PHP-WASM Filesystem Tests
+    function testPHPWasmFileSystem() {
+        console.log('💾 Setting up PHP-WASM Filesystem tests...');
+
+        window.AlgorithmPressTest.module('PHP-WASM Filesystem - Removing a directory removes its files', async function() {
+            const scope = 'test-fs-' + Date.now();
+            try {
+                await PHPWasmFileSystem.createDirectory(scope, 'lib/');
+                await PHPWasmFileSystem.writeFile(scope, 'lib/util.php', '<?php');
+                await PHPWasmFileSystem.writeFile(scope, 'index.php', '<?php require "lib/util.php";');
+
+                utils.assertEqual(await PHPWasmFileSystem.readFile(scope, 'lib/util.php'), '<?php');
+                utils.assertEqual((await PHPWasmFileSystem.remove(scope, 'lib')).join(), 'lib,lib/util.php');
+                utils.assertEqual((await PHPWasmFileSystem.load(scope)).map(record => record.path).join(), 'index.php');
+
+                let error = null;
+                await PHPWasmFileSystem.readFile(scope, 'lib/util.php').catch(caught => { error = caught; });
+                utils.assert(error, 'Reading a removed file should fail');
+            } finally {
+                await PHPWasmFileSystem.clear(scope);
+            }
+        });
+
+        window.AlgorithmPressTest.module('PHP-WASM Filesystem - Snapshots restore earlier files', async function() {
+            const scope = 'test-snapshots-' + Date.now();
+            let snapshot = null;
+            try {
+                await PHPWasmFileSystem.writeFile(scope, 'index.php', 'v1');
+                snapshot = await PHPWasmFileSystem.createSnapshot(scope, 'First');
+                await PHPWasmFileSystem.writeFile(scope, 'index.php', 'v2');
+                await PHPWasmFileSystem.writeFile(scope, 'extra.php', 'new');
+
+                utils.assertEqual(snapshot.count, 1);
+                utils.assertEqual((await PHPWasmFileSystem.listSnapshots(scope)).map(item => item.name).join(), 'First');
+
+                await PHPWasmFileSystem.restoreSnapshot(snapshot.id);
+                utils.assertEqual(await PHPWasmFileSystem.readFile(scope, 'index.php'), 'v1');
+                utils.assertEqual((await PHPWasmFileSystem.load(scope)).length, 1, 'files added after the snapshot are removed');
+            } finally {
+                if (snapshot) await PHPWasmFileSystem.deleteSnapshot(snapshot.id);
+                await PHPWasmFileSystem.clear(scope);
+            }
+        });
+    }
+
+    // PHP-WASM Runtime Tests
+    function testPHPWasmRuntime() {
+        console.log('⚙️ Setting up PHP-WASM Runtime tests...');
+
+        window.AlgorithmPressTest.module('PHP-WASM Runtime - Falls back to the next source that serves the runtime', async function() {
+            const originalFetch = window.fetch;
+            const requested = [];
+            window.fetch = async (url) => {
+                requested.push(url);
+                if (url.includes('vendor/php-wasm/')) throw new TypeError('Failed to fetch');
+                return { ok: true };
+            };
+
+            PHPWasmRuntime.configure({});
+            try {
+                const source = await PHPWasmRuntime.resolveSource();
+                utils.assertTrue(source.startsWith('https://cdn.jsdelivr.net/npm/php-wasm'), source);
+                utils.assertEqual(requested.length, 2);
+                utils.assertEqual(await PHPWasmRuntime.getAssetUrl(), source + 'PhpWeb.mjs');
+            } finally {
+                window.fetch = originalFetch;
+                PHPWasmRuntime.configure({});
+            }
+        });
+
+        window.AlgorithmPressTest.module('PHP-WASM Runtime - Only shipped PHP versions are supported', function() {
+            utils.assertTrue(PHPWasmRuntime.getVersions().includes('8.2'));
+            utils.assertTrue(PHPWasmRuntime.isVersionSupported(8.3), 'numeric versions are accepted');
+            utils.assertFalse(PHPWasmRuntime.isVersionSupported('7.4'));
+        });
+
+        window.AlgorithmPressTest.module('PHP-WASM Runtime - The runtime and webhooks share one service worker', async function() {
+            const registered = [];
+            Object.defineProperty(navigator, 'serviceWorker', {
+                configurable: true,
+                value: {
+                    register: async (url) => {
+                        registered.push(url);
+                        return { active: null };
+                    }
+                }
+            });
+
+            try {
+                await PHPWasmRuntime.registerServiceWorker();
+                await window.AlgorithmPressFlowBuilder.Webhooks.register();
+                utils.assertEqual(registered.join(), 'algorithmpress-sw.js,algorithmpress-sw.js');
+            } finally {
+                delete navigator.serviceWorker;
+            }
+        });
+    }
+
+    // PHP-WASM Composer Tests
+    function testPHPWasmComposer() {
+        console.log('🎼 Setting up PHP-WASM Composer tests...');
+
+        window.AlgorithmPressTest.module('PHP-WASM Composer - Version constraints match like Composer', function() {
+            const matches = (version, constraint) =>
+                PHPWasmComposer.satisfies(PHPWasmComposer.parseVersion(version), PHPWasmComposer.parseConstraint(constraint));
+
+            utils.assertTrue(matches('1.4.0', '^1.2'));
+            utils.assertFalse(matches('2.0.0', '^1.2'));
+            utils.assertTrue(matches('0.3.9', '^0.3'));
+            utils.assertFalse(matches('0.4.0', '^0.3'), 'caret stays below the next minor for 0.x');
+            utils.assertTrue(matches('1.2.9', '~1.2.3'));
+            utils.assertFalse(matches('1.3.0', '~1.2.3'));
+            utils.assertTrue(matches('3.1.0', '^1.0 || ^3.0'));
+            utils.assertTrue(matches('dev-main', 'dev-main'));
+            utils.assertFalse(matches('dev-main', '^1.0'));
+        });
+
+        window.AlgorithmPressTest.module('PHP-WASM Composer - composer.json is validated and tracked', function() {
+            utils.assertThrows(() => PHPWasmComposer.parseComposerJson('{"require": []}'), Error);
+            utils.assertThrows(() => PHPWasmComposer.parseComposerJson('{"require": {"monolog/monolog": 3}}'), Error);
+
+            const project = {};
+            PHPWasmComposer.attach(project, '{"require": {"monolog/monolog": "^3.0"}}');
+            utils.assertEqual(PHPWasmComposer.getComposerJson(project), '{"require": {"monolog/monolog": "^3.0"}}');
+            utils.assertFalse(PHPWasmComposer.isInstalled(project));
+            utils.assertTrue(PHPWasmComposer.isOutdated(project), 'a composer.json that was never installed is outdated');
+        });
+    }
+
+    // PHP-WASM SQLite Tests
+    function testPHPWasmSQLite() {
+        console.log('🗄️ Setting up PHP-WASM SQLite tests...');
+
+        window.AlgorithmPressTest.module('PHP-WASM SQLite - Scripts split on statement boundaries only', function() {
+            const statements = PHPWasmSQLite.splitStatements(`
+                INSERT INTO notes (text) VALUES ('a; b'); -- trailing; comment
+                CREATE TRIGGER stamp AFTER INSERT ON notes BEGIN
+                    UPDATE notes SET text = CASE WHEN text = '' THEN 'empty' ELSE text END;
+                END;
+                /* ; */ SELECT 1
+            `);
+
+            utils.assertEqual(statements.length, 3);
+            utils.assertEqual(statements[0], "INSERT INTO notes (text) VALUES ('a; b')");
+            utils.assertTrue(statements[1].endsWith('END'), 'the trigger body stays in one statement');
+            utils.assertEqual(statements[2], 'SELECT 1');
+        });
+
+        window.AlgorithmPressTest.module('PHP-WASM SQLite - CSV round-trips quoted fields', function() {
+            const csv = PHPWasmSQLite.toCsv(['name', 'note'], [['Ada', 'says "hi", twice'], ['Bob', 'line\nbreak'], ['Cy', null]]);
+            utils.assertEqual(JSON.stringify(PHPWasmSQLite.parseCsv(csv)), JSON.stringify([
+                ['name', 'note'],
+                ['Ada', 'says "hi", twice'],
+                ['Bob', 'line\nbreak'],
+                ['Cy', '']
+            ]));
+            utils.assertEqual(PHPWasmSQLite.parseCsv('a;b\n1;2')[1].join(), '1,2', 'the delimiter is guessed from the header');
+        });
+
+        window.AlgorithmPressTest.module('PHP-WASM SQLite - Database names resolve to files', function() {
+            utils.assertEqual(PHPWasmSQLite.resolveDatabase('myapp'), 'myapp.sqlite');
+            utils.assertEqual(PHPWasmSQLite.resolveDatabase('sqlite:data/app.db'), 'data/app.db');
+            utils.assertThrows(() => PHPWasmSQLite.resolveDatabase('mysql:host=localhost'), Error);
+            utils.assertThrows(() => PHPWasmSQLite.resolveDatabase('sqlite::memory:'), Error);
+        });
+    }
+
+    // PHP-WASM Errors Tests
+    function testPHPWasmErrors() {
+        console.log('🚨 Setting up PHP-WASM Errors tests...');
+
+        window.AlgorithmPressTest.module('PHP-WASM Errors - Printed errors are taken out of the output', function() {
+            const { output, problems } = PHPWasmErrors.parseOutput(
+                'Hello\nWarning: Undefined variable $name in /app/index.php on line 3\nWorld'
+            );
+
+            // PHP wraps the message in newlines of its own, so the script's output joins back up
+            utils.assertEqual(output, 'HelloWorld');
+            utils.assertEqual(problems.length, 1);
+            utils.assertEqual(problems[0].severity, 'warning');
+            utils.assertEqual(problems[0].message, 'Undefined variable $name');
+            utils.assertEqual(problems[0].line, 3);
+        });
+
+        window.AlgorithmPressTest.module('PHP-WASM Errors - Problems map back to the component that generated the line', async function() {
+            const { code, sourceMap } = PHPWasmErrors.combine([
+                { code: '<?php\n$a = 1;', target: { type: 'component', id: 'first', label: 'First' } },
+                { code: 'echo $b;\necho $c;', target: { type: 'component', id: 'second', label: 'Second' } }
+            ]);
+            utils.assertEqual(JSON.stringify(sourceMap.map(entry => [entry.start, entry.end])), '[[1,2],[3,4]]');
+
+            const originalExecute = PHPWasmIntegration.execute;
+            const originalInitialized = PHPWasmIntegration.isInitialized;
+            PHPWasmIntegration.isInitialized = () => true;
+            PHPWasmIntegration.execute = async () => ({
+                stdout: 'Warning: Undefined variable $c in /app/.algorithmpress-run.php on line 4\n',
+                stderr: '',
+                exitCode: 0
+            });
+
+            try {
+                const result = await PHPWasmErrors.run(code, { sourceMap, source: 'test-errors' });
+                utils.assertEqual(result.problems.length, 1);
+                utils.assertEqual(result.problems[0].target.id, 'second');
+                utils.assertEqual(result.problems[0].targetLine, 2);
+                utils.assertEqual(PHPWasmErrors.getProblems('test-errors').length, 1);
+            } finally {
+                PHPWasmIntegration.execute = originalExecute;
+                PHPWasmIntegration.isInitialized = originalInitialized;
+                PHPWasmErrors.clearProblems('test-errors');
+            }
+        });
+    }
+
+    // PHP-WASM Debugger Tests
+    function testPHPWasmDebugger() {
+        console.log('🪲 Setting up PHP-WASM Debugger tests...');
+
+        // Answer PHP runs with a canned recording instead of running PHP
+        async function withRecording(steps, callback) {
+            const originalExecute = PHPWasmIntegration.execute;
+            const originalInitialized = PHPWasmIntegration.isInitialized;
+            const scripts = [];
+            PHPWasmIntegration.isInitialized = () => true;
+            PHPWasmIntegration.execute = async (code) => {
+                scripts.push(code);
+                return {
+                    stdout: '__ALGORITHMPRESS_PHP_DEBUG__' + JSON.stringify({ steps, output: '', truncated: false }) + '\n',
+                    stderr: '',
+                    exitCode: 0
+                };
+            };
+
+            try {
+                return await callback(scripts);
+            } finally {
+                PHPWasmIntegration.execute = originalExecute;
+                PHPWasmIntegration.isInitialized = originalInitialized;
+            }
+        }
+
+        window.AlgorithmPressTest.module('PHP-WASM Debugger - Steps move through the recording', async function() {
+            const main = (line) => ({ function: '{main}', file: null, line });
+            const step = (line, stack) => ({ line, stack, locals: [], watches: [], output: 0 });
+            const steps = [
+                step(2, [main(2)]),
+                step(5, [{ function: 'greet()', file: null, line: 5 }, main(3)]),
+                step(6, [{ function: 'greet()', file: null, line: 6 }, main(3)]),
+                step(3, [main(3)])
+            ];
+
+            await withRecording(steps, async () => {
+                const session = await PHPWasmDebugger.debug(
+                    "<?php\n$a = 1;\ngreet();\nfunction greet() {\n    echo 'hi';\n    echo '!';\n}\n",
+                    { breakpoints: [5] }
+                );
+                utils.assertEqual(session.status, 'paused');
+                utils.assertEqual(PHPWasmDebugger.getStep(session).line, 5, 'runs to the first breakpoint');
+
+                PHPWasmDebugger.stepOut(session);
+                utils.assertEqual(PHPWasmDebugger.getStep(session).line, 3);
+                PHPWasmDebugger.stepBack(session);
+                utils.assertEqual(PHPWasmDebugger.getStep(session).line, 6);
+                PHPWasmDebugger.resume(session);
+                utils.assertEqual(session.status, 'finished');
+            });
+        });
+
+        window.AlgorithmPressTest.module('PHP-WASM Debugger - The step limit stops a loop that catches everything', async function() {
+            if (!PHPWasmIntegration.isInitialized()) {
+                await PHPWasmIntegration.initialize();
+            }
+
+            const result = await PHPWasmDebugger.record(
+                '<?php\necho "start\\n";\necho $missing;\nwhile (true) {\n    try {\n        $i = ($i ?? 0) + 1;\n    } catch (Throwable $e) {\n        echo "caught\\n";\n    }\n}\n'
+            );
+
+            utils.assertTrue(result.truncated, 'the recording should be marked as truncated');
+            utils.assertEqual(result.steps.length, 2000);
+            utils.assertTrue(result.output.startsWith('start\n'), 'the output before the limit is kept');
+            utils.assertEqual(result.problems.length, 1, 'only the script\'s own warning is reported');
+            utils.assertEqual(result.problems[0].line, 3);
+
+            // The same PHP instance keeps running scripts afterwards
+            const next = await PHPWasmDebugger.record('<?php\n$a = 2;\necho $a * 21;\n');
+            utils.assertFalse(next.truncated);
+            utils.assertEqual(next.steps.length, 2);
+            utils.assertEqual(next.output, '42');
+        });
+    }
+
+    // PHP-WASM Templates Tests
+    function testPHPWasmTemplates() {
+        console.log('🧩 Setting up PHP-WASM Templates tests...');
+
+        window.AlgorithmPressTest.module('PHP-WASM Templates - Output is escaped unless it is raw', function() {
+            const template = PHPWasmTemplates.compile('<p>{{ text }}</p>{{{ text }}}{{ text | raw }}');
+            const html = template.render({ text: '<b>"Tom" & Jerry</b>' });
+
+            utils.assertEqual(html, '<p>&lt;b&gt;&quot;Tom&quot; &amp; Jerry&lt;/b&gt;</p><b>"Tom" & Jerry</b><b>"Tom" & Jerry</b>');
+        });
+
+        window.AlgorithmPressTest.module('PHP-WASM Templates - Filters chain and take arguments', function() {
+            const template = PHPWasmTemplates.compile('{{ name | trim | upper }}|{{ missing | default(\'none\') }}|{{ text | truncate(5) }}|{{ items | length }}');
+
+            utils.assertEqual(template.render({ name: '  ada ', text: 'Hello world', items: [1, 2, 3] }), 'ADA|none|Hello…|3');
+        });
+
+        window.AlgorithmPressTest.module('PHP-WASM Templates - JSON output cannot close a script or attribute', function() {
+            const template = PHPWasmTemplates.compile('<script>const data = {{ data | json }};</script>');
+            const html = template.render({ data: { text: '</script><script>alert(\'x\')</script> & \u2028\u2029' } });
+
+            utils.assertFalse(html.slice(0, -'</script>'.length).includes('</script>'), 'JSON closed the script tag');
+            utils.assertFalse(/[&'\u2028\u2029]/.test(html), 'JSON kept characters that are unsafe in HTML');
+            utils.assertEqual(JSON.parse(html.slice('<script>const data = '.length, -';</script>'.length)).text,
+                '</script><script>alert(\'x\')</script> & \u2028\u2029');
+        });
+
+        window.AlgorithmPressTest.module('PHP-WASM Templates - PHP output matches the preview for JSON and case filters', function() {
+            const template = PHPWasmTemplates.compile('<script>{{ data | json }}</script><p>{{ name | upper }} {{ name | lower }}</p>');
+            const php = template.toPhp({}, { dynamic: ['data', 'name'] }).code;
+
+            utils.assertTrue(php.includes('JSON_HEX_TAG | JSON_HEX_AMP | JSON_HEX_APOS | JSON_HEX_QUOT'), 'PHP json_encode is not escaped for HTML');
+            // strtoupper() would leave é and ß as they are, unlike toUpperCase() in the preview
+            utils.assertTrue(php.includes('mb_strtoupper(') && php.includes('mb_strtolower('), 'PHP case filters are not multibyte');
+            utils.assertEqual(template.render({ data: {}, name: 'Élodie' }), '<script>{}</script><p>ÉLODIE élodie</p>');
+        });
+
+        window.AlgorithmPressTest.module('PHP-WASM Templates - Mistakes are reported at their line and column', function() {
+            const compileError = (source) => {
+                try {
+                    PHPWasmTemplates.compile(source, { name: 'Card', component: 'card' });
+                } catch (error) {
+                    return error;
+                }
+                return null;
+            };
+
+            const unknown = compileError('<div>\n  {{ title | shout }}\n</div>');
+            utils.assertEqual(unknown.name, 'TemplateError');
+            utils.assertEqual(unknown.reason, 'Unknown filter "shout"');
+            utils.assertEqual(unknown.line, 2);
+            utils.assertEqual(unknown.column, 14);
+            utils.assertEqual(unknown.component, 'card');
+
+            const unclosed = compileError('<p>{{ title </p>');
+            utils.assertEqual(unclosed.reason, 'Unclosed "{{"');
+            utils.assertEqual(unclosed.column, 4);
+
+            const errors = PHPWasmTemplates.validateComponents([
+                { id: 'good', template: '{{ title }}' },
+                { id: 'bad', template: '{{#if title}}open' }
+            ]);
+            utils.assertEqual(errors.length, 1);
+            utils.assertEqual(errors[0].component, 'bad');
+        });
+    }
+
+    // PHP-WASM Exporter Tests
+    function testPHPWasmExporter() {
+        console.log('📦 Setting up PHP-WASM Exporter tests...');
+
+        const project = {
+            name: 'Export Test',
+            components: [],
+            customPhp: '<?php\necho "Hello";\n',
+            customStyles: 'body { margin: 0; }',
+            customScripts: ''
+        };
+
+        window.AlgorithmPressTest.module('PHP-WASM Exporter - Format options are validated', function() {
+            const defaults = PHPWasmExporter.getDefaultOptions('wordpress_plugin', project);
+            utils.assertEqual(defaults.pluginSlug, 'export-test');
+            utils.assertEqual(PHPWasmExporter.validateOptions('wordpress_plugin', defaults).length, 0);
+
+            const problems = PHPWasmExporter.validateOptions('wordpress_plugin', {
+                ...defaults,
+                pluginSlug: 'Export Test',
+                pluginName: ' ',
+                version: 'one'
+            });
+            utils.assertEqual(problems.map(problem => problem.option).join(), 'pluginSlug,pluginName,version');
+
+            const port = PHPWasmExporter.validateOptions('nodejs_express', { appName: 'app', port: 70000 });
+            utils.assertEqual(port.length, 1);
+            utils.assertEqual(port[0].option, 'port');
+        });
+
+        window.AlgorithmPressTest.module('PHP-WASM Exporter - Invalid options stop the build', async function() {
+            const build = await PHPWasmExporter.buildExport(project, 'wordpress_plugin', { pluginSlug: '1-plugin' });
+
+            utils.assertEqual(build.blob, null);
+            utils.assertEqual(build.files.length, 0);
+            utils.assertEqual(build.errors.length, 1);
+
+            const unknown = await PHPWasmExporter.buildExport(project, 'zip_drive').catch(error => error);
+            utils.assertEqual(unknown.message, 'Unknown export format: zip_drive');
+        });
+
+        window.AlgorithmPressTest.module('PHP-WASM Exporter - PHP files build lists the archive', async function() {
+            const build = await PHPWasmExporter.buildExport(project, 'php_files', { lint: false });
+            const paths = build.files.map(file => file.path);
+
+            utils.assertEqual(build.errors.length, 0);
+            utils.assertEqual(build.fileName, 'export-test.zip');
+            ['index.php', 'custom.php', 'includes/header.php', 'includes/footer.php', 'css/style.css'].forEach(path => {
+                utils.assertTrue(paths.includes(path), `${path} is missing`);
+            });
+            // An empty project still exports, with a warning
+            utils.assertEqual(build.warnings.length, 1);
+        });
+
+        window.AlgorithmPressTest.module('PHP-WASM Exporter - WordPress plugin is named after its slug', async function() {
+            const build = await PHPWasmExporter.buildExport(project, 'wordpress_plugin', { pluginSlug: 'my-plugin', lint: false });
+            const paths = build.files.map(file => file.path);
+
+            utils.assertEqual(build.errors.length, 0);
+            utils.assertEqual(build.fileName, 'my-plugin.zip');
+            utils.assertTrue(paths.includes('my-plugin/my-plugin.php'), 'Main plugin file is missing');
+            utils.assertTrue(paths.includes('my-plugin/includes/class-shortcodes.php'), 'Shortcodes class is missing');
+        });
+
+        window.AlgorithmPressTest.module('PHP-WASM Exporter - A className prop replaces the block\'s custom class field', async function() {
+            const blocksProject = {
+                ...project,
+                components: [
+                    { id: 'heading-1', componentId: 'heading', props: { content: 'Hello', className: 'intro' } }
+                ]
+            };
+            const blob = await PHPWasmExporter.exportProject(blocksProject, 'wordpress_blocks', {
+                pluginSlug: 'my-blocks',
+                componentTemplates: PHPComponentTemplates
+            });
+            const zip = await new window.JSZip().loadAsync(blob);
+            const blockJson = JSON.parse(await zip.file('my-blocks/blocks/heading/block.json').async('string'));
+
+            utils.assertEqual(blockJson.attributes.className.default, 'intro');
+            utils.assertEqual(blockJson.supports.customClassName, false);
+        });
+
+        window.AlgorithmPressTest.module('PHP-WASM Exporter - Static site pages need valid, distinct routes', async function() {
+            const build = await PHPWasmExporter.buildExport({
+                ...project,
+                pages: [
+                    { id: 'about', title: 'About', route: '/about' },
+                    { id: 'team', title: 'Team', route: '/about' },
+                    { id: 'contact', title: 'Contact', route: 'contact us' }
+                ]
+            }, 'static_site');
+            const messages = build.errors.map(error => error.message);
+
+            utils.assertEqual(build.blob, null);
+            utils.assertTrue(messages.includes('More than one page uses the route /about'), 'Duplicate route not reported');
+            utils.assertTrue(messages.some(message => message.includes('"contact us"')), 'Invalid route not reported');
+        });
+
+        window.AlgorithmPressTest.module('PHP-WASM Exporter - Static site pre-renders each page at its route', async function() {
+            const originalExecute = PHPWasmIntegration.execute;
+            const originalInitialized = PHPWasmIntegration.isInitialized;
+            const executed = [];
+            PHPWasmIntegration.isInitialized = () => true;
+            PHPWasmIntegration.execute = async (code, options) => {
+                executed.push(options);
+                return { stdout: '<a href="/about">About us</a>', stderr: '', exitCode: 0 };
+            };
+
+            try {
+                const siteProject = { ...project, pages: [{ id: 'about', title: 'About', route: '/about' }] };
+                const build = await PHPWasmExporter.buildExport(siteProject, 'static_site', {
+                    baseUrl: 'https://example.com/site',
+                    lint: false
+                });
+                const paths = build.files.map(file => file.path);
+
+                utils.assertEqual(build.errors.length, 0);
+                ['index.html', 'about/index.html', '404.html', 'sitemap.xml', 'feed.xml', 'robots.txt'].forEach(path => {
+                    utils.assertTrue(paths.includes(path), `${path} is missing`);
+                });
+                // Each page runs in a fresh PHP state
+                utils.assertEqual(executed.length, 2);
+                utils.assertTrue(executed.every(options => options.fresh), 'A page reused the PHP state');
+
+                const zip = await new window.JSZip().loadAsync(build.blob);
+                const home = await zip.file('index.html').async('string');
+                const sitemap = await zip.file('sitemap.xml').async('string');
+                utils.assertTrue(home.includes('href="about/">About us</a>'), 'Route link was not made relative');
+                utils.assertTrue(sitemap.includes('<loc>https://example.com/site/about/</loc>'), 'Sitemap URL is wrong');
+            } finally {
+                PHPWasmIntegration.execute = originalExecute;
+                PHPWasmIntegration.isInitialized = originalInitialized;
+            }
+        });
+    }
+
     // Performance Tests for Fixed Modules
     function testPerformanceOptimizations() {
         console.log('⚡ Setting up Performance tests for fixed modules...');
@@ -1014,6 +2496,27 @@
     testCubbitStorage();
     testInitializationHelper();
     testErrorRecovery();
+    testFlowExecutionEngine();
+    testFlowBuilderHistory();
+    testFlowCanvasInteraction();
+    testFlowMigrations();
+    testFlowPackageIntegrity();
+    testFlowImportConverters();
+    testFlowSubflows();
+    testFlowScheduler();
+    testFlowWebhooks();
+    testFlowDebugger();
+    testFlowCodeGeneration();
+    testFlowPHPImport();
+    testPHPWasmPool();
+    testPHPWasmFileSystem();
+    testPHPWasmRuntime();
+    testPHPWasmComposer();
+    testPHPWasmSQLite();
+    testPHPWasmErrors();
+    testPHPWasmDebugger();
+    testPHPWasmTemplates();
+    testPHPWasmExporter();
     testPerformanceOptimizations();
     testModuleInteractions();
 
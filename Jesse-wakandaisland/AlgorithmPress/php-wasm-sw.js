@@ -0,0 +1,35 @@
+/**
+ * AlgorithmPress PHP-WASM Runtime Service Worker
+ * Serves the PHP-WASM runtime (vendored under vendor/php-wasm/ or from the
+ * CDN) cache-first so the builder keeps working offline. PHPWasmRuntime
+ * fills the same cache when a version is made available offline.
+ *
+ * Only handles fetches; algorithmpress-sw.js imports it into the page's
+ * service worker.
+ */
+
+// Must match PHPWasmRuntime's cache name
+const PHP_WASM_CACHE = 'php-wasm-runtime-v1';
+
+// Runtime files: vendor/php-wasm/... locally or npm/php-wasm@<version>/... on the CDN
+const PHP_WASM_PATTERN = /\/php-wasm(@[^/]+)?\//;
+
+self.addEventListener('fetch', (event) => {
+    if (event.request.method !== 'GET') return;
+    if (!PHP_WASM_PATTERN.test(new URL(event.request.url).pathname)) return;
+
+    event.respondWith(serveRuntimeFile(event.request));
+});
+
+// Cache-first; anything fetched successfully is kept for offline use
+async function serveRuntimeFile(request) {
+    const cache = await caches.open(PHP_WASM_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
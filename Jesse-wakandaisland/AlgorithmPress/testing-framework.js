@@ -14,6 +14,8 @@
             showResults: true,
             stopOnFirstFailure: false,
             timeout: 5000,
+            // Tests of the modules test-runner.html loads, which don't need the full app page
+            enableModuleTests: true,
             enablePerformanceTests: true,
             enableAccessibilityTests: true,
             enableSecurityTests: true
@@ -23,6 +25,7 @@
         tests: {
             unit: [],
             integration: [],
+            module: [],
             performance: [],
             accessibility: [],
             security: []
@@ -173,6 +176,15 @@
             });
         },
 
+        module: function(name, testFn) {
+            this.tests.module.push({
+                type: 'module',
+                name: name,
+                testFn: testFn,
+                timeout: this.config.timeout * 2
+            });
+        },
+
         performance: function(name, testFn, threshold) {
             this.tests.performance.push({
                 type: 'performance',
@@ -245,7 +257,7 @@
         },
 
         // Run all tests
-        run: async function(types = ['unit', 'integration', 'performance', 'accessibility', 'security']) {
+        run: async function(types = ['unit', 'integration', 'module', 'performance', 'accessibility', 'security']) {
             console.log('🧪 Starting AlgorithmPress Test Suite...');
             
             this.results = {